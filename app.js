@@ -4,6 +4,10 @@ import morgan from "morgan";
 import authRoutes from "./routes/authRoute.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import productRoutes from "./routes/productRoutes.js";
+import searchSettingsRoutes from "./routes/searchSettingsRoutes.js";
+import reviewRoutes from "./routes/reviewRoutes.js";
+import questionRoutes from "./routes/questionRoutes.js";
+import locationRoutes from "./routes/locationRoutes.js";
 import cors from "cors";
 import swaggerUi from "swagger-ui-express";
 import swaggerJsdoc from "swagger-jsdoc";
@@ -55,6 +59,10 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/category", categoryRoutes);
 app.use("/api/v1/product", productRoutes);
+app.use("/api/v1/search-settings", searchSettingsRoutes);
+app.use("/api/v1/review", reviewRoutes);
+app.use("/api/v1/question", questionRoutes);
+app.use("/api/v1/location", locationRoutes);
 
 app.get("/", (req, res) => {
   res.send("<h1>Welcome to ecommerce app</h1>");
@@ -15,13 +15,21 @@ import CreateProduct from "./pages/admin/CreateProduct";
 import Users from "./pages/admin/Users";
 import Orders from "./pages/user/Orders";
 import Profile from "./pages/user/Profile";
+import Wishlist from "./pages/user/Wishlist";
 import Products from "./pages/admin/Products";
 import UpdateProduct from "./pages/admin/UpdateProduct";
+import ImportProducts from "./pages/admin/ImportProducts";
+import SearchSettings from "./pages/admin/SearchSettings";
+import Locations from "./pages/admin/Locations";
+import ReviewModeration from "./pages/admin/ReviewModeration";
+import QuestionInbox from "./pages/admin/QuestionInbox";
+import LowStock from "./pages/admin/LowStock";
 import Search from "./pages/Search";
 import ProductDetails from "./pages/ProductDetails";
 import Categories from "./pages/Categories";
 import CategoryProduct from "./pages/CategoryProduct";
 import CartPage from "./pages/CartPage";
+import Compare from "./pages/Compare";
 import AdminOrders from "./pages/admin/AdminOrders";
 function App() {
   return (
@@ -33,10 +41,12 @@ function App() {
         <Route path="/cart" element={<CartPage />} />
         <Route path="/category/:slug" element={<CategoryProduct />} />
         <Route path="/search" element={<Search />} />
+        <Route path="/compare" element={<Compare />} />
         <Route path="/dashboard" element={<PrivateRoute />}>
           <Route path="user" element={<Dashboard />} />
           <Route path="user/orders" element={<Orders />} />
           <Route path="user/profile" element={<Profile />} />
+          <Route path="user/wishlist" element={<Wishlist />} />
         </Route>
         <Route path="/dashboard" element={<AdminRoute />}>
           <Route path="admin" element={<AdminDashboard />} />
@@ -44,6 +54,12 @@ function App() {
           <Route path="admin/create-product" element={<CreateProduct />} />
           <Route path="admin/product/:slug" element={<UpdateProduct />} />
           <Route path="admin/products" element={<Products />} />
+          <Route path="admin/import-products" element={<ImportProducts />} />
+          <Route path="admin/search-settings" element={<SearchSettings />} />
+          <Route path="admin/locations" element={<Locations />} />
+          <Route path="admin/reviews" element={<ReviewModeration />} />
+          <Route path="admin/questions" element={<QuestionInbox />} />
+          <Route path="admin/low-stock" element={<LowStock />} />
           <Route path="admin/users" element={<Users />} />
           <Route path="admin/orders" element={<AdminOrders />} />
         </Route>
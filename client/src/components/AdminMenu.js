@@ -1,6 +1,37 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { NavLink } from "react-router-dom";
+import axios from "axios";
 const AdminMenu = () => {
+  const [pendingReviews, setPendingReviews] = useState(0);
+  const [lowStock, setLowStock] = useState({ low: 0, out: 0 });
+
+  //get the number of reviews waiting for moderation
+  const getPendingReviews = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/review/moderation-counts");
+      if (data?.success) setPendingReviews(data.counts.pending);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //get the number of products running low and out of stock
+  const getLowStock = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/product/low-stock-counts");
+      if (data?.success) setLowStock(data.counts);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getPendingReviews();
+    getLowStock();
+  }, []);
+
+  const lowStockTotal = lowStock.low + lowStock.out;
+
   return (
     <>
       <div className="text-center">
@@ -24,6 +55,56 @@ const AdminMenu = () => {
           >
             Products
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/low-stock"
+            className="list-group-item list-group-item-action"
+          >
+            Low Stock
+            {lowStockTotal > 0 && (
+              <span
+                className={`badge ms-2 ${lowStock.out > 0 ? "bg-danger" : "bg-warning text-dark"}`}
+                data-testid="low-stock-badge"
+                title={`${lowStock.low} running low, ${lowStock.out} out of stock`}
+              >
+                {lowStockTotal}
+              </span>
+            )}
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/locations"
+            className="list-group-item list-group-item-action"
+          >
+            Stock Locations
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/import-products"
+            className="list-group-item list-group-item-action"
+          >
+            Import / Export
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/search-settings"
+            className="list-group-item list-group-item-action"
+          >
+            Search Settings
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/reviews"
+            className="list-group-item list-group-item-action"
+          >
+            Reviews
+            {pendingReviews > 0 && (
+              <span className="badge bg-danger ms-2" data-testid="pending-reviews-badge">
+                {pendingReviews}
+              </span>
+            )}
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/questions"
+            className="list-group-item list-group-item-action"
+          >
+            Questions
+          </NavLink>
           <NavLink
             to="/dashboard/admin/orders"
             className="list-group-item list-group-item-action"
@@ -42,4 +123,4 @@ const AdminMenu = () => {
   );
 };
 
-export default AdminMenu;
\ No newline at end of file
+export default AdminMenu;
@@ -0,0 +1,115 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter } from "react-router-dom";
+import axios from "axios";
+import AdminMenu from "./AdminMenu";
+
+jest.mock("axios");
+
+/*
+  Test cases for AdminMenu component:
+  1. Happy Path: 3 tests
+    a. Should show the number of reviews waiting for moderation next to Reviews
+    b. Should show the number of products running low or out of stock next to Low Stock
+    c. Should show a warning badge when no product is out of stock
+  2. Edge Cases: 1 test
+    a. Should not show a badge without pending reviews or low stock
+  3. Error Handling: 1 test
+    a. Should still show the menu when the counts fail to load
+*/
+
+describe("AdminMenu", () => {
+  const renderMenu = () =>
+    render(
+      <MemoryRouter>
+        <AdminMenu />
+      </MemoryRouter>
+    );
+
+  const mockCounts = (pending, lowStock) => {
+    axios.get.mockImplementation((url) =>
+      Promise.resolve({
+        data: url.includes("low-stock")
+          ? { success: true, counts: lowStock }
+          : { success: true, counts: { pending, approved: 10, rejected: 1 } },
+      })
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should show the number of reviews waiting for moderation next to Reviews", async () => {
+      mockCounts(4, { low: 0, out: 0 });
+      renderMenu();
+
+      expect(await screen.findByTestId("pending-reviews-badge")).toHaveTextContent("4");
+      expect(screen.getByRole("link", { name: "Reviews 4" })).toHaveAttribute(
+        "href",
+        "/dashboard/admin/reviews"
+      );
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/review/moderation-counts");
+    });
+
+    it("should show the number of products running low or out of stock next to Low Stock", async () => {
+      mockCounts(0, { low: 3, out: 2 });
+      renderMenu();
+
+      const badge = await screen.findByTestId("low-stock-badge");
+      expect(badge).toHaveTextContent("5");
+      expect(badge).toHaveClass("bg-danger");
+      expect(badge).toHaveAttribute("title", "3 running low, 2 out of stock");
+      expect(screen.getByRole("link", { name: "Low Stock 5" })).toHaveAttribute(
+        "href",
+        "/dashboard/admin/low-stock"
+      );
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/low-stock-counts");
+    });
+
+    it("should show a warning badge when no product is out of stock", async () => {
+      mockCounts(0, { low: 2, out: 0 });
+      renderMenu();
+
+      expect(await screen.findByTestId("low-stock-badge")).toHaveClass("bg-warning");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should not show a badge without pending reviews or low stock", async () => {
+      mockCounts(0, { low: 0, out: 0 });
+      renderMenu();
+
+      await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+      expect(screen.getByRole("link", { name: "Reviews" })).toBeInTheDocument();
+      expect(screen.getByRole("link", { name: "Low Stock" })).toBeInTheDocument();
+      expect(screen.getByRole("link", { name: "Stock Locations" })).toHaveAttribute(
+        "href",
+        "/dashboard/admin/locations"
+      );
+      expect(screen.queryByTestId("pending-reviews-badge")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("low-stock-badge")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should still show the menu when the counts fail to load", async () => {
+      const error = new Error("Network Error");
+      axios.get.mockRejectedValue(error);
+      renderMenu();
+
+      await waitFor(() => expect(console.log).toHaveBeenCalledTimes(2));
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(screen.getByRole("link", { name: "Orders" })).toBeInTheDocument();
+      expect(screen.queryByTestId("pending-reviews-badge")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("low-stock-badge")).not.toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import React from "react";
+import { Checkbox } from "antd";
+
+// Attributes shoppers can filter on for the checked categories. Categories sharing an
+// attribute key are merged into one filter; free text attributes have no values to pick from.
+export const filterableAttributes = (categories, checked) => {
+  const merged = new Map();
+  for (const category of categories || []) {
+    if (!checked.includes(category._id)) continue;
+    for (const attribute of category.attributes || []) {
+      if (attribute.type === "text") continue;
+      const existing = merged.get(attribute.key);
+      merged.set(
+        attribute.key,
+        existing
+          ? { ...existing, values: [...new Set([...existing.values, ...attribute.values])] }
+          : { ...attribute, values: attribute.values || [] }
+      );
+    }
+  }
+  return [...merged.values()];
+};
+
+// Filters of attributes that are still offered, for the search request
+export const activeAttributeFilters = (attributes, filters) =>
+  Object.fromEntries(
+    attributes
+      .filter((attribute) => filters[attribute.key] !== undefined)
+      .map((attribute) => [attribute.key, filters[attribute.key]])
+  );
+
+const AttributeFilters = ({ attributes, filters, setFilters }) => {
+  if (!attributes.length) return null;
+
+  const update = (key, value) => {
+    const { [key]: removed, ...rest } = filters;
+    setFilters(value === undefined ? rest : { ...rest, [key]: value });
+  };
+
+  const toggleValue = (key, value, on) => {
+    const values = (filters[key] || []).filter((v) => v !== value);
+    if (on) values.push(value);
+    update(key, values.length ? values : undefined);
+  };
+
+  const updateRange = (key, bound, value) => {
+    const range = { ...filters[key], [bound]: value };
+    if (range[bound] === "") delete range[bound];
+    update(key, Object.keys(range).length ? range : undefined);
+  };
+
+  return (
+    <div data-testid="attribute-filters">
+      {attributes.map((attribute) => (
+        <div className="mt-3" key={attribute.key}>
+          <h6>
+            {attribute.name}
+            {attribute.unit && ` (${attribute.unit})`}
+          </h6>
+          {attribute.type === "select" && (
+            <div className="d-flex flex-column">
+              {attribute.values.map((value) => (
+                <Checkbox
+                  key={value}
+                  data-testid={`attribute-filter-${attribute.key}-${value}`}
+                  checked={(filters[attribute.key] || []).includes(value)}
+                  onChange={(e) => toggleValue(attribute.key, value, e.target.checked)}
+                >
+                  {value}
+                </Checkbox>
+              ))}
+            </div>
+          )}
+          {attribute.type === "number" && (
+            <div className="d-flex">
+              <input
+                type="number"
+                className="form-control me-2"
+                placeholder="Min"
+                value={filters[attribute.key]?.min ?? ""}
+                onChange={(e) => updateRange(attribute.key, "min", e.target.value)}
+                data-testid={`attribute-filter-${attribute.key}-min`}
+              />
+              <input
+                type="number"
+                className="form-control"
+                placeholder="Max"
+                value={filters[attribute.key]?.max ?? ""}
+                onChange={(e) => updateRange(attribute.key, "max", e.target.value)}
+                data-testid={`attribute-filter-${attribute.key}-max`}
+              />
+            </div>
+          )}
+          {attribute.type === "boolean" && (
+            <Checkbox
+              data-testid={`attribute-filter-${attribute.key}`}
+              checked={filters[attribute.key] === true}
+              onChange={(e) => update(attribute.key, e.target.checked || undefined)}
+            >
+              Yes
+            </Checkbox>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AttributeFilters;
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import AttributeFilters, { activeAttributeFilters, filterableAttributes } from "./AttributeFilters";
+
+/**
+ * Unit tests for AttributeFilters component
+ *
+ * 1. Rendering: 2 tests
+ *    a. renders nothing when no attribute can be filtered on
+ *    b. renders values, a range or a yes box per attribute type
+ * 2. Happy Path: 3 tests
+ *    a. picks and clears values, ranges and yes/no filters
+ *    b. filterableAttributes merges the attributes of the checked categories
+ *    c. activeAttributeFilters keeps the filters of attributes still offered
+ */
+
+const attributes = [
+  { key: "colour", name: "Colour", type: "select", unit: "", values: ["Red", "Blue"] },
+  { key: "screen-size", name: "Screen Size", type: "number", unit: "in", values: [] },
+  { key: "backlit", name: "Backlit", type: "boolean", unit: "", values: [] },
+];
+
+// Keeps the filters the way HomePage does
+const Harness = ({ attributes, initial = {}, onChange = () => {} }) => {
+  const [filters, setFilters] = useState(initial);
+  onChange(filters);
+  return <AttributeFilters attributes={attributes} filters={filters} setFilters={setFilters} />;
+};
+
+describe("AttributeFilters", () => {
+  let latest;
+  const track = (filters) => {
+    latest = filters;
+  };
+
+  describe("Rendering", () => {
+    it("renders nothing when no attribute can be filtered on", () => {
+      const { container } = render(<Harness attributes={[]} />);
+
+      expect(container).toBeEmptyDOMElement();
+    });
+
+    it("renders values, a range or a yes box per attribute type", () => {
+      render(<Harness attributes={attributes} initial={{ colour: ["Blue"], "screen-size": { min: 13 } }} />);
+
+      expect(screen.getByText("Screen Size (in)")).toBeInTheDocument();
+      expect(screen.getByLabelText("Blue")).toBeChecked();
+      expect(screen.getByLabelText("Red")).not.toBeChecked();
+      expect(screen.getByTestId("attribute-filter-screen-size-min")).toHaveValue(13);
+      expect(screen.getByTestId("attribute-filter-screen-size-max")).toHaveValue(null);
+      expect(screen.getByLabelText("Yes")).not.toBeChecked();
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("picks and clears values, ranges and yes/no filters", () => {
+      render(<Harness attributes={attributes} onChange={track} />);
+
+      fireEvent.click(screen.getByLabelText("Red"));
+      fireEvent.click(screen.getByLabelText("Blue"));
+      fireEvent.change(screen.getByTestId("attribute-filter-screen-size-min"), { target: { value: "13" } });
+      fireEvent.change(screen.getByTestId("attribute-filter-screen-size-max"), { target: { value: "15" } });
+      fireEvent.click(screen.getByLabelText("Yes"));
+
+      expect(latest).toEqual({
+        colour: ["Red", "Blue"],
+        "screen-size": { min: "13", max: "15" },
+        backlit: true,
+      });
+
+      fireEvent.click(screen.getByLabelText("Red"));
+      fireEvent.click(screen.getByLabelText("Blue"));
+      fireEvent.change(screen.getByTestId("attribute-filter-screen-size-min"), { target: { value: "" } });
+      fireEvent.change(screen.getByTestId("attribute-filter-screen-size-max"), { target: { value: "" } });
+      fireEvent.click(screen.getByLabelText("Yes"));
+
+      expect(latest).toEqual({});
+    });
+
+    it("filterableAttributes merges the attributes of the checked categories", () => {
+      const categories = [
+        {
+          _id: "c1",
+          attributes: [
+            { key: "author", name: "Author", type: "text", values: [] },
+            { key: "colour", name: "Colour", type: "select", values: ["Red"] },
+          ],
+        },
+        { _id: "c2", attributes: [{ key: "colour", name: "Colour", type: "select", values: ["Red", "Blue"] }] },
+        { _id: "c3", attributes: [{ key: "backlit", name: "Backlit", type: "boolean" }] },
+        { _id: "c4" },
+      ];
+
+      expect(filterableAttributes(categories, ["c1", "c2", "c4"])).toEqual([
+        { key: "colour", name: "Colour", type: "select", values: ["Red", "Blue"] },
+      ]);
+      expect(filterableAttributes(categories, ["c3"])).toEqual([
+        { key: "backlit", name: "Backlit", type: "boolean", values: [] },
+      ]);
+      expect(filterableAttributes(undefined, [])).toEqual([]);
+    });
+
+    it("activeAttributeFilters keeps the filters of attributes still offered", () => {
+      expect(activeAttributeFilters(attributes.slice(1), { colour: ["Red"], backlit: true })).toEqual({
+        backlit: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import React from "react";
+import toast from "react-hot-toast";
+import { useCompare } from "../context/compare";
+import { MAX_COMPARE_PRODUCTS } from "../constants/compare";
+
+// category id of a product, whether its category is populated or not
+const categoryId = (product) => product.category?._id ?? product.category;
+
+// Adds a product card to the compare tray, or takes it out again. The tray holds a few products
+// of one category, so their attributes line up on the compare page.
+const CompareButton = ({ product }) => {
+  const [compare, setCompare] = useCompare();
+  const picked = compare.some((p) => p._id === product._id);
+
+  const toggleCompare = () => {
+    if (picked) return setCompare(compare.filter((p) => p._id !== product._id));
+    if (compare.length >= MAX_COMPARE_PRODUCTS) {
+      return toast.error(`You can compare up to ${MAX_COMPARE_PRODUCTS} products`);
+    }
+    if (compare.some((p) => p.category !== categoryId(product))) {
+      return toast.error("Only products from the same category can be compared");
+    }
+    const { _id, name, slug, price } = product;
+    setCompare([...compare, { _id, name, slug, price, category: categoryId(product) }]);
+    toast.success("Added to compare");
+  };
+
+  return (
+    <button
+      type="button"
+      className={`btn btn-sm ms-1 ${picked ? "btn-secondary" : "btn-outline-secondary"}`}
+      aria-pressed={picked}
+      onClick={toggleCompare}
+      data-testid={`compare-button-${product._id}`}
+    >
+      {picked ? "Remove from compare" : "Add to compare"}
+    </button>
+  );
+};
+
+export default CompareButton;
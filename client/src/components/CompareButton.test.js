@@ -0,0 +1,95 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import toast from "react-hot-toast";
+import { useCompare } from "../context/compare";
+import CompareButton from "./CompareButton";
+import { MAX_COMPARE_PRODUCTS } from "../constants/compare";
+
+jest.mock("../context/compare", () => ({ useCompare: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for CompareButton component:
+  1. Happy Path: 2 tests
+    a. Should add a product of the same category to the tray
+    b. Should take a picked product out of the tray
+  2. Edge Cases: 2 tests
+    a. Should not add a product when the tray is full
+    b. Should not add a product of another category
+*/
+
+describe("CompareButton", () => {
+  const setCompare = jest.fn();
+  const laptop = { _id: "p1", name: "Laptop", slug: "laptop", price: 900, category: "c1" };
+  const ultrabook = {
+    _id: "p2",
+    name: "Ultrabook",
+    slug: "ultrabook",
+    price: 1200,
+    description: "Thin",
+    category: { _id: "c1", name: "Laptops" },
+  };
+
+  const mockTray = (compare) => useCompare.mockReturnValue([compare, setCompare]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTray([laptop]);
+  });
+
+  describe("Happy Path", () => {
+    it("should add a product of the same category to the tray", () => {
+      render(<CompareButton product={ultrabook} />);
+
+      const button = screen.getByTestId("compare-button-p2");
+      expect(button).toHaveTextContent("Add to compare");
+      expect(button).toHaveAttribute("aria-pressed", "false");
+      fireEvent.click(button);
+
+      expect(setCompare).toHaveBeenCalledWith([
+        laptop,
+        { _id: "p2", name: "Ultrabook", slug: "ultrabook", price: 1200, category: "c1" },
+      ]);
+      expect(toast.success).toHaveBeenCalledWith("Added to compare");
+    });
+
+    it("should take a picked product out of the tray", () => {
+      render(<CompareButton product={laptop} />);
+
+      const button = screen.getByTestId("compare-button-p1");
+      expect(button).toHaveTextContent("Remove from compare");
+      expect(button).toHaveAttribute("aria-pressed", "true");
+      fireEvent.click(button);
+
+      expect(setCompare).toHaveBeenCalledWith([]);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should not add a product when the tray is full", () => {
+      mockTray(Array.from({ length: MAX_COMPARE_PRODUCTS }, (_, i) => ({ ...laptop, _id: `f${i}` })));
+      render(<CompareButton product={ultrabook} />);
+
+      fireEvent.click(screen.getByTestId("compare-button-p2"));
+
+      expect(setCompare).not.toHaveBeenCalled();
+      expect(toast.error).toHaveBeenCalledWith(`You can compare up to ${MAX_COMPARE_PRODUCTS} products`);
+    });
+
+    it("should not add a product of another category", () => {
+      render(<CompareButton product={{ ...ultrabook, category: { _id: "c2" } }} />);
+
+      fireEvent.click(screen.getByTestId("compare-button-p2"));
+
+      expect(setCompare).not.toHaveBeenCalled();
+      expect(toast.error).toHaveBeenCalledWith("Only products from the same category can be compared");
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { useCompare } from "../context/compare";
+import { MAX_COMPARE_PRODUCTS } from "../constants/compare";
+
+// Bar along the bottom of the page with the products picked to compare and a link to the
+// compare page, which needs at least two of them. Hidden while nothing is picked.
+const CompareTray = () => {
+  const [compare, setCompare] = useCompare();
+  const navigate = useNavigate();
+
+  if (!compare.length) return null;
+
+  return (
+    <div
+      className="position-fixed bottom-0 start-0 end-0 bg-light border-top p-2 d-flex flex-wrap align-items-center"
+      style={{ zIndex: 1030 }}
+      data-testid="compare-tray"
+    >
+      <strong className="me-3">
+        Compare ({compare.length}/{MAX_COMPARE_PRODUCTS})
+      </strong>
+      {compare.map((p) => (
+        <span className="badge bg-secondary me-2 p-2" key={p._id} data-testid={`compare-tray-${p._id}`}>
+          {p.name}
+          <button
+            type="button"
+            className="btn-close btn-close-white ms-2"
+            aria-label={`Remove ${p.name} from compare`}
+            onClick={() => setCompare(compare.filter((item) => item._id !== p._id))}
+          />
+        </span>
+      ))}
+      <div className="ms-auto">
+        <button type="button" className="btn btn-link" onClick={() => setCompare([])}>
+          Clear
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          disabled={compare.length < 2}
+          onClick={() => navigate("/compare")}
+          data-testid="compare-now"
+        >
+          Compare
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CompareTray;
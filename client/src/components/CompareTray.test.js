@@ -0,0 +1,81 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { useNavigate } from "react-router-dom";
+import { useCompare } from "../context/compare";
+import CompareTray from "./CompareTray";
+
+jest.mock("react-router-dom", () => ({ useNavigate: jest.fn() }));
+jest.mock("../context/compare", () => ({ useCompare: jest.fn() }));
+
+/*
+  Test cases for CompareTray component:
+  1. Happy Path: 3 tests
+    a. Should show the picked products and open the compare page
+    b. Should take a product out of the tray
+    c. Should clear the tray
+  2. Edge Cases: 2 tests
+    a. Should not open the compare page with a single product
+    b. Should render nothing while nothing is picked
+*/
+
+describe("CompareTray", () => {
+  const navigate = jest.fn();
+  const setCompare = jest.fn();
+  const picked = [
+    { _id: "p1", name: "Laptop", category: "c1" },
+    { _id: "p2", name: "Ultrabook", category: "c1" },
+  ];
+
+  const mockTray = (compare) => useCompare.mockReturnValue([compare, setCompare]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useNavigate.mockReturnValue(navigate);
+    mockTray(picked);
+  });
+
+  describe("Happy Path", () => {
+    it("should show the picked products and open the compare page", () => {
+      render(<CompareTray />);
+
+      expect(screen.getByTestId("compare-tray")).toHaveTextContent("Compare (2/4)");
+      expect(screen.getByTestId("compare-tray-p1")).toHaveTextContent("Laptop");
+      fireEvent.click(screen.getByTestId("compare-now"));
+
+      expect(navigate).toHaveBeenCalledWith("/compare");
+    });
+
+    it("should take a product out of the tray", () => {
+      render(<CompareTray />);
+
+      fireEvent.click(screen.getByLabelText("Remove Laptop from compare"));
+
+      expect(setCompare).toHaveBeenCalledWith([picked[1]]);
+    });
+
+    it("should clear the tray", () => {
+      render(<CompareTray />);
+
+      fireEvent.click(screen.getByText("Clear"));
+
+      expect(setCompare).toHaveBeenCalledWith([]);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should not open the compare page with a single product", () => {
+      mockTray([picked[0]]);
+      render(<CompareTray />);
+
+      expect(screen.getByTestId("compare-now")).toBeDisabled();
+    });
+
+    it("should render nothing while nothing is picked", () => {
+      mockTray([]);
+      const { container } = render(<CompareTray />);
+
+      expect(container).toBeEmptyDOMElement();
+    });
+  });
+});
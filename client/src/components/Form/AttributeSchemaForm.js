@@ -0,0 +1,99 @@
+import React from "react";
+
+const AttributeSchemaForm = ({ attributes, setAttributes, handleSubmit }) => {
+  const updateAttribute = (index, changes) => {
+    setAttributes(
+      attributes.map((attribute, i) => (i === index ? { ...attribute, ...changes } : attribute))
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} data-testid="attribute-schema-form">
+      {attributes.map((attribute, index) => (
+        <div className="border rounded p-2 mb-2" key={index}>
+          <div className="d-flex mb-2">
+            <input
+              type="text"
+              className="form-control me-2"
+              placeholder="Attribute name (e.g. Screen Size)"
+              value={attribute.name}
+              onChange={(e) => updateAttribute(index, { name: e.target.value })}
+              data-testid={`attribute-name-${index}`}
+            />
+            <select
+              className="form-select me-2"
+              value={attribute.type}
+              onChange={(e) => updateAttribute(index, { type: e.target.value })}
+              data-testid={`attribute-type-${index}`}
+            >
+              <option value="text">Text</option>
+              <option value="number">Number</option>
+              <option value="boolean">Yes / No</option>
+              <option value="select">List of values</option>
+            </select>
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Unit (e.g. in)"
+              value={attribute.unit || ""}
+              onChange={(e) => updateAttribute(index, { unit: e.target.value })}
+              data-testid={`attribute-unit-${index}`}
+            />
+          </div>
+          {attribute.type === "select" && (
+            <input
+              type="text"
+              className="form-control mb-2"
+              placeholder="Allowed values, comma separated (e.g. Red, Blue)"
+              value={(attribute.values || []).join(", ")}
+              onChange={(e) =>
+                updateAttribute(index, {
+                  values: e.target.value.split(",").map((value) => value.trimStart()),
+                })
+              }
+              data-testid={`attribute-values-${index}`}
+            />
+          )}
+          <div className="d-flex align-items-center">
+            <label className="form-check-label me-auto">
+              <input
+                type="checkbox"
+                className="form-check-input me-2"
+                checked={!!attribute.required}
+                onChange={(e) => updateAttribute(index, { required: e.target.checked })}
+                data-testid={`attribute-required-${index}`}
+              />
+              Required
+            </label>
+            <button
+              type="button"
+              className="btn btn-outline-danger"
+              onClick={() => setAttributes(attributes.filter((_, i) => i !== index))}
+              data-testid={`remove-attribute-${index}`}
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline-secondary me-2"
+        onClick={() =>
+          setAttributes([
+            ...attributes,
+            { name: "", type: "text", unit: "", required: false, values: [] },
+          ])
+        }
+        data-testid="add-attribute"
+      >
+        Add Attribute
+      </button>
+      <button type="submit" className="btn btn-primary" data-testid="save-attributes">
+        Save
+      </button>
+    </form>
+  );
+};
+
+export default AttributeSchemaForm;
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import AttributeSchemaForm from "./AttributeSchemaForm";
+
+/**
+ * Unit tests for AttributeSchemaForm component
+ *
+ * 1. Rendering: 2 tests
+ *    a. renders a row per attribute with its settings
+ *    b. shows the allowed values only for list attributes
+ * 2. Happy Path: 2 tests
+ *    a. adds, edits and removes attributes
+ *    b. submits the form
+ */
+
+// Keeps the attributes the way CreateCategory does
+const Harness = ({ initial = [], onChange = () => {}, handleSubmit = (e) => e.preventDefault() }) => {
+  const [attributes, setAttributes] = useState(initial);
+  onChange(attributes);
+  return (
+    <AttributeSchemaForm
+      attributes={attributes}
+      setAttributes={setAttributes}
+      handleSubmit={handleSubmit}
+    />
+  );
+};
+
+describe("AttributeSchemaForm", () => {
+  let latest;
+  const track = (attributes) => {
+    latest = attributes;
+  };
+
+  describe("Rendering", () => {
+    it("renders a row per attribute with its settings", () => {
+      render(
+        <Harness
+          initial={[{ key: "screen-size", name: "Screen Size", type: "number", unit: "in", required: true }]}
+        />
+      );
+
+      expect(screen.getByTestId("attribute-name-0")).toHaveValue("Screen Size");
+      expect(screen.getByTestId("attribute-type-0")).toHaveValue("number");
+      expect(screen.getByTestId("attribute-unit-0")).toHaveValue("in");
+      expect(screen.getByTestId("attribute-required-0")).toBeChecked();
+    });
+
+    it("shows the allowed values only for list attributes", () => {
+      render(
+        <Harness
+          initial={[
+            { name: "Author", type: "text" },
+            { name: "Colour", type: "select", values: ["Red", "Blue"] },
+            { name: "Size", type: "select" },
+          ]}
+        />
+      );
+
+      expect(screen.getByTestId("attribute-unit-0")).toHaveValue("");
+      expect(screen.queryByTestId("attribute-values-0")).not.toBeInTheDocument();
+      expect(screen.getByTestId("attribute-values-1")).toHaveValue("Red, Blue");
+      expect(screen.getByTestId("attribute-values-2")).toHaveValue("");
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("adds, edits and removes attributes", () => {
+      render(<Harness initial={[{ name: "Old", type: "text" }]} onChange={track} />);
+
+      fireEvent.click(screen.getByTestId("add-attribute"));
+      fireEvent.change(screen.getByTestId("attribute-name-1"), { target: { value: "Colour" } });
+      fireEvent.change(screen.getByTestId("attribute-type-1"), { target: { value: "select" } });
+      fireEvent.change(screen.getByTestId("attribute-values-1"), { target: { value: "Red, Navy Blue" } });
+      fireEvent.change(screen.getByTestId("attribute-unit-1"), { target: { value: "-" } });
+      fireEvent.click(screen.getByTestId("attribute-required-1"));
+      fireEvent.click(screen.getByTestId("remove-attribute-0"));
+
+      expect(latest).toEqual([
+        { name: "Colour", type: "select", unit: "-", required: true, values: ["Red", "Navy Blue"] },
+      ]);
+    });
+
+    it("submits the form", () => {
+      const handleSubmit = jest.fn((e) => e.preventDefault());
+      render(<Harness handleSubmit={handleSubmit} />);
+
+      fireEvent.click(screen.getByTestId("save-attributes"));
+
+      expect(handleSubmit).toHaveBeenCalled();
+    });
+  });
+});
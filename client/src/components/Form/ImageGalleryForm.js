@@ -0,0 +1,127 @@
+import React from "react";
+
+// Adds the gallery to the product form data: new files as "images" and the
+// final order of existing and new images, with their alt text, as "imageOrder"
+export const appendImages = (productData, images) => {
+  let upload = 0;
+  const imageOrder = images.map((image) => {
+    if (!image.file) return { id: image.fileId, alt: image.alt };
+    productData.append("images", image.file);
+    return { upload: upload++, alt: image.alt };
+  });
+  productData.append("imageOrder", JSON.stringify(imageOrder));
+};
+
+const ImageGalleryForm = ({ images, setImages, fallbackSrc }) => {
+  const addFiles = (files) => {
+    setImages([
+      ...images,
+      ...Array.from(files).map((file) => ({ file, alt: "", src: URL.createObjectURL(file) })),
+    ]);
+  };
+
+  const updateImage = (index, changes) => {
+    setImages(images.map((image, i) => (i === index ? { ...image, ...changes } : image)));
+  };
+
+  const moveImage = (from, to) => {
+    const next = [...images];
+    const [image] = next.splice(from, 1);
+    next.splice(to, 0, image);
+    setImages(next);
+  };
+
+  return (
+    <div className="mb-3" data-testid="image-gallery-form">
+      <div className="mb-3">
+        <label className="btn btn-outline-secondary col-md-12" data-testid="upload-photo-button">
+          Upload Photos
+          <input
+            data-testid="upload-photo-input"
+            type="file"
+            name="images"
+            accept="image/*"
+            multiple
+            onChange={(e) => addFiles(e.target.files)}
+            hidden
+          />
+        </label>
+      </div>
+      {images.length === 0 && fallbackSrc && (
+        <div className="text-center">
+          <img
+            src={fallbackSrc}
+            alt="product_photo"
+            height={"200px"}
+            className="img img-responsive"
+          />
+        </div>
+      )}
+      {images.map((image, index) => (
+        <div className="d-flex align-items-center mb-2" key={index} data-testid={`gallery-image-${index}`}>
+          <img
+            src={image.src}
+            alt={image.alt || "product_photo"}
+            height={"100px"}
+            className="img img-responsive me-2"
+          />
+          <div className="flex-grow-1 me-2">
+            <div>
+              {image.file ? image.file.name : `Image ${index + 1}`}
+              {index === 0 && (
+                <span className="badge bg-secondary ms-2" data-testid="gallery-primary-badge">
+                  Primary
+                </span>
+              )}
+            </div>
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Alt text"
+              value={image.alt}
+              onChange={(e) => updateImage(index, { alt: e.target.value })}
+              data-testid={`gallery-alt-${index}`}
+            />
+          </div>
+          <button
+            type="button"
+            className="btn btn-outline-secondary me-1"
+            disabled={index === 0}
+            onClick={() => moveImage(index, 0)}
+            data-testid={`gallery-primary-${index}`}
+          >
+            Make Primary
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-secondary me-1"
+            disabled={index === 0}
+            onClick={() => moveImage(index, index - 1)}
+            data-testid={`gallery-up-${index}`}
+          >
+            Up
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-secondary me-1"
+            disabled={index === images.length - 1}
+            onClick={() => moveImage(index, index + 1)}
+            data-testid={`gallery-down-${index}`}
+          >
+            Down
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-danger"
+            onClick={() => setImages(images.filter((_, i) => i !== index))}
+            data-testid={`gallery-remove-${index}`}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ImageGalleryForm;
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ImageGalleryForm, { appendImages } from "./ImageGalleryForm";
+
+/**
+ * Unit tests for ImageGalleryForm component
+ *
+ * 1. Rendering: 3 tests
+ *    a. renders the fallback photo when the gallery is empty
+ *    b. renders a row per image with the primary one marked
+ *    c. disables moves that would leave the gallery
+ * 2. Happy Path: 4 tests
+ *    a. adds every selected file as a new image
+ *    b. edits alt text and removes images
+ *    c. reorders images and makes one primary
+ *    d. appendImages sends new files and the final image order
+ */
+
+global.URL.createObjectURL = jest.fn((file) => `blob:${file.name}`);
+
+// Keeps the gallery state the way CreateProduct/UpdateProduct do
+const Harness = ({ initialImages = [], fallbackSrc, onChange = () => {} }) => {
+  const [images, setImages] = useState(initialImages);
+  onChange(images);
+  return <ImageGalleryForm images={images} setImages={setImages} fallbackSrc={fallbackSrc} />;
+};
+
+const existing = [
+  { fileId: "g1", alt: "Front", src: "/api/v1/product/product-photo/p1/0" },
+  { fileId: "g2", alt: "", src: "/api/v1/product/product-photo/p1/1" },
+];
+
+describe("ImageGalleryForm", () => {
+  let latest;
+  const track = (images) => {
+    latest = images;
+  };
+
+  beforeEach(() => {
+    latest = undefined;
+  });
+
+  describe("Rendering", () => {
+    it("renders the fallback photo when the gallery is empty", () => {
+      render(<Harness fallbackSrc="/api/v1/product/product-photo/p1" />);
+
+      expect(screen.getByAltText("product_photo")).toHaveAttribute("src", "/api/v1/product/product-photo/p1");
+      expect(screen.getByTestId("upload-photo-button")).toHaveTextContent("Upload Photos");
+    });
+
+    it("renders a row per image with the primary one marked", () => {
+      render(<Harness initialImages={existing} fallbackSrc="/api/v1/product/product-photo/p1" />);
+
+      expect(screen.getByTestId("gallery-image-0")).toHaveTextContent("Image 1");
+      expect(screen.getAllByTestId("gallery-primary-badge")).toHaveLength(1);
+      expect(screen.getByTestId("gallery-image-0")).toContainElement(screen.getByTestId("gallery-primary-badge"));
+      expect(screen.getByAltText("Front")).toHaveAttribute("src", existing[0].src);
+      expect(screen.getByAltText("product_photo")).toHaveAttribute("src", existing[1].src);
+      expect(screen.getByTestId("gallery-alt-0")).toHaveValue("Front");
+    });
+
+    it("disables moves that would leave the gallery", () => {
+      render(<Harness initialImages={existing} />);
+
+      expect(screen.getByTestId("gallery-primary-0")).toBeDisabled();
+      expect(screen.getByTestId("gallery-up-0")).toBeDisabled();
+      expect(screen.getByTestId("gallery-down-1")).toBeDisabled();
+      expect(screen.getByTestId("gallery-down-0")).toBeEnabled();
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("adds every selected file as a new image", () => {
+      const front = new File(["a"], "front.png", { type: "image/png" });
+      const back = new File(["b"], "back.png", { type: "image/png" });
+      render(<Harness initialImages={[existing[0]]} onChange={track} />);
+
+      fireEvent.change(screen.getByTestId("upload-photo-input"), { target: { files: [front, back] } });
+
+      expect(latest).toEqual([
+        existing[0],
+        { file: front, alt: "", src: "blob:front.png" },
+        { file: back, alt: "", src: "blob:back.png" },
+      ]);
+      expect(screen.getByText("back.png")).toBeInTheDocument();
+    });
+
+    it("edits alt text and removes images", () => {
+      render(<Harness initialImages={existing} onChange={track} />);
+
+      fireEvent.change(screen.getByTestId("gallery-alt-1"), { target: { value: "Back" } });
+      fireEvent.click(screen.getByTestId("gallery-remove-0"));
+
+      expect(latest).toEqual([{ ...existing[1], alt: "Back" }]);
+    });
+
+    it("reorders images and makes one primary", () => {
+      const third = { fileId: "g3", alt: "Side", src: "/api/v1/product/product-photo/p1/2" };
+      render(<Harness initialImages={[...existing, third]} onChange={track} />);
+
+      fireEvent.click(screen.getByTestId("gallery-down-0"));
+      expect(latest.map((image) => image.fileId)).toEqual(["g2", "g1", "g3"]);
+
+      fireEvent.click(screen.getByTestId("gallery-up-2"));
+      expect(latest.map((image) => image.fileId)).toEqual(["g2", "g3", "g1"]);
+
+      fireEvent.click(screen.getByTestId("gallery-primary-2"));
+      expect(latest.map((image) => image.fileId)).toEqual(["g1", "g2", "g3"]);
+    });
+
+    it("appendImages sends new files and the final image order", () => {
+      const front = new File(["a"], "front.png", { type: "image/png" });
+      const back = new File(["b"], "back.png", { type: "image/png" });
+      const productData = new FormData();
+
+      appendImages(productData, [
+        { file: back, alt: "Back" },
+        existing[0],
+        { file: front, alt: "" },
+      ]);
+
+      expect(productData.getAll("images")).toEqual([back, front]);
+      expect(JSON.parse(productData.get("imageOrder"))).toEqual([
+        { upload: 0, alt: "Back" },
+        { id: "g1", alt: "Front" },
+        { upload: 1, alt: "" },
+      ]);
+    });
+  });
+});
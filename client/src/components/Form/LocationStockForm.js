@@ -0,0 +1,94 @@
+import React from "react";
+
+// Stock per location of the product form for a product loaded from the API, e.g.
+// [{ location: "l1", sku: "TEE-M", quantity: "3" }]; quantities are input values
+export const toLocationStock = (product) =>
+  (product?.locationStock || []).map((entry) => ({
+    location: String(entry.location?._id ?? entry.location),
+    sku: entry.sku || "",
+    quantity: String(entry.quantity),
+  }));
+
+// SKUs the stock is kept for: one row per variant, or a single row for a product without them
+const stockSkus = (variants) => (variants.length ? variants.map((variant) => variant.sku) : [""]);
+
+// Adds the stock per location to the product form data, leaving out the entries of variants no
+// longer on the form. When some stock is kept per location the product's quantity is their
+// total; an empty list stops keeping the product's stock per location.
+export const appendLocationStock = (productData, locationStock, variants = []) => {
+  const skus = stockSkus(variants);
+  const entries = locationStock.filter((entry) => skus.includes(entry.sku));
+  productData.append("locationStock", JSON.stringify(entries));
+  if (entries.length) {
+    const total = entries.reduce((sum, entry) => sum + Number(entry.quantity), 0);
+    productData.set("quantity", String(total));
+  }
+};
+
+const LocationStockForm = ({ locationStock, setLocationStock, locations = [], variants = [] }) => {
+  const skus = stockSkus(variants);
+  const entries = locationStock.filter((entry) => skus.includes(entry.sku));
+  const total = entries.reduce((sum, entry) => sum + Number(entry.quantity), 0);
+
+  const quantityAt = (location, sku) =>
+    locationStock.find((entry) => entry.location === location && entry.sku === sku)?.quantity ?? "";
+
+  // an emptied input stops keeping the SKU's stock at the location
+  const setQuantity = (location, sku, quantity) => {
+    const others = locationStock.filter((entry) => entry.location !== location || entry.sku !== sku);
+    setLocationStock(quantity === "" ? others : [...others, { location, sku, quantity }]);
+  };
+
+  return (
+    <div className="mb-3" data-testid="location-stock-form">
+      <h5>Stock per location</h5>
+      {locations.length === 0 ? (
+        <p className="text-muted">Add stock locations to keep the stock per location</p>
+      ) : (
+        <>
+          <p className="text-muted">
+            Leave empty to keep a single stock count. Stock kept per location sets the stock of the
+            product and its variants to the total across the locations.
+          </p>
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th scope="col">SKU</th>
+                {locations.map((location) => (
+                  <th scope="col" key={location._id}>
+                    {location.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {skus.map((sku) => (
+                <tr key={sku}>
+                  <td>{sku || "Stock"}</td>
+                  {locations.map((location) => (
+                    <td key={location._id}>
+                      <input
+                        type="number"
+                        step="1"
+                        className="form-control"
+                        aria-label={`${sku || "Stock"} at ${location.name}`}
+                        value={quantityAt(location._id, sku)}
+                        onChange={(e) => setQuantity(location._id, sku, e.target.value)}
+                        data-testid={`location-stock-${location._id}-${sku}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.length > 0 && (
+            <p data-testid="location-stock-total">Total across the locations: {total}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LocationStockForm;
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import LocationStockForm, { appendLocationStock, toLocationStock } from "./LocationStockForm";
+
+/**
+ * Unit tests for LocationStockForm component
+ *
+ * 1. Rendering: 2 tests
+ *    a. asks for locations when the store has none
+ *    b. shows a row per variant SKU and a column per location
+ * 2. Happy Path: 2 tests
+ *    a. keeps the stock typed per location and its total, and drops an emptied entry
+ *    b. appendLocationStock sends the entries of the current SKUs and their total as the quantity
+ * 3. Helpers: 1 test
+ *    a. toLocationStock fills the form from a product
+ */
+
+const locations = [
+  { _id: "l1", name: "North" },
+  { _id: "l2", name: "South" },
+];
+
+// Keeps the stock per location the way CreateProduct/UpdateProduct do
+const Harness = ({ initial = [], variants, onChange = () => {} }) => {
+  const [locationStock, setLocationStock] = useState(initial);
+  onChange(locationStock);
+  return (
+    <LocationStockForm
+      locationStock={locationStock}
+      setLocationStock={setLocationStock}
+      locations={locations}
+      variants={variants}
+    />
+  );
+};
+
+describe("LocationStockForm", () => {
+  let latest;
+  const track = (locationStock) => {
+    latest = locationStock;
+  };
+
+  describe("Rendering", () => {
+    it("asks for locations when the store has none", () => {
+      render(<LocationStockForm locationStock={[]} setLocationStock={jest.fn()} />);
+
+      expect(screen.getByText("Add stock locations to keep the stock per location")).toBeInTheDocument();
+      expect(screen.queryByRole("table")).not.toBeInTheDocument();
+    });
+
+    it("shows a row per variant SKU and a column per location", () => {
+      const variants = [{ sku: "TEE-S" }, { sku: "TEE-M" }];
+      render(<Harness variants={variants} initial={[{ location: "l2", sku: "TEE-M", quantity: "4" }]} />);
+
+      expect(screen.getByRole("columnheader", { name: "North" })).toBeInTheDocument();
+      expect(screen.getByRole("columnheader", { name: "South" })).toBeInTheDocument();
+      expect(screen.getByTestId("location-stock-l1-TEE-S")).toHaveValue(null);
+      expect(screen.getByTestId("location-stock-l2-TEE-M")).toHaveValue(4);
+      expect(screen.getByTestId("location-stock-total")).toHaveTextContent("Total across the locations: 4");
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("keeps the stock typed per location and its total, and drops an emptied entry", () => {
+      render(<Harness onChange={track} />);
+
+      expect(screen.queryByTestId("location-stock-total")).not.toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText("Stock at North"), { target: { value: "5" } });
+      fireEvent.change(screen.getByTestId("location-stock-l2-"), { target: { value: "2" } });
+
+      expect(latest).toEqual([
+        { location: "l1", sku: "", quantity: "5" },
+        { location: "l2", sku: "", quantity: "2" },
+      ]);
+      expect(screen.getByTestId("location-stock-total")).toHaveTextContent("7");
+
+      fireEvent.change(screen.getByTestId("location-stock-l1-"), { target: { value: "" } });
+
+      expect(latest).toEqual([{ location: "l2", sku: "", quantity: "2" }]);
+    });
+
+    it("appendLocationStock sends the entries of the current SKUs and their total as the quantity", () => {
+      const locationStock = [
+        { location: "l1", sku: "TEE-M", quantity: "3" },
+        { location: "l2", sku: "TEE-M", quantity: "1" },
+        // a variant removed from the form
+        { location: "l1", sku: "TEE-XL", quantity: "9" },
+      ];
+      const productData = new FormData();
+      productData.append("quantity", "20");
+
+      appendLocationStock(productData, locationStock, [{ sku: "TEE-M" }]);
+
+      expect(JSON.parse(productData.get("locationStock"))).toEqual(locationStock.slice(0, 2));
+      expect(productData.getAll("quantity")).toEqual(["4"]);
+
+      // no stock kept per location: the typed quantity is sent
+      const single = new FormData();
+      single.append("quantity", "20");
+      appendLocationStock(single, locationStock);
+
+      expect(single.get("locationStock")).toBe("[]");
+      expect(single.get("quantity")).toBe("20");
+    });
+  });
+
+  describe("Helpers", () => {
+    it("toLocationStock fills the form from a product", () => {
+      expect(
+        toLocationStock({
+          locationStock: [
+            { location: "l1", sku: "TEE-M", quantity: 3 },
+            { location: { _id: "l2", name: "South" }, quantity: 0 },
+          ],
+        })
+      ).toEqual([
+        { location: "l1", sku: "TEE-M", quantity: "3" },
+        { location: "l2", sku: "", quantity: "0" },
+      ]);
+      expect(toLocationStock()).toEqual([]);
+    });
+  });
+});
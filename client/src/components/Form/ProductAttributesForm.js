@@ -0,0 +1,74 @@
+import React from "react";
+
+// Adds the attribute values of the category's attributes to the product form data.
+// Values of attributes the category does not define, e.g. after switching category, are dropped.
+export const appendAttributes = (productData, schema, attributes) => {
+  const values = {};
+  for (const attribute of schema) {
+    const value = attributes[attribute.key];
+    if (value !== undefined && value !== "") values[attribute.key] = value;
+  }
+  productData.append("attributes", JSON.stringify(values));
+};
+
+const ProductAttributesForm = ({ schema, attributes, setAttributes }) => {
+  if (!schema?.length) return null;
+
+  const update = (key, value) => setAttributes({ ...attributes, [key]: value });
+
+  const renderInput = (attribute) => {
+    const value = attributes[attribute.key] ?? "";
+    const props = {
+      id: `attribute-${attribute.key}`,
+      "data-testid": `attribute-input-${attribute.key}`,
+      value: String(value),
+      onChange: (e) => update(attribute.key, e.target.value),
+    };
+    if (attribute.type === "boolean") {
+      return (
+        <select className="form-select" {...props}>
+          <option value="">-</option>
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      );
+    }
+    if (attribute.type === "select") {
+      return (
+        <select className="form-select" {...props}>
+          <option value="">-</option>
+          {attribute.values.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={attribute.type === "number" ? "number" : "text"}
+        className="form-control"
+        {...props}
+      />
+    );
+  };
+
+  return (
+    <div className="mb-3" data-testid="product-attributes-form">
+      <h5>Specifications</h5>
+      {schema.map((attribute) => (
+        <div className="mb-2" key={attribute.key}>
+          <label className="form-label" htmlFor={`attribute-${attribute.key}`}>
+            {attribute.name}
+            {attribute.unit && ` (${attribute.unit})`}
+            {attribute.required && " *"}
+          </label>
+          {renderInput(attribute)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProductAttributesForm;
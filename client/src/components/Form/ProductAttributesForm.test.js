@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ProductAttributesForm, { appendAttributes } from "./ProductAttributesForm";
+
+/**
+ * Unit tests for ProductAttributesForm component
+ *
+ * 1. Rendering: 2 tests
+ *    a. renders nothing when the category has no attributes
+ *    b. renders an input per attribute type with its unit and required mark
+ * 2. Happy Path: 2 tests
+ *    a. edits the attribute values
+ *    b. appendAttributes sends only the category's attributes that have a value
+ */
+
+const schema = [
+  { key: "screen-size", name: "Screen Size", type: "number", unit: "in", required: true, values: [] },
+  { key: "author", name: "Author", type: "text", unit: "", required: false, values: [] },
+  { key: "backlit", name: "Backlit", type: "boolean", unit: "", required: false, values: [] },
+  { key: "colour", name: "Colour", type: "select", unit: "", required: false, values: ["Red", "Blue"] },
+];
+
+// Keeps the attribute values the way CreateProduct/UpdateProduct do
+const Harness = ({ schema, initial = {}, onChange = () => {} }) => {
+  const [attributes, setAttributes] = useState(initial);
+  onChange(attributes);
+  return <ProductAttributesForm schema={schema} attributes={attributes} setAttributes={setAttributes} />;
+};
+
+describe("ProductAttributesForm", () => {
+  let latest;
+  const track = (attributes) => {
+    latest = attributes;
+  };
+
+  describe("Rendering", () => {
+    it("renders nothing when the category has no attributes", () => {
+      const { container } = render(<Harness schema={[]} />);
+
+      expect(container).toBeEmptyDOMElement();
+    });
+
+    it("renders an input per attribute type with its unit and required mark", () => {
+      render(<Harness schema={schema} initial={{ "screen-size": 13.3, backlit: true }} />);
+
+      expect(screen.getByLabelText("Screen Size (in) *")).toHaveValue(13.3);
+      expect(screen.getByLabelText("Author")).toHaveAttribute("type", "text");
+      expect(screen.getByLabelText("Backlit")).toHaveValue("true");
+      expect(screen.getByLabelText("Colour")).toHaveValue("");
+      expect(screen.getByRole("option", { name: "Blue" })).toBeInTheDocument();
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("edits the attribute values", () => {
+      render(<Harness schema={schema} onChange={track} />);
+
+      fireEvent.change(screen.getByTestId("attribute-input-screen-size"), { target: { value: "15" } });
+      fireEvent.change(screen.getByTestId("attribute-input-author"), { target: { value: "Tolkien" } });
+      fireEvent.change(screen.getByTestId("attribute-input-backlit"), { target: { value: "false" } });
+      fireEvent.change(screen.getByTestId("attribute-input-colour"), { target: { value: "Red" } });
+
+      expect(latest).toEqual({ "screen-size": "15", author: "Tolkien", backlit: "false", colour: "Red" });
+    });
+
+    it("appendAttributes sends only the category's attributes that have a value", () => {
+      const productData = new FormData();
+
+      appendAttributes(productData, schema, { "screen-size": 14, author: "", backlit: false, pages: 300 });
+
+      expect(JSON.parse(productData.get("attributes"))).toEqual({ "screen-size": 14, backlit: false });
+    });
+  });
+});
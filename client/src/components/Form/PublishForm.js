@@ -0,0 +1,94 @@
+import React from "react";
+
+// datetime-local inputs work in local time without a timezone, e.g. "2024-06-01T09:00"
+const toDateTimeInput = (date) => {
+  if (!date) return "";
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Publishing state of the product form for a product loaded from the API
+export const toPublishing = (product) => ({
+  status: product?.status || "published",
+  publishAt: toDateTimeInput(product?.publishAt),
+  unpublishAt: toDateTimeInput(product?.unpublishAt),
+});
+
+// Adds the status and the publish dates, as ISO dates, to the product form data
+export const appendPublishing = (productData, publishing) => {
+  productData.append("status", publishing.status);
+  productData.append(
+    "publishAt",
+    publishing.status === "scheduled" && publishing.publishAt
+      ? new Date(publishing.publishAt).toISOString()
+      : ""
+  );
+  productData.append(
+    "unpublishAt",
+    publishing.status !== "draft" && publishing.unpublishAt
+      ? new Date(publishing.unpublishAt).toISOString()
+      : ""
+  );
+};
+
+// What shoppers currently see of the product, for the admin product list
+export const publishLabel = (product, now = new Date()) => {
+  const { status = "published", publishAt, unpublishAt } = product;
+  if (status === "draft") return "Draft";
+  if (unpublishAt && new Date(unpublishAt) <= now) return "Unpublished";
+  if (status === "scheduled" && new Date(publishAt) > now) {
+    return `Scheduled for ${new Date(publishAt).toLocaleString()}`;
+  }
+  return "Published";
+};
+
+const PublishForm = ({ publishing, setPublishing }) => {
+  const update = (changes) => setPublishing({ ...publishing, ...changes });
+
+  return (
+    <div className="mb-3" data-testid="publish-form">
+      <select
+        data-testid="status-select"
+        className="form-select mb-3"
+        value={publishing.status}
+        onChange={(e) => update({ status: e.target.value })}
+      >
+        <option value="draft">Draft</option>
+        <option value="published">Published</option>
+        <option value="scheduled">Scheduled</option>
+      </select>
+      {publishing.status === "scheduled" && (
+        <div className="mb-3">
+          <label className="form-label" htmlFor="publish-at">
+            Publish on
+          </label>
+          <input
+            id="publish-at"
+            data-testid="publish-at-input"
+            type="datetime-local"
+            className="form-control"
+            value={publishing.publishAt}
+            onChange={(e) => update({ publishAt: e.target.value })}
+          />
+        </div>
+      )}
+      {publishing.status !== "draft" && (
+        <div className="mb-3">
+          <label className="form-label" htmlFor="unpublish-at">
+            Unpublish on (optional)
+          </label>
+          <input
+            id="unpublish-at"
+            data-testid="unpublish-at-input"
+            type="datetime-local"
+            className="form-control"
+            value={publishing.unpublishAt}
+            onChange={(e) => update({ unpublishAt: e.target.value })}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublishForm;
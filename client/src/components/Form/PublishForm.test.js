@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import PublishForm, { appendPublishing, publishLabel, toPublishing } from "./PublishForm";
+
+/**
+ * Unit tests for PublishForm component
+ *
+ * 1. Rendering: 2 tests
+ *    a. shows only the unpublish date for a published product
+ *    b. hides the dates of a draft
+ * 2. Happy Path: 2 tests
+ *    a. schedules a product with publish and unpublish dates
+ *    b. appendPublishing sends ISO dates and drops dates the status does not use
+ * 3. Helpers: 2 tests
+ *    a. toPublishing fills the form from a product
+ *    b. publishLabel describes what shoppers see
+ */
+
+// Keeps the publishing state the way CreateProduct/UpdateProduct do
+const Harness = ({ initial, onChange = () => {} }) => {
+  const [publishing, setPublishing] = useState(initial);
+  onChange(publishing);
+  return <PublishForm publishing={publishing} setPublishing={setPublishing} />;
+};
+
+describe("PublishForm", () => {
+  let latest;
+  const track = (publishing) => {
+    latest = publishing;
+  };
+
+  describe("Rendering", () => {
+    it("shows only the unpublish date for a published product", () => {
+      render(<Harness initial={{ status: "published", publishAt: "", unpublishAt: "" }} />);
+
+      expect(screen.getByTestId("status-select")).toHaveValue("published");
+      expect(screen.queryByTestId("publish-at-input")).not.toBeInTheDocument();
+      expect(screen.getByTestId("unpublish-at-input")).toBeInTheDocument();
+    });
+
+    it("hides the dates of a draft", () => {
+      render(<Harness initial={{ status: "draft", publishAt: "", unpublishAt: "" }} />);
+
+      expect(screen.queryByTestId("publish-at-input")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("unpublish-at-input")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("schedules a product with publish and unpublish dates", () => {
+      render(<Harness initial={{ status: "draft", publishAt: "", unpublishAt: "" }} onChange={track} />);
+
+      fireEvent.change(screen.getByTestId("status-select"), { target: { value: "scheduled" } });
+      fireEvent.change(screen.getByTestId("publish-at-input"), { target: { value: "2024-06-01T09:00" } });
+      fireEvent.change(screen.getByTestId("unpublish-at-input"), { target: { value: "2024-07-01T09:00" } });
+
+      expect(latest).toEqual({
+        status: "scheduled",
+        publishAt: "2024-06-01T09:00",
+        unpublishAt: "2024-07-01T09:00",
+      });
+    });
+
+    it("appendPublishing sends ISO dates and drops dates the status does not use", () => {
+      const scheduled = new FormData();
+      appendPublishing(scheduled, {
+        status: "scheduled",
+        publishAt: "2024-06-01T09:00",
+        unpublishAt: "2024-07-01T09:00",
+      });
+      expect(scheduled.get("status")).toBe("scheduled");
+      expect(scheduled.get("publishAt")).toBe(new Date("2024-06-01T09:00").toISOString());
+      expect(scheduled.get("unpublishAt")).toBe(new Date("2024-07-01T09:00").toISOString());
+
+      const draft = new FormData();
+      appendPublishing(draft, { status: "draft", publishAt: "2024-06-01T09:00", unpublishAt: "2024-07-01T09:00" });
+      expect(draft.get("publishAt")).toBe("");
+      expect(draft.get("unpublishAt")).toBe("");
+    });
+  });
+
+  describe("Helpers", () => {
+    it("toPublishing fills the form from a product", () => {
+      const publishAt = new Date(2024, 5, 1, 9, 30);
+
+      expect(toPublishing({ status: "scheduled", publishAt: publishAt.toISOString(), unpublishAt: null })).toEqual({
+        status: "scheduled",
+        publishAt: "2024-06-01T09:30",
+        unpublishAt: "",
+      });
+      expect(toPublishing({})).toEqual({ status: "published", publishAt: "", unpublishAt: "" });
+    });
+
+    it("publishLabel describes what shoppers see", () => {
+      const now = new Date("2024-06-15T00:00:00Z");
+
+      expect(publishLabel({ status: "draft" }, now)).toBe("Draft");
+      expect(publishLabel({}, now)).toBe("Published");
+      expect(publishLabel({ status: "published", unpublishAt: "2024-06-01T00:00:00Z" }, now)).toBe("Unpublished");
+      expect(publishLabel({ status: "scheduled", publishAt: "2024-06-01T00:00:00Z" }, now)).toBe("Published");
+      expect(publishLabel({ status: "scheduled", publishAt: "2024-07-01T00:00:00Z" }, now)).toBe(
+        `Scheduled for ${new Date("2024-07-01T00:00:00Z").toLocaleString()}`
+      );
+    });
+  });
+});
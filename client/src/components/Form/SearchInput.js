@@ -1,42 +1,174 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useSearch } from "../../context/search";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+
+// wait for a pause in typing before asking for suggestions
+export const SUGGESTION_DELAY = 300;
+
+const noSuggestions = { queries: [], products: [], categories: [] };
+
+// Name with the fragments matching the typed text in bold
+const Highlight = ({ fragments }) =>
+  fragments.map((fragment, index) =>
+    fragment.match ? <strong key={index}>{fragment.text}</strong> : <span key={index}>{fragment.text}</span>
+  );
+
 const SearchInput = () => {
   const [values, setValues] = useSearch();
   const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState(noSuggestions);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const timer = useRef();
+  // only the latest request may update the suggestions, an earlier one can answer last
+  const latestRequest = useRef(0);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    try {
-      const { data } = await axios.get(
-        `/api/v1/product/search/${values.keyword}`
-      );
-      setValues({ ...values, results: data });
-      // Bug fix: Updated navigate to include search results in query parameters - Ong Chang Heng Bertrand A0253013X
-      navigate("/search?keyword=" + values.keyword);
-    } catch (error) {
-      console.log(error);
+  useEffect(() => {
+    const typed = values.keyword.trim();
+    if (!typed) {
+      setSuggestions(noSuggestions);
+      return;
     }
+    timer.current = setTimeout(async () => {
+      const request = ++latestRequest.current;
+      try {
+        const { data } = await axios.get("/api/v1/product/search-suggestions", {
+          params: { q: typed },
+        });
+        if (request !== latestRequest.current) return;
+        setSuggestions({
+          queries: data?.queries || [],
+          products: data?.products || [],
+          categories: data?.categories || [],
+        });
+        setActive(-1);
+      } catch (error) {
+        console.log(error);
+      }
+    }, SUGGESTION_DELAY);
+    return () => clearTimeout(timer.current);
+  }, [values.keyword]);
+
+  // one list for the keyboard to move through: popular queries, then products, then categories
+  const items = [
+    ...suggestions.queries.map((s) => ({
+      ...s,
+      key: `query-${s.query}`,
+      to: `/search?keyword=${encodeURIComponent(s.query)}`,
+      keyword: s.query,
+    })),
+    ...suggestions.products.map((s) => ({ ...s, key: `product-${s._id}`, to: `/product/${s.slug}` })),
+    ...suggestions.categories.map((s) => ({ ...s, key: `category-${s._id}`, to: `/category/${s.slug}` })),
+  ];
+  const showSuggestions = open && items.length > 0;
+
+  const close = () => {
+    clearTimeout(timer.current);
+    setOpen(false);
+    setActive(-1);
+  };
+
+  const select = (item) => {
+    close();
+    if (item.keyword) setValues({ ...values, keyword: item.keyword });
+    navigate(item.to);
   };
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      // -1 is the typed text, so moving past either end goes back to it
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const slots = items.length + 1;
+      setActive(((active + 1 + step + slots) % slots) - 1);
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      select(items[active]);
+    } else if (e.key === "Escape") {
+      close();
+    }
+  };
+
+  // the search page fetches the results for the keyword in its query string
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    close();
+    // Bug fix: Updated navigate to include search results in query parameters - Ong Chang Heng Bertrand A0253013X
+    navigate("/search?keyword=" + encodeURIComponent(values.keyword));
+  };
+
+  const renderGroup = (title, kind) => {
+    const group = items.filter((item) => item.key.startsWith(`${kind}-`));
+    if (!group.length) return null;
+    return (
+      <>
+        <li className="dropdown-header">{title}</li>
+        {group.map((item) => {
+          const index = items.indexOf(item);
+          return (
+            <li
+              key={item.key}
+              id={`suggestion-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={`dropdown-item${index === active ? " active" : ""}`}
+              data-testid={`suggestion-${item.key}`}
+              // mousedown fires before the input loses focus and closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(item);
+              }}
+            >
+              <Highlight fragments={item.highlight} />
+            </li>
+          );
+        })}
+      </>
+    );
+  };
+
   return (
-    <div>
+    <div className="position-relative">
       <form className="d-flex" role="search" onSubmit={handleSubmit}>
         <input
           className="form-control me-2"
           type="search"
           placeholder="Search"
           aria-label="Search"
+          role="combobox"
+          aria-expanded={showSuggestions}
+          aria-controls="search-suggestions"
+          aria-activedescendant={active >= 0 ? `suggestion-${active}` : undefined}
+          autoComplete="off"
           value={values.keyword}
-          onChange={(e) => setValues({ ...values, keyword: e.target.value })}
+          onChange={(e) => {
+            setValues({ ...values, keyword: e.target.value });
+            setOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={close}
           data-testid="search-input"
         />
         <button className="btn btn-outline-success" type="submit" data-testid="search-button">
           Search
         </button>
       </form>
+      {showSuggestions && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="dropdown-menu show w-100"
+          data-testid="search-suggestions"
+        >
+          {renderGroup("Popular searches", "query")}
+          {renderGroup("Products", "product")}
+          {renderGroup("Categories", "category")}
+        </ul>
+      )}
     </div>
   );
 };
 
-export default SearchInput;
\ No newline at end of file
+export default SearchInput;
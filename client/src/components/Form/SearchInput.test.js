@@ -0,0 +1,221 @@
+import React from "react";
+import { render, screen, fireEvent, act, within } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import SearchInput, { SUGGESTION_DELAY } from "./SearchInput";
+import { SearchProvider } from "../../context/search";
+
+jest.mock("axios");
+
+const mockNavigate = jest.fn();
+jest.mock("react-router-dom", () => ({
+  ...jest.requireActual("react-router-dom"),
+  useNavigate: () => mockNavigate,
+}));
+
+/**
+ * Unit tests for SearchInput component
+ *
+ * 1. Happy Path: 5 tests
+ *    a. asks for suggestions once typing pauses and shows them grouped with the match in bold
+ *    b. submits the typed keyword to the search page
+ *    c. moves through the suggestions with the arrow keys and opens the chosen one with Enter
+ *    d. opens a product or category suggestion when clicked
+ *    e. closes the suggestions on Escape
+ * 2. Edge cases: 2 tests
+ *    a. does not ask for suggestions for blank text
+ *    b. shows nothing when there are no suggestions
+ * 3. Error handling: 2 tests
+ *    a. keeps the input usable when the suggestions request fails
+ *    b. ignores suggestions that arrive after newer ones were asked for
+ */
+
+const suggestions = {
+  success: true,
+  queries: [
+    {
+      query: "laptop bag",
+      highlight: [
+        { text: "lap", match: true },
+        { text: "top bag", match: false },
+      ],
+    },
+  ],
+  products: [
+    {
+      _id: "p1",
+      name: "Gaming Laptop",
+      slug: "gaming-laptop",
+      highlight: [
+        { text: "Gaming ", match: false },
+        { text: "Lap", match: true },
+        { text: "top", match: false },
+      ],
+    },
+  ],
+  categories: [
+    {
+      _id: "c1",
+      name: "Laptops",
+      slug: "laptops",
+      highlight: [
+        { text: "Lap", match: true },
+        { text: "tops", match: false },
+      ],
+    },
+  ],
+};
+
+const renderSearchInput = () =>
+  render(
+    <SearchProvider>
+      <SearchInput />
+    </SearchProvider>
+  );
+
+// Types the text and lets the debounce run out so the suggestions are fetched
+const typeAndWait = async (text) => {
+  fireEvent.change(screen.getByTestId("search-input"), { target: { value: text } });
+  await act(async () => {
+    jest.advanceTimersByTime(SUGGESTION_DELAY);
+  });
+};
+
+describe("SearchInput", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "log").mockImplementation();
+    axios.get.mockResolvedValue({ data: suggestions });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("asks for suggestions once typing pauses and shows them grouped with the match in bold", async () => {
+      renderSearchInput();
+
+      fireEvent.change(screen.getByTestId("search-input"), { target: { value: "la" } });
+      await typeAndWait("lap");
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search-suggestions", {
+        params: { q: "lap" },
+      });
+      expect(screen.getByText("Popular searches")).toBeInTheDocument();
+      expect(screen.getByText("Products")).toBeInTheDocument();
+      expect(screen.getByText("Categories")).toBeInTheDocument();
+      const product = screen.getByTestId("suggestion-product-p1");
+      expect(product).toHaveTextContent("Gaming Laptop");
+      expect(within(product).getByText("Lap").tagName).toBe("STRONG");
+      expect(screen.getByTestId("search-input")).toHaveAttribute("aria-expanded", "true");
+    });
+
+    it("submits the typed keyword to the search page", async () => {
+      renderSearchInput();
+      await typeAndWait("gaming laptop");
+
+      fireEvent.click(screen.getByTestId("search-button"));
+
+      expect(mockNavigate).toHaveBeenCalledWith("/search?keyword=gaming%20laptop");
+      expect(screen.queryByTestId("search-suggestions")).not.toBeInTheDocument();
+    });
+
+    it("moves through the suggestions with the arrow keys and opens the chosen one with Enter", async () => {
+      renderSearchInput();
+      await typeAndWait("lap");
+      const input = screen.getByTestId("search-input");
+
+      fireEvent.keyDown(input, { key: "ArrowUp" });
+      expect(screen.getByTestId("suggestion-category-c1")).toHaveAttribute("aria-selected", "true");
+      fireEvent.keyDown(input, { key: "ArrowDown" });
+      expect(input).not.toHaveAttribute("aria-activedescendant");
+      fireEvent.keyDown(input, { key: "ArrowDown" });
+      expect(input).toHaveAttribute("aria-activedescendant", "suggestion-0");
+      expect(screen.getByTestId("suggestion-query-laptop bag")).toHaveClass("active");
+
+      fireEvent.keyDown(input, { key: "Enter" });
+
+      expect(mockNavigate).toHaveBeenCalledWith("/search?keyword=laptop%20bag");
+      expect(input).toHaveValue("laptop bag");
+      expect(screen.queryByTestId("search-suggestions")).not.toBeInTheDocument();
+    });
+
+    it("opens a product or category suggestion when clicked", async () => {
+      renderSearchInput();
+      await typeAndWait("lap");
+
+      fireEvent.mouseDown(screen.getByTestId("suggestion-product-p1"));
+      expect(mockNavigate).toHaveBeenCalledWith("/product/gaming-laptop");
+
+      await typeAndWait("lapt");
+      fireEvent.mouseDown(screen.getByTestId("suggestion-category-c1"));
+      expect(mockNavigate).toHaveBeenCalledWith("/category/laptops");
+    });
+
+    it("closes the suggestions on Escape", async () => {
+      renderSearchInput();
+      await typeAndWait("lap");
+
+      fireEvent.keyDown(screen.getByTestId("search-input"), { key: "Escape" });
+
+      expect(screen.queryByTestId("search-suggestions")).not.toBeInTheDocument();
+      fireEvent.keyDown(screen.getByTestId("search-input"), { key: "ArrowDown" });
+      expect(screen.getByTestId("search-input")).not.toHaveAttribute("aria-activedescendant");
+    });
+  });
+
+  describe("Edge cases", () => {
+    it("does not ask for suggestions for blank text", async () => {
+      renderSearchInput();
+
+      await typeAndWait("   ");
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(screen.queryByTestId("search-suggestions")).not.toBeInTheDocument();
+    });
+
+    it("shows nothing when there are no suggestions", async () => {
+      axios.get.mockResolvedValue({ data: { success: true } });
+      renderSearchInput();
+
+      await typeAndWait("zzz");
+
+      expect(screen.queryByTestId("search-suggestions")).not.toBeInTheDocument();
+      expect(screen.getByTestId("search-input")).toHaveAttribute("aria-expanded", "false");
+    });
+  });
+
+  describe("Error handling", () => {
+    it("keeps the input usable when the suggestions request fails", async () => {
+      const error = new Error("Network Error");
+      axios.get.mockRejectedValue(error);
+      renderSearchInput();
+
+      await typeAndWait("lap");
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(screen.queryByTestId("search-suggestions")).not.toBeInTheDocument();
+      expect(screen.getByTestId("search-input")).toHaveValue("lap");
+    });
+
+    it("ignores suggestions that arrive after newer ones were asked for", async () => {
+      let answerFirst;
+      axios.get
+        .mockReturnValueOnce(new Promise((resolve) => (answerFirst = resolve)))
+        .mockResolvedValueOnce({ data: suggestions });
+      renderSearchInput();
+
+      await typeAndWait("l");
+      await typeAndWait("lap");
+      await act(async () =>
+        answerFirst({ data: { ...suggestions, products: [], categories: [], queries: [] } })
+      );
+
+      expect(screen.getByTestId("suggestion-product-p1")).toBeInTheDocument();
+    });
+  });
+});
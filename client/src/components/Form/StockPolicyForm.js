@@ -0,0 +1,88 @@
+import React from "react";
+
+// Pre-order and backorder state of the product form for a product loaded from the API; the
+// ship date is a date input value, e.g. "2024-09-01"
+export const toStockPolicy = (product) => ({
+  preorder: Boolean(product?.preorder),
+  expectedShipDate: product?.expectedShipDate ? String(product.expectedShipDate).slice(0, 10) : "",
+  backorder: Boolean(product?.backorder),
+  backorderLimit: product?.backorderLimit ? String(product.backorderLimit) : "",
+});
+
+// Adds the pre-order and backorder fields to the product form data; the ship date and limit are
+// only sent when the product takes pre-orders or backorders
+export const appendStockPolicy = (productData, policy) => {
+  const flagged = policy.preorder || policy.backorder;
+  productData.append("preorder", String(policy.preorder));
+  productData.append("expectedShipDate", policy.preorder ? policy.expectedShipDate : "");
+  productData.append("backorder", String(policy.backorder));
+  productData.append("backorderLimit", flagged ? policy.backorderLimit : "");
+};
+
+const StockPolicyForm = ({ policy, setPolicy }) => {
+  const update = (changes) => setPolicy({ ...policy, ...changes });
+
+  return (
+    <div className="mb-3" data-testid="stock-policy-form">
+      <div className="form-check">
+        <input
+          id="preorder"
+          data-testid="preorder-checkbox"
+          type="checkbox"
+          className="form-check-input"
+          checked={policy.preorder}
+          onChange={(e) => update({ preorder: e.target.checked })}
+        />
+        <label className="form-check-label" htmlFor="preorder">
+          Take pre-orders
+        </label>
+      </div>
+      {policy.preorder && (
+        <div className="mb-3">
+          <label className="form-label" htmlFor="expected-ship-date">
+            Expected ship date
+          </label>
+          <input
+            id="expected-ship-date"
+            data-testid="expected-ship-date-input"
+            type="date"
+            className="form-control"
+            value={policy.expectedShipDate}
+            onChange={(e) => update({ expectedShipDate: e.target.value })}
+          />
+        </div>
+      )}
+      <div className="form-check">
+        <input
+          id="backorder"
+          data-testid="backorder-checkbox"
+          type="checkbox"
+          className="form-check-input"
+          checked={policy.backorder}
+          onChange={(e) => update({ backorder: e.target.checked })}
+        />
+        <label className="form-check-label" htmlFor="backorder">
+          Allow backorders once out of stock
+        </label>
+      </div>
+      {(policy.preorder || policy.backorder) && (
+        <div className="mb-3">
+          <label className="form-label" htmlFor="backorder-limit">
+            Units that may be sold beyond the stock
+          </label>
+          <input
+            id="backorder-limit"
+            data-testid="backorder-limit-input"
+            type="number"
+            min="1"
+            className="form-control"
+            value={policy.backorderLimit}
+            onChange={(e) => update({ backorderLimit: e.target.value })}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockPolicyForm;
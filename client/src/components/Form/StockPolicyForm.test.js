@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import StockPolicyForm, { appendStockPolicy, toStockPolicy } from "./StockPolicyForm";
+
+/**
+ * Unit tests for StockPolicyForm component
+ *
+ * 1. Rendering: 1 test
+ *    a. hides the ship date and limit of a product sold only from stock
+ * 2. Happy Path: 3 tests
+ *    a. takes pre-orders with a ship date and a limit
+ *    b. allows backorders with a limit, without a ship date
+ *    c. appendStockPolicy drops the date and limit the product does not use
+ * 3. Helpers: 1 test
+ *    a. toStockPolicy fills the form from a product
+ */
+
+const emptyPolicy = { preorder: false, expectedShipDate: "", backorder: false, backorderLimit: "" };
+
+// Keeps the policy state the way CreateProduct/UpdateProduct do
+const Harness = ({ initial = emptyPolicy, onChange = () => {} }) => {
+  const [policy, setPolicy] = useState(initial);
+  onChange(policy);
+  return <StockPolicyForm policy={policy} setPolicy={setPolicy} />;
+};
+
+describe("StockPolicyForm", () => {
+  let latest;
+  const track = (policy) => {
+    latest = policy;
+  };
+
+  describe("Rendering", () => {
+    it("hides the ship date and limit of a product sold only from stock", () => {
+      render(<Harness />);
+
+      expect(screen.getByTestId("preorder-checkbox")).not.toBeChecked();
+      expect(screen.getByTestId("backorder-checkbox")).not.toBeChecked();
+      expect(screen.queryByTestId("expected-ship-date-input")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("backorder-limit-input")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("takes pre-orders with a ship date and a limit", () => {
+      render(<Harness onChange={track} />);
+
+      fireEvent.click(screen.getByTestId("preorder-checkbox"));
+      fireEvent.change(screen.getByTestId("expected-ship-date-input"), { target: { value: "2024-09-01" } });
+      fireEvent.change(screen.getByTestId("backorder-limit-input"), { target: { value: "100" } });
+
+      expect(latest).toEqual({
+        preorder: true,
+        expectedShipDate: "2024-09-01",
+        backorder: false,
+        backorderLimit: "100",
+      });
+    });
+
+    it("allows backorders with a limit, without a ship date", () => {
+      render(<Harness onChange={track} />);
+
+      fireEvent.click(screen.getByTestId("backorder-checkbox"));
+      fireEvent.change(screen.getByTestId("backorder-limit-input"), { target: { value: "10" } });
+
+      expect(screen.queryByTestId("expected-ship-date-input")).not.toBeInTheDocument();
+      expect(latest).toEqual({ ...emptyPolicy, backorder: true, backorderLimit: "10" });
+    });
+
+    it("appendStockPolicy drops the date and limit the product does not use", () => {
+      const preorder = new FormData();
+      appendStockPolicy(preorder, {
+        preorder: true,
+        expectedShipDate: "2024-09-01",
+        backorder: false,
+        backorderLimit: "100",
+      });
+      expect(preorder.get("preorder")).toBe("true");
+      expect(preorder.get("expectedShipDate")).toBe("2024-09-01");
+      expect(preorder.get("backorder")).toBe("false");
+      expect(preorder.get("backorderLimit")).toBe("100");
+
+      const fromStock = new FormData();
+      appendStockPolicy(fromStock, { ...emptyPolicy, expectedShipDate: "2024-09-01", backorderLimit: "5" });
+      expect(fromStock.get("expectedShipDate")).toBe("");
+      expect(fromStock.get("backorderLimit")).toBe("");
+    });
+  });
+
+  describe("Helpers", () => {
+    it("toStockPolicy fills the form from a product", () => {
+      expect(
+        toStockPolicy({
+          preorder: true,
+          expectedShipDate: "2024-09-01T00:00:00.000Z",
+          backorder: false,
+          backorderLimit: 100,
+        })
+      ).toEqual({ preorder: true, expectedShipDate: "2024-09-01", backorder: false, backorderLimit: "100" });
+      expect(toStockPolicy({ backorderLimit: 0 })).toEqual(emptyPolicy);
+      expect(toStockPolicy()).toEqual(emptyPolicy);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import React from "react";
+
+// Every combination of the option values, e.g. Size x Colour
+const combine = (options) =>
+  options.reduce(
+    (combinations, option) =>
+      combinations.flatMap((combination) =>
+        option.values.map((value) => ({ ...combination, [option.name]: value }))
+      ),
+    [{}]
+  );
+
+const sameOptions = (a, b) =>
+  Object.keys(a).length === Object.keys(b || {}).length &&
+  Object.keys(a).every((key) => a[key] === b[key]);
+
+const VariantForm = ({ variantOptions, setVariantOptions, variants, setVariants }) => {
+  const updateOption = (index, changes) => {
+    setVariantOptions(
+      variantOptions.map((option, i) => (i === index ? { ...option, ...changes } : option))
+    );
+  };
+
+  const updateVariant = (index, changes) => {
+    setVariants(variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  // build one variant per option combination, keeping the details of ones that already exist
+  const generateVariants = () => {
+    const options = variantOptions
+      .map((option) => ({
+        name: option.name.trim(),
+        values: option.values.map((value) => value.trim()).filter(Boolean),
+      }))
+      .filter((option) => option.name && option.values.length);
+    if (!options.length) {
+      setVariants([]);
+      return;
+    }
+    setVariants(
+      combine(options).map(
+        (combination) =>
+          variants.find((variant) => sameOptions(combination, variant.options)) || {
+            sku: Object.values(combination).join("-").toUpperCase().replace(/\s+/g, "-"),
+            options: combination,
+            price: "",
+            quantity: 0,
+          }
+      )
+    );
+  };
+
+  return (
+    <div className="mb-3" data-testid="variant-form">
+      <h5>Variants</h5>
+      {variantOptions.map((option, index) => (
+        <div className="d-flex mb-2" key={index}>
+          <input
+            type="text"
+            className="form-control me-2"
+            placeholder="Option name (e.g. Size)"
+            value={option.name}
+            onChange={(e) => updateOption(index, { name: e.target.value })}
+            data-testid={`variant-option-name-${index}`}
+          />
+          <input
+            type="text"
+            className="form-control me-2"
+            placeholder="Values, comma separated (e.g. S, M, L)"
+            value={option.values.join(", ")}
+            onChange={(e) =>
+              updateOption(index, {
+                values: e.target.value.split(",").map((value) => value.trimStart()),
+              })
+            }
+            data-testid={`variant-option-values-${index}`}
+          />
+          <button
+            type="button"
+            className="btn btn-outline-danger"
+            onClick={() => setVariantOptions(variantOptions.filter((_, i) => i !== index))}
+            data-testid={`remove-variant-option-${index}`}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline-secondary me-2"
+        onClick={() => setVariantOptions([...variantOptions, { name: "", values: [] }])}
+        data-testid="add-variant-option"
+      >
+        Add Option
+      </button>
+      <button
+        type="button"
+        className="btn btn-outline-secondary"
+        onClick={generateVariants}
+        data-testid="generate-variants"
+      >
+        Generate Variants
+      </button>
+      {variants.length > 0 && (
+        <table className="table mt-3">
+          <thead>
+            <tr>
+              <th scope="col">Variant</th>
+              <th scope="col">SKU</th>
+              <th scope="col">Price</th>
+              <th scope="col">Quantity</th>
+              <th scope="col"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {variants.map((variant, index) => (
+              <tr key={index} data-testid={`variant-row-${index}`}>
+                <td>{Object.values(variant.options || {}).join(" / ")}</td>
+                <td>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={variant.sku}
+                    onChange={(e) => updateVariant(index, { sku: e.target.value })}
+                    data-testid={`variant-sku-${index}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    className="form-control"
+                    placeholder="Product price"
+                    value={variant.price ?? ""}
+                    onChange={(e) => updateVariant(index, { price: e.target.value })}
+                    data-testid={`variant-price-${index}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={variant.quantity}
+                    onChange={(e) => updateVariant(index, { quantity: e.target.value })}
+                    data-testid={`variant-quantity-${index}`}
+                  />
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="btn btn-outline-danger"
+                    onClick={() => setVariants(variants.filter((_, i) => i !== index))}
+                    data-testid={`remove-variant-${index}`}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default VariantForm;
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import VariantForm from "./VariantForm";
+
+/**
+ * Unit tests for VariantForm component
+ *
+ * 1. Rendering: 2 tests
+ *    a. renders no variant table when there are no variants
+ *    b. renders a row per variant with its option values
+ * 2. Happy Path: 5 tests
+ *    a. adds, renames and removes options
+ *    b. generates a variant per option combination
+ *    c. keeps existing variants when regenerating
+ *    d. edits and removes variants
+ *    e. clears variants when no option has values
+ */
+
+// Keeps the form's state the way CreateProduct/UpdateProduct do
+const Harness = ({ initialOptions = [], initialVariants = [], onChange = () => {} }) => {
+  const [variantOptions, setVariantOptions] = useState(initialOptions);
+  const [variants, setVariants] = useState(initialVariants);
+  onChange({ variantOptions, variants });
+  return (
+    <VariantForm
+      variantOptions={variantOptions}
+      setVariantOptions={setVariantOptions}
+      variants={variants}
+      setVariants={setVariants}
+    />
+  );
+};
+
+describe("VariantForm", () => {
+  let latest;
+  const track = (state) => {
+    latest = state;
+  };
+
+  beforeEach(() => {
+    latest = undefined;
+  });
+
+  describe("Rendering", () => {
+    it("renders no variant table when there are no variants", () => {
+      render(<Harness />);
+
+      expect(screen.getByTestId("add-variant-option")).toBeInTheDocument();
+      expect(screen.queryByRole("table")).not.toBeInTheDocument();
+    });
+
+    it("renders a row per variant with its option values", () => {
+      render(
+        <Harness
+          initialOptions={[{ name: "Size", values: ["S"] }, { name: "Colour", values: ["Red"] }]}
+          initialVariants={[{ sku: "TEE-S-RED", options: { Size: "S", Colour: "Red" }, quantity: 2 }]}
+        />
+      );
+
+      expect(screen.getByTestId("variant-row-0")).toHaveTextContent("S / Red");
+      expect(screen.getByTestId("variant-sku-0")).toHaveValue("TEE-S-RED");
+      expect(screen.getByTestId("variant-price-0")).toHaveValue(null);
+      expect(screen.getByTestId("variant-quantity-0")).toHaveValue(2);
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("adds, renames and removes options", () => {
+      render(<Harness onChange={track} />);
+
+      fireEvent.click(screen.getByTestId("add-variant-option"));
+      fireEvent.click(screen.getByTestId("add-variant-option"));
+      fireEvent.change(screen.getByTestId("variant-option-name-0"), { target: { value: "Size" } });
+      fireEvent.change(screen.getByTestId("variant-option-values-0"), { target: { value: "S, Extra Large" } });
+      fireEvent.click(screen.getByTestId("remove-variant-option-1"));
+
+      expect(latest.variantOptions).toEqual([{ name: "Size", values: ["S", "Extra Large"] }]);
+      expect(screen.getByTestId("variant-option-values-0")).toHaveValue("S, Extra Large");
+    });
+
+    it("generates a variant per option combination", () => {
+      render(
+        <Harness
+          onChange={track}
+          initialOptions={[
+            { name: "Size", values: ["S", "M", ""] },
+            { name: "Colour", values: ["Navy Blue"] },
+          ]}
+        />
+      );
+
+      fireEvent.click(screen.getByTestId("generate-variants"));
+
+      expect(latest.variants).toEqual([
+        { sku: "S-NAVY-BLUE", options: { Size: "S", Colour: "Navy Blue" }, price: "", quantity: 0 },
+        { sku: "M-NAVY-BLUE", options: { Size: "M", Colour: "Navy Blue" }, price: "", quantity: 0 },
+      ]);
+    });
+
+    it("keeps existing variants when regenerating", () => {
+      const existing = { _id: "v1", sku: "CUSTOM", options: { Size: "S" }, price: 5, quantity: 9 };
+      render(
+        <Harness
+          onChange={track}
+          initialOptions={[{ name: "Size", values: ["S", "M"] }]}
+          initialVariants={[existing]}
+        />
+      );
+
+      fireEvent.click(screen.getByTestId("generate-variants"));
+
+      expect(latest.variants).toEqual([
+        existing,
+        { sku: "M", options: { Size: "M" }, price: "", quantity: 0 },
+      ]);
+    });
+
+    it("edits and removes variants", () => {
+      render(
+        <Harness
+          onChange={track}
+          initialOptions={[{ name: "Size", values: ["S", "M"] }]}
+          initialVariants={[
+            { sku: "S", options: { Size: "S" }, price: "", quantity: 0 },
+            { sku: "M", options: { Size: "M" }, price: "", quantity: 0 },
+          ]}
+        />
+      );
+
+      fireEvent.change(screen.getByTestId("variant-sku-0"), { target: { value: "TEE-S" } });
+      fireEvent.change(screen.getByTestId("variant-price-0"), { target: { value: "12" } });
+      fireEvent.change(screen.getByTestId("variant-quantity-0"), { target: { value: "4" } });
+      fireEvent.click(screen.getByTestId("remove-variant-1"));
+
+      expect(latest.variants).toEqual([
+        { sku: "TEE-S", options: { Size: "S" }, price: "12", quantity: "4" },
+      ]);
+    });
+
+    it("clears variants when no option has values", () => {
+      render(
+        <Harness
+          onChange={track}
+          initialOptions={[{ name: "Size", values: [] }]}
+          initialVariants={[{ sku: "S", options: { Size: "S" }, quantity: 1 }]}
+        />
+      );
+
+      fireEvent.click(screen.getByTestId("generate-variants"));
+
+      expect(latest.variants).toEqual([]);
+      expect(screen.queryByRole("table")).not.toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { useCart } from "../context/cart";
+
+// Products other customers bought together with the ones in the cart, shown below the cart.
+// Hidden while there is nothing to recommend.
+const FrequentlyBoughtTogether = () => {
+  const [cart, setCart] = useCart();
+  const [products, setProducts] = useState([]);
+  const navigate = useNavigate();
+
+  // only a change of the products in the cart asks for new recommendations
+  const productIds = [...new Set((cart || []).map((item) => item._id))].join(",");
+
+  useEffect(() => {
+    const getProducts = async () => {
+      try {
+        const { data } = await axios.get("/api/v1/product/frequently-bought-together", {
+          params: { products: productIds },
+        });
+        if (data?.success) setProducts(data.products);
+      } catch (error) {
+        console.log(error);
+        setProducts([]);
+      }
+    };
+    if (productIds) getProducts();
+    else setProducts([]);
+  }, [productIds]);
+
+  const addToCart = (product) => {
+    setCart([...cart, product]);
+    localStorage.setItem("cart", JSON.stringify([...cart, product]));
+    toast.success("Item Added to cart");
+  };
+
+  if (!products.length) return null;
+
+  return (
+    <div className="container mt-4" data-testid="frequently-bought-together">
+      <h4>Frequently bought together</h4>
+      <div className="d-flex flex-wrap">
+        {products.map((p) => (
+          <div className="card m-2" style={{ width: "14rem" }} key={p._id}>
+            <img
+              src={`/api/v1/product/product-photo/${p._id}?size=card`}
+              className="card-img-top"
+              alt={p.name}
+            />
+            <div className="card-body">
+              <h6 className="card-title">{p.name}</h6>
+              <p className="card-text">
+                {p.price.toLocaleString("en-US", {
+                  style: "currency",
+                  currency: "USD",
+                })}
+              </p>
+              <button
+                className="btn btn-dark btn-sm"
+                data-testid={`bought-together-button-${p._id}`}
+                // products with variants need an option picked on their own page first
+                onClick={() =>
+                  p.variants?.length ? navigate(`/product/${p.slug}`) : addToCart(p)
+                }
+              >
+                {p.variants?.length ? "SELECT OPTIONS" : "ADD TO CART"}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FrequentlyBoughtTogether;
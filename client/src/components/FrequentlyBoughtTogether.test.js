@@ -0,0 +1,123 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { useCart } from "../context/cart";
+import FrequentlyBoughtTogether from "./FrequentlyBoughtTogether";
+
+jest.mock("axios");
+jest.mock("react-router-dom", () => ({ useNavigate: jest.fn() }));
+jest.mock("../context/cart", () => ({ useCart: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: { success: jest.fn() },
+}));
+
+/*
+  Test cases for FrequentlyBoughtTogether component:
+  1. Happy Path: 3 tests
+    a. Should ask for the products bought with the cart, each cart product once
+    b. Should add a recommended product to the cart
+    c. Should send a product with variants to its page to pick options
+  2. Edge Cases: 2 tests
+    a. Should not ask for anything and render nothing for an empty cart
+    b. Should render nothing when there is nothing to recommend
+  3. Error Handling: 1 test
+    a. Should render nothing when the request fails
+*/
+
+describe("FrequentlyBoughtTogether", () => {
+  const cart = [
+    { _id: "p1", name: "Laptop", price: 900 },
+    { _id: "p1", name: "Laptop", price: 900 },
+    { _id: "p2", name: "Mouse", price: 20 },
+  ];
+  const recommended = [
+    { _id: "p3", name: "Laptop Bag", price: 45.5, slug: "laptop-bag" },
+    { _id: "p4", name: "Monitor", price: 150, slug: "monitor", variants: [{ _id: "v1" }] },
+  ];
+  let setCart;
+  let navigate;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(Storage.prototype, "setItem").mockImplementation();
+    setCart = jest.fn();
+    navigate = jest.fn();
+    useCart.mockReturnValue([cart, setCart]);
+    useNavigate.mockReturnValue(navigate);
+    axios.get.mockResolvedValue({ data: { success: true, products: recommended, boughtTogether: 2 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should ask for the products bought with the cart, each cart product once", async () => {
+      render(<FrequentlyBoughtTogether />);
+
+      expect(await screen.findByText("Laptop Bag")).toBeInTheDocument();
+      expect(screen.getByText("$45.50")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/frequently-bought-together", {
+        params: { products: "p1,p2" },
+      });
+    });
+
+    it("should add a recommended product to the cart", async () => {
+      render(<FrequentlyBoughtTogether />);
+
+      fireEvent.click(await screen.findByTestId("bought-together-button-p3"));
+
+      expect(setCart).toHaveBeenCalledWith([...cart, recommended[0]]);
+      expect(localStorage.setItem).toHaveBeenCalledWith("cart", JSON.stringify([...cart, recommended[0]]));
+      expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
+    });
+
+    it("should send a product with variants to its page to pick options", async () => {
+      render(<FrequentlyBoughtTogether />);
+
+      const button = await screen.findByTestId("bought-together-button-p4");
+      fireEvent.click(button);
+
+      expect(button).toHaveTextContent("SELECT OPTIONS");
+      expect(navigate).toHaveBeenCalledWith("/product/monitor");
+      expect(setCart).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should not ask for anything and render nothing for an empty cart", () => {
+      useCart.mockReturnValue([[], setCart]);
+
+      render(<FrequentlyBoughtTogether />);
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(screen.queryByTestId("frequently-bought-together")).not.toBeInTheDocument();
+    });
+
+    it("should render nothing when there is nothing to recommend", async () => {
+      axios.get.mockResolvedValue({ data: { success: true, products: [], boughtTogether: 0 } });
+
+      render(<FrequentlyBoughtTogether />);
+
+      await waitFor(() => expect(axios.get).toHaveBeenCalled());
+      expect(screen.queryByTestId("frequently-bought-together")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should render nothing when the request fails", async () => {
+      const error = new Error("Network Error");
+      axios.get.mockRejectedValue(error);
+
+      render(<FrequentlyBoughtTogether />);
+
+      await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+      expect(screen.queryByTestId("frequently-bought-together")).not.toBeInTheDocument();
+    });
+  });
+});
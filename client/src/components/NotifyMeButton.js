@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+
+// "Notify me" on an out of stock product: a signed-in user subscribes to an email once it is
+// back in stock, a guest is sent to log in first
+const NotifyMeButton = ({ product }) => {
+  const navigate = useNavigate();
+  const [auth] = useAuth();
+  const [subscribed, setSubscribed] = useState(false);
+
+  //whether the user already waits for the product
+  const getSubscription = async () => {
+    try {
+      const { data } = await axios.get(`/api/v1/product/stock-subscription/${product._id}`);
+      setSubscribed(Boolean(data?.subscribed));
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getSubscription();
+    //eslint-disable-next-line
+  }, [auth?.token, product._id]);
+
+  const toggleSubscription = async () => {
+    try {
+      const { data } = subscribed
+        ? await axios.delete(`/api/v1/product/stock-subscription/${product._id}`)
+        : await axios.put(`/api/v1/product/stock-subscription/${product._id}`);
+      setSubscribed(!subscribed);
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong in updating notification");
+    }
+  };
+
+  if (!auth?.token) {
+    return (
+      <button
+        type="button"
+        className="btn btn-outline-primary ms-1"
+        onClick={() => navigate("/login", { state: `/product/${product.slug}` })}
+        data-testid={`notify-me-login-${product._id}`}
+      >
+        Log in to get notified
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      className={`btn ms-1 ${subscribed ? "btn-outline-secondary" : "btn-primary"}`}
+      aria-pressed={subscribed}
+      onClick={toggleSubscription}
+      data-testid={`notify-me-${product._id}`}
+    >
+      {subscribed ? "Stop notifying me" : "Notify me when available"}
+    </button>
+  );
+};
+
+export default NotifyMeButton;
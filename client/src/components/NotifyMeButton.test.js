@@ -0,0 +1,126 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import NotifyMeButton from "./NotifyMeButton";
+
+const mockNavigate = jest.fn();
+jest.mock("react-router-dom", () => ({
+  ...jest.requireActual("react-router-dom"),
+  useNavigate: () => mockNavigate,
+}));
+jest.mock("axios");
+jest.mock("../context/auth", () => ({ useAuth: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for NotifyMeButton component:
+  1. Happy Path: 2 tests
+    a. Should subscribe a signed-in user to the restock
+    b. Should unsubscribe a user who already waits for the product
+  2. Edge Cases: 1 test
+    a. Should send a guest to log in and back to the product
+  3. Error Handling: 2 tests
+    a. Should show the server message when subscribing fails
+    b. Should offer to subscribe when the subscription cannot be loaded
+*/
+
+describe("NotifyMeButton", () => {
+  const laptop = { _id: "p1", name: "Laptop", slug: "laptop" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    useAuth.mockReturnValue([{ token: "token", user: { _id: "u1" } }]);
+    axios.get.mockResolvedValue({ data: { success: true, subscribed: false } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should subscribe a signed-in user to the restock", async () => {
+      axios.put.mockResolvedValueOnce({
+        data: { success: true, message: "We will email you when it is back in stock" },
+      });
+      render(<NotifyMeButton product={laptop} />);
+      await waitFor(() =>
+        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/stock-subscription/p1")
+      );
+
+      fireEvent.click(screen.getByTestId("notify-me-p1"));
+
+      await waitFor(() =>
+        expect(toast.success).toHaveBeenCalledWith("We will email you when it is back in stock")
+      );
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/product/stock-subscription/p1");
+      expect(screen.getByTestId("notify-me-p1")).toHaveTextContent("Stop notifying me");
+      expect(screen.getByTestId("notify-me-p1")).toHaveAttribute("aria-pressed", "true");
+    });
+
+    it("should unsubscribe a user who already waits for the product", async () => {
+      axios.get.mockResolvedValue({ data: { success: true, subscribed: true } });
+      axios.delete.mockResolvedValueOnce({
+        data: { success: true, message: "You will not be notified about this product" },
+      });
+      render(<NotifyMeButton product={laptop} />);
+
+      await waitFor(() =>
+        expect(screen.getByTestId("notify-me-p1")).toHaveTextContent("Stop notifying me")
+      );
+      fireEvent.click(screen.getByTestId("notify-me-p1"));
+
+      await waitFor(() =>
+        expect(screen.getByTestId("notify-me-p1")).toHaveTextContent("Notify me when available")
+      );
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/product/stock-subscription/p1");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should send a guest to log in and back to the product", () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      render(<NotifyMeButton product={laptop} />);
+
+      fireEvent.click(screen.getByTestId("notify-me-login-p1"));
+
+      expect(mockNavigate).toHaveBeenCalledWith("/login", { state: "/product/laptop" });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show the server message when subscribing fails", async () => {
+      axios.put
+        .mockRejectedValueOnce({ response: { data: { message: "Product is in stock" } } })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      render(<NotifyMeButton product={laptop} />);
+
+      fireEvent.click(screen.getByTestId("notify-me-p1"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Product is in stock"));
+      fireEvent.click(screen.getByTestId("notify-me-p1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in updating notification")
+      );
+      expect(screen.getByTestId("notify-me-p1")).toHaveTextContent("Notify me when available");
+    });
+
+    it("should offer to subscribe when the subscription cannot be loaded", async () => {
+      const error = new Error("Network Error");
+      axios.get.mockRejectedValue(error);
+      render(<NotifyMeButton product={laptop} />);
+
+      await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+      expect(screen.getByTestId("notify-me-p1")).toHaveTextContent("Notify me when available");
+    });
+  });
+});
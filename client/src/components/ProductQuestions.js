@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+
+// label shown next to an answer, by who may answer
+const ANSWERED_BY_LABELS = { admin: "Store", buyer: "Verified buyer" };
+
+// message of a failed request, e.g. a user who never ordered the product
+const errorMessage = (error, fallback) => error?.response?.data?.message || fallback;
+
+// Questions section of a product page: signed-in shoppers ask questions, admins and buyers of
+// the product answer them, and the most voted answers come first
+const ProductQuestions = ({ productId }) => {
+  const [auth] = useAuth();
+  const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [text, setText] = useState("");
+  const [answering, setAnswering] = useState(null);
+  const [answer, setAnswer] = useState("");
+
+  const userId = auth?.user?._id;
+
+  //get questions, appending the page after the first one
+  const getQuestions = async (nextPage = 1) => {
+    try {
+      const { data } = await axios.get(`/api/v1/question/product-questions/${productId}`, {
+        params: { page: nextPage },
+      });
+      if (!data?.success) return;
+      setQuestions(nextPage === 1 ? data.questions : [...questions, ...data.questions]);
+      setTotal(data.total);
+      setPage(nextPage);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting questions");
+    }
+  };
+
+  useEffect(() => {
+    if (productId) getQuestions(1);
+    //eslint-disable-next-line
+  }, [productId]);
+
+  //ask a question
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(`/api/v1/question/ask-question/${productId}`, { text });
+      toast.success(data.message);
+      setText("");
+      getQuestions(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in asking question"));
+    }
+  };
+
+  //answer a question
+  const handleAnswer = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(`/api/v1/question/answer-question/${answering}`, {
+        text: answer,
+      });
+      toast.success(data.message);
+      setAnswering(null);
+      setAnswer("");
+      getQuestions(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in answering question"));
+    }
+  };
+
+  //vote for an answer
+  const handleVote = async (questionId, answerId) => {
+    try {
+      const { data } = await axios.put(`/api/v1/question/vote-answer/${answerId}`);
+      setQuestions(
+        questions.map((question) =>
+          question._id !== questionId
+            ? question
+            : {
+                ...question,
+                answers: question.answers.map((a) =>
+                  a._id === answerId ? { ...a, voteCount: data.voteCount } : a
+                ),
+              }
+        )
+      );
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in voting"));
+    }
+  };
+
+  return (
+    <div className="row container mt-3" data-testid="product-questions">
+      <h4>Questions & Answers</h4>
+      {auth?.token && (
+        <form className="d-flex mb-3" onSubmit={handleAsk} data-testid="question-form">
+          <input
+            type="text"
+            className="form-control me-2"
+            placeholder="Ask a question about this product"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            data-testid="question-input"
+          />
+          <button type="submit" className="btn btn-primary" data-testid="ask-question">
+            Ask
+          </button>
+        </form>
+      )}
+      {questions.length === 0 && <p>No questions yet</p>}
+      {questions.map((question) => (
+        <div
+          className="border-bottom py-2"
+          key={question._id}
+          data-testid={`question-${question._id}`}
+        >
+          <p className="mb-1">
+            <strong>Q: {question.text}</strong>{" "}
+            <small className="text-muted">asked by {question.user?.name}</small>
+          </p>
+          {question.answers.length === 0 && <p className="mb-1 text-muted">No answers yet</p>}
+          {question.answers.map((a) => (
+            <div className="ms-3 mb-1" key={a._id} data-testid={`answer-${a._id}`}>
+              <p className="mb-0">
+                A: {a.text}{" "}
+                <small className="text-muted">
+                  {a.user?.name} ({ANSWERED_BY_LABELS[a.answeredBy]})
+                </small>
+              </p>
+              <small className="text-muted me-2">{a.voteCount} found this helpful</small>
+              {auth?.token && a.user?._id !== userId && (
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => handleVote(question._id, a._id)}
+                  data-testid={`vote-answer-${a._id}`}
+                >
+                  Helpful
+                </button>
+              )}
+            </div>
+          ))}
+          {auth?.token &&
+            (answering === question._id ? (
+              <form className="d-flex ms-3 mt-2" onSubmit={handleAnswer}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  placeholder="Your answer"
+                  value={answer}
+                  onChange={(e) => setAnswer(e.target.value)}
+                  data-testid={`answer-input-${question._id}`}
+                />
+                <button
+                  type="submit"
+                  className="btn btn-primary me-2"
+                  data-testid={`submit-answer-${question._id}`}
+                >
+                  Post
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => setAnswering(null)}>
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <button
+                className="btn btn-sm btn-link"
+                onClick={() => {
+                  setAnswering(question._id);
+                  setAnswer("");
+                }}
+                data-testid={`answer-question-${question._id}`}
+              >
+                Answer
+              </button>
+            ))}
+        </div>
+      ))}
+      {questions.length < total && (
+        <button
+          className="btn btn-link"
+          onClick={() => getQuestions(page + 1)}
+          data-testid="more-questions"
+        >
+          More questions
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProductQuestions;
@@ -0,0 +1,206 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import ProductQuestions from "./ProductQuestions";
+
+jest.mock("axios");
+jest.mock("../context/auth", () => ({ useAuth: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for ProductQuestions component:
+  1. Happy Path: 5 tests
+    a. Should show the questions with their answers and who gave them
+    b. Should let a signed-in user ask a question
+    c. Should let a signed-in user answer a question
+    d. Should count a vote on an answer of someone else, and append more questions
+    e. Should only show the questions to a guest
+  2. Edge Cases: 1 test
+    a. Should say there are no questions yet
+  3. Error Handling: 3 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when an answer is rejected
+    c. Should show the server message when a question or vote is rejected
+*/
+
+describe("ProductQuestions", () => {
+  const user = { _id: "u1", name: "Alex" };
+  const questions = [
+    {
+      _id: "q1",
+      text: "Is it waterproof?",
+      user: { _id: "u2", name: "Sam" },
+      answers: [
+        {
+          _id: "a1",
+          text: "Yes",
+          answeredBy: "admin",
+          voteCount: 3,
+          user: { _id: "u3", name: "Store team" },
+        },
+        { _id: "a2", text: "Mine is", answeredBy: "buyer", voteCount: 0, user },
+      ],
+    },
+    { _id: "q2", text: "Does it come in red?", user, answers: [] },
+  ];
+  const page = (list = questions, total = 2) => ({ data: { success: true, questions: list, total } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    useAuth.mockReturnValue([{ token: "token", user }]);
+    axios.get.mockResolvedValue(page());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should show the questions with their answers and who gave them", async () => {
+      render(<ProductQuestions productId="p1" />);
+
+      expect(await screen.findByTestId("question-q1")).toHaveTextContent("Q: Is it waterproof? asked by Sam");
+      expect(screen.getByTestId("answer-a1")).toHaveTextContent("A: Yes Store team (Store)");
+      expect(screen.getByTestId("answer-a1")).toHaveTextContent("3 found this helpful");
+      expect(screen.getByTestId("answer-a2")).toHaveTextContent("Alex (Verified buyer)");
+      expect(screen.getByTestId("question-q2")).toHaveTextContent("No answers yet");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/question/product-questions/p1", {
+        params: { page: 1 },
+      });
+    });
+
+    it("should let a signed-in user ask a question", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Question posted" } });
+      render(<ProductQuestions productId="p1" />);
+      await screen.findByTestId("question-q1");
+
+      fireEvent.change(screen.getByTestId("question-input"), { target: { value: "How heavy is it?" } });
+      fireEvent.click(screen.getByTestId("ask-question"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Question posted"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/question/ask-question/p1", {
+        text: "How heavy is it?",
+      });
+      expect(screen.getByTestId("question-input")).toHaveValue("");
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should let a signed-in user answer a question", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Answer posted" } });
+      render(<ProductQuestions productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("answer-question-q2"));
+      fireEvent.click(screen.getByText("Cancel"));
+      expect(screen.queryByTestId("answer-input-q2")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("answer-question-q2"));
+      fireEvent.change(screen.getByTestId("answer-input-q2"), { target: { value: "Only in blue" } });
+      fireEvent.click(screen.getByTestId("submit-answer-q2"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Answer posted"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/question/answer-question/q2", {
+        text: "Only in blue",
+      });
+      expect(screen.queryByTestId("answer-input-q2")).not.toBeInTheDocument();
+    });
+
+    it("should count a vote on an answer of someone else, and append more questions", async () => {
+      axios.get.mockResolvedValue(page(questions, 3));
+      axios.put.mockResolvedValueOnce({
+        data: { success: true, message: "Thanks for your vote", voteCount: 4 },
+      });
+      render(<ProductQuestions productId="p1" />);
+
+      // the own answer cannot be voted for
+      await screen.findByTestId("answer-a2");
+      expect(screen.queryByTestId("vote-answer-a2")).not.toBeInTheDocument();
+      fireEvent.click(screen.getByTestId("vote-answer-a1"));
+
+      await waitFor(() => expect(screen.getByTestId("answer-a1")).toHaveTextContent("4 found this helpful"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/question/vote-answer/a1");
+      expect(toast.success).toHaveBeenCalledWith("Thanks for your vote");
+
+      axios.get.mockResolvedValueOnce(page([{ ...questions[1], _id: "q3" }], 3));
+      fireEvent.click(screen.getByTestId("more-questions"));
+
+      expect(await screen.findByTestId("question-q3")).toBeInTheDocument();
+      expect(screen.getByTestId("answer-a1")).toHaveTextContent("4 found this helpful");
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/question/product-questions/p1", {
+        params: { page: 2 },
+      });
+      expect(screen.queryByTestId("more-questions")).not.toBeInTheDocument();
+    });
+
+    it("should only show the questions to a guest", async () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      render(<ProductQuestions productId="p1" />);
+
+      await screen.findByTestId("question-q1");
+      expect(screen.queryByTestId("question-form")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("vote-answer-a1")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("answer-question-q1")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say there are no questions yet", async () => {
+      axios.get.mockResolvedValue(page([], 0));
+      render(<ProductQuestions productId="p1" />);
+
+      expect(await screen.findByText("No questions yet")).toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+      render(<ProductQuestions productId="p1" />);
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting questions")
+      );
+    });
+
+    it("should show the server message when an answer is rejected", async () => {
+      axios.post
+        .mockRejectedValueOnce({
+          response: { data: { message: "Only admins and customers who bought this product can answer" } },
+        })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      render(<ProductQuestions productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("answer-question-q1"));
+      fireEvent.click(screen.getByTestId("submit-answer-q1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith(
+          "Only admins and customers who bought this product can answer"
+        )
+      );
+      fireEvent.click(screen.getByTestId("submit-answer-q1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in answering question")
+      );
+    });
+
+    it("should show the server message when a question or vote is rejected", async () => {
+      axios.post.mockRejectedValueOnce({ response: { data: { message: "Question is required" } } });
+      axios.put.mockRejectedValueOnce(new Error("Network Error"));
+      render(<ProductQuestions productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("ask-question"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Question is required"));
+      fireEvent.click(screen.getByTestId("vote-answer-a1"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Something went wrong in voting"));
+    });
+  });
+});
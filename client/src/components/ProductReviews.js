@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+
+// e.g. 4 -> "★★★★☆"
+export const starText = (rating) => "★".repeat(rating) + "☆".repeat(5 - rating);
+
+// reasons a shopper can report a review for, as the server accepts them
+export const REPORT_REASONS = {
+  spam: "Spam",
+  offensive: "Offensive",
+  "off-topic": "Off-topic",
+  fake: "Fake review",
+};
+
+// message of a failed request, e.g. a user who never ordered the product
+const errorMessage = (error, fallback) => error?.response?.data?.message || fallback;
+
+// Reviews section of a product page: the rating summary, the reviews sorted by helpfulness or
+// date, and a form for buyers to write or edit their own review. Signed-in shoppers can report
+// the reviews of others for moderation.
+const ProductReviews = ({ productId }) => {
+  const [auth] = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [sort, setSort] = useState("helpful");
+  const [page, setPage] = useState(1);
+  const [rating, setRating] = useState(5);
+  const [comment, setComment] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [reporting, setReporting] = useState(null);
+  const [reason, setReason] = useState("spam");
+
+  const userId = auth?.user?._id;
+  const ownReview = reviews.find((review) => review.user?._id === userId);
+
+  //get reviews, appending the page after the first one
+  const getReviews = async (nextPage = 1) => {
+    try {
+      const { data } = await axios.get(`/api/v1/review/product-reviews/${productId}`, {
+        params: { sort, page: nextPage },
+      });
+      if (!data?.success) return;
+      setReviews(nextPage === 1 ? data.reviews : [...reviews, ...data.reviews]);
+      setSummary(data.summary);
+      setPage(nextPage);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting reviews");
+    }
+  };
+
+  useEffect(() => {
+    if (productId) getReviews(1);
+    //eslint-disable-next-line
+  }, [productId, sort]);
+
+  const resetForm = () => {
+    setRating(5);
+    setComment("");
+    setEditing(null);
+  };
+
+  //create or update own review
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editing
+        ? await axios.put(`/api/v1/review/update-review/${editing}`, { rating, comment })
+        : await axios.post(`/api/v1/review/create-review/${productId}`, { rating, comment });
+      toast.success(data.message);
+      resetForm();
+      getReviews(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in saving review"));
+    }
+  };
+
+  //delete own review
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/review/delete-review/${id}`);
+      toast.success(data.message);
+      resetForm();
+      getReviews(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in deleting review"));
+    }
+  };
+
+  //mark a review as helpful
+  const handleHelpful = async (id) => {
+    try {
+      const { data } = await axios.put(`/api/v1/review/helpful-review/${id}`);
+      setReviews(
+        reviews.map((review) =>
+          review._id === id ? { ...review, helpfulCount: data.helpfulCount } : review
+        )
+      );
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in voting"));
+    }
+  };
+
+  //report a review for moderation
+  const handleReport = async (id) => {
+    try {
+      const { data } = await axios.put(`/api/v1/review/report-review/${id}`, { reason });
+      toast.success(data.message);
+      setReporting(null);
+      setReason("spam");
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in reporting review"));
+    }
+  };
+
+  const startEditing = (review) => {
+    setEditing(review._id);
+    setRating(review.rating);
+    setComment(review.comment);
+  };
+
+  return (
+    <div className="row container mt-3" data-testid="product-reviews">
+      <h4>Customer Reviews</h4>
+      {summary && (
+        <div data-testid="rating-summary">
+          {summary.count > 0 ? (
+            <p>
+              <span className="text-warning">{starText(Math.round(summary.average))}</span>{" "}
+              {summary.average} out of 5 ({summary.count} {summary.count === 1 ? "review" : "reviews"})
+            </p>
+          ) : (
+            <p>No reviews yet</p>
+          )}
+        </div>
+      )}
+
+      {auth?.token && (!ownReview || editing) && (
+        <form className="mb-3" onSubmit={handleSubmit} data-testid="review-form">
+          <h6>{editing ? "Edit your review" : "Write a review"}</h6>
+          <select
+            className="form-select mb-2 w-auto"
+            aria-label="Rating"
+            value={rating}
+            onChange={(e) => setRating(Number(e.target.value))}
+            data-testid="review-rating-select"
+          >
+            {[5, 4, 3, 2, 1].map((stars) => (
+              <option key={stars} value={stars}>
+                {starText(stars)} ({stars})
+              </option>
+            ))}
+          </select>
+          <textarea
+            className="form-control mb-2"
+            placeholder="What did you think of it?"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            data-testid="review-comment-input"
+          />
+          <button type="submit" className="btn btn-primary me-2" data-testid="review-submit">
+            {editing ? "Save" : "Submit Review"}
+          </button>
+          {editing && (
+            <button type="button" className="btn btn-secondary" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </form>
+      )}
+
+      {reviews.length > 0 && (
+        <select
+          className="form-select mb-2 w-auto"
+          aria-label="Sort reviews"
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          data-testid="review-sort-select"
+        >
+          <option value="helpful">Most helpful</option>
+          <option value="newest">Newest</option>
+        </select>
+      )}
+      {reviews.map((review) => (
+        <div className="border-bottom py-2" key={review._id} data-testid={`review-${review._id}`}>
+          <p className="mb-1">
+            <span className="text-warning">{starText(review.rating)}</span>{" "}
+            <strong>{review.user?.name}</strong>{" "}
+            <small className="text-muted">{new Date(review.createdAt).toLocaleDateString()}</small>
+          </p>
+          {review.comment && <p className="mb-1">{review.comment}</p>}
+          <small className="text-muted me-2">{review.helpfulCount} found this helpful</small>
+          {auth?.token && review.user?._id !== userId && (
+            <>
+              <button
+                className="btn btn-sm btn-outline-secondary me-2"
+                onClick={() => handleHelpful(review._id)}
+                data-testid={`helpful-${review._id}`}
+              >
+                Helpful
+              </button>
+              {reporting === review._id ? (
+                <span className="d-inline-flex">
+                  <select
+                    className="form-select form-select-sm w-auto me-2"
+                    aria-label="Report reason"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    data-testid={`report-reason-${review._id}`}
+                  >
+                    {Object.entries(REPORT_REASONS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    className="btn btn-sm btn-danger me-2"
+                    onClick={() => handleReport(review._id)}
+                    data-testid={`send-report-${review._id}`}
+                  >
+                    Send
+                  </button>
+                  <button className="btn btn-sm btn-secondary" onClick={() => setReporting(null)}>
+                    Cancel
+                  </button>
+                </span>
+              ) : (
+                <button
+                  className="btn btn-sm btn-link text-danger"
+                  onClick={() => setReporting(review._id)}
+                  data-testid={`report-${review._id}`}
+                >
+                  Report
+                </button>
+              )}
+            </>
+          )}
+          {review.user?._id === userId && (
+            <>
+              <button
+                className="btn btn-sm btn-outline-primary me-2"
+                onClick={() => startEditing(review)}
+                data-testid={`edit-review-${review._id}`}
+              >
+                Edit
+              </button>
+              <button
+                className="btn btn-sm btn-outline-danger"
+                onClick={() => handleDelete(review._id)}
+                data-testid={`delete-review-${review._id}`}
+              >
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      ))}
+      {summary && reviews.length < summary.count && (
+        <button
+          className="btn btn-link"
+          onClick={() => getReviews(page + 1)}
+          data-testid="more-reviews"
+        >
+          More reviews
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,265 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import ProductReviews, { starText } from "./ProductReviews";
+
+jest.mock("axios");
+jest.mock("../context/auth", () => ({ useAuth: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for ProductReviews component:
+  1. Happy Path: 7 tests
+    a. Should show the rating summary and the reviews, most helpful first
+    b. Should load the reviews again when sorted by newest, and append more reviews
+    c. Should let a signed-in user write a review
+    d. Should let the author edit and delete their review
+    e. Should count a helpful vote on a review of someone else
+    f. Should not offer the form or votes to a guest
+    g. Should report a review of someone else with a reason
+  2. Edge Cases: 1 test
+    a. Should say there are no reviews yet
+  3. Error Handling: 4 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when a review is rejected
+    c. Should show the server message when a vote or delete is rejected
+    d. Should show the server message when a report is rejected
+*/
+
+describe("ProductReviews", () => {
+  const author = { _id: "u1", name: "Alex" };
+  const other = { _id: "u2", name: "Sam" };
+  const reviews = [
+    { _id: "r1", rating: 5, comment: "Great", helpfulCount: 2, user: other, createdAt: "2024-06-01" },
+    { _id: "r2", rating: 3, comment: "", helpfulCount: 0, user: author, createdAt: "2024-06-02" },
+  ];
+  const summary = { average: 4, count: 3, stars: { 1: 0, 2: 0, 3: 1, 4: 0, 5: 2 } };
+  const page = (list = reviews, s = summary) => ({ data: { success: true, reviews: list, summary: s } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    useAuth.mockReturnValue([{ token: "token", user: author }]);
+    axios.get.mockResolvedValue(page());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should show the rating summary and the reviews, most helpful first", async () => {
+      render(<ProductReviews productId="p1" />);
+
+      expect(await screen.findByTestId("review-r1")).toHaveTextContent("★★★★★ Sam");
+      expect(screen.getByTestId("review-r1")).toHaveTextContent("2 found this helpful");
+      expect(screen.getByTestId("rating-summary")).toHaveTextContent("★★★★☆ 4 out of 5 (3 reviews)");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/review/product-reviews/p1", {
+        params: { sort: "helpful", page: 1 },
+      });
+      expect(starText(2)).toBe("★★☆☆☆");
+    });
+
+    it("should load the reviews again when sorted by newest, and append more reviews", async () => {
+      render(<ProductReviews productId="p1" />);
+      await screen.findByTestId("review-r1");
+
+      fireEvent.change(screen.getByTestId("review-sort-select"), { target: { value: "newest" } });
+      await waitFor(() =>
+        expect(axios.get).toHaveBeenLastCalledWith("/api/v1/review/product-reviews/p1", {
+          params: { sort: "newest", page: 1 },
+        })
+      );
+
+      axios.get.mockResolvedValueOnce(page([{ ...reviews[0], _id: "r3" }]));
+      fireEvent.click(await screen.findByTestId("more-reviews"));
+
+      expect(await screen.findByTestId("review-r3")).toBeInTheDocument();
+      expect(screen.getByTestId("review-r1")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/review/product-reviews/p1", {
+        params: { sort: "newest", page: 2 },
+      });
+      expect(screen.queryByTestId("more-reviews")).not.toBeInTheDocument();
+    });
+
+    it("should let a signed-in user write a review", async () => {
+      axios.get.mockResolvedValue(page([reviews[0]], { ...summary, count: 1 }));
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Review created" } });
+      render(<ProductReviews productId="p1" />);
+      await screen.findByTestId("review-r1");
+
+      fireEvent.change(screen.getByTestId("review-rating-select"), { target: { value: "4" } });
+      fireEvent.change(screen.getByTestId("review-comment-input"), { target: { value: "Nice" } });
+      fireEvent.click(screen.getByTestId("review-submit"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Review created"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/review/create-review/p1", {
+        rating: 4,
+        comment: "Nice",
+      });
+      expect(screen.getByTestId("review-comment-input")).toHaveValue("");
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should let the author edit and delete their review", async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Review updated" } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Review deleted" } });
+      render(<ProductReviews productId="p1" />);
+      await screen.findByTestId("review-r2");
+
+      // the author already reviewed the product, so there is no form until they edit
+      expect(screen.queryByTestId("review-form")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("helpful-r2")).not.toBeInTheDocument();
+      fireEvent.click(screen.getByTestId("edit-review-r2"));
+      expect(screen.getByTestId("review-rating-select")).toHaveValue("3");
+      fireEvent.click(screen.getByText("Cancel"));
+      expect(screen.queryByTestId("review-form")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("edit-review-r2"));
+      fireEvent.change(screen.getByTestId("review-comment-input"), { target: { value: "Better now" } });
+      fireEvent.click(screen.getByTestId("review-submit"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Review updated"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/review/update-review/r2", {
+        rating: 3,
+        comment: "Better now",
+      });
+
+      fireEvent.click(screen.getByTestId("delete-review-r2"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Review deleted"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/review/delete-review/r2");
+    });
+
+    it("should count a helpful vote on a review of someone else", async () => {
+      axios.put.mockResolvedValueOnce({
+        data: { success: true, message: "Thanks for your feedback", helpfulCount: 3 },
+      });
+      render(<ProductReviews productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("helpful-r1"));
+
+      await waitFor(() => expect(screen.getByTestId("review-r1")).toHaveTextContent("3 found this helpful"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/review/helpful-review/r1");
+      expect(screen.getByTestId("review-r2")).toHaveTextContent("0 found this helpful");
+      expect(toast.success).toHaveBeenCalledWith("Thanks for your feedback");
+    });
+
+    it("should not offer the form or votes to a guest", async () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      render(<ProductReviews productId="p1" />);
+
+      await screen.findByTestId("review-r1");
+      expect(screen.queryByTestId("review-form")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("helpful-r1")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("report-r1")).not.toBeInTheDocument();
+    });
+
+    it("should report a review of someone else with a reason", async () => {
+      axios.put.mockResolvedValueOnce({
+        data: { success: true, message: "Thanks, we will take a look at this review" },
+      });
+      render(<ProductReviews productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("report-r1"));
+      // the own review cannot be reported
+      expect(screen.queryByTestId("report-r2")).not.toBeInTheDocument();
+      fireEvent.click(screen.getByText("Cancel"));
+      expect(screen.queryByTestId("report-reason-r1")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("report-r1"));
+      fireEvent.change(screen.getByTestId("report-reason-r1"), { target: { value: "offensive" } });
+      fireEvent.click(screen.getByTestId("send-report-r1"));
+
+      await waitFor(() =>
+        expect(toast.success).toHaveBeenCalledWith("Thanks, we will take a look at this review")
+      );
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/review/report-review/r1", { reason: "offensive" });
+      expect(screen.queryByTestId("report-reason-r1")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say there are no reviews yet", async () => {
+      axios.get.mockResolvedValue(page([], { average: 0, count: 0, stars: {} }));
+      render(<ProductReviews productId="p1" />);
+
+      expect(await screen.findByText("No reviews yet")).toBeInTheDocument();
+      expect(screen.queryByTestId("review-sort-select")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+      render(<ProductReviews productId="p1" />);
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting reviews")
+      );
+    });
+
+    it("should show the server message when a review is rejected", async () => {
+      axios.get.mockResolvedValue(page([reviews[0]], { ...summary, count: 1 }));
+      axios.post
+        .mockRejectedValueOnce({
+          response: { data: { message: "Only customers who bought this product can review it" } },
+        })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      render(<ProductReviews productId="p1" />);
+      await screen.findByTestId("review-r1");
+
+      fireEvent.click(screen.getByTestId("review-submit"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Only customers who bought this product can review it")
+      );
+      fireEvent.click(screen.getByTestId("review-submit"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in saving review")
+      );
+    });
+
+    it("should show the server message when a vote or delete is rejected", async () => {
+      axios.put.mockRejectedValueOnce({
+        response: { data: { message: "You already found this review helpful" } },
+      });
+      axios.delete.mockRejectedValueOnce(new Error("Network Error"));
+      render(<ProductReviews productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("helpful-r1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("You already found this review helpful")
+      );
+      fireEvent.click(screen.getByTestId("delete-review-r2"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in deleting review")
+      );
+    });
+
+    it("should show the server message when a report is rejected", async () => {
+      axios.put
+        .mockRejectedValueOnce({ response: { data: { message: "You have already reported this review" } } })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      render(<ProductReviews productId="p1" />);
+
+      fireEvent.click(await screen.findByTestId("report-r1"));
+      fireEvent.click(screen.getByTestId("send-report-r1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("You have already reported this review")
+      );
+      fireEvent.click(screen.getByTestId("send-report-r1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in reporting review")
+      );
+    });
+  });
+});
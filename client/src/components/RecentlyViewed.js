@@ -0,0 +1,57 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { useRecentlyViewed } from "../context/recentlyViewed";
+
+// Carousel of the products the shopper viewed lately, latest first, with a button to clear them.
+// The product being viewed can be left out with excludeId. Hidden while there is nothing to show.
+const RecentlyViewed = ({ excludeId }) => {
+  const { recentlyViewed, clearRecentlyViewed } = useRecentlyViewed();
+  const navigate = useNavigate();
+
+  const products = recentlyViewed.filter((p) => p._id !== excludeId);
+  if (!products.length) return null;
+
+  return (
+    <div className="container mt-4" data-testid="recently-viewed">
+      <div className="d-flex justify-content-between align-items-center">
+        <h4>Recently viewed</h4>
+        <button
+          type="button"
+          className="btn btn-link"
+          onClick={clearRecentlyViewed}
+          data-testid="clear-recently-viewed"
+        >
+          Clear
+        </button>
+      </div>
+      <div className="d-flex flex-nowrap overflow-auto pb-2">
+        {products.map((p) => (
+          <div
+            className="card m-2 flex-shrink-0"
+            style={{ width: "12rem", cursor: "pointer" }}
+            key={p._id}
+            onClick={() => navigate(`/product/${p.slug}`)}
+            data-testid={`recently-viewed-${p._id}`}
+          >
+            <img
+              src={`/api/v1/product/product-photo/${p._id}?size=card`}
+              className="card-img-top"
+              alt={p.name}
+            />
+            <div className="card-body">
+              <h6 className="card-title">{p.name}</h6>
+              <p className="card-text">
+                {p.price.toLocaleString("en-US", {
+                  style: "currency",
+                  currency: "USD",
+                })}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RecentlyViewed;
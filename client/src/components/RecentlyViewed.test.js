@@ -0,0 +1,83 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { useNavigate } from "react-router-dom";
+import { useRecentlyViewed } from "../context/recentlyViewed";
+import RecentlyViewed from "./RecentlyViewed";
+
+jest.mock("react-router-dom", () => ({ useNavigate: jest.fn() }));
+jest.mock("../context/recentlyViewed", () => ({ useRecentlyViewed: jest.fn() }));
+
+/*
+  Test cases for RecentlyViewed component:
+  1. Happy Path: 3 tests
+    a. Should show the viewed products, latest first
+    b. Should open a viewed product
+    c. Should clear the history
+  2. Edge Cases: 2 tests
+    a. Should leave out the product being viewed
+    b. Should render nothing without viewed products
+*/
+
+describe("RecentlyViewed", () => {
+  const navigate = jest.fn();
+  const clearRecentlyViewed = jest.fn();
+  const products = [
+    { _id: "p1", name: "Laptop", slug: "laptop", price: 900 },
+    { _id: "p2", name: "Mouse", slug: "mouse", price: 20.5 },
+  ];
+
+  const mockHistory = (recentlyViewed) =>
+    useRecentlyViewed.mockReturnValue({ recentlyViewed, clearRecentlyViewed });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useNavigate.mockReturnValue(navigate);
+    mockHistory(products);
+  });
+
+  describe("Happy Path", () => {
+    it("should show the viewed products, latest first", () => {
+      render(<RecentlyViewed />);
+
+      const cards = screen.getAllByTestId(/^recently-viewed-p/);
+      expect(cards.map((card) => card.textContent)).toEqual(["Laptop$900.00", "Mouse$20.50"]);
+      expect(screen.getByAltText("Mouse")).toHaveAttribute(
+        "src",
+        "/api/v1/product/product-photo/p2?size=card"
+      );
+    });
+
+    it("should open a viewed product", () => {
+      render(<RecentlyViewed />);
+
+      fireEvent.click(screen.getByTestId("recently-viewed-p2"));
+
+      expect(navigate).toHaveBeenCalledWith("/product/mouse");
+    });
+
+    it("should clear the history", () => {
+      render(<RecentlyViewed />);
+
+      fireEvent.click(screen.getByTestId("clear-recently-viewed"));
+
+      expect(clearRecentlyViewed).toHaveBeenCalled();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should leave out the product being viewed", () => {
+      render(<RecentlyViewed excludeId="p1" />);
+
+      expect(screen.queryByTestId("recently-viewed-p1")).not.toBeInTheDocument();
+      expect(screen.getByTestId("recently-viewed-p2")).toBeInTheDocument();
+    });
+
+    it("should render nothing without viewed products", () => {
+      mockHistory([products[0]]);
+      const { container } = render(<RecentlyViewed excludeId="p1" />);
+
+      expect(container).toBeEmptyDOMElement();
+    });
+  });
+});
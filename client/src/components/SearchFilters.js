@@ -0,0 +1,131 @@
+import React from "react";
+import { Checkbox, Radio } from "antd";
+import AttributeFilters, {
+  activeAttributeFilters,
+  filterableAttributes,
+} from "./AttributeFilters";
+
+export const priceLabel = ({ min, max }) => (max === null ? `$${min} or more` : `$${min} to $${max}`);
+
+// Least average stars a shopper can filter by
+export const RATING_FILTERS = [4, 3, 2, 1];
+
+// Filter sidebar of the product search: categories, price buckets and the attributes of the
+// checked categories, each with the number of products the facet counts, plus rating, stock and sort
+const SearchFilters = ({ categories, facets, query, setQuery }) => {
+  const attributes = filterableAttributes(categories, query.categories);
+
+  const toggleCategory = (id, on) => {
+    const checked = on
+      ? [...query.categories, id]
+      : query.categories.filter((c) => c !== id);
+    // attribute filters of a category that is no longer checked do not apply anymore
+    const offered = filterableAttributes(categories, checked);
+    setQuery({
+      ...query,
+      categories: checked,
+      attributes: activeAttributeFilters(offered, query.attributes),
+    });
+  };
+
+  const categoryCount = (id) => facets.categories.find((c) => c._id === id)?.count || 0;
+  const selectedPrice = facets.prices.findIndex((p) => p.min === query.price?.min);
+
+  return (
+    <div data-testid="search-filters">
+      <h4 className="text-center">Filter By Category</h4>
+      <div className="d-flex flex-column">
+        {categories?.map((c) => (
+          <Checkbox
+            key={c._id}
+            data-testid={`category-checkbox-${c._id}`}
+            checked={query.categories.includes(c._id)}
+            onChange={(e) => toggleCategory(c._id, e.target.checked)}
+          >
+            {c.name} ({categoryCount(c._id)})
+          </Checkbox>
+        ))}
+      </div>
+      <AttributeFilters
+        attributes={attributes}
+        filters={query.attributes}
+        setFilters={(filters) => setQuery({ ...query, attributes: filters })}
+      />
+      {/* price filter */}
+      <h4 className="text-center mt-4">Filter By Price</h4>
+      <div className="d-flex flex-column">
+        <Radio.Group
+          name="price"
+          value={selectedPrice}
+          onChange={(e) =>
+            setQuery({ ...query, price: e.target.value < 0 ? null : facets.prices[e.target.value] })
+          }
+        >
+          <div>
+            <Radio value={-1} data-testid="price-radio-any">
+              Any price
+            </Radio>
+          </div>
+          {facets.prices.map((p, index) => (
+            <div key={p.min}>
+              <Radio value={index} data-testid={`price-radio-${index}`}>
+                {priceLabel(p)} ({p.count})
+              </Radio>
+            </div>
+          ))}
+        </Radio.Group>
+      </div>
+      {/* rating filter */}
+      <h4 className="text-center mt-4">Filter By Rating</h4>
+      <div className="d-flex flex-column">
+        <Radio.Group
+          name="rating"
+          value={query.minRating ?? 0}
+          onChange={(e) => setQuery({ ...query, minRating: e.target.value || null })}
+        >
+          <div>
+            <Radio value={0} data-testid="rating-radio-any">
+              Any rating
+            </Radio>
+          </div>
+          {RATING_FILTERS.map((stars) => (
+            <div key={stars}>
+              <Radio value={stars} data-testid={`rating-radio-${stars}`}>
+                {"★".repeat(stars) + "☆".repeat(5 - stars)} & up
+              </Radio>
+            </div>
+          ))}
+        </Radio.Group>
+      </div>
+      <div className="d-flex flex-column mt-4">
+        <Checkbox
+          data-testid="in-stock-checkbox"
+          checked={query.inStock}
+          onChange={(e) => setQuery({ ...query, inStock: e.target.checked })}
+        >
+          In stock only
+        </Checkbox>
+        <label className="form-label mt-3" htmlFor="search-sort">
+          Sort by
+        </label>
+        <select
+          id="search-sort"
+          data-testid="sort-select"
+          className="form-select mb-3"
+          value={query.sort}
+          onChange={(e) => setQuery({ ...query, sort: e.target.value })}
+        >
+          {query.keyword && <option value="relevance">Relevance</option>}
+          <option value="newest">Newest</option>
+          <option value="price-asc">Price: low to high</option>
+          <option value="price-desc">Price: high to low</option>
+          <option value="name">Name</option>
+          <option value="best-selling">Best selling</option>
+          <option value="rating">Top rated</option>
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default SearchFilters;
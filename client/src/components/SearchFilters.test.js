@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import SearchFilters, { priceLabel } from "./SearchFilters";
+
+/**
+ * Unit tests for SearchFilters component
+ *
+ * 1. Rendering: 2 tests
+ *    a. shows the facet counts next to categories and price buckets
+ *    b. offers relevance sorting only for a keyword search
+ * 2. Happy Path: 4 tests
+ *    a. checks categories and offers their attribute filters
+ *    b. drops the attribute filters of an unchecked category
+ *    c. picks a price bucket, stock and sort, and clears the price
+ *    d. picks a least rating and sorts by top rated, and clears the rating
+ */
+
+const categories = [
+  {
+    _id: "c1",
+    name: "Laptops",
+    attributes: [{ key: "backlit", name: "Backlit", type: "boolean", unit: "", values: [] }],
+  },
+  { _id: "c2", name: "Books" },
+];
+const facets = {
+  categories: [{ _id: "c1", name: "Laptops", count: 4 }],
+  prices: [
+    { min: 0, max: 20, count: 1 },
+    { min: 20, max: null, count: 3 },
+  ],
+};
+const emptyQuery = {
+  categories: [],
+  price: null,
+  inStock: false,
+  minRating: null,
+  sort: "newest",
+  attributes: {},
+};
+
+// Keeps the query the way HomePage does
+const Harness = ({ initial = emptyQuery, onChange = () => {} }) => {
+  const [query, setQuery] = useState(initial);
+  onChange(query);
+  return <SearchFilters categories={categories} facets={facets} query={query} setQuery={setQuery} />;
+};
+
+describe("SearchFilters", () => {
+  let latest;
+  const track = (query) => {
+    latest = query;
+  };
+
+  describe("Rendering", () => {
+    it("shows the facet counts next to categories and price buckets", () => {
+      render(<Harness />);
+
+      expect(screen.getByLabelText("Laptops (4)")).toHaveAttribute("data-testid", "category-checkbox-c1");
+      expect(screen.getByLabelText("Books (0)")).toHaveAttribute("data-testid", "category-checkbox-c2");
+      expect(screen.getByLabelText("$0 to $20 (1)")).toHaveAttribute("data-testid", "price-radio-0");
+      expect(screen.getByLabelText("$20 or more (3)")).toHaveAttribute("data-testid", "price-radio-1");
+      expect(screen.queryByTestId("attribute-filters")).not.toBeInTheDocument();
+    });
+
+    it("offers relevance sorting only for a keyword search", () => {
+      const { unmount } = render(<Harness />);
+      expect(screen.queryByRole("option", { name: "Relevance" })).not.toBeInTheDocument();
+      unmount();
+
+      render(<Harness initial={{ ...emptyQuery, keyword: "laptop", sort: "relevance" }} />);
+      expect(screen.getByTestId("sort-select")).toHaveValue("relevance");
+    });
+  });
+
+  describe("Happy Path", () => {
+    it("checks categories and offers their attribute filters", () => {
+      render(<Harness onChange={track} />);
+
+      fireEvent.click(screen.getByLabelText("Laptops (4)"));
+      fireEvent.click(screen.getByLabelText("Books (0)"));
+      fireEvent.click(screen.getByLabelText("Yes"));
+
+      expect(latest).toEqual({ ...emptyQuery, categories: ["c1", "c2"], attributes: { backlit: true } });
+    });
+
+    it("drops the attribute filters of an unchecked category", () => {
+      render(
+        <Harness initial={{ ...emptyQuery, categories: ["c1"], attributes: { backlit: true } }} onChange={track} />
+      );
+
+      fireEvent.click(screen.getByLabelText("Laptops (4)"));
+
+      expect(latest).toEqual(emptyQuery);
+    });
+
+    it("picks a price bucket, stock and sort, and clears the price", () => {
+      render(<Harness onChange={track} />);
+
+      fireEvent.click(screen.getByLabelText("$20 or more (3)"));
+      fireEvent.click(screen.getByLabelText("In stock only"));
+      fireEvent.change(screen.getByTestId("sort-select"), { target: { value: "price-asc" } });
+
+      expect(latest).toEqual({ ...emptyQuery, price: facets.prices[1], inStock: true, sort: "price-asc" });
+      expect(screen.getByLabelText("$20 or more (3)")).toBeChecked();
+
+      fireEvent.click(screen.getByLabelText("Any price"));
+
+      expect(latest.price).toBeNull();
+      expect(priceLabel({ min: 40, max: 60 })).toBe("$40 to $60");
+    });
+
+    it("picks a least rating and sorts by top rated, and clears the rating", () => {
+      render(<Harness onChange={track} />);
+
+      fireEvent.click(screen.getByTestId("rating-radio-4"));
+      fireEvent.change(screen.getByTestId("sort-select"), { target: { value: "rating" } });
+
+      expect(latest).toEqual({ ...emptyQuery, minRating: 4, sort: "rating" });
+      expect(screen.getByLabelText("★★★★☆ & up")).toBeChecked();
+
+      fireEvent.click(screen.getByLabelText("Any rating"));
+
+      expect(latest.minRating).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,269 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { MANUAL_MOVEMENT_REASON_LIST, STOCK_MOVEMENT_REASON } from "../constants/stock";
+
+// label shown for the reason of a stock movement
+const REASON_LABELS = {
+  [STOCK_MOVEMENT_REASON.SALE]: "Sale",
+  [STOCK_MOVEMENT_REASON.ADJUSTMENT]: "Adjustment",
+  [STOCK_MOVEMENT_REASON.RETURN]: "Return",
+  [STOCK_MOVEMENT_REASON.IMPORT]: "Import",
+  [STOCK_MOVEMENT_REASON.TRANSFER]: "Transfer",
+};
+
+const emptyAdjustment = {
+  change: "",
+  reason: STOCK_MOVEMENT_REASON.ADJUSTMENT,
+  variant: "",
+  location: "",
+  note: "",
+};
+const emptyTransfer = { from: "", to: "", quantity: "", variant: "", note: "" };
+
+// Name of a variant in the stock history, e.g. "TEE-M" or "M / Red"
+const variantLabel = (variant) => variant.sku || Object.values(variant.options || {}).join(" / ");
+
+// Stock history of a product on the admin product page, newest first, with a form to add or take
+// out stock. Products with variants are adjusted per saved variant, so their stock stays the total
+// of the variants. A product stocked per location (`locationStock`) is adjusted at one of the
+// store's `locations`, and its stock can be transferred between them. `onAdjusted` receives the
+// product's new quantity, variants and stock per location.
+const StockHistory = ({ productId, variants = [], locations = [], locationStock = [], onAdjusted }) => {
+  const [movements, setMovements] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+  const [transfer, setTransfer] = useState(emptyTransfer);
+
+  // variants added on the form are only adjustable once the product is saved
+  const savedVariants = variants.filter((variant) => variant._id);
+  const stocked = locationStock.length > 0 && locations.length > 0;
+  // the locations chosen unless others are, e.g. the first two for a transfer
+  const firstLocation = locations[0]?._id;
+  const secondLocation = locations[1]?._id;
+
+  //get the stock history, appending the page after the first one
+  const getMovements = async (nextPage = 1) => {
+    try {
+      const { data } = await axios.get(`/api/v1/product/stock-movements/${productId}`, {
+        params: { page: nextPage },
+      });
+      if (!data?.success) return;
+      setMovements(nextPage === 1 ? data.movements : [...movements, ...data.movements]);
+      setTotal(data.total);
+      setPage(nextPage);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting stock history");
+    }
+  };
+
+  useEffect(() => {
+    if (productId) getMovements(1);
+    //eslint-disable-next-line
+  }, [productId]);
+
+  //add or take out stock
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(`/api/v1/product/adjust-stock/${productId}`, {
+        change: adjustment.change,
+        reason: adjustment.reason,
+        note: adjustment.note,
+        ...(savedVariants.length && { variant: adjustment.variant || savedVariants[0]._id }),
+        ...(stocked && { location: adjustment.location || firstLocation }),
+      });
+      toast.success(data.message);
+      setAdjustment(emptyAdjustment);
+      onAdjusted(data.product);
+      getMovements(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong in adjusting stock");
+    }
+  };
+
+  //move stock between two locations
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(`/api/v1/product/transfer-stock/${productId}`, {
+        from: transfer.from || firstLocation,
+        to: transfer.to || secondLocation,
+        quantity: transfer.quantity,
+        note: transfer.note,
+        ...(savedVariants.length && { variant: transfer.variant || savedVariants[0]._id }),
+      });
+      toast.success(data.message);
+      setTransfer(emptyTransfer);
+      onAdjusted(data.product);
+      getMovements(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong in transferring stock");
+    }
+  };
+
+  const update = (changes) => setAdjustment({ ...adjustment, ...changes });
+  const updateTransfer = (changes) => setTransfer({ ...transfer, ...changes });
+
+  // select of the saved variants, the first one chosen unless another is
+  const variantSelect = (value, onChange, testId) => (
+    <select
+      className="form-select me-2 mb-2 w-auto"
+      value={value || savedVariants[0]._id}
+      onChange={(e) => onChange(e.target.value)}
+      data-testid={testId}
+    >
+      {savedVariants.map((variant) => (
+        <option key={variant._id} value={variant._id}>
+          {variantLabel(variant)}
+        </option>
+      ))}
+    </select>
+  );
+
+  // select of the store's locations, `fallback` chosen unless another is
+  const locationSelect = (value, fallback, onChange, testId, label) => (
+    <select
+      className="form-select me-2 mb-2 w-auto"
+      aria-label={label}
+      value={value || fallback}
+      onChange={(e) => onChange(e.target.value)}
+      data-testid={testId}
+    >
+      {locations.map((location) => (
+        <option key={location._id} value={location._id}>
+          {location.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mb-3" data-testid="stock-history">
+      <h5>Stock history</h5>
+      <form className="d-flex flex-wrap mb-2" onSubmit={handleAdjust} data-testid="stock-adjustment-form">
+        <input
+          type="number"
+          step="1"
+          className="form-control me-2 mb-2 w-auto"
+          placeholder="Units, e.g. 5 or -2"
+          value={adjustment.change}
+          onChange={(e) => update({ change: e.target.value })}
+          data-testid="stock-change-input"
+        />
+        {savedVariants.length > 0 &&
+          variantSelect(adjustment.variant, (variant) => update({ variant }), "stock-variant-select")}
+        {stocked &&
+          locationSelect(
+            adjustment.location,
+            firstLocation,
+            (location) => update({ location }),
+            "stock-location-select",
+            "Location"
+          )}
+        <select
+          className="form-select me-2 mb-2 w-auto"
+          value={adjustment.reason}
+          onChange={(e) => update({ reason: e.target.value })}
+          data-testid="stock-reason-select"
+        >
+          {MANUAL_MOVEMENT_REASON_LIST.map((reason) => (
+            <option key={reason} value={reason}>
+              {REASON_LABELS[reason]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="form-control me-2 mb-2 w-auto"
+          placeholder="Note (optional)"
+          maxLength={200}
+          value={adjustment.note}
+          onChange={(e) => update({ note: e.target.value })}
+          data-testid="stock-note-input"
+        />
+        <button type="submit" className="btn btn-secondary mb-2" data-testid="adjust-stock-button">
+          Adjust stock
+        </button>
+      </form>
+      {stocked && locations.length > 1 && (
+        <form className="d-flex flex-wrap mb-2" onSubmit={handleTransfer} data-testid="stock-transfer-form">
+          <input
+            type="number"
+            min="1"
+            step="1"
+            className="form-control me-2 mb-2 w-auto"
+            placeholder="Units to transfer"
+            value={transfer.quantity}
+            onChange={(e) => updateTransfer({ quantity: e.target.value })}
+            data-testid="transfer-quantity-input"
+          />
+          {savedVariants.length > 0 &&
+            variantSelect(transfer.variant, (variant) => updateTransfer({ variant }), "transfer-variant-select")}
+          {locationSelect(transfer.from, firstLocation, (from) => updateTransfer({ from }), "transfer-from-select", "From")}
+          {locationSelect(transfer.to, secondLocation, (to) => updateTransfer({ to }), "transfer-to-select", "To")}
+          <input
+            type="text"
+            className="form-control me-2 mb-2 w-auto"
+            placeholder="Note (optional)"
+            maxLength={200}
+            value={transfer.note}
+            onChange={(e) => updateTransfer({ note: e.target.value })}
+            data-testid="transfer-note-input"
+          />
+          <button type="submit" className="btn btn-secondary mb-2" data-testid="transfer-stock-button">
+            Transfer stock
+          </button>
+        </form>
+      )}
+      {movements.length === 0 ? (
+        <p className="text-muted">No stock movements yet</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th scope="col">Date</th>
+              <th scope="col">Reason</th>
+              <th scope="col">Change</th>
+              <th scope="col">Stock</th>
+              <th scope="col">By</th>
+              <th scope="col">Note</th>
+            </tr>
+          </thead>
+          <tbody>
+            {movements.map((movement) => (
+              <tr key={movement._id} data-testid={`stock-movement-${movement._id}`}>
+                <td>{new Date(movement.createdAt).toLocaleString()}</td>
+                <td>{REASON_LABELS[movement.reason]}</td>
+                <td className={movement.change < 0 ? "text-danger" : "text-success"}>
+                  {movement.change > 0 ? `+${movement.change}` : movement.change}
+                  {movement.sku && ` (${movement.sku})`}
+                  {movement.location?.name && ` at ${movement.location.name}`}
+                </td>
+                <td>{movement.balance}</td>
+                <td>{movement.user?.name || "-"}</td>
+                <td>{movement.note}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {movements.length < total && (
+        <button
+          type="button"
+          className="btn btn-link"
+          onClick={() => getMovements(page + 1)}
+          data-testid="more-stock-movements"
+        >
+          More movements
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default StockHistory;
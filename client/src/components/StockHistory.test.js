@@ -0,0 +1,332 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import StockHistory from "./StockHistory";
+
+jest.mock("axios");
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for StockHistory component:
+  1. Happy Path: 6 tests
+    a. Should show the stock movements with their reason, change, stock left and user
+    b. Should add stock with a reason and note, and reload the history
+    c. Should take stock out of the chosen saved variant
+    d. Should append the next page of movements
+    e. Should adjust the stock at the chosen location of a product stocked per location
+    f. Should transfer stock of a variant between two locations
+  2. Edge Cases: 2 tests
+    a. Should say there are no movements yet
+    b. Should not offer a transfer with a single location
+  3. Error Handling: 3 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when an adjustment is rejected
+    c. Should show the server message when a transfer is rejected
+*/
+
+describe("StockHistory", () => {
+  const movements = [
+    {
+      _id: "m2",
+      createdAt: "2024-09-02T10:00:00.000Z",
+      reason: "sale",
+      change: -2,
+      balance: 8,
+      sku: "TEE-M",
+      user: { name: "Sam" },
+      note: "",
+    },
+    {
+      _id: "m1",
+      createdAt: "2024-09-01T10:00:00.000Z",
+      reason: "import",
+      change: 10,
+      balance: 10,
+      note: "Imported from CSV row 2",
+    },
+  ];
+  const locations = [
+    { _id: "l1", name: "North" },
+    { _id: "l2", name: "South" },
+  ];
+  const page = (list = movements, total = 2) => ({ data: { success: true, movements: list, total } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    axios.get.mockResolvedValue(page());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should show the stock movements with their reason, change, stock left and user", async () => {
+      render(<StockHistory productId="p1" onAdjusted={jest.fn()} />);
+
+      expect(await screen.findByTestId("stock-movement-m2")).toHaveTextContent("Sale-2 (TEE-M)8Sam");
+      expect(screen.getByTestId("stock-movement-m1")).toHaveTextContent(
+        "Import+1010-Imported from CSV row 2"
+      );
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/stock-movements/p1", { params: { page: 1 } });
+      expect(screen.queryByTestId("more-stock-movements")).not.toBeInTheDocument();
+      // the product has no variants to choose from
+      expect(screen.queryByTestId("stock-variant-select")).not.toBeInTheDocument();
+    });
+
+    it("should add stock with a reason and note, and reload the history", async () => {
+      const product = { _id: "p1", quantity: 13 };
+      const onAdjusted = jest.fn();
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Stock adjusted", product } });
+      render(<StockHistory productId="p1" onAdjusted={onAdjusted} />);
+      await screen.findByTestId("stock-movement-m2");
+
+      fireEvent.change(screen.getByTestId("stock-change-input"), { target: { value: "5" } });
+      fireEvent.change(screen.getByTestId("stock-reason-select"), { target: { value: "return" } });
+      fireEvent.change(screen.getByTestId("stock-note-input"), { target: { value: "Returned unopened" } });
+      fireEvent.click(screen.getByTestId("adjust-stock-button"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Stock adjusted"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/product/adjust-stock/p1", {
+        change: "5",
+        reason: "return",
+        note: "Returned unopened",
+      });
+      expect(onAdjusted).toHaveBeenCalledWith(product);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(screen.getByTestId("stock-change-input")).toHaveValue(null);
+      expect(screen.getByTestId("stock-reason-select")).toHaveValue("adjustment");
+    });
+
+    it("should take stock out of the chosen saved variant", async () => {
+      const variants = [
+        { _id: "v1", sku: "TEE-S", options: { Size: "S" } },
+        { _id: "v2", sku: "", options: { Size: "M", Colour: "Red" } },
+        // added on the form, not saved yet
+        { sku: "TEE-L", options: { Size: "L" } },
+      ];
+      axios.put.mockResolvedValue({ data: { success: true, message: "Stock adjusted", product: {} } });
+      render(<StockHistory productId="p1" variants={variants} onAdjusted={jest.fn()} />);
+      await screen.findByTestId("stock-movement-m2");
+
+      const select = screen.getByTestId("stock-variant-select");
+      expect(select).toHaveValue("v1");
+      expect(select).toHaveTextContent("TEE-SM / Red");
+
+      // the first saved variant is adjusted unless another is chosen
+      fireEvent.change(screen.getByTestId("stock-change-input"), { target: { value: "-1" } });
+      fireEvent.click(screen.getByTestId("adjust-stock-button"));
+      await waitFor(() =>
+        expect(axios.put).toHaveBeenCalledWith(
+          "/api/v1/product/adjust-stock/p1",
+          expect.objectContaining({ change: "-1", variant: "v1" })
+        )
+      );
+
+      fireEvent.change(screen.getByTestId("stock-change-input"), { target: { value: "-2" } });
+      fireEvent.change(screen.getByTestId("stock-variant-select"), { target: { value: "v2" } });
+      fireEvent.click(screen.getByTestId("adjust-stock-button"));
+      await waitFor(() =>
+        expect(axios.put).toHaveBeenLastCalledWith(
+          "/api/v1/product/adjust-stock/p1",
+          expect.objectContaining({ change: "-2", variant: "v2" })
+        )
+      );
+    });
+
+    it("should append the next page of movements", async () => {
+      axios.get.mockResolvedValueOnce(page(movements, 3));
+      render(<StockHistory productId="p1" onAdjusted={jest.fn()} />);
+
+      axios.get.mockResolvedValueOnce(
+        page([{ _id: "m0", createdAt: "2024-08-01T10:00:00.000Z", reason: "adjustment", change: 1, balance: 1 }], 3)
+      );
+      fireEvent.click(await screen.findByTestId("more-stock-movements"));
+
+      expect(await screen.findByTestId("stock-movement-m0")).toHaveTextContent("Adjustment+11");
+      expect(screen.getByTestId("stock-movement-m2")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/stock-movements/p1", { params: { page: 2 } });
+      expect(screen.queryByTestId("more-stock-movements")).not.toBeInTheDocument();
+    });
+
+    it("should adjust the stock at the chosen location of a product stocked per location", async () => {
+      axios.get.mockResolvedValueOnce(
+        page([{ ...movements[0], location: { _id: "l2", name: "South" } }], 1)
+      );
+      const product = { _id: "p1", quantity: 9, locationStock: [{ location: "l2", sku: "", quantity: 9 }] };
+      const onAdjusted = jest.fn();
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Stock adjusted", product } });
+      render(
+        <StockHistory
+          productId="p1"
+          locations={locations}
+          locationStock={[{ location: "l1", sku: "", quantity: "4" }]}
+          onAdjusted={onAdjusted}
+        />
+      );
+
+      expect(await screen.findByTestId("stock-movement-m2")).toHaveTextContent("-2 (TEE-M) at South");
+      expect(screen.getByTestId("stock-location-select")).toHaveValue("l1");
+
+      fireEvent.change(screen.getByTestId("stock-change-input"), { target: { value: "5" } });
+      fireEvent.change(screen.getByTestId("stock-location-select"), { target: { value: "l2" } });
+      fireEvent.click(screen.getByTestId("adjust-stock-button"));
+
+      await waitFor(() => expect(onAdjusted).toHaveBeenCalledWith(product));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/product/adjust-stock/p1", {
+        change: "5",
+        reason: "adjustment",
+        note: "",
+        location: "l2",
+      });
+    });
+
+    it("should transfer stock of a variant between two locations", async () => {
+      const stores = [...locations, { _id: "l3", name: "City" }];
+      const variants = [
+        { _id: "v1", sku: "TEE-S", options: { Size: "S" } },
+        { _id: "v2", sku: "TEE-M", options: { Size: "M" } },
+      ];
+      const product = { _id: "p1", quantity: 4 };
+      const onAdjusted = jest.fn();
+      axios.put.mockResolvedValue({ data: { success: true, message: "Stock transferred", product } });
+      render(
+        <StockHistory
+          productId="p1"
+          variants={variants}
+          locations={stores}
+          locationStock={[{ location: "l1", sku: "TEE-S", quantity: "4" }]}
+          onAdjusted={onAdjusted}
+        />
+      );
+      await screen.findByTestId("stock-movement-m2");
+
+      // the first two locations are transferred between unless others are chosen
+      expect(screen.getByTestId("transfer-from-select")).toHaveValue("l1");
+      expect(screen.getByTestId("transfer-to-select")).toHaveValue("l2");
+      fireEvent.change(screen.getByTestId("transfer-quantity-input"), { target: { value: "2" } });
+      fireEvent.click(screen.getByTestId("transfer-stock-button"));
+      await waitFor(() =>
+        expect(axios.put).toHaveBeenCalledWith("/api/v1/product/transfer-stock/p1", {
+          from: "l1",
+          to: "l2",
+          quantity: "2",
+          note: "",
+          variant: "v1",
+        })
+      );
+      expect(toast.success).toHaveBeenCalledWith("Stock transferred");
+      expect(onAdjusted).toHaveBeenCalledWith(product);
+      expect(screen.getByTestId("transfer-quantity-input")).toHaveValue(null);
+
+      fireEvent.change(screen.getByTestId("transfer-quantity-input"), { target: { value: "1" } });
+      fireEvent.change(screen.getByTestId("transfer-variant-select"), { target: { value: "v2" } });
+      fireEvent.change(screen.getByTestId("transfer-from-select"), { target: { value: "l3" } });
+      fireEvent.change(screen.getByTestId("transfer-to-select"), { target: { value: "l1" } });
+      fireEvent.change(screen.getByTestId("transfer-note-input"), { target: { value: "Rebalance" } });
+      fireEvent.click(screen.getByTestId("transfer-stock-button"));
+      await waitFor(() =>
+        expect(axios.put).toHaveBeenLastCalledWith("/api/v1/product/transfer-stock/p1", {
+          from: "l3",
+          to: "l1",
+          quantity: "1",
+          note: "Rebalance",
+          variant: "v2",
+        })
+      );
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say there are no movements yet", async () => {
+      axios.get.mockResolvedValueOnce(page([], 0));
+      render(<StockHistory productId="p1" onAdjusted={jest.fn()} />);
+
+      expect(await screen.findByText("No stock movements yet")).toBeInTheDocument();
+    });
+
+    it("should not offer a transfer with a single location", async () => {
+      render(
+        <StockHistory
+          productId="p1"
+          locations={locations.slice(0, 1)}
+          locationStock={[{ location: "l1", sku: "", quantity: "4" }]}
+          onAdjusted={jest.fn()}
+        />
+      );
+      await screen.findByTestId("stock-movement-m2");
+
+      expect(screen.getByTestId("stock-location-select")).toHaveValue("l1");
+      expect(screen.queryByTestId("stock-transfer-form")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValueOnce(new Error("Network error"));
+      render(<StockHistory productId="p1" onAdjusted={jest.fn()} />);
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting stock history")
+      );
+      expect(screen.getByText("No stock movements yet")).toBeInTheDocument();
+    });
+
+    it("should show the server message when an adjustment is rejected", async () => {
+      const onAdjusted = jest.fn();
+      axios.put
+        .mockRejectedValueOnce({ response: { data: { message: "Not enough stock to take out" } } })
+        .mockRejectedValueOnce(new Error("Network error"));
+      render(<StockHistory productId="p1" onAdjusted={onAdjusted} />);
+      await screen.findByTestId("stock-movement-m2");
+
+      fireEvent.change(screen.getByTestId("stock-change-input"), { target: { value: "-50" } });
+      fireEvent.click(screen.getByTestId("adjust-stock-button"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Not enough stock to take out"));
+
+      fireEvent.click(screen.getByTestId("adjust-stock-button"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenLastCalledWith("Something went wrong in adjusting stock")
+      );
+      expect(onAdjusted).not.toHaveBeenCalled();
+      // the adjustment stays on the form to be corrected
+      expect(screen.getByTestId("stock-change-input")).toHaveValue(-50);
+    });
+
+    it("should show the server message when a transfer is rejected", async () => {
+      const onAdjusted = jest.fn();
+      axios.put
+        .mockRejectedValueOnce({ response: { data: { message: "Not enough stock to transfer" } } })
+        .mockRejectedValueOnce(new Error("Network error"));
+      render(
+        <StockHistory
+          productId="p1"
+          locations={locations}
+          locationStock={[{ location: "l1", sku: "", quantity: "1" }]}
+          onAdjusted={onAdjusted}
+        />
+      );
+      await screen.findByTestId("stock-movement-m2");
+
+      fireEvent.change(screen.getByTestId("transfer-quantity-input"), { target: { value: "5" } });
+      fireEvent.click(screen.getByTestId("transfer-stock-button"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Not enough stock to transfer"));
+
+      fireEvent.click(screen.getByTestId("transfer-stock-button"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenLastCalledWith("Something went wrong in transferring stock")
+      );
+      expect(onAdjusted).not.toHaveBeenCalled();
+      expect(screen.getByTestId("transfer-quantity-input")).toHaveValue(5);
+    });
+  });
+});
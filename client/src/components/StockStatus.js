@@ -0,0 +1,82 @@
+import React from "react";
+import { AWAITING_STOCK_LIST, LINE_STATUS, STOCK_LEVEL } from "../constants/stock";
+
+// How a product can be bought now: "out" of stock, as a "pre-order", on "backorder" beyond its
+// stock, or null when it is in stock. Products with variants are only sold from stock.
+export const stockStatus = (product) => {
+  if (!product?._id) return null;
+  const takesOrders = !product.variants?.length && (product.preorder || product.backorder);
+  const sellable = product.quantity + (takesOrders ? product.backorderLimit || 0 : 0);
+  if (sellable <= 0) return STOCK_LEVEL.OUT;
+  if (takesOrders && product.preorder) return LINE_STATUS.PREORDER;
+  if (takesOrders && product.quantity <= 0) return LINE_STATUS.BACKORDER;
+  return null;
+};
+
+// What shoppers are told about a product that is not simply in stock
+export const stockLabel = (product) => {
+  switch (stockStatus(product)) {
+    case STOCK_LEVEL.OUT:
+      return "Out of stock";
+    case LINE_STATUS.PREORDER:
+      return product.expectedShipDate
+        ? `Pre-order, expected to ship ${new Date(product.expectedShipDate).toLocaleDateString()}`
+        : "Pre-order";
+    case LINE_STATUS.BACKORDER:
+      return "Available on backorder, ships once restocked";
+    default:
+      return "";
+  }
+};
+
+// Line of an order for the product while it waits for stock, if any
+export const awaitingLine = (order, productId) =>
+  order?.items?.find(
+    (item) => String(item.product) === productId && AWAITING_STOCK_LIST.includes(item.status)
+  );
+
+// Note on an ordered product that was pre-ordered or backordered and has not shipped from stock yet
+export const LineStatus = ({ order, product }) => {
+  const line = awaitingLine(order, product._id);
+  if (!line) return null;
+
+  return (
+    <p className="text-warning" data-testid={`line-status-${order._id}-${product._id}`}>
+      {line.status === LINE_STATUS.PREORDER
+        ? "Pre-order, ships once released"
+        : "Backordered, ships once restocked"}
+    </p>
+  );
+};
+
+// Locations the admin ships an ordered product from, for products stocked per location; the
+// lines of its variants may ship from different ones
+export const LineLocation = ({ order, product }) => {
+  const names = [
+    ...new Set(
+      (order?.items || [])
+        .filter((item) => String(item.product) === product._id && item.location?.name)
+        .map((item) => item.location.name)
+    ),
+  ];
+  if (!names.length) return null;
+
+  return (
+    <p className="text-muted" data-testid={`line-location-${order._id}-${product._id}`}>
+      Ships from {names.join(", ")}
+    </p>
+  );
+};
+
+const StockStatus = ({ product, testId = "product-availability" }) => {
+  const status = stockStatus(product);
+  if (!status) return null;
+
+  return (
+    <h6 className={status === STOCK_LEVEL.OUT ? "text-danger" : "text-warning"} data-testid={testId}>
+      {stockLabel(product)}
+    </h6>
+  );
+};
+
+export default StockStatus;
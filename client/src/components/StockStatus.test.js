@@ -0,0 +1,116 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import StockStatus, { LineLocation, LineStatus, stockLabel, stockStatus } from "./StockStatus";
+
+/*
+  Test cases for StockStatus component:
+  1. Happy Path: 3 tests
+    a. Should show a pre-order with its expected ship date
+    b. Should show a product on backorder once its stock runs out
+    c. Should show a product out of stock once its backorder limit is used up
+  2. Edge Cases: 2 tests
+    a. Should show nothing for a product in stock, or one not loaded yet
+    b. Should only sell products with variants from stock
+  3. LineStatus: 1 test
+    a. Should note an ordered product only while its line waits for stock
+  4. LineLocation: 1 test
+    a. Should name the locations an ordered product ships from, if any
+*/
+
+describe("StockStatus", () => {
+  const product = { _id: "p1", name: "Console", quantity: 0 };
+
+  describe("Happy Path", () => {
+    it("should show a pre-order with its expected ship date", () => {
+      const preorder = { ...product, preorder: true, expectedShipDate: "2024-09-01", backorderLimit: 50 };
+      render(<StockStatus product={preorder} />);
+
+      expect(screen.getByTestId("product-availability")).toHaveTextContent(
+        `Pre-order, expected to ship ${new Date("2024-09-01").toLocaleDateString()}`
+      );
+      expect(screen.getByTestId("product-availability")).toHaveClass("text-warning");
+      // a pre-order stays a pre-order while there is stock
+      expect(stockStatus({ ...preorder, quantity: 5 })).toBe("pre-order");
+      expect(stockLabel({ ...preorder, expectedShipDate: null })).toBe("Pre-order");
+    });
+
+    it("should show a product on backorder once its stock runs out", () => {
+      const backorder = { ...product, quantity: -2, backorder: true, backorderLimit: 5 };
+      render(<StockStatus product={backorder} testId="cart-item-status-p1" />);
+
+      expect(screen.getByTestId("cart-item-status-p1")).toHaveTextContent(
+        "Available on backorder, ships once restocked"
+      );
+      expect(stockStatus({ ...backorder, quantity: 3 })).toBeNull();
+    });
+
+    it("should show a product out of stock once its backorder limit is used up", () => {
+      render(<StockStatus product={{ ...product, quantity: -5, backorder: true, backorderLimit: 5 }} />);
+
+      expect(screen.getByTestId("product-availability")).toHaveTextContent("Out of stock");
+      expect(screen.getByTestId("product-availability")).toHaveClass("text-danger");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should show nothing for a product in stock, or one not loaded yet", () => {
+      const { container } = render(<StockStatus product={{ ...product, quantity: 4 }} />);
+
+      expect(container).toBeEmptyDOMElement();
+      expect(stockStatus({})).toBeNull();
+      expect(stockLabel({ ...product, quantity: 4 })).toBe("");
+    });
+
+    it("should only sell products with variants from stock", () => {
+      expect(
+        stockStatus({ ...product, backorder: true, backorderLimit: 5, variants: [{ _id: "v1", quantity: 0 }] })
+      ).toBe("out");
+    });
+  });
+
+  describe("LineStatus", () => {
+    it("should note an ordered product only while its line waits for stock", () => {
+      const order = {
+        _id: "o1",
+        items: [
+          { product: "p1", status: "backorder" },
+          { product: "p2", status: "ready" },
+        ],
+      };
+      const { rerender } = render(<LineStatus order={order} product={{ _id: "p1" }} />);
+
+      expect(screen.getByTestId("line-status-o1-p1")).toHaveTextContent("Backordered, ships once restocked");
+
+      rerender(<LineStatus order={order} product={{ _id: "p2" }} />);
+      expect(screen.queryByTestId("line-status-o1-p2")).not.toBeInTheDocument();
+
+      // orders placed before order lines were recorded have no items
+      rerender(<LineStatus order={{ _id: "o2" }} product={{ _id: "p1" }} />);
+      expect(screen.queryByTestId("line-status-o2-p1")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("LineLocation", () => {
+    it("should name the locations an ordered product ships from, if any", () => {
+      const order = {
+        _id: "o1",
+        items: [
+          { product: "p1", variant: "v1", location: { _id: "l1", name: "North" } },
+          { product: "p1", variant: "v2", location: { _id: "l2", name: "South" } },
+          { product: "p1", variant: "v3", location: { _id: "l1", name: "North" } },
+          { product: "p2", location: null },
+        ],
+      };
+      const { rerender } = render(<LineLocation order={order} product={{ _id: "p1" }} />);
+
+      expect(screen.getByTestId("line-location-o1-p1")).toHaveTextContent("Ships from North, South");
+
+      rerender(<LineLocation order={order} product={{ _id: "p2" }} />);
+      expect(screen.queryByTestId("line-location-o1-p2")).not.toBeInTheDocument();
+
+      rerender(<LineLocation order={{ _id: "o2" }} product={{ _id: "p1" }} />);
+      expect(screen.queryByTestId("line-location-o2-p1")).not.toBeInTheDocument();
+    });
+  });
+});
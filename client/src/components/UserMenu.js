@@ -17,7 +17,13 @@ const UserMenu = () => {
             className="list-group-item list-group-item-action"
           >
             Orders
-          </NavLink>         
+          </NavLink>
+          <NavLink
+            to="/dashboard/user/wishlist"
+            className="list-group-item list-group-item-action"
+          >
+            Wishlist
+          </NavLink>
         </div>
       </div>
     </div>
@@ -0,0 +1,43 @@
+import React from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { AiFillHeart, AiOutlineHeart } from "react-icons/ai";
+import { useAuth } from "../context/auth";
+import { useWishlist } from "../context/wishlist";
+
+// Heart on a product that saves it to, or removes it from, the wishlist of a signed-in user
+const WishlistButton = ({ product }) => {
+  const [auth] = useAuth();
+  const [wishlist, setWishlist] = useWishlist();
+
+  if (!auth?.token) return null;
+  const saved = wishlist.some((p) => p._id === product._id);
+
+  const toggleWishlist = async () => {
+    try {
+      const { data } = saved
+        ? await axios.delete(`/api/v1/auth/wishlist/${product._id}`)
+        : await axios.put(`/api/v1/auth/wishlist/${product._id}`);
+      setWishlist(saved ? wishlist.filter((p) => p._id !== product._id) : [...wishlist, product]);
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong in updating wishlist");
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      className="btn btn-link text-danger p-0 ms-2 fs-4"
+      aria-label={saved ? "Remove from wishlist" : "Add to wishlist"}
+      aria-pressed={saved}
+      onClick={toggleWishlist}
+      data-testid={`wishlist-button-${product._id}`}
+    >
+      {saved ? <AiFillHeart /> : <AiOutlineHeart />}
+    </button>
+  );
+};
+
+export default WishlistButton;
@@ -0,0 +1,102 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import { useWishlist } from "../context/wishlist";
+import WishlistButton from "./WishlistButton";
+
+jest.mock("axios");
+jest.mock("../context/auth", () => ({ useAuth: jest.fn() }));
+jest.mock("../context/wishlist", () => ({ useWishlist: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for WishlistButton component:
+  1. Happy Path: 2 tests
+    a. Should add a product that is not on the wishlist
+    b. Should remove a product that is on the wishlist
+  2. Edge Cases: 1 test
+    a. Should not show a heart to a guest
+  3. Error Handling: 1 test
+    a. Should keep the wishlist and show the server message when saving fails
+*/
+
+describe("WishlistButton", () => {
+  const laptop = { _id: "p1", name: "Laptop" };
+  const mouse = { _id: "p2", name: "Mouse" };
+  let setWishlist;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    setWishlist = jest.fn();
+    useAuth.mockReturnValue([{ token: "token", user: { _id: "u1" } }]);
+    useWishlist.mockReturnValue([[mouse], setWishlist]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should add a product that is not on the wishlist", async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Added to wishlist" } });
+      render(<WishlistButton product={laptop} />);
+
+      const heart = screen.getByRole("button", { name: "Add to wishlist" });
+      expect(heart).toHaveAttribute("aria-pressed", "false");
+      fireEvent.click(heart);
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Added to wishlist"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/wishlist/p1");
+      expect(setWishlist).toHaveBeenCalledWith([mouse, laptop]);
+    });
+
+    it("should remove a product that is on the wishlist", async () => {
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Removed from wishlist" } });
+      render(<WishlistButton product={mouse} />);
+
+      const heart = screen.getByRole("button", { name: "Remove from wishlist" });
+      expect(heart).toHaveAttribute("aria-pressed", "true");
+      fireEvent.click(heart);
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Removed from wishlist"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/wishlist/p2");
+      expect(setWishlist).toHaveBeenCalledWith([]);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should not show a heart to a guest", () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      render(<WishlistButton product={laptop} />);
+
+      expect(screen.queryByTestId("wishlist-button-p1")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should keep the wishlist and show the server message when saving fails", async () => {
+      axios.put
+        .mockRejectedValueOnce({ response: { data: { message: "Product not found" } } })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      render(<WishlistButton product={laptop} />);
+
+      fireEvent.click(screen.getByTestId("wishlist-button-p1"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Product not found"));
+      fireEvent.click(screen.getByTestId("wishlist-button-p1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in updating wishlist")
+      );
+      expect(setWishlist).not.toHaveBeenCalled();
+    });
+  });
+});
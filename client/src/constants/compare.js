@@ -0,0 +1,8 @@
+/**
+ * Product Comparison Constants
+ */
+// Most products the compare tray holds, all from the same category
+export const MAX_COMPARE_PRODUCTS = 4;
+
+// localStorage key of the products in the compare tray
+export const COMPARE_KEY = "compare";
@@ -0,0 +1,8 @@
+/**
+ * Recently Viewed Constants
+ */
+// Most products kept in a shopper's recently viewed history, signed in or not
+export const MAX_RECENTLY_VIEWED = 12;
+
+// localStorage key of a guest's history, merged into their account when they log in
+export const RECENTLY_VIEWED_KEY = "recentlyViewed";
@@ -0,0 +1,14 @@
+/**
+ * Review Moderation Status Constants
+ */
+export const REVIEW_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+export const REVIEW_STATUS_LIST = [
+  REVIEW_STATUS.PENDING,
+  REVIEW_STATUS.APPROVED,
+  REVIEW_STATUS.REJECTED,
+];
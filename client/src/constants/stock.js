@@ -0,0 +1,44 @@
+/**
+ * Stock Level Constants
+ */
+// Units in stock at or below which a product is running low, unless the product sets its own
+export const DEFAULT_REORDER_THRESHOLD = 5;
+
+export const STOCK_LEVEL = {
+  LOW: "low",
+  OUT: "out",
+};
+
+export const STOCK_LEVEL_LIST = [STOCK_LEVEL.LOW, STOCK_LEVEL.OUT];
+
+// Status of an order line: ready to ship from stock, or sold before the stock arrived and
+// waiting for it to be received
+export const LINE_STATUS = {
+  READY: "ready",
+  PREORDER: "pre-order",
+  BACKORDER: "backorder",
+};
+
+export const LINE_STATUS_LIST = [LINE_STATUS.READY, LINE_STATUS.PREORDER, LINE_STATUS.BACKORDER];
+
+export const AWAITING_STOCK_LIST = [LINE_STATUS.PREORDER, LINE_STATUS.BACKORDER];
+
+// Why the stock of a product changed, as recorded in the stock ledger
+export const STOCK_MOVEMENT_REASON = {
+  SALE: "sale",
+  ADJUSTMENT: "adjustment",
+  RETURN: "return",
+  IMPORT: "import",
+  TRANSFER: "transfer",
+};
+
+export const STOCK_MOVEMENT_REASON_LIST = [
+  STOCK_MOVEMENT_REASON.SALE,
+  STOCK_MOVEMENT_REASON.ADJUSTMENT,
+  STOCK_MOVEMENT_REASON.RETURN,
+  STOCK_MOVEMENT_REASON.IMPORT,
+  STOCK_MOVEMENT_REASON.TRANSFER,
+];
+
+// Reasons an admin can give for an adjustment; sales and imports are recorded by the store itself
+export const MANUAL_MOVEMENT_REASON_LIST = [STOCK_MOVEMENT_REASON.ADJUSTMENT, STOCK_MOVEMENT_REASON.RETURN];
@@ -0,0 +1,34 @@
+import React, { useState, useContext, createContext, useEffect } from "react";
+import { COMPARE_KEY } from "../constants/compare";
+
+const CompareContext = createContext();
+
+// products picked for the compare tray, kept in localStorage as [{ _id, name, slug, price, category }]
+const readCompare = () => {
+  try {
+    const compare = JSON.parse(localStorage.getItem(COMPARE_KEY));
+    return Array.isArray(compare) ? compare : [];
+  } catch {
+    return [];
+  }
+};
+
+// Products the shopper picked to compare side by side, kept across visits
+const CompareProvider = ({ children }) => {
+  const [compare, setCompare] = useState(readCompare);
+
+  useEffect(() => {
+    localStorage.setItem(COMPARE_KEY, JSON.stringify(compare));
+  }, [compare]);
+
+  return (
+    <CompareContext.Provider value={[compare, setCompare]}>
+      {children}
+    </CompareContext.Provider>
+  );
+};
+
+// custom hook
+const useCompare = () => useContext(CompareContext);
+
+export { useCompare, CompareProvider };
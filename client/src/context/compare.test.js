@@ -0,0 +1,65 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { CompareProvider, useCompare } from "./compare";
+
+/*
+  Test cases for CompareProvider:
+  1. Happy Path: 2 tests
+    a. Should start with the products kept in localStorage
+    b. Should keep the picked products in localStorage
+  2. Edge Cases: 1 test
+    a. Should start empty with a damaged list in localStorage
+*/
+
+describe("CompareProvider", () => {
+  const laptop = { _id: "p1", name: "Laptop", slug: "laptop", price: 900, category: "c1" };
+
+  const Names = () => {
+    const [compare, setCompare] = useCompare();
+    return (
+      <>
+        <p data-testid="compare">{compare.map((p) => p.name).join(", ") || "empty"}</p>
+        <button onClick={() => setCompare([laptop])}>pick laptop</button>
+      </>
+    );
+  };
+
+  const renderProvider = () =>
+    render(
+      <CompareProvider>
+        <Names />
+      </CompareProvider>
+    );
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("should start with the products kept in localStorage", () => {
+    localStorage.setItem("compare", JSON.stringify([laptop]));
+    renderProvider();
+
+    expect(screen.getByTestId("compare")).toHaveTextContent("Laptop");
+  });
+
+  it("should keep the picked products in localStorage", () => {
+    renderProvider();
+    expect(screen.getByTestId("compare")).toHaveTextContent("empty");
+
+    fireEvent.click(screen.getByText("pick laptop"));
+
+    expect(screen.getByTestId("compare")).toHaveTextContent("Laptop");
+    expect(JSON.parse(localStorage.getItem("compare"))).toEqual([laptop]);
+  });
+
+  it.each(["{not json", JSON.stringify({ _id: "p1" })])(
+    "should start empty with a damaged list %p in localStorage",
+    (stored) => {
+      localStorage.setItem("compare", stored);
+      renderProvider();
+
+      expect(screen.getByTestId("compare")).toHaveTextContent("empty");
+    }
+  );
+});
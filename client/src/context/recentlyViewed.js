@@ -0,0 +1,87 @@
+import React, { useState, useContext, createContext, useEffect, useCallback } from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
+import { MAX_RECENTLY_VIEWED, RECENTLY_VIEWED_KEY } from "../constants/recentlyViewed";
+
+const RecentlyViewedContext = createContext();
+
+// guest views kept in localStorage as [{ product: { _id, name, slug, price }, viewedAt }], latest first
+const readGuestViews = () => {
+  try {
+    const views = JSON.parse(localStorage.getItem(RECENTLY_VIEWED_KEY));
+    return Array.isArray(views) ? views.filter((view) => view?.product?._id) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Products the shopper viewed lately, kept on the server when signed in and in localStorage for
+// guests; a guest's views are merged into their account when they log in
+const RecentlyViewedProvider = ({ children }) => {
+  const [auth] = useAuth();
+  const [recentlyViewed, setRecentlyViewed] = useState([]);
+
+  useEffect(() => {
+    const getRecentlyViewed = async () => {
+      const views = readGuestViews();
+      try {
+        if (views.length) {
+          await axios.post("/api/v1/auth/recently-viewed/merge", {
+            views: views.map((view) => ({ product: view.product._id, viewedAt: view.viewedAt })),
+          });
+          localStorage.removeItem(RECENTLY_VIEWED_KEY);
+        }
+        const { data } = await axios.get("/api/v1/auth/recently-viewed");
+        if (data?.success) setRecentlyViewed(data.products);
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    if (auth?.token) getRecentlyViewed();
+    else setRecentlyViewed(readGuestViews().map((view) => view.product));
+  }, [auth?.token]);
+
+  const recordView = useCallback(
+    async (product) => {
+      const moveToFront = (list) =>
+        [product, ...list.filter((p) => p._id !== product._id)].slice(0, MAX_RECENTLY_VIEWED);
+      try {
+        if (auth?.token) {
+          await axios.put(`/api/v1/auth/recently-viewed/${product._id}`);
+        } else {
+          const { _id, name, slug, price } = product;
+          const views = [
+            { product: { _id, name, slug, price }, viewedAt: new Date().toISOString() },
+            ...readGuestViews().filter((view) => view.product._id !== _id),
+          ].slice(0, MAX_RECENTLY_VIEWED);
+          localStorage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(views));
+        }
+        setRecentlyViewed(moveToFront);
+      } catch (error) {
+        console.log(error);
+      }
+    },
+    [auth?.token]
+  );
+
+  const clearRecentlyViewed = useCallback(async () => {
+    try {
+      if (auth?.token) await axios.delete("/api/v1/auth/recently-viewed");
+      else localStorage.removeItem(RECENTLY_VIEWED_KEY);
+      setRecentlyViewed([]);
+    } catch (error) {
+      console.log(error);
+    }
+  }, [auth?.token]);
+
+  return (
+    <RecentlyViewedContext.Provider value={{ recentlyViewed, recordView, clearRecentlyViewed }}>
+      {children}
+    </RecentlyViewedContext.Provider>
+  );
+};
+
+// custom hook
+const useRecentlyViewed = () => useContext(RecentlyViewedContext);
+
+export { useRecentlyViewed, RecentlyViewedProvider };
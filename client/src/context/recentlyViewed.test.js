@@ -0,0 +1,204 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import { useAuth } from "./auth";
+import { RecentlyViewedProvider, useRecentlyViewed } from "./recentlyViewed";
+import { MAX_RECENTLY_VIEWED } from "../constants/recentlyViewed";
+
+jest.mock("axios");
+jest.mock("./auth", () => ({ useAuth: jest.fn() }));
+
+/*
+  Test cases for RecentlyViewedProvider:
+  1. Happy Path: 5 tests
+    a. Should load the history of a signed-in user
+    b. Should merge the views made as a guest when the user logs in
+    c. Should record a view on the server for a signed-in user
+    d. Should keep a guest's views in localStorage, latest first and each product once
+    e. Should clear the history on the server or in localStorage
+  2. Edge Cases: 2 tests
+    a. Should keep at most the history size for a guest
+    b. Should ignore a damaged history in localStorage
+  3. Error Handling: 2 tests
+    a. Should keep the guest views when merging fails
+    b. Should keep the history when recording or clearing fails
+*/
+
+describe("RecentlyViewedProvider", () => {
+  const laptop = { _id: "p1", name: "Laptop", slug: "laptop", price: 900, description: "Fast" };
+  const mouse = { _id: "p2", name: "Mouse", slug: "mouse", price: 20 };
+
+  const History = () => {
+    const { recentlyViewed, recordView, clearRecentlyViewed } = useRecentlyViewed();
+    return (
+      <>
+        <p data-testid="history">{recentlyViewed.map((p) => p.name).join(", ") || "empty"}</p>
+        <button onClick={() => recordView(laptop)}>view laptop</button>
+        <button onClick={() => recordView(mouse)}>view mouse</button>
+        <button onClick={clearRecentlyViewed}>clear</button>
+      </>
+    );
+  };
+
+  const renderProvider = () =>
+    render(
+      <RecentlyViewedProvider>
+        <History />
+      </RecentlyViewedProvider>
+    );
+
+  const guestViews = () => JSON.parse(localStorage.getItem("recentlyViewed"));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    jest.spyOn(console, "log").mockImplementation();
+    useAuth.mockReturnValue([{ token: "token", user: { _id: "u1" } }]);
+    axios.get.mockResolvedValue({ data: { success: true, products: [mouse] } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should load the history of a signed-in user", async () => {
+      renderProvider();
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse"));
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/recently-viewed");
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it("should merge the views made as a guest when the user logs in", async () => {
+      localStorage.setItem(
+        "recentlyViewed",
+        JSON.stringify([{ product: { _id: "p1", name: "Laptop" }, viewedAt: "2024-06-01T00:00:00.000Z" }])
+      );
+      axios.post.mockResolvedValueOnce({ data: { success: true } });
+      renderProvider();
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/recently-viewed/merge", {
+        views: [{ product: "p1", viewedAt: "2024-06-01T00:00:00.000Z" }],
+      });
+      expect(localStorage.getItem("recentlyViewed")).toBeNull();
+    });
+
+    it("should record a view on the server for a signed-in user", async () => {
+      axios.put.mockResolvedValue({ data: { success: true } });
+      renderProvider();
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse"));
+
+      fireEvent.click(screen.getByText("view laptop"));
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Laptop, Mouse"));
+      fireEvent.click(screen.getByText("view mouse"));
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse, Laptop"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/recently-viewed/p1");
+      expect(localStorage.getItem("recentlyViewed")).toBeNull();
+    });
+
+    it("should keep a guest's views in localStorage, latest first and each product once", async () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      renderProvider();
+      expect(screen.getByTestId("history")).toHaveTextContent("empty");
+
+      fireEvent.click(screen.getByText("view mouse"));
+      fireEvent.click(screen.getByText("view laptop"));
+      fireEvent.click(screen.getByText("view mouse"));
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse, Laptop"));
+      expect(guestViews()).toEqual([
+        { product: mouse, viewedAt: expect.any(String) },
+        { product: { _id: "p1", name: "Laptop", slug: "laptop", price: 900 }, viewedAt: expect.any(String) },
+      ]);
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+
+    it("should clear the history on the server or in localStorage", async () => {
+      axios.delete.mockResolvedValueOnce({ data: { success: true } });
+      const { unmount } = renderProvider();
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse"));
+
+      fireEvent.click(screen.getByText("clear"));
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("empty"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/recently-viewed");
+      unmount();
+
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      localStorage.setItem("recentlyViewed", JSON.stringify([{ product: mouse, viewedAt: "2024-06-01" }]));
+      renderProvider();
+      expect(screen.getByTestId("history")).toHaveTextContent("Mouse");
+
+      fireEvent.click(screen.getByText("clear"));
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("empty"));
+      expect(localStorage.getItem("recentlyViewed")).toBeNull();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should keep at most the history size for a guest", async () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      const views = Array.from({ length: MAX_RECENTLY_VIEWED }, (_, i) => ({
+        product: { _id: `old${i}`, name: `Old ${i}`, slug: `old-${i}`, price: 1 },
+        viewedAt: "2024-06-01",
+      }));
+      localStorage.setItem("recentlyViewed", JSON.stringify(views));
+      renderProvider();
+
+      fireEvent.click(screen.getByText("view laptop"));
+
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent(/^Laptop, Old 0/));
+      expect(guestViews()).toHaveLength(MAX_RECENTLY_VIEWED);
+      expect(guestViews()[MAX_RECENTLY_VIEWED - 1].product._id).toBe(`old${MAX_RECENTLY_VIEWED - 2}`);
+      expect(screen.getByTestId("history")).not.toHaveTextContent(`Old ${MAX_RECENTLY_VIEWED - 1}`);
+    });
+
+    it("should ignore a damaged history in localStorage", () => {
+      useAuth.mockReturnValue([{ token: "", user: null }]);
+      localStorage.setItem("recentlyViewed", "{not json");
+      const { unmount } = renderProvider();
+
+      expect(screen.getByTestId("history")).toHaveTextContent("empty");
+      unmount();
+
+      localStorage.setItem("recentlyViewed", JSON.stringify({ product: mouse }));
+      renderProvider();
+      expect(screen.getByTestId("history")).toHaveTextContent("empty");
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should keep the guest views when merging fails", async () => {
+      const error = new Error("Network Error");
+      localStorage.setItem("recentlyViewed", JSON.stringify([{ product: mouse, viewedAt: "2024-06-01" }]));
+      axios.post.mockRejectedValueOnce(error);
+      renderProvider();
+
+      await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+      expect(guestViews()).toHaveLength(1);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it("should keep the history when recording or clearing fails", async () => {
+      const error = new Error("Network Error");
+      axios.put.mockRejectedValueOnce(error);
+      axios.delete.mockRejectedValueOnce(error);
+      renderProvider();
+      await waitFor(() => expect(screen.getByTestId("history")).toHaveTextContent("Mouse"));
+
+      fireEvent.click(screen.getByText("view laptop"));
+      await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+      fireEvent.click(screen.getByText("clear"));
+      await waitFor(() => expect(console.log).toHaveBeenCalledTimes(2));
+
+      expect(screen.getByTestId("history")).toHaveTextContent("Mouse");
+      expect(screen.getByTestId("history")).not.toHaveTextContent("Laptop");
+    });
+  });
+});
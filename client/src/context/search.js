@@ -5,7 +5,6 @@ const SearchContext = createContext();
 const SearchProvider = ({ children }) => {
   const [auth, setAuth] = useState({
     keyword: "",
-    results: [],
   });
 
   return (
@@ -0,0 +1,35 @@
+import React, { useState, useContext, createContext, useEffect } from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
+
+const WishlistContext = createContext();
+
+// Products the signed-in user saved for later, loaded from the server whenever they sign in
+const WishlistProvider = ({ children }) => {
+  const [auth] = useAuth();
+  const [wishlist, setWishlist] = useState([]);
+
+  useEffect(() => {
+    const getWishlist = async () => {
+      try {
+        const { data } = await axios.get("/api/v1/auth/wishlist");
+        if (data?.success) setWishlist(data.wishlist);
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    if (auth?.token) getWishlist();
+    else setWishlist([]);
+  }, [auth?.token]);
+
+  return (
+    <WishlistContext.Provider value={[wishlist, setWishlist]}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+// custom hook
+const useWishlist = () => useContext(WishlistContext);
+
+export { useWishlist, WishlistProvider };
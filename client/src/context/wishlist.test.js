@@ -0,0 +1,70 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import { useAuth } from "./auth";
+import { WishlistProvider, useWishlist } from "./wishlist";
+
+jest.mock("axios");
+jest.mock("./auth", () => ({ useAuth: jest.fn() }));
+
+/*
+  Test cases for WishlistProvider:
+  1. Happy Path: 1 test
+    a. Should load the wishlist of a signed-in user
+  2. Edge Cases: 1 test
+    a. Should keep an empty wishlist without asking the server for a guest
+  3. Error Handling: 1 test
+    a. Should keep an empty wishlist when loading fails
+*/
+
+describe("WishlistProvider", () => {
+  const Names = () => {
+    const [wishlist] = useWishlist();
+    return <p data-testid="wishlist">{wishlist.map((p) => p.name).join(", ") || "empty"}</p>;
+  };
+
+  const renderProvider = () =>
+    render(
+      <WishlistProvider>
+        <Names />
+      </WishlistProvider>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    useAuth.mockReturnValue([{ token: "token", user: { _id: "u1" } }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should load the wishlist of a signed-in user", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, wishlist: [{ _id: "p1", name: "Laptop" }, { _id: "p2", name: "Mouse" }] },
+    });
+    renderProvider();
+
+    await waitFor(() => expect(screen.getByTestId("wishlist")).toHaveTextContent("Laptop, Mouse"));
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/wishlist");
+  });
+
+  it("should keep an empty wishlist without asking the server for a guest", () => {
+    useAuth.mockReturnValue([{ token: "", user: null }]);
+    renderProvider();
+
+    expect(screen.getByTestId("wishlist")).toHaveTextContent("empty");
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it("should keep an empty wishlist when loading fails", async () => {
+    const error = new Error("Network Error");
+    axios.get.mockRejectedValueOnce(error);
+    renderProvider();
+
+    await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+    expect(screen.getByTestId("wishlist")).toHaveTextContent("empty");
+  });
+});
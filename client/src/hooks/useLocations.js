@@ -0,0 +1,29 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// The store's stock locations, by name, for the admin product pages
+export default function useLocations() {
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  //get locations
+  const getLocations = async () => {
+    try {
+      setLoading(true);
+      const { data } = await axios.get("/api/v1/location/get-locations");
+      setLocations(data?.locations || []);
+    } catch (error) {
+      console.log(error);
+      setError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    getLocations();
+  }, []);
+
+  return { locations, loading, error };
+}
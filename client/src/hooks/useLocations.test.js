@@ -0,0 +1,61 @@
+import { renderHook, waitFor } from "@testing-library/react";
+import axios from "axios";
+import useLocations from "./useLocations";
+
+jest.mock("axios");
+
+/**
+ * Unit tests for useLocations
+ *
+ * 1. Happy path: 2 tests
+ *   a. loads the locations
+ *   b. empty locations when the api sends none
+ * 2. Error handling: 1 test
+ *   a. valid error state
+ */
+describe("useLocations", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should load the locations", async () => {
+      const locations = [
+        { _id: "l1", name: "North" },
+        { _id: "l2", name: "South" },
+      ];
+      axios.get.mockResolvedValue({ data: { success: true, locations } });
+
+      const { result } = renderHook(() => useLocations());
+
+      await waitFor(() => expect(result.current).toEqual({ locations, loading: false, error: null }));
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/location/get-locations");
+    });
+
+    it("should have empty locations when the api sends none", async () => {
+      axios.get.mockResolvedValue({ data: { success: false } });
+
+      const { result } = renderHook(() => useLocations());
+
+      await waitFor(() => expect(result.current.loading).toBe(false));
+      expect(result.current.locations).toEqual([]);
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should have a valid error state", async () => {
+      const error = new Error("Network error");
+      axios.get.mockRejectedValue(error);
+
+      const { result } = renderHook(() => useLocations());
+
+      await waitFor(() => expect(result.current).toEqual({ locations: [], loading: false, error }));
+      expect(console.log).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef } from "react";
+import axios from "axios";
+
+// Query string of the product search endpoint, leaving out the filters that are not set.
+// cursor is the nextCursor of the page shown last, left out for the first page.
+export const toSearchParams = (query, cursor) => {
+  const params = { sort: query.sort };
+  if (cursor) params.cursor = cursor;
+  if (query.keyword) params.keyword = query.keyword;
+  if (query.categories?.length) params.categories = query.categories.join(",");
+  if (query.price) {
+    params.minPrice = query.price.min;
+    if (query.price.max !== null) params.maxPrice = query.price.max;
+  }
+  if (query.inStock) params.inStock = "true";
+  if (query.minRating) params.minRating = query.minRating;
+  if (query.attributes && Object.keys(query.attributes).length) {
+    params.attributes = JSON.stringify(query.attributes);
+  }
+  return params;
+};
+
+// Products matching the query, fetched again from the first page whenever the query changes
+export default function useProductSearch(query) {
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState({ categories: [], prices: [] });
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // only the latest request may update the results, an earlier one can answer last
+  const latestRequest = useRef(0);
+
+  const search = async (cursor) => {
+    const request = ++latestRequest.current;
+    try {
+      setLoading(true);
+      const { data } = await axios.get("/api/v1/product/search", {
+        params: toSearchParams(query, cursor),
+      });
+      if (request !== latestRequest.current) return;
+      setProducts(cursor ? [...products, ...data.products] : data.products);
+      setTotal(data.total);
+      setFacets(data.facets);
+      setNextCursor(data.nextCursor || null);
+    } catch (error) {
+      console.log(error);
+    } finally {
+      if (request === latestRequest.current) setLoading(false);
+    }
+  };
+
+  const queryKey = JSON.stringify(query);
+  useEffect(() => {
+    search(null);
+    //eslint-disable-next-line
+  }, [queryKey]);
+
+  return {
+    products,
+    total,
+    facets,
+    loading,
+    hasMore: Boolean(nextCursor),
+    loadMore: () => search(nextCursor),
+  };
+}
@@ -0,0 +1,145 @@
+import { renderHook, waitFor, act } from "@testing-library/react";
+import axios from "axios";
+import useProductSearch, { toSearchParams } from "./useProductSearch";
+
+jest.mock("axios");
+
+/**
+ * Unit tests for useProductSearch
+ *
+ * 1. Happy path: 3 tests
+ *   a. fetches the first page with the facets
+ *   b. appends the page after the cursor on loadMore, until there is no next page
+ *   c. starts again from the first page when the query changes
+ * 2. Input API output: 1 test
+ *   a. toSearchParams leaves out the filters that are not set
+ * 3. Error handling: 2 tests
+ *   a. keeps the results on a failed request
+ *   b. ignores a response that arrives after a newer request
+ */
+describe("useProductSearch", () => {
+  const query = { categories: [], price: null, inStock: false, sort: "newest", attributes: {} };
+  const facets = { categories: [{ _id: "c1", name: "Book", count: 8 }], prices: [] };
+  const page = (products, total = 8, nextCursor = null) => ({
+    data: { products, total, facets, nextCursor },
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should fetch the first page with the facets", async () => {
+      axios.get.mockResolvedValue(page([{ _id: "1" }]));
+
+      const { result } = renderHook(() => useProductSearch(query));
+
+      await waitFor(() => expect(result.current.loading).toBe(false));
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search", {
+        params: { sort: "newest" },
+      });
+      expect(result.current.products).toEqual([{ _id: "1" }]);
+      expect(result.current.total).toBe(8);
+      expect(result.current.facets).toEqual(facets);
+      expect(result.current.hasMore).toBe(false);
+    });
+
+    it("should append the page after the cursor on loadMore", async () => {
+      axios.get
+        .mockResolvedValueOnce(page([{ _id: "1" }], 2, "cursor-1"))
+        .mockResolvedValueOnce(page([{ _id: "2" }], 2));
+      const { result } = renderHook(() => useProductSearch(query));
+      await waitFor(() => expect(result.current.products).toHaveLength(1));
+      expect(result.current.hasMore).toBe(true);
+
+      await act(() => result.current.loadMore());
+
+      await waitFor(() => expect(result.current.products).toEqual([{ _id: "1" }, { _id: "2" }]));
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/search", {
+        params: { sort: "newest", cursor: "cursor-1" },
+      });
+      expect(result.current.hasMore).toBe(false);
+    });
+
+    it("should start again from the first page when the query changes", async () => {
+      axios.get.mockResolvedValueOnce(page([{ _id: "1" }])).mockResolvedValueOnce(page([{ _id: "3" }], 1));
+      const { result, rerender } = renderHook((q) => useProductSearch(q), { initialProps: query });
+      await waitFor(() => expect(result.current.products).toHaveLength(1));
+
+      rerender({ ...query, inStock: true });
+
+      await waitFor(() => expect(result.current.products).toEqual([{ _id: "3" }]));
+      expect(result.current.total).toBe(1);
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/search", {
+        params: { sort: "newest", inStock: "true" },
+      });
+    });
+  });
+
+  describe("Input API output", () => {
+    it("toSearchParams should leave out the filters that are not set", () => {
+      expect(
+        toSearchParams(
+          {
+            keyword: "laptop",
+            categories: ["c1", "c2"],
+            price: { min: 100, max: null },
+            inStock: false,
+            minRating: 4,
+            sort: "relevance",
+            attributes: { colour: ["Red"] },
+          },
+          "cursor-1"
+        )
+      ).toEqual({
+        keyword: "laptop",
+        categories: "c1,c2",
+        minPrice: 100,
+        minRating: 4,
+        sort: "relevance",
+        cursor: "cursor-1",
+        attributes: '{"colour":["Red"]}',
+      });
+      expect(toSearchParams({ ...query, price: { min: 20, max: 40 } }, null)).toEqual({
+        sort: "newest",
+        minPrice: 20,
+        maxPrice: 40,
+      });
+    });
+  });
+
+  describe("Error handling", () => {
+    it("should keep the results on a failed request", async () => {
+      const error = new Error("Network Error");
+      axios.get.mockResolvedValueOnce(page([{ _id: "1" }], 8, "cursor-1")).mockRejectedValueOnce(error);
+      const { result } = renderHook(() => useProductSearch(query));
+      await waitFor(() => expect(result.current.products).toHaveLength(1));
+
+      await act(() => result.current.loadMore());
+
+      await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+      expect(result.current.products).toEqual([{ _id: "1" }]);
+      expect(result.current.loading).toBe(false);
+    });
+
+    it("should ignore a response that arrives after a newer request", async () => {
+      let answerFirst;
+      axios.get
+        .mockReturnValueOnce(new Promise((resolve) => (answerFirst = resolve)))
+        .mockResolvedValueOnce(page([{ _id: "new" }], 1));
+      const { result, rerender } = renderHook((q) => useProductSearch(q), { initialProps: query });
+
+      rerender({ ...query, sort: "name" });
+      await waitFor(() => expect(result.current.products).toEqual([{ _id: "new" }]));
+      await act(async () => answerFirst(page([{ _id: "old" }])));
+
+      expect(result.current.products).toEqual([{ _id: "new" }]);
+      expect(result.current.loading).toBe(false);
+    });
+  });
+});
@@ -7,6 +7,9 @@ import { BrowserRouter } from "react-router-dom";
 import { AuthProvider } from "./context/auth";
 import { SearchProvider } from "./context/search";
 import { CartProvider } from "./context/cart";
+import { WishlistProvider } from "./context/wishlist";
+import { RecentlyViewedProvider } from "./context/recentlyViewed";
+import { CompareProvider } from "./context/compare";
 import "antd/dist/reset.css";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
@@ -14,9 +17,15 @@ root.render(
   <AuthProvider>
     <SearchProvider>
       <CartProvider>
-        <BrowserRouter>
-          <App />
-        </BrowserRouter>
+        <WishlistProvider>
+          <RecentlyViewedProvider>
+            <CompareProvider>
+              <BrowserRouter>
+                <App />
+              </BrowserRouter>
+            </CompareProvider>
+          </RecentlyViewedProvider>
+        </WishlistProvider>
       </CartProvider>
     </SearchProvider>
   </AuthProvider>
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
+import FrequentlyBoughtTogether from "../components/FrequentlyBoughtTogether";
+import StockStatus from "../components/StockStatus";
 import { useCart } from "../context/cart";
 import { useAuth } from "../context/auth";
 import { useNavigate } from "react-router-dom";
@@ -15,6 +17,8 @@ const CartPage = () => {
   const [clientToken, setClientToken] = useState("");
   const [instance, setInstance] = useState("");
   const [loading, setLoading] = useState(false);
+  // cart lines the server could not reserve at checkout, with what is left of them
+  const [outOfStock, setOutOfStock] = useState([]);
   const navigate = useNavigate();
 
   //total price
@@ -33,10 +37,12 @@ const CartPage = () => {
     }
   };
   //detele item
-  const removeCartItem = (pid) => {
+  const removeCartItem = (pid, variantId) => {
     try {
       let myCart = [...cart];
-      let index = myCart.findIndex((item) => item._id === pid);
+      let index = myCart.findIndex(
+        (item) => item._id === pid && item.variant?._id === variantId
+      );
       // Fix: Prevent unexpected behaviour where if index === -1
       // splice(-1, 1) would remove the last item - YAN WEIDONG A0258151H
       if (index !== -1) {
@@ -72,6 +78,7 @@ const CartPage = () => {
         cart,
       });
       setLoading(false);
+      setOutOfStock([]);
       localStorage.removeItem("cart");
       setCart([]);
       navigate("/dashboard/user/orders");
@@ -79,8 +86,18 @@ const CartPage = () => {
     } catch (error) {
       console.log(error);
       setLoading(false);
+      // nothing was charged, the cart needs changing first
+      if (error?.response?.status === 409) {
+        const { message, outOfStock } = error.response.data;
+        setOutOfStock(outOfStock);
+        toast.error(`${message}: ${outOfStock.map((item) => item.name).join(", ")}`);
+      }
     }
   };
+
+  // what is left of a cart line that could not be reserved, if any
+  const stockIssue = (item) =>
+    outOfStock.find((line) => line.product === item._id && line.variant === item.variant?._id);
   return (
     <Layout>
       <div className=" cart-page">
@@ -107,7 +124,7 @@ const CartPage = () => {
                 <div className="row card flex-row" key={p._id}>
                   <div className="col-md-4">
                     <img
-                      src={`/api/v1/product/product-photo/${p._id}`}
+                      src={`/api/v1/product/product-photo/${p._id}?size=thumbnail`}
                       className="card-img-top"
                       alt={p.name}
                       width="100%"
@@ -116,13 +133,28 @@ const CartPage = () => {
                   </div>
                   <div className="col-md-4">
                     <p>{p.name}</p>
+                    {p.variant && (
+                      <p data-testid={`cart-item-variant-${p.variant._id}`}>
+                        {Object.entries(p.variant.options || {})
+                          .map(([name, value]) => `${name}: ${value}`)
+                          .join(", ")}
+                      </p>
+                    )}
                     <p>{p.description.substring(0, 30)}</p>
                     <p>Price : {p.price}</p>
+                    <StockStatus product={p} testId={`cart-item-status-${p._id}`} />
+                    {stockIssue(p) && (
+                      <p className="text-danger" data-testid={`cart-item-stock-${p._id}`}>
+                        {stockIssue(p).available > 0
+                          ? `Only ${stockIssue(p).available} left in stock`
+                          : "Out of stock"}
+                      </p>
+                    )}
                   </div>
                   <div className="col-md-4 cart-remove-btn">
                     <button
                       className="btn btn-danger"
-                      onClick={() => removeCartItem(p._id)}
+                      onClick={() => removeCartItem(p._id, p.variant?._id)}
                     >
                       Remove
                     </button>
@@ -196,6 +228,7 @@ const CartPage = () => {
             </div>
           </div>
         </div>
+        <FrequentlyBoughtTogether />
       </div>
     </Layout>
   );
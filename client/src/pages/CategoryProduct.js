@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from "react";
 import Layout from "../components/Layout";
+import WishlistButton from "../components/WishlistButton";
+import CompareButton from "../components/CompareButton";
+import CompareTray from "../components/CompareTray";
 import { useParams, useNavigate } from "react-router-dom";
 import { useCart } from "../context/cart";
 import toast from "react-hot-toast";
@@ -43,7 +46,7 @@ const CategoryProduct = () => {
               {products?.map((p) => (
                 <div className="card m-2" key={p._id}>
                   <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                    src={`/api/v1/product/product-photo/${p._id}?size=card`}
                     className="card-img-top"
                     alt={p.name}
                   />
@@ -73,6 +76,8 @@ const CategoryProduct = () => {
                         className="btn btn-dark ms-1"
                         // Bug fix: Added add to cart functionality - Ong Chang Heng Bertrand A0253013X
                         onClick={() => {
+                          // products with variants need an option picked on their own page first
+                          if (p.variants?.length) return navigate(`/product/${p.slug}`);
                           setCart([...cart, p]);
                           localStorage.setItem(
                             "cart",
@@ -81,8 +86,12 @@ const CategoryProduct = () => {
                           toast.success("Item Added to cart");
                         }}
                       >
-                        ADD TO CART
+                        {p.variants?.length ? "SELECT OPTIONS" : "ADD TO CART"}
                       </button>
+                      <WishlistButton product={p} />
+                    </div>
+                    <div className="mt-2">
+                      <CompareButton product={p} />
                     </div>
                   </div>
                 </div>
@@ -91,6 +100,7 @@ const CategoryProduct = () => {
           </div>
         </div>
       </div>
+      <CompareTray />
     </Layout>
   );
 };
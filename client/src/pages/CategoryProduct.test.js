@@ -20,6 +20,13 @@ jest.mock("react-router-dom", () => ({
 // Mock Layout component
 jest.mock("../components/Layout", () => ({ children }) => <div>{children}</div>);
 
+// Mock wishlist heart, it has its own tests
+jest.mock("../components/WishlistButton", () => () => null);
+
+// Mock compare button and tray, they have their own tests
+jest.mock("../components/CompareButton", () => () => null);
+jest.mock("../components/CompareTray", () => () => null);
+
 jest.mock("../context/cart", () => ({
   useCart: jest.fn(),
 }));
@@ -36,10 +43,11 @@ import { useCart } from "../context/cart";
 
 /*
   Test cases for CategoryProduct Page:
-  1. Happy Path: 3 tests
+  1. Happy Path: 4 tests
     a. should display category name and products when fetched successfully
     b. should add product to cart when 'ADD TO CART' button is clicked
     c. should display message when no products found (0 products)
+    d. should send products with variants to their page to pick options
   2. Error Handling: 3 tests
     a. should handle error when fetching category products
     b. should handle missing category data gracefully
@@ -133,6 +141,30 @@ describe("CategoryProduct Component", () => {
 			expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
 		});
 
+    it("should send products with variants to their page to pick options", async () => {
+      const variantProduct = {
+        ...mockProduct,
+        variants: [{ _id: "v1", sku: "P1-S", options: { Size: "S" }, quantity: 1 }],
+      };
+      useParams.mockReturnValue({ slug: mockCategory.slug });
+      axios.get.mockResolvedValueOnce({
+        data: {
+          category: mockCategory,
+          products: [variantProduct],
+        },
+      });
+
+      render(<CategoryProduct />);
+
+      const button = await screen.findByTestId(`add-to-cart-button-${mockProduct._id}`);
+      expect(button).toHaveTextContent("SELECT OPTIONS");
+
+      fireEvent.click(button);
+
+      expect(mockNavigate).toHaveBeenCalledWith(`/product/${mockProduct.slug}`);
+      expect(mockSetCart).not.toHaveBeenCalled();
+    });
+
     it("should display message when no products found (0 products)", async () => {
       axios.get.mockResolvedValueOnce({
         data: {
@@ -289,7 +321,7 @@ describe("CategoryProduct Component", () => {
 
     await waitFor(() => {
       const productImage = screen.getByAltText(mockProduct.name);
-      expect(productImage).toHaveAttribute('src', `/api/v1/product/product-photo/${mockProduct._id}`);
+      expect(productImage).toHaveAttribute('src', `/api/v1/product/product-photo/${mockProduct._id}?size=card`);
       expect(productImage).toHaveAttribute('alt', mockProduct.name);
     });
   });
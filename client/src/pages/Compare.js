@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import Layout from "./../components/Layout";
+import { starText } from "../components/ProductReviews";
+import { useCompare } from "../context/compare";
+
+// units in stock, across the variants of a product that has them
+const stockOf = (product) =>
+  product.variants?.length
+    ? product.variants.reduce((total, variant) => total + variant.quantity, 0)
+    : product.quantity;
+
+const attributeText = (attribute, value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (attribute.type === "boolean") return value ? "Yes" : "No";
+  return `${value}${attribute.unit ? ` ${attribute.unit}` : ""}`;
+};
+
+// Rows of the compare table, one value per product, flagged when the products differ.
+// The category's attributes follow the general rows in the order the category defines them.
+export const compareRows = (products) => {
+  const rows = [
+    {
+      key: "price",
+      name: "Price",
+      values: products.map((p) => p.price.toLocaleString("en-US", { style: "currency", currency: "USD" })),
+    },
+    { key: "category", name: "Category", values: products.map((p) => p.category?.name) },
+    {
+      key: "stock",
+      name: "Stock",
+      values: products.map((p) => (stockOf(p) > 0 ? `${stockOf(p)} in stock` : "Out of stock")),
+    },
+    { key: "shipping", name: "Shipping", values: products.map((p) => (p.shipping ? "Yes" : "No")) },
+    {
+      key: "rating",
+      name: "Rating",
+      values: products.map((p) =>
+        p.ratingCount > 0
+          ? `${starText(Math.round(p.ratingAverage))} ${p.ratingAverage} (${p.ratingCount})`
+          : "No reviews"
+      ),
+    },
+    ...(products[0]?.category?.attributes || []).map((attribute) => ({
+      key: attribute.key,
+      name: attribute.name,
+      values: products.map((p) => attributeText(attribute, p.attributes?.[attribute.key])),
+    })),
+  ];
+  return rows.map((row) => ({ ...row, differs: new Set(row.values).size > 1 }));
+};
+
+const Compare = () => {
+  const navigate = useNavigate();
+  const [compare, setCompare] = useCompare();
+  const [products, setProducts] = useState([]);
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+
+  // only a change of the picked products asks for them again
+  const productIds = compare.map((p) => p._id).join(",");
+
+  useEffect(() => {
+    const getProducts = async () => {
+      try {
+        const { data } = await axios.get("/api/v1/product/compare-products", {
+          params: { products: productIds },
+        });
+        if (data?.success) setProducts(data.products);
+      } catch (error) {
+        console.log(error);
+        toast.error(error?.response?.data?.message || "Something went wrong in comparing products");
+        setProducts([]);
+      }
+    };
+    if (compare.length >= 2) getProducts();
+    else setProducts([]);
+  }, [productIds, compare.length]);
+
+  const removeProduct = (id) => setCompare(compare.filter((p) => p._id !== id));
+  const rows = compareRows(products).filter((row) => !onlyDifferences || row.differs);
+
+  return (
+    <Layout title={"Compare products"}>
+      <div className="container mt-3">
+        <h1 className="text-center">Compare products</h1>
+        {compare.length < 2 ? (
+          <p className="text-center" data-testid="compare-empty">
+            Add at least 2 products from the same category to compare them.{" "}
+            <Link to="/">Browse products</Link>
+          </p>
+        ) : (
+          <>
+            <div className="form-check mb-2">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="only-differences"
+                checked={onlyDifferences}
+                onChange={(e) => setOnlyDifferences(e.target.checked)}
+                data-testid="only-differences"
+              />
+              <label className="form-check-label" htmlFor="only-differences">
+                Show only differences
+              </label>
+            </div>
+            <div className="table-responsive">
+              <table className="table table-bordered align-middle" data-testid="compare-table">
+                <thead>
+                  <tr>
+                    <th scope="col" />
+                    {products.map((p) => (
+                      <th scope="col" key={p._id} data-testid={`compare-product-${p._id}`}>
+                        <img
+                          src={`/api/v1/product/product-photo/${p._id}?size=thumbnail`}
+                          alt={p.name}
+                          height="100px"
+                        />
+                        <div>
+                          <button
+                            type="button"
+                            className="btn btn-link p-0"
+                            onClick={() => navigate(`/product/${p.slug}`)}
+                          >
+                            {p.name}
+                          </button>
+                        </div>
+                        <button
+                          type="button"
+                          className="btn btn-sm btn-outline-danger"
+                          onClick={() => removeProduct(p._id)}
+                          data-testid={`compare-remove-${p._id}`}
+                        >
+                          Remove
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr
+                      key={row.key}
+                      className={row.differs ? "table-warning" : undefined}
+                      data-testid={`compare-row-${row.key}`}
+                    >
+                      <th scope="row">{row.name}</th>
+                      {row.values.map((value, index) => (
+                        <td key={products[index]._id}>{value}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Compare;
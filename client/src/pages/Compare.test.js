@@ -0,0 +1,192 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { useCompare } from "../context/compare";
+import Compare, { compareRows } from "./Compare";
+
+jest.mock("axios");
+jest.mock("react-router-dom", () => ({
+  useNavigate: jest.fn(),
+  Link: ({ to, children }) => <a href={to}>{children}</a>,
+}));
+jest.mock("../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../context/compare", () => ({ useCompare: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for Compare page:
+  1. Happy Path: 4 tests
+    a. Should show the products side by side with the category's attributes in order
+    b. Should highlight the rows where the products differ and show only those on request
+    c. Should take a product out of the comparison
+    d. Should open a compared product
+  2. Edge Cases: 2 tests
+    a. Should ask for more products with fewer than 2 picked
+    b. Should count the stock across the variants and dash missing attribute values
+  3. Error Handling: 1 test
+    a. Should show the server message when the comparison is rejected
+*/
+
+describe("Compare page", () => {
+  const category = {
+    _id: "c1",
+    name: "Laptops",
+    attributes: [
+      { key: "screen", name: "Screen", type: "number", unit: "in" },
+      { key: "touch", name: "Touchscreen", type: "boolean" },
+      { key: "os", name: "OS", type: "select" },
+    ],
+  };
+  const laptop = {
+    _id: "p1",
+    name: "Laptop",
+    slug: "laptop",
+    price: 900,
+    quantity: 5,
+    shipping: true,
+    ratingAverage: 4.4,
+    ratingCount: 12,
+    category,
+    attributes: { screen: 15, touch: false, os: "Linux" },
+  };
+  const ultrabook = {
+    _id: "p2",
+    name: "Ultrabook",
+    slug: "ultrabook",
+    price: 1200,
+    quantity: 0,
+    shipping: true,
+    ratingAverage: 0,
+    ratingCount: 0,
+    category,
+    attributes: { screen: 13, touch: true, os: "Linux" },
+  };
+  let navigate, setCompare;
+
+  const rowText = (key) => screen.getByTestId(`compare-row-${key}`).textContent;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    navigate = jest.fn();
+    setCompare = jest.fn();
+    useNavigate.mockReturnValue(navigate);
+    useCompare.mockReturnValue([[{ _id: "p1" }, { _id: "p2" }], setCompare]);
+    axios.get.mockResolvedValue({ data: { success: true, products: [laptop, ultrabook] } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should show the products side by side with the category's attributes in order", async () => {
+      render(<Compare />);
+
+      await screen.findByTestId("compare-product-p2");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/compare-products", {
+        params: { products: "p1,p2" },
+      });
+      expect(rowText("price")).toBe("Price$900.00$1,200.00");
+      expect(rowText("category")).toBe("CategoryLaptopsLaptops");
+      expect(rowText("stock")).toBe("Stock5 in stockOut of stock");
+      expect(rowText("shipping")).toBe("ShippingYesYes");
+      expect(rowText("rating")).toBe("Rating★★★★☆ 4.4 (12)No reviews");
+      expect(rowText("screen")).toBe("Screen15 in13 in");
+      expect(rowText("touch")).toBe("TouchscreenNoYes");
+      const rows = screen.getAllByTestId(/^compare-row-/).map((row) => row.dataset.testid);
+      expect(rows.slice(-3)).toEqual(["compare-row-screen", "compare-row-touch", "compare-row-os"]);
+    });
+
+    it("should highlight the rows where the products differ and show only those on request", async () => {
+      render(<Compare />);
+      await screen.findByTestId("compare-product-p2");
+
+      expect(screen.getByTestId("compare-row-price")).toHaveClass("table-warning");
+      expect(screen.getByTestId("compare-row-shipping")).not.toHaveClass("table-warning");
+      fireEvent.click(screen.getByTestId("only-differences"));
+
+      expect(screen.queryByTestId("compare-row-shipping")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("compare-row-os")).not.toBeInTheDocument();
+      expect(screen.getByTestId("compare-row-screen")).toBeInTheDocument();
+    });
+
+    it("should take a product out of the comparison", async () => {
+      render(<Compare />);
+
+      fireEvent.click(await screen.findByTestId("compare-remove-p1"));
+
+      expect(setCompare).toHaveBeenCalledWith([{ _id: "p2" }]);
+    });
+
+    it("should open a compared product", async () => {
+      render(<Compare />);
+      await screen.findByTestId("compare-product-p2");
+
+      fireEvent.click(screen.getByText("Ultrabook"));
+
+      expect(navigate).toHaveBeenCalledWith("/product/ultrabook");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should ask for more products with fewer than 2 picked", () => {
+      useCompare.mockReturnValue([[{ _id: "p1" }], setCompare]);
+      render(<Compare />);
+
+      expect(screen.getByTestId("compare-empty")).toHaveTextContent(
+        "Add at least 2 products from the same category to compare them."
+      );
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it("should count the stock across the variants and dash missing attribute values", () => {
+      const shirt = {
+        ...laptop,
+        attributes: {},
+        category: { name: "Shirts" },
+        variants: [{ quantity: 2 }, { quantity: 3 }],
+      };
+      const stock = compareRows([shirt, { ...shirt, variants: [{ quantity: 0 }] }]).find(
+        (row) => row.key === "stock"
+      );
+
+      expect(stock.values).toEqual(["5 in stock", "Out of stock"]);
+      expect(compareRows([{ ...laptop, attributes: {} }]).map((row) => row.values[0]).slice(-3)).toEqual([
+        "—",
+        "—",
+        "—",
+      ]);
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show the server message when the comparison is rejected", async () => {
+      axios.get
+        .mockRejectedValueOnce({
+          response: { data: { message: "Only products from the same category can be compared" } },
+        })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      const { rerender } = render(<Compare />);
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Only products from the same category can be compared")
+      );
+      useCompare.mockReturnValue([[{ _id: "p1" }, { _id: "p3" }], setCompare]);
+      rerender(<Compare />);
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in comparing products")
+      );
+      expect(screen.queryByTestId("compare-product-p1")).not.toBeInTheDocument();
+    });
+  });
+});
@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { Checkbox, Radio } from "antd";
-import { Prices } from "../components/Prices";
+import SearchFilters from "../components/SearchFilters";
+import WishlistButton from "../components/WishlistButton";
+import RecentlyViewed from "../components/RecentlyViewed";
+import CompareButton from "../components/CompareButton";
+import CompareTray from "../components/CompareTray";
+import useProductSearch from "../hooks/useProductSearch";
 import { useCart } from "../context/cart";
 import axios from "axios";
 import toast from "react-hot-toast";
@@ -12,13 +16,18 @@ import "../styles/Homepages.css";
 const HomePage = () => {
   const navigate = useNavigate();
   const [cart, setCart] = useCart();
-  const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
-  const [checked, setChecked] = useState([]);
-  const [radio, setRadio] = useState([]);
-  const [total, setTotal] = useState(0);
-  const [page, setPage] = useState(1);
-  const [loading, setLoading] = useState(false);
+  const [query, setQuery] = useState({
+    categories: [],
+    price: null,
+    inStock: false,
+    minRating: null,
+    sort: "newest",
+    attributes: {},
+  });
+  const { products, facets, loading, hasMore, loadMore } = useProductSearch(query);
+  const filtered =
+    query.categories.length > 0 || query.price !== null || query.inStock || query.minRating !== null;
 
   //get all cat
   const getAllCategory = async () => {
@@ -34,79 +43,8 @@ const HomePage = () => {
 
   useEffect(() => {
     getAllCategory();
-    getTotal();
   }, []);
-  //get products
-  const getAllProducts = async () => {
-    try {
-      setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
-      setLoading(false);
-      setProducts(data.products);
-    } catch (error) {
-      setLoading(false);
-      console.log(error);
-    }
-  };
 
-  //getTOtal COunt
-  const getTotal = async () => {
-    try {
-      const { data } = await axios.get("/api/v1/product/product-count");
-      setTotal(data?.total);
-    } catch (error) {
-      console.log(error);
-    }
-  };
-
-  useEffect(() => {
-    if (page === 1) return;
-    loadMore();
-  }, [page]);
-  //load more
-  const loadMore = async () => {
-    try {
-      setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
-      setLoading(false);
-      setProducts([...products, ...data?.products]);
-    } catch (error) {
-      console.log(error);
-      setLoading(false);
-    }
-  };
-
-  // filter by cat
-  const handleFilter = (value, id) => {
-    let all = [...checked];
-    if (value) {
-      all.push(id);
-    } else {
-      all = all.filter((c) => c !== id);
-    }
-    setChecked(all);
-  };
-  useEffect(() => {
-    // Bug fix: Changed logical operator from OR to AND to ensure both filters are empty before fetching all products - Ong Chang Heng Bertrand A0253013X
-    if (!checked.length && !radio.length) getAllProducts();
-  }, [checked.length, radio.length]);
-
-  useEffect(() => {
-    if (checked.length || radio.length) filterProduct();
-  }, [checked, radio]);
-
-  //get filterd product
-  const filterProduct = async () => {
-    try {
-      const { data } = await axios.post("/api/v1/product/product-filters", {
-        checked,
-        radio,
-      });
-      setProducts(data?.products);
-    } catch (error) {
-      console.log(error);
-    }
-  };
   return (
     <Layout title={"ALL Products - Best offers "}>
       {/* banner image */}
@@ -119,29 +57,12 @@ const HomePage = () => {
       {/* banner image */}
       <div className="container-fluid row mt-3 home-page">
         <div className="col-md-3 filters">
-          <h4 className="text-center">Filter By Category</h4>
-          <div className="d-flex flex-column">
-            {categories?.map((c) => (
-              <Checkbox
-                key={c._id}
-                data-testid={`category-checkbox-${c._id}`}
-                onChange={(e) => handleFilter(e.target.checked, c._id)}
-              >
-                {c.name}
-              </Checkbox>
-            ))}
-          </div>
-          {/* price filter */}
-          <h4 className="text-center mt-4">Filter By Price</h4>
-          <div className="d-flex flex-column">
-            <Radio.Group onChange={(e) => setRadio(e.target.value)}>
-              {Prices?.map((p) => (
-                <div key={p._id}>
-                  <Radio value={p.array} data-testid={`price-radio-${p._id}`}>{p.name}</Radio>
-                </div>
-              ))}
-            </Radio.Group>
-          </div>
+          <SearchFilters
+            categories={categories}
+            facets={facets}
+            query={query}
+            setQuery={setQuery}
+          />
           <div className="d-flex flex-column">
             <button
               className="btn btn-danger"
@@ -158,7 +79,7 @@ const HomePage = () => {
             {products?.map((p) => (
               <div className="card m-2" key={p._id} data-testid={`product-card-${p._id}`}>
                 <img
-                  src={`/api/v1/product/product-photo/${p._id}`}
+                  src={`/api/v1/product/product-photo/${p._id}?size=card`}
                   className="card-img-top"
                   alt={p.name}
                   data-testid={`product-image-${p._id}`}
@@ -185,30 +106,36 @@ const HomePage = () => {
                       className="btn btn-dark ms-1"
                       data-testid={`product-cart-button-${p._id}`}
                       onClick={() => {
+                        // products with variants need an option picked on their own page first
+                        if (p.variants?.length) return navigate(`/product/${p.slug}`);
                         setCart([...cart, p]);
                         localStorage.setItem("cart", JSON.stringify([...cart, p]));
                         toast.success("Item Added to cart");
                       }}
                     >
-                      ADD TO CART
+                      {p.variants?.length ? "SELECT OPTIONS" : "ADD TO CART"}
                     </button>
+                    <WishlistButton product={p} />
+                  </div>
+                  <div className="mt-2">
+                    <CompareButton product={p} />
                   </div>
                 </div>
               </div>
             ))}
             {/* Bug fix: Show message when no products match filters instead of loadmore button - Ong Chang Heng Bertrand A0253013X */}
-            {products?.length === 0 && (checked.length || radio.length) && (
+            {products?.length === 0 && filtered && (
               <p className="text-center w-100 mt-3" data-testid="no-products-filter-message">No products found for the selected filters.</p>
             )}
           </div>
           <div className="m-2 p-3">
-            {products && products.length < total && !checked.length && !radio.length && (
+            {hasMore && (
               <button
                 className="btn loadmore"
                 data-testid="load-more-button"
                 onClick={(e) => {
                   e.preventDefault();
-                  setPage(page + 1);
+                  loadMore();
                 }}
               >
                 {loading ? "Loading ..." : "Loadmore ↻"}
@@ -217,6 +144,8 @@ const HomePage = () => {
           </div>
         </div>
       </div>
+      <RecentlyViewed />
+      <CompareTray />
     </Layout>
   );
 };
@@ -1,17 +1,29 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
+import ProductReviews, { starText } from "../components/ProductReviews";
+import ProductQuestions from "../components/ProductQuestions";
+import WishlistButton from "../components/WishlistButton";
+import RecentlyViewed from "../components/RecentlyViewed";
+import NotifyMeButton from "../components/NotifyMeButton";
+import StockStatus, { stockStatus } from "../components/StockStatus";
 import axios from "axios";
 import { useParams, useNavigate } from "react-router-dom";
 import { useCart } from "../context/cart";
+import { useRecentlyViewed } from "../context/recentlyViewed";
 import toast from "react-hot-toast";
+import { LINE_STATUS, STOCK_LEVEL } from "../constants/stock";
 import "../styles/ProductDetailsStyles.css";
 
 const ProductDetails = () => {
   const params = useParams();
   const navigate = useNavigate();
   const [cart, setCart] = useCart();
+  const { recordView } = useRecentlyViewed();
   const [product, setProduct] = useState({});
   const [relatedProducts, setRelatedProducts] = useState([]);
+  const [boughtTogether, setBoughtTogether] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [activeImage, setActiveImage] = useState(0);
 
   //initial details
   useEffect(() => {
@@ -31,6 +43,9 @@ const ProductDetails = () => {
         return;
       }
       setProduct(data?.product);
+      setSelectedOptions({});
+      setActiveImage(0);
+      recordView(data?.product);
       getSimilarProduct(data?.product._id, data?.product.category._id);
     } catch (error) {
       console.log(error);
@@ -47,26 +62,92 @@ const ProductDetails = () => {
         `/api/v1/product/related-product/${pid}/${cid}`
       );
       setRelatedProducts(data?.products);
+      setBoughtTogether(data?.boughtTogether || 0);
     } catch (error) {
       console.log(error);
       // Bug fix: Added error handling for failed API call - Ong Chang Heng Bertrand A0253013X
       toast.error("Something went wrong while fetching related products");
       setRelatedProducts([]);
+      setBoughtTogether(0);
     }
   };
 
+  // variant matching every selected option, if the product has variants
+  const hasVariants = product?.variants?.length > 0;
+  const selectedVariant = product?.variants?.find((variant) =>
+    product.variantOptions.every(
+      (option) => variant.options?.[option.name] === selectedOptions[option.name]
+    )
+  );
+  const price = selectedVariant?.price ?? product?.price;
+  // nothing of the product is left, whichever variant is picked, beyond what may be pre-ordered
+  // or backordered
+  const availability = stockStatus(product);
+  const outOfStock = availability === STOCK_LEVEL.OUT;
+
+  // spec table rows, in the order the category defines its attributes
+  const specifications = (product?.category?.attributes || [])
+    .filter((attribute) => product.attributes?.[attribute.key] !== undefined)
+    .map((attribute) => {
+      const value = product.attributes[attribute.key];
+      return {
+        name: attribute.name,
+        value:
+          attribute.type === "boolean"
+            ? value ? "Yes" : "No"
+            : `${value}${attribute.unit ? ` ${attribute.unit}` : ""}`,
+      };
+    });
+
+  //add the product, or the selected variant of it, to the cart
+  const addToCart = (item) => {
+    setCart([...cart, item]);
+    localStorage.setItem("cart", JSON.stringify([...cart, item]));
+    toast.success("Item Added to cart");
+  };
+
+  const addProductToCart = () => {
+    if (!hasVariants) return addToCart(product);
+    const { variants, variantOptions, ...rest } = product;
+    addToCart({
+      ...rest,
+      price,
+      variant: {
+        _id: selectedVariant._id,
+        sku: selectedVariant.sku,
+        options: selectedVariant.options,
+      },
+    });
+  };
+
   return (
     <Layout>
       <div className="row container product-details">
         <div className="col-md-6">
           <img
             data-testid="main-product-image"
-            src={`/api/v1/product/product-photo/${product._id}`}
+            src={`/api/v1/product/product-photo/${product._id}${activeImage ? `/${activeImage}` : ""}`}
             className="card-img-top"
-            alt={product.name}
+            alt={product.images?.[activeImage]?.alt || product.name}
             height="300"
             width={"350px"}
           />
+          {product.images?.length > 1 && (
+            <div className="d-flex flex-wrap mt-2" data-testid="product-thumbnails">
+              {product.images.map((image, index) => (
+                <img
+                  key={index}
+                  data-testid={`product-thumbnail-${index}`}
+                  src={`/api/v1/product/product-photo/${product._id}/${index}?size=thumbnail`}
+                  className={`img-thumbnail me-2${index === activeImage ? " border-primary" : ""}`}
+                  alt={image.alt || `${product.name} ${index + 1}`}
+                  height="60"
+                  width="60"
+                  onClick={() => setActiveImage(index)}
+                />
+              ))}
+            </div>
+          )}
         </div>
         <div className="col-md-6 product-details-info">
           {/* Added data-testid attributes to the relevant elements for testing purposes - Ong Chang Heng Bertrand A0253013X */}
@@ -74,33 +155,90 @@ const ProductDetails = () => {
             Product Details
           </h1>
           <hr />
-          <h6 data-testid="product-title">{product?.name}</h6>
+          <h6 data-testid="product-title">
+            {product?.name}
+            {product?._id && <WishlistButton product={product} />}
+          </h6>
+          {product?.ratingCount > 0 && (
+            <h6 data-testid="product-rating">
+              <span className="text-warning">{starText(Math.round(product.ratingAverage))}</span>{" "}
+              {product.ratingAverage} ({product.ratingCount})
+            </h6>
+          )}
           <h6 data-testid="product-description">Description: {product?.description}</h6>
           <h6 data-testid="product-price">
-            Price: {product?.price?.toLocaleString("en-US", { style: "currency", currency: "USD" })}
+            Price: {price?.toLocaleString("en-US", { style: "currency", currency: "USD" })}
           </h6>
           <h6 data-testid="product-category">Category: {product?.category?.name}</h6>
+          {specifications.length > 0 && (
+            <table className="table table-sm mb-3" data-testid="product-specifications">
+              <tbody>
+                {specifications.map((specification) => (
+                  <tr key={specification.name}>
+                    <th scope="row">{specification.name}</th>
+                    <td>{specification.value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {hasVariants &&
+            product.variantOptions.map((option) => (
+              <div className="mb-3" key={option.name}>
+                <label className="form-label">{option.name}</label>
+                <select
+                  data-testid={`variant-select-${option.name}`}
+                  className="form-select"
+                  value={selectedOptions[option.name] || ""}
+                  onChange={(e) =>
+                    setSelectedOptions({ ...selectedOptions, [option.name]: e.target.value })
+                  }
+                >
+                  <option value="">Select {option.name}</option>
+                  {option.values.map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          <StockStatus product={product} />
+          {hasVariants && !outOfStock && (
+            <h6 data-testid="variant-availability">
+              {!selectedVariant
+                ? "Select options to see availability"
+                : selectedVariant.quantity > 0
+                ? `In stock (SKU ${selectedVariant.sku})`
+                : "Out of stock"}
+            </h6>
+          )}
           <button
             data-testid={`main-add-to-cart-button-${product._id}`}
             className="btn btn-secondary ms-1"
             // Added add to cart functionality - Ong Chang Heng Bertrand A0253013X
             // Bug fix: Changed "class" to "className" - Ong Chang Heng Bertrand A0253013X
-            onClick={() => {
-              setCart([...cart, product]);
-              localStorage.setItem(
-                "cart",
-                JSON.stringify([...cart, product])
-              );
-              toast.success("Item Added to cart");
-            }}
+            disabled={outOfStock || (hasVariants && !(selectedVariant?.quantity > 0))}
+            onClick={addProductToCart}
           >
-            ADD TO CART
+            {outOfStock
+              ? "OUT OF STOCK"
+              : availability === LINE_STATUS.PREORDER
+              ? "PRE-ORDER"
+              : "ADD TO CART"}
           </button>
+          {outOfStock && <NotifyMeButton product={product} />}
         </div>
       </div>
       <hr />
+      {product?._id && <ProductReviews productId={product._id} />}
+      <hr />
+      {product?._id && <ProductQuestions productId={product._id} />}
+      <hr />
       <div className="row container similar-products" data-testid="similar-products">
-        <h4 data-testid="similar-products-title">Similar Products ➡️</h4>
+        <h4 data-testid="similar-products-title">
+          {boughtTogether > 0 ? "Customers also bought ➡️" : "Similar Products ➡️"}
+        </h4>
         {relatedProducts.length < 1 && (
           <p className="text-center" data-testid="no-similar-products">No Similar Products found</p>
         )}
@@ -108,7 +246,7 @@ const ProductDetails = () => {
           {relatedProducts?.map((p) => (
             <div className="card m-2" key={p._id}>
               <img
-                src={`/api/v1/product/product-photo/${p._id}`}
+                src={`/api/v1/product/product-photo/${p._id}?size=card`}
                 className="card-img-top"
                 alt={p.name}
                 data-testid={`similar-product-image-${p._id}`}
@@ -138,16 +276,14 @@ const ProductDetails = () => {
                     data-testid={`similar-add-to-cart-button-${p._id}`}
                     className="btn btn-dark ms-1"
                     // Added add to cart functionality - Ong Chang Heng Bertrand A0253013X
-                    onClick={() => {
-                      setCart([...cart, p]);
-                      localStorage.setItem(
-                        "cart",
-                        JSON.stringify([...cart, p])
-                      );
-                      toast.success("Item Added to cart");
-                    }}
+                    // products with variants need an option picked on their own page first
+                    onClick={() =>
+                      p.variants?.length
+                        ? navigate(`/product/${p.slug}`)
+                        : addToCart(p)
+                    }
                   >
-                    ADD TO CART
+                    {p.variants?.length ? "SELECT OPTIONS" : "ADD TO CART"}
                   </button>
                 </div>
               </div>
@@ -155,6 +291,7 @@ const ProductDetails = () => {
           ))}
         </div>
       </div>
+      <RecentlyViewed excludeId={product?._id} />
     </Layout>
   );
 };
@@ -21,6 +21,36 @@ jest.mock("react-router-dom", () => ({
 // Mock Layout component
 jest.mock("./../components/Layout", () => ({ children }) => <div>{children}</div>);
 
+// Mock reviews section, it loads its own data
+jest.mock("../components/ProductReviews", () => ({
+  __esModule: true,
+  default: ({ productId }) => <div data-testid="product-reviews">Reviews of {productId}</div>,
+  starText: (rating) => "★".repeat(rating),
+}));
+
+// Mock wishlist heart, it has its own tests
+jest.mock("../components/WishlistButton", () => () => null);
+
+// Mock back in stock subscription, it has its own tests
+jest.mock("../components/NotifyMeButton", () => ({ product }) => (
+  <div data-testid="notify-me">Notify me about {product._id}</div>
+));
+
+// Mock questions section, it loads its own data
+jest.mock("../components/ProductQuestions", () => ({ productId }) => (
+  <div data-testid="product-questions">Questions of {productId}</div>
+));
+
+// Mock recently viewed carousel, it has its own tests
+jest.mock("../components/RecentlyViewed", () => ({ excludeId }) => (
+  <div data-testid="recently-viewed">Recently viewed without {excludeId}</div>
+));
+
+// Mock recently viewed context
+jest.mock("../context/recentlyViewed", () => ({
+  useRecentlyViewed: jest.fn(),
+}));
+
 // Mock cart context
 jest.mock("../context/cart", () => ({
   useCart: jest.fn(),
@@ -36,15 +66,17 @@ jest.mock("react-hot-toast", () => ({
 }));
 
 import { useCart } from "../context/cart";
+import { useRecentlyViewed } from "../context/recentlyViewed";
 
 /*
   Test cases for ProductDetails Page:
-  1. Happy Path: 5 tests
+  1. Happy Path: 6 tests
     a. should display product details when fetched successfully
     b. should display related products on fetch
     c. should add main product to cart when 'ADD TO CART' button is clicked
     d. should add related product to cart when 'ADD TO CART' button is clicked
     e. should display message when no related products found (0 related products)
+    f. should title the related products "Customers also bought" when they come from orders
   2. Error Handling: 5 tests
     a. should display error toast when fetching product details
     b. should handle error when fetching related products
@@ -59,12 +91,34 @@ import { useCart } from "../context/cart";
     b. should render similar product cards with correct navigation links
     c. should display main product photo on fetch with correct src and alt
     d. should display related product photos on fetch with correct src and alt
+  5. Variants: 3 tests
+    a. should add the selected variant to cart with its price override
+    b. should disable 'ADD TO CART' when the selected variant is out of stock
+    c. should send related products with variants to their page to pick options
+  6. Image Gallery: 2 tests
+    a. should show thumbnails and switch the main image when one is clicked
+    b. should not show thumbnails for a product with a single image
+  7. Specifications: 2 tests
+    a. should show the attribute values in the category's order with their units
+    b. should not show a spec table for a product without attribute values
+  8. Reviews: 2 tests
+    a. should show the rating of a reviewed product and its reviews and questions sections
+    b. should not show a rating for a product without reviews
+  9. Recently Viewed: 2 tests
+    a. should record the view of a loaded product and show the other viewed products
+    b. should not record a view when the product is not found
+  10. Out of Stock: 4 tests
+    a. should show an out of stock product with "Notify me" instead of adding it to cart
+    b. should not offer "Notify me" for a product in stock
+    c. should offer a pre-order with its expected ship date
+    d. should add a product on backorder to the cart beyond its stock
 */
 
 describe("ProductDetails Component", () => {
   let mockNavigate;
   let mockCart;
   let mockSetCart;
+  let mockRecordView;
 
   const mockProduct = {
     _id: "1",
@@ -93,6 +147,8 @@ describe("ProductDetails Component", () => {
     mockCart = [];
     mockSetCart = jest.fn();
     useCart.mockReturnValue([mockCart, mockSetCart]);
+    mockRecordView = jest.fn();
+    useRecentlyViewed.mockReturnValue({ recordView: mockRecordView });
   });
 
   // ============ HAPPY PATH ============
@@ -134,6 +190,24 @@ describe("ProductDetails Component", () => {
       await waitFor(() => {
         expect(screen.getByTestId(`similar-product-name-${mockRelatedProducts[0]._id}`)).toHaveTextContent(mockRelatedProducts[0].name);
       });
+      expect(screen.getByTestId("similar-products-title")).toHaveTextContent("Similar Products");
+    });
+
+    it("should title the related products Customers also bought when they come from orders", async () => {
+      useParams.mockReturnValue({ slug: mockProduct.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product: mockProduct } })
+        .mockResolvedValueOnce({ data: { products: mockRelatedProducts, boughtTogether: 1 } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("similar-products-title")).toHaveTextContent("Customers also bought");
+      });
     });
 
 		it("should add main product to cart when ADD TO CART button is clicked", async () => {
@@ -410,9 +484,331 @@ describe("ProductDetails Component", () => {
 
       await waitFor(() => {
         const relatedProductImage = screen.getByTestId(`similar-product-image-${mockRelatedProducts[0]._id}`);
-        expect(relatedProductImage).toHaveAttribute('src', `/api/v1/product/product-photo/${mockRelatedProducts[0]._id}`);
+        expect(relatedProductImage).toHaveAttribute('src', `/api/v1/product/product-photo/${mockRelatedProducts[0]._id}?size=card`);
         expect(relatedProductImage).toHaveAttribute('alt', mockRelatedProducts[0].name);
       });
     });
   });
+
+  // ============ VARIANTS ============
+  describe("Variants", () => {
+    const mockVariantProduct = {
+      ...mockProduct,
+      variantOptions: [
+        { name: "Size", values: ["S", "M"] },
+        { name: "Colour", values: ["Red"] },
+      ],
+      variants: [
+        { _id: "v1", sku: "TP-S-RED", options: { Size: "S", Colour: "Red" }, quantity: 3 },
+        { _id: "v2", sku: "TP-M-RED", options: { Size: "M", Colour: "Red" }, price: 120, quantity: 0 },
+      ],
+    };
+
+    const renderVariantProduct = async (product = mockVariantProduct, related = []) => {
+      useParams.mockReturnValue({ slug: product.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product } })
+        .mockResolvedValueOnce({ data: { products: related } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-title")).toHaveTextContent(product.name);
+      });
+    };
+
+    it("should add the selected variant to cart with its price override", async () => {
+      await renderVariantProduct({
+        ...mockVariantProduct,
+        variants: [mockVariantProduct.variants[0], { ...mockVariantProduct.variants[1], quantity: 5 }],
+      });
+      const addToCartButton = screen.getByTestId(`main-add-to-cart-button-${mockProduct._id}`);
+
+      expect(screen.getByTestId("variant-availability")).toHaveTextContent("Select options to see availability");
+      expect(addToCartButton).toBeDisabled();
+
+      fireEvent.change(screen.getByTestId("variant-select-Size"), { target: { value: "M" } });
+      fireEvent.change(screen.getByTestId("variant-select-Colour"), { target: { value: "Red" } });
+
+      expect(screen.getByTestId("product-price")).toHaveTextContent("$120.00");
+      expect(screen.getByTestId("variant-availability")).toHaveTextContent("In stock (SKU TP-M-RED)");
+
+      fireEvent.click(addToCartButton);
+
+      const { variants, variantOptions, ...productFields } = mockVariantProduct;
+      expect(mockSetCart).toHaveBeenCalledWith([
+        {
+          ...productFields,
+          price: 120,
+          variant: { _id: "v2", sku: "TP-M-RED", options: { Size: "M", Colour: "Red" } },
+        },
+      ]);
+      expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
+    });
+
+    it("should disable 'ADD TO CART' when the selected variant is out of stock", async () => {
+      await renderVariantProduct();
+
+      fireEvent.change(screen.getByTestId("variant-select-Size"), { target: { value: "M" } });
+      fireEvent.change(screen.getByTestId("variant-select-Colour"), { target: { value: "Red" } });
+
+      expect(screen.getByTestId("variant-availability")).toHaveTextContent("Out of stock");
+      expect(screen.getByTestId(`main-add-to-cart-button-${mockProduct._id}`)).toBeDisabled();
+    });
+
+    it("should send related products with variants to their page to pick options", async () => {
+      const relatedWithVariants = { ...mockRelatedProducts[0], variants: mockVariantProduct.variants };
+      await renderVariantProduct(mockProduct, [relatedWithVariants]);
+
+      const button = await screen.findByTestId(`similar-add-to-cart-button-${relatedWithVariants._id}`);
+      expect(button).toHaveTextContent("SELECT OPTIONS");
+
+      fireEvent.click(button);
+
+      expect(mockNavigate).toHaveBeenCalledWith(`/product/${relatedWithVariants.slug}`);
+      expect(mockSetCart).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Image Gallery", () => {
+    const renderProduct = async (product) => {
+      useParams.mockReturnValue({ slug: product.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-title")).toHaveTextContent(product.name);
+      });
+    };
+
+    it("should show thumbnails and switch the main image when one is clicked", async () => {
+      await renderProduct({
+        ...mockProduct,
+        images: [
+          { fileId: "g1", alt: "Front view" },
+          { fileId: "g2", alt: "" },
+        ],
+      });
+      const mainImage = screen.getByTestId("main-product-image");
+
+      expect(mainImage).toHaveAttribute("src", `/api/v1/product/product-photo/${mockProduct._id}`);
+      expect(mainImage).toHaveAttribute("alt", "Front view");
+      expect(screen.getByTestId("product-thumbnail-1")).toHaveAttribute("alt", "Test Product 2");
+      expect(screen.getByTestId("product-thumbnail-1")).toHaveAttribute(
+        "src",
+        `/api/v1/product/product-photo/${mockProduct._id}/1?size=thumbnail`
+      );
+
+      fireEvent.click(screen.getByTestId("product-thumbnail-1"));
+
+      expect(mainImage).toHaveAttribute("src", `/api/v1/product/product-photo/${mockProduct._id}/1`);
+      expect(mainImage).toHaveAttribute("alt", mockProduct.name);
+      expect(screen.getByTestId("product-thumbnail-1")).toHaveClass("border-primary");
+    });
+
+    it("should not show thumbnails for a product with a single image", async () => {
+      await renderProduct({ ...mockProduct, images: [{ fileId: "g1", alt: "Front view" }] });
+
+      expect(screen.queryByTestId("product-thumbnails")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Specifications", () => {
+    const renderProduct = async (product) => {
+      useParams.mockReturnValue({ slug: product.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-title")).toHaveTextContent(product.name);
+      });
+    };
+
+    const category = {
+      ...mockProduct.category,
+      attributes: [
+        { key: "screen-size", name: "Screen Size", type: "number", unit: "in" },
+        { key: "colour", name: "Colour", type: "select", unit: "" },
+        { key: "backlit", name: "Backlit", type: "boolean", unit: "" },
+        { key: "touch", name: "Touch Screen", type: "boolean", unit: "" },
+        { key: "weight", name: "Weight", type: "number", unit: "kg" },
+      ],
+    };
+
+    it("should show the attribute values in the category's order with their units", async () => {
+      await renderProduct({
+        ...mockProduct,
+        category,
+        attributes: { touch: false, backlit: true, colour: "Silver", "screen-size": 13.3 },
+      });
+
+      const rows = screen.getByTestId("product-specifications").querySelectorAll("tr");
+      expect([...rows].map((row) => row.textContent)).toEqual([
+        "Screen Size13.3 in",
+        "ColourSilver",
+        "BacklitYes",
+        "Touch ScreenNo",
+      ]);
+    });
+
+    it("should not show a spec table for a product without attribute values", async () => {
+      await renderProduct({ ...mockProduct, category });
+
+      expect(screen.queryByTestId("product-specifications")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Reviews", () => {
+    const renderProduct = async (product) => {
+      useParams.mockReturnValue({ slug: product.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-reviews")).toHaveTextContent(`Reviews of ${product._id}`);
+      });
+    };
+
+    it("should show the rating of a reviewed product and its reviews and questions sections", async () => {
+      await renderProduct({ ...mockProduct, ratingAverage: 4.4, ratingCount: 12 });
+
+      expect(screen.getByTestId("product-rating")).toHaveTextContent("★★★★ 4.4 (12)");
+      expect(screen.getByTestId("product-questions")).toHaveTextContent(
+        `Questions of ${mockProduct._id}`
+      );
+    });
+
+    it("should not show a rating for a product without reviews", async () => {
+      await renderProduct({ ...mockProduct, ratingAverage: 0, ratingCount: 0 });
+
+      expect(screen.queryByTestId("product-rating")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Recently Viewed", () => {
+    it("should record the view of a loaded product and show the other viewed products", async () => {
+      useParams.mockReturnValue({ slug: mockProduct.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product: mockProduct } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => expect(mockRecordView).toHaveBeenCalledWith(mockProduct));
+      expect(screen.getByTestId("recently-viewed")).toHaveTextContent(
+        `Recently viewed without ${mockProduct._id}`
+      );
+    });
+
+    it("should not record a view when the product is not found", async () => {
+      useParams.mockReturnValue({ slug: "missing" });
+      axios.get.mockResolvedValueOnce({ data: {} });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Product not found"));
+      expect(mockRecordView).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Out of Stock", () => {
+    const renderProduct = async (product) => {
+      useParams.mockReturnValue({ slug: product.slug });
+      axios.get
+        .mockResolvedValueOnce({ data: { product } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      render(
+        <MemoryRouter>
+          <ProductDetails />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-title")).toHaveTextContent(product.name);
+      });
+    };
+
+    it("should show an out of stock product with 'Notify me' instead of adding it to cart", async () => {
+      await renderProduct({
+        ...mockProduct,
+        quantity: 0,
+        variantOptions: [{ name: "Size", values: ["S"] }],
+        variants: [{ _id: "v1", sku: "TP-S", options: { Size: "S" }, quantity: 0 }],
+      });
+      const button = screen.getByTestId(`main-add-to-cart-button-${mockProduct._id}`);
+
+      expect(screen.getByTestId("product-availability")).toHaveTextContent("Out of stock");
+      expect(screen.queryByTestId("variant-availability")).not.toBeInTheDocument();
+      expect(button).toHaveTextContent("OUT OF STOCK");
+      expect(button).toBeDisabled();
+      expect(screen.getByTestId("notify-me")).toHaveTextContent(`Notify me about ${mockProduct._id}`);
+    });
+
+    it("should not offer 'Notify me' for a product in stock", async () => {
+      await renderProduct({ ...mockProduct, quantity: 4 });
+
+      expect(screen.queryByTestId("product-availability")).not.toBeInTheDocument();
+      expect(screen.queryByTestId("notify-me")).not.toBeInTheDocument();
+      expect(screen.getByTestId(`main-add-to-cart-button-${mockProduct._id}`)).toHaveTextContent("ADD TO CART");
+    });
+
+    it("should offer a pre-order with its expected ship date", async () => {
+      const preorder = { ...mockProduct, quantity: 0, preorder: true, expectedShipDate: "2024-09-01", backorderLimit: 20 };
+      await renderProduct(preorder);
+      const button = screen.getByTestId(`main-add-to-cart-button-${mockProduct._id}`);
+
+      expect(screen.getByTestId("product-availability")).toHaveTextContent(
+        `Pre-order, expected to ship ${new Date("2024-09-01").toLocaleDateString()}`
+      );
+      expect(button).toHaveTextContent("PRE-ORDER");
+      expect(screen.queryByTestId("notify-me")).not.toBeInTheDocument();
+
+      fireEvent.click(button);
+
+      expect(mockSetCart).toHaveBeenCalledWith([preorder]);
+    });
+
+    it("should add a product on backorder to the cart beyond its stock", async () => {
+      await renderProduct({ ...mockProduct, quantity: -1, backorder: true, backorderLimit: 3 });
+      const button = screen.getByTestId(`main-add-to-cart-button-${mockProduct._id}`);
+
+      expect(screen.getByTestId("product-availability")).toHaveTextContent("Available on backorder");
+      expect(button).toHaveTextContent("ADD TO CART");
+      expect(button).toBeEnabled();
+    });
+  });
 });
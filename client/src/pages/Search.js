@@ -1,23 +1,44 @@
-import React from "react";
+import React, { useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import Layout from "./../components/Layout";
-import { useSearch } from "../context/search";
+import SearchFilters from "../components/SearchFilters";
+import useCategory from "../hooks/useCategory";
+import useProductSearch from "../hooks/useProductSearch";
 const Search = () => {
-  const [values, setValues] = useSearch();
+  const [searchParams] = useSearchParams();
+  const categories = useCategory().categories;
+  const [filters, setFilters] = useState({
+    categories: [],
+    price: null,
+    inStock: false,
+    minRating: null,
+    sort: "relevance",
+    attributes: {},
+  });
+  // the keyword comes from the search box in the header, the filters from this page
+  const query = { ...filters, keyword: searchParams.get("keyword") || "" };
+  const { products, total, facets, loading, hasMore, loadMore } = useProductSearch(query);
   return (
     <Layout title={"Search results"}>
-      <div className="container">
-        <div className="text-center">
+      <div className="container-fluid row mt-3">
+        <div className="col-md-3">
+          <SearchFilters
+            categories={categories}
+            facets={facets}
+            query={query}
+            setQuery={({ keyword, ...rest }) => setFilters(rest)}
+          />
+        </div>
+        <div className="col-md-9 text-center">
           <h1 data-testid="search-results-title">Search Results</h1>
           <h6 data-testid="results-count">
-            {values?.results.length < 1
-              ? "No Products Found"
-              : `Found ${values?.results.length}`}
+            {total < 1 ? "No Products Found" : `Found ${total}`}
           </h6>
           <div className="d-flex flex-wrap mt-4">
-            {values?.results.map((p) => (
+            {products.map((p) => (
               <div className="card m-2" style={{ width: "18rem" }} key={p._id} data-testid={`search-result-card-${p._id}`}>
                 <img
-                  src={`/api/v1/product/product-photo/${p._id}`}
+                  src={`/api/v1/product/product-photo/${p._id}?size=card`}
                   className="card-img-top"
                   alt={p.name}
                   data-testid={`search-result-image-${p._id}`}
@@ -34,10 +55,15 @@ const Search = () => {
               </div>
             ))}
           </div>
+          {hasMore && (
+            <button className="btn loadmore m-2" data-testid="search-load-more-button" onClick={loadMore}>
+              {loading ? "Loading ..." : "Loadmore ↻"}
+            </button>
+          )}
         </div>
       </div>
     </Layout>
   );
 };
 
-export default Search;
\ No newline at end of file
+export default Search;
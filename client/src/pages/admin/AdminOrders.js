@@ -7,6 +7,7 @@ import { useAuth } from "../../context/auth";
 import moment from "moment";
 import { Select } from "antd";
 import { ORDER_STATUS_LIST } from "../../constants/orderStatus";
+import { LineLocation, LineStatus } from "../../components/StockStatus";
 const { Option } = Select;
 
 const AdminOrders = () => {
@@ -100,6 +101,8 @@ const AdminOrders = () => {
                         <p>{p.name}</p>
                         <p>{p.description.substring(0, 30)}</p>
                         <p>Price : {p.price}</p>
+                        <LineStatus order={o} product={p} />
+                        <LineLocation order={o} product={p} />
                       </div>
                     </div>
                   ))}
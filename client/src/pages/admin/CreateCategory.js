@@ -4,6 +4,7 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import CategoryForm from "../../components/Form/CategoryForm";
+import AttributeSchemaForm from "../../components/Form/AttributeSchemaForm";
 import { Modal } from "antd";
 
 const CreateCategory = () => {
@@ -12,6 +13,8 @@ const CreateCategory = () => {
   const [visible, setVisible] = useState(false);
   const [selected, setSelected] = useState(null);
   const [updatedName, setUpdatedName] = useState("");
+  const [attributeCategory, setAttributeCategory] = useState(null);
+  const [attributes, setAttributes] = useState([]);
   // handle Form
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -87,6 +90,27 @@ const CreateCategory = () => {
     }
   };
 
+  // update the attribute schema of a category
+  const handleUpdateAttributes = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(
+        `/api/v1/category/update-category-attributes/${attributeCategory._id}`,
+        { attributes }
+      );
+      if (data?.success) {
+        toast.success(`${attributeCategory.name} attributes are updated`);
+        setAttributeCategory(null);
+        getAllCategory();
+      } else {
+        toast.error(data?.message || "Error updating attributes");
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
   // delete category
   const handleDelete = async (pId, name) => {
     try {
@@ -152,6 +176,16 @@ const CreateCategory = () => {
                         >
                           Delete
                         </button>
+                        <button
+                          className="btn btn-secondary ms-2"
+                          data-testid={`attributes-button-${c._id}`}
+                          onClick={() => {
+                            setAttributeCategory(c);
+                            setAttributes(c.attributes || []);
+                          }}
+                        >
+                          Attributes
+                        </button>
                       </td>
                     </tr>
                   ))}
@@ -170,6 +204,18 @@ const CreateCategory = () => {
                 handleSubmit={handleUpdate}
               />
             </Modal>
+            <Modal
+              title={`${attributeCategory?.name} Attributes`}
+              onCancel={() => setAttributeCategory(null)}
+              footer={null}
+              open={!!attributeCategory}
+            >
+              <AttributeSchemaForm
+                attributes={attributes}
+                setAttributes={setAttributes}
+                handleSubmit={handleUpdateAttributes}
+              />
+            </Modal>
           </div>
         </div>
       </div>
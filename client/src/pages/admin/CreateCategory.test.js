@@ -25,6 +25,18 @@ jest.mock('../../components/Form/CategoryForm',() => {
     </div>
   )
 });
+jest.mock('../../components/Form/AttributeSchemaForm', () => {
+  return ({ attributes, setAttributes, handleSubmit }) => (
+    <div data-testid="attribute-schema-form">
+      <span data-testid="attribute-count">{attributes.length}</span>
+      <button
+        data-testid="add-attribute"
+        onClick={e => { e.stopPropagation(); setAttributes([...attributes, { name: "Colour", type: "text" }]); }}
+      />
+      <button data-testid="save-attributes" onClick={e => { e.stopPropagation(); handleSubmit(e); }}/>
+    </div>
+  )
+});
 jest.mock('react-hot-toast');
 jest.mock('antd', () => ({
   Modal: ({ onCancel, footer, open, children }) => (
@@ -38,6 +50,7 @@ jest.mock('antd', () => ({
   * 1. 5 rendering unit tests
   * 2. 3 happy path unit tests
   * 3. 21 error handling unit tests
+  * 4. 6 category attribute unit tests
   */
 describe("CreateCategory", () => {
   beforeEach(() => {
@@ -829,4 +842,86 @@ describe("CreateCategory", () => {
       await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Error updating name"));
     });
   });
+
+  describe("Category attributes", () => {
+    const mockCategory = {
+      _id: "validId",
+      name: "Laptops",
+      slug: "laptops",
+      attributes: [{ key: "screen-size", name: "Screen Size", type: "number" }]
+    };
+
+    const openAttributes = async (category = mockCategory) => {
+      axios.get.mockResolvedValue({
+        data: {
+          success: true,
+          message: "Response message",
+          category: [category]
+        },
+      });
+      render(<CreateCategory />);
+      fireEvent.click(await screen.findByTestId(`attributes-button-${category._id}`));
+      await waitFor(() => expect(screen.getByTestId("attribute-schema-form")).toBeInTheDocument());
+    };
+
+    it("should open the attribute modal with the category's attributes", async () => {
+      await openAttributes();
+
+      expect(screen.getByTestId("attribute-count")).toHaveTextContent("1");
+    });
+
+    it("should open an empty attribute modal for a category without attributes", async () => {
+      await openAttributes({ _id: "validId2", name: "Book", slug: "book" });
+
+      expect(screen.getByTestId("attribute-count")).toHaveTextContent("0");
+    });
+
+    it("should close the attribute modal on onCancel trigger", async () => {
+      await openAttributes();
+
+      fireEvent.click(screen.getByTestId("update-modal"));
+
+      expect(screen.queryByTestId("attribute-schema-form")).not.toBeInTheDocument();
+    });
+
+    it("should save the category's attributes successfully", async () => {
+      axios.put.mockResolvedValue({ data: { success: true } });
+      await openAttributes();
+
+      fireEvent.click(screen.getByTestId("add-attribute"));
+      fireEvent.click(screen.getByTestId("save-attributes"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Laptops attributes are updated"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/category/update-category-attributes/validId", {
+        attributes: [...mockCategory.attributes, { name: "Colour", type: "text" }]
+      });
+      expect(screen.queryByTestId("attribute-schema-form")).not.toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should display error on fail save attributes", async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: false, message: "Attribute Colour needs allowed values" } });
+      axios.put.mockResolvedValueOnce({ data: null });
+      await openAttributes();
+
+      fireEvent.click(screen.getByTestId("save-attributes"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Attribute Colour needs allowed values"));
+      fireEvent.click(screen.getByTestId("save-attributes"));
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Error updating attributes"));
+      expect(screen.getByTestId("attribute-schema-form")).toBeInTheDocument();
+    });
+
+    it("should display error on save attributes error", async () => {
+      axios.put.mockRejectedValueOnce({ response: { data: { message: "Attribute name is required" } } });
+      axios.put.mockRejectedValueOnce(new Error("Network Error"));
+      await openAttributes();
+
+      fireEvent.click(screen.getByTestId("save-attributes"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Attribute name is required"));
+      fireEvent.click(screen.getByTestId("save-attributes"));
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Something went wrong"));
+    });
+  });
 });
@@ -4,6 +4,14 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
+import VariantForm from "../../components/Form/VariantForm";
+import ImageGalleryForm, { appendImages } from "../../components/Form/ImageGalleryForm";
+import ProductAttributesForm, { appendAttributes } from "../../components/Form/ProductAttributesForm";
+import PublishForm, { appendPublishing } from "../../components/Form/PublishForm";
+import StockPolicyForm, { appendStockPolicy, toStockPolicy } from "../../components/Form/StockPolicyForm";
+import LocationStockForm, { appendLocationStock } from "../../components/Form/LocationStockForm";
+import useLocations from "../../hooks/useLocations";
+import { DEFAULT_REORDER_THRESHOLD } from "../../constants/stock";
 import { useNavigate } from "react-router-dom";
 const { Option } = Select;
 
@@ -15,8 +23,23 @@ const CreateProduct = () => {
   const [price, setPrice] = useState("");
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
+  const [reorderThreshold, setReorderThreshold] = useState(String(DEFAULT_REORDER_THRESHOLD));
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [images, setImages] = useState([]);
+  const [variantOptions, setVariantOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [attributes, setAttributes] = useState({});
+  const [stockPolicy, setStockPolicy] = useState(toStockPolicy());
+  const [locationStock, setLocationStock] = useState([]);
+  const { locations } = useLocations();
+  const [publishing, setPublishing] = useState({
+    status: "published",
+    publishAt: "",
+    unpublishAt: "",
+  });
+
+  // attribute schema of the selected category
+  const attributeSchema = categories?.find((c) => c._id === category)?.attributes || [];
 
   //get all category
   const getAllCategory = async () => {
@@ -45,11 +68,24 @@ const CreateProduct = () => {
       productData.append("name", name);
       productData.append("description", description);
       productData.append("price", price);
-      productData.append("quantity", quantity);
-      productData.append("photo", photo);
+      // with variants the stock is the total of the variant quantities
+      productData.append(
+        "quantity",
+        variants.length
+          ? variants.reduce((total, variant) => total + Number(variant.quantity), 0)
+          : quantity
+      );
+      productData.append("reorderThreshold", reorderThreshold);
+      appendStockPolicy(productData, stockPolicy);
+      productData.append("variantOptions", JSON.stringify(variantOptions));
+      productData.append("variants", JSON.stringify(variants));
+      appendLocationStock(productData, locationStock, variants);
+      appendImages(productData, images);
       productData.append("category", category);
       // Bug fix: Added 'shipping' to FormData to ensure it is included in the request - Ong Chang Heng Bertrand A0253013X
       productData.append("shipping", shipping);
+      appendAttributes(productData, attributeSchema, attributes);
+      appendPublishing(productData, publishing);
       console.log(productData);
       // Bug fix: Added 'await' to post request to ensure it resolves before proceeding - Ong Chang Heng Bertrand A0253013X
       const { data } = await axios.post(
@@ -97,31 +133,7 @@ const CreateProduct = () => {
                   </Option>
                 ))}
               </Select>
-              <div className="mb-3">
-                <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
-                  <input
-                    data-testid="upload-photo-input"
-                    type="file"
-                    name="photo"
-                    accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
-                    hidden
-                  />
-                </label>
-              </div>
-              <div className="mb-3">
-                {photo && (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
-              </div>
+              <ImageGalleryForm images={images} setImages={setImages} />
               <div className="mb-3">
                 <input
                   data-testid="name-input"
@@ -160,9 +172,42 @@ const CreateProduct = () => {
                   value={quantity}
                   placeholder="Write a quantity"
                   className="form-control"
+                  disabled={locationStock.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
+              <div className="mb-3">
+                <label htmlFor="reorder-threshold" className="form-label">
+                  Reorder threshold (alert when stock falls to this level)
+                </label>
+                <input
+                  id="reorder-threshold"
+                  data-testid="reorder-threshold-input"
+                  type="number"
+                  min="0"
+                  value={reorderThreshold}
+                  className="form-control"
+                  onChange={(e) => setReorderThreshold(e.target.value)}
+                />
+              </div>
+              <StockPolicyForm policy={stockPolicy} setPolicy={setStockPolicy} />
+              <VariantForm
+                variantOptions={variantOptions}
+                setVariantOptions={setVariantOptions}
+                variants={variants}
+                setVariants={setVariants}
+              />
+              <LocationStockForm
+                locationStock={locationStock}
+                setLocationStock={setLocationStock}
+                locations={locations}
+                variants={variants}
+              />
+              <ProductAttributesForm
+                schema={attributeSchema}
+                attributes={attributes}
+                setAttributes={setAttributes}
+              />
               <div className="mb-3">
                 <Select
                   data-testid="shipping-select"
@@ -180,6 +225,7 @@ const CreateProduct = () => {
                   <Option value="1" data-testid="select-shipping-yes">Yes</Option>
                 </Select>
               </div>
+              <PublishForm publishing={publishing} setPublishing={setPublishing} />
               <div className="mb-3">
                 <button className="btn btn-primary" onClick={handleCreate} data-testid="create-button">
                   CREATE PRODUCT
@@ -30,6 +30,14 @@ jest.mock("../../components/Layout", () => ({ children, title }) => (
 // Mock AdminMenu component
 jest.mock("../../components/AdminMenu", () => () => <div data-testid="admin-menu">Admin Panel</div>);
 
+// Mock the store's stock locations
+jest.mock("../../hooks/useLocations", () => () => ({
+  locations: [
+    { _id: "l1", name: "North" },
+    { _id: "l2", name: "South" },
+  ],
+}));
+
 // Mock toast
 jest.mock("react-hot-toast", () => ({
   __esModule: true,
@@ -61,10 +69,16 @@ global.URL.createObjectURL = jest.fn(() => "mocked-url");
 
 /*
 	Test cases for CreateProduct component:
-	1. Happy Path: 3 tests
+	1. Happy Path: 9 tests
 		a. Should submit form data and navigate on successful creation
 		b. Should fetch categories on mount
 		c. Should fetch zero categories on mount
+		d. Should submit variants with the total variant quantity
+		e. Should submit a scheduled product with its publish date
+		f. Should submit the attribute values of the selected category
+		g. Should submit the reorder threshold, the default one unless changed
+		h. Should submit a pre-order with its ship date and limit
+		i. Should submit the stock per location with their total as the quantity
 	2. Error Handling: 5 tests
 		a. Should show error toast when product creation fails due to server error
 		b. Should show error toast when product creation fails
@@ -159,13 +173,198 @@ describe("CreateProduct Page", () => {
 				expect(formData.get("quantity")).toBe("5");
 				expect(formData.get("category")).toBe("66db427fdb0119d9234b27ee"); // MongoDB ObjectId string for cat1
 				expect(formData.get("shipping")).toBe("1");
-				expect(formData.get("photo")).toEqual(file);
+				expect(formData.getAll("images")).toEqual([file]);
+				expect(JSON.parse(formData.get("imageOrder"))).toEqual([{ upload: 0, alt: "" }]);
 
 				expect(toast.success).toHaveBeenCalledWith("Product Created Successfully");
         expect(mockNavigate).toHaveBeenCalledWith("/dashboard/admin/products");
       });
     });
 
+    it("should submit variants with the total variant quantity", async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, message: "Product Created Successfully" },
+      });
+
+      render(
+        <MemoryRouter>
+          <CreateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText("Electronics")).toBeInTheDocument();
+      });
+
+      // Define a Size option and generate its variants
+      fireEvent.click(screen.getByTestId("add-variant-option"));
+      fireEvent.change(screen.getByTestId("variant-option-name-0"), { target: { value: "Size" } });
+      fireEvent.change(screen.getByTestId("variant-option-values-0"), { target: { value: "S, M" } });
+      fireEvent.click(screen.getByTestId("generate-variants"));
+      fireEvent.change(screen.getByTestId("variant-quantity-0"), { target: { value: "2" } });
+      fireEvent.change(screen.getByTestId("variant-quantity-1"), { target: { value: "3" } });
+
+      fireEvent.click(screen.getByTestId("create-button"));
+
+      await waitFor(() => {
+        const formData = axios.post.mock.calls[0][1];
+        expect(formData.get("quantity")).toBe("5");
+        expect(JSON.parse(formData.get("variantOptions"))).toEqual([{ name: "Size", values: ["S", "M"] }]);
+        expect(JSON.parse(formData.get("variants"))).toEqual([
+          { sku: "S", options: { Size: "S" }, price: "", quantity: "2" },
+          { sku: "M", options: { Size: "M" }, price: "", quantity: "3" },
+        ]);
+      });
+    });
+
+    it("should submit a scheduled product with its publish date", async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, message: "Product Created Successfully" },
+      });
+
+      render(
+        <MemoryRouter>
+          <CreateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText("Electronics")).toBeInTheDocument();
+      });
+
+      expect(screen.getByTestId("status-select")).toHaveValue("published");
+      fireEvent.change(screen.getByTestId("status-select"), { target: { value: "scheduled" } });
+      fireEvent.change(screen.getByTestId("publish-at-input"), { target: { value: "2024-06-01T09:00" } });
+      fireEvent.click(screen.getByTestId("create-button"));
+
+      await waitFor(() => {
+        const formData = axios.post.mock.calls[0][1];
+        expect(formData.get("status")).toBe("scheduled");
+        expect(formData.get("publishAt")).toBe(new Date("2024-06-01T09:00").toISOString());
+        expect(formData.get("unpublishAt")).toBe("");
+      });
+    });
+
+    it("should submit the attribute values of the selected category", async () => {
+      axios.get.mockReset();
+      axios.get.mockResolvedValueOnce({
+        data: {
+          success: true,
+          category: [
+            {
+              ...mockCategories[0],
+              attributes: [{ key: "screen-size", name: "Screen Size", type: "number", unit: "in", values: [] }],
+            },
+            mockCategories[1],
+          ],
+        },
+      });
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, message: "Product Created Successfully" },
+      });
+
+      render(
+        <MemoryRouter>
+          <CreateProduct />
+        </MemoryRouter>
+      );
+      await waitFor(() => {
+        expect(screen.getByText("Electronics")).toBeInTheDocument();
+      });
+
+      expect(screen.queryByTestId("product-attributes-form")).not.toBeInTheDocument();
+      fireEvent.change(screen.getByTestId("category-select"), { target: { value: "66db427fdb0119d9234b27ee" } });
+      fireEvent.change(screen.getByTestId("attribute-input-screen-size"), { target: { value: "14" } });
+      fireEvent.click(screen.getByTestId("create-button"));
+
+      await waitFor(() => {
+        const formData = axios.post.mock.calls[0][1];
+        expect(JSON.parse(formData.get("attributes"))).toEqual({ "screen-size": "14" });
+      });
+    });
+
+    it("should submit the reorder threshold, the default one unless changed", async () => {
+      axios.post.mockResolvedValue({
+        data: { success: true, message: "Product Created Successfully" },
+      });
+
+      render(
+        <MemoryRouter>
+          <CreateProduct />
+        </MemoryRouter>
+      );
+      await waitFor(() => {
+        expect(screen.getByText("Electronics")).toBeInTheDocument();
+      });
+
+      expect(screen.getByLabelText(/Reorder threshold/)).toHaveValue(5);
+      fireEvent.click(screen.getByTestId("create-button"));
+      await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(1));
+      expect(axios.post.mock.calls[0][1].get("reorderThreshold")).toBe("5");
+
+      fireEvent.change(screen.getByTestId("reorder-threshold-input"), { target: { value: "12" } });
+      fireEvent.click(screen.getByTestId("create-button"));
+      await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(2));
+      expect(axios.post.mock.calls[1][1].get("reorderThreshold")).toBe("12");
+    });
+
+    it("should submit a pre-order with its ship date and limit", async () => {
+      axios.post.mockResolvedValue({
+        data: { success: true, message: "Product Created Successfully" },
+      });
+
+      render(
+        <MemoryRouter>
+          <CreateProduct />
+        </MemoryRouter>
+      );
+      await waitFor(() => {
+        expect(screen.getByText("Electronics")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByTestId("preorder-checkbox"));
+      fireEvent.change(screen.getByTestId("expected-ship-date-input"), { target: { value: "2024-09-01" } });
+      fireEvent.change(screen.getByTestId("backorder-limit-input"), { target: { value: "50" } });
+      fireEvent.click(screen.getByTestId("create-button"));
+
+      await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(1));
+      const formData = axios.post.mock.calls[0][1];
+      expect(formData.get("preorder")).toBe("true");
+      expect(formData.get("expectedShipDate")).toBe("2024-09-01");
+      expect(formData.get("backorder")).toBe("false");
+      expect(formData.get("backorderLimit")).toBe("50");
+    });
+
+    it("should submit the stock per location with their total as the quantity", async () => {
+      axios.post.mockResolvedValue({
+        data: { success: true, message: "Product Created Successfully" },
+      });
+
+      render(
+        <MemoryRouter>
+          <CreateProduct />
+        </MemoryRouter>
+      );
+      await waitFor(() => {
+        expect(screen.getByText("Electronics")).toBeInTheDocument();
+      });
+
+      fireEvent.change(screen.getByTestId("quantity-input"), { target: { value: "1" } });
+      fireEvent.change(screen.getByTestId("location-stock-l1-"), { target: { value: "4" } });
+      fireEvent.change(screen.getByTestId("location-stock-l2-"), { target: { value: "3" } });
+      // the stock is the total across the locations
+      expect(screen.getByTestId("quantity-input")).toBeDisabled();
+      fireEvent.click(screen.getByTestId("create-button"));
+
+      await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(1));
+      const formData = axios.post.mock.calls[0][1];
+      expect(formData.get("quantity")).toBe("7");
+      expect(JSON.parse(formData.get("locationStock"))).toEqual([
+        { location: "l1", sku: "", quantity: "4" },
+        { location: "l2", sku: "", quantity: "3" },
+      ]);
+    });
+
     it("should fetch categories on mount", async () => {
       render(
         <MemoryRouter>
@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const ImportProducts = () => {
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  //import products from the csv file
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error("Please choose a CSV file");
+      return;
+    }
+    try {
+      setLoading(true);
+      const importData = new FormData();
+      importData.append("file", file);
+      importData.append("dryRun", dryRun);
+      const { data } = await axios.post("/api/v1/product/import-products", importData);
+      setResult(data);
+      if (data.errors.length) {
+        toast.error(`${data.errors.length} rows have errors`);
+      } else {
+        toast.success(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong while importing products");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  //download the whole catalog as csv
+  const handleExport = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/product/export-products", {
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "products.csv";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong while exporting products");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Import Products"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Import / Export Products</h1>
+            <div className="m-1 w-75">
+              <p>
+                The CSV needs the columns name, description, price, category (name or slug),
+                quantity and shipping (yes/no). variantOptions and variants are optional JSON
+                columns, the same as in an export.
+              </p>
+              <div className="mb-3">
+                <label className="btn btn-outline-secondary col-md-12">
+                  {file ? file.name : "Choose CSV File"}
+                  <input
+                    data-testid="csv-file-input"
+                    type="file"
+                    name="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => {
+                      setFile(e.target.files[0]);
+                      setResult(null);
+                    }}
+                    hidden
+                  />
+                </label>
+              </div>
+              <div className="form-check mb-3">
+                <input
+                  id="dry-run"
+                  data-testid="dry-run-checkbox"
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={dryRun}
+                  onChange={(e) => setDryRun(e.target.checked)}
+                />
+                <label className="form-check-label" htmlFor="dry-run">
+                  Dry run (only check the rows, nothing is imported)
+                </label>
+              </div>
+              <div className="mb-3">
+                <button
+                  className="btn btn-primary me-2"
+                  onClick={handleImport}
+                  disabled={loading}
+                  data-testid="import-button"
+                >
+                  {dryRun ? "CHECK CSV" : "IMPORT PRODUCTS"}
+                </button>
+                <button
+                  className="btn btn-outline-primary"
+                  onClick={handleExport}
+                  data-testid="export-button"
+                >
+                  EXPORT CSV
+                </button>
+              </div>
+              {result && (
+                <div data-testid="import-result">
+                  <h5>{result.message}</h5>
+                  {result.errors.length > 0 && (
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th scope="col">Row</th>
+                          <th scope="col">Error</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.errors.map((error) => (
+                          <tr key={error.row} data-testid={`import-error-${error.row}`}>
+                            <td>{error.row}</td>
+                            <td>{error.message}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ImportProducts;
@@ -0,0 +1,147 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import ImportProducts from "./ImportProducts";
+
+jest.mock("axios");
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/AdminMenu", () => () => <div>Admin Menu</div>);
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for ImportProducts page:
+  1. Happy Path: 3 tests
+    a. Should check the CSV on a dry run by default
+    b. Should import the CSV and show per-row errors
+    c. Should download the catalog as CSV
+  2. Error Handling: 3 tests
+    a. Should ask for a file before importing
+    b. Should show the server message when the import is rejected
+    c. Should show an error toast when the export fails
+*/
+
+describe("ImportProducts page", () => {
+  const csv = new File(["name\n"], "products.csv", { type: "text/csv" });
+
+  const chooseFile = () => {
+    fireEvent.change(screen.getByTestId("csv-file-input"), { target: { files: [csv] } });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should check the CSV on a dry run by default", async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, message: "2 of 2 rows are valid", dryRun: true, errors: [] },
+      });
+      render(<ImportProducts />);
+
+      chooseFile();
+      expect(screen.getByText("products.csv")).toBeInTheDocument();
+      fireEvent.click(screen.getByTestId("import-button"));
+
+      await waitFor(() => {
+        expect(screen.getByTestId("import-result")).toHaveTextContent("2 of 2 rows are valid");
+      });
+      const formData = axios.post.mock.calls[0][1];
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/product/import-products", expect.any(FormData));
+      expect(formData.get("file")).toEqual(csv);
+      expect(formData.get("dryRun")).toBe("true");
+      expect(toast.success).toHaveBeenCalledWith("2 of 2 rows are valid");
+    });
+
+    it("should import the CSV and show per-row errors", async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          message: "Imported 1 of 2 products",
+          dryRun: false,
+          errors: [{ row: 3, message: "Category garden not found" }],
+        },
+      });
+      render(<ImportProducts />);
+
+      chooseFile();
+      fireEvent.click(screen.getByTestId("dry-run-checkbox"));
+      expect(screen.getByTestId("import-button")).toHaveTextContent("IMPORT PRODUCTS");
+      fireEvent.click(screen.getByTestId("import-button"));
+
+      await waitFor(() => {
+        expect(screen.getByTestId("import-error-3")).toHaveTextContent("Category garden not found");
+      });
+      expect(axios.post.mock.calls[0][1].get("dryRun")).toBe("false");
+      expect(toast.error).toHaveBeenCalledWith("1 rows have errors");
+    });
+
+    it("should download the catalog as CSV", async () => {
+      const blob = new Blob(["name\n"], { type: "text/csv" });
+      axios.get.mockResolvedValueOnce({ data: blob });
+      URL.createObjectURL = jest.fn(() => "blob:products");
+      URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation();
+      render(<ImportProducts />);
+
+      fireEvent.click(screen.getByTestId("export-button"));
+
+      await waitFor(() => {
+        expect(click).toHaveBeenCalled();
+      });
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/export-products", { responseType: "blob" });
+      expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:products");
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should ask for a file before importing", () => {
+      render(<ImportProducts />);
+
+      fireEvent.click(screen.getByTestId("import-button"));
+
+      expect(toast.error).toHaveBeenCalledWith("Please choose a CSV file");
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it("should show the server message when the import is rejected", async () => {
+      axios.post.mockRejectedValueOnce({
+        response: { data: { success: false, message: "CSV has no product rows" } },
+      });
+      render(<ImportProducts />);
+
+      chooseFile();
+      fireEvent.click(screen.getByTestId("import-button"));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("CSV has no product rows");
+      });
+      expect(screen.getByTestId("import-button")).toBeEnabled();
+      expect(screen.queryByTestId("import-result")).not.toBeInTheDocument();
+    });
+
+    it("should show an error toast when the export fails", async () => {
+      axios.get.mockRejectedValueOnce(new Error("Network Error"));
+      render(<ImportProducts />);
+
+      fireEvent.click(screen.getByTestId("export-button"));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong while exporting products");
+      });
+    });
+  });
+});
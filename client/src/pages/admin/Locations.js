@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const Locations = () => {
+  const [locations, setLocations] = useState([]);
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [editedName, setEditedName] = useState("");
+
+  // message of a failed request, e.g. a location that still holds stock
+  const errorMessage = (error, fallback) => error?.response?.data?.message || fallback;
+
+  //get locations
+  const getLocations = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/location/get-locations");
+      if (data?.success) setLocations(data.locations);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting locations");
+    }
+  };
+
+  useEffect(() => {
+    getLocations();
+  }, []);
+
+  //create location
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/location/create-location", { name });
+      toast.success(data.message);
+      setName("");
+      getLocations();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in creating location"));
+    }
+  };
+
+  //rename location
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(`/api/v1/location/update-location/${editing}`, {
+        name: editedName,
+      });
+      toast.success(data.message);
+      setEditing(null);
+      getLocations();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in updating location"));
+    }
+  };
+
+  //delete location
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/location/delete-location/${id}`);
+      toast.success(data.message);
+      getLocations();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in deleting location"));
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Stock Locations"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Stock Locations</h1>
+            <div className="m-1 w-75">
+              <p>
+                Warehouses and stores holding stock. Products stocked at them are sold from the
+                location holding the order line, and their stock can be transferred between them.
+              </p>
+              <form className="d-flex mb-3" onSubmit={handleCreate}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  placeholder="Location name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  data-testid="location-name-input"
+                />
+                <button type="submit" className="btn btn-primary" data-testid="add-location">
+                  Add
+                </button>
+              </form>
+              {locations.length === 0 ? (
+                <p className="text-muted">No locations yet</p>
+              ) : (
+                <table className="table">
+                  <tbody>
+                    {locations.map((location) => (
+                      <tr key={location._id} data-testid={`location-${location._id}`}>
+                        {editing === location._id ? (
+                          <td colSpan={2}>
+                            <form className="d-flex" onSubmit={handleUpdate}>
+                              <input
+                                type="text"
+                                className="form-control me-2"
+                                value={editedName}
+                                onChange={(e) => setEditedName(e.target.value)}
+                                data-testid={`edit-location-input-${location._id}`}
+                              />
+                              <button
+                                type="submit"
+                                className="btn btn-primary me-2"
+                                data-testid={`save-location-${location._id}`}
+                              >
+                                Save
+                              </button>
+                              <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={() => setEditing(null)}
+                              >
+                                Cancel
+                              </button>
+                            </form>
+                          </td>
+                        ) : (
+                          <>
+                            <td>{location.name}</td>
+                            <td className="text-end">
+                              <button
+                                className="btn btn-primary ms-2"
+                                onClick={() => {
+                                  setEditing(location._id);
+                                  setEditedName(location.name);
+                                }}
+                                data-testid={`edit-location-${location._id}`}
+                              >
+                                Rename
+                              </button>
+                              <button
+                                className="btn btn-danger ms-2"
+                                onClick={() => handleDelete(location._id)}
+                                data-testid={`delete-location-${location._id}`}
+                              >
+                                Delete
+                              </button>
+                            </td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Locations;
@@ -0,0 +1,147 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import Locations from "./Locations";
+
+jest.mock("axios");
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/AdminMenu", () => () => <div>Admin Menu</div>);
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for Locations page:
+  1. Happy Path: 3 tests
+    a. Should list the locations
+    b. Should add a location and reload the list
+    c. Should rename and delete a location
+  2. Edge Cases: 1 test
+    a. Should say there are no locations yet
+  3. Error Handling: 2 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when a location cannot be deleted
+*/
+
+describe("Locations page", () => {
+  const locations = [
+    { _id: "l1", name: "North warehouse" },
+    { _id: "l2", name: "City store" },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    axios.get.mockResolvedValue({ data: { success: true, locations } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should list the locations", async () => {
+      render(<Locations />);
+
+      expect(await screen.findByTestId("location-l1")).toHaveTextContent("North warehouse");
+      expect(screen.getByTestId("location-l2")).toHaveTextContent("City store");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/location/get-locations");
+    });
+
+    it("should add a location and reload the list", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Location created" } });
+      render(<Locations />);
+      await screen.findByTestId("location-l1");
+
+      fireEvent.change(screen.getByTestId("location-name-input"), { target: { value: "South warehouse" } });
+      fireEvent.click(screen.getByTestId("add-location"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Location created"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/location/create-location", {
+        name: "South warehouse",
+      });
+      expect(screen.getByTestId("location-name-input")).toHaveValue("");
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should rename and delete a location", async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Location updated" } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Location deleted" } });
+      render(<Locations />);
+      fireEvent.click(await screen.findByTestId("edit-location-l1"));
+
+      expect(screen.getByTestId("edit-location-input-l1")).toHaveValue("North warehouse");
+      fireEvent.click(screen.getByText("Cancel"));
+      expect(screen.queryByTestId("edit-location-input-l1")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("edit-location-l1"));
+      fireEvent.change(screen.getByTestId("edit-location-input-l1"), { target: { value: "North" } });
+      fireEvent.click(screen.getByTestId("save-location-l1"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Location updated"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/location/update-location/l1", { name: "North" });
+      expect(screen.queryByTestId("edit-location-input-l1")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("delete-location-l2"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Location deleted"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/location/delete-location/l2");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say there are no locations yet", async () => {
+      axios.get.mockResolvedValueOnce({ data: { success: true, locations: [] } });
+      render(<Locations />);
+
+      expect(await screen.findByText("No locations yet")).toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValueOnce(new Error("Network error"));
+      render(<Locations />);
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting locations"));
+    });
+
+    it("should show the server message when a location cannot be deleted", async () => {
+      axios.delete
+        .mockRejectedValueOnce({
+          response: { data: { message: "Transfer the stock out of the location before deleting it" } },
+        })
+        .mockRejectedValueOnce(new Error("Network error"));
+      axios.post.mockRejectedValueOnce(new Error("Network error"));
+      axios.put.mockRejectedValueOnce({ response: { data: { message: "Location already exists" } } });
+      render(<Locations />);
+
+      fireEvent.click(await screen.findByTestId("delete-location-l1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Transfer the stock out of the location before deleting it")
+      );
+      fireEvent.click(screen.getByTestId("delete-location-l1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenLastCalledWith("Something went wrong in deleting location")
+      );
+
+      fireEvent.click(screen.getByTestId("add-location"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenLastCalledWith("Something went wrong in creating location")
+      );
+
+      fireEvent.click(screen.getByTestId("edit-location-l1"));
+      fireEvent.click(screen.getByTestId("save-location-l1"));
+      await waitFor(() => expect(toast.error).toHaveBeenLastCalledWith("Location already exists"));
+      // the name stays on the form to be corrected
+      expect(screen.getByTestId("edit-location-input-l1")).toBeInTheDocument();
+      expect(toast.success).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+import { STOCK_LEVEL } from "../../constants/stock";
+
+const LowStock = () => {
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState({ low: 0, out: 0 });
+  const [page, setPage] = useState(1);
+  const [level, setLevel] = useState(STOCK_LEVEL.LOW);
+
+  //get the products at or below their reorder threshold, appending the page after the first one
+  const getProducts = async (nextPage = 1) => {
+    try {
+      const { data } = await axios.get("/api/v1/product/low-stock", {
+        params: { page: nextPage, level },
+      });
+      if (!data?.success) return;
+      setProducts(nextPage === 1 ? data.products : [...products, ...data.products]);
+      setTotal(data.total);
+      setCounts(data.counts);
+      setPage(nextPage);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting low stock products");
+    }
+  };
+
+  useEffect(() => {
+    getProducts(1);
+    //eslint-disable-next-line
+  }, [level]);
+
+  return (
+    <Layout title={"Dashboard - Low Stock"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Low Stock</h1>
+            <p data-testid="low-stock-summary">
+              {counts.low} running low, {counts.out} out of stock
+            </p>
+            <select
+              className="form-select w-auto mb-3"
+              value={level}
+              onChange={(e) => setLevel(e.target.value)}
+              data-testid="low-stock-level-select"
+            >
+              <option value={STOCK_LEVEL.LOW}>At or below reorder threshold</option>
+              <option value={STOCK_LEVEL.OUT}>Out of stock only</option>
+            </select>
+            {products.length === 0 ? (
+              <p>No products need restocking</p>
+            ) : (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Product</th>
+                    <th scope="col">Category</th>
+                    <th scope="col">In stock</th>
+                    <th scope="col">Reorder threshold</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {products.map((p) => (
+                    <tr key={p._id} data-testid={`low-stock-${p._id}`}>
+                      <td>
+                        <Link to={`/dashboard/admin/product/${p.slug}`}>{p.name}</Link>
+                        {p.variants?.length > 0 && (
+                          <div className="small text-muted">
+                            {p.variants.map((v) => `${v.sku}: ${v.quantity}`).join(", ")}
+                          </div>
+                        )}
+                      </td>
+                      <td>{p.category?.name}</td>
+                      <td>
+                        {p.quantity > 0 ? (
+                          p.quantity
+                        ) : (
+                          <span className="badge bg-danger">Out of stock</span>
+                        )}
+                      </td>
+                      <td>{p.reorderThreshold}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {products.length < total && (
+              <button
+                className="btn btn-link"
+                onClick={() => getProducts(page + 1)}
+                data-testid="more-low-stock"
+              >
+                More products
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default LowStock;
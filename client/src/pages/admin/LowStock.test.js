@@ -0,0 +1,137 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import LowStock from "./LowStock";
+
+jest.mock("axios");
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/AdminMenu", () => () => <div>Admin Menu</div>);
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for LowStock page:
+  1. Happy Path: 3 tests
+    a. Should list the products running low with their stock and reorder threshold
+    b. Should list only the products out of stock
+    c. Should append more products
+  2. Edge Cases: 1 test
+    a. Should say no products need restocking
+  3. Error Handling: 1 test
+    a. Should show an error toast when loading fails
+*/
+
+describe("LowStock page", () => {
+  const products = [
+    {
+      _id: "p1",
+      name: "Tee",
+      slug: "tee",
+      quantity: 0,
+      reorderThreshold: 5,
+      category: { name: "Clothing" },
+      variants: [
+        { sku: "TEE-S", quantity: 0 },
+        { sku: "TEE-M", quantity: 0 },
+      ],
+    },
+    { _id: "p2", name: "Laptop", slug: "laptop", quantity: 3, reorderThreshold: 5, category: { name: "Electronics" } },
+  ];
+  const counts = { low: 1, out: 1 };
+  const page = (list = products, total = 2) => ({ data: { success: true, products: list, total, counts } });
+
+  const renderPage = () =>
+    render(
+      <MemoryRouter>
+        <LowStock />
+      </MemoryRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    axios.get.mockResolvedValue(page());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should list the products running low with their stock and reorder threshold", async () => {
+      renderPage();
+
+      expect(await screen.findByTestId("low-stock-p2")).toHaveTextContent("LaptopElectronics35");
+      expect(screen.getByTestId("low-stock-p1")).toHaveTextContent(
+        "TeeTEE-S: 0, TEE-M: 0ClothingOut of stock5"
+      );
+      expect(screen.getByRole("link", { name: "Laptop" })).toHaveAttribute(
+        "href",
+        "/dashboard/admin/product/laptop"
+      );
+      expect(screen.getByTestId("low-stock-summary")).toHaveTextContent("1 running low, 1 out of stock");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/low-stock", {
+        params: { page: 1, level: "low" },
+      });
+      expect(screen.queryByTestId("more-low-stock")).not.toBeInTheDocument();
+    });
+
+    it("should list only the products out of stock", async () => {
+      renderPage();
+      await screen.findByTestId("low-stock-p2");
+
+      axios.get.mockResolvedValueOnce(page([products[0]], 1));
+      fireEvent.change(screen.getByTestId("low-stock-level-select"), { target: { value: "out" } });
+
+      await waitFor(() => expect(screen.queryByTestId("low-stock-p2")).not.toBeInTheDocument());
+      expect(screen.getByTestId("low-stock-p1")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/low-stock", {
+        params: { page: 1, level: "out" },
+      });
+    });
+
+    it("should append more products", async () => {
+      axios.get.mockResolvedValue(page([products[1]], 2));
+      renderPage();
+      await screen.findByTestId("low-stock-p2");
+
+      axios.get.mockResolvedValueOnce(page([products[0]], 2));
+      fireEvent.click(screen.getByTestId("more-low-stock"));
+
+      expect(await screen.findByTestId("low-stock-p1")).toBeInTheDocument();
+      expect(screen.getByTestId("low-stock-p2")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/low-stock", {
+        params: { page: 2, level: "low" },
+      });
+      expect(screen.queryByTestId("more-low-stock")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say no products need restocking", async () => {
+      axios.get.mockResolvedValue(page([], 0));
+      renderPage();
+
+      expect(await screen.findByText("No products need restocking")).toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+      renderPage();
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting low stock products")
+      );
+    });
+  });
+});
@@ -4,13 +4,15 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import toast from "react-hot-toast";
 import { Link } from "react-router-dom";
+import { publishLabel } from "../../components/Form/PublishForm";
 const Products = () => {
   const [products, setProducts] = useState([]);
+  const [archived, setArchived] = useState(null);
 
-  //getall products
+  //getall products, including drafts and scheduled ones
   const getAllProducts = async () => {
     try {
-      const { data } = await axios.get("/api/v1/product/get-product");
+      const { data } = await axios.get("/api/v1/product/admin-products");
       setProducts(data.products);
     } catch (error) {
       console.log(error);
@@ -19,6 +21,46 @@ const Products = () => {
     }
   };
 
+  //get archived products
+  const getArchivedProducts = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/product/archived-products");
+      setArchived(data.products);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong while getting archived products");
+    }
+  };
+
+  //restore archived product
+  const handleRestore = async (product) => {
+    try {
+      const { data } = await axios.put(`/api/v1/product/restore-product/${product._id}`);
+      toast.success(data.message);
+      setArchived(archived.filter((p) => p._id !== product._id));
+      getAllProducts();
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong while restoring product");
+    }
+  };
+
+  //permanently delete archived product
+  const handlePurge = async (product) => {
+    try {
+      const answer = window.confirm(
+        `Permanently delete ${product.name}? Orders that include it will no longer show its details.`
+      );
+      if (!answer) return;
+      const { data } = await axios.delete(`/api/v1/product/purge-product/${product._id}`);
+      toast.success(data.message);
+      setArchived(archived.filter((p) => p._id !== product._id));
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong while deleting product");
+    }
+  };
+
   //lifecycle method
   useEffect(() => {
     getAllProducts();
@@ -31,29 +73,88 @@ const Products = () => {
         </div>
         <div className="col-md-9 ">
           {/* Added data-testid to relevant elements for testing purposes - Ong Chang Heng Bertrand A0253013X */}
-          <h1 className="text-center" data-testid="all-products-title">All Products List</h1>
-          <div className="d-flex">
-            {products?.map((p) => (
-              <Link
-                key={p._id}
-                to={`/dashboard/admin/product/${p.slug}`}
-                className="product-link"
-                data-testid={`product-link-${p._id}`}
+          <h1 className="text-center" data-testid="all-products-title">
+            {archived ? "Archived Products" : "All Products List"}
+          </h1>
+          <div className="text-center mb-2">
+            {archived ? (
+              <button
+                className="btn btn-outline-secondary"
+                data-testid="show-products-button"
+                onClick={() => setArchived(null)}
+              >
+                Back to Products
+              </button>
+            ) : (
+              <button
+                className="btn btn-outline-secondary"
+                data-testid="show-archived-button"
+                onClick={getArchivedProducts}
               >
-                <div className="card m-2" style={{ width: "18rem" }}>
+                Archived
+              </button>
+            )}
+          </div>
+          {archived ? (
+            <div className="d-flex flex-wrap" data-testid="archived-products">
+              {archived.length === 0 && <p className="m-2">No archived products</p>}
+              {archived.map((p) => (
+                <div key={p._id} className="card m-2" style={{ width: "18rem" }}>
                   <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                    src={`/api/v1/product/product-photo/${p._id}?size=card`}
                     className="card-img-top"
                     alt={p.name}
                   />
                   <div className="card-body">
-                    <h5 className="card-title" data-testid={`product-name-${p._id}`}>{p.name}</h5>
-                    <p className="card-text" data-testid={`product-description-${p._id}`}>{p.description}</p>
+                    <h5 className="card-title" data-testid={`archived-name-${p._id}`}>{p.name}</h5>
+                    <p className="card-text">
+                      Archived on {new Date(p.archivedAt).toLocaleDateString()}
+                    </p>
+                    <button
+                      className="btn btn-primary me-2"
+                      data-testid={`restore-button-${p._id}`}
+                      onClick={() => handleRestore(p)}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      className="btn btn-danger"
+                      data-testid={`purge-button-${p._id}`}
+                      onClick={() => handlePurge(p)}
+                    >
+                      Delete Permanently
+                    </button>
                   </div>
                 </div>
-              </Link>
-            ))}
-          </div>
+              ))}
+            </div>
+          ) : (
+            <div className="d-flex">
+              {products?.map((p) => (
+                <Link
+                  key={p._id}
+                  to={`/dashboard/admin/product/${p.slug}`}
+                  className="product-link"
+                  data-testid={`product-link-${p._id}`}
+                >
+                  <div className="card m-2" style={{ width: "18rem" }}>
+                    <img
+                      src={`/api/v1/product/product-photo/${p._id}`}
+                      className="card-img-top"
+                      alt={p.name}
+                    />
+                    <div className="card-body">
+                      <h5 className="card-title" data-testid={`product-name-${p._id}`}>{p.name}</h5>
+                      <p className="card-text" data-testid={`product-description-${p._id}`}>{p.description}</p>
+                      <span className="badge bg-secondary" data-testid={`product-status-${p._id}`}>
+                        {publishLabel(p)}
+                      </span>
+                    </div>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          )}
         </div>
       </div>
     </Layout>
@@ -3,7 +3,7 @@
 */
 
 import React from "react";
-import { render, screen, waitFor } from "@testing-library/react";
+import { render, screen, waitFor, fireEvent } from "@testing-library/react";
 import '@testing-library/jest-dom';
 import { MemoryRouter } from "react-router-dom";
 import axios from "axios";
@@ -15,6 +15,7 @@ jest.mock("axios");
 jest.mock("react-hot-toast", () => ({
   __esModule: true,
   default: {
+    success: jest.fn(),
     error: jest.fn(),
   },
 }));
@@ -31,13 +32,21 @@ jest.mock("../../components/AdminMenu", () => () => <div data-testid="admin-menu
     a. should display all products when fetched successfully
     b. should display blank page when there are 0 products
   2. Error Handling: 1 test
-    a. should display error toast when product/get-product API call fails
+    a. should display error toast when product/admin-products API call fails
   3. Side Effects / API Calls: 1 test
     a. should only call API once on initial mount
-  4. Rendering / UI Structure: 3 tests
+  4. Rendering / UI Structure: 4 tests
     a. should render Layout and AdminMenu components
     b. should display product images with correct src and alt
     c. should render product links with correct navigation paths
+    d. should show the publishing status of each product
+  5. Archived Products: 6 tests
+    a. should show archived products and go back to the product list
+    b. should show a message when there are no archived products
+    c. should restore an archived product and refresh the product list
+    d. should permanently delete an archived product when confirmed
+    e. should not delete an archived product when cancelled
+    f. should display error toasts when archived product API calls fail
 */
 
 describe("Products Admin Page", () => {
@@ -75,7 +84,7 @@ describe("Products Admin Page", () => {
       );
 
       await waitFor(() => {
-        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/get-product");
+        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/admin-products");
         expect(screen.getByTestId("product-name-1")).toHaveTextContent(mockProducts[0].name);
         expect(screen.getByTestId("product-description-1")).toHaveTextContent(mockProducts[0].description);
         expect(screen.getByTestId("product-name-2")).toHaveTextContent(mockProducts[1].name);
@@ -103,7 +112,7 @@ describe("Products Admin Page", () => {
 
   // ============ ERROR HANDLING ============
   describe("Error Handling", () => {
-    it("should display error toast when product/get-product API call fails", async () => {
+    it("should display error toast when product/admin-products API call fails", async () => {
       axios.get.mockRejectedValueOnce(new Error("Database fetch error"));
 
       render(
@@ -207,5 +216,147 @@ describe("Products Admin Page", () => {
         expect(productLink2).toHaveAttribute('href', `/dashboard/admin/product/${mockProducts[1].slug}`);
       });
     });
+
+    it("should show the publishing status of each product", async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          products: [
+            { ...mockProducts[0], status: "draft" },
+            { ...mockProducts[1], status: "published" },
+          ],
+        },
+      });
+
+      render(
+        <MemoryRouter>
+          <Products />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-status-1")).toHaveTextContent("Draft");
+        expect(screen.getByTestId("product-status-2")).toHaveTextContent("Published");
+      });
+    });
 	});
-});
\ No newline at end of file
+
+  // ============ ARCHIVED PRODUCTS ============
+  describe("Archived Products", () => {
+    const archivedProducts = [
+      { _id: "3", name: "Old Product", slug: "old-product", archivedAt: "2024-01-01T00:00:00.000Z" },
+    ];
+
+    const openArchived = async () => {
+      render(
+        <MemoryRouter>
+          <Products />
+        </MemoryRouter>
+      );
+      await waitFor(() => {
+        expect(screen.getByTestId("product-name-1")).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getByTestId("show-archived-button"));
+      await waitFor(() => {
+        expect(screen.getByTestId("archived-products")).toBeInTheDocument();
+      });
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) =>
+        Promise.resolve({
+          data: { products: url.endsWith("archived-products") ? archivedProducts : mockProducts },
+        })
+      );
+    });
+
+    it("should show archived products and go back to the product list", async () => {
+      await openArchived();
+
+      await waitFor(() => {
+        expect(screen.getByTestId("archived-name-3")).toHaveTextContent("Old Product");
+      });
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/archived-products");
+      expect(screen.getByTestId("all-products-title")).toHaveTextContent("Archived Products");
+      expect(screen.queryByTestId("product-link-1")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("show-products-button"));
+
+      expect(screen.getByTestId("product-link-1")).toBeInTheDocument();
+      expect(screen.queryByTestId("archived-products")).not.toBeInTheDocument();
+    });
+
+    it("should show a message when there are no archived products", async () => {
+      axios.get.mockImplementation((url) =>
+        Promise.resolve({ data: { products: url.endsWith("archived-products") ? [] : mockProducts } })
+      );
+      await openArchived();
+
+      await waitFor(() => {
+        expect(screen.getByTestId("archived-products")).toHaveTextContent("No archived products");
+      });
+    });
+
+    it("should restore an archived product and refresh the product list", async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Product restored successfully" } });
+      await openArchived();
+
+      fireEvent.click(screen.getByTestId("restore-button-3"));
+
+      await waitFor(() => {
+        expect(screen.queryByTestId("archived-name-3")).not.toBeInTheDocument();
+      });
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/product/restore-product/3");
+      expect(toast.success).toHaveBeenCalledWith("Product restored successfully");
+      expect(axios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it("should permanently delete an archived product when confirmed", async () => {
+      window.confirm = jest.fn().mockReturnValueOnce(true);
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Product deleted permanently" } });
+      await openArchived();
+
+      fireEvent.click(screen.getByTestId("purge-button-3"));
+
+      await waitFor(() => {
+        expect(screen.queryByTestId("archived-name-3")).not.toBeInTheDocument();
+      });
+      expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining("Old Product"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/product/purge-product/3");
+      expect(toast.success).toHaveBeenCalledWith("Product deleted permanently");
+    });
+
+    it("should not delete an archived product when cancelled", async () => {
+      window.confirm = jest.fn().mockReturnValueOnce(false);
+      await openArchived();
+
+      fireEvent.click(screen.getByTestId("purge-button-3"));
+
+      expect(axios.delete).not.toHaveBeenCalled();
+      expect(screen.getByTestId("archived-name-3")).toBeInTheDocument();
+    });
+
+    it("should display error toasts when archived product API calls fail", async () => {
+      window.confirm = jest.fn().mockReturnValueOnce(true);
+      axios.put.mockRejectedValueOnce(new Error("Restore failed"));
+      axios.delete.mockRejectedValueOnce(new Error("Purge failed"));
+      await openArchived();
+
+      fireEvent.click(screen.getByTestId("restore-button-3"));
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong while restoring product");
+      });
+      fireEvent.click(screen.getByTestId("purge-button-3"));
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong while deleting product");
+      });
+      expect(screen.getByTestId("archived-name-3")).toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("show-products-button"));
+      axios.get.mockRejectedValueOnce(new Error("Fetch failed"));
+      fireEvent.click(screen.getByTestId("show-archived-button"));
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong while getting archived products");
+      });
+    });
+  });
+});
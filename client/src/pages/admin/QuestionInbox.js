@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const QuestionInbox = () => {
+  const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [answers, setAnswers] = useState({});
+
+  // message of a failed request, e.g. a question that was deleted
+  const errorMessage = (error, fallback) => error?.response?.data?.message || fallback;
+
+  //get unanswered questions, appending the page after the first one
+  const getQuestions = async (nextPage = 1) => {
+    try {
+      const { data } = await axios.get("/api/v1/question/unanswered-questions", {
+        params: { page: nextPage },
+      });
+      if (!data?.success) return;
+      setQuestions(nextPage === 1 ? data.questions : [...questions, ...data.questions]);
+      setTotal(data.total);
+      setPage(nextPage);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting questions");
+    }
+  };
+
+  useEffect(() => {
+    getQuestions(1);
+    //eslint-disable-next-line
+  }, []);
+
+  //answer a question, which takes it out of the inbox
+  const handleAnswer = async (e, id) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(`/api/v1/question/answer-question/${id}`, {
+        text: answers[id],
+      });
+      toast.success(data.message);
+      setAnswers({ ...answers, [id]: "" });
+      getQuestions(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in answering question"));
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Questions"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Unanswered Questions ({total})</h1>
+            <div className="m-1 w-75">
+              {questions.length === 0 && <p>No questions waiting for an answer</p>}
+              {questions.map((question) => (
+                <div
+                  className="border rounded p-2 mb-2"
+                  key={question._id}
+                  data-testid={`inbox-question-${question._id}`}
+                >
+                  <p className="mb-1">
+                    <strong>{question.text}</strong>
+                  </p>
+                  <p className="mb-2 text-muted">
+                    {question.user?.name} on{" "}
+                    <Link to={`/product/${question.product?.slug}`}>{question.product?.name}</Link>{" "}
+                    {new Date(question.createdAt).toLocaleDateString()}
+                  </p>
+                  <form className="d-flex" onSubmit={(e) => handleAnswer(e, question._id)}>
+                    <input
+                      type="text"
+                      className="form-control me-2"
+                      placeholder="Your answer"
+                      value={answers[question._id] || ""}
+                      onChange={(e) => setAnswers({ ...answers, [question._id]: e.target.value })}
+                      data-testid={`inbox-answer-input-${question._id}`}
+                    />
+                    <button
+                      type="submit"
+                      className="btn btn-primary"
+                      data-testid={`inbox-answer-${question._id}`}
+                    >
+                      Answer
+                    </button>
+                  </form>
+                </div>
+              ))}
+              {questions.length < total && (
+                <button
+                  className="btn btn-link"
+                  onClick={() => getQuestions(page + 1)}
+                  data-testid="more-inbox-questions"
+                >
+                  More questions
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default QuestionInbox;
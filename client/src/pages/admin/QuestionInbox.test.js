@@ -0,0 +1,143 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import QuestionInbox from "./QuestionInbox";
+
+jest.mock("axios");
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/AdminMenu", () => () => <div>Admin Menu</div>);
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for QuestionInbox page:
+  1. Happy Path: 3 tests
+    a. Should list the unanswered questions with the product and who asked
+    b. Should answer a question and reload the inbox
+    c. Should append more questions
+  2. Edge Cases: 1 test
+    a. Should say there are no questions waiting
+  3. Error Handling: 2 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when an answer is rejected
+*/
+
+describe("QuestionInbox page", () => {
+  const questions = [
+    {
+      _id: "q1",
+      text: "Is it waterproof?",
+      user: { name: "Sam" },
+      product: { name: "Watch", slug: "watch" },
+      createdAt: "2024-06-01",
+    },
+  ];
+  const page = (list = questions, total = 1) => ({ data: { success: true, questions: list, total } });
+
+  const renderPage = () =>
+    render(
+      <MemoryRouter>
+        <QuestionInbox />
+      </MemoryRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    axios.get.mockResolvedValue(page());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should list the unanswered questions with the product and who asked", async () => {
+      renderPage();
+
+      expect(await screen.findByTestId("inbox-question-q1")).toHaveTextContent(
+        "Is it waterproof?Sam on Watch"
+      );
+      expect(screen.getByRole("link", { name: "Watch" })).toHaveAttribute("href", "/product/watch");
+      expect(screen.getByText("Unanswered Questions (1)")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/question/unanswered-questions", {
+        params: { page: 1 },
+      });
+    });
+
+    it("should answer a question and reload the inbox", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Answer posted" } });
+      renderPage();
+
+      fireEvent.change(await screen.findByTestId("inbox-answer-input-q1"), {
+        target: { value: "Up to 50 metres" },
+      });
+      fireEvent.click(screen.getByTestId("inbox-answer-q1"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Answer posted"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/question/answer-question/q1", {
+        text: "Up to 50 metres",
+      });
+      expect(screen.getByTestId("inbox-answer-input-q1")).toHaveValue("");
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should append more questions", async () => {
+      axios.get.mockResolvedValue(page(questions, 2));
+      renderPage();
+      await screen.findByTestId("inbox-question-q1");
+
+      axios.get.mockResolvedValueOnce(page([{ ...questions[0], _id: "q2" }], 2));
+      fireEvent.click(screen.getByTestId("more-inbox-questions"));
+
+      expect(await screen.findByTestId("inbox-question-q2")).toBeInTheDocument();
+      expect(screen.getByTestId("inbox-question-q1")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/question/unanswered-questions", {
+        params: { page: 2 },
+      });
+      expect(screen.queryByTestId("more-inbox-questions")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say there are no questions waiting", async () => {
+      axios.get.mockResolvedValue(page([], 0));
+      renderPage();
+
+      expect(await screen.findByText("No questions waiting for an answer")).toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+      renderPage();
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting questions")
+      );
+    });
+
+    it("should show the server message when an answer is rejected", async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { data: { message: "Answer is required" } } })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      renderPage();
+
+      fireEvent.click(await screen.findByTestId("inbox-answer-q1"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Answer is required"));
+      fireEvent.click(screen.getByTestId("inbox-answer-q1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in answering question")
+      );
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import { REPORT_REASONS, starText } from "./../../components/ProductReviews";
+import { REVIEW_STATUS, REVIEW_STATUS_LIST } from "../../constants/reviewStatus";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const ReviewModeration = () => {
+  const [status, setStatus] = useState(REVIEW_STATUS.PENDING);
+  const [reviews, setReviews] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [page, setPage] = useState(1);
+  const [blockedWords, setBlockedWords] = useState([]);
+  const [word, setWord] = useState("");
+
+  // message of a failed request, e.g. a word that is already blocked
+  const errorMessage = (error, fallback) => error?.response?.data?.message || fallback;
+
+  //get reviews of the selected status, appending the page after the first one
+  const getReviews = async (nextPage = 1) => {
+    try {
+      const { data } = await axios.get("/api/v1/review/moderation-queue", {
+        params: { status, page: nextPage },
+      });
+      if (!data?.success) return;
+      setReviews(nextPage === 1 ? data.reviews : [...reviews, ...data.reviews]);
+      setCounts(data.counts);
+      setPage(nextPage);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting reviews");
+    }
+  };
+
+  //get blocked words
+  const getBlockedWords = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/review/get-blocked-words");
+      if (data?.success) setBlockedWords(data.blockedWords);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting blocked words");
+    }
+  };
+
+  useEffect(() => {
+    getReviews(1);
+    //eslint-disable-next-line
+  }, [status]);
+
+  useEffect(() => {
+    getBlockedWords();
+  }, []);
+
+  //approve or reject a review
+  const handleModerate = async (id, nextStatus) => {
+    try {
+      const { data } = await axios.put(`/api/v1/review/moderate-review/${id}`, {
+        status: nextStatus,
+      });
+      toast.success(data.message);
+      getReviews(1);
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in moderating review"));
+    }
+  };
+
+  //create blocked word
+  const handleCreateBlockedWord = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/review/create-blocked-word", { word });
+      toast.success(data.message);
+      setWord("");
+      getBlockedWords();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in creating blocked word"));
+    }
+  };
+
+  //delete blocked word
+  const handleDeleteBlockedWord = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/review/delete-blocked-word/${id}`);
+      toast.success(data.message);
+      getBlockedWords();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in deleting blocked word"));
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Reviews"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Reviews</h1>
+            <div className="m-1 w-75">
+              <div className="btn-group mb-3">
+                {REVIEW_STATUS_LIST.map((tab) => (
+                  <button
+                    key={tab}
+                    className={`btn ${tab === status ? "btn-primary" : "btn-outline-primary"}`}
+                    onClick={() => setStatus(tab)}
+                    data-testid={`status-tab-${tab}`}
+                  >
+                    {tab.charAt(0).toUpperCase() + tab.slice(1)} ({counts[tab] ?? 0})
+                  </button>
+                ))}
+              </div>
+              {reviews.length === 0 && <p>No {status} reviews</p>}
+              {reviews.map((review) => (
+                <div
+                  className="border rounded p-2 mb-2"
+                  key={review._id}
+                  data-testid={`moderation-${review._id}`}
+                >
+                  <p className="mb-1">
+                    <span className="text-warning">{starText(review.rating)}</span>{" "}
+                    <strong>{review.user?.name}</strong> on{" "}
+                    <Link to={`/product/${review.product?.slug}`}>{review.product?.name}</Link>
+                  </p>
+                  {review.comment && <p className="mb-1">{review.comment}</p>}
+                  {review.heldFor?.length > 0 && (
+                    <p className="mb-1 text-danger">Held for: {review.heldFor.join(", ")}</p>
+                  )}
+                  {review.reportCount > 0 && (
+                    <p className="mb-1 text-danger">
+                      Reported {review.reportCount} {review.reportCount === 1 ? "time" : "times"}:{" "}
+                      {review.reports?.map((report) => REPORT_REASONS[report.reason]).join(", ")}
+                    </p>
+                  )}
+                  {status !== REVIEW_STATUS.APPROVED && (
+                    <button
+                      className="btn btn-sm btn-success me-2"
+                      onClick={() => handleModerate(review._id, REVIEW_STATUS.APPROVED)}
+                      data-testid={`approve-${review._id}`}
+                    >
+                      Approve
+                    </button>
+                  )}
+                  {status !== REVIEW_STATUS.REJECTED && (
+                    <button
+                      className="btn btn-sm btn-danger"
+                      onClick={() => handleModerate(review._id, REVIEW_STATUS.REJECTED)}
+                      data-testid={`reject-${review._id}`}
+                    >
+                      Reject
+                    </button>
+                  )}
+                </div>
+              ))}
+              {reviews.length < (counts[status] ?? 0) && (
+                <button
+                  className="btn btn-link mb-3"
+                  onClick={() => getReviews(page + 1)}
+                  data-testid="more-moderation"
+                >
+                  More reviews
+                </button>
+              )}
+
+              <h4 className="mt-4">Blocked Words</h4>
+              <p>Reviews with these words wait for approval before they are shown.</p>
+              <form className="d-flex mb-3" onSubmit={handleCreateBlockedWord}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  placeholder="Blocked word"
+                  value={word}
+                  onChange={(e) => setWord(e.target.value)}
+                  data-testid="blocked-word-input"
+                />
+                <button type="submit" className="btn btn-primary" data-testid="add-blocked-word">
+                  Add
+                </button>
+              </form>
+              <div className="mb-4">
+                {blockedWords.map((blockedWord) => (
+                  <span
+                    key={blockedWord._id}
+                    className="badge bg-secondary me-2 mb-2"
+                    data-testid={`blocked-word-${blockedWord._id}`}
+                  >
+                    {blockedWord.word}
+                    <button
+                      type="button"
+                      className="btn-close btn-close-white ms-2"
+                      aria-label={`Delete ${blockedWord.word}`}
+                      onClick={() => handleDeleteBlockedWord(blockedWord._id)}
+                    />
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ReviewModeration;
@@ -0,0 +1,200 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import ReviewModeration from "./ReviewModeration";
+
+jest.mock("axios");
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/AdminMenu", () => () => <div>Admin Menu</div>);
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for ReviewModeration page:
+  1. Happy Path: 4 tests
+    a. Should list the pending reviews with why they are held, and the counts per status
+    b. Should approve or reject a review and reload the queue
+    c. Should switch status and append more reviews
+    d. Should add and delete a blocked word
+  2. Edge Cases: 1 test
+    a. Should say there are no reviews of the status
+  3. Error Handling: 2 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when moderating or blocking is rejected
+*/
+
+describe("ReviewModeration page", () => {
+  const counts = { pending: 1, approved: 3, rejected: 0 };
+  const pending = [
+    {
+      _id: "r1",
+      rating: 1,
+      comment: "A scam",
+      user: { name: "Sam" },
+      product: { name: "Laptop", slug: "laptop" },
+      heldFor: ["scam"],
+      reportCount: 2,
+      reports: [{ reason: "spam" }, { reason: "off-topic" }],
+    },
+  ];
+  const blockedWords = [{ _id: "w1", word: "scam" }];
+
+  // answers the queue and the blocked words the page loads
+  const mockLists = (reviews = pending, reviewCounts = counts) => {
+    axios.get.mockImplementation((url) => {
+      if (url.endsWith("/get-blocked-words")) {
+        return Promise.resolve({ data: { success: true, blockedWords } });
+      }
+      return Promise.resolve({ data: { success: true, reviews, counts: reviewCounts } });
+    });
+  };
+
+  const renderPage = () =>
+    render(
+      <MemoryRouter>
+        <ReviewModeration />
+      </MemoryRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    mockLists();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should list the pending reviews with why they are held, and the counts per status", async () => {
+      renderPage();
+
+      const review = await screen.findByTestId("moderation-r1");
+      expect(review).toHaveTextContent("★☆☆☆☆ Sam on Laptop");
+      expect(review).toHaveTextContent("Held for: scam");
+      expect(review).toHaveTextContent("Reported 2 times: Spam, Off-topic");
+      expect(screen.getByRole("link", { name: "Laptop" })).toHaveAttribute("href", "/product/laptop");
+      expect(screen.getByTestId("status-tab-pending")).toHaveTextContent("Pending (1)");
+      expect(screen.getByTestId("status-tab-approved")).toHaveTextContent("Approved (3)");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/review/moderation-queue", {
+        params: { status: "pending", page: 1 },
+      });
+      expect(await screen.findByTestId("blocked-word-w1")).toHaveTextContent("scam");
+    });
+
+    it("should approve or reject a review and reload the queue", async () => {
+      axios.put
+        .mockResolvedValueOnce({ data: { success: true, message: "Review approved" } })
+        .mockResolvedValueOnce({ data: { success: true, message: "Review rejected" } });
+      renderPage();
+
+      fireEvent.click(await screen.findByTestId("approve-r1"));
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Review approved"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/review/moderate-review/r1", {
+        status: "approved",
+      });
+
+      fireEvent.click(screen.getByTestId("reject-r1"));
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Review rejected"));
+      expect(axios.put).toHaveBeenLastCalledWith("/api/v1/review/moderate-review/r1", {
+        status: "rejected",
+      });
+      expect(axios.get).toHaveBeenCalledTimes(4);
+    });
+
+    it("should switch status and append more reviews", async () => {
+      const approved = { _id: "r2", rating: 5, user: { name: "Alex" }, product: { name: "Mouse" } };
+      renderPage();
+      await screen.findByTestId("moderation-r1");
+
+      mockLists([approved]);
+      fireEvent.click(screen.getByTestId("status-tab-approved"));
+
+      expect(await screen.findByTestId("moderation-r2")).toBeInTheDocument();
+      // approved reviews can only be rejected
+      expect(screen.queryByTestId("approve-r2")).not.toBeInTheDocument();
+      expect(screen.getByTestId("reject-r2")).toBeInTheDocument();
+
+      mockLists([{ ...approved, _id: "r3" }]);
+      fireEvent.click(screen.getByTestId("more-moderation"));
+
+      expect(await screen.findByTestId("moderation-r3")).toBeInTheDocument();
+      expect(screen.getByTestId("moderation-r2")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/review/moderation-queue", {
+        params: { status: "approved", page: 2 },
+      });
+    });
+
+    it("should add and delete a blocked word", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Blocked word created" } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Blocked word deleted" } });
+      renderPage();
+      await screen.findByTestId("blocked-word-w1");
+
+      fireEvent.change(screen.getByTestId("blocked-word-input"), { target: { value: "junk" } });
+      fireEvent.click(screen.getByTestId("add-blocked-word"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Blocked word created"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/review/create-blocked-word", { word: "junk" });
+      expect(screen.getByTestId("blocked-word-input")).toHaveValue("");
+
+      fireEvent.click(screen.getByLabelText("Delete scam"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Blocked word deleted"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/review/delete-blocked-word/w1");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say there are no reviews of the status", async () => {
+      mockLists([], { pending: 0, approved: 0, rejected: 0 });
+      renderPage();
+
+      expect(await screen.findByText("No pending reviews")).toBeInTheDocument();
+      expect(screen.queryByTestId("more-moderation")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+      renderPage();
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting reviews"));
+      expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting blocked words");
+    });
+
+    it("should show the server message when moderating or blocking is rejected", async () => {
+      axios.put.mockRejectedValueOnce({ response: { data: { message: "Review not found" } } });
+      axios.post
+        .mockRejectedValueOnce({ response: { data: { message: "Blocked word already exists" } } })
+        .mockRejectedValueOnce(new Error("Network Error"));
+      axios.delete.mockRejectedValueOnce(new Error("Network Error"));
+      renderPage();
+
+      fireEvent.click(await screen.findByTestId("approve-r1"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Review not found"));
+
+      fireEvent.click(screen.getByTestId("add-blocked-word"));
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Blocked word already exists"));
+      fireEvent.click(screen.getByTestId("add-blocked-word"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in creating blocked word")
+      );
+
+      fireEvent.click(await screen.findByLabelText("Delete scam"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in deleting blocked word")
+      );
+    });
+  });
+});
@@ -0,0 +1,278 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const SearchSettings = () => {
+  const [synonyms, setSynonyms] = useState([]);
+  const [terms, setTerms] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [editedTerms, setEditedTerms] = useState("");
+  const [stopWords, setStopWords] = useState([]);
+  const [word, setWord] = useState("");
+  const [keyword, setKeyword] = useState("");
+  const [preview, setPreview] = useState(null);
+
+  // message of a failed request, e.g. a term that is already in another group
+  const errorMessage = (error, fallback) => error?.response?.data?.message || fallback;
+
+  //get synonym groups
+  const getSynonyms = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/search-settings/get-synonyms");
+      if (data?.success) setSynonyms(data.synonyms);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting synonyms");
+    }
+  };
+
+  //get stop words
+  const getStopWords = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/search-settings/get-stop-words");
+      if (data?.success) setStopWords(data.stopWords);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting stop words");
+    }
+  };
+
+  useEffect(() => {
+    getSynonyms();
+    getStopWords();
+  }, []);
+
+  //create synonym group
+  const handleCreateSynonym = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/search-settings/create-synonym", { terms });
+      toast.success(data.message);
+      setTerms("");
+      getSynonyms();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in creating synonyms"));
+    }
+  };
+
+  //update synonym group
+  const handleUpdateSynonym = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(`/api/v1/search-settings/update-synonym/${editing}`, {
+        terms: editedTerms,
+      });
+      toast.success(data.message);
+      setEditing(null);
+      getSynonyms();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in updating synonyms"));
+    }
+  };
+
+  //delete synonym group
+  const handleDeleteSynonym = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/search-settings/delete-synonym/${id}`);
+      toast.success(data.message);
+      getSynonyms();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in deleting synonyms"));
+    }
+  };
+
+  //create stop word
+  const handleCreateStopWord = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/search-settings/create-stop-word", { word });
+      toast.success(data.message);
+      setWord("");
+      getStopWords();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in creating stop word"));
+    }
+  };
+
+  //delete stop word
+  const handleDeleteStopWord = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/search-settings/delete-stop-word/${id}`);
+      toast.success(data.message);
+      getStopWords();
+    } catch (error) {
+      console.log(error);
+      toast.error(errorMessage(error, "Something went wrong in deleting stop word"));
+    }
+  };
+
+  //show how the search rewrites the keyword
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.get("/api/v1/search-settings/preview", { params: { keyword } });
+      setPreview(data);
+    } catch (error) {
+      console.log(error);
+      setPreview(null);
+      toast.error(errorMessage(error, "Something went wrong in previewing search"));
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Search Settings"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Search Settings</h1>
+            <div className="m-1 w-75">
+              <h4>Synonyms</h4>
+              <p>Terms of a group are searched for as one, e.g. cellphone, smartphone, mobile phone.</p>
+              <form className="d-flex mb-3" onSubmit={handleCreateSynonym}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  placeholder="Comma-separated terms"
+                  value={terms}
+                  onChange={(e) => setTerms(e.target.value)}
+                  data-testid="synonym-terms-input"
+                />
+                <button type="submit" className="btn btn-primary" data-testid="add-synonym">
+                  Add
+                </button>
+              </form>
+              <table className="table">
+                <tbody>
+                  {synonyms.map((synonym) => (
+                    <tr key={synonym._id} data-testid={`synonym-${synonym._id}`}>
+                      {editing === synonym._id ? (
+                        <td colSpan={2}>
+                          <form className="d-flex" onSubmit={handleUpdateSynonym}>
+                            <input
+                              type="text"
+                              className="form-control me-2"
+                              value={editedTerms}
+                              onChange={(e) => setEditedTerms(e.target.value)}
+                              data-testid={`edit-synonym-input-${synonym._id}`}
+                            />
+                            <button
+                              type="submit"
+                              className="btn btn-primary me-2"
+                              data-testid={`save-synonym-${synonym._id}`}
+                            >
+                              Save
+                            </button>
+                            <button
+                              type="button"
+                              className="btn btn-secondary"
+                              onClick={() => setEditing(null)}
+                            >
+                              Cancel
+                            </button>
+                          </form>
+                        </td>
+                      ) : (
+                        <>
+                          <td>{synonym.terms.join(", ")}</td>
+                          <td className="text-end">
+                            <button
+                              className="btn btn-primary ms-2"
+                              onClick={() => {
+                                setEditing(synonym._id);
+                                setEditedTerms(synonym.terms.join(", "));
+                              }}
+                              data-testid={`edit-synonym-${synonym._id}`}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              className="btn btn-danger ms-2"
+                              onClick={() => handleDeleteSynonym(synonym._id)}
+                              data-testid={`delete-synonym-${synonym._id}`}
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h4>Stop Words</h4>
+              <p>Words left out of a search, unless nothing else was searched for.</p>
+              <form className="d-flex mb-3" onSubmit={handleCreateStopWord}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  placeholder="Stop word"
+                  value={word}
+                  onChange={(e) => setWord(e.target.value)}
+                  data-testid="stop-word-input"
+                />
+                <button type="submit" className="btn btn-primary" data-testid="add-stop-word">
+                  Add
+                </button>
+              </form>
+              <div className="mb-4">
+                {stopWords.map((stopWord) => (
+                  <span
+                    key={stopWord._id}
+                    className="badge bg-secondary me-2 mb-2"
+                    data-testid={`stop-word-${stopWord._id}`}
+                  >
+                    {stopWord.word}
+                    <button
+                      type="button"
+                      className="btn-close btn-close-white ms-2"
+                      aria-label={`Delete ${stopWord.word}`}
+                      onClick={() => handleDeleteStopWord(stopWord._id)}
+                    />
+                  </span>
+                ))}
+              </div>
+
+              <h4>Preview</h4>
+              <form className="d-flex mb-3" onSubmit={handlePreview}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  placeholder="What a customer searches for"
+                  value={keyword}
+                  onChange={(e) => setKeyword(e.target.value)}
+                  data-testid="preview-input"
+                />
+                <button type="submit" className="btn btn-outline-primary" data-testid="preview-button">
+                  Preview
+                </button>
+              </form>
+              {preview && (
+                <div data-testid="search-preview">
+                  <p>
+                    Searched as:{" "}
+                    {preview.groups
+                      .map((group) => (group.length > 1 ? `(${group.join(" OR ")})` : group[0]))
+                      .join(" AND ")}
+                  </p>
+                  {preview.removed.length > 0 && <p>Left out: {preview.removed.join(", ")}</p>}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default SearchSettings;
@@ -0,0 +1,208 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import SearchSettings from "./SearchSettings";
+
+jest.mock("axios");
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/AdminMenu", () => () => <div>Admin Menu</div>);
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for SearchSettings page:
+  1. Happy Path: 5 tests
+    a. Should list the synonym groups and stop words
+    b. Should add a synonym group and reload the list
+    c. Should edit and delete a synonym group
+    d. Should add and delete a stop word
+    e. Should preview how a keyword is rewritten
+  2. Error Handling: 3 tests
+    a. Should show an error toast when loading fails
+    b. Should show the server message when a synonym group is rejected
+    c. Should show the server message when the preview is rejected
+*/
+
+describe("SearchSettings page", () => {
+  const synonyms = [{ _id: "s1", terms: ["cellphone", "smartphone"] }];
+  const stopWords = [{ _id: "w1", word: "for" }];
+
+  // answers the two lists the page loads
+  const mockLists = (groups = synonyms, words = stopWords) => {
+    axios.get.mockImplementation((url) => {
+      if (url.endsWith("/get-synonyms")) {
+        return Promise.resolve({ data: { success: true, synonyms: groups } });
+      }
+      return Promise.resolve({ data: { success: true, stopWords: words } });
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    mockLists();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should list the synonym groups and stop words", async () => {
+      render(<SearchSettings />);
+
+      expect(await screen.findByTestId("synonym-s1")).toHaveTextContent("cellphone, smartphone");
+      expect(await screen.findByTestId("stop-word-w1")).toHaveTextContent("for");
+    });
+
+    it("should add a synonym group and reload the list", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Synonym group created" } });
+      render(<SearchSettings />);
+      await screen.findByTestId("synonym-s1");
+
+      fireEvent.change(screen.getByTestId("synonym-terms-input"), { target: { value: "tv, television" } });
+      fireEvent.click(screen.getByTestId("add-synonym"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Synonym group created"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/search-settings/create-synonym", {
+        terms: "tv, television",
+      });
+      expect(screen.getByTestId("synonym-terms-input")).toHaveValue("");
+      expect(axios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it("should edit and delete a synonym group", async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: true, message: "Synonym group updated" } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Synonym group deleted" } });
+      render(<SearchSettings />);
+      fireEvent.click(await screen.findByTestId("edit-synonym-s1"));
+
+      expect(screen.getByTestId("edit-synonym-input-s1")).toHaveValue("cellphone, smartphone");
+      fireEvent.click(screen.getByText("Cancel"));
+      expect(screen.queryByTestId("edit-synonym-input-s1")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("edit-synonym-s1"));
+      fireEvent.change(screen.getByTestId("edit-synonym-input-s1"), {
+        target: { value: "cellphone, smartphone, mobile phone" },
+      });
+      fireEvent.click(screen.getByTestId("save-synonym-s1"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Synonym group updated"));
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/search-settings/update-synonym/s1", {
+        terms: "cellphone, smartphone, mobile phone",
+      });
+      expect(screen.queryByTestId("edit-synonym-input-s1")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("delete-synonym-s1"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Synonym group deleted"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/search-settings/delete-synonym/s1");
+    });
+
+    it("should add and delete a stop word", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true, message: "Stop word created" } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Stop word deleted" } });
+      render(<SearchSettings />);
+      await screen.findByTestId("stop-word-w1");
+
+      fireEvent.change(screen.getByTestId("stop-word-input"), { target: { value: "the" } });
+      fireEvent.click(screen.getByTestId("add-stop-word"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Stop word created"));
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/search-settings/create-stop-word", { word: "the" });
+      expect(screen.getByTestId("stop-word-input")).toHaveValue("");
+
+      fireEvent.click(screen.getByLabelText("Delete for"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Stop word deleted"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/search-settings/delete-stop-word/w1");
+    });
+
+    it("should preview how a keyword is rewritten", async () => {
+      render(<SearchSettings />);
+      axios.get.mockResolvedValueOnce({
+        data: {
+          success: true,
+          keyword: "case for cellphone",
+          words: ["case", "cellphone"],
+          removed: ["for"],
+          groups: [["case"], ["cellphone", "smartphone"]],
+        },
+      });
+
+      fireEvent.change(screen.getByTestId("preview-input"), { target: { value: "case for cellphone" } });
+      fireEvent.click(screen.getByTestId("preview-button"));
+
+      const preview = await screen.findByTestId("search-preview");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/search-settings/preview", {
+        params: { keyword: "case for cellphone" },
+      });
+      expect(preview).toHaveTextContent("Searched as: case AND (cellphone OR smartphone)");
+      expect(preview).toHaveTextContent("Left out: for");
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should show an error toast when loading fails", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+      render(<SearchSettings />);
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting synonyms");
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in getting stop words");
+      });
+    });
+
+    it("should show the server message when a synonym group is rejected", async () => {
+      axios.post.mockRejectedValueOnce({
+        response: { data: { message: '"smartphone" is already in another synonym group' } },
+      });
+      axios.post.mockRejectedValueOnce(new Error("Network Error"));
+      axios.put.mockRejectedValueOnce(new Error("Network Error"));
+      axios.delete.mockRejectedValue(new Error("Network Error"));
+      render(<SearchSettings />);
+      await screen.findByTestId("synonym-s1");
+
+      fireEvent.click(screen.getByTestId("add-synonym"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith('"smartphone" is already in another synonym group')
+      );
+      fireEvent.click(screen.getByTestId("add-stop-word"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in creating stop word")
+      );
+      fireEvent.click(screen.getByTestId("edit-synonym-s1"));
+      fireEvent.click(screen.getByTestId("save-synonym-s1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in updating synonyms")
+      );
+      fireEvent.click(screen.getByText("Cancel"));
+      fireEvent.click(screen.getByTestId("delete-synonym-s1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in deleting synonyms")
+      );
+      fireEvent.click(screen.getByLabelText("Delete for"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in deleting stop word")
+      );
+    });
+
+    it("should show the server message when the preview is rejected", async () => {
+      render(<SearchSettings />);
+      await screen.findByTestId("synonym-s1");
+      axios.get.mockRejectedValueOnce({ response: { data: { message: "Keyword is required" } } });
+
+      fireEvent.click(screen.getByTestId("preview-button"));
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Keyword is required"));
+      expect(screen.queryByTestId("search-preview")).not.toBeInTheDocument();
+    });
+  });
+});
@@ -4,6 +4,15 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
+import VariantForm from "../../components/Form/VariantForm";
+import ImageGalleryForm, { appendImages } from "../../components/Form/ImageGalleryForm";
+import ProductAttributesForm, { appendAttributes } from "../../components/Form/ProductAttributesForm";
+import PublishForm, { appendPublishing, toPublishing } from "../../components/Form/PublishForm";
+import StockPolicyForm, { appendStockPolicy, toStockPolicy } from "../../components/Form/StockPolicyForm";
+import LocationStockForm, { appendLocationStock, toLocationStock } from "../../components/Form/LocationStockForm";
+import useLocations from "../../hooks/useLocations";
+import StockHistory from "../../components/StockHistory";
+import { DEFAULT_REORDER_THRESHOLD } from "../../constants/stock";
 import { useNavigate, useParams } from "react-router-dom";
 const { Option } = Select;
 
@@ -16,15 +25,26 @@ const UpdateProduct = () => {
   const [price, setPrice] = useState("");
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
+  const [reorderThreshold, setReorderThreshold] = useState(String(DEFAULT_REORDER_THRESHOLD));
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [images, setImages] = useState([]);
+  const [variantOptions, setVariantOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [attributes, setAttributes] = useState({});
+  const [stockPolicy, setStockPolicy] = useState(toStockPolicy());
+  const [locationStock, setLocationStock] = useState([]);
+  const { locations } = useLocations();
+  const [publishing, setPublishing] = useState(toPublishing());
   const [id, setId] = useState("");
 
+  // attribute schema of the selected category
+  const attributeSchema = categories?.find((c) => c._id === category)?.attributes || [];
+
   //get single product
   const getSingleProduct = async () => {
     try {
       const { data } = await axios.get(
-        `/api/v1/product/get-product/${params.slug}`
+        `/api/v1/product/admin-product/${params.slug}`
       );
       setName(data.product.name);
       setId(data.product._id);
@@ -32,9 +52,23 @@ const UpdateProduct = () => {
       setPrice(data.product.price);
       // Bug fix: Removed duplicate setPrice call - Ong Chang Heng Bertrand A0253013X
       setQuantity(data.product.quantity);
+      setReorderThreshold(String(data.product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD));
       // Bug fix: Updated setShipping to convert boolean to string for Select component - Ong Chang Heng Bertrand A0253013X
       setShipping(String(Number(data.product.shipping)));
       setCategory(data.product.category._id);
+      setVariantOptions(data.product.variantOptions || []);
+      setVariants(data.product.variants || []);
+      setAttributes(data.product.attributes || {});
+      setStockPolicy(toStockPolicy(data.product));
+      setLocationStock(toLocationStock(data.product));
+      setPublishing(toPublishing(data.product));
+      setImages(
+        (data.product.images || []).map((image, index) => ({
+          fileId: image.fileId,
+          alt: image.alt,
+          src: `/api/v1/product/product-photo/${data.product._id}/${index}`,
+        }))
+      );
     } catch (error) {
       console.log(error);
       // Bug fix: Added toast error message - Ong Chang Heng Bertrand A0253013X
@@ -79,11 +113,24 @@ const UpdateProduct = () => {
       productData.append("name", name);
       productData.append("description", description);
       productData.append("price", price);
-      productData.append("quantity", quantity);
-      photo && productData.append("photo", photo);
+      // with variants the stock is the total of the variant quantities
+      productData.append(
+        "quantity",
+        variants.length
+          ? variants.reduce((total, variant) => total + Number(variant.quantity), 0)
+          : quantity
+      );
+      productData.append("reorderThreshold", reorderThreshold);
+      appendStockPolicy(productData, stockPolicy);
+      productData.append("variantOptions", JSON.stringify(variantOptions));
+      productData.append("variants", JSON.stringify(variants));
+      appendLocationStock(productData, locationStock, variants);
+      appendImages(productData, images);
       productData.append("category", category);
       // Bug fix: Added 'shipping' to FormData to ensure it is included in the request - Ong Chang Heng Bertrand A0253013X
       productData.append("shipping", shipping);
+      appendAttributes(productData, attributeSchema, attributes);
+      appendPublishing(productData, publishing);
       // Bug fix: Added 'await' to axios.put call - Ong Chang Heng Bertrand A0253013X
       const { data } = await axios.put(
         `/api/v1/product/update-product/${id}`,
@@ -103,20 +150,32 @@ const UpdateProduct = () => {
     }
   };
 
+  // stock adjusted from the history is kept on the form, so saving the form does not undo it
+  const handleStockAdjusted = (product) => {
+    setQuantity(product.quantity);
+    setVariants(
+      variants.map((variant) => {
+        const adjusted = product.variants?.find((v) => v._id === variant._id);
+        return adjusted ? { ...variant, quantity: adjusted.quantity } : variant;
+      })
+    );
+    setLocationStock(toLocationStock(product));
+  };
+
   //delete a product
   const handleDelete = async () => {
     try {
       // Bug fix: Changed from window.prompt to window.confirm - Ong Chang Heng Bertrand A0253013X
-      let answer = window.confirm("Are you sure want to delete this product?");
+      let answer = window.confirm("Are you sure want to archive this product?");
       if (!answer) return;
       const { data } = await axios.delete(
         `/api/v1/product/delete-product/${id}`
       );
-      toast.success("Product Deleted Successfully");
+      toast.success("Product Archived Successfully");
       navigate("/dashboard/admin/products");
     } catch (error) {
       console.log(error);
-      toast.error("Something went wrong while deleting product");
+      toast.error("Something went wrong while archiving product");
     }
   };
   return (
@@ -148,39 +207,12 @@ const UpdateProduct = () => {
                   </Option>
                 ))}
               </Select>
-              <div className="mb-3">
-                <label className="btn btn-outline-secondary col-md-12" data-testid="upload-photo-button">
-                  {photo ? photo.name : "Upload Photo"}
-                  <input
-                    type="file"
-                    name="photo"
-                    accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
-                    hidden
-                  />
-                </label>
-              </div>
-              <div className="mb-3">
-                {photo ? (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                ) : (
-                  <div className="text-center">
-                    <img
-                      src={`/api/v1/product/product-photo/${id}`}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
-              </div>
+              {/* products without a gallery still show their original photo */}
+              <ImageGalleryForm
+                images={images}
+                setImages={setImages}
+                fallbackSrc={id && `/api/v1/product/product-photo/${id}`}
+              />
               <div className="mb-3">
                 <input
                   data-testid="name-input"
@@ -219,9 +251,42 @@ const UpdateProduct = () => {
                   value={quantity}
                   placeholder="Write a quantity"
                   className="form-control"
+                  disabled={locationStock.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
+              <div className="mb-3">
+                <label htmlFor="reorder-threshold" className="form-label">
+                  Reorder threshold (alert when stock falls to this level)
+                </label>
+                <input
+                  id="reorder-threshold"
+                  data-testid="reorder-threshold-input"
+                  type="number"
+                  min="0"
+                  value={reorderThreshold}
+                  className="form-control"
+                  onChange={(e) => setReorderThreshold(e.target.value)}
+                />
+              </div>
+              <StockPolicyForm policy={stockPolicy} setPolicy={setStockPolicy} />
+              <VariantForm
+                variantOptions={variantOptions}
+                setVariantOptions={setVariantOptions}
+                variants={variants}
+                setVariants={setVariants}
+              />
+              <LocationStockForm
+                locationStock={locationStock}
+                setLocationStock={setLocationStock}
+                locations={locations}
+                variants={variants}
+              />
+              <ProductAttributesForm
+                schema={attributeSchema}
+                attributes={attributes}
+                setAttributes={setAttributes}
+              />
               <div className="mb-3">
                 <Select
                   data-testid="shipping-select"
@@ -239,6 +304,7 @@ const UpdateProduct = () => {
                   <Option value="1">Yes</Option>
                 </Select>
               </div>
+              <PublishForm publishing={publishing} setPublishing={setPublishing} />
               <div className="mb-3">
                 <button className="btn btn-primary" data-testid="update-button" onClick={handleUpdate}>
                   UPDATE PRODUCT
@@ -246,9 +312,18 @@ const UpdateProduct = () => {
               </div>
               <div className="mb-3">
                 <button className="btn btn-danger" data-testid="delete-button" onClick={handleDelete}>
-                  DELETE PRODUCT
+                  ARCHIVE PRODUCT
                 </button>
               </div>
+              {id && (
+                <StockHistory
+                  productId={id}
+                  variants={variants}
+                  locations={locations}
+                  locationStock={locationStock}
+                  onAdjusted={handleStockAdjusted}
+                />
+              )}
             </div>
           </div>
         </div>
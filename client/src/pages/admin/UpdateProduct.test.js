@@ -35,6 +35,26 @@ jest.mock("./../../components/AdminMenu", () => () => (
   <div data-testid="admin-menu">Admin Panel</div>
 ));
 
+// Mock StockHistory, which loads and adjusts the product's stock on its own
+let mockAdjustedProduct;
+jest.mock("./../../components/StockHistory", () => ({ productId, onAdjusted }) => (
+  <button
+    data-testid="stock-history"
+    data-product-id={productId}
+    onClick={() => onAdjusted(mockAdjustedProduct)}
+  >
+    Adjust stock
+  </button>
+));
+
+// Mock the store's stock locations
+jest.mock("./../../hooks/useLocations", () => () => ({
+  locations: [
+    { _id: "l1", name: "North" },
+    { _id: "l2", name: "South" },
+  ],
+}));
+
 // Mock toast
 jest.mock("react-hot-toast", () => ({
   __esModule: true,
@@ -72,12 +92,20 @@ global.prompt = jest.fn();
 
 /*
   Test cases for UpdateProduct page:
-  1. Happy Path: 5 tests
+  1. Happy Path: 13 tests
     a. Should fetch and display product details on mount
     b. Should fetch categories on mount
     c. Should update product successfully and navigate
     d. Should delete product when confirmed
     e. Should not delete product when cancelled
+    f. Should load existing variants and submit them with the total variant quantity
+    g. Should load the existing gallery and submit the new image order
+    h. Should load the publishing state and submit the product as a draft
+    i. Should load the attribute values and submit the edited ones
+    j. Should load the reorder threshold and submit the edited one
+    k. Should load the pre-order policy and submit the product on backorder instead
+    l. Should keep the stock adjusted from the stock history on the form
+    m. Should load the stock per location and keep the stock transferred from the history
   2. Error Handling: 8 tests
     a. Should show error toast if fetching product fails
     b. Should show error toast if fetching categories fails
@@ -124,7 +152,7 @@ describe("UpdateProduct page", () => {
     jest.spyOn(console, "log").mockImplementation();
     // Mock get single product
     axios.get.mockImplementation((url) => {
-      if (url.includes("/api/v1/product/get-product/")) {
+      if (url.includes("/api/v1/product/admin-product/")) {
         return Promise.resolve({
           data: { product: mockProduct },
         });
@@ -148,7 +176,7 @@ describe("UpdateProduct page", () => {
       );
 
       await waitFor(() => {
-        expect(axios.get).toHaveBeenCalledWith(`/api/v1/product/get-product/${mockParams.slug}`);
+        expect(axios.get).toHaveBeenCalledWith(`/api/v1/product/admin-product/${mockParams.slug}`);
         expect(screen.getByTestId("category-select")).toHaveValue("66db427fdb0119d9234b27ee");
         expect(screen.getByTestId("shipping-select")).toHaveValue("1");
         expect(screen.getByTestId("description-input")).toHaveValue("Test Description");
@@ -232,7 +260,8 @@ describe("UpdateProduct page", () => {
         expect(formData.get("quantity")).toBe("8");
         expect(formData.get("category")).toBe("66db427fdb0119d9234b27ef");
         expect(formData.get("shipping")).toBe("0");
-        expect(formData.get("photo")).toEqual(file);
+        expect(formData.getAll("images")).toEqual([file]);
+        expect(JSON.parse(formData.get("imageOrder"))).toEqual([{ upload: 0, alt: "" }]);
 
         expect(toast.success).toHaveBeenCalledWith(expect.any(String));
         expect(mockNavigate).toHaveBeenCalledWith("/dashboard/admin/products");
@@ -293,6 +322,348 @@ describe("UpdateProduct page", () => {
         expect(mockNavigate).not.toHaveBeenCalled();
       });
     });
+
+    it("should load existing variants and submit them with the total variant quantity", async () => {
+      const variantProduct = {
+        ...mockProduct,
+        variantOptions: [{ name: "Colour", values: ["Red", "Blue"] }],
+        variants: [
+          { _id: "v1", sku: "TP-RED", options: { Colour: "Red" }, price: 120, quantity: 1 },
+          { _id: "v2", sku: "TP-BLUE", options: { Colour: "Blue" }, quantity: 2 },
+        ],
+      };
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: variantProduct } }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("variant-sku-0")).toHaveValue("TP-RED");
+        expect(screen.getByTestId("variant-sku-1")).toHaveValue("TP-BLUE");
+      });
+
+      fireEvent.change(screen.getByTestId("variant-quantity-1"), { target: { value: "4" } });
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.get("quantity")).toBe("5");
+        expect(JSON.parse(formData.get("variants"))).toEqual([
+          variantProduct.variants[0],
+          { ...variantProduct.variants[1], quantity: "4" },
+        ]);
+      });
+    });
+
+    it("should load the existing gallery and submit the new image order", async () => {
+      const galleryProduct = {
+        ...mockProduct,
+        images: [
+          { fileId: "g1", contentType: "image/png", alt: "Front" },
+          { fileId: "g2", contentType: "image/png", alt: "Back" },
+        ],
+      };
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: galleryProduct } }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByAltText("Back")).toHaveAttribute(
+          "src",
+          `/api/v1/product/product-photo/${mockProduct._id}/1`
+        );
+      });
+
+      fireEvent.click(screen.getByTestId("gallery-primary-1"));
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.getAll("images")).toEqual([]);
+        expect(JSON.parse(formData.get("imageOrder"))).toEqual([
+          { id: "g2", alt: "Back" },
+          { id: "g1", alt: "Front" },
+        ]);
+      });
+    });
+
+    it("should load the publishing state and submit the product as a draft", async () => {
+      const scheduledProduct = {
+        ...mockProduct,
+        status: "scheduled",
+        publishAt: new Date(2024, 5, 1, 9, 0).toISOString(),
+        unpublishAt: null,
+      };
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: scheduledProduct } }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("publish-at-input")).toHaveValue("2024-06-01T09:00");
+      });
+      expect(screen.getByTestId("status-select")).toHaveValue("scheduled");
+
+      fireEvent.change(screen.getByTestId("status-select"), { target: { value: "draft" } });
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.get("status")).toBe("draft");
+        expect(formData.get("publishAt")).toBe("");
+      });
+    });
+
+    it("should load the attribute values and submit the edited ones", async () => {
+      const categories = [
+        {
+          ...mockCategories[0],
+          attributes: [
+            { key: "screen-size", name: "Screen Size", type: "number", unit: "in", values: [] },
+            { key: "backlit", name: "Backlit", type: "boolean", unit: "", values: [] },
+          ],
+        },
+        mockCategories[1],
+      ];
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: { ...mockProduct, attributes: { "screen-size": 13, backlit: true } } } }
+            : { data: { success: true, category: categories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("attribute-input-screen-size")).toHaveValue(13);
+      });
+      expect(screen.getByTestId("attribute-input-backlit")).toHaveValue("true");
+
+      fireEvent.change(screen.getByTestId("attribute-input-screen-size"), { target: { value: "15" } });
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(JSON.parse(formData.get("attributes"))).toEqual({ "screen-size": "15", backlit: true });
+      });
+    });
+
+    it("should load the reorder threshold and submit the edited one", async () => {
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: { ...mockProduct, reorderThreshold: 8 } } }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("reorder-threshold-input")).toHaveValue(8);
+      });
+      fireEvent.change(screen.getByTestId("reorder-threshold-input"), { target: { value: "3" } });
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.get("reorderThreshold")).toBe("3");
+      });
+    });
+
+    it("should load the pre-order policy and submit the product on backorder instead", async () => {
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? {
+                data: {
+                  product: {
+                    ...mockProduct,
+                    preorder: true,
+                    expectedShipDate: "2024-09-01T00:00:00.000Z",
+                    backorderLimit: 20,
+                  },
+                },
+              }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId("expected-ship-date-input")).toHaveValue("2024-09-01");
+      });
+      expect(screen.getByTestId("backorder-limit-input")).toHaveValue(20);
+      fireEvent.click(screen.getByTestId("preorder-checkbox"));
+      fireEvent.click(screen.getByTestId("backorder-checkbox"));
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.get("preorder")).toBe("false");
+        expect(formData.get("expectedShipDate")).toBe("");
+        expect(formData.get("backorder")).toBe("true");
+        expect(formData.get("backorderLimit")).toBe("20");
+      });
+    });
+
+    it("should keep the stock adjusted from the stock history on the form", async () => {
+      mockAdjustedProduct = { quantity: 7, variants: [{ _id: "v2", quantity: 6 }] };
+      const variantProduct = {
+        ...mockProduct,
+        variantOptions: [{ name: "Colour", values: ["Red", "Blue"] }],
+        variants: [
+          { _id: "v1", sku: "TP-RED", options: { Colour: "Red" }, quantity: 1 },
+          { _id: "v2", sku: "TP-BLUE", options: { Colour: "Blue" }, quantity: 2 },
+        ],
+      };
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: variantProduct } }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      // the history is shown once the product is loaded
+      expect(await screen.findByTestId("stock-history")).toHaveAttribute("data-product-id", "product123");
+      fireEvent.click(screen.getByTestId("stock-history"));
+
+      expect(screen.getByTestId("quantity-input")).toHaveValue(7);
+      expect(screen.getByTestId("variant-quantity-1")).toHaveValue(6);
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.get("quantity")).toBe("7");
+        expect(JSON.parse(formData.get("variants"))).toEqual([
+          variantProduct.variants[0],
+          { ...variantProduct.variants[1], quantity: 6 },
+        ]);
+      });
+    });
+
+    it("should load the stock per location and keep the stock transferred from the history", async () => {
+      const stockedProduct = {
+        ...mockProduct,
+        quantity: 10,
+        locationStock: [
+          { location: "l1", sku: "", quantity: 6 },
+          { location: "l2", sku: "", quantity: 4 },
+        ],
+      };
+      axios.get.mockImplementation((url) =>
+        Promise.resolve(
+          url.includes("/api/v1/product/admin-product/")
+            ? { data: { product: stockedProduct } }
+            : { data: { success: true, category: mockCategories } }
+        )
+      );
+      axios.put = jest.fn().mockResolvedValueOnce({
+        data: { success: true, message: "Product updated" },
+      });
+      mockAdjustedProduct = {
+        quantity: 10,
+        locationStock: [
+          { location: "l1", sku: "", quantity: 1 },
+          { location: "l2", sku: "", quantity: 9 },
+        ],
+      };
+
+      render(
+        <MemoryRouter>
+          <UpdateProduct />
+        </MemoryRouter>
+      );
+
+      await waitFor(() => expect(screen.getByTestId("location-stock-l1-")).toHaveValue(6));
+      expect(screen.getByTestId("location-stock-l2-")).toHaveValue(4);
+      expect(screen.getByTestId("quantity-input")).toBeDisabled();
+
+      fireEvent.click(screen.getByTestId("stock-history"));
+
+      expect(screen.getByTestId("location-stock-l1-")).toHaveValue(1);
+      expect(screen.getByTestId("location-stock-l2-")).toHaveValue(9);
+      fireEvent.click(screen.getByTestId("update-button"));
+
+      await waitFor(() => {
+        const formData = axios.put.mock.calls[0][1];
+        expect(formData.get("quantity")).toBe("10");
+        expect(JSON.parse(formData.get("locationStock"))).toEqual([
+          { location: "l1", sku: "", quantity: "1" },
+          { location: "l2", sku: "", quantity: "9" },
+        ]);
+      });
+    });
   });
 
   // ============ ERROR HANDLING ============
@@ -302,7 +673,7 @@ describe("UpdateProduct page", () => {
 
       axios.get.mockReset();
       axios.get.mockImplementation((url) => {
-        if (url.includes("/api/v1/product/get-product/")) {
+        if (url.includes("/api/v1/product/admin-product/")) {
           return Promise.reject(new Error("Failed to fetch product"));
         }
         if (url === "/api/v1/category/get-category") {
@@ -328,7 +699,7 @@ describe("UpdateProduct page", () => {
       const consoleLogSpy = jest.spyOn(console, "log").mockImplementation();
       axios.get.mockReset();
       axios.get.mockImplementation((url) => {
-        if (url.includes("/api/v1/product/get-product/")) {
+        if (url.includes("/api/v1/product/admin-product/")) {
           return Promise.resolve({
             data: { product: mockProduct },
           });
@@ -354,7 +725,7 @@ describe("UpdateProduct page", () => {
     it("should show error toast when fetching categories returns success: false", async () => {
       axios.get.mockReset();
       axios.get.mockImplementation((url) => {
-        if (url.includes("/api/v1/product/get-product/")) {
+        if (url.includes("/api/v1/product/admin-product/")) {
           return Promise.resolve({
             data: { product: mockProduct },
           });
@@ -381,7 +752,7 @@ describe("UpdateProduct page", () => {
       const consoleLogSpy = jest.spyOn(console, "log").mockImplementation();
       axios.get.mockReset();
       axios.get.mockImplementation((url) => {
-        if (url.includes("/api/v1/product/get-product/")) {
+        if (url.includes("/api/v1/product/admin-product/")) {
           return Promise.resolve({
             data: { product: mockProduct },
           });
@@ -490,7 +861,7 @@ describe("UpdateProduct page", () => {
     it("should not populate categories when get categories returns success: false", async () => {
       axios.get.mockReset();
       axios.get.mockImplementation((url) => {
-        if (url.includes("/api/v1/product/get-product/")) {
+        if (url.includes("/api/v1/product/admin-product/")) {
           return Promise.resolve({
             data: { product: mockProduct },
           });
@@ -5,6 +5,7 @@ import axios from "axios";
 import { useAuth } from "../../context/auth";
 import toast from "react-hot-toast";
 import moment from "moment";
+import { LineStatus } from "../../components/StockStatus";
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
@@ -84,6 +85,7 @@ const Orders = () => {
                           <p>{p.name}</p>
                           <p>{p.description.substring(0, 30)}</p>
                           <p>Price : {p.price}</p>
+                          <LineStatus order={o} product={p} />
                         </div>
                       </div>
                     ))}
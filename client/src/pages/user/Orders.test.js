@@ -87,6 +87,7 @@ Object.defineProperty(window, 'localStorage', {
  * 19. should refetch orders when auth token changes
  * 20. should not fetch orders when component unmounts before API response
  * 21. should render table headers correctly
+ * 22. should note the products waiting for stock as pre-ordered or backordered
  */
 describe('Orders Component', () => {
   const mockAuth = {
@@ -583,6 +584,36 @@ describe('Orders Component', () => {
         expect(img).toHaveAttribute('src', '/api/v1/product/product-photo/product123');
       });
     });
+
+    it('should note the products waiting for stock as pre-ordered or backordered', async () => {
+      const product = (id) => ({ _id: id, name: `Product ${id}`, description: 'Test description', price: 100 });
+      const mockOrders = [
+        {
+          _id: 'order1',
+          status: 'Not Processed',
+          buyer: { name: 'John Doe' },
+          payment: { success: true },
+          products: [product('p1'), product('p2'), product('p3')],
+          items: [
+            { product: 'p1', quantity: 1, status: 'pre-order' },
+            { product: 'p2', quantity: 1, status: 'backorder' },
+            { product: 'p3', quantity: 1, status: 'ready' },
+          ],
+        },
+      ];
+
+      axios.get.mockResolvedValue({ data: mockOrders });
+
+      render(
+        <MemoryRouter>
+          <Orders />
+        </MemoryRouter>
+      );
+
+      expect(await screen.findByTestId('line-status-order1-p1')).toHaveTextContent('Pre-order, ships once released');
+      expect(screen.getByTestId('line-status-order1-p2')).toHaveTextContent('Backordered, ships once restocked');
+      expect(screen.queryByTestId('line-status-order1-p3')).not.toBeInTheDocument();
+    });
   });
 
   describe('Date Formatting', () => {
@@ -0,0 +1,106 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import UserMenu from "../../components/UserMenu";
+import Layout from "./../../components/Layout";
+import { useCart } from "../../context/cart";
+import { useWishlist } from "../../context/wishlist";
+
+const Wishlist = () => {
+  const navigate = useNavigate();
+  const [cart, setCart] = useCart();
+  const [wishlist, setWishlist] = useWishlist();
+
+  //remove a product from the wishlist
+  const removeProduct = async (product) => {
+    const { data } = await axios.delete(`/api/v1/auth/wishlist/${product._id}`);
+    setWishlist(wishlist.filter((p) => p._id !== product._id));
+    return data;
+  };
+
+  const handleRemove = async (product) => {
+    try {
+      const data = await removeProduct(product);
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in updating wishlist");
+    }
+  };
+
+  //move a product to the cart; products with variants need an option picked on their page first
+  const handleMoveToCart = async (product) => {
+    if (product.variants?.length) return navigate(`/product/${product.slug}`);
+    try {
+      await removeProduct(product);
+      setCart([...cart, product]);
+      localStorage.setItem("cart", JSON.stringify([...cart, product]));
+      toast.success("Item moved to cart");
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in moving item to cart");
+    }
+  };
+
+  return (
+    <Layout title={"Your Wishlist"}>
+      <div className="container-flui p-3 m-3 dashboard">
+        <div className="row">
+          <div className="col-md-3">
+            <UserMenu />
+          </div>
+          <div className="col-md-9">
+            <h1 className="text-center">Wishlist</h1>
+            {wishlist.length === 0 && (
+              <p className="text-center" data-testid="empty-wishlist">
+                Your wishlist is empty
+              </p>
+            )}
+            {wishlist.map((p) => (
+              <div
+                className="row card flex-row mb-2"
+                key={p._id}
+                data-testid={`wishlist-item-${p._id}`}
+              >
+                <div className="col-md-4">
+                  <img
+                    src={`/api/v1/product/product-photo/${p._id}?size=thumbnail`}
+                    className="card-img-top"
+                    alt={p.name}
+                    width="100px"
+                    height={"100px"}
+                  />
+                </div>
+                <div className="col-md-8 p-2">
+                  <p className="mb-1">
+                    <strong>{p.name}</strong>
+                  </p>
+                  <p className="mb-2">
+                    {p.price.toLocaleString("en-US", { style: "currency", currency: "USD" })}
+                  </p>
+                  <button
+                    className="btn btn-dark me-2"
+                    onClick={() => handleMoveToCart(p)}
+                    data-testid={`move-to-cart-${p._id}`}
+                  >
+                    {p.variants?.length ? "SELECT OPTIONS" : "MOVE TO CART"}
+                  </button>
+                  <button
+                    className="btn btn-outline-danger"
+                    onClick={() => handleRemove(p)}
+                    data-testid={`remove-wishlist-${p._id}`}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Wishlist;
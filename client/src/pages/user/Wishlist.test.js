@@ -0,0 +1,129 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { useCart } from "../../context/cart";
+import { useWishlist } from "../../context/wishlist";
+import Wishlist from "./Wishlist";
+
+jest.mock("axios");
+jest.mock("react-router-dom", () => ({ useNavigate: jest.fn() }));
+jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
+jest.mock("../../components/UserMenu", () => () => <div>User Menu</div>);
+jest.mock("../../context/cart", () => ({ useCart: jest.fn() }));
+jest.mock("../../context/wishlist", () => ({ useWishlist: jest.fn() }));
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+/*
+  Test cases for Wishlist page:
+  1. Happy Path: 3 tests
+    a. Should list the saved products with their price
+    b. Should move a product to the cart and off the wishlist
+    c. Should remove a product from the wishlist
+  2. Edge Cases: 2 tests
+    a. Should say the wishlist is empty
+    b. Should send a product with variants to its page to pick options
+  3. Error Handling: 1 test
+    a. Should keep the cart and wishlist when the server fails
+*/
+
+describe("Wishlist page", () => {
+  const laptop = { _id: "p1", name: "Laptop", price: 999.5, slug: "laptop" };
+  const shirt = { _id: "p2", name: "Shirt", price: 20, slug: "shirt", variants: [{ _id: "v1" }] };
+  const mouse = { _id: "p3", name: "Mouse", price: 25 };
+  let navigate, setCart, setWishlist;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(Storage.prototype, "setItem");
+    navigate = jest.fn();
+    setCart = jest.fn();
+    setWishlist = jest.fn();
+    useNavigate.mockReturnValue(navigate);
+    useCart.mockReturnValue([[mouse], setCart]);
+    useWishlist.mockReturnValue([[laptop, shirt], setWishlist]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should list the saved products with their price", () => {
+      render(<Wishlist />);
+
+      expect(screen.getByTestId("wishlist-item-p1")).toHaveTextContent("Laptop$999.50");
+      expect(screen.getByTestId("move-to-cart-p1")).toHaveTextContent("MOVE TO CART");
+      expect(screen.getByTestId("move-to-cart-p2")).toHaveTextContent("SELECT OPTIONS");
+    });
+
+    it("should move a product to the cart and off the wishlist", async () => {
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Removed from wishlist" } });
+      render(<Wishlist />);
+
+      fireEvent.click(screen.getByTestId("move-to-cart-p1"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Item moved to cart"));
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/wishlist/p1");
+      expect(setWishlist).toHaveBeenCalledWith([shirt]);
+      expect(setCart).toHaveBeenCalledWith([mouse, laptop]);
+      expect(localStorage.setItem).toHaveBeenCalledWith("cart", JSON.stringify([mouse, laptop]));
+    });
+
+    it("should remove a product from the wishlist", async () => {
+      axios.delete.mockResolvedValueOnce({ data: { success: true, message: "Removed from wishlist" } });
+      render(<Wishlist />);
+
+      fireEvent.click(screen.getByTestId("remove-wishlist-p2"));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Removed from wishlist"));
+      expect(setWishlist).toHaveBeenCalledWith([laptop]);
+      expect(setCart).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Edge Cases", () => {
+    it("should say the wishlist is empty", () => {
+      useWishlist.mockReturnValue([[], setWishlist]);
+      render(<Wishlist />);
+
+      expect(screen.getByTestId("empty-wishlist")).toHaveTextContent("Your wishlist is empty");
+    });
+
+    it("should send a product with variants to its page to pick options", () => {
+      render(<Wishlist />);
+
+      fireEvent.click(screen.getByTestId("move-to-cart-p2"));
+
+      expect(navigate).toHaveBeenCalledWith("/product/shirt");
+      expect(axios.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should keep the cart and wishlist when the server fails", async () => {
+      axios.delete.mockRejectedValue(new Error("Network Error"));
+      render(<Wishlist />);
+
+      fireEvent.click(screen.getByTestId("move-to-cart-p1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in moving item to cart")
+      );
+      fireEvent.click(screen.getByTestId("remove-wishlist-p1"));
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("Something went wrong in updating wishlist")
+      );
+      expect(setCart).not.toHaveBeenCalled();
+      expect(setWishlist).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -229,7 +229,7 @@ test.describe('Admin — Product CRUD — admin-products.e2e.test.js', () => {
     await page.getByTestId('delete-button').click();
 
     // Verify success toast
-    await expect(page.getByText(/product deleted successfully/i)).toBeVisible();
+    await expect(page.getByText(/product archived successfully/i)).toBeVisible();
 
     // Verify redirect to products list
     await expect(page).toHaveURL(ADMIN_PRODUCTS_URL);
@@ -329,7 +329,7 @@ test.describe('Admin — Product CRUD — admin-products.e2e.test.js', () => {
     });
 
     await page.getByTestId('delete-button').click();
-    await expect(page.getByText(/product deleted successfully/i)).toBeVisible();
+    await expect(page.getByText(/product archived successfully/i)).toBeVisible();
     await expect(page).toHaveURL(ADMIN_PRODUCTS_URL);
 
     // Verify product no longer exists
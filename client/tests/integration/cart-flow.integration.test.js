@@ -16,6 +16,9 @@
  *
  * Test Doubles Used:
  * - CartProvider:       REAL (actual implementation to test integration)
+ * - WishlistProvider:   REAL (signed out, so no wishlist hearts are shown)
+ * - RecentlyViewedProvider: REAL (signed out with no views, so no carousel is shown)
+ * - CompareProvider:    REAL (nothing picked, so no compare tray is shown)
  * - localStorage:       FAKE (test double for browser API)
  * - axios:              STUB (returns controlled product data for HomePage)
  * - toast:              MOCK (verify success notifications)
@@ -28,7 +31,7 @@
  * - Communication-Based Testing: Verify localStorage sync on cart mutations
  * - Data Integrity Testing: Verify duplicate products, total calculations
  *
- * Integration Test Scenario Plan (11 tests):
+ * Integration Test Scenario Plan (12 tests):
  * #  | Data Flow Direction      | Category              | Scenario                                                           | Expected Result
  * ---|--------------------------|------------------------|--------------------------------------------------------------------|-----------------------------------------------------------------
  * 1  | HomePage → CartContext   | Happy Path            | Add single product to empty cart from HomePage                     | Cart state updated, localStorage synced, product added
@@ -42,6 +45,7 @@
  * 9  | CartPage → CartContext   | Data Integrity        | Removing duplicate items removes only one occurrence               | One instance removed, others remain in cart
  * 10 | CartPage → CartContext   | Edge Cases            | Remove non-existent item handled gracefully                        | Cart remains unchanged, no items removed
  * 11 | HomePage → CartPage      | State Synchronization | Cart state propagates from HomePage to CartPage                    | CartPage displays items added from HomePage via shared context
+ * 12 | CartPage Checkout        | Error Handling        | Items sold out before the payment                                  | Out of stock items marked, error toast, cart kept
  */
 import React from "react";
 import { render, screen, waitFor } from "@testing-library/react";
@@ -52,7 +56,11 @@ import { MemoryRouter } from "react-router-dom";
 import HomePage from "../../src/pages/HomePage";
 import CartPage from "../../src/pages/CartPage";
 import { CartProvider } from "../../src/context/cart";
+import { WishlistProvider } from "../../src/context/wishlist";
+import { RecentlyViewedProvider } from "../../src/context/recentlyViewed";
+import { CompareProvider } from "../../src/context/compare";
 import toast from "react-hot-toast";
+import { useAuth } from "../../src/context/auth";
 
 global.console = {
   ...console,
@@ -94,14 +102,14 @@ jest.mock("../../src/context/auth", () => ({
   ]),
 }));
 
-// Mock Prices component for HomePage filters
-jest.mock("../../src/components/Prices", () => ({
-  Prices: [],
-}));
-
-// Mock braintree drop-in (not needed for cart flow tests)
+// Mock braintree drop-in, handing out a payment method for the checkout tests
 jest.mock("braintree-web-drop-in-react", () => {
-  return function DropIn() {
+  const React = require("react");
+  const instance = { requestPaymentMethod: () => Promise.resolve({ nonce: "fake-nonce" }) };
+  return function DropIn({ onInstance }) {
+    React.useEffect(() => {
+      onInstance(instance);
+    }, [onInstance]);
     return <div data-testid="drop-in-mock">Payment Drop-in</div>;
   };
 });
@@ -143,7 +151,13 @@ const renderWithCartProvider = (Component, initialCart = null) => {
 
   return render(
     <MemoryRouter>
-      <CartProvider>{Component}</CartProvider>
+      <CartProvider>
+        <WishlistProvider>
+          <RecentlyViewedProvider>
+            <CompareProvider>{Component}</CompareProvider>
+          </RecentlyViewedProvider>
+        </WishlistProvider>
+      </CartProvider>
     </MemoryRouter>
   );
 };
@@ -192,16 +206,13 @@ describe("Cart Flow Integration: HomePage <-> CartContext <-> CartPage", () => {
           data: { success: true, category: [] },
         });
       }
-      if (url.includes("/api/v1/product/product-count")) {
-        return Promise.resolve({
-          data: { total: 3 },
-        });
-      }
-      if (url.includes("/api/v1/product/product-list")) {
+      if (url === "/api/v1/product/search") {
         return Promise.resolve({
           data: {
             success: true,
             products: [mockProduct1, mockProduct2, mockProduct3],
+            total: 3,
+            facets: { categories: [], prices: [] },
           },
         });
       }
@@ -488,4 +499,45 @@ describe("Cart Flow Integration: HomePage <-> CartContext <-> CartPage", () => {
       });
     });
   });
+
+  describe("CartPage Checkout", () => {
+    afterEach(() => {
+      useAuth.mockImplementation(() => [{ user: null, token: "" }, jest.fn()]);
+    });
+
+    it("should mark the items sold out before the payment and keep the cart", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      useAuth.mockImplementation(() => [
+        { user: { name: "Alex", address: "1 Main Street" }, token: "token" },
+        jest.fn(),
+      ]);
+      axios.post.mockRejectedValueOnce({
+        response: {
+          status: 409,
+          data: {
+            success: false,
+            message: "Some items in your cart are out of stock",
+            outOfStock: [{ product: "prod1", name: "Laptop", requested: 2, available: 1 }],
+          },
+        },
+      });
+      renderWithCartProvider(<CartPage />, [mockProduct1, mockProduct1, mockProduct2]);
+
+      // ── ACT ──────────────────────────────────────
+      const payButton = await screen.findByText("Make Payment");
+      await waitFor(() => expect(payButton).toBeEnabled());
+      await userEvent.click(payButton);
+
+      // ── ASSERT ───────────────────────────────────
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Some items in your cart are out of stock: Laptop");
+      });
+      expect(screen.getAllByTestId("cart-item-stock-prod1")[0]).toHaveTextContent(
+        "Only 1 left in stock"
+      );
+      expect(screen.queryByTestId("cart-item-stock-prod2")).not.toBeInTheDocument();
+      expect(JSON.parse(localStorageMock.getItem("cart"))).toHaveLength(3);
+      expect(toast.success).not.toHaveBeenCalled();
+    });
+  });
 });
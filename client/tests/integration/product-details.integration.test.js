@@ -8,6 +8,9 @@ import { MemoryRouter, Routes, Route } from "react-router-dom";
 import axios from "axios";
 import toast from "react-hot-toast";
 import { CartProvider } from "../../src/context/cart";
+import { AuthProvider } from "../../src/context/auth";
+import { WishlistProvider } from "../../src/context/wishlist";
+import { RecentlyViewedProvider } from "../../src/context/recentlyViewed";
 import ProductDetails from "../../src/pages/ProductDetails";
 
 /**
@@ -68,13 +71,19 @@ describe("ProductDetails ↔ CartContext", () => {
 
   const renderProductDetails = (initialSlug = "main-product") => {
     return render(
-      <CartProvider>
-        <MemoryRouter initialEntries={[`/product/${initialSlug}`]}>
-          <Routes>
-            <Route path="/product/:slug" element={<ProductDetails />} />
-          </Routes>
-        </MemoryRouter>
-      </CartProvider>
+      <AuthProvider>
+        <CartProvider>
+          <WishlistProvider>
+            <RecentlyViewedProvider>
+              <MemoryRouter initialEntries={[`/product/${initialSlug}`]}>
+                <Routes>
+                  <Route path="/product/:slug" element={<ProductDetails />} />
+                </Routes>
+              </MemoryRouter>
+            </RecentlyViewedProvider>
+          </WishlistProvider>
+        </CartProvider>
+      </AuthProvider>
     );
   };
 
@@ -11,10 +11,11 @@ import SearchInput from "../../src/components/Form/SearchInput";
 import Search from "../../src/pages/Search";
 
 /**
- * Integration tests for SearchInput, SearchContext, and Search page (2 tests)
+ * Integration tests for SearchInput, SearchContext, and Search page (3 tests)
  *
  * 1. Search flow
  * 2. Empty search flow
+ * 3. Filtering the results by a category facet
  */
 
 jest.mock("axios");
@@ -27,6 +28,21 @@ jest.mock("../../src/components/Layout", () => ({ children, title }) => (
 ));
 
 describe("FE-INT-3: SearchInput ↔ SearchContext ↔ Search Page", () => {
+  const mockCategories = [{ _id: "c1", name: "Electronics", slug: "electronics" }];
+  const facets = {
+    categories: [{ ...mockCategories[0], count: 2 }],
+    prices: [{ min: 0, max: 20, count: 0 }, { min: 20, max: null, count: 2 }],
+  };
+
+  // Search page loads the categories for its filters and the results for the keyword
+  const mockApi = (searchResponse) => {
+    axios.get.mockImplementation((url) =>
+      url === "/api/v1/category/get-category"
+        ? Promise.resolve({ data: { success: true, category: mockCategories } })
+        : searchResponse(url)
+    );
+  };
+
   beforeEach(() => {
     jest.clearAllMocks();
   });
@@ -62,7 +78,7 @@ describe("FE-INT-3: SearchInput ↔ SearchContext ↔ Search Page", () => {
           price: 599,
         }
       ];
-      axios.get.mockResolvedValueOnce({ data: mockProducts });
+      mockApi(() => Promise.resolve({ data: { products: mockProducts, total: 2, facets } }));
 
       renderSearchFlow();
 
@@ -73,7 +89,9 @@ describe("FE-INT-3: SearchInput ↔ SearchContext ↔ Search Page", () => {
       fireEvent.click(searchButton);
 
       await waitFor(() => {
-        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/laptop");
+        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search", {
+          params: { keyword: "laptop", sort: "relevance" },
+        });
 
         expect(screen.getByTestId("results-count")).toHaveTextContent("2");
         expect(screen.getByText(mockProducts[0].name)).toBeInTheDocument();
@@ -84,7 +102,7 @@ describe("FE-INT-3: SearchInput ↔ SearchContext ↔ Search Page", () => {
 
   describe("Test Case 2: Empty search flow: type keyword → no results found", () => {
     it("should display 'No Products Found' when API returns an empty array", async () => {
-      axios.get.mockResolvedValueOnce({ data: [] });
+      mockApi(() => Promise.resolve({ data: { products: [], total: 0, facets } }));
 
       renderSearchFlow();
 
@@ -95,9 +113,31 @@ describe("FE-INT-3: SearchInput ↔ SearchContext ↔ Search Page", () => {
       fireEvent.click(searchButton);
 
       await waitFor(() => {
-        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/nonexistentitem");
+        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search", {
+          params: { keyword: "nonexistentitem", sort: "relevance" },
+        });
         expect(screen.getByText("No Products Found")).toBeInTheDocument();
       });
     });
   });
-});
\ No newline at end of file
+
+  describe("Test Case 3: Filter flow: search → pick a category facet → filtered results", () => {
+    it("should search again with the category and show the facet counts", async () => {
+      mockApi(() => Promise.resolve({ data: { products: [], total: 0, facets } }));
+
+      renderSearchFlow();
+
+      fireEvent.change(screen.getByTestId("search-input"), { target: { value: "laptop" } });
+      fireEvent.click(screen.getByTestId("search-button"));
+      const categoryCheckbox = await screen.findByLabelText("Electronics (2)");
+      fireEvent.click(categoryCheckbox);
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/search", {
+          params: { keyword: "laptop", categories: "c1", sort: "relevance" },
+        });
+      });
+      expect(screen.getByLabelText("$20 or more (2)")).toBeInTheDocument();
+    });
+  });
+});
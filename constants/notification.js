@@ -0,0 +1,29 @@
+/**
+ * Server-side Notification Constants
+ */
+export const NOTIFICATION_TYPE = {
+  LOW_STOCK: "low-stock",
+  OUT_OF_STOCK: "out-of-stock",
+  BACK_IN_STOCK: "back-in-stock",
+};
+
+export const NOTIFICATION_TYPE_LIST = [
+  NOTIFICATION_TYPE.LOW_STOCK,
+  NOTIFICATION_TYPE.OUT_OF_STOCK,
+  NOTIFICATION_TYPE.BACK_IN_STOCK,
+];
+
+// A notification waits in the outbox until it is sent, or has failed MAX_DELIVERY_ATTEMPTS times
+export const NOTIFICATION_STATUS = {
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+export const NOTIFICATION_STATUS_LIST = [
+  NOTIFICATION_STATUS.PENDING,
+  NOTIFICATION_STATUS.SENT,
+  NOTIFICATION_STATUS.FAILED,
+];
+
+export const MAX_DELIVERY_ATTEMPTS = 5;
@@ -3,7 +3,10 @@ import mongoose from "mongoose";
 import { comparePassword, hashPassword } from "./../helpers/authHelper.js";
 import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
 import { ORDER_STATUS_LIST } from "../constants/orderStatus.js";
+import { mergeViews, parseViews } from "../helpers/recentlyViewedHelper.js";
+import { listedProducts } from "../helpers/productHelper.js";
 
 export const registerController = async (req, res) => {
   try {
@@ -258,6 +261,8 @@ export const getAllOrdersController = async (req, res) => {
       .find({})
       .populate("products", "-photo")
       .populate("buyer", "name")
+      // the location shipping each line, for the admin to pick it from
+      .populate("items.location", "name")
       .sort({ createdAt: -1 });
     res.json(orders);
   } catch (error) {
@@ -320,4 +325,172 @@ export const orderStatusController = async (req, res) => {
       error, // Fix: Send entire error object for better debugging - YAN WEIDONG A0258151H
     });
   }
-};
\ No newline at end of file
+};
+
+// Get the products on the user's wishlist, leaving out those no longer listed
+export const getWishlistController = async (req, res) => {
+  try {
+    const user = await userModel
+      .findById(req.user._id)
+      .select("wishlist")
+      .populate({ path: "wishlist", select: "-photo", match: listedProducts() })
+      .lean();
+    res.status(200).send({
+      success: true,
+      wishlist: user?.wishlist || [],
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Add a listed product to the user's wishlist, once
+export const addToWishlistController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const product = await productModel.findOne(listedProducts({ _id: pid })).select("_id").lean();
+    if (!product) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    const user = await userModel
+      .findByIdAndUpdate(req.user._id, { $addToSet: { wishlist: pid } }, { new: true })
+      .select("wishlist");
+    res.status(200).send({
+      success: true,
+      message: "Added to wishlist",
+      wishlist: user.wishlist,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adding to wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Remove a product from the user's wishlist
+export const removeFromWishlistController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const user = await userModel
+      .findByIdAndUpdate(req.user._id, { $pull: { wishlist: pid } }, { new: true })
+      .select("wishlist");
+    res.status(200).send({
+      success: true,
+      message: "Removed from wishlist",
+      wishlist: user.wishlist,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while removing from wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Get the products the user viewed recently, latest first, leaving out those no longer listed
+export const getRecentlyViewedController = async (req, res) => {
+  try {
+    const user = await userModel
+      .findById(req.user._id)
+      .select("recentlyViewed")
+      .populate({ path: "recentlyViewed.product", select: "-photo", match: listedProducts() })
+      .lean();
+    res.status(200).send({
+      success: true,
+      products: (user?.recentlyViewed || []).map((view) => view.product).filter(Boolean),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting recently viewed products",
+      error: error.message,
+    });
+  }
+};
+
+// Record that the user viewed a listed product, moving it to the front of their history
+export const recordViewController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const product = await productModel.findOne(listedProducts({ _id: pid })).select("_id").lean();
+    if (!product) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    const user = await userModel.findById(req.user._id).select("recentlyViewed").lean();
+    const recentlyViewed = mergeViews(user?.recentlyViewed || [], [{ product: pid, viewedAt: new Date() }]);
+    await userModel.findByIdAndUpdate(req.user._id, { $set: { recentlyViewed } });
+    res.status(200).send({
+      success: true,
+      message: "View recorded",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while recording view",
+      error: error.message,
+    });
+  }
+};
+
+// Merge the views a guest collected before logging in into their history
+export const mergeRecentlyViewedController = async (req, res) => {
+  try {
+    const { error, views } = parseViews(req.body.views);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const user = await userModel.findById(req.user._id).select("recentlyViewed").lean();
+    const recentlyViewed = mergeViews(user?.recentlyViewed || [], views);
+    await userModel.findByIdAndUpdate(req.user._id, { $set: { recentlyViewed } });
+    res.status(200).send({
+      success: true,
+      message: "Recently viewed merged",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while merging recently viewed products",
+      error: error.message,
+    });
+  }
+};
+
+// Clear the user's recently viewed history
+export const clearRecentlyViewedController = async (req, res) => {
+  try {
+    await userModel.findByIdAndUpdate(req.user._id, { $set: { recentlyViewed: [] } });
+    res.status(200).send({
+      success: true,
+      message: "Recently viewed cleared",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while clearing recently viewed products",
+      error: error.message,
+    });
+  }
+};
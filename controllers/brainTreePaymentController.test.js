@@ -3,6 +3,10 @@
  * NOTE: The following tests and documentation are created with the help of AI based on user defined test scenario plan.
  */
 import { braintreePaymentController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import { queueNotification } from "../helpers/notificationOutbox.js";
+import { recordStockMovements } from "../helpers/stockLedger.js";
 
 // Mock dependencies
 const mockOrderSave = jest.fn();
@@ -13,11 +17,15 @@ jest.mock("braintree", () => {
   if (!global.mockTransactionSale) {
     global.mockTransactionSale = saleMock;
   }
+  if (!global.mockTransactionVoid) {
+    global.mockTransactionVoid = jest.fn();
+  }
 
   return {
     BraintreeGateway: jest.fn(function () {
       this.transaction = {
         sale: global.mockTransactionSale,
+        void: global.mockTransactionVoid,
       };
       return this;
     }),
@@ -36,6 +44,15 @@ jest.mock("../models/orderModel.js", () => {
 
 global.mockOrderSave = mockOrderSave;
 
+jest.mock("../models/productModel.js", () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+jest.mock("../helpers/notificationOutbox.js");
+jest.mock("../helpers/stockLedger.js");
+
 /**
  * Unit Tests for braintreePaymentController
  *
@@ -43,7 +60,15 @@ global.mockOrderSave = mockOrderSave;
  *
  * Test Doubles Used:
  * - gateway.transaction.sale: STUB (simulates Braintree payment processing)
+ * - gateway.transaction.void: MOCK (records the charges voided when the order is not saved)
  * - orderModel:               MOCK (simulates database order creation)
+ * - productModel.findOneAndUpdate: MOCK (reserves stock only while enough is left, or within the
+ *                             backorder limit, and returns what is left of the product)
+ * - productModel.updateOne:   MOCK (records releases and stock alerts)
+ * - productModel.find:        STUB (the saved variants and stock per location of the products ordered,
+ *                             what is left of the products short of stock, or after the order)
+ * - queueNotification:        MOCK (records the low stock alerts queued for the admins)
+ * - recordStockMovements:     MOCK (records the sales written to the stock ledger)
  * - req/res:                  FAKE (test doubles for Express request/response objects)
  *
  * Testing Techniques Applied:
@@ -100,7 +125,7 @@ global.mockOrderSave = mockOrderSave;
  * #  | Category             | Technique                    | Scenario                                           | Expected
  * 1  | Happy Path           | Statement, Branch, EP        | Valid nonce, cart with valid items                 | 200 OK, order created
  * 2  | Happy Path           | Statement, BVA               | Single item in cart                                | 200 OK, correct total
- * 3  | Happy Path           | Statement, BVA               | Multiple items in cart                             | 200 OK, sum of prices
+ * 3  | Happy Path           | Statement, BVA               | Multiple items in cart                             | 200 OK, sum of saved prices
  * 4  | Happy Path           | Statement                    | User ID used as buyer in order                     | 200 OK, buyer set correctly
  * 5  | Input Validation     | Condition, EP, Decision      | Missing nonce                                      | 400 Bad Request
  * 6  | Input Validation     | Condition, EP, Decision      | Null nonce                                         | 400 Bad Request
@@ -122,9 +147,43 @@ global.mockOrderSave = mockOrderSave;
  * 22 | Payment Processing   | Condition, Branch, Decision  | Gateway returns result.success = false             | 500 Error
  * 23 | Payment Processing   | Branch                       | Gateway throws synchronous exception               | 500 Error
  * 24 | Order Creation       | Branch, EP, Decision         | Order save fails                                   | 500 Error
+ * 25 | Stock Reservation    | Statement, Branch            | Repeated cart entries of one product               | Stock reserved and sold counted by entry count
+ * 26 | Stock Reservation    | Statement, Branch            | Cart entries of product variants                   | Variant and product stock reserved, sold counted
+ * 27 | Stock Reservation    | Branch, Decision             | Some cart items out of stock                       | 409 listing them, reserved items released, no charge
+ * 28 | Stock Reservation    | Branch, Decision             | Payment fails after the stock is reserved          | 500 Error, reserved items released
+ * 29 | Stock Alerts         | Branch, Decision             | Order takes products to or below their threshold   | Alert moved and queued once per new level
+ * 30 | Stock Alerts         | Branch, Decision             | Already alerted, or another order alerted first    | No alert queued
+ * 31 | Stock Alerts         | Error Guessing               | Queuing the alert fails                            | Error logged, order still succeeds
+ * 32 | Pre-orders           | Statement, Branch            | Product taking pre-orders                          | Line saved as pre-order
+ * 33 | Backorders           | Branch, BVA                  | Line taking the stock below zero, or down to zero  | Line saved as backorder / ready
+ * 34 | Backorders           | Branch, Decision             | Line beyond the backorder limit                    | 409 with stock and limit available
+ * 35 | Stock Ledger         | Statement                    | Order saved                                        | A sale recorded per line with the stock left
+ * 36 | Stock Ledger         | Branch                       | Payment fails after the stock is reserved          | No sale recorded
+ * 37 | Stock Locations      | Statement, Branch            | Location holding the whole line                    | Line reserved and sold from it
+ * 38 | Stock Locations      | Branch, Decision             | No location holds the whole line, or none has any  | Fullest location tried last, then 409
+ * 39 | Stock Locations      | Branch                       | Payment fails after a location is reserved         | Stock released at that location
+ * 40 | Stock Reservation    | Error Guessing               | Variant sent with another SKU, options or price    | Line saved with the saved variant's
+ * 41 | Stock Reservation    | Error Guessing               | Database fails while reserving a later line        | 500, earlier lines released, no charge
+ * 42 | Order Creation       | Branch, Error Guessing       | Order save fails after the charge                  | 500, charge voided, stock released
+ * 43 | Order Creation       | Error Guessing               | Voiding the charge fails too                       | Error logged, stock still released
+ * 44 | Payment Processing   | Error Guessing               | Cart sent with prices below the saved ones         | Charged the saved prices of the lines
  */
 describe("braintreePaymentController", () => {
   let req, res;
+
+  const mockProductsAfterOrder = (products) => {
+    productModel.find.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(products),
+    });
+  };
+  // the products of the cart as saved, looked up before the order lines are grouped
+  const mockCartProducts = (products) => {
+    productModel.find.mockReturnValueOnce({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(products),
+    });
+  };
   const mockUserId = "user123";
   const mockNonce = "fake-nonce";
   const mockValidNonce = "fake-valid-nonce";
@@ -153,7 +212,10 @@ describe("braintreePaymentController", () => {
 
     // Reset mock implementations
     global.mockTransactionSale.mockReset();
+    global.mockTransactionVoid.mockReset();
     global.mockOrderSave.mockReset();
+    // products after the order, none of them running low
+    mockProductsAfterOrder([]);
   });
 
   afterEach(() => {
@@ -199,7 +261,9 @@ describe("braintreePaymentController", () => {
 
     it("should calculate correct total for single item cart", async () => {
       // ── ARRANGE ──────────────────────────────────
-      const mockCart = [{ name: "Product 1", price: 49.99 }];
+      const mockCart = [{ _id: "prod1", name: "Product 1", price: 49.99 }];
+      mockCartProducts([{ _id: "prod1", price: 49.99 }]);
+      productModel.findOneAndUpdate.mockResolvedValue({ _id: "prod1", quantity: 5 });
 
       req.body = { nonce: mockValidNonce, cart: mockCart };
 
@@ -222,10 +286,16 @@ describe("braintreePaymentController", () => {
     it("should calculate correct total for multiple items", async () => {
       // ── ARRANGE ──────────────────────────────────
       const mockCart = [
-        { name: "Product 1", price: 10 },
-        { name: "Product 2", price: 20 },
-        { name: "Product 3", price: 30 },
+        { _id: "prod1", name: "Product 1", price: 10 },
+        { _id: "prod2", name: "Product 2", price: 20 },
+        { _id: "prod3", name: "Product 3", price: 30 },
       ];
+      mockCartProducts([
+        { _id: "prod1", price: 10 },
+        { _id: "prod2", price: 20 },
+        { _id: "prod3", price: 30 },
+      ]);
+      productModel.findOneAndUpdate.mockResolvedValue({ quantity: 5 });
 
       req.body = { nonce: mockValidNonce, cart: mockCart };
 
@@ -506,7 +576,9 @@ describe("braintreePaymentController", () => {
     // price = 0 (Valid)
     it("should accept cart with zero price item (free items allowed)", async () => {
       // ── ARRANGE ──────────────────────────────────
-      const mockCart = [{ name: "Free Product", price: 0 }];
+      const mockCart = [{ _id: "prod1", name: "Free Product", price: 0 }];
+      mockCartProducts([{ _id: "prod1", price: 0 }]);
+      productModel.findOneAndUpdate.mockResolvedValue({ _id: "prod1", quantity: 5 });
 
       req.body = { nonce: mockNonce, cart: mockCart };
 
@@ -530,9 +602,14 @@ describe("braintreePaymentController", () => {
     it("should handle positive price values", async () => {
       // ── ARRANGE ──────────────────────────────────
       const mockCart = [
-        { name: "Item", price: 1 },
-        { name: "Expensive Item", price: 100000 },
+        { _id: "prod1", name: "Item", price: 1 },
+        { _id: "prod2", name: "Expensive Item", price: 100000 },
       ];
+      mockCartProducts([
+        { _id: "prod1", price: 1 },
+        { _id: "prod2", price: 100000 },
+      ]);
+      productModel.findOneAndUpdate.mockResolvedValue({ quantity: 5 });
 
       req.body = { nonce: mockNonce, cart: mockCart };
 
@@ -646,5 +723,575 @@ describe("braintreePaymentController", () => {
         error: mockError,
       });
     });
+
+    describe("after the charge", () => {
+      const product = { _id: "prod1", name: "Product", price: 10, quantity: 50 };
+      const mockError = new Error("Database connection failed");
+
+      beforeEach(() => {
+        req.body = { nonce: mockNonce, cart: [product] };
+        productModel.findOneAndUpdate.mockResolvedValue({ _id: "prod1", quantity: 49 });
+        global.mockTransactionSale.mockImplementation((options, callback) => {
+          callback(null, { success: true, transaction: { id: "txn123" } });
+        });
+        global.mockOrderSave.mockRejectedValue(mockError);
+      });
+
+      it("should void the charge and put the stock back when the order is not saved", async () => {
+        // ── ARRANGE ──────────────────────────────────
+        global.mockTransactionVoid.mockImplementation((id, callback) => {
+          callback(null, { success: true });
+        });
+
+        // ── ACT ──────────────────────────────────────
+        await braintreePaymentController(req, res);
+
+        // ── ASSERT ───────────────────────────────────
+        expect(global.mockTransactionVoid).toHaveBeenCalledWith("txn123", expect.any(Function));
+        expect(productModel.updateOne).toHaveBeenCalledWith(
+          expect.objectContaining({ _id: "prod1" }),
+          { $inc: { quantity: 1, sold: -1 } },
+        );
+        expect(recordStockMovements).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
+
+      it("should still put the stock back when voiding the charge fails", async () => {
+        // ── ARRANGE ──────────────────────────────────
+        global.mockTransactionVoid.mockImplementation((id, callback) => {
+          callback(null, { success: false, message: "Transaction can only be voided if status is authorized" });
+        });
+
+        // ── ACT ──────────────────────────────────────
+        await braintreePaymentController(req, res);
+
+        // ── ASSERT ───────────────────────────────────
+        expect(console.log).toHaveBeenCalledWith(
+          new Error("Transaction can only be voided if status is authorized"),
+        );
+        expect(productModel.updateOne).toHaveBeenCalledWith(
+          expect.objectContaining({ _id: "prod1" }),
+          { $inc: { quantity: 1, sold: -1 } },
+        );
+        expect(res.send).toHaveBeenCalledWith({ success: false, message: expect.any(String), error: mockError });
+      });
+    });
+  });
+
+  describe("Stock Reservation", () => {
+    const product = { _id: "prod1", name: "Product", price: 10, quantity: 50 };
+    const variant = { _id: "var1", sku: "TEE-M", options: { Size: "M" } };
+    const tee = { _id: "prod2", name: "Tee", price: 25, quantity: 9, variant };
+
+    beforeEach(() => {
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(null, mockPaymentResult);
+      });
+      global.mockOrderSave.mockResolvedValue(mockSavedOrder);
+      productModel.findOneAndUpdate.mockResolvedValue({ _id: "prod1", quantity: 48 });
+      mockCartProducts([
+        { _id: "prod1", price: 10 },
+        { _id: "prod2", price: 25, variants: [variant] },
+      ]);
+    });
+
+    it("should reserve product stock by the number of cart entries, not the product's stock", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      req.body = { nonce: mockNonce, cart: [product, product] };
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: "prod1", $or: expect.arrayContaining([{ quantity: { $gte: 2 } }]) }),
+        { $inc: { quantity: -2, sold: 2 } },
+        { new: true, projection: { quantity: 1, preorder: 1 } },
+      );
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          items: [{ product: "prod1", price: 10, quantity: 2, status: "ready" }],
+        }),
+      );
+    });
+
+    it("should reserve variant and product stock for variant cart entries", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      req.body = { nonce: mockNonce, cart: [tee] };
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "prod2", variants: { $elemMatch: { _id: "var1", quantity: { $gte: 1 } } } },
+        { $inc: { quantity: -1, "variants.$.quantity": -1, sold: 1 } },
+        { new: true, projection: { quantity: 1, preorder: 1 } },
+      );
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          items: [
+            {
+              product: "prod2",
+              variant: "var1",
+              sku: "TEE-M",
+              options: { Size: "M" },
+              price: 25,
+              quantity: 1,
+              status: "ready",
+            },
+          ],
+        }),
+      );
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+    });
+
+    it("should list the out of stock items and release the reserved ones without charging", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      req.body = { nonce: mockNonce, cart: [product, tee] };
+      // the product is reserved, the last tee was bought by someone else
+      productModel.findOneAndUpdate
+        .mockResolvedValueOnce({ _id: "prod1", quantity: 49 })
+        .mockResolvedValueOnce(null);
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: "prod2", name: "Tee", quantity: 0, variants: [{ _id: "var1", sku: "TEE-M", quantity: 0 }] },
+        ]),
+      };
+      productModel.find.mockReturnValue(query);
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.updateOne).toHaveBeenLastCalledWith(
+        { _id: "prod1" },
+        { $inc: { quantity: 1, sold: -1 } },
+      );
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: ["prod2"] } });
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Some items in your cart are out of stock",
+        outOfStock: [
+          { product: "prod2", variant: "var1", sku: "TEE-M", name: "Tee", requested: 1, available: 0 },
+        ],
+      });
+      expect(global.mockTransactionSale).not.toHaveBeenCalled();
+      expect(orderModel).not.toHaveBeenCalled();
+    });
+
+    it("should take the SKU, options and price of a line from the saved variant, not the cart", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      productModel.find.mockReset();
+      mockCartProducts([{ _id: "prod2", price: 25, variants: [{ ...variant, price: 27 }] }]);
+      mockProductsAfterOrder([]);
+      const tampered = { ...tee, price: 1, variant: { _id: "var1", sku: "TEE-XL", options: { Size: "XL" }, price: 1 } };
+      req.body = { nonce: mockNonce, cart: [tampered] };
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.find).toHaveBeenNthCalledWith(1, { _id: { $in: ["prod2"] } });
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          items: [expect.objectContaining({ variant: "var1", sku: "TEE-M", options: { Size: "M" }, price: 27 })],
+        }),
+      );
+    });
+
+    it("should charge the saved prices of the lines, not the cheaper ones in the cart", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      productModel.find.mockReset();
+      mockCartProducts([
+        { _id: "prod1", price: 10 },
+        { _id: "prod2", price: 25, variants: [{ ...variant, price: 27 }] },
+      ]);
+      mockProductsAfterOrder([]);
+      req.body = { nonce: mockNonce, cart: [{ ...product, price: 1 }, { ...product, price: 1 }, { ...tee, price: 1 }] };
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(global.mockTransactionSale).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 47 }),
+        expect.any(Function),
+      );
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          items: [
+            expect.objectContaining({ product: "prod1", price: 10, quantity: 2 }),
+            expect.objectContaining({ product: "prod2", variant: "var1", price: 27, quantity: 1 }),
+          ],
+        }),
+      );
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+    });
+
+    it("should release the lines reserved before a reservation fails, without charging", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      const mockError = new Error("Database failed");
+      req.body = { nonce: mockNonce, cart: [product, tee] };
+      productModel.findOneAndUpdate
+        .mockResolvedValueOnce({ _id: "prod1", quantity: 49 })
+        .mockRejectedValueOnce(mockError);
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(productModel.updateOne).toHaveBeenCalledWith({ _id: "prod1" }, { $inc: { quantity: 1, sold: -1 } });
+      expect(global.mockTransactionSale).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: expect.any(String), error: mockError });
+    });
+
+    it("should release the reserved stock when the payment fails", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      const mockError = new Error("Card declined");
+      req.body = { nonce: mockNonce, cart: [tee] };
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(mockError, null);
+      });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(productModel.updateOne).toHaveBeenLastCalledWith(
+        { _id: "prod2", "variants._id": "var1" },
+        { $inc: { quantity: 1, "variants.$.quantity": 1, sold: -1 } },
+      );
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: expect.any(String),
+        error: mockError,
+      });
+      expect(orderModel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Stock Alerts", () => {
+    const laptop = { _id: "prod1", name: "Laptop", price: 10, quantity: 3 };
+    const mouse = { _id: "prod2", name: "Mouse", price: 5, quantity: 40 };
+
+    beforeEach(() => {
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(null, mockPaymentResult);
+      });
+      global.mockOrderSave.mockResolvedValue(mockSavedOrder);
+      productModel.findOneAndUpdate.mockResolvedValue({ quantity: 2 });
+      productModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      req.body = { nonce: mockNonce, cart: [laptop, mouse] };
+    });
+
+    it("should queue an alert for each product that went low or out of stock", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      mockProductsAfterOrder([
+        { _id: "prod1", name: "Laptop", quantity: 2, reorderThreshold: 5, stockAlert: null },
+        { _id: "prod2", name: "Mouse", quantity: 39, reorderThreshold: 5 },
+      ]);
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: ["prod1", "prod2"] } });
+      expect(productModel.updateOne).toHaveBeenLastCalledWith(
+        { _id: "prod1", stockAlert: null },
+        { $set: { stockAlert: "low" } },
+      );
+      expect(queueNotification).toHaveBeenCalledTimes(1);
+      expect(queueNotification).toHaveBeenCalledWith({
+        type: "low-stock",
+        product: "prod1",
+        subject: "Laptop is running low",
+        message: "Laptop has 2 left in stock (reorder threshold 5).",
+      });
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+    });
+
+    it("should not alert again at the same level, or when another order alerted first", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      mockProductsAfterOrder([
+        { _id: "prod1", name: "Laptop", quantity: 2, reorderThreshold: 5, stockAlert: "low" },
+        { _id: "prod2", name: "Mouse", quantity: 0, reorderThreshold: 5, stockAlert: "low" },
+      ]);
+      // the out of stock alert was already moved by another order
+      productModel.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(productModel.updateOne).toHaveBeenLastCalledWith(
+        { _id: "prod2", stockAlert: "low" },
+        { $set: { stockAlert: "out" } },
+      );
+      expect(queueNotification).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+    });
+
+    it("should still complete the order when the alert cannot be queued", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      const mockError = new Error("Database failed");
+      mockProductsAfterOrder([{ _id: "prod1", name: "Laptop", quantity: 0, reorderThreshold: 5 }]);
+      queueNotification.mockRejectedValueOnce(mockError);
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(console.log).toHaveBeenCalledWith(mockError);
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Pre-orders and Backorders", () => {
+    const gameConsole = { _id: "prod3", name: "Console", price: 400, quantity: 0 };
+
+    beforeEach(() => {
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(null, mockPaymentResult);
+      });
+      global.mockOrderSave.mockResolvedValue(mockSavedOrder);
+      mockCartProducts([{ _id: "prod3", price: 400 }]);
+      req.body = { nonce: mockNonce, cart: [gameConsole, gameConsole] };
+    });
+
+    const savedLine = (status) =>
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          items: [{ product: "prod3", price: 400, quantity: 2, status }],
+        }),
+      );
+
+    it("should save the line of a product taking pre-orders as a pre-order", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      productModel.findOneAndUpdate.mockResolvedValue({ _id: "prod3", quantity: 8, preorder: true });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      const withinLimit = { $expr: { $gte: [{ $add: ["$quantity", "$backorderLimit"] }, 2] } };
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: "prod3",
+          $or: [{ quantity: { $gte: 2 } }, { preorder: true, ...withinLimit }, { backorder: true, ...withinLimit }],
+        },
+        { $inc: { quantity: -2, sold: 2 } },
+        { new: true, projection: { quantity: 1, preorder: 1 } },
+      );
+      savedLine("pre-order");
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+    });
+
+    it("should save a line taking the stock below zero as a backorder, and down to zero as ready", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      productModel.findOneAndUpdate.mockResolvedValueOnce({ _id: "prod3", quantity: -1 });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      savedLine("backorder");
+
+      // ── ARRANGE ──────────────────────────────────
+      orderModel.mockClear();
+      mockCartProducts([{ _id: "prod3", price: 400 }]);
+      productModel.findOneAndUpdate.mockResolvedValueOnce({ _id: "prod3", quantity: 0 });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      savedLine("ready");
+    });
+
+    it("should list a line beyond the backorder limit with the stock and limit available", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      productModel.findOneAndUpdate.mockResolvedValue(null);
+      mockProductsAfterOrder([{ _id: "prod3", name: "Console", quantity: -2, backorder: true, backorderLimit: 3 }]);
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Some items in your cart are out of stock",
+        outOfStock: [{ product: "prod3", name: "Console", requested: 2, available: 1 }],
+      });
+      expect(global.mockTransactionSale).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Stock Ledger", () => {
+    const product = { _id: "prod1", name: "Product", price: 10, quantity: 50 };
+    const tee = { _id: "prod2", name: "Tee", price: 25, quantity: 9, variant: { _id: "var1", sku: "TEE-M" } };
+
+    beforeEach(() => {
+      global.mockOrderSave.mockResolvedValue(mockSavedOrder);
+      mockCartProducts([
+        { _id: "prod1", price: 10 },
+        { _id: "prod2", price: 25, variants: [{ _id: "var1", sku: "TEE-M" }] },
+      ]);
+      req.body = { nonce: mockNonce, cart: [product, product, tee] };
+      productModel.findOneAndUpdate
+        .mockResolvedValueOnce({ _id: "prod1", quantity: 48 })
+        .mockResolvedValueOnce({ _id: "prod2", quantity: 8 });
+    });
+
+    it("should record a sale for each order line with the stock left", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(null, mockPaymentResult);
+      });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(recordStockMovements).toHaveBeenCalledWith([
+        {
+          product: "prod1",
+          variant: undefined,
+          sku: undefined,
+          change: -2,
+          balance: 48,
+          reason: "sale",
+          user: mockUserId,
+          order: "order123",
+        },
+        {
+          product: "prod2",
+          variant: "var1",
+          sku: "TEE-M",
+          change: -1,
+          balance: 8,
+          reason: "sale",
+          user: mockUserId,
+          order: "order123",
+        },
+      ]);
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: mockSavedOrder });
+    });
+
+    it("should not record a sale when the payment fails", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(new Error("Card declined"), null);
+      });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(recordStockMovements).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("Stock Locations", () => {
+    const north = "loc1";
+    const south = "loc2";
+    const product = { _id: "prod1", name: "Product", price: 10, quantity: 9 };
+    const locationStock = [
+      { location: north, sku: "", quantity: 1 },
+      { location: south, sku: "", quantity: 8 },
+    ];
+    const locationArrayFilters = (location) => [{ "at.location": location, "at.sku": "" }];
+
+    beforeEach(() => {
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(null, mockPaymentResult);
+      });
+      global.mockOrderSave.mockResolvedValue(mockSavedOrder);
+      productModel.find.mockReturnValueOnce({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: "prod1", price: 10, locationStock }]),
+      });
+      productModel.findOneAndUpdate.mockResolvedValue({ _id: "prod1", quantity: 7 });
+      req.body = { nonce: mockNonce, cart: [product, product] };
+    });
+
+    it("should reserve the line from a location holding all of it and record where it was sold from", async () => {
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: ["prod1"] } });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          _id: "prod1",
+          locationStock: { $elemMatch: { location: south, sku: "", quantity: { $gte: 2 } } },
+        }),
+        { $inc: { quantity: -2, "locationStock.$[at].quantity": -2, sold: 2 } },
+        {
+          new: true,
+          projection: { quantity: 1, preorder: 1 },
+          arrayFilters: locationArrayFilters(south),
+        },
+      );
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          items: [{ product: "prod1", price: 10, quantity: 2, location: south, status: "ready" }],
+        }),
+      );
+      expect(recordStockMovements).toHaveBeenCalledWith([
+        expect.objectContaining({ product: "prod1", location: south, change: -2, balance: 7 }),
+      ]);
+    });
+
+    it("should try the fullest location last, and list the line out of stock when it fails", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      req.body.cart = Array(9).fill(product);
+      productModel.findOneAndUpdate.mockResolvedValue(null);
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      // no location holds 9, so only the fullest is tried while the product's stock allows
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ locationStock: { $elemMatch: { location: south, sku: "" } } }),
+        expect.anything(),
+        expect.objectContaining({ arrayFilters: locationArrayFilters(south) }),
+      );
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(global.mockTransactionSale).not.toHaveBeenCalled();
+    });
+
+    it("should put the stock back at the location it was reserved from when the payment fails", async () => {
+      // ── ARRANGE ──────────────────────────────────
+      global.mockTransactionSale.mockImplementation((options, callback) => {
+        callback(new Error("Card declined"), null);
+      });
+
+      // ── ACT ──────────────────────────────────────
+      await braintreePaymentController(req, res);
+
+      // ── ASSERT ───────────────────────────────────
+      expect(productModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(productModel.updateOne).toHaveBeenCalledWith(
+        { _id: "prod1" },
+        { $inc: { quantity: 2, "locationStock.$[at].quantity": 2, sold: -2 } },
+        { arrayFilters: locationArrayFilters(south) },
+      );
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
   });
 });
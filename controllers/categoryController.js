@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import categoryModel from "../models/categoryModel.js";
 import slugify from "slugify";
+import { parseAttributeSchema } from "../helpers/attributeHelper.js";
 export const createCategoryController = async (req, res) => {
   try {
     const { name } = req.body;
@@ -93,6 +94,50 @@ export const updateCategoryController = async (req, res) => {
   }
 };
 
+//update category attributes
+// Products of the category are checked against these attributes when they are next saved
+export const updateCategoryAttributesController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({
+        success: false,
+        message: "Invalid category id",
+      });
+    }
+    const schema = parseAttributeSchema(req.body.attributes);
+    if (schema.error) {
+      return res.status(422).send({
+        success: false,
+        message: schema.error,
+      });
+    }
+    const category = await categoryModel.findByIdAndUpdate(
+      id,
+      { attributes: schema.attributes },
+      { new: true }
+    );
+    if (!category) {
+      return res.status(404).send({
+        success: false,
+        message: "Category id not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Category attributes updated successfully",
+      category,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      error,
+      message: "Error while updating category attributes",
+    });
+  }
+};
+
 // get all cat
 export const categoryController = async (req, res) => { // Minor fix: typo - Shaun Lee Xuan Wei A0252626E
   try {
@@ -3,7 +3,7 @@
 */
 import slugify from 'slugify';
 import categoryModel from '../models/categoryModel';
-import { categoryController, createCategoryController, deleteCategoryController, singleCategoryController, updateCategoryController } from './categoryController';
+import { categoryController, createCategoryController, deleteCategoryController, singleCategoryController, updateCategoryAttributesController, updateCategoryController } from './categoryController';
 import mongoose from "mongoose";
 
 jest.mock('../models/categoryModel');
@@ -401,6 +401,124 @@ describe("updateCategoryController", () => {
   });
 });
 
+/**
+  * Unit tests for updateCategoryAttributesController
+  *
+  * 1. Happy path: 1 test
+  *   a. status 200 and attributes saved with their keys
+  * 2. Input validation: 3 tests
+  *   a. status 422 for invalid category id
+  *   b. status 422 for invalid attribute schema
+  *   c. status 404 for category id not found
+  * 3. Error handling: 1 tests
+  *   a. status 500 if database error occurs
+  */
+describe("updateCategoryAttributesController", () => {
+  let res, req;
+  const validCategoryId = 'validId';
+
+  beforeEach(() => {
+    req = {
+      params: {
+        id: validCategoryId
+      },
+      body: {
+        attributes: [
+          { name: "Screen Size", type: "number", unit: "in", required: true },
+          { name: "Colour", type: "select", values: ["Red", "Blue"] }
+        ]
+      }
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+    jest.spyOn(mongoose.Types.ObjectId, "isValid").mockReturnValue(true);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should return 200 and save the attributes with their keys", async () => {
+      const mockCategory = { _id: validCategoryId, name: "Laptops" };
+      categoryModel.findByIdAndUpdate.mockResolvedValue(mockCategory);
+
+      await updateCategoryAttributesController(req, res);
+
+      expect(categoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        validCategoryId,
+        {
+          attributes: [
+            { key: "screen-size", name: "Screen Size", type: "number", unit: "in", required: true, values: [] },
+            { key: "colour", name: "Colour", type: "select", unit: "", required: false, values: ["Red", "Blue"] }
+          ]
+        },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Category attributes updated successfully",
+        category: mockCategory
+      });
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should return 422 if invalid category id", async () => {
+      mongoose.Types.ObjectId.isValid.mockReturnValue(false);
+
+      await updateCategoryAttributesController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid category id" });
+      expect(categoryModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 if invalid attribute schema", async () => {
+      req.body.attributes = [{ name: "Colour", type: "select", values: [] }];
+
+      await updateCategoryAttributesController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Attribute Colour needs allowed values" });
+      expect(categoryModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 if category id not found", async () => {
+      categoryModel.findByIdAndUpdate.mockResolvedValue(null);
+
+      await updateCategoryAttributesController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Category id not found" });
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should return 500 if database error occurs", async () => {
+      const error = new Error("Database error");
+      categoryModel.findByIdAndUpdate.mockRejectedValue(error);
+
+      await updateCategoryAttributesController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          error,
+          message: "Error while updating category attributes"
+        })
+      );
+    });
+  });
+});
+
 /**
   * Unit tests for categoryController
   *
@@ -125,6 +125,7 @@ describe("getAllOrdersController", () => {
       expect(res.json).toHaveBeenCalledWith(mockOrders);
       const returnedOrders = res.json.mock.calls[0][0];
       expect(returnedOrders).toHaveLength(2);
+      expect(orderModel.populate).toHaveBeenCalledWith("items.location", "name");
     });
   });
 
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import locationModel from "../models/locationModel.js";
+import productModel from "../models/productModel.js";
+import { parseLocationName } from "../helpers/locationHelper.js";
+
+//get locations
+export const getLocationsController = async (req, res) => {
+  try {
+    const locations = await locationModel.find({}).sort({ name: 1 }).lean();
+    res.status(200).send({
+      success: true,
+      message: "All locations",
+      locations,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting locations",
+      error: error.message,
+    });
+  }
+};
+
+//create location
+export const createLocationController = async (req, res) => {
+  try {
+    const { error, name } = parseLocationName(req.body.name);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const existingLocation = await locationModel.findOne({ name });
+    if (existingLocation) {
+      return res.status(409).send({ success: false, message: "Location already exists" });
+    }
+    const location = await new locationModel({ name }).save();
+    res.status(201).send({
+      success: true,
+      message: "Location created",
+      location,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating location",
+      error: error.message,
+    });
+  }
+};
+
+//rename location
+export const updateLocationController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid location id" });
+    }
+    const { error, name } = parseLocationName(req.body.name);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const existingLocation = await locationModel.findOne({ name, _id: { $ne: id } });
+    if (existingLocation) {
+      return res.status(409).send({ success: false, message: "Location already exists" });
+    }
+    const location = await locationModel.findByIdAndUpdate(id, { name }, { new: true });
+    if (!location) {
+      return res.status(404).send({ success: false, message: "Location not found" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Location updated",
+      location,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating location",
+      error: error.message,
+    });
+  }
+};
+
+//delete location
+// Only an empty location is deleted, so no stock is lost; its empty entries are then removed
+// from the products.
+export const deleteLocationController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid location id" });
+    }
+    const holdsStock = await productModel.exists({
+      locationStock: { $elemMatch: { location: id, quantity: { $ne: 0 } } },
+    });
+    if (holdsStock) {
+      return res.status(409).send({
+        success: false,
+        message: "Transfer the stock out of the location before deleting it",
+      });
+    }
+    const location = await locationModel.findByIdAndDelete(id);
+    if (!location) {
+      return res.status(404).send({ success: false, message: "Location not found" });
+    }
+    await productModel.updateMany(
+      { "locationStock.location": id },
+      { $pull: { locationStock: { location: id } } }
+    );
+    res.status(200).send({
+      success: true,
+      message: "Location deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting location",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,199 @@
+import {
+  createLocationController,
+  deleteLocationController,
+  getLocationsController,
+  updateLocationController,
+} from "./locationController.js";
+import locationModel from "../models/locationModel.js";
+import productModel from "../models/productModel.js";
+
+jest.mock("../models/locationModel.js");
+jest.mock("../models/productModel.js");
+
+/**
+ * Unit Tests for the stock location admin endpoints
+ *
+ * Test Doubles Used:
+ * - locationModel:  MOCK (records the saved, renamed and deleted locations)
+ * - productModel:   MOCK (stock held at a location, entries removed on delete)
+ * - req/res:        FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | list locations                            | 200, sorted by name
+ * 2  | Happy Path      | create location                           | 201, trimmed name saved
+ * 3  | Input Validation| missing name                              | 422, nothing saved
+ * 4  | Business Rule   | name already used                         | 409, nothing saved
+ * 5  | Happy Path      | rename location                           | 200, other locations checked
+ * 6  | Input Validation| invalid or unknown id on rename/delete    | 422 / 404
+ * 7  | Happy Path      | delete empty location                     | 200, its entries removed from products
+ * 8  | Business Rule   | delete location still holding stock       | 409, nothing deleted
+ * 9  | Error Handling  | database error                            | 500
+ */
+describe("locationController", () => {
+  let req, res;
+  const id = "66db427fdb0119d9234b2801";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: {}, query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    locationModel.findOne = jest.fn().mockResolvedValue(null);
+    locationModel.mockImplementation((location) => ({
+      save: jest.fn().mockResolvedValue({ _id: id, ...location }),
+    }));
+    productModel.exists = jest.fn().mockResolvedValue(null);
+    productModel.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 2 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("should list the locations by name", async () => {
+    const locations = [{ _id: id, name: "North" }];
+    const query = { sort: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(locations) };
+    locationModel.find = jest.fn().mockReturnValue(query);
+
+    await getLocationsController(req, res);
+
+    expect(query.sort).toHaveBeenCalledWith({ name: 1 });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, message: "All locations", locations });
+  });
+
+  it("should create a location with the trimmed name", async () => {
+    req.body.name = "  North warehouse ";
+
+    await createLocationController(req, res);
+
+    expect(locationModel.findOne).toHaveBeenCalledWith({ name: "North warehouse" });
+    expect(locationModel).toHaveBeenCalledWith({ name: "North warehouse" });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Location created",
+      location: { _id: id, name: "North warehouse" },
+    });
+  });
+
+  it("should return 422 without a name", async () => {
+    req.body.name = "  ";
+
+    await createLocationController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: "Location name is required" });
+    expect(locationModel).not.toHaveBeenCalled();
+  });
+
+  it("should return 409 when the name is already used", async () => {
+    locationModel.findOne = jest.fn().mockResolvedValue({ _id: "other", name: "North" });
+    req.body.name = "North";
+
+    await createLocationController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: "Location already exists" });
+    expect(locationModel).not.toHaveBeenCalled();
+  });
+
+  it("should rename a location, checking the name against the other locations", async () => {
+    const location = { _id: id, name: "South" };
+    locationModel.findByIdAndUpdate = jest.fn().mockResolvedValue(location);
+    req.params.id = id;
+    req.body.name = "South";
+
+    await updateLocationController(req, res);
+
+    expect(locationModel.findOne).toHaveBeenCalledWith({ name: "South", _id: { $ne: id } });
+    expect(locationModel.findByIdAndUpdate).toHaveBeenCalledWith(id, { name: "South" }, { new: true });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, message: "Location updated", location });
+  });
+
+  it("should return 422 for an invalid id and 404 for an unknown location", async () => {
+    req.params.id = "not-an-id";
+    await updateLocationController(req, res);
+    await deleteLocationController(req, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 422);
+    expect(res.status).toHaveBeenNthCalledWith(2, 422);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid location id" });
+
+    locationModel.findByIdAndUpdate = jest.fn().mockResolvedValue(null);
+    locationModel.findByIdAndDelete = jest.fn().mockResolvedValue(null);
+    req.params.id = id;
+    req.body.name = "South";
+    await updateLocationController(req, res);
+    await deleteLocationController(req, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(3, 404);
+    expect(res.status).toHaveBeenNthCalledWith(4, 404);
+    expect(res.send).toHaveBeenLastCalledWith({ success: false, message: "Location not found" });
+    expect(productModel.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("should delete an empty location and remove its entries from the products", async () => {
+    locationModel.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: id });
+    req.params.id = id;
+
+    await deleteLocationController(req, res);
+
+    expect(productModel.exists).toHaveBeenCalledWith({
+      locationStock: { $elemMatch: { location: id, quantity: { $ne: 0 } } },
+    });
+    expect(locationModel.findByIdAndDelete).toHaveBeenCalledWith(id);
+    expect(productModel.updateMany).toHaveBeenCalledWith(
+      { "locationStock.location": id },
+      { $pull: { locationStock: { location: id } } }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, message: "Location deleted" });
+  });
+
+  it("should return 409 when the location still holds stock", async () => {
+    productModel.exists = jest.fn().mockResolvedValue({ _id: "p1" });
+    locationModel.findByIdAndDelete = jest.fn();
+    req.params.id = id;
+
+    await deleteLocationController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Transfer the stock out of the location before deleting it",
+    });
+    expect(locationModel.findByIdAndDelete).not.toHaveBeenCalled();
+  });
+
+  it("should return 500 when the database fails", async () => {
+    const error = new Error("Database failed");
+    locationModel.find = jest.fn().mockReturnValue({
+      sort: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockRejectedValue(error),
+    });
+    locationModel.findOne = jest.fn().mockRejectedValue(error);
+    req.body.name = "North";
+
+    await getLocationsController(req, res);
+    await createLocationController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error while getting locations",
+      error: "Database failed",
+    });
+    expect(res.send).toHaveBeenLastCalledWith({
+      success: false,
+      message: "Error while creating location",
+      error: "Database failed",
+    });
+  });
+});
@@ -0,0 +1,339 @@
+import {
+  getArchivedProductsController,
+  restoreProductController,
+  purgeProductController,
+  productFiltersController,
+  productCountController,
+  productListController,
+  searchProductController,
+  realtedProductController,
+  productCategoryController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import orderModel from "../models/orderModel.js";
+import { deleteImage } from "../helpers/imageStore.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../helpers/searchDictionary.js");
+
+/**
+ * Unit Tests for the archived products admin endpoints and the storefront queries
+ *
+ * Test Doubles Used:
+ * - productModel:          MOCK (query chains record the filter they were called with)
+ * - categoryModel.findOne: STUB (returns the category of the category page)
+ * - orderModel.aggregate:  STUB (returns no products bought together)
+ * - deleteImage:           MOCK (records the gallery images removed from GridFS)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - getArchivedProductsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | archived products exist                   | 200, newest archived first
+ * 2  | Error Handling  | database error                            | 500
+ * Scenario Plan - restoreProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | archived product                          | archivedAt cleared, 200
+ * 2  | Input Validation| unknown or listed product                 | 404
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - purgeProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | archived product with gallery images      | deleted with its images, 200
+ * 2  | Input Validation| unknown or listed product                 | 404, nothing deleted
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - storefront queries:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | filters, count, list, search, related,    | each query only matches
+ *    |                 | category products                         | products with archivedAt null
+ *    |                 |                                           | that are published
+ */
+describe("Archived products", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, body: {} };
+    res = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("getArchivedProductsController", () => {
+    describe("Happy Path", () => {
+      it("should return the archived products, newest archived first", async () => {
+        const products = [{ _id: "1", name: "Old Laptop", archivedAt: new Date() }];
+        const sortMock = jest.fn().mockResolvedValue(products);
+        productModel.find = jest.fn().mockReturnValue({
+          populate: jest.fn().mockReturnThis(),
+          select: jest.fn().mockReturnThis(),
+          sort: sortMock,
+        });
+
+        await getArchivedProductsController(req, res);
+
+        expect(productModel.find).toHaveBeenCalledWith({ archivedAt: { $ne: null } });
+        expect(sortMock).toHaveBeenCalledWith({ archivedAt: -1 });
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith({
+          success: true,
+          countTotal: 1,
+          message: "Archived products fetched",
+          products,
+        });
+      });
+    });
+
+    describe("Error Handling", () => {
+      it("should return 500 when the database fails", async () => {
+        const error = new Error("Database failed");
+        productModel.find = jest.fn().mockReturnValue({
+          populate: jest.fn().mockReturnThis(),
+          select: jest.fn().mockReturnThis(),
+          sort: jest.fn().mockRejectedValue(error),
+        });
+
+        await getArchivedProductsController(req, res);
+
+        expect(console.log).toHaveBeenCalledWith(error);
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Error in getting archived products",
+          error: "Database failed",
+        });
+      });
+    });
+  });
+
+  describe("restoreProductController", () => {
+    describe("Happy Path", () => {
+      it("should clear archivedAt of an archived product", async () => {
+        const product = { _id: "1", name: "Old Laptop", archivedAt: null };
+        productModel.findOneAndUpdate = jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue(product),
+        });
+        req.params.pid = "1";
+
+        await restoreProductController(req, res);
+
+        expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: "1", archivedAt: { $ne: null } },
+          { archivedAt: null },
+          { new: true }
+        );
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith({
+          success: true,
+          message: "Product restored successfully",
+          product,
+        });
+      });
+    });
+
+    describe("Input Validation", () => {
+      it("should return 404 when the product is unknown or not archived", async () => {
+        productModel.findOneAndUpdate = jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue(null),
+        });
+        req.params.pid = "2";
+
+        await restoreProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Archived product not found",
+        });
+      });
+    });
+
+    describe("Error Handling", () => {
+      it("should return 500 when the database fails", async () => {
+        const error = new Error("Database failed");
+        productModel.findOneAndUpdate = jest.fn().mockReturnValue({
+          select: jest.fn().mockRejectedValue(error),
+        });
+        req.params.pid = "1";
+
+        await restoreProductController(req, res);
+
+        expect(console.log).toHaveBeenCalledWith(error);
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Error while restoring product",
+          error,
+        });
+      });
+    });
+  });
+
+  describe("purgeProductController", () => {
+    describe("Happy Path", () => {
+      it("should delete an archived product and its gallery images", async () => {
+        productModel.findOneAndDelete = jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue({
+            _id: "1",
+            images: [{ fileId: "g1" }, { fileId: "g2" }],
+          }),
+        });
+        req.params.pid = "1";
+
+        await purgeProductController(req, res);
+
+        expect(productModel.findOneAndDelete).toHaveBeenCalledWith({
+          _id: "1",
+          archivedAt: { $ne: null },
+        });
+        expect(deleteImage).toHaveBeenCalledWith("g1");
+        expect(deleteImage).toHaveBeenCalledWith("g2");
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith({
+          success: true,
+          message: "Product deleted permanently",
+        });
+      });
+    });
+
+    describe("Input Validation", () => {
+      it("should return 404 and delete nothing when the product is unknown or not archived", async () => {
+        productModel.findOneAndDelete = jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue(null),
+        });
+        req.params.pid = "2";
+
+        await purgeProductController(req, res);
+
+        expect(deleteImage).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Archived product not found",
+        });
+      });
+    });
+
+    describe("Error Handling", () => {
+      it("should return 500 when the database fails", async () => {
+        const error = new Error("Database failed");
+        productModel.findOneAndDelete = jest.fn().mockReturnValue({
+          select: jest.fn().mockRejectedValue(error),
+        });
+        req.params.pid = "1";
+
+        await purgeProductController(req, res);
+
+        expect(console.log).toHaveBeenCalledWith(error);
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Error while purging product",
+          error,
+        });
+      });
+    });
+  });
+
+  describe("Storefront queries", () => {
+    const mockFind = (result = []) => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockResolvedValue(result),
+        then: (resolve) => resolve(result),
+      };
+      productModel.find = jest.fn().mockReturnValue(query);
+    };
+
+    it("should only filter listed products", async () => {
+      mockFind();
+      req.body = { checked: ["cat1"], radio: [0, 20] };
+
+      await productFiltersController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          archivedAt: null,
+          category: ["cat1"],
+          price: { $gte: 0, $lte: 20 },
+        })
+      );
+    });
+
+    it("should only count listed products", async () => {
+      productModel.countDocuments = jest.fn().mockResolvedValue(4);
+
+      await productCountController(req, res);
+
+      expect(productModel.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ archivedAt: null }));
+      expect(res.send).toHaveBeenCalledWith({ success: true, total: 4 });
+    });
+
+    it("should only page through listed products", async () => {
+      mockFind();
+      req.params.page = 2;
+
+      await productListController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({ archivedAt: null })
+      );
+    });
+
+    it("should only search listed products", async () => {
+      mockFind();
+      req.params.keyword = "laptop";
+
+      await searchProductController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          $text: { $search: "laptop" },
+          archivedAt: null,
+        })
+      );
+    });
+
+    it("should only relate listed products", async () => {
+      mockFind();
+      orderModel.aggregate = jest.fn().mockResolvedValue([]);
+      req.params = { pid: "66db427fdb0119d9234b27f1", cid: "cat1" };
+
+      await realtedProductController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          category: { $in: ["cat1"] },
+          _id: { $nin: ["66db427fdb0119d9234b27f1"] },
+          archivedAt: null,
+        })
+      );
+    });
+
+    it("should only show listed products of a category", async () => {
+      mockFind();
+      categoryModel.findOne = jest.fn().mockResolvedValue({ _id: "cat1", slug: "electronics" });
+      req.params.slug = "electronics";
+
+      await productCategoryController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({ category: "cat1", archivedAt: null })
+      );
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import {
+  createProductController,
+  updateProductController,
+  productFiltersController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/categoryModel.js");
+
+/**
+ * Unit Tests for category attributes on products: create/update product check the values
+ * against the category's attribute schema and the storefront filters on them
+ *
+ * Test Doubles Used:
+ * - categoryModel.findById: STUB (returns the category's attribute schema)
+ * - productModel:           MOCK (constructor + save record the created product, query chains
+ *                           record their filter)
+ * - req/res:                FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - createProductController / updateProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | values for the category's attributes      | saved with typed values
+ * 2  | Happy Path      | update with new values                    | typed values updated
+ * 3  | Input Validation| required attribute missing                | 422, nothing saved
+ * 4  | Input Validation| attribute of another category             | 422
+ * Scenario Plan - productFiltersController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | attribute filters with category and price | attribute conditions in the query
+ */
+describe("Product attributes", () => {
+  let req, res;
+
+  const fields = {
+    name: "Laptop Pro",
+    description: "A laptop",
+    price: "1200",
+    category: "cat1",
+    quantity: "3",
+    shipping: "1",
+  };
+  const schema = [
+    { key: "screen-size", name: "Screen Size", type: "number", unit: "in", required: true, values: [] },
+    { key: "backlit", name: "Backlit", type: "boolean", unit: "", required: false, values: [] },
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, fields: { ...fields }, files: {}, body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    categoryModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: "cat1", attributes: schema }),
+    });
+    productModel.findOne = jest.fn().mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("createProductController / updateProductController", () => {
+    it("should create a product with typed attribute values", async () => {
+      productModel.mockImplementation((product) => ({ ...product, save: jest.fn() }));
+      req.fields.attributes = JSON.stringify({ "screen-size": "14", backlit: "true" });
+
+      await createProductController(req, res);
+
+      expect(categoryModel.findById).toHaveBeenCalledWith("cat1");
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({ attributes: { "screen-size": 14, backlit: true } })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should update a product's attribute values", async () => {
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ quantity: 20 });
+      productModel.findById = jest.fn().mockResolvedValue({ save: jest.fn() });
+      req.params.pid = "1";
+      req.fields.attributes = JSON.stringify({ "screen-size": "16" });
+
+      await updateProductController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "1",
+        expect.objectContaining({ attributes: { "screen-size": 16 } }),
+        { new: false, projection: { quantity: 1, locationStock: 1 } }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should return 422 when a required attribute is missing", async () => {
+      await createProductController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Screen Size is required" });
+      expect(productModel).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 for an attribute the category does not define", async () => {
+      productModel.findByIdAndUpdate = jest.fn();
+      req.params.pid = "1";
+      req.fields.attributes = JSON.stringify({ "screen-size": 14, author: "Tolkien" });
+
+      await updateProductController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Unknown attribute author" });
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("productFiltersController", () => {
+    it("should filter on attributes together with category and price", async () => {
+      const products = [{ _id: "1", name: "Laptop Pro" }];
+      productModel.find = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(products),
+      });
+      req.body = {
+        checked: ["cat1"],
+        radio: [1000, 1500],
+        attributes: { "screen-size": { min: 13, max: 15 }, backlit: true },
+      };
+
+      await productFiltersController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          category: ["cat1"],
+          price: { $gte: 1000, $lte: 1500 },
+          "attributes.screen-size": { $gte: 13, $lte: 15 },
+          "attributes.backlit": true,
+        })
+      );
+      expect(res.send).toHaveBeenCalledWith({ success: true, products });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { createProductController, updateProductController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import orderModel from "../models/orderModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../helpers/notificationOutbox.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/stockSubscriptionModel.js");
+
+/**
+ * Unit Tests for pre-orders and backorders: the stock policy of create/update product and the
+ * order lines released once the product's stock is received
+ *
+ * Test Doubles Used:
+ * - productModel:           MOCK (constructor + findByIdAndUpdate record the saved policy)
+ * - orderModel:             MOCK (find chain returns the orders waiting, updateOne records releases)
+ * - categoryModel.findById: STUB (the category defines no attributes)
+ * - req/res:                FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - createProductController / updateProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | pre-order with ship date, backorder limit | saved with the parsed policy
+ * 2  | Happy Path      | stock below zero within backorder limit   | 201, product updated
+ * 3  | Input Validation| pre-order without date, stock below limit | 422, nothing saved
+ * Scenario Plan - releasing order lines on update:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | stock received for the oldest lines       | those lines ready, newer ones wait
+ * 2  | Edge Case       | product still taking pre-orders           | no order looked up
+ * 3  | Error Handling  | database error while releasing            | error logged, product still updated
+ */
+describe("Pre-orders and backorders", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+
+  const fields = {
+    name: "Console",
+    description: "A console",
+    price: "400",
+    category: "cat1",
+    quantity: "0",
+    shipping: "1",
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: { pid }, query: {}, fields: { ...fields }, files: {} };
+    categoryModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue({ attributes: [] }),
+    });
+    productModel.findOne = jest.fn().mockResolvedValue(null);
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("createProductController / updateProductController", () => {
+    it("should create a pre-order product with its ship date and limit", async () => {
+      productModel.mockImplementation((product) => ({ ...product, save: jest.fn() }));
+      req.fields = {
+        ...fields,
+        preorder: "true",
+        expectedShipDate: "2024-09-01",
+        backorder: "false",
+        backorderLimit: "100",
+      };
+
+      await createProductController(req, res);
+
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          preorder: true,
+          expectedShipDate: new Date("2024-09-01"),
+          backorder: false,
+          backorderLimit: 100,
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should keep stock below zero within the backorder limit on update", async () => {
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 0 });
+      productModel.findById = jest.fn().mockResolvedValue({ _id: pid, save: jest.fn() });
+      orderModel.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([]),
+      });
+      req.fields = { ...fields, quantity: "-3", backorder: "true", backorderLimit: "5" };
+
+      await updateProductController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        pid,
+        expect.objectContaining({ quantity: "-3", backorder: true, backorderLimit: 5, expectedShipDate: null }),
+        { new: false, projection: { quantity: 1, locationStock: 1 } }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it.each([
+      [
+        "create",
+        createProductController,
+        { preorder: "true", backorderLimit: "5" },
+        "Expected ship date is required for a pre-order",
+      ],
+      [
+        "update",
+        updateProductController,
+        { preorder: "true", backorderLimit: "5" },
+        "Expected ship date is required for a pre-order",
+      ],
+      [
+        "update",
+        updateProductController,
+        { quantity: "-6", backorder: "true", backorderLimit: "5" },
+        "Quantity is required and should be greater than or equal to 0",
+      ],
+    ])("should return 422 on %s for an invalid policy", async (_, controller, policy, message) => {
+      productModel.findByIdAndUpdate = jest.fn();
+      req.fields = { ...fields, ...policy };
+
+      await controller(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(productModel.findOne).not.toHaveBeenCalled();
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("releasing order lines on update", () => {
+    let query;
+
+    const mockOrders = (orders) => {
+      query = {
+        sort: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(orders),
+      };
+      orderModel.find = jest.fn().mockReturnValue(query);
+    };
+
+    const mockUpdated = (product) => {
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: -5 });
+      productModel.findById = jest.fn().mockResolvedValue({ _id: pid, save: jest.fn(), ...product });
+    };
+
+    beforeEach(() => {
+      orderModel.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+      // 5 units owed to three lines, oldest first; a line of another product shares the first order
+      mockOrders([
+        {
+          _id: "o1",
+          items: [
+            { _id: "l0", product: "p2", quantity: 1, status: "backorder" },
+            { _id: "l1", product: pid, quantity: 2, status: "backorder" },
+          ],
+        },
+        { _id: "o2", items: [{ _id: "l2", product: pid, quantity: 2, status: "backorder" }] },
+        {
+          _id: "o3",
+          items: [
+            { _id: "l3", product: pid, quantity: 1, status: "ready" },
+            { _id: "l4", product: pid, quantity: 1, status: "pre-order" },
+          ],
+        },
+      ]);
+    });
+
+    it("should release the oldest lines the received stock covers", async () => {
+      // 3 units received, 2 still owed
+      mockUpdated({ quantity: -2, backorder: true, backorderLimit: 5 });
+      req.fields = { ...fields, quantity: "-2", backorder: "true", backorderLimit: "5" };
+
+      await updateProductController(req, res);
+
+      expect(orderModel.find).toHaveBeenCalledWith({
+        items: { $elemMatch: { product: pid, status: { $in: ["pre-order", "backorder"] } } },
+      });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(orderModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(orderModel.updateOne).toHaveBeenCalledWith(
+        { _id: "o1", "items._id": "l1" },
+        { $set: { "items.$.status": "ready" } }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should not look up any order while the product takes pre-orders", async () => {
+      mockUpdated({ quantity: 4, preorder: true, backorderLimit: 10 });
+
+      await updateProductController(req, res);
+
+      expect(orderModel.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should still update the product when the lines cannot be released", async () => {
+      const error = new Error("Database failed");
+      mockUpdated({ quantity: 10 });
+      orderModel.updateOne.mockRejectedValueOnce(error);
+
+      await updateProductController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Product updated successfully" })
+      );
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { compareProductsController } from "./productController.js";
+import productModel from "../models/productModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../models/productModel.js");
+
+/**
+ * Unit Tests for the side-by-side product comparison
+ *
+ * Test Doubles Used:
+ * - productModel.find: STUB (query chain resolving to the listed products, recording the filter)
+ * - req/res:           FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - compareProductsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | products of one category                  | 200, listed products in the order asked
+ * 2  | Input Validation| invalid id or a single product            | 422, no query run
+ * 3  | Input Validation| products of different categories          | 422
+ * 4  | Error Handling  | database error                            | 500
+ */
+describe("compareProductsController", () => {
+  let req, res, query;
+
+  const laptop = { _id: "66db427fdb0119d9234b27f1", name: "Laptop", category: { _id: "c1" } };
+  const ultrabook = { _id: "66db427fdb0119d9234b27f2", name: "Ultrabook", category: { _id: "c1" } };
+  const mouse = { _id: "66db427fdb0119d9234b27f3", name: "Mouse", category: { _id: "c2" } };
+
+  const mockFind = (products) => {
+    query = {
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue(products),
+    };
+    productModel.find = jest.fn().mockReturnValue(query);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, query: { products: `${laptop._id},${ultrabook._id}` } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("should return the listed products in the order asked", async () => {
+    mockFind([ultrabook, laptop]);
+
+    await compareProductsController(req, res);
+
+    const [filter] = productModel.find.mock.calls[0];
+    expect(filter._id).toEqual({ $in: [laptop._id, ultrabook._id] });
+    expect(filter.archivedAt).toBeNull();
+    expect(query.select).toHaveBeenCalledWith("-photo");
+    expect(query.populate).toHaveBeenCalledWith("category");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, products: [laptop, ultrabook] });
+  });
+
+  it.each([
+    [`${laptop._id},1`, "Invalid product id"],
+    [laptop._id, "Pick at least 2 products to compare"],
+  ])("should return 422 for %p", async (products, message) => {
+    req.query.products = products;
+    mockFind([]);
+
+    await compareProductsController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    expect(productModel.find).not.toHaveBeenCalled();
+  });
+
+  it("should return 422 for products of different categories", async () => {
+    req.query.products = `${laptop._id},${mouse._id}`;
+    mockFind([laptop, mouse]);
+
+    await compareProductsController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Only products from the same category can be compared",
+    });
+  });
+
+  it("should return 500 when the database fails", async () => {
+    const error = new Error("Database failed");
+    productModel.find = jest.fn().mockImplementation(() => {
+      throw error;
+    });
+
+    await compareProductsController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error while comparing products",
+      error: "Database failed",
+    });
+  });
+});
@@ -1,6 +1,85 @@
+import mongoose from "mongoose";
 import productModel from "../models/productModel.js";
 import categoryModel from "../models/categoryModel.js";
 import orderModel from "../models/orderModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+import stockSubscriptionModel from "../models/stockSubscriptionModel.js";
+import stockMovementModel from "../models/stockMovementModel.js";
+import locationModel from "../models/locationModel.js";
+
+import { parseVariantFields } from "../helpers/variantHelper.js";
+import { parsePublishFields } from "../helpers/publishHelper.js";
+import { attributeConditions, parseProductAttributes } from "../helpers/attributeHelper.js";
+import { groupCartItems, orderTotal } from "../helpers/cartHelper.js";
+import {
+  adjustmentChange,
+  adjustmentFilter,
+  backInStockNotification,
+  fulfilmentPlan,
+  inStockFilter,
+  lineFilter,
+  linesToRelease,
+  lineStatus,
+  locationArrayFilters,
+  locationFilter,
+  locationStockChange,
+  LOW_STOCK_PAGE_SIZE,
+  lowStockFilter,
+  outOfStockItems,
+  parseReorderThreshold,
+  parseStockAdjustment,
+  parseStockPolicy,
+  reorderThresholdExpr,
+  STOCK_MOVEMENT_PAGE_SIZE,
+  stockAlertNotification,
+  stockChange,
+  stockLevel,
+} from "../helpers/stockHelper.js";
+import { recordStockMovements } from "../helpers/stockLedger.js";
+import { locationStockChanges, parseLocationStock, parseStockTransfer } from "../helpers/locationHelper.js";
+import { queueNotification } from "../helpers/notificationOutbox.js";
+import {
+  AWAITING_STOCK_LIST,
+  DEFAULT_REORDER_THRESHOLD,
+  LINE_STATUS,
+  STOCK_LEVEL,
+  STOCK_LEVEL_LIST,
+  STOCK_MOVEMENT_REASON,
+} from "../client/src/constants/stock.js";
+import { listedProducts, productFormFields, validateProductFields } from "../helpers/productHelper.js";
+import { parseCsv, toCsv } from "../helpers/csvHelper.js";
+import {
+  escapeRegex,
+  highlightFragments,
+  MAX_SUGGESTION_LENGTH,
+  MIN_POPULAR_QUERY_COUNT,
+  normalizeQuery,
+  popularSince,
+  storedQuery,
+  SUGGESTION_LIMITS,
+  wordPrefixRegex,
+} from "../helpers/suggestionHelper.js";
+import { parseSearchQuery, searchPipeline, toPriceFacets } from "../helpers/searchHelper.js";
+import { afterCursor, parseListQuery, parsePage, sortStage, toCursorPage } from "../helpers/cursorHelper.js";
+import { rewriteQuery } from "../helpers/synonymHelper.js";
+import { loadSearchDictionary } from "../helpers/searchDictionary.js";
+import {
+  CART_RECOMMENDATION_LIMIT,
+  coPurchasePipeline,
+  orderByIds,
+  parseProductIds,
+  RELATED_LIMIT,
+} from "../helpers/recommendationHelper.js";
+import { isSameCategory, parseCompareIds } from "../helpers/compareHelper.js";
+import { planProductImages, toFileList, uploadedImageIds } from "../helpers/imageHelper.js";
+import { deleteImage, openImageStream, readImage, storeProductImages } from "../helpers/imageStore.js";
+import {
+  getResizedPhoto,
+  isPhotoFresh,
+  PHOTO_SIZES,
+  photoVersion,
+  PLACEHOLDER_PHOTO,
+} from "../helpers/photoHelper.js";
 
 import fs from "fs";
 import slugify from "slugify";
@@ -18,32 +97,99 @@ var gateway = new braintree.BraintreeGateway({
   privateKey: process.env.BRAINTREE_PRIVATE_KEY,
 });
 
+// ids of the store's locations, only looked up when the product form sends stock per location
+const storeLocationIds = async ({ locationStock }) => {
+  if (locationStock === undefined || locationStock === "") return [];
+  const locations = await locationModel.find({}).select("_id").lean();
+  return locations.map((location) => location._id);
+};
+
+// Ledger movements for changes to the stock per location of `product` (see locationStockChanges),
+// each with the product's stock after it starting from `balance`, e.g. one per location a new
+// product is stocked at. `movement` holds the reason, note and user they share.
+const locationMovements = (product, changes, balance, movement) =>
+  changes.map((entry) => {
+    balance += entry.change;
+    return {
+      ...movement,
+      product: product._id,
+      variant: product.variants?.find((variant) => variant.sku === entry.sku)?._id ?? null,
+      sku: entry.sku,
+      location: entry.location,
+      change: entry.change,
+      balance,
+    };
+  });
+
+// Saves a product with the gallery files just `uploaded` for it; when the save fails, e.g. on
+// validation, no product points at those files, so they are deleted before the error is thrown on
+const saveWithImages = async (product, uploaded) => {
+  try {
+    await product.save();
+  } catch (error) {
+    await Promise.all(uploaded.map((fileId) => deleteImage(fileId)));
+    throw error;
+  }
+};
+
 export const createProductController = async (req, res) => {
   try {
-    const { name, description, price, category, quantity, shipping } =
-      req.fields;
+    const { name } = req.fields;
     const { photo } = req.files;
     // Validation
-    switch (true) {
-      case !name:
-        // Bug fix: Changed status code from 500 to 422 for validation error - Ong Chang Heng Bertrand A0253013X
-        // Bug fix: Added success: false and changed error field to message for consistency in error response structure - Ong Chang Heng Bertrand A0253013X
-        return res.status(422).send({ success: false, message: "Name is required" });
-      case !description:
-        return res.status(422).send({ success: false, message: "Description is required" });
-      case price === undefined || price === null || price === "" || price < 0: // Bug fix from "!price" - Ong Chang Heng Bertrand A0253013X
-        return res.status(422).send({ success: false, message: "Price is required and should be greater than or equal to 0" });
-      case !category:
-        return res.status(422).send({ success: false, message: "Category is required" });
-      case quantity === undefined || quantity === null || quantity === ""|| quantity < 0: // Bug fix from "!quantity" - Ong Chang Heng Bertrand A0253013X
-        return res.status(422).send({ success: false, message: "Quantity is required and should be greater than or equal to 0" });
-      case photo && photo.size > 1000000:
-        return res
-          .status(422)
-          .send({ success: false, message: "Photo should be less than 1mb" });
-      // Bug fix: Added validation for shipping field - Ong Chang Heng Bertrand A0253013X
-      case !shipping:
-        return res.status(422).send({ success: false, message: "Shipping is required" });
+    // Bug fix: Changed status code from 500 to 422 for validation error - Ong Chang Heng Bertrand A0253013X
+    // Bug fix: Added success: false and changed error field to message for consistency in error response structure - Ong Chang Heng Bertrand A0253013X
+    const validationError = validateProductFields(req.fields);
+    const stockPolicy = parseStockPolicy(req.fields);
+    if (validationError) {
+      return res.status(422).send({ success: false, message: validationError });
+    }
+    if (photo && photo.size > 1000000) {
+      return res
+        .status(422)
+        .send({ success: false, message: "Photo should be less than 1mb" });
+    }
+
+    // Variant options and variants are sent as JSON strings by the product form
+    const variantData = parseVariantFields(req.fields);
+    if (variantData.error) {
+      return res.status(422).send({ success: false, message: variantData.error });
+    }
+
+    const publishData = parsePublishFields(req.fields);
+    if (publishData.error) {
+      return res.status(422).send({ success: false, message: publishData.error });
+    }
+
+    const thresholdData = parseReorderThreshold(req.fields);
+    if (thresholdData.error) {
+      return res.status(422).send({ success: false, message: thresholdData.error });
+    }
+
+    if (stockPolicy.error) {
+      return res.status(422).send({ success: false, message: stockPolicy.error });
+    }
+
+    // Stock per location is sent as JSON and sets the product's, and its variants', quantity
+    const locationData = parseLocationStock(req.fields, {
+      locations: await storeLocationIds(req.fields),
+      variants: variantData.fields.variants,
+    });
+    if (locationData.error) {
+      return res.status(422).send({ success: false, message: locationData.error });
+    }
+
+    // Attributes are sent as a JSON object and checked against the category's attribute schema
+    const productCategory = await categoryModel.findById(req.fields.category).select("attributes");
+    const attributeData = parseProductAttributes(req.fields.attributes, productCategory?.attributes);
+    if (attributeData.error) {
+      return res.status(422).send({ success: false, message: attributeData.error });
+    }
+
+    // Gallery images are uploaded as "images", their order and alt text as "imageOrder"
+    const gallery = planProductImages(req.fields.imageOrder, toFileList(req.files.images));
+    if (gallery.error) {
+      return res.status(422).send({ success: false, message: gallery.error });
     }
 
     // Bug fix: Added check for existing product with the same slug to prevent duplicates - Ong Chang Heng Bertrand A0253013X
@@ -53,12 +199,38 @@ export const createProductController = async (req, res) => {
       return res.status(409).send({ success: false, message: "Product with this name already exists" });
     }
 
-    const products = new productModel({ ...req.fields, slug: slug });
+    const products = new productModel({
+      ...productFormFields(req.fields),
+      ...variantData.fields,
+      ...publishData.fields,
+      ...attributeData.fields,
+      ...thresholdData.fields,
+      ...stockPolicy.fields,
+      ...locationData.fields,
+      slug: slug,
+    });
     if (photo) {
       products.photo.data = fs.readFileSync(photo.path);
       products.photo.contentType = photo.type;
     }
-    await products.save();
+    let uploaded = [];
+    if (gallery.images.length) {
+      const stored = await storeProductImages(gallery.images);
+      products.images = stored;
+      uploaded = uploadedImageIds(gallery.images, stored);
+    }
+    await saveWithImages(products, uploaded);
+    const initialStock = {
+      product: products._id,
+      reason: STOCK_MOVEMENT_REASON.ADJUSTMENT,
+      note: "Initial stock",
+      user: req.user?._id,
+    };
+    await recordStockMovements(
+      products.locationStock?.length
+        ? locationMovements(products, locationStockChanges([], products.locationStock), 0, initialStock)
+        : [{ ...initialStock, change: products.quantity, balance: products.quantity }]
+    );
     // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
     return res.status(201).send({
       success: true,
@@ -80,7 +252,7 @@ export const createProductController = async (req, res) => {
 export const getProductController = async (req, res) => {
   try {
     const products = await productModel
-      .find({})
+      .find(listedProducts())
       .populate("category")
       .select("-photo")
       .limit(12)
@@ -107,7 +279,7 @@ export const getProductController = async (req, res) => {
 export const getSingleProductController = async (req, res) => {
   try {
     const product = await productModel
-      .findOne({ slug: req.params.slug })
+      .findOne(listedProducts({ slug: req.params.slug }))
       .select("-photo")
       .populate("category");
     // Bug fix: Added check for product existence and return 404 if not found - Ong Chang Heng Bertrand A0253013X
@@ -120,132 +292,1083 @@ export const getSingleProductController = async (req, res) => {
     // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
     return res.status(200).send({
       success: true,
-      message: "Single Product Fetched",
-      product,
+      message: "Single Product Fetched",
+      product,
+    });
+  } catch (error) {
+    console.log(error);
+    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
+    return res.status(500).send({
+      success: false,
+      message: "Error while getting single product",
+      error,
+    });
+  }
+};
+
+//get all products for the admin, whatever their status
+export const getAdminProductsController = async (req, res) => {
+  try {
+    const products = await productModel
+      .find({ archivedAt: null })
+      .populate("category")
+      .select("-photo")
+      .sort({ createdAt: -1 });
+    return res.status(200).send({
+      success: true,
+      countTotal: products.length,
+      message: "All products fetched",
+      products,
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error in getting products",
+      error: error.message,
+    });
+  }
+};
+
+//get single product for the admin, whatever its status
+export const getAdminProductController = async (req, res) => {
+  try {
+    const product = await productModel
+      .findOne({ slug: req.params.slug })
+      .select("-photo +locationStock")
+      .populate("category");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    return res.status(200).send({
+      success: true,
+      message: "Single Product Fetched",
+      product,
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error while getting single product",
+      error,
+    });
+  }
+};
+
+// products running low and out of stock, for the admin menu badge
+const countLowStock = async () => {
+  const [lowOrOut, out] = await Promise.all([
+    productModel.countDocuments({ archivedAt: null, ...lowStockFilter(STOCK_LEVEL.LOW) }),
+    productModel.countDocuments({ archivedAt: null, ...lowStockFilter(STOCK_LEVEL.OUT) }),
+  ]);
+  return { low: lowOrOut - out, out };
+};
+
+//get products at or below their reorder threshold, fewest in stock first,
+//or only those out of stock with ?level=out
+export const getLowStockProductsController = async (req, res) => {
+  try {
+    const { error, page } = parsePage(req.query.page);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const level = req.query.level || STOCK_LEVEL.LOW;
+    if (!STOCK_LEVEL_LIST.includes(level)) {
+      return res.status(422).send({ success: false, message: "Invalid stock level" });
+    }
+    const filter = { archivedAt: null, ...lowStockFilter(level) };
+    const [products, total, counts] = await Promise.all([
+      productModel
+        .find(filter)
+        .select("name slug quantity reorderThreshold stockAlert variants.sku variants.quantity")
+        .populate("category", "name")
+        .sort({ quantity: 1, _id: 1 })
+        .skip((page - 1) * LOW_STOCK_PAGE_SIZE)
+        .limit(LOW_STOCK_PAGE_SIZE)
+        .lean(),
+      productModel.countDocuments(filter),
+      countLowStock(),
+    ]);
+    res.status(200).send({
+      success: true,
+      products: products.map((product) => ({
+        ...product,
+        reorderThreshold: product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD,
+      })),
+      page,
+      perPage: LOW_STOCK_PAGE_SIZE,
+      total,
+      counts,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting low stock products",
+      error: error.message,
+    });
+  }
+};
+
+//get the number of products running low and out of stock
+export const lowStockCountsController = async (req, res) => {
+  try {
+    const counts = await countLowStock();
+    res.status(200).send({ success: true, counts });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while counting low stock products",
+      error: error.message,
+    });
+  }
+};
+
+//whether the signed-in user waits for the product to be restocked
+export const getStockSubscriptionController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const subscription = await stockSubscriptionModel
+      .findOne({ product: pid, user: req.user._id, notifiedAt: null })
+      .select("_id")
+      .lean();
+    res.status(200).send({ success: true, subscribed: Boolean(subscription) });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting stock subscription",
+      error: error.message,
+    });
+  }
+};
+
+//ask to be notified when a listed product out of stock is restocked
+export const subscribeToStockController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const product = await productModel
+      .findOne(listedProducts({ _id: pid }))
+      .select("quantity")
+      .lean();
+    if (!product) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    if (product.quantity > 0) {
+      return res.status(409).send({ success: false, message: "Product is in stock" });
+    }
+    // subscribing again after a notification waits for the next restock
+    await stockSubscriptionModel.updateOne(
+      { product: pid, user: req.user._id },
+      { $set: { notifiedAt: null } },
+      { upsert: true }
+    );
+    res.status(200).send({
+      success: true,
+      message: "We will email you when it is back in stock",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while subscribing to stock",
+      error: error.message,
+    });
+  }
+};
+
+//stop waiting for a product to be restocked
+export const unsubscribeFromStockController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    await stockSubscriptionModel.deleteOne({ product: pid, user: req.user._id });
+    res.status(200).send({
+      success: true,
+      message: "You will not be notified about this product",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while unsubscribing from stock",
+      error: error.message,
+    });
+  }
+};
+
+// get photo
+// `index` picks an image from the gallery, the first image being the primary one,
+// and the `size` query one of the PHOTO_SIZES presets
+export const productPhotoController = async (req, res) => {
+  try {
+    const size = req.query?.size || "full";
+    if (!Object.hasOwn(PHOTO_SIZES, size)) {
+      return res.status(422).send({
+        success: false,
+        message: `Photo size should be one of ${Object.keys(PHOTO_SIZES).join(", ")}`,
+      });
+    }
+    const index = req.params.index === undefined ? 0 : Number(req.params.index);
+    const product = await productModel
+      .findById(req.params.pid)
+      .select("images photo.contentType updatedAt");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const image = product.images?.[index];
+    // products created before the gallery only have the single photo, loaded only when it is sent
+    const photo =
+      !image && index === 0 && product.photo?.contentType
+        ? (await productModel.findById(req.params.pid).select("photo"))?.photo
+        : undefined;
+    if (!image && !photo?.data) {
+      if (index !== 0) {
+        return res.status(404).send({
+          success: false,
+          message: "Photo not found",
+        });
+      }
+      res.set("Content-type", PLACEHOLDER_PHOTO.contentType);
+      if (isPhotoFresh(req, res, { etag: PLACEHOLDER_PHOTO.etag })) {
+        return res.status(304).end();
+      }
+      return res.status(200).send(PLACEHOLDER_PHOTO.data);
+    }
+
+    // gallery files never change; the legacy photo is versioned by its content, as the product's
+    // updatedAt also changes with every sale
+    const version = image ? String(image.fileId) : photoVersion(photo.data);
+    res.set("Content-type", image ? image.contentType : photo.contentType);
+    if (isPhotoFresh(req, res, { etag: `"${version}-${size}"`, lastModified: product.updatedAt })) {
+      return res.status(304).end();
+    }
+
+    if (size !== "full") {
+      const data = await getResizedPhoto(version, size, () =>
+        image ? readImage(image.fileId) : photo.data
+      );
+      return res.status(200).send(data);
+    }
+    if (image) {
+      return openImageStream(image.fileId)
+        .on("error", (error) => {
+          console.log(error);
+          res.status(404).end();
+        })
+        .pipe(res);
+    }
+    return res.status(200).send(photo.data);
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Erorr while getting photo",
+      error,
+    });
+  }
+};
+
+//delete controller
+// Products are archived rather than deleted, orders keep referencing them
+export const deleteProductController = async (req, res) => {
+  try {
+    const archivedProduct = await productModel
+      .findByIdAndUpdate(req.params.pid, { archivedAt: new Date() }, { new: true })
+      .select("-photo");
+    // Bug fix: Added check for product existence and return 404 if not found - Ong Chang Heng Bertrand A0253013X
+    if (!archivedProduct) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    return res.status(200).send({
+      success: true,
+      message: "Product archived successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
+    return res.status(500).send({
+      success: false,
+      message: "Error while deleting product",
+      error,
+    });
+  }
+};
+
+//archived products
+export const getArchivedProductsController = async (req, res) => {
+  try {
+    const products = await productModel
+      .find({ archivedAt: { $ne: null } })
+      .populate("category")
+      .select("-photo")
+      .sort({ archivedAt: -1 });
+    return res.status(200).send({
+      success: true,
+      countTotal: products.length,
+      message: "Archived products fetched",
+      products,
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error in getting archived products",
+      error: error.message,
+    });
+  }
+};
+
+//restore archived product
+export const restoreProductController = async (req, res) => {
+  try {
+    const product = await productModel
+      .findOneAndUpdate(
+        { _id: req.params.pid, archivedAt: { $ne: null } },
+        { archivedAt: null },
+        { new: true }
+      )
+      .select("-photo");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Archived product not found",
+      });
+    }
+    return res.status(200).send({
+      success: true,
+      message: "Product restored successfully",
+      product,
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error while restoring product",
+      error,
+    });
+  }
+};
+
+//permanently delete archived product
+// Only archived products can be purged, so a listed product is never removed by accident
+export const purgeProductController = async (req, res) => {
+  try {
+    const deletedProduct = await productModel
+      .findOneAndDelete({ _id: req.params.pid, archivedAt: { $ne: null } })
+      .select("-photo");
+    if (!deletedProduct) {
+      return res.status(404).send({
+        success: false,
+        message: "Archived product not found",
+      });
+    }
+    await Promise.all((deletedProduct.images || []).map((image) => deleteImage(image.fileId)));
+    return res.status(200).send({
+      success: true,
+      message: "Product deleted permanently",
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error while purging product",
+      error,
+    });
+  }
+};
+
+// Queue a back in stock notification for each customer waiting for the product once it has
+// stock again. A subscription is marked notified with a conditional update, so a customer is
+// notified once per restock even when the product is saved twice at once.
+// A failed notification is logged and never fails the update.
+const notifyBackInStock = async (product) => {
+  try {
+    if (!(product.quantity > 0)) return;
+    const subscriptions = await stockSubscriptionModel
+      .find({ product: product._id, notifiedAt: null })
+      .populate("user", "name email")
+      .lean();
+    for (const subscription of subscriptions) {
+      const { modifiedCount } = await stockSubscriptionModel.updateOne(
+        { _id: subscription._id, notifiedAt: null },
+        { $set: { notifiedAt: new Date() } }
+      );
+      if (modifiedCount && subscription.user) {
+        await queueNotification(backInStockNotification(product, subscription.user));
+      }
+    }
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Move the order lines waiting for the product's stock to ready, oldest first, as far as its
+// stock now covers them. Pre-orders wait until the product stops taking pre-orders.
+// A failed release is logged and never fails the update; the next update retries it.
+const releaseAwaitingLines = async (product) => {
+  try {
+    if (product.preorder) return;
+    const orders = await orderModel
+      .find({ items: { $elemMatch: { product: product._id, status: { $in: AWAITING_STOCK_LIST } } } })
+      .sort({ createdAt: 1 })
+      .select("items")
+      .lean();
+    const lines = orders.flatMap((order) =>
+      order.items
+        .filter(
+          (item) =>
+            String(item.product) === String(product._id) && AWAITING_STOCK_LIST.includes(item.status)
+        )
+        .map((item) => ({ ...item, order: order._id }))
+    );
+    for (const line of linesToRelease(lines, product.quantity)) {
+      await orderModel.updateOne(
+        { _id: line.order, "items._id": line._id },
+        { $set: { "items.$.status": LINE_STATUS.READY } }
+      );
+    }
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+//update products
+export const updateProductController = async (req, res) => {
+  try {
+    const { name, description, price, category, quantity, shipping } =
+      req.fields;
+    const { photo } = req.files;
+    // stock sold beyond zero stays negative while the product takes pre-orders or backorders
+    const stockPolicy = parseStockPolicy(req.fields);
+    const belowZero = stockPolicy.fields?.backorderLimit ?? 0;
+    //Validation
+    switch (true) {
+      // Bug fix: Changed return status code from 500 to 422 for validation errors - Ong Chang Heng Bertrand A0253013X
+      // Bug fix: Added success: false and changed error field to message for consistency in error response structure - Ong Chang Heng Bertrand A0253013X
+      case !name:
+        return res.status(422).send({ success: false, message: "Name is required" });
+      case !description:
+        return res.status(422).send({ success: false, message: "Description is required" });
+      case price === undefined || price === null || price === "" || price < 0: // Bug fix from "!price" - Ong Chang Heng Bertrand A0253013X
+        return res.status(422).send({ success: false, message: "Price is required and should be greater than or equal to 0" });
+      case !category:
+        return res.status(422).send({ success: false, message: "Category is required" });
+      case quantity === undefined || quantity === null || quantity === ""|| quantity < -belowZero: // Bug fix from "!quantity" - Ong Chang Heng Bertrand A0253013X
+        return res.status(422).send({ success: false, message: "Quantity is required and should be greater than or equal to 0" });
+      case photo && photo.size > 1000000:
+        return res
+          .status(422)
+          .send({ success: false, message: "Photo should be less than 1mb" });
+      // Bug fix: Added validation for shipping field - Ong Chang Heng Bertrand A0253013X
+      case shipping === undefined || shipping === null || shipping === "":
+        return res.status(422).send({ success: false, message: "Shipping is required" });
+    }
+
+    // Variant options and variants are sent as JSON strings by the product form
+    const variantData = parseVariantFields(req.fields);
+    if (variantData.error) {
+      return res.status(422).send({ success: false, message: variantData.error });
+    }
+
+    const publishData = parsePublishFields(req.fields);
+    if (publishData.error) {
+      return res.status(422).send({ success: false, message: publishData.error });
+    }
+
+    const thresholdData = parseReorderThreshold(req.fields);
+    if (thresholdData.error) {
+      return res.status(422).send({ success: false, message: thresholdData.error });
+    }
+
+    if (stockPolicy.error) {
+      return res.status(422).send({ success: false, message: stockPolicy.error });
+    }
+
+    // Attributes are sent as a JSON object and checked against the category's attribute schema
+    const productCategory = await categoryModel.findById(req.fields.category).select("attributes");
+    const attributeData = parseProductAttributes(req.fields.attributes, productCategory?.attributes);
+    if (attributeData.error) {
+      return res.status(422).send({ success: false, message: attributeData.error });
+    }
+
+    // The gallery is only touched when the form sends images or a new image order
+    const uploads = toFileList(req.files.images);
+    let gallery;
+    if (uploads.length || req.fields.imageOrder !== undefined) {
+      const current = await productModel.findById(req.params.pid).select("images");
+      if (!current) {
+        return res.status(404).send({
+          success: false,
+          message: "Product not found",
+        });
+      }
+      gallery = planProductImages(req.fields.imageOrder, uploads, current.images);
+      if (gallery.error) {
+        return res.status(422).send({ success: false, message: gallery.error });
+      }
+    }
+
+    // Bug fix: Added check for existing product with the same slug to prevent duplicates - Ong Chang Heng Bertrand A0253013X
+    const slug = slugify(name);
+    const existingProduct = await productModel.findOne({ slug, _id: { $ne: req.params.pid } });
+    if (existingProduct) {
+      return res.status(409).send({ success: false, message: "Another product with this name already exists" });
+    }
+
+    // Stock per location is sent as JSON and sets the product's, and its variants', quantity
+    const locationData = parseLocationStock(req.fields, {
+      locations: await storeLocationIds(req.fields),
+      variants: variantData.fields.variants,
+      belowZero,
+    });
+    if (locationData.error) {
+      return res.status(422).send({ success: false, message: locationData.error });
+    }
+
+    const update = {
+      ...productFormFields(req.fields),
+      ...variantData.fields,
+      ...publishData.fields,
+      ...attributeData.fields,
+      ...thresholdData.fields,
+      ...stockPolicy.fields,
+      ...locationData.fields,
+      slug: slug,
+    };
+    // the update hands back the stock it replaced, so a quantity typed over it is recorded as an
+    // adjustment from the stock right before the edit, even when an order came in meanwhile
+    const previous = await productModel.findByIdAndUpdate(req.params.pid, update, {
+      new: false,
+      projection: { quantity: 1, locationStock: 1 },
+    });
+    const products = previous && (await productModel.findById(req.params.pid));
+
+    // Bug fix: Added check for product existence and return 404 if not found - Ong Chang Heng Bertrand A0253013X
+    if (!products) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (photo) {
+      products.photo.data = fs.readFileSync(photo.path);
+      products.photo.contentType = photo.type;
+    }
+    let uploaded = [];
+    if (gallery) {
+      const stored = await storeProductImages(gallery.images);
+      products.images = stored;
+      uploaded = uploadedImageIds(gallery.images, stored);
+    }
+    await saveWithImages(products, uploaded);
+    // images dropped from the gallery are only deleted once the product no longer points at them
+    if (gallery) {
+      await Promise.all(gallery.removed.map((fileId) => deleteImage(fileId)));
+    }
+    const edit = {
+      product: products._id,
+      reason: STOCK_MOVEMENT_REASON.ADJUSTMENT,
+      note: "Stock edited on the product form",
+      user: req.user?._id,
+    };
+    // stock kept per location before and after the edit is recorded per location
+    const locationChanges =
+      previous.locationStock?.length && locationData.fields.locationStock?.length
+        ? locationStockChanges(previous.locationStock, locationData.fields.locationStock)
+        : null;
+    // the stock the update set, whatever was sold since
+    const balance = Number(update.quantity);
+    await recordStockMovements(
+      locationChanges
+        ? locationMovements(products, locationChanges, previous.quantity, edit)
+        : [{ ...edit, change: balance - previous.quantity, balance }]
+    );
+    await notifyBackInStock(products);
+    await releaseAwaitingLines(products);
+    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
+    return res.status(201).send({
+      success: true,
+      message: "Product updated successfully",
+      products,
+    });
+  } catch (error) {
+    console.log(error);
+    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
+    return res.status(500).send({
+      success: false,
+      error,
+      message: "Error in updating product",
+    });
+  }
+};
+
+// Adds an empty stock entry for the SKU at the location unless the product has one, so stock can
+// be added or transferred there
+const addLocationEntry = (product, location, sku) =>
+  productModel.updateOne(
+    { _id: product, locationStock: { $not: { $elemMatch: { location, sku } } } },
+    { $push: { locationStock: { location, sku, quantity: 0 } } }
+  );
+
+// adjust stock
+// Adds units to, or takes units out of, the product or one of its variants and records the
+// change in the stock ledger with its reason. A product stocked per location is adjusted at one
+// of its locations. Restocked products notify their subscribers and release the order lines
+// waiting for them; reduced ones may alert the admins.
+export const adjustStockController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const { variant, location } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    if (variant && !mongoose.Types.ObjectId.isValid(variant)) {
+      return res.status(422).send({ success: false, message: "Invalid variant id" });
+    }
+    if (location && !mongoose.Types.ObjectId.isValid(location)) {
+      return res.status(422).send({ success: false, message: "Invalid location id" });
+    }
+    const { error, fields } = parseStockAdjustment(req.body);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+
+    const current = await productModel
+      .findOne(lineFilter({ product: pid, variant }))
+      .select("variants locationStock");
+    if (!current) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    const stocked = current.locationStock?.length > 0;
+    if (stocked && !location) {
+      return res.status(422).send({ success: false, message: "Choose the location to adjust" });
+    }
+    if (!stocked && location) {
+      return res.status(422).send({ success: false, message: "Product is not stocked per location" });
+    }
+    const sku = current.variants?.find((v) => String(v._id) === variant)?.sku || "";
+    if (location) {
+      if (!(await locationModel.exists({ _id: location }))) {
+        return res.status(404).send({ success: false, message: "Location not found" });
+      }
+      if (fields.change > 0) await addLocationEntry(pid, location, sku);
+    }
+
+    const adjustment = { product: pid, variant, sku, location, change: fields.change };
+    const product = await productModel.findOneAndUpdate(
+      adjustmentFilter(adjustment),
+      adjustmentChange(adjustment),
+      {
+        new: true,
+        projection: { name: 1, slug: 1, quantity: 1, preorder: 1, variants: 1, locationStock: 1 },
+        ...(location && { arrayFilters: locationArrayFilters(adjustment) }),
+      }
+    );
+    if (!product) {
+      return res.status(409).send({ success: false, message: "Not enough stock to take out" });
+    }
+
+    const movement = {
+      product: product._id,
+      variant: variant || null,
+      sku,
+      location: location || null,
+      change: fields.change,
+      balance: product.quantity,
+      reason: fields.reason,
+      note: fields.note,
+      user: req.user._id,
+    };
+    await recordStockMovements([movement]);
+    if (fields.change > 0) {
+      // the update skips the save hook, so the stock alert is cleared here once above the threshold
+      await productModel.updateOne(
+        { _id: product._id, $expr: { $gt: ["$quantity", reorderThresholdExpr] } },
+        { $set: { stockAlert: null } }
+      );
+      await notifyBackInStock(product);
+      await releaseAwaitingLines(product);
+    } else {
+      await alertLowStock([adjustment]);
+    }
+    res.status(200).send({
+      success: true,
+      message: "Stock adjusted",
+      product: {
+        _id: product._id,
+        quantity: product.quantity,
+        variants: product.variants,
+        locationStock: product.locationStock,
+      },
+      movement,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adjusting stock",
+      error: error.message,
+    });
+  }
+};
+
+// Adds the units to the SKU's stock at the location, adding its entry when the product has none
+// yet, and returns the updated product
+const addLocationUnits = async (product, { location, sku, quantity }, options) =>
+  (await productModel.findOneAndUpdate(
+    { _id: product, locationStock: { $not: { $elemMatch: { location, sku } } } },
+    { $push: { locationStock: { location, sku, quantity } } },
+    options
+  )) ||
+  productModel.findOneAndUpdate(
+    { _id: product },
+    { $inc: { "locationStock.$[to].quantity": quantity } },
+    { ...options, arrayFilters: [{ "to.location": location, "to.sku": sku }] }
+  );
+
+// transfer stock
+// Moves units of a product stocked per location, or of one of its variants, from one of its
+// locations to another, only while the first location holds them. The target location's entry
+// is only added once the units are taken out. The product's stock is unchanged; the transfer is
+// recorded in the stock ledger as a movement out of one location and into the other.
+export const transferStockController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const { error, fields } = parseStockTransfer(req.body);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+
+    const current = await productModel
+      .findOne(lineFilter({ product: pid, variant: fields.variant }))
+      .select("variants locationStock");
+    if (!current) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    if (!current.locationStock?.length) {
+      return res.status(422).send({ success: false, message: "Product is not stocked per location" });
+    }
+    if (current.variants?.length && !fields.variant) {
+      return res.status(422).send({ success: false, message: "Choose the variant to transfer" });
+    }
+    const locations = await locationModel.countDocuments({ _id: { $in: [fields.from, fields.to] } });
+    if (locations < 2) {
+      return res.status(404).send({ success: false, message: "Location not found" });
+    }
+    const sku = current.variants?.find((v) => String(v._id) === fields.variant)?.sku || "";
+    const entryAt = (location) =>
+      current.locationStock.find((entry) => String(entry.location) === location && entry.sku === sku);
+    if ((entryAt(fields.from)?.quantity ?? 0) < fields.quantity) {
+      return res.status(409).send({ success: false, message: "Not enough stock to transfer" });
+    }
+
+    // the target's entry is moved into in the same update when there is one, else added after
+    const hasTarget = Boolean(entryAt(fields.to));
+    const options = { new: true, projection: { quantity: 1, variants: 1, locationStock: 1 } };
+    let product = await productModel.findOneAndUpdate(
+      {
+        _id: pid,
+        locationStock: { $elemMatch: { location: fields.from, sku, quantity: { $gte: fields.quantity } } },
+      },
+      {
+        $inc: {
+          "locationStock.$[from].quantity": -fields.quantity,
+          ...(hasTarget && { "locationStock.$[to].quantity": fields.quantity }),
+        },
+      },
+      {
+        ...options,
+        arrayFilters: [
+          { "from.location": fields.from, "from.sku": sku },
+          ...(hasTarget ? [{ "to.location": fields.to, "to.sku": sku }] : []),
+        ],
+      }
+    );
+    if (!product) {
+      return res.status(409).send({ success: false, message: "Not enough stock to transfer" });
+    }
+    if (!hasTarget) {
+      product = await addLocationUnits(pid, { location: fields.to, sku, quantity: fields.quantity }, options);
+    }
+
+    const transfer = {
+      product: product._id,
+      variant: fields.variant,
+      sku,
+      balance: product.quantity,
+      reason: STOCK_MOVEMENT_REASON.TRANSFER,
+      note: fields.note,
+      user: req.user._id,
+    };
+    const movements = [
+      { ...transfer, location: fields.from, change: -fields.quantity },
+      { ...transfer, location: fields.to, change: fields.quantity },
+    ];
+    await recordStockMovements(movements);
+    res.status(200).send({
+      success: true,
+      message: "Stock transferred",
+      product: {
+        _id: product._id,
+        quantity: product.quantity,
+        variants: product.variants,
+        locationStock: product.locationStock,
+      },
+      movements,
     });
   } catch (error) {
     console.log(error);
-    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
-    return res.status(500).send({
+    res.status(500).send({
       success: false,
-      message: "Error while getting single product",
-      error,
+      message: "Error while transferring stock",
+      error: error.message,
     });
   }
 };
 
-// get photo
-export const productPhotoController = async (req, res) => {
+// get the stock history of a product, newest first
+export const getStockMovementsController = async (req, res) => {
   try {
-    const product = await productModel.findById(req.params.pid).select("photo");
-    if (product.photo.data) {
-      res.set("Content-type", product.photo.contentType);
-      return res.status(200).send(product.photo.data);
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
     }
+    const { error, page } = parsePage(req.query.page);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const [movements, total] = await Promise.all([
+      stockMovementModel
+        .find({ product: pid })
+        .populate("user", "name")
+        .populate("location", "name")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * STOCK_MOVEMENT_PAGE_SIZE)
+        .limit(STOCK_MOVEMENT_PAGE_SIZE)
+        .lean(),
+      stockMovementModel.countDocuments({ product: pid }),
+    ]);
+    res.status(200).send({
+      success: true,
+      movements,
+      page,
+      perPage: STOCK_MOVEMENT_PAGE_SIZE,
+      total,
+    });
   } catch (error) {
     console.log(error);
     res.status(500).send({
       success: false,
-      message: "Erorr while getting photo",
-      error,
+      message: "Error while getting stock history",
+      error: error.message,
     });
   }
 };
 
-//delete controller
-export const deleteProductController = async (req, res) => {
+// Columns of the product CSV, shared by the import and the export so an export can be re-imported
+export const PRODUCT_CSV_COLUMNS = [
+  "name",
+  "description",
+  "price",
+  "category",
+  "quantity",
+  "shipping",
+  "variantOptions",
+  "variants",
+  "attributes",
+];
+const REQUIRED_CSV_COLUMNS = PRODUCT_CSV_COLUMNS.slice(0, 6);
+const SHIPPING_VALUES = { yes: "1", true: "1", 1: "1", no: "0", false: "0", 0: "0" };
+
+//import products from csv
+// Every row is checked with the create product rules; valid rows are imported and the
+// others reported with their line number. A dry run only reports what would happen.
+export const importProductsController = async (req, res) => {
   try {
-    const deletedProduct = await productModel.findByIdAndDelete(req.params.pid).select("-photo");
-    // Bug fix: Added check for product existence and return 404 if not found - Ong Chang Heng Bertrand A0253013X
-    if (!deletedProduct) {
-      return res.status(404).send({
+    const { file } = req.files;
+    const dryRun = ["true", "1"].includes(String(req.fields.dryRun ?? req.query.dryRun));
+    if (!file) {
+      return res.status(422).send({ success: false, message: "CSV file is required" });
+    }
+
+    let records;
+    try {
+      records = parseCsv(fs.readFileSync(file.path, "utf8"));
+    } catch (error) {
+      return res.status(422).send({ success: false, message: error.message });
+    }
+    const [header = [], ...rows] = records;
+    const columns = header.map((column) => column.trim());
+    const missing = REQUIRED_CSV_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length) {
+      return res.status(422).send({
         success: false,
-        message: "Product not found",
+        message: `CSV is missing the columns: ${missing.join(", ")}`,
+      });
+    }
+    if (!rows.length) {
+      return res.status(422).send({ success: false, message: "CSV has no product rows" });
+    }
+
+    // categories can be given by name or slug, case insensitive
+    const categories = await categoryModel.find({});
+    const findCategory = (value) =>
+      categories.find(
+        (c) => c.slug?.toLowerCase() === value.toLowerCase() || c.name?.toLowerCase() === value.toLowerCase()
+      );
+    const nameIndex = columns.indexOf("name");
+    const existingProducts = await productModel
+      .find({ slug: { $in: rows.map((values) => slugify((values[nameIndex] ?? "").trim())) } })
+      .select("slug");
+    const slugs = new Set(existingProducts.map((p) => p.slug));
+
+    const errors = [];
+    const valid = [];
+    rows.forEach((values, index) => {
+      // line 1 is the header
+      const row = index + 2;
+      const fields = Object.fromEntries(
+        columns.map((column, i) => [column, (values[i] ?? "").trim()])
+      );
+      const shipping = SHIPPING_VALUES[fields.shipping.toLowerCase()];
+      const category = fields.category && findCategory(fields.category);
+      const variantData = parseVariantFields(fields);
+      const attributeData = category ? parseProductAttributes(fields.attributes, category.attributes) : {};
+
+      const message =
+        validateProductFields({ ...fields, shipping: fields.shipping && shipping }) ||
+        (Number.isNaN(Number(fields.price)) && "Price should be a number") ||
+        (Number.isNaN(Number(fields.quantity)) && "Quantity should be a number") ||
+        (!category && `Category ${fields.category} not found`) ||
+        variantData.error ||
+        attributeData.error;
+      if (message) {
+        errors.push({ row, message });
+        return;
+      }
+      const slug = slugify(fields.name);
+      if (slugs.has(slug)) {
+        errors.push({ row, message: "Product with this name already exists" });
+        return;
+      }
+      slugs.add(slug);
+      valid.push({
+        row,
+        product: {
+          name: fields.name,
+          description: fields.description,
+          price: Number(fields.price),
+          category: category._id,
+          quantity: Number(fields.quantity),
+          shipping: shipping === "1",
+          ...variantData.fields,
+          ...attributeData.fields,
+          slug,
+        },
       });
+    });
+
+    let imported = 0;
+    if (!dryRun) {
+      const movements = [];
+      for (const { row, product } of valid) {
+        try {
+          const created = new productModel(product);
+          await created.save();
+          imported++;
+          movements.push({
+            product: created._id,
+            change: product.quantity,
+            balance: product.quantity,
+            reason: STOCK_MOVEMENT_REASON.IMPORT,
+            note: `Imported from CSV row ${row}`,
+            user: req.user?._id,
+          });
+        } catch (error) {
+          console.log(error);
+          errors.push({ row, message: error.message });
+        }
+      }
+      errors.sort((a, b) => a.row - b.row);
+      await recordStockMovements(movements);
     }
+
     return res.status(200).send({
       success: true,
-      message: "Product deleted successfully",
+      message: dryRun
+        ? `${valid.length} of ${rows.length} rows are valid`
+        : `Imported ${imported} of ${rows.length} products`,
+      dryRun,
+      total: rows.length,
+      valid: valid.length,
+      imported,
+      errors,
     });
   } catch (error) {
     console.log(error);
-    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
     return res.status(500).send({
       success: false,
-      message: "Error while deleting product",
       error,
+      message: "Error while importing products",
     });
   }
 };
 
-//update products
-export const updateProductController = async (req, res) => {
+//export products to csv
+export const exportProductsController = async (req, res) => {
   try {
-    const { name, description, price, category, quantity, shipping } =
-      req.fields;
-    const { photo } = req.files;
-    //Validation
-    switch (true) {
-      // Bug fix: Changed return status code from 500 to 422 for validation errors - Ong Chang Heng Bertrand A0253013X
-      // Bug fix: Added success: false and changed error field to message for consistency in error response structure - Ong Chang Heng Bertrand A0253013X
-      case !name:
-        return res.status(422).send({ success: false, message: "Name is required" });
-      case !description:
-        return res.status(422).send({ success: false, message: "Description is required" });
-      case price === undefined || price === null || price === "" || price < 0: // Bug fix from "!price" - Ong Chang Heng Bertrand A0253013X
-        return res.status(422).send({ success: false, message: "Price is required and should be greater than or equal to 0" });
-      case !category:
-        return res.status(422).send({ success: false, message: "Category is required" });
-      case quantity === undefined || quantity === null || quantity === ""|| quantity < 0: // Bug fix from "!quantity" - Ong Chang Heng Bertrand A0253013X
-        return res.status(422).send({ success: false, message: "Quantity is required and should be greater than or equal to 0" });
-      case photo && photo.size > 1000000:
-        return res
-          .status(422)
-          .send({ success: false, message: "Photo should be less than 1mb" });
-      // Bug fix: Added validation for shipping field - Ong Chang Heng Bertrand A0253013X
-      case shipping === undefined || shipping === null || shipping === "":
-        return res.status(422).send({ success: false, message: "Shipping is required" });
-    }
-
-    // Bug fix: Added check for existing product with the same slug to prevent duplicates - Ong Chang Heng Bertrand A0253013X
-    const slug = slugify(name);
-    const existingProduct = await productModel.findOne({ slug, _id: { $ne: req.params.pid } });
-    if (existingProduct) {
-      return res.status(409).send({ success: false, message: "Another product with this name already exists" });
-    }
-
-    const products = await productModel.findByIdAndUpdate(
-      req.params.pid,
-      { ...req.fields, slug: slug },
-      { new: true },
-    );
-
-    // Bug fix: Added check for product existence and return 404 if not found - Ong Chang Heng Bertrand A0253013X
-    if (!products) {
-      return res.status(404).send({
-        success: false,
-        message: "Product not found",
-      });
-    }
-
-    if (photo) {
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
-    }
-    await products.save();
-    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
-    return res.status(201).send({
-      success: true,
-      message: "Product updated successfully",
-      products,
-    });
+    // drafts and scheduled products are part of the catalog too
+    const products = await productModel
+      .find({ archivedAt: null })
+      .select("-photo")
+      .populate("category")
+      .sort({ createdAt: 1 })
+      .lean();
+    const rows = products.map((p) => [
+      p.name,
+      p.description,
+      p.price,
+      p.category?.slug ?? "",
+      p.quantity,
+      p.shipping ? "yes" : "no",
+      p.variantOptions?.length ? JSON.stringify(p.variantOptions) : "",
+      // variant ids belong to this catalog, an import creates new ones
+      p.variants?.length ? JSON.stringify(p.variants.map(({ _id, ...variant }) => variant)) : "",
+      p.attributes && Object.keys(p.attributes).length ? JSON.stringify(p.attributes) : "",
+    ]);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="products.csv"');
+    return res.status(200).send(toCsv([PRODUCT_CSV_COLUMNS, ...rows]));
   } catch (error) {
     console.log(error);
-    // Bug fix: Added 'return' keyword - Ong Chang Heng Bertrand A0253013X
     return res.status(500).send({
       success: false,
+      message: "Error while exporting products",
       error,
-      message: "Error in updating product",
     });
   }
 };
@@ -253,8 +1376,8 @@ export const updateProductController = async (req, res) => {
 // filters
 export const productFiltersController = async (req, res) => {
   try {
-    const { checked, radio } = req.body;
-    let args = {};
+    const { checked, radio, attributes } = req.body;
+    let args = listedProducts(attributeConditions(attributes));
     if (checked.length > 0) args.category = checked;
     if (radio.length) args.price = { $gte: radio[0], $lte: radio[1] };
     // Bug fix: Remove photo from results to reduce payload size and improve performance - Ong Chang Heng Bertrand A0253013X
@@ -276,7 +1399,8 @@ export const productFiltersController = async (req, res) => {
 // product count
 export const productCountController = async (req, res) => {
   try {
-    const total = await productModel.find({}).estimatedDocumentCount();
+    // estimatedDocumentCount ignores the filter, archived products must not be counted
+    const total = await productModel.countDocuments(listedProducts());
     res.status(200).send({
       success: true,
       total,
@@ -291,20 +1415,30 @@ export const productCountController = async (req, res) => {
   }
 };
 
-// product list base on page
+// product list one page at a time, e.g. ?sort=price-asc&limit=12&cursor=<nextCursor of the last page>
+// Paging after the last product seen stays fast and does not repeat products added meanwhile;
+// /product-list/:page is still served for clients paging by number.
 export const productListController = async (req, res) => {
   try {
-    const perPage = 6;
-    const page = req.params.page ? req.params.page : 1;
-    const products = await productModel
-      .find({})
+    const { error, list } = parseListQuery(req.query);
+    const { error: pageError, page } = parsePage(req.params.page);
+    if (error || pageError) {
+      return res.status(422).send({ success: false, message: error || pageError });
+    }
+    const filter = listedProducts(list.cursor ? afterCursor(list.fields, list.cursor) : {});
+    const found = await productModel
+      .find(filter)
       .select("-photo")
-      .skip((page - 1) * perPage)
-      .limit(perPage)
-      .sort({ createdAt: -1 });
+      // the cursor already skips the products of the earlier pages
+      .skip(list.cursor ? 0 : (page - 1) * list.limit)
+      // one product more than the page, to know whether there is a next page
+      .limit(list.limit + 1)
+      .sort(sortStage(list.fields));
+    const { products, nextCursor } = toCursorPage(found, list);
     res.status(200).send({
       success: true,
       products,
+      nextCursor,
     });
   } catch (error) {
     console.log(error);
@@ -320,10 +1454,12 @@ export const productListController = async (req, res) => {
 export const searchProductController = async (req, res) => {
   try {
     const { keyword } = req.params;
+    // synonyms of the words are searched too, stop words are left out
+    const { groups } = rewriteQuery(keyword, await loadSearchDictionary());
 
     const results = await productModel
       // Bug fix: Use text index search for better relevance and performance instead of regex - Ong Chang Heng Bertrand A0253013X
-      .find({ $text: { $search: keyword } })
+      .find(listedProducts({ $text: { $search: groups.length ? groups.flat().join(" ") : keyword } }))
       .select("-photo")
       .lean();
     res.json(results);
@@ -337,22 +1473,177 @@ export const searchProductController = async (req, res) => {
   }
 };
 
-// similar products
+// counts a searched keyword for the popular query suggestions; the count starts again when the
+// keyword was last searched before the popular days, so it only counts the recent searches.
+// A failure here must not fail the search itself
+const recordSearchQuery = async (keyword) => {
+  const now = new Date();
+  try {
+    await searchQueryModel.updateOne(
+      { query: storedQuery(keyword) },
+      [
+        {
+          $set: {
+            count: {
+              $cond: [{ $gte: ["$lastSearchedAt", popularSince(now)] }, { $add: ["$count", 1] }, 1],
+            },
+            lastSearchedAt: now,
+          },
+        },
+      ],
+      { upsert: true }
+    );
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// search with keyword, category, price and stock filters, sorting and paging in one query,
+// together with the facet counts per category and price bucket
+export const productSearchController = async (req, res) => {
+  try {
+    const { error, search } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    if (search.keyword) {
+      search.terms = rewriteQuery(search.keyword, await loadSearchDictionary()).groups;
+    }
+    const [result] = await productModel.aggregate(searchPipeline(search));
+    // count the keyword once per search, not for every page loaded: later pages come with the
+    // cursor of the previous one, or a page number from older clients
+    if (search.keyword && search.page === 1 && !search.cursor) {
+      await recordSearchQuery(search.keyword);
+    }
+    const categories = await categoryModel
+      .find({ _id: { $in: result.categories.map((c) => c._id) } })
+      .select("name slug")
+      .lean();
+    const { products, nextCursor } = toCursorPage(result.products, search);
+    return res.status(200).send({
+      success: true,
+      products,
+      total: result.total[0]?.count || 0,
+      page: search.page,
+      perPage: search.limit,
+      nextCursor,
+      facets: {
+        categories: categories.map((category) => ({
+          ...category,
+          count: result.categories.find((c) => String(c._id) === String(category._id)).count,
+        })),
+        prices: toPriceFacets(result.prices),
+      },
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error in product search",
+      error: error.message,
+    });
+  }
+};
+
+// suggestions while typing in the search box: matching product names, categories and
+// popular recent queries, each with the fragments matching the typed text
+export const searchSuggestionsController = async (req, res) => {
+  try {
+    const typed = String(req.query.q ?? "").trim();
+    if (typed.length > MAX_SUGGESTION_LENGTH) {
+      return res.status(422).send({
+        success: false,
+        message: `Search text should be at most ${MAX_SUGGESTION_LENGTH} characters`,
+      });
+    }
+    if (!typed) {
+      return res.status(200).send({ success: true, products: [], categories: [], queries: [] });
+    }
+    const [products, categories, queries] = await Promise.all([
+      productModel
+        .find(listedProducts({ name: wordPrefixRegex(typed) }))
+        .select("name slug")
+        .sort({ name: 1 })
+        .limit(SUGGESTION_LIMITS.products)
+        .lean(),
+      categoryModel
+        .find({ name: wordPrefixRegex(typed) })
+        .select("name slug")
+        .sort({ name: 1 })
+        .limit(SUGGESTION_LIMITS.categories)
+        .lean(),
+      searchQueryModel
+        .find({
+          query: { $regex: `^${escapeRegex(normalizeQuery(typed))}` },
+          lastSearchedAt: { $gte: popularSince() },
+          count: { $gte: MIN_POPULAR_QUERY_COUNT },
+        })
+        .select("query")
+        .sort({ count: -1 })
+        .limit(SUGGESTION_LIMITS.queries)
+        .lean(),
+    ]);
+    return res.status(200).send({
+      success: true,
+      products: products.map((p) => ({ ...p, highlight: highlightFragments(p.name, typed) })),
+      categories: categories.map((c) => ({ ...c, highlight: highlightFragments(c.name, typed) })),
+      queries: queries.map(({ query }) => ({ query, highlight: highlightFragments(query, typed) })),
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(500).send({
+      success: false,
+      message: "Error in getting search suggestions",
+      error: error.message,
+    });
+  }
+};
+
+// Listed products most often bought in the same orders as the given ones, topped up with
+// listed products of the given categories when too few orders contain them.
+// boughtTogether is how many of the products come from the orders.
+const recommendProducts = async (ids, categories, limit) => {
+  const bought = await orderModel.aggregate(coPurchasePipeline(ids, limit));
+  const boughtIds = bought.map((product) => product._id);
+  const together = boughtIds.length
+    ? orderByIds(
+        await productModel
+          .find(listedProducts({ _id: { $in: boughtIds } }))
+          .select("-photo")
+          .lean()
+          .populate("category"),
+        boughtIds
+      ).slice(0, limit)
+    : [];
+  if (together.length >= limit) return { products: together, boughtTogether: together.length };
+
+  const similar = await productModel
+    .find(
+      listedProducts({
+        category: { $in: categories },
+        _id: { $nin: [...ids, ...together.map((product) => product._id)] },
+      })
+    )
+    .select("-photo")
+    .limit(limit - together.length)
+    .lean()
+    .populate("category");
+  return { products: [...together, ...similar], boughtTogether: together.length };
+};
+
+// similar products: customers also bought, then the same category
 export const realtedProductController = async (req, res) => {
   try {
     const { pid, cid } = req.params;
-    const products = await productModel
-      .find({
-        category: cid,
-        _id: { $ne: pid },
-      })
-      .select("-photo")
-      .limit(3)
-      .lean()
-      .populate("category");
+    const { error } = parseProductIds([pid]);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const { products, boughtTogether } = await recommendProducts([pid], [cid], RELATED_LIMIT);
     res.status(200).send({
       success: true,
       products,
+      boughtTogether,
     });
   } catch (error) {
     console.log(error);
@@ -364,6 +1655,69 @@ export const realtedProductController = async (req, res) => {
   }
 };
 
+// frequently bought together with the products of a cart, e.g. ?products=id1,id2
+export const frequentlyBoughtTogetherController = async (req, res) => {
+  try {
+    const { error, ids } = parseProductIds(req.query.products);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    if (!ids.length) {
+      return res.status(200).send({ success: true, products: [], boughtTogether: 0 });
+    }
+    const categories = await productModel.distinct("category", { _id: { $in: ids } });
+    const { products, boughtTogether } = await recommendProducts(
+      ids,
+      categories,
+      CART_RECOMMENDATION_LIMIT
+    );
+    res.status(200).send({
+      success: true,
+      products,
+      boughtTogether,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting frequently bought together products",
+      error: error.message,
+    });
+  }
+};
+
+// products to compare side by side with their category's attributes, e.g. ?products=id1,id2
+export const compareProductsController = async (req, res) => {
+  try {
+    const { error, ids } = parseCompareIds(req.query.products);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const products = await productModel
+      .find(listedProducts({ _id: { $in: ids } }))
+      .select("-photo")
+      .lean()
+      .populate("category");
+    if (!isSameCategory(products)) {
+      return res.status(422).send({
+        success: false,
+        message: "Only products from the same category can be compared",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      products: orderByIds(products, ids),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while comparing products",
+      error: error.message,
+    });
+  }
+};
+
 // get prdocyst by catgory
 export const productCategoryController = async (req, res) => {
   try {
@@ -378,7 +1732,7 @@ export const productCategoryController = async (req, res) => {
     }
 
     const products = await productModel
-      .find({ category: category._id })
+      .find(listedProducts({ category: category._id }))
       // Bug fix: Remove photo from results to reduce payload size and improve performance - Ong Chang Heng Bertrand A0253013X
       .select("-photo")
       .lean()
@@ -423,6 +1777,114 @@ export const braintreeTokenController = async (req, res) => {
   }
 };
 
+// put the reserved order lines back in stock, at the location each was reserved from
+const releaseStock = async (items) => {
+  for (const item of items) {
+    if (item.location) {
+      await productModel.updateOne(lineFilter(item), locationStockChange(item, 1), {
+        arrayFilters: locationArrayFilters(item),
+      });
+    } else {
+      await productModel.updateOne(lineFilter(item), stockChange(item, 1));
+    }
+  }
+};
+
+// Reserve an order line, from the first location of the product's `locationStock` that can
+// fulfil it (see fulfilmentPlan) when the product is stocked per location. Returns the product
+// as updated, or null when the line could not be reserved, and the location reserved from.
+const reserveLine = async (item, locationStock) => {
+  const projection = { quantity: 1, preorder: 1 };
+  const plan = fulfilmentPlan(locationStock, item);
+  for (const { location, whole } of plan) {
+    const line = { ...item, location };
+    const product = await productModel.findOneAndUpdate(
+      locationFilter(line, whole),
+      locationStockChange(line, -1),
+      { new: true, projection, arrayFilters: locationArrayFilters(line) }
+    );
+    if (product) return { product, location };
+  }
+  if (plan.length) return { product: null };
+  const product = await productModel.findOneAndUpdate(inStockFilter(item), stockChange(item, -1), {
+    new: true,
+    projection,
+  });
+  return { product };
+};
+
+// Reserve the order lines one by one, each only while enough is left in stock or within the
+// product's backorder limit, from the stock per location of the `products` ordered. Returns the
+// reserved lines with their status (see lineStatus) and the location fulfilling them, the stock of
+// their product after each reservation, and the lines that could not be reserved; when some are
+// missing, or a reservation fails, the reserved ones are put back.
+const reserveStock = async (items, products) => {
+  const reserved = [];
+  const balances = [];
+  const missing = [];
+  const locationStock = new Map(products.map((product) => [String(product._id), product.locationStock]));
+  try {
+    for (const item of items) {
+      const { product, location } = await reserveLine(item, locationStock.get(String(item.product)));
+      if (!product) {
+        missing.push(item);
+        continue;
+      }
+      reserved.push({
+        ...item,
+        ...(location && { location }),
+        status: item.variant ? LINE_STATUS.READY : lineStatus(product),
+      });
+      balances.push(product.quantity);
+    }
+  } catch (error) {
+    await releaseStock(reserved);
+    throw error;
+  }
+  if (missing.length) await releaseStock(reserved);
+  return { reserved, balances, missing };
+};
+
+// Void a charged sale that could not be saved as an order. A void that fails is logged, the
+// admins refund it by hand from the payment gateway.
+const voidSale = async (result) => {
+  try {
+    await new Promise((resolve, reject) => {
+      gateway.transaction.void(result.transaction.id, (error, voided) => {
+        if (error) reject(error);
+        else if (voided.success) resolve(voided);
+        else reject(new Error(voided.message));
+      });
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Queue an alert for each ordered product that went low or out of stock. The stock alert is
+// moved with a conditional update, so only one of several orders at once queues the alert, and
+// it is not sent again until the product is restocked (see the productModel save hook).
+// A failed alert is logged and never fails the order.
+const alertLowStock = async (items) => {
+  try {
+    const products = await productModel
+      .find({ _id: { $in: [...new Set(items.map((item) => String(item.product)))] } })
+      .select("name quantity reorderThreshold stockAlert")
+      .lean();
+    for (const product of products) {
+      const level = stockLevel(product.quantity, product.reorderThreshold);
+      if (!level || level === product.stockAlert) continue;
+      const { modifiedCount } = await productModel.updateOne(
+        { _id: product._id, stockAlert: product.stockAlert ?? null },
+        { $set: { stockAlert: level } }
+      );
+      if (modifiedCount) await queueNotification(stockAlertNotification(product, level));
+    }
+  } catch (error) {
+    console.log(error);
+  }
+};
+
 //payment
 // Refactor: Update function name to match with module naming convention - YAN WEIDONG A0258151H
 export const braintreePaymentController = async (req, res) => {
@@ -445,48 +1907,91 @@ export const braintreePaymentController = async (req, res) => {
     }
 
     // Refactor: Use reduce for calculating total and add validation for price - YAN WEIDONG A0258151H
-    let total = cart.reduce((sum, item) => {
+    // The card is charged the saved prices of the order lines, not these.
+    cart.forEach((item) => {
       // Fix: Check for number type and non-negative instead of falsy check
       // This allows price = 0 (free items) but rejects undefined, null, strings, and negative values
       if (typeof item.price !== "number" || isNaN(item.price) || item.price < 0) {
         throw new Error("Invalid price in cart item");
       }
-      return sum + item.price;
-    }, 0);
+    });
+
+    // Each cart entry is one unit, so reserve stock by the number of entries per product/variant.
+    // Cart entries carry the product's stock in `quantity`, which must not be used as the amount bought.
+    // The stock is reserved before the card is charged, so nothing is sold that is not in stock.
+    // The variants of the lines, with their prices, and the stock per location are the saved ones.
+    const saved = await productModel
+      .find({ _id: { $in: [...new Set(cart.filter((item) => item._id).map((item) => String(item._id)))] } })
+      .select("price variants locationStock")
+      .lean();
+    const items = groupCartItems(cart, saved);
+    const { reserved, balances, missing } = await reserveStock(items, saved);
+    if (missing.length) {
+      const products = await productModel
+        .find({ _id: { $in: missing.map((item) => item.product) } })
+        .select("name quantity preorder backorder backorderLimit variants")
+        .lean();
+      return res.status(409).send({
+        success: false,
+        message: "Some items in your cart are out of stock",
+        outOfStock: outOfStockItems(missing, products),
+      });
+    }
 
     // Refactor: Use Promise-based approach to improve readability - YAN WEIDONG A0258151H
-    const result = await new Promise((resolve, reject) => {
-      gateway.transaction.sale(
-        {
-          amount: total,
-          paymentMethodNonce: nonce,
-          options: {
-            submitForSettlement: true,
+    let result;
+    try {
+      result = await new Promise((resolve, reject) => {
+        gateway.transaction.sale(
+          {
+            amount: orderTotal(reserved),
+            paymentMethodNonce: nonce,
+            options: {
+              submitForSettlement: true,
+            },
           },
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else if (result.success) resolve(result);
-          else reject(new Error(result.message));
-        },
-      );
-    });
-
-    // Bug fix: Ensure quantity is decremented properly and handle cases where quantity might be missing - Ong Chang Heng Bertrand A0253013X
-    for (const item of cart) {
-      if (item._id) {
-        await productModel.findByIdAndUpdate(item._id, {
-          $inc: { quantity: -item.quantity || -1 },
-        });
-      }
+          (error, result) => {
+            if (error) reject(error);
+            else if (result.success) resolve(result);
+            else reject(new Error(result.message));
+          },
+        );
+      });
+    } catch (error) {
+      // the payment failed, so the reserved stock goes back on sale where it was reserved
+      await releaseStock(reserved);
+      throw error;
     }
 
     // Save order with proper await
-    const order = await new orderModel({
-      products: cart,
-      payment: result,
-      buyer: req.user._id,
-    }).save();
+    let order;
+    try {
+      order = await new orderModel({
+        products: cart,
+        items: reserved,
+        payment: result,
+        buyer: req.user._id,
+      }).save();
+    } catch (error) {
+      // nothing was sold without the order, so the charge is voided and the stock put back
+      await voidSale(result);
+      await releaseStock(reserved);
+      throw error;
+    }
+    await recordStockMovements(
+      reserved.map((item, index) => ({
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        location: item.location,
+        change: -item.quantity,
+        balance: balances[index],
+        reason: STOCK_MOVEMENT_REASON.SALE,
+        user: req.user._id,
+        order: order._id,
+      }))
+    );
+    await alertLowStock(items);
 
     res.json({ ok: true, order });
   } catch (error) {
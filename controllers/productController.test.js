@@ -5,16 +5,27 @@
 
 import { getProductController, getSingleProductController, createProductController, updateProductController, deleteProductController } from './productController.js';
 import productModel from '../models/productModel.js';
+import categoryModel from '../models/categoryModel.js';
 import fs from 'fs';
 import slugify from 'slugify';
+import { deleteImage, storeProductImages } from '../helpers/imageStore.js';
 
 jest.mock('braintree');
+jest.mock('../helpers/imageStore.js');
+jest.mock('../helpers/stockLedger.js');
 
 jest.mock('../models/productModel.js');
+jest.mock('../models/categoryModel.js');
 jest.mock('fs');
 jest.mock('slugify');
 
 describe('ProductController', () => {
+  beforeEach(() => {
+    // the product's category defines no attributes unless a test says otherwise
+    categoryModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue({ attributes: [] }),
+    });
+  });
 
   /*
     Test cases for getProductController:
@@ -221,7 +232,9 @@ describe('ProductController', () => {
 
         await getSingleProductController(req, res);
 
-        expect(productModel.findOne).toHaveBeenCalledWith({ slug: 'test-product' });
+        expect(productModel.findOne).toHaveBeenCalledWith(
+          expect.objectContaining({ slug: 'test-product', archivedAt: null, $and: expect.any(Array) })
+        );
         expect(selectMock).toHaveBeenCalledWith('-photo');
         expect(populateMock).toHaveBeenCalledWith('category');
         expect(res.status).toHaveBeenCalledWith(200);
@@ -350,9 +363,10 @@ describe('ProductController', () => {
 
   /*
     Test cases for createProductController:
-    1. Happy path: 2 tests
+    1. Happy path: 3 tests
       a. Should return create product successfully without photo
       b. Should create product successfully with photo
+      c. Should not save the fields the server manages when the form sends them
     2. Input validation: 16 tests
       a. Should return 409 when product with same name already exists
       b. Should return 422 and reject when name is missing
@@ -371,6 +385,13 @@ describe('ProductController', () => {
       a. Should create product slug correctly using product name
       b. Should call save method on product model instance to save product to database
       c. Should log error when an exception occurs
+    5. Variants: 2 tests
+      a. Should create product with parsed variants and total quantity
+      b. Should return 422 when variants are invalid
+    6. Images: 3 tests
+      a. Should store uploaded gallery images in the order given
+      b. Should return 422 and store nothing when an upload is not an image
+      c. Should delete the stored uploads when the product cannot be saved
   */
 
   describe('createProductController', () => {
@@ -484,6 +505,38 @@ describe('ProductController', () => {
           products: mockProductData,
         });
       });
+
+      it('should not save the fields the server manages when the form sends them', async () => {
+        req.fields = {
+          name: mockProductData.name,
+          description: mockProductData.description,
+          price: mockProductData.price,
+          category: mockProductData.category,
+          quantity: mockProductData.quantity,
+          shipping: mockProductData.shipping,
+          ratingAverage: 5,
+          ratingCount: 1000,
+          sold: 500,
+          archivedAt: '2024-01-01',
+          stockAlert: 'out',
+          searchGrams: 'lap',
+        };
+        slugify.mockReturnValue(mockProductData.slug);
+        productModel.mockImplementation(() => mockProductData);
+
+        await createProductController(req, res);
+
+        expect(productModel).toHaveBeenCalledWith({
+          name: mockProductData.name,
+          description: mockProductData.description,
+          price: mockProductData.price,
+          category: mockProductData.category,
+          quantity: mockProductData.quantity,
+          shipping: mockProductData.shipping,
+          slug: mockProductData.slug,
+        });
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
     });
 
     // ============ INPUT VALIDATION ============
@@ -857,6 +910,144 @@ describe('ProductController', () => {
       });
     });
 
+    // ============ VARIANTS ============
+    describe('Variants', () => {
+      const variantFields = {
+        variantOptions: JSON.stringify([{ name: 'Size', values: ['S', 'M'] }]),
+        variants: JSON.stringify([
+          { sku: 'TP-S', options: { Size: 'S' }, quantity: 2 },
+          { sku: 'TP-M', options: { Size: 'M' }, price: 120, quantity: 3 },
+        ]),
+      };
+
+      it('should return 201 and create product with parsed variants and total quantity', async () => {
+        req.fields = {
+          name: mockProductData.name,
+          description: mockProductData.description,
+          price: mockProductData.price,
+          category: mockProductData.category,
+          quantity: mockProductData.quantity,
+          shipping: mockProductData.shipping,
+          ...variantFields,
+        };
+        slugify.mockReturnValue(mockProductData.slug);
+        productModel.mockImplementation(() => mockProductData);
+
+        await createProductController(req, res);
+
+        expect(productModel).toHaveBeenCalledWith(expect.objectContaining({
+          variantOptions: [{ name: 'Size', values: ['S', 'M'] }],
+          variants: [
+            { sku: 'TP-S', options: { Size: 'S' }, quantity: 2 },
+            { sku: 'TP-M', options: { Size: 'M' }, price: 120, quantity: 3 },
+          ],
+          quantity: 5,
+        }));
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should return 422 and not create product when variants are invalid', async () => {
+        req.fields = {
+          name: mockProductData.name,
+          description: mockProductData.description,
+          price: mockProductData.price,
+          category: mockProductData.category,
+          quantity: mockProductData.quantity,
+          shipping: mockProductData.shipping,
+          variantOptions: variantFields.variantOptions,
+          variants: JSON.stringify([{ sku: 'TP-XL', options: { Size: 'XL' }, quantity: 1 }]),
+        };
+
+        await createProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Variant TP-XL has an invalid Size',
+        });
+        expect(productModel).not.toHaveBeenCalled();
+      });
+    });
+
+    // ============ IMAGES ============
+    describe('Images', () => {
+      const productFields = {
+        name: mockProductData.name,
+        description: mockProductData.description,
+        price: mockProductData.price,
+        category: mockProductData.category,
+        quantity: mockProductData.quantity,
+        shipping: mockProductData.shipping,
+      };
+      const front = { name: 'front.png', path: '/tmp/front.png', type: 'image/png', size: 2000 };
+      const back = { name: 'back.jpg', path: '/tmp/back.jpg', type: 'image/jpeg', size: 3000 };
+
+      afterEach(() => {
+        delete mockProductData.images;
+      });
+
+      it('should return 201 and store uploaded gallery images in the order given', async () => {
+        const stored = [
+          { fileId: 'g2', contentType: 'image/jpeg', alt: 'Back' },
+          { fileId: 'g1', contentType: 'image/png', alt: '' },
+        ];
+        req.fields = {
+          ...productFields,
+          imageOrder: JSON.stringify([{ upload: 1, alt: 'Back' }, { upload: 0 }]),
+        };
+        req.files = { images: [front, back] };
+        slugify.mockReturnValue(mockProductData.slug);
+        productModel.mockImplementation(() => mockProductData);
+        storeProductImages.mockResolvedValue(stored);
+
+        await createProductController(req, res);
+
+        expect(storeProductImages).toHaveBeenCalledWith([
+          { upload: back, alt: 'Back' },
+          { upload: front, alt: '' },
+        ]);
+        expect(mockProductData.images).toEqual(stored);
+        expect(mockProductData.save).toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should return 422 and store nothing when an upload is not an image', async () => {
+        req.fields = productFields;
+        req.files = { images: { name: 'notes.txt', path: '/tmp/notes.txt', type: 'text/plain', size: 10 } };
+
+        await createProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Only image files can be uploaded',
+        });
+        expect(storeProductImages).not.toHaveBeenCalled();
+        expect(productModel).not.toHaveBeenCalled();
+      });
+
+      it('should return 500 and delete the stored uploads when the product cannot be saved', async () => {
+        const error = new Error('Validation failed');
+        req.fields = productFields;
+        req.files = { images: [front, back] };
+        slugify.mockReturnValue(mockProductData.slug);
+        productModel.mockImplementation(() => mockProductData);
+        storeProductImages.mockResolvedValue([
+          { fileId: 'g1', contentType: 'image/png', alt: '' },
+          { fileId: 'g2', contentType: 'image/jpeg', alt: '' },
+        ]);
+        mockProductData.save.mockRejectedValueOnce(error);
+
+        await createProductController(req, res);
+
+        expect(deleteImage).toHaveBeenCalledTimes(2);
+        expect(deleteImage).toHaveBeenCalledWith('g1');
+        expect(deleteImage).toHaveBeenCalledWith('g2');
+        expect(console.log).toHaveBeenCalledWith(error);
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
+    });
+
     // ============ ERROR HANDLING ============
     describe('Error Handling', () => {
       it('should return 500 and handle product save error', async () => {
@@ -1023,15 +1214,16 @@ describe('ProductController', () => {
 
   /*
     Test cases for deleteProductController:
-    1. Happy path: 1 test
-      a. Should delete product successfully by ID
+    1. Happy path: 2 tests
+      a. Should archive product successfully by ID
+      b. Should keep the product's gallery images
     2. Input validation: 4 tests
       a. Should return 404 when product with given ID does not exist
       b. Should return 404 when product ID is empty string
       c. Should return 404 when product ID is null
       d. Should return 404 when product ID is undefined
     3. Error handling: 1 test
-      a. Should return 500 when database delete failed
+      a. Should return 500 when database update failed
     4. Side effects: 1 test
       a. Should log error when an exception occurs
   */
@@ -1057,35 +1249,57 @@ describe('ProductController', () => {
 
 		// ============ HAPPY PATH ============
 		describe('Happy Path', () => {
-			it('should return 200 and delete product successfully by ID', async () => {
+			it('should return 200 and archive product successfully by ID', async () => {
         req.params.pid = '1';
         const mockProduct = {
           _id: '1',
           name: 'Test Product',
           description: 'Test Description',
           price: 100,
+          archivedAt: new Date(),
         };
         const selectMock = jest.fn().mockResolvedValue(mockProduct);
-        productModel.findByIdAndDelete = jest.fn().mockReturnValue({
+        productModel.findByIdAndUpdate = jest.fn().mockReturnValue({
           select: selectMock,
         });
+        productModel.findByIdAndDelete = jest.fn();
 
         await deleteProductController(req, res);
 
         expect(selectMock).toHaveBeenCalledWith('-photo');
-        expect(productModel.findByIdAndDelete).toHaveBeenCalledWith('1');
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+          '1',
+          { archivedAt: expect.any(Date) },
+          { new: true }
+        );
+        expect(productModel.findByIdAndDelete).not.toHaveBeenCalled();
         expect(res.status).toHaveBeenCalledWith(200);
         expect(res.send).toHaveBeenCalledWith({
           success: true,
-          message: 'Product deleted successfully',
+          message: 'Product archived successfully',
+        });
+      });
+
+      it("should keep the product's gallery images", async () => {
+        req.params.pid = '1';
+        productModel.findByIdAndUpdate = jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue({
+            _id: '1',
+            images: [{ fileId: 'g1' }, { fileId: 'g2' }],
+          }),
         });
+
+        await deleteProductController(req, res);
+
+        expect(deleteImage).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(200);
       });
 		});
 
     // ============ INPUT VALIDATION =============
     describe('Input Validation', () => {
       it('should return 404 when product with given ID does not exist', async () => {
-        productModel.findByIdAndDelete.mockReturnValue({
+        productModel.findByIdAndUpdate.mockReturnValue({
           select: jest.fn().mockResolvedValue(null),
         });
         req.params.pid = 'non-existent-id';
@@ -1100,7 +1314,7 @@ describe('ProductController', () => {
       });
 
       it('should return 404 when product ID is empty string', async () => {
-        productModel.findByIdAndDelete.mockReturnValue({
+        productModel.findByIdAndUpdate.mockReturnValue({
           select: jest.fn().mockResolvedValue(null),
         });
         req.params.pid = "";
@@ -1115,7 +1329,7 @@ describe('ProductController', () => {
       });
 
       it('should return 404 when product ID is null', async () => {
-        productModel.findByIdAndDelete.mockReturnValue({
+        productModel.findByIdAndUpdate.mockReturnValue({
           select: jest.fn().mockResolvedValue(null),
         });
         req.params.pid = null;
@@ -1130,7 +1344,7 @@ describe('ProductController', () => {
       });
 
       it('should return 404 when product ID is undefined', async () => {
-        productModel.findByIdAndDelete.mockReturnValue({
+        productModel.findByIdAndUpdate.mockReturnValue({
           select: jest.fn().mockResolvedValue(null),
         });
         req.params.pid = undefined;
@@ -1147,10 +1361,10 @@ describe('ProductController', () => {
 
 		// ============ ERROR HANDLING ============
 		describe('Error Handling', () => {
-			it('should return 500 when database delete failed', async () => {
-				const mockError = new Error('Database delete failed');
+			it('should return 500 when database update failed', async () => {
+				const mockError = new Error('Database update failed');
 
-				productModel.findByIdAndDelete.mockReturnValue({
+				productModel.findByIdAndUpdate.mockReturnValue({
 					select: jest.fn().mockRejectedValue(mockError),
 				});
 
@@ -1171,9 +1385,9 @@ describe('ProductController', () => {
     describe('Side Effects', () => {
       it('should log error when an exception occurs', async () => {
         const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
-        const mockError = new Error('Database delete failed');
+        const mockError = new Error('Database update failed');
 
-        productModel.findByIdAndDelete.mockReturnValue({
+        productModel.findByIdAndUpdate.mockReturnValue({
           select: jest.fn().mockRejectedValue(mockError),
         });
 
@@ -1188,9 +1402,10 @@ describe('ProductController', () => {
 
   /*
     Test cases for updateProductController:
-    1. Happy path: 2 tests
+    1. Happy path: 3 tests
       a. Should update product successfully without photo
       b. Should update product successfully with photo
+      c. Should not update the fields the server manages when the form sends them
     2. Input validation: 17 tests
       a. Should return 404 when product with given ID does not exist
       b. Should return 409 when updating product name to a name that already exists for another product
@@ -1210,6 +1425,15 @@ describe('ProductController', () => {
       a. Should create slug from updated product name
       b. Should call product save method
       c. Should log error when an exception occurs
+    5. Variants: 2 tests
+      a. Should update product with parsed variants and total quantity
+      b. Should return 422 when variants are malformed
+    6. Images: 5 tests
+      a. Should reorder the gallery and delete removed images after saving
+      b. Should leave the gallery alone when no images or order are sent
+      c. Should return 404 when the product does not exist
+      d. Should return 422 when the image order is invalid
+      e. Should delete the new uploads, not the kept images, when the product cannot be saved
   */
 
 	describe('updateProductController', () => {
@@ -1244,7 +1468,9 @@ describe('ProductController', () => {
 			};
 
       productModel.findOne = jest.fn().mockReturnValue(null);
-      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue(mockUpdatedProductData);
+      // the update hands back the stock before the edit, the product is then read as updated
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: '1', quantity: 20 });
+      productModel.findById = jest.fn().mockResolvedValue(mockUpdatedProductData);
       mockUpdatedProductData.photo.data = null;
       mockUpdatedProductData.photo.contentType = null;
       mockUpdatedProductData.save.mockClear();
@@ -1282,7 +1508,7 @@ describe('ProductController', () => {
             price: mockUpdatedProductData.price,
             slug: mockUpdatedProductData.slug,
           }),
-          { new: true }
+          { new: false, projection: { quantity: 1, locationStock: 1 } }
         );
         expect(res.status).toHaveBeenCalledWith(201);
         expect(res.send).toHaveBeenCalledWith({
@@ -1327,6 +1553,42 @@ describe('ProductController', () => {
 					products: mockUpdatedProductData,
 				});
 			});
+
+      it('should not update the fields the server manages when the form sends them', async () => {
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = {
+          name: mockUpdatedProductData.name,
+          description: mockUpdatedProductData.description,
+          price: mockUpdatedProductData.price,
+          category: mockUpdatedProductData.category,
+          quantity: mockUpdatedProductData.quantity,
+          shipping: mockUpdatedProductData.shipping,
+          ratingAverage: 5,
+          ratingCount: 1000,
+          sold: 500,
+          archivedAt: '',
+          stockAlert: 'out',
+          searchGrams: 'lap',
+        };
+        slugify.mockReturnValue(mockUpdatedProductData.slug);
+
+        await updateProductController(req, res);
+
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+          '1',
+          {
+            name: mockUpdatedProductData.name,
+            description: mockUpdatedProductData.description,
+            price: mockUpdatedProductData.price,
+            category: mockUpdatedProductData.category,
+            quantity: mockUpdatedProductData.quantity,
+            shipping: mockUpdatedProductData.shipping,
+            slug: mockUpdatedProductData.slug,
+          },
+          { new: false, projection: { quantity: 1, locationStock: 1 } }
+        );
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
 		});
 
 		// ============ INPUT VALIDATION =============
@@ -1720,6 +1982,193 @@ describe('ProductController', () => {
 		});
 
 		// ============ ERROR HANDLING ============
+    // ============ VARIANTS ============
+    describe('Variants', () => {
+      it('should return 201 and update product with parsed variants and total quantity', async () => {
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = {
+          name: mockUpdatedProductData.name,
+          description: mockUpdatedProductData.description,
+          price: mockUpdatedProductData.price,
+          category: mockUpdatedProductData.category,
+          quantity: mockUpdatedProductData.quantity,
+          shipping: mockUpdatedProductData.shipping,
+          variantOptions: JSON.stringify([{ name: 'Colour', values: ['Red'] }]),
+          variants: JSON.stringify([{ _id: 'v1', sku: 'UP-RED', options: { Colour: 'Red' }, quantity: 4 }]),
+        };
+        slugify.mockReturnValue(mockUpdatedProductData.slug);
+
+        await updateProductController(req, res);
+
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+          '1',
+          expect.objectContaining({
+            variantOptions: [{ name: 'Colour', values: ['Red'] }],
+            variants: [{ _id: 'v1', sku: 'UP-RED', options: { Colour: 'Red' }, quantity: 4 }],
+            quantity: 4,
+          }),
+          { new: false, projection: { quantity: 1, locationStock: 1 } }
+        );
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should return 422 and not update product when variants are malformed', async () => {
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = {
+          name: mockUpdatedProductData.name,
+          description: mockUpdatedProductData.description,
+          price: mockUpdatedProductData.price,
+          category: mockUpdatedProductData.category,
+          quantity: mockUpdatedProductData.quantity,
+          shipping: mockUpdatedProductData.shipping,
+          variants: 'not-json',
+        };
+
+        await updateProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Variants must be valid JSON',
+        });
+        expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      });
+    });
+
+    // ============ IMAGES ============
+    describe('Images', () => {
+      const productFields = {
+        name: mockUpdatedProductData.name,
+        description: mockUpdatedProductData.description,
+        price: mockUpdatedProductData.price,
+        category: mockUpdatedProductData.category,
+        quantity: mockUpdatedProductData.quantity,
+        shipping: mockUpdatedProductData.shipping,
+      };
+      const currentImages = [
+        { fileId: 'g1', contentType: 'image/png', alt: 'Front' },
+        { fileId: 'g2', contentType: 'image/jpeg', alt: '' },
+      ];
+
+      beforeEach(() => {
+        // the gallery is read before the update, the product after it
+        productModel.findById = jest
+          .fn()
+          .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ images: currentImages }) })
+          .mockResolvedValue(mockUpdatedProductData);
+      });
+
+      afterEach(() => {
+        delete mockUpdatedProductData.images;
+      });
+
+      it('should return 201, reorder the gallery and delete removed images after saving', async () => {
+        const upload = { name: 'side.png', path: '/tmp/side.png', type: 'image/png', size: 2000 };
+        const stored = [
+          { fileId: 'g3', contentType: 'image/png', alt: 'Side' },
+          { fileId: 'g2', contentType: 'image/jpeg', alt: 'Back' },
+        ];
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = {
+          ...productFields,
+          imageOrder: JSON.stringify([{ upload: 0, alt: 'Side' }, { id: 'g2', alt: 'Back' }]),
+        };
+        req.files = { images: upload };
+        slugify.mockReturnValue(mockUpdatedProductData.slug);
+        storeProductImages.mockResolvedValue(stored);
+
+        await updateProductController(req, res);
+
+        expect(productModel.findById).toHaveBeenCalledWith('1');
+        expect(storeProductImages).toHaveBeenCalledWith([
+          { upload, alt: 'Side' },
+          { fileId: 'g2', contentType: 'image/jpeg', alt: 'Back' },
+        ]);
+        expect(mockUpdatedProductData.images).toEqual(stored);
+        expect(mockUpdatedProductData.save).toHaveBeenCalled();
+        expect(deleteImage).toHaveBeenCalledTimes(1);
+        expect(deleteImage).toHaveBeenCalledWith('g1');
+        expect(deleteImage.mock.invocationCallOrder[0])
+          .toBeGreaterThan(mockUpdatedProductData.save.mock.invocationCallOrder[0]);
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should leave the gallery alone when no images or image order are sent', async () => {
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = productFields;
+        slugify.mockReturnValue(mockUpdatedProductData.slug);
+
+        productModel.findById = jest.fn().mockResolvedValue(mockUpdatedProductData);
+
+        await updateProductController(req, res);
+
+        // only the product after the edit is read, not the gallery
+        expect(productModel.findById).toHaveBeenCalledTimes(1);
+        expect(productModel.findById).toHaveBeenCalledWith('1');
+        expect(storeProductImages).not.toHaveBeenCalled();
+        expect(deleteImage).not.toHaveBeenCalled();
+        expect(mockUpdatedProductData.images).toBeUndefined();
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should return 404 when the product to update does not exist', async () => {
+        productModel.findById = jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue(null),
+        });
+        req.params.pid = 'missing';
+        req.fields = { ...productFields, imageOrder: '[]' };
+
+        await updateProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Product not found',
+        });
+        expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      });
+
+      it('should return 422 and not update product when the image order is invalid', async () => {
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = { ...productFields, imageOrder: JSON.stringify([{ id: 'unknown' }]) };
+
+        await updateProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Unknown product image in image order',
+        });
+        expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(deleteImage).not.toHaveBeenCalled();
+      });
+
+      it('should return 500 and delete the new uploads, not the kept images, when the product cannot be saved', async () => {
+        const error = new Error('Validation failed');
+        const upload = { name: 'side.png', path: '/tmp/side.png', type: 'image/png', size: 2000 };
+        req.params.pid = mockUpdatedProductData._id;
+        req.fields = {
+          ...productFields,
+          imageOrder: JSON.stringify([{ upload: 0, alt: 'Side' }, { id: 'g2', alt: 'Back' }]),
+        };
+        req.files = { images: upload };
+        slugify.mockReturnValue(mockUpdatedProductData.slug);
+        storeProductImages.mockResolvedValue([
+          { fileId: 'g3', contentType: 'image/png', alt: 'Side' },
+          { fileId: 'g2', contentType: 'image/jpeg', alt: 'Back' },
+        ]);
+        mockUpdatedProductData.save.mockRejectedValueOnce(error);
+
+        await updateProductController(req, res);
+
+        // g1, dropped from the gallery, stays as long as the saved product points at it
+        expect(deleteImage).toHaveBeenCalledTimes(1);
+        expect(deleteImage).toHaveBeenCalledWith('g3');
+        expect(console.log).toHaveBeenCalledWith(error);
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
+    });
+
 		describe('Error Handling', () => {
 			it('should handle product update error', async () => {
 				const mockError = new Error('Database update failed');
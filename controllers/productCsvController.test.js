@@ -0,0 +1,408 @@
+import fs from "fs";
+import { importProductsController, exportProductsController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import { recordStockMovements } from "../helpers/stockLedger.js";
+
+jest.mock("braintree");
+jest.mock("fs");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/categoryModel.js");
+
+/**
+ * Unit Tests for importProductsController and exportProductsController
+ *
+ * Test Doubles Used:
+ * - fs.readFileSync:       STUB (returns the uploaded CSV text)
+ * - categoryModel.find:    STUB (returns the catalog categories)
+ * - productModel:          MOCK (constructor + save records imported products, find returns existing slugs)
+ * - recordStockMovements:  MOCK (records the imported stock written to the stock ledger)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - importProductsController:
+ * #  | Category        | Scenario                                         | Expected
+ * 1  | Happy Path      | valid rows, category by name and by slug         | products saved, 200 with counts
+ * 2  | Happy Path      | dry run                                          | nothing saved, valid count reported
+ * 3  | Happy Path      | rows with variants                               | variants parsed, quantity summed
+ * 4  | Input Validation| rows breaking the create product rules           | per-row errors, valid rows still imported
+ * 5  | Input Validation| name already in the catalog / repeated in file   | per-row duplicate errors
+ * 6  | Input Validation| attributes missing / valid for the category      | per-row error / typed values saved
+ * 7  | Input Validation| no file / missing columns / no rows / bad quotes | 422
+ * 8  | Error Handling  | saving one row fails                             | row error, others imported
+ * 9  | Error Handling  | database error                                   | 500
+ * 10 | Stock Ledger    | imported rows                                    | stock of each recorded as an import
+ * Scenario Plan - exportProductsController:
+ * #  | Category        | Scenario                                         | Expected
+ * 1  | Happy Path      | catalog with and without variants, attributes    | CSV attachment with the import columns
+ * 2  | Error Handling  | database error                                   | 500
+ */
+describe("Product CSV import/export", () => {
+  let req, res, saved;
+
+  const categories = [
+    { _id: "cat1", name: "Electronics", slug: "electronics" },
+    { _id: "cat2", name: "Book Club", slug: "book-club" },
+  ];
+  const header = "name,description,price,category,quantity,shipping";
+
+  const mockExistingSlugs = (slugs) => {
+    productModel.find = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue(slugs.map((slug) => ({ slug }))),
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { fields: {}, files: { file: { path: "/tmp/products.csv" } }, query: {} };
+    res = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    saved = [];
+    productModel.mockImplementation((product) => ({
+      save: jest.fn(async () => saved.push(product)),
+    }));
+    categoryModel.find = jest.fn().mockResolvedValue(categories);
+    mockExistingSlugs([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("importProductsController", () => {
+    describe("Happy Path", () => {
+      it("should import valid rows resolving categories by name or slug", async () => {
+        fs.readFileSync.mockReturnValue(
+          `${header}\nLaptop,Fast laptop,999.5,electronics,3,yes\n"Novel, signed",A novel,12,book club,0,No\n`
+        );
+
+        await importProductsController(req, res);
+
+        expect(fs.readFileSync).toHaveBeenCalledWith("/tmp/products.csv", "utf8");
+        expect(saved).toEqual([
+          {
+            name: "Laptop",
+            description: "Fast laptop",
+            price: 999.5,
+            category: "cat1",
+            quantity: 3,
+            shipping: true,
+            slug: "Laptop",
+          },
+          {
+            name: "Novel, signed",
+            description: "A novel",
+            price: 12,
+            category: "cat2",
+            quantity: 0,
+            shipping: false,
+            slug: "Novel-signed",
+          },
+        ]);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith({
+          success: true,
+          message: "Imported 2 of 2 products",
+          dryRun: false,
+          total: 2,
+          valid: 2,
+          imported: 2,
+          errors: [],
+        });
+      });
+
+      it("should only validate the rows on a dry run", async () => {
+        req.fields.dryRun = "true";
+        fs.readFileSync.mockReturnValue(`${header}\nLaptop,Fast laptop,999,Electronics,3,1\nPhone,,1,electronics,1,1\n`);
+
+        await importProductsController(req, res);
+
+        expect(productModel).not.toHaveBeenCalled();
+        expect(recordStockMovements).not.toHaveBeenCalled();
+        expect(res.send).toHaveBeenCalledWith({
+          success: true,
+          message: "1 of 2 rows are valid",
+          dryRun: true,
+          total: 2,
+          valid: 1,
+          imported: 0,
+          errors: [{ row: 3, message: "Description is required" }],
+        });
+      });
+
+      it("should record the stock of each imported row in the stock ledger", async () => {
+        productModel.mockImplementation((product) => ({ _id: `id-${product.name}`, save: jest.fn() }));
+        fs.readFileSync.mockReturnValue(`${header}\nLaptop,A,1,electronics,3,yes\nPhone,,1,electronics,1,yes\nTablet,C,1,electronics,0,yes\n`);
+
+        await importProductsController(req, res);
+
+        expect(recordStockMovements).toHaveBeenCalledWith([
+          {
+            product: "id-Laptop",
+            change: 3,
+            balance: 3,
+            reason: "import",
+            note: "Imported from CSV row 2",
+            user: undefined,
+          },
+          {
+            product: "id-Tablet",
+            change: 0,
+            balance: 0,
+            reason: "import",
+            note: "Imported from CSV row 4",
+            user: undefined,
+          },
+        ]);
+      });
+
+      it("should import variants with the total variant quantity", async () => {
+        const options = JSON.stringify([{ name: "Size", values: ["S", "M"] }]);
+        const variants = JSON.stringify([
+          { sku: "TEE-S", options: { Size: "S" }, quantity: 2 },
+          { sku: "TEE-M", options: { Size: "M" }, quantity: 4 },
+        ]);
+        const quote = (value) => `"${value.replace(/"/g, '""')}"`;
+        fs.readFileSync.mockReturnValue(
+          `${header},variantOptions,variants\nTee,A tee,20,electronics,0,yes,${quote(options)},${quote(variants)}\n`
+        );
+
+        await importProductsController(req, res);
+
+        expect(saved[0]).toEqual(
+          expect.objectContaining({
+            variantOptions: [{ name: "Size", values: ["S", "M"] }],
+            variants: [
+              { sku: "TEE-S", options: { Size: "S" }, quantity: 2 },
+              { sku: "TEE-M", options: { Size: "M" }, quantity: 4 },
+            ],
+            quantity: 6,
+          })
+        );
+      });
+    });
+
+    describe("Input Validation", () => {
+      it("should report every invalid row and still import the valid ones", async () => {
+        fs.readFileSync.mockReturnValue(
+          [
+            header,
+            ",No name,1,electronics,1,yes",
+            "Cheap,Bad price,-1,electronics,1,yes",
+            "Words,Bad price,ten,electronics,1,yes",
+            "Lots,Bad quantity,1,electronics,many,yes",
+            "Lost,Bad category,1,garden,1,yes",
+            "Boat,Bad shipping,1,electronics,1,maybe",
+            "Good,Fine,1,electronics,1,yes",
+          ].join("\n")
+        );
+
+        await importProductsController(req, res);
+
+        expect(saved.map((p) => p.name)).toEqual(["Good"]);
+        expect(res.send).toHaveBeenCalledWith(
+          expect.objectContaining({
+            total: 7,
+            valid: 1,
+            imported: 1,
+            errors: [
+              { row: 2, message: "Name is required" },
+              { row: 3, message: "Price is required and should be greater than or equal to 0" },
+              { row: 4, message: "Price should be a number" },
+              { row: 5, message: "Quantity should be a number" },
+              { row: 6, message: "Category garden not found" },
+              { row: 7, message: "Shipping is required" },
+            ],
+          })
+        );
+      });
+
+      it("should check a row's attributes against its category's attributes", async () => {
+        categoryModel.find = jest.fn().mockResolvedValue([
+          {
+            ...categories[0],
+            attributes: [{ key: "screen-size", name: "Screen Size", type: "number", required: true, values: [] }],
+          },
+        ]);
+        fs.readFileSync.mockReturnValue(
+          [
+            `${header},attributes`,
+            `Laptop,Fast laptop,999,electronics,3,yes,"{""screen-size"":""13.3""}"`,
+            "Tablet,No size,499,electronics,3,yes,",
+          ].join("\n")
+        );
+
+        await importProductsController(req, res);
+
+        expect(saved).toEqual([expect.objectContaining({ name: "Laptop", attributes: { "screen-size": 13.3 } })]);
+        expect(res.send).toHaveBeenCalledWith(
+          expect.objectContaining({ errors: [{ row: 3, message: "Screen Size is required" }] })
+        );
+      });
+
+      it("should report invalid variants of a row", async () => {
+        fs.readFileSync.mockReturnValue(`${header},variants\nTee,A tee,1,electronics,1,yes,not-json\n`);
+
+        await importProductsController(req, res);
+
+        expect(res.send).toHaveBeenCalledWith(
+          expect.objectContaining({ errors: [{ row: 2, message: "Variants must be valid JSON" }] })
+        );
+      });
+
+      it("should report names already in the catalog or repeated in the file", async () => {
+        mockExistingSlugs(["Laptop"]);
+        fs.readFileSync.mockReturnValue(
+          `${header}\nLaptop,Again,1,electronics,1,yes\nPhone,One,1,electronics,1,yes\nPhone,Two,1,electronics,1,yes\n`
+        );
+
+        await importProductsController(req, res);
+
+        expect(productModel.find).toHaveBeenCalledWith({ slug: { $in: ["Laptop", "Phone", "Phone"] } });
+        expect(saved.map((p) => p.description)).toEqual(["One"]);
+        expect(res.send).toHaveBeenCalledWith(
+          expect.objectContaining({
+            errors: [
+              { row: 2, message: "Product with this name already exists" },
+              { row: 4, message: "Product with this name already exists" },
+            ],
+          })
+        );
+      });
+
+      it.each([
+        ["no file is uploaded", null, "CSV file is required"],
+        ["columns are missing", "name,price\nLaptop,1\n",
+          "CSV is missing the columns: description, category, quantity, shipping"],
+        ["there are no product rows", `${header}\n`, "CSV has no product rows"],
+        ["a quote is never closed", `${header}\n"Laptop,x,1,electronics,1,yes\n`,
+          "CSV has an unterminated quoted field"],
+      ])("should return 422 when %s", async (_, csv, message) => {
+        if (csv === null) {
+          req.files = {};
+        } else {
+          fs.readFileSync.mockReturnValue(csv);
+        }
+
+        await importProductsController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.send).toHaveBeenCalledWith({ success: false, message });
+        expect(productModel).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("Error Handling", () => {
+      it("should report a row that fails to save and import the others", async () => {
+        const error = new Error("Validation failed");
+        productModel.mockImplementation((product) => ({
+          save: jest.fn(async () => {
+            if (product.name === "Laptop") throw error;
+            saved.push(product);
+          }),
+        }));
+        fs.readFileSync.mockReturnValue(`${header}\nLaptop,A,1,electronics,1,yes\nPhone,B,1,electronics,1,yes\n`);
+
+        await importProductsController(req, res);
+
+        expect(console.log).toHaveBeenCalledWith(error);
+        expect(saved.map((p) => p.name)).toEqual(["Phone"]);
+        expect(res.send).toHaveBeenCalledWith(
+          expect.objectContaining({
+            message: "Imported 1 of 2 products",
+            imported: 1,
+            errors: [{ row: 2, message: "Validation failed" }],
+          })
+        );
+      });
+
+      it("should return 500 when the database fails", async () => {
+        const error = new Error("Database error");
+        categoryModel.find = jest.fn().mockRejectedValue(error);
+        fs.readFileSync.mockReturnValue(`${header}\nLaptop,A,1,electronics,1,yes\n`);
+
+        await importProductsController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          error,
+          message: "Error while importing products",
+        });
+      });
+    });
+  });
+
+  describe("exportProductsController", () => {
+    const mockCatalog = (result) => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn(() => result),
+      };
+      productModel.find = jest.fn().mockReturnValue(query);
+      return query;
+    };
+
+    it("should send the catalog as a CSV attachment using the import columns", async () => {
+      const query = mockCatalog(
+        Promise.resolve([
+          {
+            name: "Laptop, 13 inch",
+            description: 'The "fast" one',
+            price: 999,
+            category: { name: "Electronics", slug: "electronics" },
+            quantity: 3,
+            shipping: true,
+            attributes: { "screen-size": 13.3 },
+          },
+          {
+            name: "Tee",
+            description: "A tee",
+            price: 20,
+            category: null,
+            quantity: 2,
+            shipping: false,
+            variantOptions: [{ name: "Size", values: ["S"] }],
+            variants: [{ _id: "v1", sku: "TEE-S", options: { Size: "S" }, quantity: 2 }],
+          },
+        ])
+      );
+
+      await exportProductsController(req, res);
+
+      expect(query.select).toHaveBeenCalledWith("-photo");
+      expect(query.populate).toHaveBeenCalledWith("category");
+      expect(res.set).toHaveBeenCalledWith("Content-Type", "text/csv; charset=utf-8");
+      expect(res.set).toHaveBeenCalledWith("Content-Disposition", 'attachment; filename="products.csv"');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send.mock.calls[0][0]).toBe(
+        [
+          "name,description,price,category,quantity,shipping,variantOptions,variants,attributes",
+          '"Laptop, 13 inch","The ""fast"" one",999,electronics,3,yes,,,"{""screen-size"":13.3}"',
+          'Tee,A tee,20,,2,no,"[{""name"":""Size"",""values"":[""S""]}]",' +
+            '"[{""sku"":""TEE-S"",""options"":{""Size"":""S""},""quantity"":2}]",',
+        ].join("\r\n") + "\r\n"
+      );
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database error");
+      mockCatalog(Promise.reject(error));
+
+      await exportProductsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while exporting products",
+        error,
+      });
+    });
+  });
+});
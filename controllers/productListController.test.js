@@ -0,0 +1,161 @@
+import { productListController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import { decodeCursor, encodeCursor, LIST_SORTS } from "../helpers/cursorHelper.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../models/productModel.js");
+
+/**
+ * Unit Tests for productListController: listed products one page at a time, sorted and paged
+ * after the cursor of the previous page
+ *
+ * Test Doubles Used:
+ * - productModel.find: STUB (query chain resolving to the products)
+ * - req/res:           FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | nothing sent                              | 200, newest first, default page size
+ * 2  | Happy Path      | more products than the limit              | page cut to size, cursor of the last one
+ * 3  | Happy Path      | cursor of the previous page               | products after the cursor, no skip
+ * 4  | Happy Path      | page number in the path                   | earlier pages skipped
+ * 5  | Input Validation| unknown sort, bad limit, cursor or page   | 422, no query run
+ * 6  | Error Handling  | database error                            | 400
+ */
+describe("productListController", () => {
+  let req, res, query;
+
+  const mockFind = (result = []) => {
+    query = {
+      select: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockResolvedValue(result),
+    };
+    productModel.find = jest.fn().mockReturnValue(query);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("should list the newest products first with the default page size", async () => {
+    const products = [{ _id: "1", name: "Laptop" }];
+    mockFind(products);
+
+    await productListController(req, res);
+
+    expect(productModel.find).toHaveBeenCalledWith(expect.objectContaining({ archivedAt: null }));
+    expect(query.select).toHaveBeenCalledWith("-photo");
+    expect(query.skip).toHaveBeenCalledWith(0);
+    expect(query.limit).toHaveBeenCalledWith(7);
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: 1 });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, products, nextCursor: null });
+  });
+
+  it("should cut the page to the limit and send the cursor of its last product", async () => {
+    const products = [
+      { _id: "66db427fdb0119d9234b27f1", sold: 9 },
+      { _id: "66db427fdb0119d9234b27f2", sold: 4 },
+      { _id: "66db427fdb0119d9234b27f3", sold: 1 },
+    ];
+    mockFind(products);
+    req.query = { sort: "best-selling", limit: "2" };
+
+    await productListController(req, res);
+
+    const [body] = res.send.mock.calls[0];
+    expect(query.limit).toHaveBeenCalledWith(3);
+    expect(query.sort).toHaveBeenCalledWith({ sold: -1, _id: 1 });
+    expect(body.products).toEqual(products.slice(0, 2));
+    expect(decodeCursor(body.nextCursor, LIST_SORTS["best-selling"]).values[0]).toBe(4);
+  });
+
+  it("should continue after the cursor instead of skipping pages", async () => {
+    mockFind();
+    const id = "66db427fdb0119d9234b27f2";
+    req.params.page = "3";
+    req.query = {
+      sort: "price-asc",
+      cursor: encodeCursor({ _id: id, price: 20 }, LIST_SORTS["price-asc"]),
+    };
+
+    await productListController(req, res);
+
+    const [filter] = productModel.find.mock.calls[0];
+    expect(filter.archivedAt).toBeNull();
+    expect(filter.$or[0]).toEqual({ $and: [{ price: { $gt: 20 } }] });
+    expect(String(filter.$or[1].$and[1]._id.$gt)).toBe(id);
+    expect(query.skip).toHaveBeenCalledWith(0);
+  });
+
+  it("should skip the earlier pages for a page number", async () => {
+    mockFind();
+    req.params.page = "3";
+
+    await productListController(req, res);
+
+    expect(query.skip).toHaveBeenCalledWith(12);
+  });
+
+  it.each([
+    [
+      { sort: "popular" },
+      "Sort should be one of newest, price-asc, price-desc, name, best-selling, rating",
+    ],
+    [{ limit: "100" }, "Limit should be a whole number from 1 to 48"],
+    [{ cursor: "abc" }, "Invalid cursor"],
+  ])("should return 422 for %j", async (invalid, message) => {
+    mockFind();
+    req.query = invalid;
+
+    await productListController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    expect(productModel.find).not.toHaveBeenCalled();
+  });
+
+  it.each(["abc", "0", "-1", "1.5"])("should return 422 for page %s", async (page) => {
+    mockFind();
+    req.params.page = page;
+
+    await productListController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Page should be a whole number from 1",
+    });
+    expect(productModel.find).not.toHaveBeenCalled();
+  });
+
+  it("should return 400 when the database fails", async () => {
+    const error = new Error("Database failed");
+    productModel.find = jest.fn().mockImplementation(() => {
+      throw error;
+    });
+
+    await productListController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "error in per page ctrl",
+      error,
+    });
+  });
+});
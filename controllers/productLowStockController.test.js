@@ -0,0 +1,241 @@
+import {
+  createProductController,
+  updateProductController,
+  getLowStockProductsController,
+  lowStockCountsController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../helpers/notificationOutbox.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/categoryModel.js");
+
+/**
+ * Unit Tests for low stock: the reorder threshold of create/update product and the admin
+ * report of the products at or below their threshold
+ *
+ * Test Doubles Used:
+ * - productModel:           MOCK (constructor + save record the created product, query chains
+ *                           record their filter, countDocuments resolves per filter)
+ * - categoryModel.findById: STUB (the category defines no attributes)
+ * - req/res:                FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - createProductController / updateProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | product with a reorder threshold          | saved with the parsed threshold
+ * 2  | Input Validation| negative or fractional threshold          | 422, nothing saved
+ * Scenario Plan - getLowStockProductsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | products running low, second page         | 200, fewest in stock first, page and counts
+ * 2  | Happy Path      | only out of stock                         | 200, products without stock
+ * 3  | Edge Case       | product saved before reorder thresholds   | 200, sent with the default threshold
+ * 4  | Input Validation| invalid page or stock level               | 422, no query run
+ * 5  | Error Handling  | database error                            | 500
+ * Scenario Plan - lowStockCountsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | products low and out of stock             | 200, low excludes the out of stock ones
+ * 2  | Error Handling  | database error                            | 500
+ */
+describe("Low stock", () => {
+  let req, res;
+
+  const fields = {
+    name: "Laptop",
+    description: "A laptop",
+    price: "999",
+    category: "cat1",
+    quantity: "20",
+    shipping: "1",
+  };
+
+  // three products at or below their threshold, one of them out of stock
+  const mockCounts = () => {
+    productModel.countDocuments = jest.fn((filter) => Promise.resolve(filter.quantity ? 1 : 3));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, query: {}, fields: { ...fields }, files: {} };
+    categoryModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue({ attributes: [] }),
+    });
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("createProductController / updateProductController", () => {
+    it("should create a product with its reorder threshold", async () => {
+      productModel.findOne = jest.fn().mockResolvedValue(null);
+      productModel.mockImplementation((product) => ({ ...product, save: jest.fn() }));
+      req.fields = { ...fields, reorderThreshold: "8" };
+
+      await createProductController(req, res);
+
+      expect(productModel).toHaveBeenCalledWith(expect.objectContaining({ reorderThreshold: 8 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should update the reorder threshold of a product", async () => {
+      productModel.findOne = jest.fn().mockResolvedValue(null);
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ quantity: 20 });
+      productModel.findById = jest.fn().mockResolvedValue({ save: jest.fn() });
+      req.params.pid = "1";
+      req.fields = { ...fields, reorderThreshold: "0" };
+
+      await updateProductController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "1",
+        expect.objectContaining({ reorderThreshold: 0 }),
+        { new: false, projection: { quantity: 1, locationStock: 1 } }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it.each([
+      ["create", createProductController],
+      ["update", updateProductController],
+    ])("should return 422 on %s for an invalid reorder threshold", async (_, controller) => {
+      productModel.findOne = jest.fn();
+      productModel.findByIdAndUpdate = jest.fn();
+      req.params.pid = "1";
+      req.fields = { ...fields, reorderThreshold: "-2" };
+
+      await controller(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Reorder threshold should be a whole number from 0",
+      });
+      expect(productModel.findOne).not.toHaveBeenCalled();
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getLowStockProductsController", () => {
+    let query;
+    const products = [{ _id: "p1", name: "Laptop", quantity: 2, reorderThreshold: 5 }];
+
+    beforeEach(() => {
+      query = {
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(products),
+      };
+      productModel.find = jest.fn().mockReturnValue(query);
+      mockCounts();
+    });
+
+    it("should return the products running low, fewest in stock first", async () => {
+      req.query = { page: "2" };
+
+      await getLowStockProductsController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({
+        archivedAt: null,
+        $expr: { $lte: ["$quantity", { $ifNull: ["$reorderThreshold", 5] }] },
+      });
+      expect(query.sort).toHaveBeenCalledWith({ quantity: 1, _id: 1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(query.limit).toHaveBeenCalledWith(20);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products,
+        page: 2,
+        perPage: 20,
+        total: 3,
+        counts: { low: 2, out: 1 },
+      });
+    });
+
+    it("should return only the products out of stock", async () => {
+      req.query = { level: "out" };
+
+      await getLowStockProductsController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({ archivedAt: null, quantity: { $lte: 0 } });
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ page: 1, total: 1 }));
+    });
+
+    it("should send the default threshold of a product saved before reorder thresholds", async () => {
+      query.lean.mockResolvedValue([{ _id: "p2", name: "Mouse", quantity: 4 }]);
+
+      await getLowStockProductsController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ products: [{ _id: "p2", name: "Mouse", quantity: 4, reorderThreshold: 5 }] })
+      );
+    });
+
+    it.each([
+      [{ page: "0" }, "Page should be a whole number from 1"],
+      [{ level: "none" }, "Invalid stock level"],
+    ])("should return 422 for %p", async (params, message) => {
+      req.query = params;
+
+      await getLowStockProductsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(productModel.find).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      query.lean.mockRejectedValue(new Error("Database failed"));
+
+      await getLowStockProductsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting low stock products",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("lowStockCountsController", () => {
+    it("should count the products running low apart from those out of stock", async () => {
+      mockCounts();
+
+      await lowStockCountsController(req, res);
+
+      expect(productModel.countDocuments).toHaveBeenCalledWith({ archivedAt: null, quantity: { $lte: 0 } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, counts: { low: 2, out: 1 } });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      productModel.countDocuments = jest.fn().mockRejectedValue(error);
+
+      await lowStockCountsController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while counting low stock products",
+        error: "Database failed",
+      });
+    });
+  });
+});
@@ -0,0 +1,289 @@
+import { EventEmitter } from "events";
+import { productPhotoController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import { openImageStream, readImage } from "../helpers/imageStore.js";
+import {
+  getResizedPhoto,
+  PHOTO_CACHE_CONTROL,
+  photoVersion,
+  PLACEHOLDER_PHOTO,
+} from "../helpers/photoHelper.js";
+
+jest.mock("braintree");
+jest.mock("../models/productModel.js");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/photoHelper.js", () => ({
+  ...jest.requireActual("../helpers/photoHelper.js"),
+  getResizedPhoto: jest.fn(),
+}));
+
+/**
+ * Unit Tests for productPhotoController
+ *
+ * Test Doubles Used:
+ * - productModel.findById: STUB (returns a product with photo/images via select, records what is selected)
+ * - openImageStream:       STUB (returns a fake GridFS download stream)
+ * - readImage:             STUB (returns the original gallery image)
+ * - getResizedPhoto:       SPY  (returns a resized buffer, records how the original is loaded)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan:
+ * #  | Category        | Scenario                                       | Expected
+ * 1  | Happy Path      | no index, product has gallery images           | primary image streamed with caching headers
+ * 2  | Happy Path      | index of a gallery image                       | that image streamed
+ * 3  | Happy Path      | no index, legacy photo only                    | 200 with photo data, versioned by its content
+ * 4  | Happy Path      | card size of a gallery image                   | resized image from GridFS original
+ * 5  | Happy Path      | thumbnail size of a legacy photo               | resized image from photo data
+ * 6  | Happy Path      | product without any photo                      | placeholder image
+ * 7  | Caching         | If-None-Match matches the ETag                 | 304, nothing loaded
+ * 8  | Caching         | If-Modified-Since not older than the product   | 304
+ * 9  | Caching         | legacy photo after the product changed (sale)  | same ETag, 304
+ * 10 | Caching         | placeholder already cached by the browser      | 304
+ * 11 | Input Validation| unknown size                                   | 422
+ * 12 | Input Validation| index outside the gallery                      | 404 Photo not found
+ * 13 | Input Validation| product does not exist                         | 404 Product not found
+ * 14 | Error Handling  | GridFS stream errors                           | 404, error logged
+ * 15 | Error Handling  | database error                                 | 500 with error message
+ */
+describe("productPhotoController", () => {
+  let req, res, stream;
+
+  const updatedAt = new Date("2024-05-01T10:00:00.000Z");
+
+  let select;
+  const mockProduct = (product) => {
+    select = jest.fn().mockResolvedValue(product && { _id: "p1", updatedAt, ...product });
+    productModel.findById = jest.fn().mockReturnValue({ select });
+  };
+
+  const gallery = [
+    { fileId: "g1", contentType: "image/png", alt: "Front" },
+    { fileId: "g2", contentType: "image/jpeg", alt: "Back" },
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: { pid: "p1" }, query: {}, headers: {} };
+    res = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+      end: jest.fn(),
+    };
+    stream = new EventEmitter();
+    stream.pipe = jest.fn().mockReturnValue(res);
+    openImageStream.mockReturnValue(stream);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("Happy Path", () => {
+    it("should stream the primary gallery image with caching headers when no index is given", async () => {
+      mockProduct({ photo: {}, images: gallery });
+
+      await productPhotoController(req, res);
+
+      expect(productModel.findById).toHaveBeenCalledWith("p1");
+      // the legacy photo is not loaded for a gallery image
+      expect(select).toHaveBeenCalledTimes(1);
+      expect(select).toHaveBeenCalledWith("images photo.contentType updatedAt");
+      expect(openImageStream).toHaveBeenCalledWith("g1");
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/png");
+      expect(res.set).toHaveBeenCalledWith("Cache-Control", PHOTO_CACHE_CONTROL);
+      expect(res.set).toHaveBeenCalledWith("ETag", '"g1-full"');
+      expect(res.set).toHaveBeenCalledWith("Last-Modified", updatedAt.toUTCString());
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it("should stream the gallery image at the given index", async () => {
+      req.params.index = "1";
+      mockProduct({ photo: {}, images: gallery });
+
+      await productPhotoController(req, res);
+
+      expect(openImageStream).toHaveBeenCalledWith("g2");
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/jpeg");
+    });
+
+    it("should send the legacy photo when the product has no gallery", async () => {
+      const data = Buffer.from("photo");
+      mockProduct({ photo: { data, contentType: "image/jpeg" }, images: [] });
+
+      await productPhotoController(req, res);
+
+      expect(openImageStream).not.toHaveBeenCalled();
+      expect(select).toHaveBeenLastCalledWith("photo");
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/jpeg");
+      expect(res.set).toHaveBeenCalledWith("ETag", `"${photoVersion(data)}-full"`);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(data);
+    });
+
+    it("should send a resized gallery image for a size preset", async () => {
+      const original = Buffer.from("original");
+      const resized = Buffer.from("resized");
+      req.query.size = "card";
+      mockProduct({ photo: {}, images: gallery });
+      readImage.mockResolvedValue(original);
+      getResizedPhoto.mockImplementation(async (key, size, loadOriginal) => {
+        expect(await loadOriginal()).toBe(original);
+        return resized;
+      });
+
+      await productPhotoController(req, res);
+
+      expect(getResizedPhoto).toHaveBeenCalledWith("g1", "card", expect.any(Function));
+      expect(readImage).toHaveBeenCalledWith("g1");
+      expect(res.set).toHaveBeenCalledWith("ETag", '"g1-card"');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(resized);
+    });
+
+    it("should resize the legacy photo for a size preset", async () => {
+      const data = Buffer.from("photo");
+      req.query.size = "thumbnail";
+      mockProduct({ photo: { data, contentType: "image/jpeg" }, images: [] });
+      getResizedPhoto.mockImplementation(async (key, size, loadOriginal) => loadOriginal());
+
+      await productPhotoController(req, res);
+
+      expect(getResizedPhoto).toHaveBeenCalledWith(photoVersion(data), "thumbnail", expect.any(Function));
+      expect(readImage).not.toHaveBeenCalled();
+      expect(res.send).toHaveBeenCalledWith(data);
+    });
+
+    it("should send the placeholder image when the product has no photo", async () => {
+      mockProduct({ photo: {}, images: [] });
+
+      await productPhotoController(req, res);
+
+      expect(res.set).toHaveBeenCalledWith("Content-type", PLACEHOLDER_PHOTO.contentType);
+      expect(res.set).toHaveBeenCalledWith("ETag", PLACEHOLDER_PHOTO.etag);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(PLACEHOLDER_PHOTO.data);
+    });
+  });
+
+  describe("Caching", () => {
+    it("should return 304 without loading the image when the ETag matches", async () => {
+      req.query.size = "card";
+      req.headers["if-none-match"] = '"g1-card"';
+      mockProduct({ photo: {}, images: gallery });
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(getResizedPhoto).not.toHaveBeenCalled();
+      expect(openImageStream).not.toHaveBeenCalled();
+    });
+
+    it("should return 304 when the photo has not changed since the browser's copy", async () => {
+      req.headers["if-modified-since"] = updatedAt.toUTCString();
+      mockProduct({ photo: { data: Buffer.from("photo"), contentType: "image/jpeg" }, images: [] });
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it("should keep the ETag of the legacy photo when the product changes, e.g. on a sale", async () => {
+      const data = Buffer.from("photo");
+      req.headers["if-none-match"] = `"${photoVersion(data)}-full"`;
+      mockProduct({
+        photo: { data, contentType: "image/jpeg" },
+        images: [],
+        updatedAt: new Date("2024-05-02T10:00:00.000Z"),
+      });
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it("should return 304 for a placeholder the browser already has", async () => {
+      req.headers["if-none-match"] = PLACEHOLDER_PHOTO.etag;
+      mockProduct({ photo: {}, images: [] });
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should return 422 for an unknown size", async () => {
+      req.query.size = "huge";
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Photo size should be one of thumbnail, card, full",
+      });
+    });
+
+    it("should return 404 when the index is outside the gallery", async () => {
+      req.params.index = "5";
+      mockProduct({ photo: {}, images: gallery });
+
+      await productPhotoController(req, res);
+
+      expect(openImageStream).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Photo not found",
+      });
+    });
+
+    it("should return 404 when the product does not exist", async () => {
+      mockProduct(null);
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product not found",
+      });
+    });
+  });
+
+  describe("Error Handling", () => {
+    it("should return 404 and log when the stored image cannot be read", async () => {
+      const error = new Error("FileNotFound");
+      mockProduct({ photo: {}, images: gallery });
+
+      await productPhotoController(req, res);
+      stream.emit("error", error);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database lookup fails", async () => {
+      const error = new Error("Database error");
+      productModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockRejectedValue(error),
+      });
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Erorr while getting photo",
+        error,
+      });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import {
+  createProductController,
+  updateProductController,
+  getAdminProductsController,
+  getAdminProductController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/categoryModel.js");
+
+/**
+ * Unit Tests for product publishing: the status fields of create/update product and the
+ * admin endpoints that list products whatever their status
+ *
+ * Test Doubles Used:
+ * - productModel:          MOCK (constructor + save record the created product, query chains
+ *                          record their filter)
+ * - categoryModel.findById: STUB (the category defines no attributes)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - createProductController / updateProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | scheduled product with dates              | saved with parsed dates
+ * 2  | Happy Path      | update to draft                           | status saved, publish date cleared
+ * 3  | Input Validation| scheduled without publish date            | 422, nothing saved
+ * Scenario Plan - getAdminProductsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | products of every status                  | 200, all products not archived
+ * 2  | Error Handling  | database error                            | 500
+ * Scenario Plan - getAdminProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | draft product                             | 200, found by slug only
+ * 2  | Input Validation| unknown slug                              | 404
+ * 3  | Error Handling  | database error                            | 500
+ */
+describe("Product publishing", () => {
+  let req, res;
+
+  const fields = {
+    name: "Summer Shirt",
+    description: "A shirt",
+    price: "20",
+    category: "cat1",
+    quantity: "5",
+    shipping: "1",
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, fields: { ...fields }, files: {} };
+    categoryModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue({ attributes: [] }),
+    });
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("createProductController / updateProductController", () => {
+    it("should create a scheduled product with its publish dates", async () => {
+      productModel.findOne = jest.fn().mockResolvedValue(null);
+      productModel.mockImplementation((product) => ({ ...product, save: jest.fn() }));
+      req.fields = {
+        ...fields,
+        status: "scheduled",
+        publishAt: "2024-06-01T09:00:00.000Z",
+        unpublishAt: "2024-09-01T09:00:00.000Z",
+      };
+
+      await createProductController(req, res);
+
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "scheduled",
+          publishAt: new Date("2024-06-01T09:00:00.000Z"),
+          unpublishAt: new Date("2024-09-01T09:00:00.000Z"),
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should update a product to draft and clear its publish date", async () => {
+      productModel.findOne = jest.fn().mockResolvedValue(null);
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ quantity: 20 });
+      productModel.findById = jest.fn().mockResolvedValue({ save: jest.fn() });
+      req.params.pid = "1";
+      req.fields = { ...fields, status: "draft", publishAt: "2024-06-01T09:00:00.000Z", unpublishAt: "" };
+
+      await updateProductController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "1",
+        expect.objectContaining({ status: "draft", publishAt: null, unpublishAt: null }),
+        { new: false, projection: { quantity: 1, locationStock: 1 } }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should return 422 when a scheduled product has no publish date", async () => {
+      productModel.findOne = jest.fn();
+      req.fields = { ...fields, status: "scheduled", publishAt: "" };
+
+      await createProductController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Publish date is required for a scheduled product",
+      });
+      expect(productModel.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getAdminProductsController", () => {
+    it("should return every product that is not archived, newest first", async () => {
+      const products = [
+        { _id: "1", name: "Draft Shirt", status: "draft" },
+        { _id: "2", name: "Hat", status: "published" },
+      ];
+      const sortMock = jest.fn().mockResolvedValue(products);
+      productModel.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        sort: sortMock,
+      });
+
+      await getAdminProductsController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({ archivedAt: null });
+      expect(sortMock).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        countTotal: 2,
+        message: "All products fetched",
+        products,
+      });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      productModel.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockRejectedValue(error),
+      });
+
+      await getAdminProductsController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error in getting products",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("getAdminProductController", () => {
+    const mockFindOne = (result) => {
+      productModel.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        populate: result instanceof Error ? jest.fn().mockRejectedValue(result) : jest.fn().mockResolvedValue(result),
+      });
+    };
+
+    it("should return a draft product by its slug", async () => {
+      const product = { _id: "1", slug: "draft-shirt", status: "draft" };
+      mockFindOne(product);
+      req.params.slug = "draft-shirt";
+
+      await getAdminProductController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith({ slug: "draft-shirt" });
+      // the admin edits the stock per location too
+      expect(productModel.findOne.mock.results[0].value.select).toHaveBeenCalledWith("-photo +locationStock");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Single Product Fetched",
+        product,
+      });
+    });
+
+    it("should return 404 when no product has the slug", async () => {
+      mockFindOne(null);
+      req.params.slug = "missing";
+
+      await getAdminProductController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      mockFindOne(error);
+      req.params.slug = "draft-shirt";
+
+      await getAdminProductController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting single product",
+        error,
+      });
+    });
+  });
+});
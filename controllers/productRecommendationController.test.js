@@ -0,0 +1,220 @@
+import {
+  frequentlyBoughtTogetherController,
+  realtedProductController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+
+/**
+ * Unit Tests for the product recommendations: customers also bought on a product page and
+ * frequently bought together below the cart, both from the order history
+ *
+ * Test Doubles Used:
+ * - orderModel.aggregate:  STUB (returns the products bought in the same orders)
+ * - productModel.find:     STUB (query chains resolving to the listed products, recording the filter)
+ * - productModel.distinct: STUB (returns the categories of the cart products)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - realtedProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | enough products bought together           | 200, most often bought first, no fallback
+ * 2  | Happy Path      | some bought together are not listed       | topped up with the same category
+ * 3  | Input Validation| invalid product id                        | 422, no query run
+ * 4  | Error Handling  | database error                            | 400
+ * Scenario Plan - frequentlyBoughtTogetherController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | products of a cart                        | 200, recommendations without the cart products
+ * 2  | Edge            | empty cart                                | 200, no products, no query run
+ * 3  | Input Validation| invalid product id                        | 422
+ * 4  | Error Handling  | database error                            | 500
+ */
+describe("Product recommendations", () => {
+  let req, res;
+
+  const pid = "66db427fdb0119d9234b27f1";
+  const bought1 = "66db427fdb0119d9234b27f2";
+  const bought2 = "66db427fdb0119d9234b27f3";
+  const bought3 = "66db427fdb0119d9234b27f4";
+  const similar = { _id: "66db427fdb0119d9234b27f5", name: "Similar" };
+
+  // each find resolves to the next list of products
+  const mockFind = (...results) => {
+    productModel.find = jest.fn();
+    results.forEach((result) => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(result),
+      };
+      productModel.find.mockReturnValueOnce(query);
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { params: {}, query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("realtedProductController", () => {
+    beforeEach(() => {
+      req.params = { pid, cid: "cat1" };
+    });
+
+    it("should return the products most often bought together", async () => {
+      orderModel.aggregate = jest.fn().mockResolvedValue([
+        { _id: bought1, count: 5 },
+        { _id: bought2, count: 3 },
+        { _id: bought3, count: 1 },
+      ]);
+      // found in another order than bought
+      mockFind([{ _id: bought3 }, { _id: bought1 }, { _id: bought2 }]);
+
+      await realtedProductController(req, res);
+
+      const [pipeline] = orderModel.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.products.$in.map(String)).toEqual([pid]);
+      expect(productModel.find).toHaveBeenCalledTimes(1);
+      expect(productModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: { $in: [bought1, bought2, bought3] }, archivedAt: null })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: [{ _id: bought1 }, { _id: bought2 }, { _id: bought3 }],
+        boughtTogether: 3,
+      });
+    });
+
+    it("should top up with products of the same category", async () => {
+      // bought2 is archived, so find leaves it out
+      orderModel.aggregate = jest.fn().mockResolvedValue([
+        { _id: bought1, count: 5 },
+        { _id: bought2, count: 3 },
+      ]);
+      mockFind([{ _id: bought1 }], [similar]);
+
+      await realtedProductController(req, res);
+
+      const query = productModel.find.mock.results[1].value;
+      expect(productModel.find).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          category: { $in: ["cat1"] },
+          _id: { $nin: [pid, bought1] },
+          archivedAt: null,
+        })
+      );
+      expect(query.limit).toHaveBeenCalledWith(2);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: [{ _id: bought1 }, similar],
+        boughtTogether: 1,
+      });
+    });
+
+    it("should return 422 for an invalid product id", async () => {
+      orderModel.aggregate = jest.fn();
+      req.params.pid = "1";
+
+      await realtedProductController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid product id" });
+      expect(orderModel.aggregate).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 when the database fails", async () => {
+      const error = new Error("Database failed");
+      orderModel.aggregate = jest.fn().mockRejectedValue(error);
+
+      await realtedProductController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "error while geting related product",
+        error,
+      });
+    });
+  });
+
+  describe("frequentlyBoughtTogetherController", () => {
+    it("should recommend products bought with the cart, then from its categories", async () => {
+      req.query.products = `${pid},${bought1}`;
+      productModel.distinct = jest.fn().mockResolvedValue(["cat1", "cat2"]);
+      orderModel.aggregate = jest.fn().mockResolvedValue([{ _id: bought2, count: 2 }]);
+      mockFind([{ _id: bought2 }], [similar]);
+
+      await frequentlyBoughtTogetherController(req, res);
+
+      const [pipeline] = orderModel.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.products.$in.map(String)).toEqual([pid, bought1]);
+      expect(productModel.distinct).toHaveBeenCalledWith("category", {
+        _id: { $in: [pid, bought1] },
+      });
+      expect(productModel.find).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          category: { $in: ["cat1", "cat2"] },
+          _id: { $nin: [pid, bought1, bought2] },
+        })
+      );
+      expect(productModel.find.mock.results[1].value.limit).toHaveBeenCalledWith(3);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: [{ _id: bought2 }, similar],
+        boughtTogether: 1,
+      });
+    });
+
+    it("should return no products for an empty cart", async () => {
+      orderModel.aggregate = jest.fn();
+
+      await frequentlyBoughtTogetherController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, products: [], boughtTogether: 0 });
+      expect(orderModel.aggregate).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 for an invalid product id", async () => {
+      req.query.products = "not-an-id";
+
+      await frequentlyBoughtTogetherController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid product id" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      req.query.products = pid;
+      productModel.distinct = jest.fn().mockRejectedValue(error);
+
+      await frequentlyBoughtTogetherController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting frequently bought together products",
+        error: "Database failed",
+      });
+    });
+  });
+});
@@ -0,0 +1,287 @@
+import { productSearchController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+import { loadSearchDictionary } from "../helpers/searchDictionary.js";
+import { decodeCursor, encodeCursor } from "../helpers/cursorHelper.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/searchQueryModel.js");
+jest.mock("../helpers/searchDictionary.js");
+
+/**
+ * Unit Tests for productSearchController: one search with filters, sorting and paging that
+ * also returns the facet counts per category and price bucket
+ *
+ * Test Doubles Used:
+ * - productModel.aggregate: STUB (returns the $facet result)
+ * - categoryModel.find:     STUB (returns the names of the counted categories)
+ * - searchQueryModel:       MOCK (records the counted keywords)
+ * - loadSearchDictionary:   STUB (returns the synonym groups and stop words)
+ * - req/res:                FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | keyword with category and price filters   | 200, page of results with facets
+ * 2  | Happy Path      | nothing matches                           | 200, total 0, empty facets
+ * 3  | Happy Path      | keyword in exact mode                     | text search instead of trigrams
+ * 4  | Happy Path      | keyword with a synonym and a stop word    | synonyms searched, stop word left out
+ * 5  | Happy Path      | first page of a keyword search            | keyword counted once, within the popular days
+ * 6  | Error Handling  | counting the keyword fails                | 200, search still answered
+ * 7  | Input Validation| invalid query, keyword too long           | 422, no query run
+ * 8  | Error Handling  | database error                            | 500
+ * 9  | Happy Path      | more products than the page size          | page cut to size, cursor of the next page
+ * 10 | Edge Case       | keyword search loading more by cursor     | keyword not counted again
+ */
+describe("productSearchController", () => {
+  let req, res;
+
+  const cat1 = "66db427fdb0119d9234b27ee";
+  const cat2 = "66db427fdb0119d9234b27ef";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { query: {} };
+    searchQueryModel.updateOne = jest.fn().mockResolvedValue({});
+    loadSearchDictionary.mockResolvedValue({ synonyms: [], stopWords: [] });
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  const mockCategories = (categories) => {
+    categoryModel.find = jest.fn().mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(categories),
+    });
+  };
+
+  it("should return a page of results with the category and price facets", async () => {
+    const products = [{ _id: "1", name: "Laptop Pro", price: 30 }];
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      {
+        products,
+        total: [{ count: 7 }],
+        categories: [
+          { _id: cat1, count: 7 },
+          { _id: cat2, count: 2 },
+        ],
+        prices: [{ _id: 20, count: 7 }],
+      },
+    ]);
+    mockCategories([
+      { _id: cat2, name: "Books", slug: "books" },
+      { _id: cat1, name: "Electronics", slug: "electronics" },
+    ]);
+    req.query = { keyword: "laptop", categories: cat1, minPrice: "20", maxPrice: "40", page: "2" };
+
+    await productSearchController(req, res);
+
+    const [pipeline] = productModel.aggregate.mock.calls[0];
+    expect(pipeline[0].$match.$or).toEqual([
+      { searchGrams: { $in: expect.arrayContaining([" la", "lap"]) } },
+      { searchGrams: { $exists: false } },
+    ]);
+    expect(pipeline[3].$facet.products).toEqual(expect.arrayContaining([{ $skip: 6 }]));
+    expect(categoryModel.find).toHaveBeenCalledWith({ _id: { $in: [cat1, cat2] } });
+    expect(searchQueryModel.updateOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products,
+      total: 7,
+      page: 2,
+      perPage: 6,
+      nextCursor: null,
+      facets: {
+        categories: [
+          { _id: cat2, name: "Books", slug: "books", count: 2 },
+          { _id: cat1, name: "Electronics", slug: "electronics", count: 7 },
+        ],
+        prices: expect.arrayContaining([
+          { min: 0, max: 20, count: 0 },
+          { min: 20, max: 40, count: 7 },
+        ]),
+      },
+    });
+  });
+
+  it("should return no results and a total of 0 when nothing matches", async () => {
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products: [], total: [], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+
+    await productSearchController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [],
+        total: 0,
+        page: 1,
+        facets: expect.objectContaining({ categories: [] }),
+      })
+    );
+  });
+
+  it("should search whole words only in exact mode", async () => {
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products: [], total: [], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+    req.query = { keyword: "laptop", mode: "exact" };
+
+    await productSearchController(req, res);
+
+    const [pipeline] = productModel.aggregate.mock.calls[0];
+    expect(pipeline[0].$match.$text).toEqual({ $search: "laptop" });
+    expect(pipeline[0].$match).not.toHaveProperty("$or");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should search the synonyms of the keyword without its stop words", async () => {
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products: [], total: [], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+    loadSearchDictionary.mockResolvedValue({
+      synonyms: [["cellphone", "smartphone"]],
+      stopWords: ["for"],
+    });
+    req.query = { keyword: "case for cellphone", mode: "exact" };
+
+    await productSearchController(req, res);
+
+    const [pipeline] = productModel.aggregate.mock.calls[0];
+    expect(pipeline[0].$match.$text).toEqual({ $search: "case cellphone smartphone" });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should count the keyword of a first page search for the popular queries", async () => {
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products: [], total: [], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+    req.query = { keyword: "  Gaming  Laptop " };
+
+    await productSearchController(req, res);
+
+    const [filter, [{ $set }], options] = searchQueryModel.updateOne.mock.calls[0];
+    expect(filter).toEqual({ query: "gaming laptop" });
+    expect(options).toEqual({ upsert: true });
+    // counted on from a recent search, from 1 again after the popular days
+    const [recent, since] = $set.count.$cond[0].$gte;
+    expect(recent).toBe("$lastSearchedAt");
+    expect($set.lastSearchedAt.getTime() - since.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+    expect($set.count.$cond.slice(1)).toEqual([{ $add: ["$count", 1] }, 1]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should not count the keyword again when more results are loaded by cursor", async () => {
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products: [], total: [], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+    req.query = {
+      keyword: "laptop",
+      sort: "price-asc",
+      cursor: encodeCursor({ _id: "66db427fdb0119d9234b27f2", price: 20 }, [["price", 1]]),
+    };
+
+    await productSearchController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(searchQueryModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should still answer the search when counting the keyword fails", async () => {
+    const error = new Error("Write failed");
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products: [], total: [], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+    searchQueryModel.updateOne = jest.fn().mockRejectedValue(error);
+    req.query = { keyword: "laptop" };
+
+    await productSearchController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 422 for an invalid query", async () => {
+    productModel.aggregate = jest.fn();
+    req.query = { sort: "popular" };
+
+    await productSearchController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Sort should be one of relevance, newest, price-asc, price-desc, name, best-selling, rating",
+    });
+    expect(productModel.aggregate).not.toHaveBeenCalled();
+  });
+
+  it("should return 422 for a keyword too long to search", async () => {
+    productModel.aggregate = jest.fn();
+    req.query = { keyword: "laptop ".repeat(20) };
+
+    await productSearchController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Keyword should be at most 100 characters",
+    });
+    expect(productModel.aggregate).not.toHaveBeenCalled();
+  });
+
+  it("should cut the page to the limit and send the cursor of the next page", async () => {
+    const products = [
+      { _id: "66db427fdb0119d9234b27f1", name: "Laptop", price: 10 },
+      { _id: "66db427fdb0119d9234b27f2", name: "Mouse", price: 20 },
+      { _id: "66db427fdb0119d9234b27f3", name: "Phone", price: 30 },
+    ];
+    productModel.aggregate = jest.fn().mockResolvedValue([
+      { products, total: [{ count: 3 }], categories: [], prices: [] },
+    ]);
+    mockCategories([]);
+    req.query = { sort: "price-asc", limit: "2" };
+
+    await productSearchController(req, res);
+
+    const [pipeline] = productModel.aggregate.mock.calls[0];
+    const [body] = res.send.mock.calls[0];
+    expect(pipeline[1].$facet.products).toEqual(expect.arrayContaining([{ $limit: 3 }]));
+    expect(body).toEqual(
+      expect.objectContaining({ products: products.slice(0, 2), perPage: 2, total: 3 })
+    );
+    expect(decodeCursor(body.nextCursor, [["price", 1]]).values[0]).toBe(20);
+  });
+
+  it("should return 500 when the database fails", async () => {
+    const error = new Error("Database failed");
+    productModel.aggregate = jest.fn().mockRejectedValue(error);
+
+    await productSearchController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error in product search",
+      error: "Database failed",
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { searchSuggestionsController } from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/searchQueryModel.js");
+
+/**
+ * Unit Tests for searchSuggestionsController: suggestions while typing in the search box
+ *
+ * Test Doubles Used:
+ * - productModel.find:     STUB (returns the matching product names)
+ * - categoryModel.find:    STUB (returns the matching categories)
+ * - searchQueryModel.find: STUB (returns the recent queries searched often enough to suggest)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | typed text matching all three kinds       | 200, suggestions with highlights
+ * 2  | Edge Case       | nothing typed                             | 200, no suggestions, no query run
+ * 3  | Input Validation| typed text too long                       | 422
+ * 4  | Error Handling  | database error                            | 500
+ */
+describe("searchSuggestionsController", () => {
+  let req, res;
+
+  const mockFind = (model, results) => {
+    const query = {
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: results instanceof Error ? jest.fn().mockRejectedValue(results) : jest.fn().mockResolvedValue(results),
+    };
+    model.find = jest.fn().mockReturnValue(query);
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("should suggest matching products, categories and popular queries with highlights", async () => {
+    const productQuery = mockFind(productModel, [{ _id: "p1", name: "Gaming Laptop", slug: "gaming-laptop" }]);
+    mockFind(categoryModel, [{ _id: "c1", name: "Laptops", slug: "laptops" }]);
+    const queryQuery = mockFind(searchQueryModel, [{ query: "laptop bag" }]);
+    req.query = { q: " Lap " };
+
+    await searchSuggestionsController(req, res);
+
+    expect(productModel.find).toHaveBeenCalledWith(
+      expect.objectContaining({ name: /(^|\s)Lap/i, archivedAt: null })
+    );
+    expect(productQuery.limit).toHaveBeenCalledWith(5);
+    expect(categoryModel.find).toHaveBeenCalledWith({ name: /(^|\s)Lap/i });
+    expect(searchQueryModel.find).toHaveBeenCalledWith({
+      query: { $regex: "^lap" },
+      lastSearchedAt: { $gte: expect.any(Date) },
+      count: { $gte: 3 },
+    });
+    expect(queryQuery.sort).toHaveBeenCalledWith({ count: -1 });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [
+        {
+          _id: "p1",
+          name: "Gaming Laptop",
+          slug: "gaming-laptop",
+          highlight: [
+            { text: "Gaming ", match: false },
+            { text: "Lap", match: true },
+            { text: "top", match: false },
+          ],
+        },
+      ],
+      categories: [
+        {
+          _id: "c1",
+          name: "Laptops",
+          slug: "laptops",
+          highlight: [
+            { text: "Lap", match: true },
+            { text: "tops", match: false },
+          ],
+        },
+      ],
+      queries: [
+        {
+          query: "laptop bag",
+          highlight: [
+            { text: "lap", match: true },
+            { text: "top bag", match: false },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("should return no suggestions when nothing was typed", async () => {
+    productModel.find = jest.fn();
+    req.query = { q: "   " };
+
+    await searchSuggestionsController(req, res);
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, products: [], categories: [], queries: [] });
+  });
+
+  it("should return 422 when the typed text is too long", async () => {
+    req.query = { q: "a".repeat(101) };
+
+    await searchSuggestionsController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Search text should be at most 100 characters",
+    });
+  });
+
+  it("should return 500 when the database fails", async () => {
+    const error = new Error("Database failed");
+    mockFind(productModel, error);
+    mockFind(categoryModel, []);
+    mockFind(searchQueryModel, []);
+    req.query = { q: "lap" };
+
+    await searchSuggestionsController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error in getting search suggestions",
+      error: "Database failed",
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import questionModel from "../models/questionModel.js";
+import answerModel from "../models/answerModel.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import { ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import { listedProducts } from "../helpers/productHelper.js";
+import {
+  INBOX_PAGE_SIZE,
+  parseAnswerText,
+  parseQuestionText,
+  QUESTION_PAGE_SIZE,
+  withAnswers,
+} from "../helpers/questionHelper.js";
+import { parsePage } from "../helpers/cursorHelper.js";
+
+//get questions of a product with their answers, most voted answers first
+export const getProductQuestionsController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const { error, page } = parsePage(req.query.page);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const [questions, total] = await Promise.all([
+      questionModel
+        .find({ product: pid })
+        .populate("user", "name")
+        .sort({ createdAt: -1, _id: 1 })
+        .skip((page - 1) * QUESTION_PAGE_SIZE)
+        .limit(QUESTION_PAGE_SIZE)
+        .lean(),
+      questionModel.countDocuments({ product: pid }),
+    ]);
+    const answers = await answerModel
+      .find({ question: { $in: questions.map((question) => question._id) } })
+      .populate("user", "name")
+      .sort({ voteCount: -1, createdAt: 1 })
+      .lean();
+    res.status(200).send({
+      success: true,
+      questions: withAnswers(questions, answers),
+      page,
+      perPage: QUESTION_PAGE_SIZE,
+      total,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting questions",
+      error: error.message,
+    });
+  }
+};
+
+//ask a question about a listed product
+export const askQuestionController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const { error, text } = parseQuestionText(req.body.text);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const product = await productModel.findOne(listedProducts({ _id: pid })).select("_id").lean();
+    if (!product) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    const question = await new questionModel({ product: pid, user: req.user._id, text }).save();
+    res.status(201).send({
+      success: true,
+      message: "Question posted",
+      question,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while asking question",
+      error: error.message,
+    });
+  }
+};
+
+//answer a question, only as an admin or a customer who bought the product
+export const answerQuestionController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid question id" });
+    }
+    const { error, text } = parseAnswerText(req.body.text);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const question = await questionModel.findById(id).select("product").lean();
+    if (!question) {
+      return res.status(404).send({ success: false, message: "Question not found" });
+    }
+    const user = await userModel.findById(req.user._id).select("role").lean();
+    const admin = user?.role === 1;
+    if (!admin) {
+      const ordered = await orderModel.exists({
+        buyer: req.user._id,
+        products: question.product,
+        status: { $ne: ORDER_STATUS.CANCELLED },
+      });
+      if (!ordered) {
+        return res.status(403).send({
+          success: false,
+          message: "Only admins and customers who bought this product can answer",
+        });
+      }
+    }
+    const answer = await new answerModel({
+      question: id,
+      user: req.user._id,
+      answeredBy: admin ? "admin" : "buyer",
+      text,
+    }).save();
+    await questionModel.findByIdAndUpdate(id, { $inc: { answerCount: 1 } });
+    res.status(201).send({
+      success: true,
+      message: "Answer posted",
+      answer,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while answering question",
+      error: error.message,
+    });
+  }
+};
+
+//vote for an answer of someone else, once per user
+export const voteAnswerController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid answer id" });
+    }
+    const userId = req.user._id;
+    const answer = await answerModel.findById(id).select("user");
+    if (!answer) {
+      return res.status(404).send({ success: false, message: "Answer not found" });
+    }
+    if (String(answer.user) === String(userId)) {
+      return res.status(403).send({ success: false, message: "You cannot vote for your own answer" });
+    }
+    // an answer the user already voted for matches nothing, so voteCount stays the size of votes
+    const updated = await answerModel.findOneAndUpdate(
+      { _id: id, votes: { $ne: userId } },
+      { $addToSet: { votes: userId }, $inc: { voteCount: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).send({ success: false, message: "You already voted for this answer" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Thanks for your vote",
+      voteCount: updated.voteCount,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while voting for answer",
+      error: error.message,
+    });
+  }
+};
+
+//get unanswered questions of all products, oldest first
+export const getUnansweredQuestionsController = async (req, res) => {
+  try {
+    const { error, page } = parsePage(req.query.page);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const [questions, total] = await Promise.all([
+      questionModel
+        .find({ answerCount: 0 })
+        .populate("user", "name")
+        .populate("product", "name slug")
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * INBOX_PAGE_SIZE)
+        .limit(INBOX_PAGE_SIZE)
+        .lean(),
+      questionModel.countDocuments({ answerCount: 0 }),
+    ]);
+    res.status(200).send({
+      success: true,
+      questions,
+      page,
+      perPage: INBOX_PAGE_SIZE,
+      total,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting unanswered questions",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,449 @@
+import {
+  answerQuestionController,
+  askQuestionController,
+  getProductQuestionsController,
+  getUnansweredQuestionsController,
+  voteAnswerController,
+} from "./questionController.js";
+import questionModel from "../models/questionModel.js";
+import answerModel from "../models/answerModel.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import { ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import { listedProducts } from "../helpers/productHelper.js";
+
+jest.mock("../models/questionModel.js");
+jest.mock("../models/answerModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/userModel.js");
+
+/**
+ * Unit Tests for the product question endpoints: questions asked by shoppers, answers by admins
+ * or buyers, votes on answers and the admin inbox of unanswered questions
+ *
+ * Test Doubles Used:
+ * - questionModel:        MOCK (records the saved questions and the answer count)
+ * - answerModel:          MOCK (records the saved answers and the votes)
+ * - productModel.findOne: STUB (whether the product exists and is listed)
+ * - userModel.findById:   STUB (whether the user is an admin)
+ * - orderModel.exists:    STUB (whether the user ordered the product)
+ * - req/res:              FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - getProductQuestionsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | questions of a product, page 2            | 200, page of questions with answers
+ * 2  | Input Validation| invalid product id or page                | 422
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - askQuestionController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | signed-in user asks about a product       | 201, question saved
+ * 2  | Input Validation| invalid id, no text, unlisted product     | 422 / 404
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - answerQuestionController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | admin, or buyer of the product            | 201, answer saved, answer counted
+ * 2  | Business Rule   | user who never ordered the product        | 403, nothing saved
+ * 3  | Input Validation| invalid id, no text, unknown question     | 422 / 404
+ * 4  | Error Handling  | database error                            | 500
+ * Scenario Plan - voteAnswerController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | first vote on an answer of someone else   | 200, vote counted once
+ * 2  | Business Rule   | own answer, second vote                   | 403 / 409
+ * 3  | Input Validation| invalid or unknown id                     | 422 / 404
+ * 4  | Error Handling  | database error                            | 500
+ * Scenario Plan - getUnansweredQuestionsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | first page                                | 200, unanswered questions oldest first
+ * 2  | Input Validation| invalid page                              | 422
+ * 3  | Error Handling  | database error                            | 500
+ */
+describe("questionController", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+  const questionId = "66db427fdb0119d9234b27f2";
+  const answerId = "66db427fdb0119d9234b27f3";
+  const userId = "66db427fdb0119d9234b27f4";
+  const otherUserId = "66db427fdb0119d9234b27f5";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: {}, query: {}, user: { _id: userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  // chain of a find query ending in lean()
+  const queryOf = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    populate: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    skip: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result),
+  });
+
+  describe("getProductQuestionsController", () => {
+    const questions = [{ _id: questionId, text: "Is it waterproof?" }];
+    const answers = [{ _id: answerId, question: questionId, text: "Yes" }];
+    let questionQuery, answerQuery;
+
+    beforeEach(() => {
+      req.params.pid = pid;
+      questionQuery = queryOf(questions);
+      answerQuery = queryOf(answers);
+      questionModel.find = jest.fn().mockReturnValue(questionQuery);
+      questionModel.countDocuments = jest.fn().mockResolvedValue(6);
+      answerModel.find = jest.fn().mockReturnValue(answerQuery);
+    });
+
+    it("should return a page of questions with their answers", async () => {
+      req.query = { page: "2" };
+
+      await getProductQuestionsController(req, res);
+
+      expect(questionModel.find).toHaveBeenCalledWith({ product: pid });
+      expect(questionQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: 1 });
+      expect(questionQuery.skip).toHaveBeenCalledWith(5);
+      expect(answerModel.find).toHaveBeenCalledWith({ question: { $in: [questionId] } });
+      expect(answerQuery.sort).toHaveBeenCalledWith({ voteCount: -1, createdAt: 1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        questions: [{ ...questions[0], answers }],
+        page: 2,
+        perPage: 5,
+        total: 6,
+      });
+    });
+
+    it.each([
+      [{ pid: "1" }, {}, "Invalid product id"],
+      [{ pid }, { page: "0" }, "Page should be a whole number from 1"],
+    ])("should return 422 for %j %j", async (params, query, message) => {
+      req.params = params;
+      req.query = query;
+
+      await getProductQuestionsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      questionModel.countDocuments.mockRejectedValue(error);
+
+      await getProductQuestionsController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting questions",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("askQuestionController", () => {
+    beforeEach(() => {
+      req.params.pid = pid;
+      req.body = { text: " Is it waterproof? " };
+      productModel.findOne = jest.fn().mockReturnValue(queryOf({ _id: pid }));
+      questionModel.mockImplementation((question) => ({
+        save: jest.fn().mockResolvedValue({ _id: questionId, ...question }),
+      }));
+    });
+
+    it("should save the question of a signed-in user", async () => {
+      await askQuestionController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith(listedProducts({ _id: pid }, expect.any(Date)));
+      expect(questionModel).toHaveBeenCalledWith({ product: pid, user: userId, text: "Is it waterproof?" });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Question posted",
+        question: { _id: questionId, product: pid, user: userId, text: "Is it waterproof?" },
+      });
+    });
+
+    it.each([
+      [{ pid: "1" }, { text: "Why?" }, "Invalid product id"],
+      [{ pid }, { text: "  " }, "Question is required"],
+    ])("should return 422 for %j %j", async (params, body, message) => {
+      req.params = params;
+      req.body = body;
+
+      await askQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(questionModel).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown or unlisted product", async () => {
+      productModel.findOne = jest.fn().mockReturnValue(queryOf(null));
+
+      await askQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      productModel.findOne = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await askQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while asking question",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("answerQuestionController", () => {
+    beforeEach(() => {
+      req.params.id = questionId;
+      req.body = { text: " Yes, it is " };
+      questionModel.findById = jest.fn().mockReturnValue(queryOf({ _id: questionId, product: pid }));
+      questionModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+      userModel.findById = jest.fn().mockReturnValue(queryOf({ role: 0 }));
+      orderModel.exists = jest.fn().mockResolvedValue({ _id: "order1" });
+      answerModel.mockImplementation((answer) => ({
+        save: jest.fn().mockResolvedValue({ _id: answerId, ...answer }),
+      }));
+    });
+
+    it("should save the answer of a buyer and count it on the question", async () => {
+      await answerQuestionController(req, res);
+
+      expect(orderModel.exists).toHaveBeenCalledWith({
+        buyer: userId,
+        products: pid,
+        status: { $ne: ORDER_STATUS.CANCELLED },
+      });
+      const answer = { question: questionId, user: userId, answeredBy: "buyer", text: "Yes, it is" };
+      expect(answerModel).toHaveBeenCalledWith(answer);
+      expect(questionModel.findByIdAndUpdate).toHaveBeenCalledWith(questionId, {
+        $inc: { answerCount: 1 },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Answer posted",
+        answer: { _id: answerId, ...answer },
+      });
+    });
+
+    it("should let an admin answer without an order", async () => {
+      userModel.findById = jest.fn().mockReturnValue(queryOf({ role: 1 }));
+
+      await answerQuestionController(req, res);
+
+      expect(orderModel.exists).not.toHaveBeenCalled();
+      expect(answerModel).toHaveBeenCalledWith(expect.objectContaining({ answeredBy: "admin" }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should return 403 when the user never ordered the product", async () => {
+      orderModel.exists.mockResolvedValue(null);
+
+      await answerQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Only admins and customers who bought this product can answer",
+      });
+      expect(answerModel).not.toHaveBeenCalled();
+      expect(questionModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ id: "1" }, { text: "Yes" }, "Invalid question id"],
+      [{ id: questionId }, {}, "Answer is required"],
+    ])("should return 422 for %j %j", async (params, body, message) => {
+      req.params = params;
+      req.body = body;
+
+      await answerQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 404 for an unknown question", async () => {
+      questionModel.findById = jest.fn().mockReturnValue(queryOf(null));
+
+      await answerQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Question not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      orderModel.exists.mockRejectedValue(new Error("Database failed"));
+
+      await answerQuestionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while answering question",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("voteAnswerController", () => {
+    const mockAnswer = (answer) => {
+      answerModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(answer),
+      });
+    };
+
+    beforeEach(() => {
+      req.params.id = answerId;
+      mockAnswer({ _id: answerId, user: otherUserId });
+    });
+
+    it("should count the first vote of a user", async () => {
+      answerModel.findOneAndUpdate = jest.fn().mockResolvedValue({ voteCount: 2 });
+
+      await voteAnswerController(req, res);
+
+      expect(answerModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: answerId, votes: { $ne: userId } },
+        { $addToSet: { votes: userId }, $inc: { voteCount: 1 } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Thanks for your vote",
+        voteCount: 2,
+      });
+    });
+
+    it("should return 409 on a second vote", async () => {
+      answerModel.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+      await voteAnswerController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You already voted for this answer",
+      });
+    });
+
+    it("should return 403 for a vote on the own answer", async () => {
+      mockAnswer({ _id: answerId, user: userId });
+      answerModel.findOneAndUpdate = jest.fn();
+
+      await voteAnswerController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You cannot vote for your own answer",
+      });
+      expect(answerModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 for an invalid id and 404 for an unknown one", async () => {
+      req.params.id = "1";
+      await voteAnswerController(req, res);
+      expect(res.status).toHaveBeenCalledWith(422);
+
+      req.params.id = answerId;
+      mockAnswer(null);
+      await voteAnswerController(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(res.send).toHaveBeenLastCalledWith({ success: false, message: "Answer not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      answerModel.findById = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await voteAnswerController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while voting for answer",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("getUnansweredQuestionsController", () => {
+    const questions = [{ _id: questionId, text: "Is it waterproof?" }];
+    let query;
+
+    beforeEach(() => {
+      query = queryOf(questions);
+      questionModel.find = jest.fn().mockReturnValue(query);
+      questionModel.countDocuments = jest.fn().mockResolvedValue(1);
+    });
+
+    it("should return the unanswered questions, oldest first", async () => {
+      await getUnansweredQuestionsController(req, res);
+
+      expect(questionModel.find).toHaveBeenCalledWith({ answerCount: 0 });
+      expect(query.populate).toHaveBeenCalledWith("product", "name slug");
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        questions,
+        page: 1,
+        perPage: 10,
+        total: 1,
+      });
+    });
+
+    it("should return 422 for an invalid page", async () => {
+      req.query = { page: "x" };
+
+      await getUnansweredQuestionsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Page should be a whole number from 1",
+      });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      questionModel.countDocuments.mockRejectedValue(new Error("Database failed"));
+
+      await getUnansweredQuestionsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting unanswered questions",
+        error: "Database failed",
+      });
+    });
+  });
+});
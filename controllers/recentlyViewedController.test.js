@@ -0,0 +1,287 @@
+import {
+  clearRecentlyViewedController,
+  getRecentlyViewedController,
+  mergeRecentlyViewedController,
+  recordViewController,
+} from "./authController.js";
+import userModel from "../models/userModel.js";
+import productModel from "../models/productModel.js";
+import { listedProducts } from "../helpers/productHelper.js";
+
+jest.mock("../models/userModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+
+/**
+ * Unit Tests for the recently viewed endpoints of a signed-in user
+ *
+ * Test Doubles Used:
+ * - userModel:            MOCK (records the history saved for the user)
+ * - productModel.findOne: STUB (whether the product exists and is listed)
+ * - req/res:              FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - getRecentlyViewedController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | user with viewed products                 | 200, only the listed products
+ * 2  | Edge Case       | user not found                            | 200, no products
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - recordViewController / mergeRecentlyViewedController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | product viewed again, guest views         | 200, history merged latest first
+ * 2  | Input Validation| invalid id or views, unlisted product     | 422 / 404, history unchanged
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - clearRecentlyViewedController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | user with a history                       | 200, history emptied
+ * 2  | Error Handling  | database error                            | 500
+ */
+describe("recently viewed controllers", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+  const other = "66db427fdb0119d9234b27f3";
+  const userId = "66db427fdb0119d9234b27f2";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: { pid }, query: {}, user: { _id: userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    userModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  // findById(...).select("recentlyViewed").lean() resolving to the stored history
+  const mockHistory = (recentlyViewed) => {
+    userModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(recentlyViewed && { recentlyViewed }),
+    });
+  };
+
+  const savedHistory = () => userModel.findByIdAndUpdate.mock.calls[0][1].$set.recentlyViewed;
+
+  describe("getRecentlyViewedController", () => {
+    let query;
+
+    const mockUser = (user) => {
+      query = {
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(user),
+      };
+      userModel.findById = jest.fn().mockReturnValue(query);
+    };
+
+    it("should return only the viewed products that are listed", async () => {
+      const laptop = { _id: pid, name: "Laptop" };
+      mockUser({
+        _id: userId,
+        recentlyViewed: [
+          { product: laptop, viewedAt: new Date("2024-06-02") },
+          { product: null, viewedAt: new Date("2024-06-01") },
+        ],
+      });
+
+      await getRecentlyViewedController(req, res);
+
+      expect(userModel.findById).toHaveBeenCalledWith(userId);
+      expect(query.populate).toHaveBeenCalledWith({
+        path: "recentlyViewed.product",
+        select: "-photo",
+        // archived, draft, scheduled and unpublished products are left out
+        match: listedProducts({}, expect.any(Date)),
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, products: [laptop] });
+    });
+
+    it("should return no products when the user is not found", async () => {
+      mockUser(null);
+
+      await getRecentlyViewedController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, products: [] });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      userModel.findById = jest.fn().mockImplementation(() => {
+        throw error;
+      });
+
+      await getRecentlyViewedController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting recently viewed products",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("recordViewController", () => {
+    const mockProduct = (product) => {
+      productModel.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(product),
+      });
+    };
+
+    beforeEach(() => {
+      mockProduct({ _id: pid });
+      mockHistory([
+        { product: other, viewedAt: new Date("2024-06-02") },
+        { product: pid, viewedAt: new Date("2024-06-01") },
+      ]);
+    });
+
+    it("should move a product viewed again to the front of the history", async () => {
+      await recordViewController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith(listedProducts({ _id: pid }, expect.any(Date)));
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(userId, {
+        $set: { recentlyViewed: expect.any(Array) },
+      });
+      expect(savedHistory()).toEqual([
+        { product: pid, viewedAt: expect.any(Date) },
+        { product: other, viewedAt: new Date("2024-06-02") },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: "View recorded" });
+    });
+
+    it("should start a history for a user without one", async () => {
+      mockHistory(undefined);
+
+      await recordViewController(req, res);
+
+      expect(savedHistory()).toEqual([{ product: pid, viewedAt: expect.any(Date) }]);
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.pid = "1";
+
+      await recordViewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid product id" });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown or unlisted product", async () => {
+      mockProduct(null);
+
+      await recordViewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product not found" });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      userModel.findByIdAndUpdate = jest.fn().mockRejectedValue(new Error("Database failed"));
+
+      await recordViewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while recording view",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("mergeRecentlyViewedController", () => {
+    beforeEach(() => {
+      mockHistory([{ product: pid, viewedAt: new Date("2024-06-02") }]);
+    });
+
+    it("should merge the guest views into the history, latest first", async () => {
+      req.body.views = [
+        { product: other, viewedAt: "2024-06-03T00:00:00.000Z" },
+        { product: pid, viewedAt: "2024-06-01T00:00:00.000Z" },
+      ];
+
+      await mergeRecentlyViewedController(req, res);
+
+      expect(savedHistory()).toEqual([
+        { product: other, viewedAt: new Date("2024-06-03") },
+        { product: pid, viewedAt: new Date("2024-06-02") },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: "Recently viewed merged" });
+    });
+
+    it("should start a history for a user without one", async () => {
+      mockHistory(undefined);
+      req.body.views = [{ product: other, viewedAt: "2024-06-03T00:00:00.000Z" }];
+
+      await mergeRecentlyViewedController(req, res);
+
+      expect(savedHistory()).toEqual([{ product: other, viewedAt: new Date("2024-06-03") }]);
+    });
+
+    it("should return 422 for invalid views", async () => {
+      req.body.views = [{ product: "1", viewedAt: "2024-06-03" }];
+
+      await mergeRecentlyViewedController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Views should be a list of products with the time they were viewed",
+      });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      req.body.views = [];
+      userModel.findById = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await mergeRecentlyViewedController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while merging recently viewed products",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("clearRecentlyViewedController", () => {
+    it("should empty the history", async () => {
+      await clearRecentlyViewedController(req, res);
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(userId, {
+        $set: { recentlyViewed: [] },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: "Recently viewed cleared" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      userModel.findByIdAndUpdate = jest.fn().mockRejectedValue(new Error("Database failed"));
+
+      await clearRecentlyViewedController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while clearing recently viewed products",
+        error: "Database failed",
+      });
+    });
+  });
+});
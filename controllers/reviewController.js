@@ -0,0 +1,458 @@
+import mongoose from "mongoose";
+import reviewModel from "../models/reviewModel.js";
+import blockedWordModel from "../models/blockedWordModel.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import { ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import { listedProducts } from "../helpers/productHelper.js";
+import { REVIEW_STATUS, REVIEW_STATUS_LIST } from "../client/src/constants/reviewStatus.js";
+import {
+  findBlockedWords,
+  MODERATION_PAGE_SIZE,
+  parseBlockedWord,
+  parseModerationQuery,
+  parseReportReason,
+  parseReviewFields,
+  parseReviewQuery,
+  ratingPipeline,
+  REPORTS_TO_HOLD,
+  REVIEW_PAGE_SIZE,
+  REVIEW_SORTS,
+  toRatingSummary,
+} from "../helpers/reviewHelper.js";
+
+// Recounts the stars of a product's reviews and stores the average and count on the product,
+// so listings can filter and sort by rating without reading the reviews
+const refreshProductRating = async (productId) => {
+  const summary = toRatingSummary(await reviewModel.aggregate(ratingPipeline(productId)));
+  await productModel.findByIdAndUpdate(productId, {
+    ratingAverage: summary.average,
+    ratingCount: summary.count,
+  });
+  return summary;
+};
+
+// Blocked words found in a comment, which hold its review until an admin approves it
+const heldWords = async (comment) => {
+  const blockedWords = await blockedWordModel.find({}).select("word").lean();
+  return findBlockedWords(comment, blockedWords.map(({ word }) => word));
+};
+
+// Number of reviews per moderation status, e.g. { pending: 2, approved: 40, rejected: 1 }
+const countByStatus = async () => {
+  const buckets = await reviewModel.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+  return Object.fromEntries(
+    REVIEW_STATUS_LIST.map((status) => [
+      status,
+      buckets.find((bucket) => bucket._id === status)?.count || 0,
+    ])
+  );
+};
+
+//get reviews of a product
+export const getProductReviewsController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const { error, sort, page } = parseReviewQuery(req.query);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const [reviews, buckets] = await Promise.all([
+      reviewModel
+        .find({ product: pid, status: REVIEW_STATUS.APPROVED })
+        .populate("user", "name")
+        .sort(REVIEW_SORTS[sort])
+        .skip((page - 1) * REVIEW_PAGE_SIZE)
+        .limit(REVIEW_PAGE_SIZE)
+        .lean(),
+      reviewModel.aggregate(ratingPipeline(pid)),
+    ]);
+    res.status(200).send({
+      success: true,
+      reviews,
+      page,
+      perPage: REVIEW_PAGE_SIZE,
+      summary: toRatingSummary(buckets),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting reviews",
+      error: error.message,
+    });
+  }
+};
+
+//create review, only for a listed product the user ordered; held for moderation when it has blocked words
+export const createReviewController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pid)) {
+      return res.status(422).send({ success: false, message: "Invalid product id" });
+    }
+    const { error, review } = parseReviewFields(req.body);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const product = await productModel.findOne(listedProducts({ _id: pid })).select("_id").lean();
+    if (!product) {
+      return res.status(404).send({ success: false, message: "Product not found" });
+    }
+    const ordered = await orderModel.exists({
+      buyer: req.user._id,
+      products: pid,
+      status: { $ne: ORDER_STATUS.CANCELLED },
+    });
+    if (!ordered) {
+      return res.status(403).send({
+        success: false,
+        message: "Only customers who bought this product can review it",
+      });
+    }
+    const existingReview = await reviewModel.findOne({ product: pid, user: req.user._id });
+    if (existingReview) {
+      return res.status(409).send({ success: false, message: "You have already reviewed this product" });
+    }
+    const heldFor = await heldWords(review.comment);
+    const saved = await new reviewModel({
+      ...review,
+      product: pid,
+      user: req.user._id,
+      status: heldFor.length ? REVIEW_STATUS.PENDING : REVIEW_STATUS.APPROVED,
+      heldFor,
+    }).save();
+    const summary = await refreshProductRating(pid);
+    res.status(201).send({
+      success: true,
+      message: heldFor.length ? "Review submitted and waiting for approval" : "Review created",
+      review: saved,
+      summary,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating review",
+      error: error.message,
+    });
+  }
+};
+
+//update own review; an edited review that was held or rejected goes back to the moderation queue
+export const updateReviewController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid review id" });
+    }
+    const { error, review } = parseReviewFields(req.body);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const existingReview = await reviewModel.findOne({ _id: id, user: req.user._id });
+    if (!existingReview) {
+      return res.status(404).send({ success: false, message: "Review not found" });
+    }
+    const heldFor = await heldWords(review.comment);
+    const status =
+      heldFor.length || existingReview.status !== REVIEW_STATUS.APPROVED
+        ? REVIEW_STATUS.PENDING
+        : REVIEW_STATUS.APPROVED;
+    Object.assign(existingReview, review, { status, heldFor });
+    const updated = await existingReview.save();
+    const summary = await refreshProductRating(updated.product);
+    res.status(200).send({
+      success: true,
+      message:
+        status === REVIEW_STATUS.PENDING ? "Review updated and waiting for approval" : "Review updated",
+      review: updated,
+      summary,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating review",
+      error: error.message,
+    });
+  }
+};
+
+//delete own review
+export const deleteReviewController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid review id" });
+    }
+    const review = await reviewModel.findOneAndDelete({ _id: id, user: req.user._id });
+    if (!review) {
+      return res.status(404).send({ success: false, message: "Review not found" });
+    }
+    const summary = await refreshProductRating(review.product);
+    res.status(200).send({
+      success: true,
+      message: "Review deleted",
+      summary,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting review",
+      error: error.message,
+    });
+  }
+};
+
+//mark a review of someone else as helpful, once per user
+export const helpfulReviewController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid review id" });
+    }
+    const userId = req.user._id;
+    const review = await reviewModel.findById(id).select("user");
+    if (!review) {
+      return res.status(404).send({ success: false, message: "Review not found" });
+    }
+    if (String(review.user) === String(userId)) {
+      return res.status(403).send({ success: false, message: "You cannot vote for your own review" });
+    }
+    // the vote is only counted when the user is not among the voters yet, even on a double click
+    const updated = await reviewModel.findOneAndUpdate(
+      { _id: id, helpfulVotes: { $ne: userId } },
+      { $addToSet: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).send({ success: false, message: "You already found this review helpful" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Thanks for your feedback",
+      helpfulCount: updated.helpfulCount,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while voting for review",
+      error: error.message,
+    });
+  }
+};
+
+//report a review of someone else, once per user; enough reports send it back to moderation
+export const reportReviewController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid review id" });
+    }
+    const { error, reason } = parseReportReason(req.body.reason);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const userId = req.user._id;
+    const review = await reviewModel.findById(id).select("user");
+    if (!review) {
+      return res.status(404).send({ success: false, message: "Review not found" });
+    }
+    if (String(review.user) === String(userId)) {
+      return res.status(403).send({ success: false, message: "You cannot report your own review" });
+    }
+    // like a helpful vote, the report is only counted when the user has not reported it yet
+    const updated = await reviewModel.findOneAndUpdate(
+      { _id: id, "reports.user": { $ne: userId } },
+      {
+        $push: { reports: { user: userId, reason, createdAt: new Date() } },
+        $inc: { reportCount: 1 },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).send({ success: false, message: "You have already reported this review" });
+    }
+    if (updated.status === REVIEW_STATUS.APPROVED && updated.reportCount >= REPORTS_TO_HOLD) {
+      await reviewModel.updateOne({ _id: id }, { status: REVIEW_STATUS.PENDING });
+      await refreshProductRating(updated.product);
+    }
+    res.status(200).send({
+      success: true,
+      message: "Thanks, we will take a look at this review",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while reporting review",
+      error: error.message,
+    });
+  }
+};
+
+//get reviews of a moderation status, most reported first, with the number of reviews per status
+export const getModerationQueueController = async (req, res) => {
+  try {
+    const { error, status, page } = parseModerationQuery(req.query);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const [reviews, counts] = await Promise.all([
+      reviewModel
+        .find({ status })
+        .select("+reports")
+        .populate("user", "name")
+        .populate("product", "name slug")
+        .sort({ reportCount: -1, createdAt: -1, _id: 1 })
+        .skip((page - 1) * MODERATION_PAGE_SIZE)
+        .limit(MODERATION_PAGE_SIZE)
+        .lean(),
+      countByStatus(),
+    ]);
+    res.status(200).send({
+      success: true,
+      reviews,
+      page,
+      perPage: MODERATION_PAGE_SIZE,
+      counts,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting moderation queue",
+      error: error.message,
+    });
+  }
+};
+
+//get the number of reviews per moderation status
+export const getModerationCountsController = async (req, res) => {
+  try {
+    res.status(200).send({
+      success: true,
+      counts: await countByStatus(),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting moderation counts",
+      error: error.message,
+    });
+  }
+};
+
+//approve or reject a review; approving clears its reports so they do not hold it again
+export const moderateReviewController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid review id" });
+    }
+    const { status } = req.body;
+    if (![REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED].includes(status)) {
+      return res.status(422).send({
+        success: false,
+        message: "Status should be one of approved, rejected",
+      });
+    }
+    const approved = status === REVIEW_STATUS.APPROVED;
+    const update = approved ? { status, reports: [], reportCount: 0 } : { status };
+    const review = await reviewModel.findByIdAndUpdate(id, update, { new: true });
+    if (!review) {
+      return res.status(404).send({ success: false, message: "Review not found" });
+    }
+    await refreshProductRating(review.product);
+    res.status(200).send({
+      success: true,
+      message: approved ? "Review approved" : "Review rejected",
+      review,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while moderating review",
+      error: error.message,
+    });
+  }
+};
+
+//get blocked words
+export const getBlockedWordsController = async (req, res) => {
+  try {
+    const blockedWords = await blockedWordModel.find({}).sort({ word: 1 }).lean();
+    res.status(200).send({
+      success: true,
+      message: "All blocked words",
+      blockedWords,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting blocked words",
+      error: error.message,
+    });
+  }
+};
+
+//create blocked word
+export const createBlockedWordController = async (req, res) => {
+  try {
+    const { error, word } = parseBlockedWord(req.body.word);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const existingBlockedWord = await blockedWordModel.findOne({ word });
+    if (existingBlockedWord) {
+      return res.status(409).send({ success: false, message: "Blocked word already exists" });
+    }
+    const blockedWord = await new blockedWordModel({ word }).save();
+    res.status(201).send({
+      success: true,
+      message: "Blocked word created",
+      blockedWord,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating blocked word",
+      error: error.message,
+    });
+  }
+};
+
+//delete blocked word
+export const deleteBlockedWordController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid blocked word id" });
+    }
+    const blockedWord = await blockedWordModel.findByIdAndDelete(id);
+    if (!blockedWord) {
+      return res.status(404).send({ success: false, message: "Blocked word not found" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Blocked word deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting blocked word",
+      error: error.message,
+    });
+  }
+};
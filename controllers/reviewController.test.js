@@ -0,0 +1,871 @@
+import {
+  createBlockedWordController,
+  createReviewController,
+  deleteBlockedWordController,
+  deleteReviewController,
+  getBlockedWordsController,
+  getModerationCountsController,
+  getModerationQueueController,
+  getProductReviewsController,
+  helpfulReviewController,
+  moderateReviewController,
+  reportReviewController,
+  updateReviewController,
+} from "./reviewController.js";
+import reviewModel from "../models/reviewModel.js";
+import blockedWordModel from "../models/blockedWordModel.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import { ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import { listedProducts } from "../helpers/productHelper.js";
+
+jest.mock("../models/reviewModel.js");
+jest.mock("../models/blockedWordModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+
+/**
+ * Unit Tests for the review endpoints: verified-purchase reviews with star ratings, the
+ * rating stored on the product, helpful votes, reports and the admin moderation queue
+ *
+ * Test Doubles Used:
+ * - reviewModel:          MOCK (records the saved, updated and deleted reviews and the votes)
+ * - reviewModel.aggregate: STUB (returns the reviews counted per number of stars or status)
+ * - blockedWordModel:     MOCK (returns the blocked words, records the saved and deleted ones)
+ * - productModel:         MOCK (whether the product is listed, records the rating stored on it)
+ * - orderModel.exists:    STUB (whether the user ordered the product)
+ * - req/res:              FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - getProductReviewsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | reviews of a product, newest sort, page 2 | 200, page of approved reviews, summary
+ * 2  | Input Validation| invalid product id or sort                | 422
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - createReviewController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | buyer of the product                      | 201, review saved, product rating updated
+ * 2  | Business Rule   | comment with blocked words                | 201, review held as pending
+ * 3  | Business Rule   | user never ordered the product            | 403, nothing saved
+ * 4  | Business Rule   | user already reviewed the product         | 409, nothing saved
+ * 5  | Input Validation| invalid id, bad stars, unlisted product   | 422 / 404
+ * 6  | Error Handling  | database error                            | 500
+ * Scenario Plan - updateReviewController / deleteReviewController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | own review                                | 200, product rating updated
+ * 2  | Business Rule   | edit adds blocked words, or was rejected  | 200, review back to pending
+ * 3  | Input Validation| invalid id, bad stars                     | 422
+ * 4  | Business Rule   | review of someone else or unknown         | 404
+ * 5  | Error Handling  | database error                            | 500
+ * Scenario Plan - helpfulReviewController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | first vote on a review of someone else    | 200, vote counted once
+ * 2  | Business Rule   | own review, second vote                   | 403 / 409
+ * 3  | Input Validation| invalid or unknown id                     | 422 / 404
+ * 4  | Error Handling  | database error                            | 500
+ * Scenario Plan - reportReviewController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | first report on a review of someone else  | 200, report counted once
+ * 2  | Business Rule   | report reaching the threshold             | review back to pending, rating updated
+ * 3  | Business Rule   | own review, second report                 | 403 / 409
+ * 4  | Input Validation| invalid id, unknown reason or review      | 422 / 404
+ * 5  | Error Handling  | database error                            | 500
+ * Scenario Plan - moderation queue and counts:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | approved reviews, page 2                  | 200, most reported first, counts per status
+ * 2  | Input Validation| unknown status                            | 422
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - moderateReviewController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | approve or reject                         | 200, reports cleared on approval, rating updated
+ * 2  | Input Validation| invalid id, unknown status or review      | 422 / 404
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - blocked word controllers:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | list, create, delete                      | 200 / 201
+ * 2  | Business Rule   | word already blocked                      | 409
+ * 3  | Input Validation| several words, invalid or unknown id      | 422 / 404
+ * 4  | Error Handling  | database error                            | 500
+ */
+describe("reviewController", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+  const reviewId = "66db427fdb0119d9234b27f2";
+  const userId = "66db427fdb0119d9234b27f3";
+  const otherUserId = "66db427fdb0119d9234b27f4";
+  const summary = { average: 4, count: 1, stars: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 } };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: {}, query: {}, user: { _id: userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    reviewModel.aggregate = jest.fn().mockResolvedValue([{ _id: 4, count: 1 }]);
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+    blockedWordModel.find = jest.fn().mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue([{ word: "scam" }]),
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  const expectRatingStored = () =>
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(pid, {
+      ratingAverage: 4,
+      ratingCount: 1,
+    });
+
+  describe("getProductReviewsController", () => {
+    const reviews = [{ _id: reviewId, rating: 4, user: { name: "Alex" } }];
+    let query;
+
+    beforeEach(() => {
+      query = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(reviews),
+      };
+      reviewModel.find = jest.fn().mockReturnValue(query);
+      req.params.pid = pid;
+    });
+
+    it("should return a page of reviews with the rating summary", async () => {
+      req.query = { sort: "newest", page: "2" };
+
+      await getProductReviewsController(req, res);
+
+      expect(reviewModel.find).toHaveBeenCalledWith({ product: pid, status: "approved" });
+      expect(query.populate).toHaveBeenCalledWith("user", "name");
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: 1 });
+      expect(query.skip).toHaveBeenCalledWith(5);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, reviews, page: 2, perPage: 5, summary });
+    });
+
+    it.each([
+      [{ pid: "1" }, {}, "Invalid product id"],
+      [{ pid }, { sort: "stars" }, "Sort should be one of helpful, newest"],
+    ])("should return 422 for %j %j", async (params, query, message) => {
+      req.params = params;
+      req.query = query;
+
+      await getProductReviewsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      reviewModel.aggregate.mockRejectedValue(error);
+
+      await getProductReviewsController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting reviews",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("createReviewController", () => {
+    beforeEach(() => {
+      req.params.pid = pid;
+      req.body = { rating: "4", comment: " Great " };
+      productModel.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue({ _id: pid }),
+      });
+      orderModel.exists = jest.fn().mockResolvedValue({ _id: "order1" });
+      reviewModel.findOne = jest.fn().mockResolvedValue(null);
+      reviewModel.mockImplementation((review) => ({
+        save: jest.fn().mockResolvedValue({ _id: reviewId, ...review }),
+      }));
+    });
+
+    it("should save the review of a buyer and update the product rating", async () => {
+      await createReviewController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith(listedProducts({ _id: pid }, expect.any(Date)));
+      expect(orderModel.exists).toHaveBeenCalledWith({
+        buyer: userId,
+        products: pid,
+        status: { $ne: ORDER_STATUS.CANCELLED },
+      });
+      const review = {
+        rating: 4,
+        comment: "Great",
+        product: pid,
+        user: userId,
+        status: "approved",
+        heldFor: [],
+      };
+      expect(reviewModel).toHaveBeenCalledWith(review);
+      expectRatingStored();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Review created",
+        review: { _id: reviewId, ...review },
+        summary,
+      });
+    });
+
+    it("should hold a review with blocked words for moderation", async () => {
+      req.body.comment = "Total SCAM, a scam";
+
+      await createReviewController(req, res);
+
+      expect(reviewModel).toHaveBeenCalledWith(
+        expect.objectContaining({ status: "pending", heldFor: ["scam"] })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Review submitted and waiting for approval" })
+      );
+    });
+
+    it("should return 403 when the user never ordered the product", async () => {
+      orderModel.exists.mockResolvedValue(null);
+
+      await createReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Only customers who bought this product can review it",
+      });
+      expect(reviewModel).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 when the user already reviewed the product", async () => {
+      reviewModel.findOne.mockResolvedValue({ _id: reviewId });
+
+      await createReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You have already reviewed this product",
+      });
+      expect(reviewModel).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ pid: "1" }, { rating: 4 }, "Invalid product id"],
+      [{ pid }, { rating: 6 }, "Rating should be a whole number from 1 to 5"],
+    ])("should return 422 for %j %j", async (params, body, message) => {
+      req.params = params;
+      req.body = body;
+
+      await createReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 404 for an unknown or unlisted product", async () => {
+      productModel.findOne().lean.mockResolvedValue(null);
+
+      await createReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      orderModel.exists.mockRejectedValue(error);
+
+      await createReviewController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while creating review",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("updateReviewController", () => {
+    let review;
+
+    beforeEach(() => {
+      req.params.id = reviewId;
+      req.body = { rating: 4, comment: "Still good" };
+      review = { _id: reviewId, product: pid, rating: 5, comment: "Good", status: "approved" };
+      review.save = jest.fn().mockResolvedValue(review);
+      reviewModel.findOne = jest.fn().mockResolvedValue(review);
+    });
+
+    it("should update the own review and the product rating", async () => {
+      await updateReviewController(req, res);
+
+      expect(reviewModel.findOne).toHaveBeenCalledWith({ _id: reviewId, user: userId });
+      expect(review).toMatchObject({ rating: 4, comment: "Still good", status: "approved", heldFor: [] });
+      expect(review.save).toHaveBeenCalled();
+      expectRatingStored();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Review updated",
+        review,
+        summary,
+      });
+    });
+
+    it.each([
+      ["blocked words are added", "approved", "Now a scam", ["scam"]],
+      ["it was rejected", "rejected", "Fixed now", []],
+    ])("should send the review back to moderation when %s", async (_, status, comment, heldFor) => {
+      review.status = status;
+      req.body.comment = comment;
+
+      await updateReviewController(req, res);
+
+      expect(review).toMatchObject({ status: "pending", heldFor });
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Review updated and waiting for approval" })
+      );
+    });
+
+    it("should return 404 for a review of someone else", async () => {
+      reviewModel.findOne.mockResolvedValue(null);
+
+      await updateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Review not found" });
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ id: "1" }, { rating: 4 }, "Invalid review id"],
+      [{ id: reviewId }, {}, "Rating should be a whole number from 1 to 5"],
+    ])("should return 422 for %j %j", async (params, body, message) => {
+      req.params = params;
+      req.body = body;
+
+      await updateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      reviewModel.findOne.mockRejectedValue(new Error("Database failed"));
+
+      await updateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while updating review",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("deleteReviewController", () => {
+    beforeEach(() => {
+      req.params.id = reviewId;
+    });
+
+    it("should delete the own review and update the product rating", async () => {
+      reviewModel.findOneAndDelete = jest.fn().mockResolvedValue({ _id: reviewId, product: pid });
+
+      await deleteReviewController(req, res);
+
+      expect(reviewModel.findOneAndDelete).toHaveBeenCalledWith({ _id: reviewId, user: userId });
+      expectRatingStored();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: "Review deleted", summary });
+    });
+
+    it("should return 404 for a review of someone else", async () => {
+      reviewModel.findOneAndDelete = jest.fn().mockResolvedValue(null);
+
+      await deleteReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Review not found" });
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.id = "1";
+
+      await deleteReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid review id" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      reviewModel.findOneAndDelete = jest.fn().mockRejectedValue(new Error("Database failed"));
+
+      await deleteReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while deleting review",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("helpfulReviewController", () => {
+    const mockReview = (review) => {
+      reviewModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(review),
+      });
+    };
+
+    beforeEach(() => {
+      req.params.id = reviewId;
+      mockReview({ _id: reviewId, user: otherUserId });
+    });
+
+    it("should count the first vote of a user", async () => {
+      reviewModel.findOneAndUpdate = jest.fn().mockResolvedValue({ helpfulCount: 3 });
+
+      await helpfulReviewController(req, res);
+
+      expect(reviewModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: reviewId, helpfulVotes: { $ne: userId } },
+        { $addToSet: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Thanks for your feedback",
+        helpfulCount: 3,
+      });
+    });
+
+    it("should return 409 on a second vote", async () => {
+      reviewModel.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+      await helpfulReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You already found this review helpful",
+      });
+    });
+
+    it("should return 403 for a vote on the own review", async () => {
+      mockReview({ _id: reviewId, user: userId });
+      reviewModel.findOneAndUpdate = jest.fn();
+
+      await helpfulReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You cannot vote for your own review",
+      });
+      expect(reviewModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 for an invalid id and 404 for an unknown one", async () => {
+      req.params.id = "1";
+      await helpfulReviewController(req, res);
+      expect(res.status).toHaveBeenCalledWith(422);
+
+      req.params.id = reviewId;
+      mockReview(null);
+      await helpfulReviewController(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(res.send).toHaveBeenLastCalledWith({ success: false, message: "Review not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      reviewModel.findById = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await helpfulReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while voting for review",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("reportReviewController", () => {
+    const mockReview = (review) => {
+      reviewModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(review),
+      });
+    };
+
+    beforeEach(() => {
+      req.params.id = reviewId;
+      req.body = { reason: "spam" };
+      mockReview({ _id: reviewId, user: otherUserId });
+      reviewModel.findOneAndUpdate = jest
+        .fn()
+        .mockResolvedValue({ product: pid, status: "approved", reportCount: 1 });
+      reviewModel.updateOne = jest.fn().mockResolvedValue({});
+    });
+
+    it("should count the first report of a user", async () => {
+      await reportReviewController(req, res);
+
+      expect(reviewModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: reviewId, "reports.user": { $ne: userId } },
+        {
+          $push: { reports: { user: userId, reason: "spam", createdAt: expect.any(Date) } },
+          $inc: { reportCount: 1 },
+        },
+        { new: true }
+      );
+      expect(reviewModel.updateOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Thanks, we will take a look at this review",
+      });
+    });
+
+    it("should send an approved review back to moderation at 3 reports", async () => {
+      reviewModel.findOneAndUpdate.mockResolvedValue({ product: pid, status: "approved", reportCount: 3 });
+
+      await reportReviewController(req, res);
+
+      expect(reviewModel.updateOne).toHaveBeenCalledWith({ _id: reviewId }, { status: "pending" });
+      expectRatingStored();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should return 409 on a second report", async () => {
+      reviewModel.findOneAndUpdate.mockResolvedValue(null);
+
+      await reportReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You have already reported this review",
+      });
+    });
+
+    it("should return 403 for a report on the own review", async () => {
+      mockReview({ _id: reviewId, user: userId });
+
+      await reportReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You cannot report your own review",
+      });
+      expect(reviewModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ id: "1" }, { reason: "spam" }, "Invalid review id"],
+      [{ id: reviewId }, { reason: "boring" }, "Reason should be one of spam, offensive, off-topic, fake"],
+    ])("should return 422 for %j %j", async (params, body, message) => {
+      req.params = params;
+      req.body = body;
+
+      await reportReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 404 for an unknown review", async () => {
+      mockReview(null);
+
+      await reportReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Review not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      reviewModel.findOneAndUpdate.mockRejectedValue(new Error("Database failed"));
+
+      await reportReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while reporting review",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("moderation queue and counts", () => {
+    const reviews = [{ _id: reviewId, rating: 1, reportCount: 2 }];
+    const counts = { pending: 2, approved: 0, rejected: 1 };
+    let query;
+
+    beforeEach(() => {
+      query = {
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(reviews),
+      };
+      reviewModel.find = jest.fn().mockReturnValue(query);
+      reviewModel.aggregate.mockResolvedValue([
+        { _id: "pending", count: 2 },
+        { _id: "rejected", count: 1 },
+      ]);
+    });
+
+    it("should return a page of reviews of a status, most reported first", async () => {
+      req.query = { status: "approved", page: "2" };
+
+      await getModerationQueueController(req, res);
+
+      expect(reviewModel.find).toHaveBeenCalledWith({ status: "approved" });
+      expect(query.select).toHaveBeenCalledWith("+reports");
+      expect(query.populate).toHaveBeenCalledWith("product", "name slug");
+      expect(query.sort).toHaveBeenCalledWith({ reportCount: -1, createdAt: -1, _id: 1 });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, reviews, page: 2, perPage: 10, counts });
+    });
+
+    it("should return the number of reviews per status", async () => {
+      await getModerationCountsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, counts });
+    });
+
+    it("should return 422 for an unknown status", async () => {
+      req.query = { status: "hidden" };
+
+      await getModerationQueueController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Status should be one of pending, approved, rejected",
+      });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      reviewModel.aggregate.mockRejectedValue(new Error("Database failed"));
+
+      await getModerationQueueController(req, res);
+      await getModerationCountsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting moderation queue",
+        error: "Database failed",
+      });
+      expect(res.send).toHaveBeenLastCalledWith({
+        success: false,
+        message: "Error while getting moderation counts",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("moderateReviewController", () => {
+    beforeEach(() => {
+      req.params.id = reviewId;
+      reviewModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: reviewId, product: pid });
+    });
+
+    it("should approve a review, clear its reports and update the product rating", async () => {
+      req.body = { status: "approved" };
+
+      await moderateReviewController(req, res);
+
+      expect(reviewModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        reviewId,
+        { status: "approved", reports: [], reportCount: 0 },
+        { new: true }
+      );
+      expectRatingStored();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Review approved",
+        review: { _id: reviewId, product: pid },
+      });
+    });
+
+    it("should reject a review", async () => {
+      req.body = { status: "rejected" };
+
+      await moderateReviewController(req, res);
+
+      expect(reviewModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        reviewId,
+        { status: "rejected" },
+        { new: true }
+      );
+      expectRatingStored();
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ message: "Review rejected" }));
+    });
+
+    it.each([
+      [{ id: "1" }, { status: "approved" }, "Invalid review id"],
+      [{ id: reviewId }, { status: "pending" }, "Status should be one of approved, rejected"],
+    ])("should return 422 for %j %j", async (params, body, message) => {
+      req.params = params;
+      req.body = body;
+
+      await moderateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it("should return 404 for an unknown review", async () => {
+      req.body = { status: "approved" };
+      reviewModel.findByIdAndUpdate.mockResolvedValue(null);
+
+      await moderateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Review not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      req.body = { status: "rejected" };
+      reviewModel.findByIdAndUpdate.mockRejectedValue(new Error("Database failed"));
+
+      await moderateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while moderating review",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("blocked word controllers", () => {
+    const blockedWordId = "66db427fdb0119d9234b27f5";
+
+    it("should list the blocked words alphabetically", async () => {
+      await getBlockedWordsController(req, res);
+
+      expect(blockedWordModel.find().sort).toHaveBeenCalledWith({ word: 1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "All blocked words",
+        blockedWords: [{ word: "scam" }],
+      });
+    });
+
+    it("should create a lowercase blocked word", async () => {
+      req.body = { word: " Junk " };
+      blockedWordModel.findOne = jest.fn().mockResolvedValue(null);
+      blockedWordModel.mockImplementation((blockedWord) => ({
+        save: jest.fn().mockResolvedValue({ _id: blockedWordId, ...blockedWord }),
+      }));
+
+      await createBlockedWordController(req, res);
+
+      expect(blockedWordModel).toHaveBeenCalledWith({ word: "junk" });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Blocked word created",
+        blockedWord: { _id: blockedWordId, word: "junk" },
+      });
+    });
+
+    it("should return 409 for a word that is already blocked", async () => {
+      req.body = { word: "scam" };
+      blockedWordModel.findOne = jest.fn().mockResolvedValue({ _id: blockedWordId });
+
+      await createBlockedWordController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Blocked word already exists" });
+    });
+
+    it("should return 422 for several words", async () => {
+      req.body = { word: "total scam" };
+
+      await createBlockedWordController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "A blocked word should be a single word",
+      });
+    });
+
+    it("should delete a blocked word", async () => {
+      req.params.id = blockedWordId;
+      blockedWordModel.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: blockedWordId });
+
+      await deleteBlockedWordController(req, res);
+
+      expect(blockedWordModel.findByIdAndDelete).toHaveBeenCalledWith(blockedWordId);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: "Blocked word deleted" });
+    });
+
+    it("should return 422 for an invalid id and 404 for an unknown one", async () => {
+      req.params.id = "1";
+      await deleteBlockedWordController(req, res);
+      expect(res.status).toHaveBeenCalledWith(422);
+
+      req.params.id = blockedWordId;
+      blockedWordModel.findByIdAndDelete = jest.fn().mockResolvedValue(null);
+      await deleteBlockedWordController(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(res.send).toHaveBeenLastCalledWith({ success: false, message: "Blocked word not found" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      blockedWordModel.find().lean.mockRejectedValue(error);
+      blockedWordModel.findOne = jest.fn().mockRejectedValue(error);
+      blockedWordModel.findByIdAndDelete = jest.fn().mockRejectedValue(error);
+      req.body = { word: "junk" };
+      req.params.id = blockedWordId;
+
+      await getBlockedWordsController(req, res);
+      await createBlockedWordController(req, res);
+      await deleteBlockedWordController(req, res);
+
+      ["getting blocked words", "creating blocked word", "deleting blocked word"].forEach((action) =>
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: `Error while ${action}`,
+          error: "Database failed",
+        })
+      );
+    });
+  });
+});
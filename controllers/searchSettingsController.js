@@ -0,0 +1,227 @@
+import mongoose from "mongoose";
+import synonymModel from "../models/synonymModel.js";
+import stopWordModel from "../models/stopWordModel.js";
+import { parseStopWord, parseSynonymTerms, rewriteQuery } from "../helpers/synonymHelper.js";
+import { loadSearchDictionary } from "../helpers/searchDictionary.js";
+import { MAX_SUGGESTION_LENGTH } from "../helpers/suggestionHelper.js";
+
+// a term can only be in one group, otherwise it would be unclear which group it expands to
+const findTakenTerm = async (terms, id) => {
+  const filter = { terms: { $in: terms } };
+  if (id) filter._id = { $ne: id };
+  const group = await synonymModel.findOne(filter).lean();
+  return group && terms.find((term) => group.terms.includes(term));
+};
+
+//get synonym groups
+export const getSynonymsController = async (req, res) => {
+  try {
+    const synonyms = await synonymModel.find({}).sort({ createdAt: -1 }).lean();
+    res.status(200).send({
+      success: true,
+      message: "All synonym groups",
+      synonyms,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting synonym groups",
+      error: error.message,
+    });
+  }
+};
+
+//create synonym group
+export const createSynonymController = async (req, res) => {
+  try {
+    const { error, terms } = parseSynonymTerms(req.body.terms);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const taken = await findTakenTerm(terms);
+    if (taken) {
+      return res.status(409).send({
+        success: false,
+        message: `"${taken}" is already in another synonym group`,
+      });
+    }
+    const synonym = await new synonymModel({ terms }).save();
+    res.status(201).send({
+      success: true,
+      message: "Synonym group created",
+      synonym,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating synonym group",
+      error: error.message,
+    });
+  }
+};
+
+//update synonym group
+export const updateSynonymController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid synonym group id" });
+    }
+    const { error, terms } = parseSynonymTerms(req.body.terms);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const taken = await findTakenTerm(terms, id);
+    if (taken) {
+      return res.status(409).send({
+        success: false,
+        message: `"${taken}" is already in another synonym group`,
+      });
+    }
+    const synonym = await synonymModel.findByIdAndUpdate(id, { terms }, { new: true });
+    if (!synonym) {
+      return res.status(404).send({ success: false, message: "Synonym group not found" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Synonym group updated",
+      synonym,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating synonym group",
+      error: error.message,
+    });
+  }
+};
+
+//delete synonym group
+export const deleteSynonymController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid synonym group id" });
+    }
+    const synonym = await synonymModel.findByIdAndDelete(id);
+    if (!synonym) {
+      return res.status(404).send({ success: false, message: "Synonym group not found" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Synonym group deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting synonym group",
+      error: error.message,
+    });
+  }
+};
+
+//get stop words
+export const getStopWordsController = async (req, res) => {
+  try {
+    const stopWords = await stopWordModel.find({}).sort({ word: 1 }).lean();
+    res.status(200).send({
+      success: true,
+      message: "All stop words",
+      stopWords,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting stop words",
+      error: error.message,
+    });
+  }
+};
+
+//create stop word
+export const createStopWordController = async (req, res) => {
+  try {
+    const { error, word } = parseStopWord(req.body.word);
+    if (error) {
+      return res.status(422).send({ success: false, message: error });
+    }
+    const existingStopWord = await stopWordModel.findOne({ word });
+    if (existingStopWord) {
+      return res.status(409).send({ success: false, message: "Stop word already exists" });
+    }
+    const stopWord = await new stopWordModel({ word }).save();
+    res.status(201).send({
+      success: true,
+      message: "Stop word created",
+      stopWord,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating stop word",
+      error: error.message,
+    });
+  }
+};
+
+//delete stop word
+export const deleteStopWordController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(422).send({ success: false, message: "Invalid stop word id" });
+    }
+    const stopWord = await stopWordModel.findByIdAndDelete(id);
+    if (!stopWord) {
+      return res.status(404).send({ success: false, message: "Stop word not found" });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Stop word deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting stop word",
+      error: error.message,
+    });
+  }
+};
+
+//preview how the search rewrites a keyword with the current synonyms and stop words
+export const previewSearchController = async (req, res) => {
+  try {
+    const keyword = String(req.query.keyword ?? "").trim();
+    if (!keyword) {
+      return res.status(422).send({ success: false, message: "Keyword is required" });
+    }
+    if (keyword.length > MAX_SUGGESTION_LENGTH) {
+      return res.status(422).send({
+        success: false,
+        message: `Keyword should be at most ${MAX_SUGGESTION_LENGTH} characters`,
+      });
+    }
+    const { words, removed, groups } = rewriteQuery(keyword, await loadSearchDictionary());
+    res.status(200).send({
+      success: true,
+      keyword,
+      words,
+      removed,
+      groups,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while previewing search",
+      error: error.message,
+    });
+  }
+};
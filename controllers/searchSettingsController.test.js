@@ -0,0 +1,333 @@
+import {
+  createStopWordController,
+  createSynonymController,
+  deleteStopWordController,
+  deleteSynonymController,
+  getStopWordsController,
+  getSynonymsController,
+  previewSearchController,
+  updateSynonymController,
+} from "./searchSettingsController.js";
+import synonymModel from "../models/synonymModel.js";
+import stopWordModel from "../models/stopWordModel.js";
+import { loadSearchDictionary } from "../helpers/searchDictionary.js";
+
+jest.mock("../models/synonymModel.js");
+jest.mock("../models/stopWordModel.js");
+jest.mock("../helpers/searchDictionary.js");
+
+/**
+ * Unit Tests for the search settings admin endpoints: synonym groups, stop words and the
+ * preview of how a keyword is rewritten with them
+ *
+ * Test Doubles Used:
+ * - synonymModel:          MOCK (records the saved, updated and deleted groups)
+ * - stopWordModel:         MOCK (records the saved and deleted stop words)
+ * - loadSearchDictionary:  STUB (returns the synonym groups and stop words)
+ * - req/res:               FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - synonym groups:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | list groups                               | 200, newest first
+ * 2  | Happy Path      | create group from a comma-separated list  | 201, normalized terms saved
+ * 3  | Input Validation| fewer than 2 terms                        | 422, nothing saved
+ * 4  | Business Rule   | term already in another group             | 409, nothing saved
+ * 5  | Happy Path      | update group                              | 200, other groups checked for the terms
+ * 6  | Input Validation| invalid or unknown id on update/delete    | 422 / 404
+ * 7  | Happy Path      | delete group                              | 200
+ * 8  | Error Handling  | database error                            | 500
+ * Scenario Plan - stop words:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | list and create stop words                | 200 sorted / 201 lowercase word
+ * 2  | Input Validation| several words                             | 422
+ * 3  | Business Rule   | stop word exists                          | 409
+ * 4  | Happy Path      | delete stop word                          | 200, 404 when unknown
+ * Scenario Plan - previewSearchController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | keyword with a synonym and a stop word    | 200, words, removed and groups
+ * 2  | Input Validation| missing or too long keyword               | 422
+ * 3  | Error Handling  | loading the dictionary fails              | 500
+ */
+describe("searchSettingsController", () => {
+  let req, res;
+  const id = "66db427fdb0119d9234b27ee";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: {}, query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  const leanQuery = (result) => ({
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result),
+  });
+
+  describe("synonym groups", () => {
+    beforeEach(() => {
+      synonymModel.findOne = jest.fn().mockReturnValue(leanQuery(null));
+      synonymModel.mockImplementation((group) => ({
+        save: jest.fn().mockResolvedValue({ _id: id, ...group }),
+      }));
+    });
+
+    it("should list the groups newest first", async () => {
+      const synonyms = [{ _id: id, terms: ["tv", "television"] }];
+      const query = leanQuery(synonyms);
+      synonymModel.find = jest.fn().mockReturnValue(query);
+
+      await getSynonymsController(req, res);
+
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ success: true, synonyms }));
+    });
+
+    it("should create a group with the normalized terms", async () => {
+      req.body.terms = "Cellphone, Smartphone, mobile-phone";
+
+      await createSynonymController(req, res);
+
+      const terms = ["cellphone", "smartphone", "mobile phone"];
+      expect(synonymModel.findOne).toHaveBeenCalledWith({ terms: { $in: terms } });
+      expect(synonymModel).toHaveBeenCalledWith({ terms });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Synonym group created",
+        synonym: { _id: id, terms },
+      });
+    });
+
+    it("should return 422 for fewer than 2 different terms", async () => {
+      req.body.terms = ["phone", "Phone"];
+
+      await createSynonymController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "A synonym group needs at least 2 different terms",
+      });
+      expect(synonymModel).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 when a term is already in another group", async () => {
+      synonymModel.findOne = jest
+        .fn()
+        .mockReturnValue(leanQuery({ _id: "other", terms: ["smartphone", "mobile"] }));
+      req.body.terms = "cellphone, smartphone";
+
+      await createSynonymController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: '"smartphone" is already in another synonym group',
+      });
+      expect(synonymModel).not.toHaveBeenCalled();
+    });
+
+    it("should update a group, checking the terms against the other groups", async () => {
+      const synonym = { _id: id, terms: ["tv", "television"] };
+      synonymModel.findByIdAndUpdate = jest.fn().mockResolvedValue(synonym);
+      req.params.id = id;
+      req.body.terms = ["TV", "Television"];
+
+      await updateSynonymController(req, res);
+
+      expect(synonymModel.findOne).toHaveBeenCalledWith({
+        terms: { $in: ["tv", "television"] },
+        _id: { $ne: id },
+      });
+      expect(synonymModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        id,
+        { terms: ["tv", "television"] },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Synonym group updated",
+        synonym,
+      });
+    });
+
+    it("should return 422 for an invalid id and 404 for an unknown group", async () => {
+      req.params.id = "not-an-id";
+      await updateSynonymController(req, res);
+      await deleteSynonymController(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 422);
+      expect(res.status).toHaveBeenNthCalledWith(2, 422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid synonym group id" });
+
+      synonymModel.findByIdAndUpdate = jest.fn().mockResolvedValue(null);
+      synonymModel.findByIdAndDelete = jest.fn().mockResolvedValue(null);
+      req.params.id = id;
+      req.body.terms = "tv, television";
+      await updateSynonymController(req, res);
+      await deleteSynonymController(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(3, 404);
+      expect(res.status).toHaveBeenNthCalledWith(4, 404);
+      expect(res.send).toHaveBeenLastCalledWith({ success: false, message: "Synonym group not found" });
+    });
+
+    it("should delete a group", async () => {
+      synonymModel.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: id });
+      req.params.id = id;
+
+      await deleteSynonymController(req, res);
+
+      expect(synonymModel.findByIdAndDelete).toHaveBeenCalledWith(id);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: "Synonym group deleted" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      synonymModel.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockRejectedValue(error),
+      });
+
+      await getSynonymsController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting synonym groups",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("stop words", () => {
+    beforeEach(() => {
+      stopWordModel.findOne = jest.fn().mockResolvedValue(null);
+      stopWordModel.mockImplementation((stopWord) => ({
+        save: jest.fn().mockResolvedValue({ _id: id, ...stopWord }),
+      }));
+    });
+
+    it("should list the stop words alphabetically and create one in lowercase", async () => {
+      const query = leanQuery([{ _id: id, word: "for" }]);
+      stopWordModel.find = jest.fn().mockReturnValue(query);
+
+      await getStopWordsController(req, res);
+      req.body.word = " The ";
+      await createStopWordController(req, res);
+
+      expect(query.sort).toHaveBeenCalledWith({ word: 1 });
+      expect(res.send).toHaveBeenNthCalledWith(1, {
+        success: true,
+        message: "All stop words",
+        stopWords: [{ _id: id, word: "for" }],
+      });
+      expect(stopWordModel).toHaveBeenCalledWith({ word: "the" });
+      expect(res.status).toHaveBeenLastCalledWith(201);
+      expect(res.send).toHaveBeenLastCalledWith({
+        success: true,
+        message: "Stop word created",
+        stopWord: { _id: id, word: "the" },
+      });
+    });
+
+    it("should return 422 for several words", async () => {
+      req.body.word = "of the";
+
+      await createStopWordController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "A stop word should be a single word",
+      });
+    });
+
+    it("should return 409 when the stop word exists", async () => {
+      stopWordModel.findOne = jest.fn().mockResolvedValue({ _id: id, word: "the" });
+      req.body.word = "the";
+
+      await createStopWordController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(stopWordModel).not.toHaveBeenCalled();
+    });
+
+    it("should delete a stop word and return 404 for an unknown one", async () => {
+      stopWordModel.findByIdAndDelete = jest
+        .fn()
+        .mockResolvedValueOnce({ _id: id })
+        .mockResolvedValueOnce(null);
+      req.params.id = id;
+
+      await deleteStopWordController(req, res);
+      await deleteStopWordController(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 200);
+      expect(res.status).toHaveBeenNthCalledWith(2, 404);
+      expect(res.send).toHaveBeenLastCalledWith({ success: false, message: "Stop word not found" });
+    });
+  });
+
+  describe("previewSearchController", () => {
+    it("should show the words, the removed stop words and the synonym groups", async () => {
+      loadSearchDictionary.mockResolvedValue({
+        synonyms: [["cellphone", "smartphone"]],
+        stopWords: ["for"],
+      });
+      req.query.keyword = " Case for Cellphone ";
+
+      await previewSearchController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        keyword: "Case for Cellphone",
+        words: ["case", "cellphone"],
+        removed: ["for"],
+        groups: [["case"], ["cellphone", "smartphone"]],
+      });
+    });
+
+    it.each([
+      ["", "Keyword is required"],
+      ["a".repeat(101), "Keyword should be at most 100 characters"],
+    ])("should return 422 for %j", async (keyword, message) => {
+      req.query.keyword = keyword;
+
+      await previewSearchController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(loadSearchDictionary).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when loading the dictionary fails", async () => {
+      const error = new Error("Database failed");
+      loadSearchDictionary.mockRejectedValue(error);
+      req.query.keyword = "phone";
+
+      await previewSearchController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while previewing search",
+        error: "Database failed",
+      });
+    });
+  });
+});
@@ -0,0 +1,694 @@
+import {
+  adjustStockController,
+  createProductController,
+  getStockMovementsController,
+  transferStockController,
+  updateProductController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import orderModel from "../models/orderModel.js";
+import stockMovementModel from "../models/stockMovementModel.js";
+import stockSubscriptionModel from "../models/stockSubscriptionModel.js";
+import locationModel from "../models/locationModel.js";
+import { recordStockMovements } from "../helpers/stockLedger.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../helpers/notificationOutbox.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/stockMovementModel.js");
+jest.mock("../models/stockSubscriptionModel.js");
+jest.mock("../models/locationModel.js");
+
+/**
+ * Unit Tests for the stock ledger: the stock adjustments of an admin, the stock history of a
+ * product, and the movements recorded when a product is created or its stock edited
+ *
+ * Test Doubles Used:
+ * - productModel:           MOCK (findOne finds the product, findOneAndUpdate records the adjustment or
+ *                           transfer, updateOne records the location entry added and the stock alert cleared)
+ * - locationModel:          STUB (the locations adjusted or transferred between exist)
+ * - stockMovementModel:     STUB (find chain returns a page of movements, countDocuments the total)
+ * - recordStockMovements:   MOCK (records the movements written to the ledger)
+ * - stockSubscriptionModel: STUB (no customer waits for the product)
+ * - orderModel:             STUB (no order line waits for the product)
+ * - categoryModel.findById: STUB (the category defines no attributes)
+ * - req/res:                FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - adjustStockController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | units added to a product                  | 200, movement recorded, restock handled
+ * 2  | Happy Path      | units taken out of a variant              | 200, variant sku recorded, low stock checked
+ * 3  | Happy Path      | units of a variant added at a location    | 200, location entry added, location recorded
+ * 4  | Input Validation| invalid id or body, location missing/extra| 422, stock untouched
+ * 5  | Edge Case       | not enough stock / unknown product, place | 409 / 404, nothing recorded
+ * 6  | Error Handling  | database error                            | 500
+ * Scenario Plan - transferStockController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | units of a variant moved                  | 200, both entries changed at once, two movements
+ * 2  | Happy Path      | units moved to a location without an entry| 200, target entry added after taking them out
+ * 3  | Input Validation| invalid id, same location, no units       | 422, stock untouched
+ * 4  | Input Validation| not stocked per location, variant missing | 422, stock untouched
+ * 5  | Edge Case       | not enough held / unknown location, product | 409 / 404, stock per location unchanged
+ * 6  | Error Handling  | database error                            | 500
+ * Scenario Plan - getStockMovementsController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | second page of the history                | 200, newest first with user and location names
+ * 2  | Input Validation| invalid id or page                        | 422, no query run
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - createProductController / updateProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | product created with stock                | initial stock recorded
+ * 2  | Happy Path      | stock edited on the product form, sales   | difference from the stock the update replaced,
+ *    |                 | right before and after the update         | with the balance it set
+ * 3  | Happy Path      | product created with stock per location   | initial stock recorded per location
+ * 4  | Happy Path      | stock per location edited                 | difference recorded per location
+ * 5  | Input Validation| stock at an unknown location              | 422, nothing saved or recorded
+ */
+describe("Stock ledger", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+  const vid = "66db427fdb0119d9234b27f3";
+  const adminId = "66db427fdb0119d9234b27f2";
+  const locationId = "66db427fdb0119d9234b27f4";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: { pid }, query: {}, user: { _id: adminId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    stockSubscriptionModel.find = jest.fn().mockReturnValue({
+      populate: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue([]),
+    });
+    orderModel.find = jest.fn().mockReturnValue({
+      sort: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue([]),
+    });
+    productModel.find = jest.fn().mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue([]),
+    });
+    productModel.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("adjustStockController", () => {
+    const projection = { name: 1, slug: 1, quantity: 1, preorder: 1, variants: 1, locationStock: 1 };
+    const variants = [{ _id: vid, sku: "TEE-M", quantity: 1 }];
+    const mockProduct = (product) => {
+      productModel.findOne = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(product) });
+    };
+
+    beforeEach(() => {
+      mockProduct({ _id: pid, variants });
+    });
+
+    it("should add units to a product and record the adjustment", async () => {
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 7 });
+      req.body = { change: "5", reason: "return", note: " Returned unopened " };
+
+      await adjustStockController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith({ _id: pid });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: pid },
+        { $inc: { quantity: 5 } },
+        { new: true, projection }
+      );
+      const movement = {
+        product: pid,
+        variant: null,
+        sku: "",
+        location: null,
+        change: 5,
+        balance: 7,
+        reason: "return",
+        note: "Returned unopened",
+        user: adminId,
+      };
+      expect(recordStockMovements).toHaveBeenCalledWith([movement]);
+      // restocked: the alert is cleared once above the threshold, subscribers and waiting lines checked
+      expect(productModel.updateOne).toHaveBeenCalledWith(
+        { _id: pid, $expr: { $gt: ["$quantity", { $ifNull: ["$reorderThreshold", 5] }] } },
+        { $set: { stockAlert: null } }
+      );
+      expect(stockSubscriptionModel.find).toHaveBeenCalledWith({ product: pid, notifiedAt: null });
+      expect(orderModel.find).toHaveBeenCalled();
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Stock adjusted",
+        product: { _id: pid, quantity: 7, variants: undefined, locationStock: undefined },
+        movement,
+      });
+    });
+
+    it("should take units out of a variant only while they are in stock", async () => {
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 4, variants });
+      req.body = { variant: vid, change: -2, reason: "adjustment" };
+
+      await adjustStockController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith({ _id: pid, "variants._id": vid });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: pid, variants: { $elemMatch: { _id: vid, quantity: { $gte: 2 } } } },
+        { $inc: { quantity: -2, "variants.$.quantity": -2 } },
+        { new: true, projection }
+      );
+      expect(recordStockMovements).toHaveBeenCalledWith([
+        expect.objectContaining({ variant: vid, sku: "TEE-M", change: -2, balance: 4, note: "" }),
+      ]);
+      // reduced: the admins may be alerted, no one is notified of a restock
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: [pid] } });
+      expect(stockSubscriptionModel.find).not.toHaveBeenCalled();
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ product: { _id: pid, quantity: 4, variants, locationStock: undefined } })
+      );
+    });
+
+    it("should add units of a variant at a location, adding the location's entry first", async () => {
+      const locationStock = [{ location: locationId, sku: "TEE-M", quantity: 3 }];
+      mockProduct({ _id: pid, variants, locationStock: [{ location: "other", sku: "TEE-M", quantity: 1 }] });
+      locationModel.exists = jest.fn().mockResolvedValue({ _id: locationId });
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 4, variants, locationStock });
+      req.body = { variant: vid, location: locationId, change: 3, reason: "adjustment" };
+
+      await adjustStockController(req, res);
+
+      expect(locationModel.exists).toHaveBeenCalledWith({ _id: locationId });
+      expect(productModel.updateOne).toHaveBeenCalledWith(
+        { _id: pid, locationStock: { $not: { $elemMatch: { location: locationId, sku: "TEE-M" } } } },
+        { $push: { locationStock: { location: locationId, sku: "TEE-M", quantity: 0 } } }
+      );
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: pid, locationStock: { $elemMatch: { location: locationId, sku: "TEE-M" } } },
+        { $inc: { quantity: 3, "variants.$[line].quantity": 3, "locationStock.$[at].quantity": 3 } },
+        {
+          new: true,
+          projection,
+          arrayFilters: [{ "line._id": vid }, { "at.location": locationId, "at.sku": "TEE-M" }],
+        }
+      );
+      expect(recordStockMovements).toHaveBeenCalledWith([
+        expect.objectContaining({ variant: vid, sku: "TEE-M", location: locationId, change: 3, balance: 4 }),
+      ]);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ product: { _id: pid, quantity: 4, variants, locationStock } })
+      );
+    });
+
+    it.each([
+      ["an invalid product id", { pid: "bad" }, { change: 1, reason: "return" }, "Invalid product id"],
+      ["an invalid variant id", {}, { variant: "bad", change: 1, reason: "return" }, "Invalid variant id"],
+      ["an invalid location id", {}, { location: "bad", change: 1, reason: "return" }, "Invalid location id"],
+      ["no change", {}, { change: "0", reason: "return" }, "Change should be a whole number other than 0"],
+      ["a fractional change", {}, { change: 1.5, reason: "return" }, "Change should be a whole number other than 0"],
+      ["a sale reason", {}, { change: -1, reason: "sale" }, "Reason should be one of: adjustment, return"],
+      [
+        "a long note",
+        {},
+        { change: 1, reason: "adjustment", note: "x".repeat(201) },
+        "Note should be at most 200 characters",
+      ],
+      [
+        "a location of a product not stocked per location",
+        {},
+        { location: locationId, change: 1, reason: "return" },
+        "Product is not stocked per location",
+      ],
+    ])("should return 422 for %s", async (_, params, body, message) => {
+      productModel.findOneAndUpdate = jest.fn();
+      req.params = { pid, ...params };
+      req.body = body;
+
+      await adjustStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 when no location is chosen for a product stocked per location", async () => {
+      mockProduct({ _id: pid, locationStock: [{ location: locationId, sku: "", quantity: 2 }] });
+      productModel.findOneAndUpdate = jest.fn();
+      req.body = { change: -1, reason: "adjustment" };
+
+      await adjustStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Choose the location to adjust" });
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should record nothing for an unknown product or location, or when not enough is in stock", async () => {
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+      req.body = { variant: vid, change: -3, reason: "adjustment" };
+      await adjustStockController(req, res);
+
+      mockProduct(null);
+      await adjustStockController(req, res);
+
+      mockProduct({ _id: pid, locationStock: [{ location: locationId, sku: "", quantity: 2 }] });
+      locationModel.exists = jest.fn().mockResolvedValue(null);
+      req.body = { location: locationId, change: 1, reason: "return" };
+      await adjustStockController(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 409);
+      expect(res.send).toHaveBeenNthCalledWith(1, { success: false, message: "Not enough stock to take out" });
+      expect(res.status).toHaveBeenNthCalledWith(2, 404);
+      expect(res.send).toHaveBeenNthCalledWith(2, { success: false, message: "Product not found" });
+      expect(res.status).toHaveBeenNthCalledWith(3, 404);
+      expect(res.send).toHaveBeenNthCalledWith(3, { success: false, message: "Location not found" });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(recordStockMovements).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database error");
+      productModel.findOneAndUpdate = jest.fn().mockRejectedValue(error);
+      req.body = { change: 1, reason: "return" };
+
+      await adjustStockController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while adjusting stock",
+        error: "Database error",
+      });
+    });
+  });
+
+  describe("transferStockController", () => {
+    const toId = "66db427fdb0119d9234b27f5";
+    const variants = [{ _id: vid, sku: "TEE-M", quantity: 5 }];
+    const locationStock = [
+      { location: locationId, sku: "TEE-M", quantity: 4 },
+      { location: toId, sku: "TEE-M", quantity: 1 },
+    ];
+    const options = { new: true, projection: { quantity: 1, variants: 1, locationStock: 1 } };
+    const mockProduct = (product) => {
+      productModel.findOne = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(product) });
+    };
+
+    beforeEach(() => {
+      mockProduct({ _id: pid, variants, locationStock });
+      locationModel.countDocuments = jest.fn().mockResolvedValue(2);
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 5, variants, locationStock });
+      req.body = { from: locationId, to: toId, quantity: "3", variant: vid, note: "Rebalance" };
+    });
+
+    it("should move units of a variant between two locations and record both sides", async () => {
+      await transferStockController(req, res);
+
+      expect(locationModel.countDocuments).toHaveBeenCalledWith({ _id: { $in: [locationId, toId] } });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: pid, locationStock: { $elemMatch: { location: locationId, sku: "TEE-M", quantity: { $gte: 3 } } } },
+        { $inc: { "locationStock.$[from].quantity": -3, "locationStock.$[to].quantity": 3 } },
+        {
+          ...options,
+          arrayFilters: [
+            { "from.location": locationId, "from.sku": "TEE-M" },
+            { "to.location": toId, "to.sku": "TEE-M" },
+          ],
+        }
+      );
+      const transfer = {
+        product: pid,
+        variant: vid,
+        sku: "TEE-M",
+        balance: 5,
+        reason: "transfer",
+        note: "Rebalance",
+        user: adminId,
+      };
+      const movements = [
+        { ...transfer, location: locationId, change: -3 },
+        { ...transfer, location: toId, change: 3 },
+      ];
+      expect(recordStockMovements).toHaveBeenCalledWith(movements);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Stock transferred",
+        product: { _id: pid, quantity: 5, variants, locationStock },
+        movements,
+      });
+    });
+
+    it("should add the target's entry only once the units are taken out", async () => {
+      mockProduct({ _id: pid, variants, locationStock: locationStock.slice(0, 1) });
+      const moved = [
+        { location: locationId, sku: "TEE-M", quantity: 1 },
+        { location: toId, sku: "TEE-M", quantity: 3 },
+      ];
+      productModel.findOneAndUpdate = jest
+        .fn()
+        .mockResolvedValueOnce({ _id: pid, quantity: 5, variants, locationStock: moved.slice(0, 1) })
+        .mockResolvedValueOnce({ _id: pid, quantity: 5, variants, locationStock: moved });
+
+      await transferStockController(req, res);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        1,
+        { _id: pid, locationStock: { $elemMatch: { location: locationId, sku: "TEE-M", quantity: { $gte: 3 } } } },
+        { $inc: { "locationStock.$[from].quantity": -3 } },
+        { ...options, arrayFilters: [{ "from.location": locationId, "from.sku": "TEE-M" }] }
+      );
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        2,
+        { _id: pid, locationStock: { $not: { $elemMatch: { location: toId, sku: "TEE-M" } } } },
+        { $push: { locationStock: { location: toId, sku: "TEE-M", quantity: 3 } } },
+        options
+      );
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ product: { _id: pid, quantity: 5, variants, locationStock: moved } })
+      );
+    });
+
+    it("should move the units into the target's entry when it was added meanwhile", async () => {
+      mockProduct({ _id: pid, variants, locationStock: locationStock.slice(0, 1) });
+      productModel.findOneAndUpdate = jest
+        .fn()
+        .mockResolvedValueOnce({ _id: pid, quantity: 5, variants, locationStock })
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: pid, quantity: 5, variants, locationStock });
+
+      await transferStockController(req, res);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        3,
+        { _id: pid },
+        { $inc: { "locationStock.$[to].quantity": 3 } },
+        { ...options, arrayFilters: [{ "to.location": toId, "to.sku": "TEE-M" }] }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it.each([
+      ["an invalid product id", { pid: "bad" }, {}, "Invalid product id"],
+      ["the same location twice", {}, { to: locationId }, "Choose two different locations"],
+      ["no units", {}, { quantity: "0" }, "Quantity should be a whole number from 1"],
+    ])("should return 422 for %s", async (_, params, body, message) => {
+      req.params = { pid, ...params };
+      req.body = { ...req.body, ...body };
+
+      await transferStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ["a product not stocked per location", { _id: pid, locationStock: [] }, {}, "Product is not stocked per location"],
+      ["a product without the variant", { _id: pid, variants, locationStock }, { variant: "" }, "Choose the variant to transfer"],
+    ])("should leave %s untouched", async (_, product, body, message) => {
+      mockProduct(product);
+      req.body = { ...req.body, ...body };
+
+      await transferStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(productModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should leave the stock per location unchanged when the source does not hold enough", async () => {
+      req.body.quantity = "5";
+      await transferStockController(req, res);
+
+      req.body.quantity = "3";
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+      mockProduct({ _id: pid, variants, locationStock: locationStock.slice(0, 1) });
+      await transferStockController(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 409);
+      expect(res.status).toHaveBeenNthCalledWith(2, 409);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Not enough stock to transfer" });
+      // the second attempt lost the units to another update, so the target's entry is not added
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(productModel.updateOne).not.toHaveBeenCalled();
+      expect(recordStockMovements).not.toHaveBeenCalled();
+    });
+
+    it("should record nothing for an unknown product or location", async () => {
+      locationModel.countDocuments = jest.fn().mockResolvedValue(1);
+      await transferStockController(req, res);
+
+      mockProduct(null);
+      await transferStockController(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 404);
+      expect(res.send).toHaveBeenNthCalledWith(1, { success: false, message: "Location not found" });
+      expect(res.status).toHaveBeenNthCalledWith(2, 404);
+      expect(res.send).toHaveBeenNthCalledWith(2, { success: false, message: "Product not found" });
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(recordStockMovements).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database error");
+      locationModel.countDocuments = jest.fn().mockRejectedValue(error);
+
+      await transferStockController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while transferring stock",
+        error: "Database error",
+      });
+    });
+  });
+
+  describe("getStockMovementsController", () => {
+    let query;
+    const movements = [{ _id: "m1", change: -1, balance: 4, reason: "sale", user: { name: "Ann" } }];
+
+    beforeEach(() => {
+      query = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(movements),
+      };
+      stockMovementModel.find = jest.fn().mockReturnValue(query);
+      stockMovementModel.countDocuments = jest.fn().mockResolvedValue(21);
+    });
+
+    it("should return a page of the product's stock history, newest first", async () => {
+      req.query.page = "2";
+
+      await getStockMovementsController(req, res);
+
+      expect(stockMovementModel.find).toHaveBeenCalledWith({ product: pid });
+      expect(query.populate).toHaveBeenCalledWith("user", "name");
+      expect(query.populate).toHaveBeenCalledWith("location", "name");
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(query.limit).toHaveBeenCalledWith(20);
+      expect(stockMovementModel.countDocuments).toHaveBeenCalledWith({ product: pid });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, movements, page: 2, perPage: 20, total: 21 });
+    });
+
+    it.each([
+      ["an invalid id", { pid: "bad" }, {}, "Invalid product id"],
+      ["an invalid page", {}, { page: "0" }, "Page should be a whole number from 1"],
+    ])("should return 422 for %s", async (_, params, query, message) => {
+      req.params = { pid, ...params };
+      req.query = query;
+
+      await getStockMovementsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(stockMovementModel.find).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database error");
+      stockMovementModel.countDocuments = jest.fn().mockRejectedValue(error);
+
+      await getStockMovementsController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting stock history",
+        error: "Database error",
+      });
+    });
+  });
+
+  describe("createProductController / updateProductController", () => {
+    const fields = {
+      name: "Laptop",
+      description: "A laptop",
+      price: "999",
+      category: "cat1",
+      quantity: "12",
+      shipping: "1",
+    };
+
+    beforeEach(() => {
+      req.fields = { ...fields };
+      req.files = {};
+      categoryModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({ attributes: [] }),
+      });
+      productModel.findOne = jest.fn().mockResolvedValue(null);
+    });
+
+    it("should record the initial stock of a created product", async () => {
+      productModel.mockImplementation((product) => ({ ...product, _id: pid, quantity: 12, save: jest.fn() }));
+
+      await createProductController(req, res);
+
+      expect(recordStockMovements).toHaveBeenCalledWith([
+        {
+          product: pid,
+          change: 12,
+          balance: 12,
+          reason: "adjustment",
+          note: "Initial stock",
+          user: adminId,
+        },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should record the stock typed over on the product form as an adjustment", async () => {
+      // the update hands back the stock right before it, one unit sold since the form was opened
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 19 });
+      // and another unit is sold before the product is read again
+      productModel.findById = jest.fn().mockResolvedValue({ _id: pid, quantity: 11, save: jest.fn() });
+
+      await updateProductController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        pid,
+        expect.objectContaining({ quantity: "12" }),
+        { new: false, projection: { quantity: 1, locationStock: 1 } }
+      );
+      expect(productModel.findById).toHaveBeenCalledWith(pid);
+      expect(recordStockMovements).toHaveBeenCalledWith([
+        {
+          product: pid,
+          change: -7,
+          balance: 12,
+          reason: "adjustment",
+          note: "Stock edited on the product form",
+          user: adminId,
+        },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    describe("stock per location", () => {
+      const otherId = "66db427fdb0119d9234b27f5";
+
+      beforeEach(() => {
+        locationModel.find = jest.fn().mockReturnValue({
+          select: jest.fn().mockReturnThis(),
+          lean: jest.fn().mockResolvedValue([{ _id: locationId }, { _id: otherId }]),
+        });
+      });
+
+      it("should record the initial stock of a created product per location", async () => {
+        req.fields.locationStock = JSON.stringify([
+          { location: locationId, quantity: 5 },
+          { location: otherId, quantity: 7 },
+        ]);
+        productModel.mockImplementation((product) => ({ ...product, _id: pid, save: jest.fn() }));
+
+        await createProductController(req, res);
+
+        expect(productModel).toHaveBeenCalledWith(
+          expect.objectContaining({
+            quantity: 12,
+            locationStock: [
+              { location: locationId, sku: "", quantity: 5 },
+              { location: otherId, sku: "", quantity: 7 },
+            ],
+          })
+        );
+        const initialStock = {
+          product: pid,
+          variant: null,
+          sku: "",
+          reason: "adjustment",
+          note: "Initial stock",
+          user: adminId,
+        };
+        expect(recordStockMovements).toHaveBeenCalledWith([
+          { ...initialStock, location: locationId, change: 5, balance: 5 },
+          { ...initialStock, location: otherId, change: 7, balance: 12 },
+        ]);
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+
+      it("should record the stock edited per location with the running balance", async () => {
+        req.fields.locationStock = JSON.stringify([
+          { location: locationId, quantity: 2 },
+          { location: otherId, quantity: 10 },
+        ]);
+        productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+          _id: pid,
+          quantity: 9,
+          locationStock: [
+            { location: locationId, sku: "", quantity: 5 },
+            { location: otherId, sku: "", quantity: 4 },
+          ],
+        });
+        productModel.findById = jest.fn().mockResolvedValue({ _id: pid, quantity: 12, save: jest.fn() });
+
+        await updateProductController(req, res);
+
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+          pid,
+          expect.objectContaining({ quantity: 12 }),
+          { new: false, projection: { quantity: 1, locationStock: 1 } }
+        );
+        expect(recordStockMovements).toHaveBeenCalledWith([
+          expect.objectContaining({ location: locationId, change: -3, balance: 6 }),
+          expect.objectContaining({ location: otherId, change: 6, balance: 12 }),
+        ]);
+      });
+
+      it("should return 422 for stock at an unknown location", async () => {
+        req.fields.locationStock = JSON.stringify([{ location: "66db427fdb0119d9234b27ff", quantity: 1 }]);
+
+        await createProductController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Location stock has an unknown location",
+        });
+        expect(productModel).not.toHaveBeenCalled();
+        expect(recordStockMovements).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
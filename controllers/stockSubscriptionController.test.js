@@ -0,0 +1,319 @@
+import {
+  getStockSubscriptionController,
+  subscribeToStockController,
+  unsubscribeFromStockController,
+  updateProductController,
+} from "./productController.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import stockSubscriptionModel from "../models/stockSubscriptionModel.js";
+import { queueNotification } from "../helpers/notificationOutbox.js";
+import { listedProducts } from "../helpers/productHelper.js";
+
+jest.mock("braintree");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/stockLedger.js");
+jest.mock("../helpers/notificationOutbox.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/stockSubscriptionModel.js");
+
+/**
+ * Unit Tests for back in stock subscriptions of a signed-in user, and the notifications queued
+ * when an admin restocks a product
+ *
+ * Test Doubles Used:
+ * - stockSubscriptionModel: MOCK (records the subscriptions saved, removed and marked notified)
+ * - productModel:           STUB (whether the product exists and is in stock, the updated product)
+ * - categoryModel.findById: STUB (the category defines no attributes)
+ * - queueNotification:      MOCK (records the notifications queued for the subscribers)
+ * - req/res:                FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - getStockSubscriptionController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | waiting or notified subscription          | 200, subscribed true / false
+ * 2  | Input Validation| invalid id                                | 422
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - subscribeToStockController / unsubscribeFromStockController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | out of stock product                      | 200, subscription waits for the restock
+ * 2  | Input Validation| invalid id, unlisted or in stock product  | 422 / 404 / 409, nothing saved
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - updateProductController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | product restocked with subscribers        | each waiting subscriber notified once
+ * 2  | Edge Case       | still out of stock                        | no subscriber notified
+ * 3  | Error Handling  | notification cannot be queued             | error logged, product still updated
+ */
+describe("Stock subscriptions", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+  const userId = "66db427fdb0119d9234b27f2";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: { pid }, query: {}, user: { _id: userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("getStockSubscriptionController", () => {
+    const mockSubscription = (subscription) => {
+      stockSubscriptionModel.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(subscription),
+      });
+    };
+
+    it("should say whether the user waits for the product", async () => {
+      mockSubscription({ _id: "s1" });
+
+      await getStockSubscriptionController(req, res);
+
+      expect(stockSubscriptionModel.findOne).toHaveBeenCalledWith({
+        product: pid,
+        user: userId,
+        notifiedAt: null,
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, subscribed: true });
+
+      mockSubscription(null);
+      await getStockSubscriptionController(req, res);
+
+      expect(res.send).toHaveBeenLastCalledWith({ success: true, subscribed: false });
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.pid = "1";
+
+      await getStockSubscriptionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid product id" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      stockSubscriptionModel.findOne = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await getStockSubscriptionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting stock subscription",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("subscribeToStockController", () => {
+    const mockProduct = (product) => {
+      productModel.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(product),
+      });
+    };
+
+    beforeEach(() => {
+      mockProduct({ _id: pid, quantity: 0 });
+      stockSubscriptionModel.updateOne = jest.fn().mockResolvedValue({ upsertedCount: 1 });
+    });
+
+    it("should wait for an out of stock product to be restocked", async () => {
+      await subscribeToStockController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith(listedProducts({ _id: pid }, expect.any(Date)));
+      expect(stockSubscriptionModel.updateOne).toHaveBeenCalledWith(
+        { product: pid, user: userId },
+        { $set: { notifiedAt: null } },
+        { upsert: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "We will email you when it is back in stock",
+      });
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.pid = "1";
+
+      await subscribeToStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(stockSubscriptionModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown or unlisted product", async () => {
+      mockProduct(null);
+
+      await subscribeToStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product not found" });
+      expect(stockSubscriptionModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 for a product in stock", async () => {
+      mockProduct({ _id: pid, quantity: 3 });
+
+      await subscribeToStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product is in stock" });
+      expect(stockSubscriptionModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      stockSubscriptionModel.updateOne.mockRejectedValue(new Error("Database failed"));
+
+      await subscribeToStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while subscribing to stock",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("unsubscribeFromStockController", () => {
+    it("should remove the subscription", async () => {
+      stockSubscriptionModel.deleteOne = jest.fn().mockResolvedValue({ deletedCount: 1 });
+
+      await unsubscribeFromStockController(req, res);
+
+      expect(stockSubscriptionModel.deleteOne).toHaveBeenCalledWith({ product: pid, user: userId });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "You will not be notified about this product",
+      });
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.pid = "1";
+      stockSubscriptionModel.deleteOne = jest.fn();
+
+      await unsubscribeFromStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(stockSubscriptionModel.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      stockSubscriptionModel.deleteOne = jest.fn().mockRejectedValue(new Error("Database failed"));
+
+      await unsubscribeFromStockController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while unsubscribing from stock",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("updateProductController", () => {
+    const fields = {
+      name: "Laptop",
+      description: "A laptop",
+      price: "999",
+      category: "cat1",
+      quantity: "10",
+      shipping: "1",
+    };
+    const sam = { name: "Sam", email: "sam@example.com" };
+    const alex = { name: "Alex", email: "alex@example.com" };
+    let updated, query;
+
+    const mockSubscriptions = (subscriptions) => {
+      query = {
+        populate: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(subscriptions),
+      };
+      stockSubscriptionModel.find = jest.fn().mockReturnValue(query);
+    };
+
+    beforeEach(() => {
+      req.fields = { ...fields };
+      req.files = {};
+      categoryModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({ attributes: [] }),
+      });
+      productModel.findOne = jest.fn().mockResolvedValue(null);
+      updated = { _id: pid, name: "Laptop", slug: "Laptop", quantity: 10, save: jest.fn() };
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: pid, quantity: 0 });
+      productModel.findById = jest.fn().mockResolvedValue(updated);
+      mockSubscriptions([
+        { _id: "s1", user: sam },
+        { _id: "s2", user: alex },
+        { _id: "s3", user: null },
+      ]);
+      // Alex was notified by another save of the product at the same time
+      stockSubscriptionModel.updateOne = jest
+        .fn()
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+    });
+
+    it("should notify each waiting subscriber once the product is restocked", async () => {
+      await updateProductController(req, res);
+
+      expect(stockSubscriptionModel.find).toHaveBeenCalledWith({ product: pid, notifiedAt: null });
+      expect(query.populate).toHaveBeenCalledWith("user", "name email");
+      expect(stockSubscriptionModel.updateOne).toHaveBeenCalledWith(
+        { _id: "s1", notifiedAt: null },
+        { $set: { notifiedAt: expect.any(Date) } }
+      );
+      // a subscriber whose account is gone has no one to notify
+      expect(queueNotification).toHaveBeenCalledTimes(1);
+      expect(queueNotification).toHaveBeenCalledWith({
+        type: "back-in-stock",
+        product: pid,
+        to: "sam@example.com",
+        subject: "Laptop is back in stock",
+        message: "Hi Sam, Laptop is back in stock. Get it at /product/Laptop while it lasts.",
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should not notify anyone while the product is out of stock", async () => {
+      req.fields.quantity = "0";
+      updated.quantity = 0;
+
+      await updateProductController(req, res);
+
+      expect(stockSubscriptionModel.find).not.toHaveBeenCalled();
+      expect(queueNotification).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should still update the product when a notification cannot be queued", async () => {
+      const error = new Error("Database failed");
+      queueNotification.mockRejectedValueOnce(error);
+
+      await updateProductController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Product updated successfully" })
+      );
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import {
+  addToWishlistController,
+  getWishlistController,
+  removeFromWishlistController,
+} from "./authController.js";
+import userModel from "../models/userModel.js";
+import productModel from "../models/productModel.js";
+import { listedProducts } from "../helpers/productHelper.js";
+
+jest.mock("../models/userModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/orderModel.js");
+
+/**
+ * Unit Tests for the wishlist endpoints of a signed-in user
+ *
+ * Test Doubles Used:
+ * - userModel:            MOCK (records the products added to and removed from the wishlist)
+ * - productModel.findOne: STUB (whether the product exists and is listed)
+ * - req/res:              FAKE (test doubles for Express request/response objects)
+ *
+ * Scenario Plan - getWishlistController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | user with saved products                  | 200, only the listed products
+ * 2  | Edge Case       | user not found                            | 200, empty wishlist
+ * 3  | Error Handling  | database error                            | 500
+ * Scenario Plan - addToWishlistController / removeFromWishlistController:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | listed product                            | 200, product added once / removed
+ * 2  | Input Validation| invalid id, unknown or unlisted product   | 422 / 404, wishlist unchanged
+ * 3  | Error Handling  | database error                            | 500
+ */
+describe("wishlist controllers", () => {
+  let req, res;
+  const pid = "66db427fdb0119d9234b27f1";
+  const userId = "66db427fdb0119d9234b27f2";
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    req = { body: {}, params: { pid }, query: {}, user: { _id: userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  // findByIdAndUpdate(...).select("wishlist") resolving to the updated user
+  const mockUpdate = (user) => {
+    userModel.findByIdAndUpdate = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue(user),
+    });
+  };
+
+  describe("getWishlistController", () => {
+    let query;
+
+    const mockUser = (user) => {
+      query = {
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(user),
+      };
+      userModel.findById = jest.fn().mockReturnValue(query);
+    };
+
+    it("should return only the saved products that are listed", async () => {
+      const wishlist = [{ _id: pid, name: "Laptop" }];
+      mockUser({ _id: userId, wishlist });
+
+      await getWishlistController(req, res);
+
+      expect(userModel.findById).toHaveBeenCalledWith(userId);
+      expect(query.populate).toHaveBeenCalledWith({
+        path: "wishlist",
+        select: "-photo",
+        // archived, draft, scheduled and unpublished products are left out
+        match: listedProducts({}, expect.any(Date)),
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, wishlist });
+    });
+
+    it("should return an empty wishlist when the user is not found", async () => {
+      mockUser(null);
+
+      await getWishlistController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, wishlist: [] });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      const error = new Error("Database failed");
+      userModel.findById = jest.fn().mockImplementation(() => {
+        throw error;
+      });
+
+      await getWishlistController(req, res);
+
+      expect(console.log).toHaveBeenCalledWith(error);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting wishlist",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("addToWishlistController", () => {
+    const mockProduct = (product) => {
+      productModel.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(product),
+      });
+    };
+
+    beforeEach(() => {
+      mockProduct({ _id: pid });
+      mockUpdate({ wishlist: [pid] });
+    });
+
+    it("should add a listed product once", async () => {
+      await addToWishlistController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith(listedProducts({ _id: pid }, expect.any(Date)));
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        userId,
+        { $addToSet: { wishlist: pid } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Added to wishlist",
+        wishlist: [pid],
+      });
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.pid = "1";
+
+      await addToWishlistController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid product id" });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown or unlisted product", async () => {
+      mockProduct(null);
+
+      await addToWishlistController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Product not found" });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the database fails", async () => {
+      userModel.findByIdAndUpdate = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await addToWishlistController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while adding to wishlist",
+        error: "Database failed",
+      });
+    });
+  });
+
+  describe("removeFromWishlistController", () => {
+    beforeEach(() => {
+      mockUpdate({ wishlist: [] });
+    });
+
+    it("should remove the product", async () => {
+      await removeFromWishlistController(req, res);
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        userId,
+        { $pull: { wishlist: pid } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Removed from wishlist",
+        wishlist: [],
+      });
+    });
+
+    it("should return 422 for an invalid id", async () => {
+      req.params.pid = "1";
+
+      await removeFromWishlistController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Invalid product id" });
+    });
+
+    it("should return 500 when the database fails", async () => {
+      userModel.findByIdAndUpdate = jest.fn().mockImplementation(() => {
+        throw new Error("Database failed");
+      });
+
+      await removeFromWishlistController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while removing from wishlist",
+        error: "Database failed",
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+export const ATTRIBUTE_TYPES = ["text", "number", "boolean", "select"];
+
+// Attribute values are stored under a key derived from the attribute name, e.g.
+// "Screen Size" -> "screen-size", so they stay valid document paths
+export const toAttributeKey = (name) =>
+  String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const uniqueValues = (values) => [
+  ...new Set((Array.isArray(values) ? values : []).map((value) => String(value).trim()).filter(Boolean)),
+];
+
+const parseJson = (value, error) => {
+  if (typeof value !== "string") return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch (e) {
+    return { error };
+  }
+};
+
+// Parses the attribute schema an admin defines for a category.
+// Returns { error } on invalid input, otherwise { attributes } with a key per attribute.
+export const parseAttributeSchema = (attributes = []) => {
+  const { value: list, error } = parseJson(attributes, "Attributes must be valid JSON");
+  if (error) return { error };
+  if (!Array.isArray(list)) {
+    return { error: "Attributes must be a list" };
+  }
+
+  const keys = new Set();
+  const parsed = [];
+  for (const attribute of list) {
+    const name = String(attribute?.name ?? "").trim();
+    if (!name) {
+      return { error: "Attribute name is required" };
+    }
+    const key = toAttributeKey(name);
+    if (!key) {
+      return { error: `Attribute ${name} should contain letters or digits` };
+    }
+    if (keys.has(key)) {
+      return { error: `Duplicate attribute ${name}` };
+    }
+    keys.add(key);
+
+    const type = attribute.type || "text";
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      return { error: `Attribute type should be one of ${ATTRIBUTE_TYPES.join(", ")}` };
+    }
+    const values = type === "select" ? uniqueValues(attribute.values) : [];
+    if (type === "select" && values.length === 0) {
+      return { error: `Attribute ${name} needs allowed values` };
+    }
+    parsed.push({
+      key,
+      name,
+      type,
+      unit: String(attribute.unit ?? "").trim(),
+      required: attribute.required === true || attribute.required === "true",
+      values,
+    });
+  }
+  return { attributes: parsed };
+};
+
+// Parses the attribute values sent by the product forms (a JSON object keyed by attribute key)
+// against the category's attribute schema. Required attributes are enforced even when nothing
+// was sent. Returns { error } on invalid input, otherwise { fields } holding only the keys
+// that were sent.
+export const parseProductAttributes = (attributes, schema = []) => {
+  const sent = attributes !== undefined && attributes !== "";
+  let values = {};
+  if (sent) {
+    const parsed = parseJson(attributes, "Attributes must be valid JSON");
+    if (parsed.error) return { error: parsed.error };
+    values = parsed.value;
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      return { error: "Attributes must be an object" };
+    }
+  }
+
+  const unknown = Object.keys(values).find((key) => !schema.some((a) => a.key === key));
+  if (unknown) {
+    return { error: `Unknown attribute ${unknown}` };
+  }
+
+  const result = {};
+  for (const attribute of schema) {
+    const value = values[attribute.key];
+    if (value === undefined || value === null || String(value).trim() === "") {
+      if (attribute.required) {
+        return { error: `${attribute.name} is required` };
+      }
+      continue;
+    }
+    switch (attribute.type) {
+      case "number":
+        if (!Number.isFinite(Number(value))) {
+          return { error: `${attribute.name} should be a number` };
+        }
+        result[attribute.key] = Number(value);
+        break;
+      case "boolean":
+        if (![true, false, "true", "false"].includes(value)) {
+          return { error: `${attribute.name} should be true or false` };
+        }
+        result[attribute.key] = value === true || value === "true";
+        break;
+      case "select":
+        if (!attribute.values.includes(String(value))) {
+          return { error: `${attribute.name} should be one of ${attribute.values.join(", ")}` };
+        }
+        result[attribute.key] = String(value);
+        break;
+      default:
+        result[attribute.key] = String(value).trim();
+    }
+  }
+  return { fields: sent ? { attributes: result } : {} };
+};
+
+// Turns the storefront attribute filters into conditions on the product attributes:
+// a list matches any of its values, { min, max } a number range and a boolean itself,
+// e.g. { author: ["Tolkien"], "screen-size": { min: 13 }, backlit: true }
+export const attributeConditions = (filters) => {
+  const conditions = {};
+  if (!filters || typeof filters !== "object") return conditions;
+  for (const [key, value] of Object.entries(filters)) {
+    // keys are generated by toAttributeKey, anything else could be a query operator
+    if (key !== toAttributeKey(key)) continue;
+    const path = `attributes.${key}`;
+    if (Array.isArray(value)) {
+      if (value.length) conditions[path] = { $in: value.map(String) };
+    } else if (typeof value === "boolean") {
+      conditions[path] = value;
+    } else if (value && typeof value === "object") {
+      const range = {};
+      if (value.min !== undefined && value.min !== "" && Number.isFinite(Number(value.min))) {
+        range.$gte = Number(value.min);
+      }
+      if (value.max !== undefined && value.max !== "" && Number.isFinite(Number(value.max))) {
+        range.$lte = Number(value.max);
+      }
+      if (Object.keys(range).length) conditions[path] = range;
+    }
+  }
+  return conditions;
+};
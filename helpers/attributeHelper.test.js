@@ -0,0 +1,133 @@
+/**
+ * Unit Tests: attributeHelper
+ *
+ * Units Under Test:
+ *   toAttributeKey         - key an attribute value is stored under
+ *   parseAttributeSchema   - attribute schema an admin defines for a category
+ *   parseProductAttributes - attribute values of a product, checked against the schema
+ *   attributeConditions    - storefront attribute filters as query conditions
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | names with spaces and symbols                     | lowercase dashed keys
+ * 2  | Happy       | schema of every type, as JSON or list             | keys added, values trimmed
+ * 3  | Negative    | bad JSON, no name, duplicate, bad type, no values | error message
+ * 4  | Happy       | values of every type                              | typed values
+ * 5  | Happy       | nothing sent, no required attribute               | no fields
+ * 6  | Negative    | required missing, unknown key, wrong type/value   | error message
+ * 7  | Happy       | list / range / boolean filters                    | $in / $gte,$lte / equality
+ * 8  | Security    | keys that are not attribute keys, e.g. $where     | ignored
+ */
+import {
+  attributeConditions,
+  parseAttributeSchema,
+  parseProductAttributes,
+  toAttributeKey,
+} from "./attributeHelper.js";
+
+describe("attributeHelper", () => {
+  const schema = [
+    { key: "screen-size", name: "Screen Size", type: "number", unit: "in", required: true, values: [] },
+    { key: "author", name: "Author", type: "text", unit: "", required: false, values: [] },
+    { key: "backlit", name: "Backlit", type: "boolean", unit: "", required: false, values: [] },
+    { key: "colour", name: "Colour", type: "select", unit: "", required: false, values: ["Red", "Blue"] },
+  ];
+
+  describe("toAttributeKey", () => {
+    it("should lowercase the name and join its words with dashes", () => {
+      expect(toAttributeKey(" Screen Size (in) ")).toBe("screen-size-in");
+      expect(toAttributeKey("$where")).toBe("where");
+    });
+  });
+
+  describe("parseAttributeSchema", () => {
+    it("should add a key to every attribute and clean up select values", () => {
+      expect(
+        parseAttributeSchema([
+          { name: " Screen Size ", type: "number", unit: " in ", required: true },
+          { name: "Colour", type: "select", values: [" Red", "Blue", "Red", ""] },
+          { name: "Author" },
+        ])
+      ).toEqual({
+        attributes: [
+          { key: "screen-size", name: "Screen Size", type: "number", unit: "in", required: true, values: [] },
+          { key: "colour", name: "Colour", type: "select", unit: "", required: false, values: ["Red", "Blue"] },
+          { key: "author", name: "Author", type: "text", unit: "", required: false, values: [] },
+        ],
+      });
+    });
+
+    it("should accept the schema as JSON and no attributes at all", () => {
+      expect(parseAttributeSchema('[{"name":"Pages","type":"number"}]').attributes[0].key).toBe("pages");
+      expect(parseAttributeSchema()).toEqual({ attributes: [] });
+    });
+
+    it.each([
+      ["not-json", "Attributes must be valid JSON"],
+      [{ name: "Pages" }, "Attributes must be a list"],
+      [[{ name: " " }], "Attribute name is required"],
+      [[{ name: "!!" }], "Attribute !! should contain letters or digits"],
+      [[{ name: "Pages" }, { name: "pages" }], "Duplicate attribute pages"],
+      [[{ name: "Pages", type: "date" }], "Attribute type should be one of text, number, boolean, select"],
+      [[{ name: "Colour", type: "select", values: [] }], "Attribute Colour needs allowed values"],
+    ])("should reject %j", (attributes, error) => {
+      expect(parseAttributeSchema(attributes)).toEqual({ error });
+    });
+  });
+
+  describe("parseProductAttributes", () => {
+    it("should convert the values to the attribute types", () => {
+      expect(
+        parseProductAttributes(
+          JSON.stringify({ "screen-size": "13.3", author: " Tolkien ", backlit: "true", colour: "Red" }),
+          schema
+        )
+      ).toEqual({
+        fields: { attributes: { "screen-size": 13.3, author: "Tolkien", backlit: true, colour: "Red" } },
+      });
+    });
+
+    it("should skip empty optional values and return no fields when nothing was sent", () => {
+      expect(parseProductAttributes({ "screen-size": 15, author: "", backlit: false }, schema)).toEqual({
+        fields: { attributes: { "screen-size": 15, backlit: false } },
+      });
+      expect(parseProductAttributes(undefined, schema.slice(1))).toEqual({ fields: {} });
+      expect(parseProductAttributes(undefined)).toEqual({ fields: {} });
+    });
+
+    it.each([
+      [undefined, "Screen Size is required"],
+      ["{", "Attributes must be valid JSON"],
+      ["[]", "Attributes must be an object"],
+      [{ "screen-size": 13, weight: 2 }, "Unknown attribute weight"],
+      [{ "screen-size": "big" }, "Screen Size should be a number"],
+      [{ "screen-size": 13, backlit: "yes" }, "Backlit should be true or false"],
+      [{ "screen-size": 13, colour: "Green" }, "Colour should be one of Red, Blue"],
+    ])("should reject %j", (attributes, error) => {
+      expect(parseProductAttributes(attributes, schema)).toEqual({ error });
+    });
+  });
+
+  describe("attributeConditions", () => {
+    it("should turn lists, ranges and booleans into conditions", () => {
+      expect(
+        attributeConditions({
+          author: ["Tolkien", "Austen"],
+          "screen-size": { min: "13", max: 15 },
+          pages: { min: "" },
+          backlit: true,
+          colour: [],
+        })
+      ).toEqual({
+        "attributes.author": { $in: ["Tolkien", "Austen"] },
+        "attributes.screen-size": { $gte: 13, $lte: 15 },
+        "attributes.backlit": true,
+      });
+    });
+
+    it("should ignore keys that are not attribute keys and missing filters", () => {
+      expect(attributeConditions({ $where: ["1"], "a.b": true, "Screen Size": [1] })).toEqual({});
+      expect(attributeConditions(undefined)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// Every entry in the client cart is one unit of a product (optionally of a variant).
+// Group them into order lines so stock can be decremented once per product/variant.
+// The variant of an entry is looked up by id in the `products` loaded on the server, so a line's
+// SKU, options and price are the saved variant's, whatever the client sent; a variant without
+// its own price is sold at the product's, and so is a line without a variant. A variant that is
+// not found has no SKU and is never in stock.
+export const groupCartItems = (cart = [], products = []) => {
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  const lines = new Map();
+  for (const item of cart) {
+    if (!item?._id) continue;
+    const variantId = item.variant?._id;
+    const key = `${item._id}:${variantId || ""}`;
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += 1;
+      continue;
+    }
+    const product = byId.get(String(item._id));
+    const variant =
+      variantId && product?.variants?.find((saved) => String(saved._id) === String(variantId));
+    lines.set(key, {
+      product: item._id,
+      ...(variantId && {
+        variant: variantId,
+        sku: variant?.sku,
+        options: variant?.options,
+      }),
+      price: variantId ? variant && (variant.price ?? product.price) : product?.price,
+      quantity: 1,
+    });
+  }
+  return [...lines.values()];
+};
+
+// What the order lines cost at their saved prices, rounded to the cent.
+export const orderTotal = (lines = []) =>
+  Math.round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100) / 100;
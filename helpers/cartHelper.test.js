@@ -0,0 +1,109 @@
+/**
+ * Unit Tests: cartHelper
+ *
+ * Unit Under Test:
+ *   groupCartItems - groups one-unit cart entries into order lines per product/variant
+ *   orderTotal     - what the order lines cost at their saved prices
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | repeated entries of the same product          | one line, quantity = entries
+ * 2  | Happy       | same product in different variants            | one line per variant with sku/options
+ * 3  | Security    | variant sent with another sku/options/price   | saved variant's, or the product's price
+ * 4  | Security    | product sent with a lower price               | saved product's price
+ * 5  | Edge        | variant not saved on the product              | line without sku, options or price
+ * 6  | Edge        | entries without _id                           | skipped
+ * 7  | Edge        | empty / missing cart                          | []
+ * 8  | Happy       | lines of several units                        | price × quantity summed, to the cent
+ * 9  | Edge        | no lines                                      | 0
+ */
+import { groupCartItems, orderTotal } from "./cartHelper.js";
+
+describe("cartHelper", () => {
+  describe("groupCartItems", () => {
+    it("should group repeated entries of the same product into one line", () => {
+      const cart = [
+        { _id: "p1", price: 10, quantity: 50 },
+        { _id: "p1", price: 10, quantity: 50 },
+        { _id: "p2", price: 5, quantity: 3 },
+      ];
+      const products = [
+        { _id: "p1", price: 10 },
+        { _id: "p2", price: 5 },
+      ];
+
+      expect(groupCartItems(cart, products)).toEqual([
+        { product: "p1", price: 10, quantity: 2 },
+        { product: "p2", price: 5, quantity: 1 },
+      ]);
+    });
+
+    it("should keep a separate line per variant of the same product", () => {
+      const small = { _id: "v1", sku: "TEE-S", options: { Size: "S" } };
+      const medium = { _id: "v2", sku: "TEE-M", options: { Size: "M" }, price: 22 };
+      const cart = [
+        { _id: "p1", price: 20, variant: small },
+        { _id: "p1", price: 22, variant: medium },
+        { _id: "p1", price: 20, variant: small },
+      ];
+      const products = [{ _id: "p1", price: 20, variants: [small, medium] }];
+
+      expect(groupCartItems(cart, products)).toEqual([
+        { product: "p1", variant: "v1", sku: "TEE-S", options: { Size: "S" }, price: 20, quantity: 2 },
+        { product: "p1", variant: "v2", sku: "TEE-M", options: { Size: "M" }, price: 22, quantity: 1 },
+      ]);
+    });
+
+    it("should take the variant's sku, options and price from the saved product, not the cart", () => {
+      const products = [
+        { _id: "p1", price: 20, variants: [{ _id: "v1", sku: "TEE-S", options: { Size: "S" } }] },
+      ];
+      const cart = [{ _id: "p1", price: 1, variant: { _id: "v1", sku: "TEE-XL", options: { Size: "XL" }, price: 1 } }];
+
+      expect(groupCartItems(cart, products)).toEqual([
+        { product: "p1", variant: "v1", sku: "TEE-S", options: { Size: "S" }, price: 20, quantity: 1 },
+      ]);
+    });
+
+    it("should take the price of a line without a variant from the saved product, not the cart", () => {
+      const cart = [{ _id: "p1", price: 1 }];
+
+      expect(groupCartItems(cart, [{ _id: "p1", price: 20 }])).toEqual([
+        { product: "p1", price: 20, quantity: 1 },
+      ]);
+    });
+
+    it("should leave out the sku, options and price of a variant the product does not have", () => {
+      const cart = [{ _id: "p1", price: 20, variant: { _id: "v9", sku: "TEE-S" } }];
+
+      expect(groupCartItems(cart, [{ _id: "p1", price: 20, variants: [] }])).toEqual([
+        { product: "p1", variant: "v9", sku: undefined, options: undefined, price: undefined, quantity: 1 },
+      ]);
+    });
+
+    it("should skip entries without a product id", () => {
+      expect(groupCartItems([{ name: "Product", price: 10 }, null])).toEqual([]);
+    });
+
+    it("should return an empty list for an empty or missing cart", () => {
+      expect(groupCartItems([])).toEqual([]);
+      expect(groupCartItems()).toEqual([]);
+    });
+  });
+
+  describe("orderTotal", () => {
+    it("should sum the price times the quantity of each line, to the cent", () => {
+      const lines = [
+        { product: "p1", price: 0.1, quantity: 3 },
+        { product: "p2", price: 25.5, quantity: 1 },
+      ];
+
+      expect(orderTotal(lines)).toBe(25.8);
+    });
+
+    it("should be 0 without lines", () => {
+      expect(orderTotal([])).toBe(0);
+      expect(orderTotal()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { MAX_COMPARE_PRODUCTS } from "../client/src/constants/compare.js";
+import { parseProductIds } from "./recommendationHelper.js";
+
+// Parses the products to compare, e.g. ?products=id1,id2; returns { error } or { ids }
+// of 2 to MAX_COMPARE_PRODUCTS products without duplicates
+export const parseCompareIds = (value) => {
+  const { error, ids } = parseProductIds(value);
+  if (error) return { error };
+  if (ids.length < 2) return { error: "Pick at least 2 products to compare" };
+  if (ids.length > MAX_COMPARE_PRODUCTS) {
+    return { error: `Compare at most ${MAX_COMPARE_PRODUCTS} products` };
+  }
+  return { ids };
+};
+
+// Whether the products all belong to one category, so their attributes line up
+export const isSameCategory = (products) =>
+  new Set(products.map((product) => String(product.category?._id ?? product.category))).size <= 1;
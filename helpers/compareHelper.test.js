@@ -0,0 +1,46 @@
+/**
+ * Unit Tests: compareHelper
+ *
+ * Units Under Test:
+ *   parseCompareIds - product ids to compare
+ *   isSameCategory  - whether products can be compared side by side
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | comma-separated list with duplicates              | ids without duplicates
+ * 2  | Negative    | bad id, fewer than 2 or too many products         | error message
+ * 3  | Happy       | populated or plain categories                     | same category or not
+ */
+import { MAX_COMPARE_PRODUCTS } from "../client/src/constants/compare.js";
+import { isSameCategory, parseCompareIds } from "./compareHelper.js";
+
+describe("compareHelper", () => {
+  const id1 = "66db427fdb0119d9234b27f1";
+  const id2 = "66db427fdb0119d9234b27f2";
+
+  describe("parseCompareIds", () => {
+    it("should take a list and drop duplicates", () => {
+      expect(parseCompareIds(`${id1},${id2},${id1}`)).toEqual({ ids: [id1, id2] });
+    });
+
+    it.each([
+      [`${id1},1`, "Invalid product id"],
+      [undefined, "Pick at least 2 products to compare"],
+      [`${id1},${id1}`, "Pick at least 2 products to compare"],
+      [
+        Array.from({ length: MAX_COMPARE_PRODUCTS + 1 }, (_, i) => `66db427fdb0119d9234b27e${i}`).join(","),
+        `Compare at most ${MAX_COMPARE_PRODUCTS} products`,
+      ],
+    ])("should reject %p", (value, error) => {
+      expect(parseCompareIds(value)).toEqual({ error });
+    });
+  });
+
+  describe("isSameCategory", () => {
+    it("should compare populated and plain categories by id", () => {
+      expect(isSameCategory([{ category: { _id: "c1" } }, { category: "c1" }])).toBe(true);
+      expect(isSameCategory([{ category: { _id: "c1" } }, { category: { _id: "c2" } }])).toBe(false);
+      expect(isSameCategory([])).toBe(true);
+    });
+  });
+});
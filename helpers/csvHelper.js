@@ -0,0 +1,56 @@
+// Minimal RFC 4180 CSV support: quoted fields may contain commas, quotes ("") and line breaks
+
+// Parses CSV text into an array of records, each an array of field strings
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  // spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error("CSV has an unterminated quoted field");
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  // blank lines carry no data
+  return records.filter((row) => row.some((value) => value.trim() !== ""));
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turns an array of records into CSV text
+export const toCsv = (records) =>
+  records.map((record) => record.map(escapeField).join(",")).join("\r\n") + "\r\n";
@@ -0,0 +1,65 @@
+/**
+ * Unit Tests: csvHelper
+ *
+ * Units Under Test:
+ *   parseCsv - parses CSV text into records of field strings
+ *   toCsv    - formats records as CSV text
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | plain fields, LF and CRLF line endings        | one record per line
+ * 2  | Happy       | quoted commas, escaped quotes, line breaks    | kept inside the field
+ * 3  | Edge        | byte order mark, blank lines, no final EOL    | ignored / last record kept
+ * 4  | Error       | unterminated quote                            | throws
+ * 5  | Happy       | toCsv quotes only fields that need it         | valid CSV, nullish as empty
+ * 6  | Happy       | round trip                                    | parseCsv(toCsv(x)) equals x
+ */
+import { parseCsv, toCsv } from "./csvHelper.js";
+
+describe("csvHelper", () => {
+  describe("parseCsv", () => {
+    it("should split records on LF and CRLF line endings", () => {
+      expect(parseCsv("name,price\nShirt,10\r\nHat,5\n")).toEqual([
+        ["name", "price"],
+        ["Shirt", "10"],
+        ["Hat", "5"],
+      ]);
+    });
+
+    it("should keep commas, quotes and line breaks inside quoted fields", () => {
+      expect(parseCsv('name,description\n"Shirt, blue","A ""soft""\nshirt"\n')).toEqual([
+        ["name", "description"],
+        ["Shirt, blue", 'A "soft"\nshirt'],
+      ]);
+    });
+
+    it("should ignore a byte order mark and blank lines and keep a last record without line ending", () => {
+      expect(parseCsv("\uFEFFname,price\n\n , \nHat,5")).toEqual([
+        ["name", "price"],
+        ["Hat", "5"],
+      ]);
+    });
+
+    it("should throw on an unterminated quoted field", () => {
+      expect(() => parseCsv('name\n"Shirt')).toThrow("CSV has an unterminated quoted field");
+    });
+  });
+
+  describe("toCsv", () => {
+    it("should quote only fields that need it and write nullish values as empty", () => {
+      expect(toCsv([["name", "price"], ['Shirt, "blue"', 10], ["Hat", null], [undefined, 0]])).toBe(
+        'name,price\r\n"Shirt, ""blue""",10\r\nHat,\r\n,0\r\n'
+      );
+    });
+
+    it("should produce text parseCsv reads back unchanged", () => {
+      const records = [
+        ["name", "variants"],
+        ["Shirt", JSON.stringify([{ sku: "S", options: { Size: "S" } }])],
+        ["Multi\nline", "x"],
+      ];
+
+      expect(parseCsv(toCsv(records))).toEqual(records);
+    });
+  });
+});
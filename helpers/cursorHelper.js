@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_PAGE_SIZE = 6;
+export const MAX_PAGE_SIZE = 48;
+
+// Fields each listing sort orders by; every sort ends with _id so products with the same
+// value keep one order across pages
+export const LIST_SORTS = {
+  newest: [["createdAt", -1]],
+  "price-asc": [["price", 1]],
+  "price-desc": [["price", -1]],
+  name: [["name", 1]],
+  "best-selling": [["sold", -1]],
+  // highest average first, more reviews first on the same average
+  rating: [["ratingAverage", -1], ["ratingCount", -1]],
+};
+
+const withId = (fields) => [...fields, ["_id", 1]];
+
+// $sort stage of the fields, e.g. [["price", 1]] -> { price: 1, _id: 1 }
+export const sortStage = (fields) => Object.fromEntries(withId(fields));
+
+// Opaque position after the given product, holding the sort fields with its values, e.g.
+// [["price", 20], ["_id", "66db..."]]. Dates are tagged so they come back as dates.
+export const encodeCursor = (product, fields) =>
+  Buffer.from(
+    JSON.stringify(
+      withId(fields).map(([field]) => {
+        const value = product[field] ?? null;
+        return [field, value instanceof Date ? { date: value.toISOString() } : value];
+      })
+    )
+  ).toString("base64url");
+
+// A value as encodeCursor writes it: a string, a number, null or a date tagged with its ISO
+// string. Anything else, e.g. { $ne: null }, would be run as an operator by afterCursor.
+const isCursorValue = (value) => {
+  if (value === null || typeof value === "string" || Number.isFinite(value)) return true;
+  const date = value?.date;
+  return (
+    Object.keys(value ?? {}).length === 1 &&
+    typeof date === "string" &&
+    !Number.isNaN(Date.parse(date)) &&
+    new Date(date).toISOString() === date
+  );
+};
+
+// Returns { error } for a cursor that was not made for these sort fields, otherwise
+// { values } in the order of the fields with _id last
+export const decodeCursor = (cursor, fields) => {
+  let entries;
+  try {
+    entries = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (e) {
+    return { error: "Invalid cursor" };
+  }
+  const names = withId(fields).map(([field]) => field);
+  if (
+    !Array.isArray(entries) ||
+    entries.length !== names.length ||
+    entries.some(
+      (entry, index) => !Array.isArray(entry) || entry[0] !== names[index] || !isCursorValue(entry[1])
+    ) ||
+    !mongoose.Types.ObjectId.isValid(entries[fields.length][1])
+  ) {
+    return { error: "Invalid cursor" };
+  }
+  return {
+    values: entries.map(([, value], index) => {
+      if (index === fields.length) return new mongoose.Types.ObjectId(value);
+      return value?.date ? new Date(value.date) : value;
+    }),
+  };
+};
+
+// Values after the cursor value in the sort direction; a missing value (e.g. sold on an
+// older product) sorts before every value, so it comes first going up and last going down
+const beyond = (field, direction, value) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null
+    ? { [field]: { $in: [] } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Filter of the products after the cursor: past it on the first field, or equal on the first
+// fields and past it on the next one, e.g. for price ascending
+// { $or: [{ price: { $gt: 20 } }, { price: 20, _id: { $gt: id } }] }
+export const afterCursor = (fields, values) => {
+  const all = withId(fields);
+  return {
+    $or: all.map(([field, direction], index) => {
+      const equal = all.slice(0, index).map(([f], j) => ({ [f]: values[j] }));
+      return { $and: [...equal, beyond(field, direction, values[index])] };
+    }),
+  };
+};
+
+// Parses the page of a list paged by number, e.g. ?page=2; returns { error } or { page }
+export const parsePage = (value) => {
+  const page = value === undefined || value === "" ? 1 : Number(value);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "Page should be a whole number from 1" };
+  }
+  return { page };
+};
+
+// Parses the page size, e.g. ?limit=12; returns { error } or { limit }
+export const parseLimit = (limit) => {
+  if (limit === undefined || limit === "") return { limit: DEFAULT_PAGE_SIZE };
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+    return { error: `Limit should be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  return { limit: value };
+};
+
+// Parses the query string of the product listing, e.g. ?sort=price-asc&limit=12&cursor=...
+// Returns { error } on invalid input, otherwise { list } with the sort fields and the
+// decoded cursor, null on the first page.
+export const parseListQuery = (query = {}) => {
+  const sort = query.sort || "newest";
+  if (!LIST_SORTS[sort]) {
+    return { error: `Sort should be one of ${Object.keys(LIST_SORTS).join(", ")}` };
+  }
+  const { error, limit } = parseLimit(query.limit);
+  if (error) return { error };
+  const fields = LIST_SORTS[sort];
+  let cursor = null;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor, fields);
+    if (decoded.error) return { error: decoded.error };
+    cursor = decoded.values;
+  }
+  return { list: { sort, fields, limit, cursor } };
+};
+
+// Splits the limit + 1 products fetched into the page and the cursor of the next page,
+// null when there is none
+export const toCursorPage = (products, { fields, limit }) => {
+  const page = products.slice(0, limit);
+  return {
+    products: page,
+    nextCursor: products.length > limit ? encodeCursor(page[page.length - 1], fields) : null,
+  };
+};
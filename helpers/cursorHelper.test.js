@@ -0,0 +1,187 @@
+/**
+ * Unit Tests: cursorHelper
+ *
+ * Units Under Test:
+ *   encodeCursor / decodeCursor - position after the last product of a page
+ *   afterCursor                 - filter of the products after a cursor
+ *   parsePage                   - page number of a list paged by number
+ *   parseLimit                  - page size sent by a client
+ *   parseListQuery              - query string of the product listing
+ *   toCursorPage                - page and cursor of the next page
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | cursor of a date, a number and a missing value    | same values back, _id as ObjectId
+ * 2  | Negative    | garbage, another sort, bad id                     | Invalid cursor
+ * 3  | Happy       | ascending and descending fields                   | past the cursor, ties broken by _id
+ * 4  | Edge        | missing sort value going up and down              | missing values first going up, last going down
+ * 5  | Happy       | nothing, a whole number in range                  | default or the number
+ * 6  | Negative    | 0, too large, fraction, text                      | error message
+ * 7  | Happy       | nothing sent, sort, limit and cursor              | defaults, decoded cursor
+ * 8  | Negative    | unknown sort or bad cursor                        | error message
+ * 9  | Happy       | one product more than the page or not             | cursor of the last product or null
+ * 10 | Happy       | nothing sent, page number as text                 | first page, or the page sent
+ * 11 | Negative    | page 0, half or not a number                      | error message
+ * 12 | Security    | crafted value: operator, list, boolean, bad date  | Invalid cursor
+ */
+import mongoose from "mongoose";
+import {
+  afterCursor,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  LIST_SORTS,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  parseListQuery,
+  parsePage,
+  sortStage,
+  toCursorPage,
+} from "./cursorHelper.js";
+
+describe("cursorHelper", () => {
+  const id = new mongoose.Types.ObjectId("66db427fdb0119d9234b27f0");
+  const createdAt = new Date("2024-06-01T00:00:00Z");
+
+  describe("encodeCursor / decodeCursor", () => {
+    it("should give back the sort values of the product", () => {
+      const fields = [["createdAt", -1], ["sold", -1]];
+
+      const cursor = encodeCursor({ _id: id, createdAt, price: 20 }, fields);
+
+      expect(cursor).toMatch(/^[\w-]+$/);
+      expect(decodeCursor(cursor, fields)).toEqual({ values: [createdAt, null, id] });
+      const byPrice = encodeCursor({ _id: id, price: 20 }, LIST_SORTS["price-asc"]);
+      expect(decodeCursor(byPrice, LIST_SORTS["price-asc"])).toEqual({ values: [20, id] });
+    });
+
+    it.each([
+      ["not json", "%%%"],
+      ["another sort", encodeCursor({ _id: id, name: "Laptop" }, LIST_SORTS.name)],
+      ["a bad id", Buffer.from(JSON.stringify([["price", 20], ["_id", "x"]])).toString("base64url")],
+      ["not a list", Buffer.from(JSON.stringify({ price: 20 })).toString("base64url")],
+    ])("should reject a cursor of %s", (_, cursor) => {
+      expect(decodeCursor(cursor, LIST_SORTS["price-asc"])).toEqual({ error: "Invalid cursor" });
+    });
+
+    it.each([
+      ["an operator", { $ne: null }],
+      ["a list", [20]],
+      ["a boolean", true],
+      ["a date that is not ISO", { date: "June 1, 2024" }],
+      ["a date with an operator", { date: "2024-06-01T00:00:00.000Z", $gt: "" }],
+    ])("should reject a crafted cursor holding %s", (_, value) => {
+      const cursor = Buffer.from(JSON.stringify([["price", value], ["_id", String(id)]])).toString("base64url");
+
+      expect(decodeCursor(cursor, LIST_SORTS["price-asc"])).toEqual({ error: "Invalid cursor" });
+    });
+  });
+
+  describe("sortStage", () => {
+    it("should end every sort with _id", () => {
+      expect(sortStage(LIST_SORTS["best-selling"])).toEqual({ sold: -1, _id: 1 });
+    });
+  });
+
+  describe("afterCursor", () => {
+    it("should match products past the cursor, breaking ties by _id", () => {
+      expect(afterCursor([["price", 1]], [20, id])).toEqual({
+        $or: [
+          { $and: [{ price: { $gt: 20 } }] },
+          { $and: [{ price: 20 }, { _id: { $gt: id } }] },
+        ],
+      });
+      expect(afterCursor([["createdAt", -1]], [createdAt, id])).toEqual({
+        $or: [
+          { $and: [{ $or: [{ createdAt: { $lt: createdAt } }, { createdAt: null }] }] },
+          { $and: [{ createdAt }, { _id: { $gt: id } }] },
+        ],
+      });
+    });
+
+    it("should put products without a value first going up and last going down", () => {
+      expect(afterCursor([["sold", 1]], [null, id]).$or[0]).toEqual({
+        $and: [{ sold: { $ne: null } }],
+      });
+      expect(afterCursor([["sold", -1]], [null, id]).$or[0]).toEqual({
+        $and: [{ sold: { $in: [] } }],
+      });
+    });
+  });
+
+  describe("parsePage", () => {
+    it("should default to the first page", () => {
+      expect(parsePage()).toEqual({ page: 1 });
+      expect(parsePage("")).toEqual({ page: 1 });
+      expect(parsePage("3")).toEqual({ page: 3 });
+    });
+
+    it.each(["0", "1.5", "two"])("should reject page %p", (value) => {
+      expect(parsePage(value)).toEqual({ error: "Page should be a whole number from 1" });
+    });
+  });
+
+  describe("parseLimit", () => {
+    it.each([
+      [undefined, DEFAULT_PAGE_SIZE],
+      ["", DEFAULT_PAGE_SIZE],
+      ["12", 12],
+      [MAX_PAGE_SIZE, MAX_PAGE_SIZE],
+    ])("should take %j as %j", (limit, expected) => {
+      expect(parseLimit(limit)).toEqual({ limit: expected });
+    });
+
+    it.each(["0", String(MAX_PAGE_SIZE + 1), "1.5", "all"])("should reject %j", (limit) => {
+      expect(parseLimit(limit)).toEqual({
+        error: `Limit should be a whole number from 1 to ${MAX_PAGE_SIZE}`,
+      });
+    });
+  });
+
+  describe("parseListQuery", () => {
+    it("should default to the first page of the newest products", () => {
+      expect(parseListQuery()).toEqual({
+        list: { sort: "newest", fields: LIST_SORTS.newest, limit: DEFAULT_PAGE_SIZE, cursor: null },
+      });
+    });
+
+    it("should decode the cursor for the sort", () => {
+      const cursor = encodeCursor({ _id: id, sold: 5 }, LIST_SORTS["best-selling"]);
+
+      expect(parseListQuery({ sort: "best-selling", limit: "12", cursor })).toEqual({
+        list: { sort: "best-selling", fields: [["sold", -1]], limit: 12, cursor: [5, id] },
+      });
+    });
+
+    it.each([
+      [
+        { sort: "popular" },
+        "Sort should be one of newest, price-asc, price-desc, name, best-selling, rating",
+      ],
+      [{ limit: "0" }, `Limit should be a whole number from 1 to ${MAX_PAGE_SIZE}`],
+      [{ sort: "name", cursor: "abc" }, "Invalid cursor"],
+    ])("should reject %j", (query, error) => {
+      expect(parseListQuery(query)).toEqual({ error });
+    });
+  });
+
+  describe("toCursorPage", () => {
+    const products = [
+      { _id: id, price: 10 },
+      { _id: new mongoose.Types.ObjectId(), price: 20 },
+      { _id: new mongoose.Types.ObjectId(), price: 30 },
+    ];
+    const fields = [["price", 1]];
+
+    it("should cut the extra product and point the cursor at the last one shown", () => {
+      const page = toCursorPage(products, { fields, limit: 2 });
+
+      expect(page.products).toEqual(products.slice(0, 2));
+      expect(decodeCursor(page.nextCursor, fields)).toEqual({ values: [20, products[1]._id] });
+    });
+
+    it("should have no next page when nothing is left", () => {
+      expect(toCursorPage(products, { fields, limit: 3 })).toEqual({ products, nextCursor: null });
+    });
+  });
+});
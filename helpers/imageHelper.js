@@ -0,0 +1,83 @@
+export const MAX_PRODUCT_IMAGES = 10;
+export const MAX_IMAGE_SIZE = 1000000;
+
+// express-formidable gives a single object for one file and an array for several
+export const toFileList = (files) => (files ? [].concat(files) : []);
+
+// Works out the ordered gallery of a product from the admin form.
+// `imageOrder` is a JSON list of { id, alt } for images the product already has and
+// { upload, alt } for the n-th newly uploaded file; the first entry is the primary image.
+// Returns { error } or { images, removed } where new images still hold their `upload` file.
+export const planProductImages = (imageOrder, uploads = [], existingImages = []) => {
+  for (const file of uploads) {
+    if (!file.type || !file.type.startsWith("image/")) {
+      return { error: "Only image files can be uploaded" };
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      return { error: "Each image should be less than 1mb" };
+    }
+  }
+
+  const existing = existingImages.map((image) => ({
+    fileId: image.fileId,
+    contentType: image.contentType,
+    alt: image.alt || "",
+  }));
+
+  let order;
+  if (imageOrder === undefined || imageOrder === "") {
+    // keep the current gallery and append any new uploads
+    order = [
+      ...existing.map((image) => ({ id: String(image.fileId), alt: image.alt })),
+      ...uploads.map((file, upload) => ({ upload, alt: "" })),
+    ];
+  } else {
+    try {
+      order = typeof imageOrder === "string" ? JSON.parse(imageOrder) : imageOrder;
+    } catch (error) {
+      return { error: "Image order must be valid JSON" };
+    }
+    if (!Array.isArray(order)) {
+      return { error: "Image order must be a list" };
+    }
+  }
+
+  const images = [];
+  const used = new Set();
+  for (const entry of order) {
+    const alt = String(entry?.alt ?? "").trim();
+    if (entry?.id !== undefined) {
+      const image = existing.find((item) => String(item.fileId) === String(entry.id));
+      if (!image || used.has(`id:${entry.id}`)) {
+        return { error: "Unknown product image in image order" };
+      }
+      used.add(`id:${entry.id}`);
+      images.push({ ...image, alt });
+    } else {
+      const file = uploads[entry?.upload];
+      if (!Number.isInteger(entry?.upload) || !file || used.has(`upload:${entry.upload}`)) {
+        return { error: "Unknown uploaded image in image order" };
+      }
+      used.add(`upload:${entry.upload}`);
+      images.push({ upload: file, alt });
+    }
+  }
+  // uploads the order forgot about still belong to the gallery
+  uploads.forEach((file, upload) => {
+    if (!used.has(`upload:${upload}`)) images.push({ upload: file, alt: "" });
+  });
+
+  if (images.length > MAX_PRODUCT_IMAGES) {
+    return { error: `A product can have at most ${MAX_PRODUCT_IMAGES} images` };
+  }
+
+  const removed = existing
+    .filter((image) => !used.has(`id:${image.fileId}`))
+    .map((image) => image.fileId);
+  return { images, removed };
+};
+
+// Ids of the files storeProductImages saved for the new uploads of a planned gallery, e.g. to
+// delete them again when the product pointing at them cannot be saved
+export const uploadedImageIds = (images, stored) =>
+  stored.filter((image, index) => images[index]?.upload).map((image) => image.fileId);
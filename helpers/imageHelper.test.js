@@ -0,0 +1,174 @@
+/**
+ * Unit Tests: imageHelper
+ *
+ * Units Under Test:
+ *   toFileList        - normalises express-formidable's single/multiple file field
+ *   planProductImages - orders a product gallery from existing images and new uploads
+ *   uploadedImageIds  - ids of the files stored for the new uploads of a gallery
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | one file / several files / no files           | list of files
+ * 2  | Happy       | no image order                                | existing kept, uploads appended
+ * 3  | Happy       | image order mixes existing and uploads        | gallery follows the order, alt trimmed
+ * 4  | Happy       | existing image left out of the order          | reported as removed
+ * 5  | Happy       | upload not referenced by the order            | appended to the gallery
+ * 6  | Validation  | non-image upload                              | error
+ * 7  | Validation  | upload larger than 1mb                        | error
+ * 8  | Validation  | invalid JSON / not a list                     | error
+ * 9  | Validation  | unknown or duplicate existing id              | error
+ * 10 | Validation  | upload index out of range / duplicated        | error
+ * 11 | Boundary    | more than 10 images                           | error
+ * 12 | Happy       | stored gallery with kept and new images       | ids of the new images only
+ */
+import { toFileList, planProductImages, uploadedImageIds, MAX_PRODUCT_IMAGES } from "./imageHelper.js";
+
+const image = (name, overrides = {}) => ({
+  name,
+  path: `/tmp/${name}`,
+  type: "image/png",
+  size: 1000,
+  ...overrides,
+});
+
+const existing = [
+  { fileId: "f1", contentType: "image/png", alt: "Front" },
+  { fileId: "f2", contentType: "image/jpeg" },
+];
+
+describe("imageHelper", () => {
+  describe("toFileList", () => {
+    it("should always return a list of files", () => {
+      const one = image("a.png");
+      const two = image("b.png");
+
+      expect(toFileList(one)).toEqual([one]);
+      expect(toFileList([one, two])).toEqual([one, two]);
+      expect(toFileList(undefined)).toEqual([]);
+    });
+  });
+
+  describe("planProductImages", () => {
+    describe("Happy Path", () => {
+      it("should keep existing images and append uploads when there is no image order", () => {
+        const upload = image("new.png");
+
+        const result = planProductImages(undefined, [upload], existing);
+
+        expect(result).toEqual({
+          images: [
+            { fileId: "f1", contentType: "image/png", alt: "Front" },
+            { fileId: "f2", contentType: "image/jpeg", alt: "" },
+            { upload, alt: "" },
+          ],
+          removed: [],
+        });
+      });
+
+      it("should follow the image order and trim alt text", () => {
+        const upload = image("new.png");
+        const order = JSON.stringify([
+          { upload: 0, alt: " Side view " },
+          { id: "f2", alt: "Back" },
+          { id: "f1" },
+        ]);
+
+        const result = planProductImages(order, [upload], existing);
+
+        expect(result.images).toEqual([
+          { upload, alt: "Side view" },
+          { fileId: "f2", contentType: "image/jpeg", alt: "Back" },
+          { fileId: "f1", contentType: "image/png", alt: "" },
+        ]);
+        expect(result.removed).toEqual([]);
+      });
+
+      it("should report existing images left out of the order as removed", () => {
+        const result = planProductImages([{ id: "f2", alt: "" }], [], existing);
+
+        expect(result.images).toEqual([{ fileId: "f2", contentType: "image/jpeg", alt: "" }]);
+        expect(result.removed).toEqual(["f1"]);
+      });
+
+      it("should append uploads the order does not reference", () => {
+        const first = image("a.png");
+        const second = image("b.png");
+
+        const result = planProductImages('[{"upload":1,"alt":"B"}]', [first, second]);
+
+        expect(result.images).toEqual([
+          { upload: second, alt: "B" },
+          { upload: first, alt: "" },
+        ]);
+      });
+    });
+
+    describe("Input Validation", () => {
+      it("should reject uploads that are not images", () => {
+        const result = planProductImages(undefined, [image("doc.pdf", { type: "application/pdf" })]);
+
+        expect(result).toEqual({ error: "Only image files can be uploaded" });
+      });
+
+      it("should reject uploads larger than 1mb", () => {
+        const result = planProductImages(undefined, [image("big.png", { size: 1000001 })]);
+
+        expect(result).toEqual({ error: "Each image should be less than 1mb" });
+      });
+
+      it("should reject an image order that is not a JSON list", () => {
+        expect(planProductImages("{oops", [], existing)).toEqual({
+          error: "Image order must be valid JSON",
+        });
+        expect(planProductImages('{"id":"f1"}', [], existing)).toEqual({
+          error: "Image order must be a list",
+        });
+      });
+
+      it("should reject unknown or repeated existing images", () => {
+        expect(planProductImages([{ id: "missing" }], [], existing)).toEqual({
+          error: "Unknown product image in image order",
+        });
+        expect(planProductImages([{ id: "f1" }, { id: "f1" }], [], existing)).toEqual({
+          error: "Unknown product image in image order",
+        });
+      });
+
+      it("should reject upload indexes that are out of range or repeated", () => {
+        const upload = image("a.png");
+
+        expect(planProductImages([{ upload: 1 }], [upload])).toEqual({
+          error: "Unknown uploaded image in image order",
+        });
+        expect(planProductImages([{ upload: 0 }, { upload: 0 }], [upload])).toEqual({
+          error: "Unknown uploaded image in image order",
+        });
+        expect(planProductImages([{ upload: "0" }], [upload])).toEqual({
+          error: "Unknown uploaded image in image order",
+        });
+      });
+
+      it("should reject more than the maximum number of images", () => {
+        const uploads = Array.from({ length: MAX_PRODUCT_IMAGES + 1 }, (_, i) => image(`${i}.png`));
+
+        expect(planProductImages(undefined, uploads)).toEqual({
+          error: "A product can have at most 10 images",
+        });
+      });
+    });
+  });
+
+  describe("uploadedImageIds", () => {
+    it("should return the ids of the stored uploads, not of the images kept", () => {
+      const planned = [{ upload: image("a.png"), alt: "" }, existing[0], { upload: image("b.png"), alt: "" }];
+      const stored = [
+        { fileId: "n1", contentType: "image/png", alt: "" },
+        existing[0],
+        { fileId: "n2", contentType: "image/png", alt: "" },
+      ];
+
+      expect(uploadedImageIds(planned, stored)).toEqual(["n1", "n2"]);
+      expect(uploadedImageIds([existing[0]], [existing[0]])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import fs from "fs";
+import mongoose from "mongoose";
+
+// Product images live in GridFS so product documents stay small
+const BUCKET_NAME = "productImages";
+
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+// Stores an uploaded file and resolves with its GridFS id
+export const saveImage = (file) =>
+  new Promise((resolve, reject) => {
+    const upload = getBucket().openUploadStream(file.name, { contentType: file.type });
+    fs.createReadStream(file.path)
+      .on("error", reject)
+      .pipe(upload)
+      .on("error", reject)
+      .on("finish", () => resolve(upload.id));
+  });
+
+export const openImageStream = (fileId) =>
+  getBucket().openDownloadStream(new mongoose.Types.ObjectId(String(fileId)));
+
+// Reads a whole image into memory, e.g. to resize it
+export const readImage = (fileId) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    openImageStream(fileId)
+      .on("data", (chunk) => chunks.push(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)));
+  });
+
+// Removing an image that is already gone is not an error worth failing a request for
+export const deleteImage = async (fileId) => {
+  try {
+    await getBucket().delete(new mongoose.Types.ObjectId(String(fileId)));
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Saves the new uploads of a planned gallery, see planProductImages. When one upload fails, the
+// uploads already saved are deleted again before rejecting, so no file is left behind.
+export const storeProductImages = async (images) => {
+  const results = await Promise.allSettled(
+    images.map(async ({ upload, ...image }) =>
+      upload
+        ? { fileId: await saveImage(upload), contentType: upload.type, alt: image.alt }
+        : image
+    )
+  );
+  const failed = results.find((result) => result.status === "rejected");
+  if (!failed) return results.map((result) => result.value);
+  await Promise.all(
+    results
+      .filter((result, index) => result.status === "fulfilled" && images[index].upload)
+      .map((result) => deleteImage(result.value.fileId))
+  );
+  throw failed.reason;
+};
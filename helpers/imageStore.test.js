@@ -0,0 +1,152 @@
+/**
+ * Unit Tests: imageStore
+ *
+ * Units Under Test:
+ *   saveImage          - streams an uploaded file into GridFS
+ *   openImageStream    - opens a GridFS download stream
+ *   readImage          - reads a GridFS file into a buffer
+ *   deleteImage        - removes a GridFS file, logging failures
+ *   storeProductImages - saves the new uploads of a planned gallery
+ *
+ * Test Doubles:
+ *   - mongoose.mongo.GridFSBucket: Stub bucket with upload/download/delete
+ *   - fs.createReadStream: Stub readable stream
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | file is uploaded                              | resolves with the GridFS id
+ * 2  | Error       | reading the file fails                        | rejects
+ * 3  | Happy       | download stream opened                        | bucket stream for the ObjectId
+ * 4  | Happy       | file read into memory                         | buffer of all chunks
+ * 5  | Error       | download stream errors                        | rejects
+ * 6  | Happy       | delete succeeds                               | bucket delete called
+ * 7  | Error       | delete fails                                  | error logged, not thrown
+ * 8  | Happy       | gallery with existing and new images          | only new images saved
+ * 9  | Error       | one of the new images fails to save           | saved ones deleted, rejects
+ */
+import { PassThrough, Readable } from "stream";
+import fs from "fs";
+import mongoose from "mongoose";
+import { saveImage, openImageStream, readImage, deleteImage, storeProductImages } from "./imageStore.js";
+
+jest.mock("fs");
+
+describe("imageStore", () => {
+  let bucket;
+  let uploadStream;
+  const fileId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    uploadStream = new PassThrough();
+    uploadStream.id = fileId;
+    uploadStream.resume();
+    bucket = {
+      openUploadStream: jest.fn(() => uploadStream),
+      openDownloadStream: jest.fn(() => "download-stream"),
+      delete: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(mongoose.mongo, "GridFSBucket").mockImplementation(() => bucket);
+    fs.createReadStream.mockImplementation(() => Readable.from([Buffer.from("image")]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("saveImage", () => {
+    it("should stream the file into GridFS and resolve with its id", async () => {
+      const id = await saveImage({ name: "a.png", path: "/tmp/a.png", type: "image/png" });
+
+      expect(id).toBe(fileId);
+      expect(fs.createReadStream).toHaveBeenCalledWith("/tmp/a.png");
+      expect(bucket.openUploadStream).toHaveBeenCalledWith("a.png", { contentType: "image/png" });
+    });
+
+    it("should reject when the file cannot be read", async () => {
+      const failing = new Readable({ read() {} });
+      fs.createReadStream.mockReturnValue(failing);
+
+      const saving = saveImage({ name: "a.png", path: "/tmp/a.png", type: "image/png" });
+      failing.emit("error", new Error("ENOENT"));
+
+      await expect(saving).rejects.toThrow("ENOENT");
+    });
+  });
+
+  describe("openImageStream", () => {
+    it("should open a download stream for the file", () => {
+      expect(openImageStream(String(fileId))).toBe("download-stream");
+      expect(bucket.openDownloadStream).toHaveBeenCalledWith(fileId);
+    });
+  });
+
+  describe("readImage", () => {
+    it("should resolve with the whole file", async () => {
+      bucket.openDownloadStream.mockReturnValue(Readable.from([Buffer.from("ima"), Buffer.from("ge")]));
+
+      await expect(readImage(fileId)).resolves.toEqual(Buffer.from("image"));
+      expect(bucket.openDownloadStream).toHaveBeenCalledWith(fileId);
+    });
+
+    it("should reject when the file cannot be downloaded", async () => {
+      const failing = new Readable({ read() {} });
+      bucket.openDownloadStream.mockReturnValue(failing);
+
+      const reading = readImage(fileId);
+      failing.emit("error", new Error("FileNotFound"));
+
+      await expect(reading).rejects.toThrow("FileNotFound");
+    });
+  });
+
+  describe("deleteImage", () => {
+    it("should delete the file from GridFS", async () => {
+      await deleteImage(fileId);
+
+      expect(bucket.delete).toHaveBeenCalledWith(fileId);
+    });
+
+    it("should log instead of throwing when the delete fails", async () => {
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+      const error = new Error("File not found");
+      bucket.delete.mockRejectedValue(error);
+
+      await expect(deleteImage(fileId)).resolves.toBeUndefined();
+      expect(logSpy).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe("storeProductImages", () => {
+    it("should save new uploads and keep existing images as they are", async () => {
+      const kept = { fileId: "f1", contentType: "image/jpeg", alt: "Front" };
+      const upload = { name: "b.png", path: "/tmp/b.png", type: "image/png" };
+
+      const images = await storeProductImages([kept, { upload, alt: "Back" }]);
+
+      expect(images).toEqual([kept, { fileId, contentType: "image/png", alt: "Back" }]);
+      expect(bucket.openUploadStream).toHaveBeenCalledTimes(1);
+    });
+
+    it("should delete the uploads already saved when another one fails", async () => {
+      const kept = { fileId: "f1", contentType: "image/jpeg", alt: "Front" };
+      const failing = new Readable({ read() {} });
+      fs.createReadStream
+        .mockImplementationOnce(() => Readable.from([Buffer.from("image")]))
+        .mockImplementationOnce(() => failing);
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const storing = storeProductImages([
+        kept,
+        { upload: { name: "b.png", path: "/tmp/b.png", type: "image/png" }, alt: "" },
+        { upload: { name: "c.png", path: "/tmp/c.png", type: "image/png" }, alt: "" },
+      ]);
+      failing.emit("error", new Error("ENOENT"));
+
+      await expect(storing).rejects.toThrow("ENOENT");
+      // only the saved upload is deleted, never the image the product keeps
+      expect(bucket.delete).toHaveBeenCalledTimes(1);
+      expect(bucket.delete).toHaveBeenCalledWith(fileId);
+    });
+  });
+});
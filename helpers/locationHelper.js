@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+
+export const MAX_LOCATION_NAME_LENGTH = 50;
+
+// Returns { error } unless a name is given and short enough, otherwise { name } trimmed
+export const parseLocationName = (text) => {
+  const name = String(text ?? "").trim();
+  if (!name) return { error: "Location name is required" };
+  if (name.length > MAX_LOCATION_NAME_LENGTH) {
+    return { error: `Location name should be at most ${MAX_LOCATION_NAME_LENGTH} characters` };
+  }
+  return { name };
+};
+
+// Parses the JSON encoded stock per location sent by the product forms, e.g.
+// [{ location, sku: "TEE-M", quantity: 3 }], against the ids of the store's `locations` and the
+// product's `variants` as parsed by parseVariantFields. A product without variants has entries
+// without a SKU. `belowZero` is how far the product's total may go below zero on backorder.
+// Returns { error } on invalid input, otherwise { fields } with no keys when nothing was sent.
+// Sent entries replace the product's and set its quantity, and each variant's, to the total
+// across the locations; an empty list stops keeping the product's stock per location.
+export const parseLocationStock = (
+  { locationStock } = {},
+  { locations = [], variants = [], belowZero = 0 } = {}
+) => {
+  if (locationStock === undefined || locationStock === "") return { fields: {} };
+
+  let list;
+  try {
+    list = typeof locationStock === "string" ? JSON.parse(locationStock) : locationStock;
+  } catch (error) {
+    return { error: "Location stock must be valid JSON" };
+  }
+  if (!Array.isArray(list)) {
+    return { error: "Location stock must be a list" };
+  }
+
+  const known = new Set(locations.map(String));
+  const skus = new Set(variants.map((variant) => variant.sku));
+  const seen = new Set();
+  const entries = [];
+  for (const entry of list) {
+    const location = String(entry?.location ?? "");
+    if (!known.has(location)) {
+      return { error: "Location stock has an unknown location" };
+    }
+    const sku = String(entry?.sku ?? "").trim();
+    if (variants.length ? !skus.has(sku) : sku) {
+      return { error: `Location stock has an unknown SKU "${sku}"` };
+    }
+    const key = `${location}:${sku}`;
+    if (seen.has(key)) {
+      return { error: "Location stock lists a location twice" };
+    }
+    seen.add(key);
+    const quantity = Number(entry.quantity);
+    if (entry.quantity === "" || entry.quantity === null || !Number.isInteger(quantity)) {
+      return { error: "Location stock quantity should be a whole number" };
+    }
+    entries.push({ location, sku, quantity });
+  }
+  if (!entries.length) return { fields: { locationStock: [] } };
+
+  // variants are only sold from stock, the product may be sold beyond it within its limit
+  const totalOf = (sku) =>
+    entries.filter((entry) => entry.sku === sku).reduce((sum, entry) => sum + entry.quantity, 0);
+  const short = variants.find((variant) => totalOf(variant.sku) < 0);
+  if (short) {
+    return { error: `Variant ${short.sku} stock across the locations should be greater than or equal to 0` };
+  }
+  const quantity = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+  if (quantity < -belowZero) {
+    return {
+      error: belowZero
+        ? `Stock across the locations should not be below -${belowZero}`
+        : "Stock across the locations should be greater than or equal to 0",
+    };
+  }
+  return {
+    fields: {
+      locationStock: entries,
+      quantity,
+      ...(variants.length && {
+        variants: variants.map((variant) => ({ ...variant, quantity: totalOf(variant.sku) })),
+      }),
+    },
+  };
+};
+
+// Parses a transfer of stock between two locations ({ from, to, quantity, variant, note }).
+// Returns { error } on invalid input, otherwise { fields }.
+export const parseStockTransfer = ({ from, to, quantity, variant, note = "" } = {}) => {
+  if (![from, to].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "Choose the locations to transfer between" };
+  }
+  if (String(from) === String(to)) {
+    return { error: "Choose two different locations" };
+  }
+  if (variant && !mongoose.Types.ObjectId.isValid(variant)) {
+    return { error: "Invalid variant id" };
+  }
+  const units = Number(quantity);
+  if (quantity === "" || quantity === null || !Number.isInteger(units) || units < 1) {
+    return { error: "Quantity should be a whole number from 1" };
+  }
+  if (typeof note !== "string" || note.trim().length > 200) {
+    return { error: "Note should be at most 200 characters" };
+  }
+  return {
+    fields: { from: String(from), to: String(to), quantity: units, variant: variant || null, note: note.trim() },
+  };
+};
+
+// Changes from the stock per location `before` an edit to the entries `after` it, per location
+// and SKU, e.g. before [{ location: A, sku: "", quantity: 5 }], after
+// [{ location: A, sku: "", quantity: 3 }, { location: B, sku: "", quantity: 2 }] ->
+// [{ location: A, sku: "", change: -2 }, { location: B, sku: "", change: 2 }].
+// An entry left out of `after` is counted as emptied.
+export const locationStockChanges = (before = [], after = []) => {
+  const keyOf = (entry) => `${entry.location}:${entry.sku || ""}`;
+  const previous = new Map(before.map((entry) => [keyOf(entry), entry.quantity]));
+  const changes = after.map((entry) => ({
+    location: String(entry.location),
+    sku: entry.sku || "",
+    change: entry.quantity - (previous.get(keyOf(entry)) ?? 0),
+  }));
+  const kept = new Set(after.map(keyOf));
+  return [
+    ...changes,
+    ...before
+      .filter((entry) => !kept.has(keyOf(entry)))
+      .map((entry) => ({ location: String(entry.location), sku: entry.sku || "", change: -entry.quantity })),
+  ].filter((entry) => entry.change);
+};
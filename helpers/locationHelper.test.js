@@ -0,0 +1,203 @@
+/**
+ * Unit Tests: locationHelper
+ *
+ * Units Under Test:
+ *   parseLocationName  - name of a location sent by an admin
+ *   parseLocationStock - stock per location sent by the product forms
+ *   parseStockTransfer - transfer of stock between two locations
+ *   locationStockChanges - changes to the stock per location made on the product form
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | name with spaces                                  | trimmed name
+ * 2  | Negative    | no name, name too long                            | error message
+ * 3  | Happy       | entries of a product, entries per variant SKU     | totals set on the product and variants
+ * 4  | Edge        | nothing sent, empty list                          | no fields / stops keeping stock per location
+ * 5  | Edge        | location below zero within the backorder limit    | accepted
+ * 6  | Negative    | bad JSON, unknown location or SKU, repeated entry | error message
+ * 7  | Negative    | total below zero, variant total below zero        | error message
+ * 8  | Happy       | transfer of a variant with a note                 | normalized fields
+ * 9  | Negative    | same or missing locations, bad quantity or note   | error message
+ * 10 | Happy       | entries changed, added, emptied and left alone    | changes without the unchanged ones
+ * 11 | Edge        | no entries before                                 | every entry counted as added
+ */
+import mongoose from "mongoose";
+import {
+  MAX_LOCATION_NAME_LENGTH,
+  parseLocationName,
+  parseLocationStock,
+  parseStockTransfer,
+  locationStockChanges,
+} from "./locationHelper.js";
+
+describe("locationHelper", () => {
+  const north = "66db427fdb0119d9234b2801";
+  const south = "66db427fdb0119d9234b2802";
+  const locations = [new mongoose.Types.ObjectId(north), new mongoose.Types.ObjectId(south)];
+
+  describe("parseLocationName", () => {
+    it("should trim the name", () => {
+      expect(parseLocationName("  North warehouse ")).toEqual({ name: "North warehouse" });
+    });
+
+    it.each([
+      [undefined, "Location name is required"],
+      ["   ", "Location name is required"],
+      ["a".repeat(MAX_LOCATION_NAME_LENGTH + 1), `Location name should be at most ${MAX_LOCATION_NAME_LENGTH} characters`],
+    ])("should reject %j", (name, error) => {
+      expect(parseLocationName(name)).toEqual({ error });
+    });
+  });
+
+  describe("parseLocationStock", () => {
+    it("should total the stock of a product across its locations", () => {
+      const locationStock = JSON.stringify([
+        { location: north, quantity: "5" },
+        { location: south, sku: "", quantity: 2 },
+      ]);
+
+      expect(parseLocationStock({ locationStock }, { locations })).toEqual({
+        fields: {
+          locationStock: [
+            { location: north, sku: "", quantity: 5 },
+            { location: south, sku: "", quantity: 2 },
+          ],
+          quantity: 7,
+        },
+      });
+    });
+
+    it("should total the stock of each variant across the locations", () => {
+      const variants = [
+        { sku: "TEE-S", options: { Size: "S" }, quantity: 9 },
+        { sku: "TEE-M", options: { Size: "M" }, quantity: 9 },
+      ];
+      const locationStock = [
+        { location: north, sku: "TEE-S", quantity: 1 },
+        { location: north, sku: " TEE-M ", quantity: 2 },
+        { location: south, sku: "TEE-M", quantity: 3 },
+      ];
+
+      const { fields } = parseLocationStock({ locationStock }, { locations, variants });
+
+      expect(fields.quantity).toBe(6);
+      expect(fields.variants).toEqual([
+        { sku: "TEE-S", options: { Size: "S" }, quantity: 1 },
+        { sku: "TEE-M", options: { Size: "M" }, quantity: 5 },
+      ]);
+      expect(fields.locationStock[1]).toEqual({ location: north, sku: "TEE-M", quantity: 2 });
+    });
+
+    it("should leave the product alone when nothing is sent, and stop on an empty list", () => {
+      expect(parseLocationStock({}, { locations })).toEqual({ fields: {} });
+      expect(parseLocationStock({ locationStock: "" })).toEqual({ fields: {} });
+      expect(parseLocationStock({ locationStock: "[]" }, { locations })).toEqual({
+        fields: { locationStock: [] },
+      });
+    });
+
+    it("should accept a location below zero within the backorder limit", () => {
+      const locationStock = [
+        { location: north, quantity: -4 },
+        { location: south, quantity: 1 },
+      ];
+
+      expect(parseLocationStock({ locationStock }, { locations, belowZero: 3 }).fields.quantity).toBe(-3);
+      expect(parseLocationStock({ locationStock }, { locations, belowZero: 2 })).toEqual({
+        error: "Stock across the locations should not be below -2",
+      });
+    });
+
+    it.each([
+      ["{", {}, "Location stock must be valid JSON"],
+      [{ location: north }, {}, "Location stock must be a list"],
+      [[{ location: "66db427fdb0119d9234b2899", quantity: 1 }], {}, "Location stock has an unknown location"],
+      [[{ location: north, sku: "TEE-S", quantity: 1 }], {}, 'Location stock has an unknown SKU "TEE-S"'],
+      [
+        [{ location: north, quantity: 1 }],
+        { variants: [{ sku: "TEE-S", quantity: 0 }] },
+        'Location stock has an unknown SKU ""',
+      ],
+      [
+        [
+          { location: north, quantity: 1 },
+          { location: north, quantity: 2 },
+        ],
+        {},
+        "Location stock lists a location twice",
+      ],
+      [[{ location: north, quantity: 1.5 }], {}, "Location stock quantity should be a whole number"],
+      [[{ location: north, quantity: "" }], {}, "Location stock quantity should be a whole number"],
+      [[{ location: north, quantity: -1 }], {}, "Stock across the locations should be greater than or equal to 0"],
+      [
+        [
+          { location: north, sku: "TEE-S", quantity: -1 },
+          { location: south, sku: "TEE-S", quantity: 0 },
+        ],
+        { variants: [{ sku: "TEE-S", quantity: 0 }], belowZero: 5 },
+        "Variant TEE-S stock across the locations should be greater than or equal to 0",
+      ],
+    ])("should reject %j", (locationStock, options, error) => {
+      expect(parseLocationStock({ locationStock }, { locations, ...options })).toEqual({ error });
+    });
+  });
+
+  describe("parseStockTransfer", () => {
+    it("should normalize a transfer of a variant with a note", () => {
+      const variant = "66db427fdb0119d9234b2803";
+
+      expect(parseStockTransfer({ from: north, to: south, quantity: "4", variant, note: " Rebalance " })).toEqual({
+        fields: { from: north, to: south, quantity: 4, variant, note: "Rebalance" },
+      });
+      expect(parseStockTransfer({ from: north, to: south, quantity: 1 }).fields).toEqual({
+        from: north,
+        to: south,
+        quantity: 1,
+        variant: null,
+        note: "",
+      });
+    });
+
+    it.each([
+      [{ to: south, quantity: 1 }, "Choose the locations to transfer between"],
+      [{ from: north, to: north, quantity: 1 }, "Choose two different locations"],
+      [{ from: north, to: south, quantity: 1, variant: "bad" }, "Invalid variant id"],
+      [{ from: north, to: south, quantity: 0 }, "Quantity should be a whole number from 1"],
+      [{ from: north, to: south, quantity: "" }, "Quantity should be a whole number from 1"],
+      [{ from: north, to: south, quantity: 1, note: "x".repeat(201) }, "Note should be at most 200 characters"],
+    ])("should reject %j", (transfer, error) => {
+      expect(parseStockTransfer(transfer)).toEqual({ error });
+    });
+
+    it("should reject a transfer without any fields", () => {
+      expect(parseStockTransfer()).toEqual({ error: "Choose the locations to transfer between" });
+    });
+  });
+
+  describe("locationStockChanges", () => {
+    it("should list the changed, added and emptied entries", () => {
+      const before = [
+        { location: new mongoose.Types.ObjectId(north), sku: "TEE-S", quantity: 5 },
+        { location: new mongoose.Types.ObjectId(north), sku: "TEE-M", quantity: 2 },
+        { location: new mongoose.Types.ObjectId(south), sku: "TEE-S", quantity: 4 },
+      ];
+      const after = [
+        { location: north, sku: "TEE-S", quantity: 3 },
+        { location: north, sku: "TEE-M", quantity: 2 },
+        { location: south, sku: "TEE-M", quantity: 1 },
+      ];
+
+      expect(locationStockChanges(before, after)).toEqual([
+        { location: north, sku: "TEE-S", change: -2 },
+        { location: south, sku: "TEE-M", change: 1 },
+        { location: south, sku: "TEE-S", change: -4 },
+      ]);
+    });
+
+    it("should count every entry as added when there were none", () => {
+      expect(locationStockChanges(undefined, [{ location: north, quantity: 6 }])).toEqual([
+        { location: north, sku: "", change: 6 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import fs from "fs/promises";
+import path from "path";
+import notificationModel from "../models/notificationModel.js";
+import { MAX_DELIVERY_ATTEMPTS, NOTIFICATION_STATUS } from "../constants/notification.js";
+
+// Notifications sent per run of the outbox, the rest wait for the next run
+export const OUTBOX_BATCH_SIZE = 50;
+
+// Queues a notification for the admins or a customer, see notificationModel; it is sent by the next outbox run
+export const queueNotification = (notification) => new notificationModel(notification).save();
+
+// Local transport writing each notification as a JSON line to notifications.jsonl in OUTBOX_DIR,
+// where a mailer or chat integration can pick it up
+export const fileTransport = async (notification) => {
+  const dir = process.env.OUTBOX_DIR || "outbox";
+  await fs.mkdir(dir, { recursive: true });
+  const { _id, type, product, to, subject, message, createdAt } = notification;
+  await fs.appendFile(
+    path.join(dir, "notifications.jsonl"),
+    `${JSON.stringify({ _id, type, product, to, subject, message, createdAt })}\n`
+  );
+};
+
+// Sends the pending notifications, oldest first, through the transport. A failed notification is
+// tried again on the next run until it has failed MAX_DELIVERY_ATTEMPTS times. Resolves with the
+// number of notifications sent.
+export const deliverPendingNotifications = async (transport = fileTransport) => {
+  const pending = await notificationModel
+    .find({ status: NOTIFICATION_STATUS.PENDING })
+    .sort({ createdAt: 1 })
+    .limit(OUTBOX_BATCH_SIZE);
+  let sent = 0;
+  for (const notification of pending) {
+    try {
+      await transport(notification);
+      notification.status = NOTIFICATION_STATUS.SENT;
+      notification.sentAt = new Date();
+      sent += 1;
+    } catch (error) {
+      console.log(error);
+      notification.attempts += 1;
+      notification.lastError = error.message;
+      if (notification.attempts >= MAX_DELIVERY_ATTEMPTS) {
+        notification.status = NOTIFICATION_STATUS.FAILED;
+      }
+    }
+    await notification.save();
+  }
+  return sent;
+};
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests: notificationOutbox
+ *
+ * Units Under Test:
+ *   queueNotification          - saves a pending notification
+ *   fileTransport              - appends a notification to the local outbox file
+ *   deliverPendingNotifications - sends the pending notifications through a transport
+ *
+ * Test Doubles:
+ *   - notificationModel: Mock model recording the saved notifications
+ *   - fs/promises: Stub mkdir/appendFile
+ *   - transport: Mock resolving or rejecting per notification
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | notification queued                           | saved as a new notification
+ * 2  | Happy       | notification written to OUTBOX_DIR            | JSON line appended to notifications.jsonl
+ * 3  | Happy       | pending notifications delivered               | marked sent, oldest first, count resolved
+ * 4  | Error       | transport fails                               | attempt and error recorded, still pending
+ * 5  | Error       | transport fails the last allowed time         | marked failed
+ */
+import fs from "fs/promises";
+import notificationModel from "../models/notificationModel.js";
+import {
+  deliverPendingNotifications,
+  fileTransport,
+  OUTBOX_BATCH_SIZE,
+  queueNotification,
+} from "./notificationOutbox.js";
+
+jest.mock("fs/promises");
+jest.mock("../models/notificationModel.js");
+
+describe("notificationOutbox", () => {
+  const fields = { type: "low-stock", product: "p1", subject: "Laptop is running low", message: "2 left" };
+  let query;
+
+  const notification = (extra = {}) => ({
+    _id: "n1",
+    ...fields,
+    status: "pending",
+    attempts: 0,
+    lastError: "",
+    createdAt: "2024-06-01T00:00:00.000Z",
+    save: jest.fn().mockResolvedValue(undefined),
+    ...extra,
+  });
+
+  const mockPending = (pending) => {
+    query = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(pending),
+    };
+    notificationModel.find = jest.fn().mockReturnValue(query);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation();
+    delete process.env.OUTBOX_DIR;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should save a queued notification", async () => {
+    notificationModel.prototype.save = jest.fn().mockResolvedValue("saved");
+
+    await expect(queueNotification(fields)).resolves.toBe("saved");
+    expect(notificationModel).toHaveBeenCalledWith(fields);
+  });
+
+  it("should append the notification to the outbox file", async () => {
+    process.env.OUTBOX_DIR = "tmp/outbox";
+
+    await fileTransport(notification());
+
+    expect(fs.mkdir).toHaveBeenCalledWith("tmp/outbox", { recursive: true });
+    const [file, line] = fs.appendFile.mock.calls[0];
+    expect(file).toBe("tmp/outbox/notifications.jsonl");
+    expect(JSON.parse(line)).toEqual({ _id: "n1", ...fields, createdAt: "2024-06-01T00:00:00.000Z" });
+
+    await fileTransport(notification({ to: "sam@example.com" }));
+    expect(JSON.parse(fs.appendFile.mock.calls[1][1]).to).toBe("sam@example.com");
+    expect(line.endsWith("\n")).toBe(true);
+  });
+
+  it("should write to the outbox folder by default", async () => {
+    await fileTransport(notification());
+
+    expect(fs.mkdir).toHaveBeenCalledWith("outbox", { recursive: true });
+    expect(fs.appendFile).toHaveBeenCalledWith("outbox/notifications.jsonl", expect.any(String));
+  });
+
+  it("should send the pending notifications, oldest first", async () => {
+    const pending = [notification(), notification({ _id: "n2" })];
+    mockPending(pending);
+    const transport = jest.fn().mockResolvedValue(undefined);
+
+    await expect(deliverPendingNotifications(transport)).resolves.toBe(2);
+
+    expect(notificationModel.find).toHaveBeenCalledWith({ status: "pending" });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: 1 });
+    expect(query.limit).toHaveBeenCalledWith(OUTBOX_BATCH_SIZE);
+    expect(transport).toHaveBeenCalledWith(pending[0]);
+    for (const sent of pending) {
+      expect(sent.status).toBe("sent");
+      expect(sent.sentAt).toBeInstanceOf(Date);
+      expect(sent.save).toHaveBeenCalled();
+    }
+  });
+
+  it("should keep a notification pending with the error when sending fails", async () => {
+    const failing = notification();
+    mockPending([failing]);
+    const error = new Error("Disk full");
+
+    await expect(deliverPendingNotifications(jest.fn().mockRejectedValue(error))).resolves.toBe(0);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(failing).toMatchObject({ status: "pending", attempts: 1, lastError: "Disk full" });
+    expect(failing.save).toHaveBeenCalled();
+  });
+
+  it("should give up on a notification after the last attempt", async () => {
+    const failing = notification({ attempts: 4 });
+    mockPending([failing]);
+
+    await deliverPendingNotifications(jest.fn().mockRejectedValue(new Error("Disk full")));
+
+    expect(failing).toMatchObject({ status: "failed", attempts: 5 });
+  });
+});
@@ -0,0 +1,71 @@
+import { createHash } from "crypto";
+import sharp from "sharp";
+
+// Widths of the photo size presets, "full" is the original upload
+export const PHOTO_SIZES = {
+  thumbnail: 150,
+  card: 400,
+  full: null,
+};
+
+// Browsers may reuse a photo for an hour, after that they revalidate with the ETag
+export const PHOTO_CACHE_CONTROL = "public, max-age=3600";
+
+// Shown for products that have no photo at all
+export const PLACEHOLDER_PHOTO = {
+  contentType: "image/svg+xml",
+  etag: '"placeholder-photo"',
+  data: Buffer.from(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">' +
+      '<rect width="400" height="400" fill="#e9ecef"/>' +
+      '<text x="200" y="210" font-family="sans-serif" font-size="24" fill="#6c757d" text-anchor="middle">No image</text>' +
+      "</svg>"
+  ),
+};
+
+// Resized photos are kept in memory, least recently used ones are dropped first
+const MAX_CACHED_PHOTOS = 500;
+const resizedPhotos = new Map();
+
+export const clearResizedPhotos = () => resizedPhotos.clear();
+
+// Version of a photo stored on the product, changing only when the photo itself does
+export const photoVersion = (data) => createHash("sha1").update(data).digest("hex");
+
+// `key` must change whenever the original does; the original is only loaded on a cache miss
+export const getResizedPhoto = async (key, size, loadOriginal) => {
+  const cacheKey = `${key}:${size}`;
+  if (resizedPhotos.has(cacheKey)) {
+    const data = resizedPhotos.get(cacheKey);
+    resizedPhotos.delete(cacheKey);
+    resizedPhotos.set(cacheKey, data);
+    return data;
+  }
+
+  const data = await sharp(await loadOriginal())
+    .resize({ width: PHOTO_SIZES[size], withoutEnlargement: true })
+    .toBuffer();
+  resizedPhotos.set(cacheKey, data);
+  if (resizedPhotos.size > MAX_CACHED_PHOTOS) {
+    resizedPhotos.delete(resizedPhotos.keys().next().value);
+  }
+  return data;
+};
+
+// Sets the caching headers and tells whether the browser's copy is still current
+export const isPhotoFresh = (req, res, { etag, lastModified }) => {
+  res.set("Cache-Control", PHOTO_CACHE_CONTROL);
+  res.set("ETag", etag);
+  if (lastModified) {
+    res.set("Last-Modified", lastModified.toUTCString());
+  }
+
+  const ifNoneMatch = req.headers?.["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(",").some((tag) => tag.trim() === etag || tag.trim() === "*");
+  }
+  const ifModifiedSince = Date.parse(req.headers?.["if-modified-since"]);
+  // HTTP dates have no milliseconds
+  return Boolean(lastModified) && !Number.isNaN(ifModifiedSince) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+};
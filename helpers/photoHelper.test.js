@@ -0,0 +1,144 @@
+/**
+ * Unit Tests: photoHelper
+ *
+ * Units Under Test:
+ *   getResizedPhoto - resizes a photo to a size preset and caches the result
+ *   isPhotoFresh    - sets caching headers and evaluates conditional request headers
+ *   photoVersion    - version of a photo stored on the product
+ *
+ * Test Doubles:
+ *   - loadOriginal: Stub returning a real PNG generated with sharp
+ *   - req/res:      Fake Express request/response objects
+ *
+ * Scenario Plan - getResizedPhoto:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | card preset of a large photo                  | 400px wide
+ * 2  | Boundary    | photo smaller than the preset                 | not enlarged
+ * 3  | Happy       | same key and size requested twice             | original loaded once
+ * 4  | Happy       | same key, different size                      | resized separately
+ * Scenario Plan - isPhotoFresh:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | no conditional headers                        | headers set, false
+ * 2  | Happy       | If-None-Match matches / "*"                   | true
+ * 3  | Negative    | If-None-Match differs                         | false, even if not modified since
+ * 4  | Boundary    | If-Modified-Since at / before last modified   | true / false
+ * 5  | Edge        | no last modified, invalid date                | false, no Last-Modified header
+ * Scenario Plan - photoVersion:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | same and different photo data                 | same / different version
+ */
+import sharp from "sharp";
+import {
+  clearResizedPhotos,
+  getResizedPhoto,
+  isPhotoFresh,
+  PHOTO_CACHE_CONTROL,
+  PHOTO_SIZES,
+  photoVersion,
+} from "./photoHelper.js";
+
+const makePng = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 100, b: 50 } },
+  })
+    .png()
+    .toBuffer();
+
+describe("photoHelper", () => {
+  describe("getResizedPhoto", () => {
+    beforeEach(() => {
+      clearResizedPhotos();
+    });
+
+    it("should resize a photo to the width of the preset", async () => {
+      const original = await makePng(800, 600);
+
+      const data = await getResizedPhoto("p1", "card", async () => original);
+
+      const { width, height, format } = await sharp(data).metadata();
+      expect(width).toBe(PHOTO_SIZES.card);
+      expect(height).toBe(300);
+      expect(format).toBe("png");
+    });
+
+    it("should not enlarge photos smaller than the preset", async () => {
+      const original = await makePng(100, 100);
+
+      const data = await getResizedPhoto("p1", "card", async () => original);
+
+      expect((await sharp(data).metadata()).width).toBe(100);
+    });
+
+    it("should only load and resize the original once per key and size", async () => {
+      const original = await makePng(300, 300);
+      const loadOriginal = jest.fn().mockResolvedValue(original);
+
+      const first = await getResizedPhoto("p1", "thumbnail", loadOriginal);
+      const second = await getResizedPhoto("p1", "thumbnail", loadOriginal);
+      const card = await getResizedPhoto("p1", "card", loadOriginal);
+
+      expect(second).toBe(first);
+      expect(loadOriginal).toHaveBeenCalledTimes(2);
+      expect((await sharp(card).metadata()).width).toBe(300);
+    });
+  });
+
+  describe("photoVersion", () => {
+    it("should only change with the photo data", () => {
+      const version = photoVersion(Buffer.from("photo"));
+
+      expect(photoVersion(Buffer.from("photo"))).toBe(version);
+      expect(photoVersion(Buffer.from("other photo"))).not.toBe(version);
+      expect(version).toMatch(/^[0-9a-f]{40}$/);
+    });
+  });
+
+  describe("isPhotoFresh", () => {
+    let res;
+    const lastModified = new Date("2024-05-01T10:00:00.500Z");
+    const photo = { etag: '"p1-card"', lastModified };
+
+    beforeEach(() => {
+      res = { set: jest.fn() };
+    });
+
+    it("should set caching headers and return false without conditional headers", () => {
+      expect(isPhotoFresh({ headers: {} }, res, photo)).toBe(false);
+
+      expect(res.set).toHaveBeenCalledWith("Cache-Control", PHOTO_CACHE_CONTROL);
+      expect(res.set).toHaveBeenCalledWith("ETag", '"p1-card"');
+      expect(res.set).toHaveBeenCalledWith("Last-Modified", "Wed, 01 May 2024 10:00:00 GMT");
+    });
+
+    it("should return true when If-None-Match matches the ETag", () => {
+      expect(isPhotoFresh({ headers: { "if-none-match": '"other", "p1-card"' } }, res, photo)).toBe(true);
+      expect(isPhotoFresh({ headers: { "if-none-match": "*" } }, res, photo)).toBe(true);
+    });
+
+    it("should prefer a mismatching If-None-Match over If-Modified-Since", () => {
+      const req = {
+        headers: {
+          "if-none-match": '"p1-full"',
+          "if-modified-since": "Wed, 01 May 2024 10:00:00 GMT",
+        },
+      };
+
+      expect(isPhotoFresh(req, res, photo)).toBe(false);
+    });
+
+    it("should compare If-Modified-Since to the last modified second", () => {
+      expect(isPhotoFresh({ headers: { "if-modified-since": "Wed, 01 May 2024 10:00:00 GMT" } }, res, photo)).toBe(true);
+      expect(isPhotoFresh({ headers: { "if-modified-since": "Wed, 01 May 2024 09:59:59 GMT" } }, res, photo)).toBe(false);
+    });
+
+    it("should return false for photos without a last modified date or invalid dates", () => {
+      expect(isPhotoFresh({ headers: { "if-modified-since": "not a date" } }, res, photo)).toBe(false);
+
+      res = { set: jest.fn() };
+      expect(
+        isPhotoFresh({ headers: { "if-modified-since": "Wed, 01 May 2024 10:00:00 GMT" } }, res, { etag: '"x"' })
+      ).toBe(false);
+      expect(res.set).not.toHaveBeenCalledWith("Last-Modified", expect.anything());
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { publishedAt } from "./publishHelper.js";
+
+// Field rules a new product must satisfy, shared by the create form and the CSV import.
+// Returns the validation message, or undefined when the fields are valid.
+export const validateProductFields = ({ name, description, price, category, quantity, shipping }) => {
+  switch (true) {
+    case !name:
+      return "Name is required";
+    case !description:
+      return "Description is required";
+    case price === undefined || price === null || price === "" || price < 0: // Bug fix from "!price" - Ong Chang Heng Bertrand A0253013X
+      return "Price is required and should be greater than or equal to 0";
+    case !category:
+      return "Category is required";
+    case quantity === undefined || quantity === null || quantity === "" || quantity < 0: // Bug fix from "!quantity" - Ong Chang Heng Bertrand A0253013X
+      return "Quantity is required and should be greater than or equal to 0";
+    // Bug fix: Added validation for shipping field - Ong Chang Heng Bertrand A0253013X
+    case !shipping:
+      return "Shipping is required";
+  }
+};
+
+// Fields of the product forms saved as sent. The other fields a form sends are parsed by their
+// own helpers; ratings, sold, archivedAt, stockAlert and searchGrams are only set by the server.
+export const PRODUCT_FORM_FIELDS = ["name", "description", "price", "category", "quantity", "shipping"];
+
+// The PRODUCT_FORM_FIELDS of a form post, leaving out every other field it holds
+export const productFormFields = (fields = {}) =>
+  Object.fromEntries(
+    PRODUCT_FORM_FIELDS.filter((key) => fields[key] !== undefined).map((key) => [key, fields[key]])
+  );
+
+// Archived products stay in the database for the orders that reference them, but the
+// storefront (listing, search, filters, related products) only sees listed products:
+// not archived and published at `now`.
+export const listedProducts = (filter = {}, now = new Date()) => ({
+  ...filter,
+  archivedAt: null,
+  ...publishedAt(now),
+});
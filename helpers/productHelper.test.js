@@ -0,0 +1,90 @@
+/**
+ * Unit Tests: productHelper
+ *
+ * Unit Under Test:
+ *   validateProductFields - field rules shared by create product and the CSV import
+ *   listedProducts        - storefront filter that leaves out archived and unpublished products
+ *   productFormFields     - fields of a product form post saved as sent
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | all fields valid, price/quantity 0            | undefined
+ * 2  | Negative    | each required field missing                   | its message
+ * 3  | Boundary    | price / quantity -1                           | range message
+ * 4  | Happy       | listedProducts with and without a filter      | archivedAt null and publish condition added
+ * 5  | Security    | form post with server-managed fields          | only the form fields kept
+ */
+import { listedProducts, productFormFields, validateProductFields } from "./productHelper.js";
+import { publishedAt } from "./publishHelper.js";
+
+describe("productHelper", () => {
+  describe("validateProductFields", () => {
+    const fields = {
+      name: "Shirt",
+      description: "A shirt",
+      price: "10",
+      category: "cat1",
+      quantity: "5",
+      shipping: "1",
+    };
+
+    it("should accept valid fields, including a price and quantity of 0", () => {
+      expect(validateProductFields(fields)).toBeUndefined();
+      expect(validateProductFields({ ...fields, price: "0", quantity: 0 })).toBeUndefined();
+    });
+
+    it.each([
+      ["name", "Name is required"],
+      ["description", "Description is required"],
+      ["price", "Price is required and should be greater than or equal to 0"],
+      ["category", "Category is required"],
+      ["quantity", "Quantity is required and should be greater than or equal to 0"],
+      ["shipping", "Shipping is required"],
+    ])("should reject a missing %s", (field, message) => {
+      expect(validateProductFields({ ...fields, [field]: "" })).toBe(message);
+    });
+
+    it("should reject a negative price or quantity", () => {
+      expect(validateProductFields({ ...fields, price: -1 })).toBe(
+        "Price is required and should be greater than or equal to 0"
+      );
+      expect(validateProductFields({ ...fields, quantity: "-1" })).toBe(
+        "Quantity is required and should be greater than or equal to 0"
+      );
+    });
+  });
+
+  describe("listedProducts", () => {
+    it("should only match products that are not archived and published now", () => {
+      const now = new Date("2024-06-01T00:00:00Z");
+
+      expect(listedProducts({}, now)).toEqual({ archivedAt: null, ...publishedAt(now) });
+      expect(listedProducts({ category: "cat1" }, now)).toEqual({
+        category: "cat1",
+        archivedAt: null,
+        ...publishedAt(now),
+      });
+    });
+  });
+
+  describe("productFormFields", () => {
+    it("should keep only the form fields, leaving out the ones the server manages", () => {
+      const form = { name: "Laptop", description: "Fast", price: "999", category: "cat1", quantity: "5", shipping: "1" };
+
+      expect(
+        productFormFields({
+          ...form,
+          ratingAverage: "5",
+          ratingCount: "1000",
+          sold: "0",
+          archivedAt: "",
+          stockAlert: "",
+          searchGrams: "lap",
+          slug: "other",
+        })
+      ).toEqual(form);
+      expect(productFormFields({ name: "Laptop" })).toEqual({ name: "Laptop" });
+      expect(productFormFields()).toEqual({});
+    });
+  });
+});
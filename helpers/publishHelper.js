@@ -0,0 +1,58 @@
+export const PRODUCT_STATUSES = ["draft", "published", "scheduled"];
+
+// null when no date was sent, undefined when the value is not a date
+export const parseDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Parses the publishing fields sent by the product forms (status, publishAt, unpublishAt).
+// Returns { error } on invalid input, otherwise { fields } holding the normalized values,
+// or no keys at all when none of the fields were sent.
+export const parsePublishFields = ({ status, publishAt, unpublishAt } = {}) => {
+  if (status === undefined && publishAt === undefined && unpublishAt === undefined) {
+    return { fields: {} };
+  }
+  const productStatus = status || "published";
+  if (!PRODUCT_STATUSES.includes(productStatus)) {
+    return { error: `Status should be one of ${PRODUCT_STATUSES.join(", ")}` };
+  }
+  const publishDate = parseDate(publishAt);
+  if (publishDate === undefined) {
+    return { error: "Publish date is not a valid date" };
+  }
+  const unpublishDate = parseDate(unpublishAt);
+  if (unpublishDate === undefined) {
+    return { error: "Unpublish date is not a valid date" };
+  }
+  if (productStatus === "scheduled" && !publishDate) {
+    return { error: "Publish date is required for a scheduled product" };
+  }
+  if (productStatus === "scheduled" && unpublishDate && unpublishDate <= publishDate) {
+    return { error: "Unpublish date should be after the publish date" };
+  }
+  return {
+    fields: {
+      status: productStatus,
+      // only a scheduled product waits for its publish date
+      publishAt: productStatus === "scheduled" ? publishDate : null,
+      unpublishAt: unpublishDate,
+    },
+  };
+};
+
+// Query condition for products that are live at `now`: published (products saved before
+// statuses existed have none) or scheduled with a publish date that has passed, and not
+// yet past their unpublish date.
+export const publishedAt = (now = new Date()) => ({
+  $and: [
+    {
+      $or: [
+        { status: { $in: ["published", null] } },
+        { status: "scheduled", publishAt: { $lte: now } },
+      ],
+    },
+    { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+  ],
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests: publishHelper
+ *
+ * Units Under Test:
+ *   parsePublishFields - parses and validates the status and publish dates of the product forms
+ *   publishedAt        - query condition for products that are live at a given time
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | no publishing fields sent                     | no fields
+ * 2  | Happy       | draft / published / scheduled                 | normalized status and dates
+ * 3  | Happy       | dates sent without a status                   | published
+ * 4  | Negative    | unknown status, invalid dates                 | error message
+ * 5  | Negative    | scheduled without publish date                | error message
+ * 6  | Boundary    | unpublish date equal to the publish date      | error message
+ * 7  | Happy       | publishedAt                                   | published or due scheduled, not unpublished
+ */
+import { parsePublishFields, publishedAt } from "./publishHelper.js";
+
+describe("publishHelper", () => {
+  describe("parsePublishFields", () => {
+    it("should return no fields when nothing was sent", () => {
+      expect(parsePublishFields({ name: "Shirt" })).toEqual({ fields: {} });
+      expect(parsePublishFields()).toEqual({ fields: {} });
+    });
+
+    it("should keep a draft or published product without a publish date", () => {
+      expect(parsePublishFields({ status: "draft", publishAt: "2024-06-01T09:00:00Z" })).toEqual({
+        fields: { status: "draft", publishAt: null, unpublishAt: null },
+      });
+      expect(
+        parsePublishFields({ status: "published", publishAt: "", unpublishAt: "2024-07-01T09:00:00Z" })
+      ).toEqual({
+        fields: { status: "published", publishAt: null, unpublishAt: new Date("2024-07-01T09:00:00Z") },
+      });
+    });
+
+    it("should parse the dates of a scheduled product", () => {
+      expect(
+        parsePublishFields({
+          status: "scheduled",
+          publishAt: "2024-06-01T09:00:00Z",
+          unpublishAt: "2024-07-01T09:00:00Z",
+        })
+      ).toEqual({
+        fields: {
+          status: "scheduled",
+          publishAt: new Date("2024-06-01T09:00:00Z"),
+          unpublishAt: new Date("2024-07-01T09:00:00Z"),
+        },
+      });
+    });
+
+    it("should treat dates sent without a status as a published product", () => {
+      expect(parsePublishFields({ unpublishAt: "" })).toEqual({
+        fields: { status: "published", publishAt: null, unpublishAt: null },
+      });
+    });
+
+    it.each([
+      [{ status: "hidden" }, "Status should be one of draft, published, scheduled"],
+      [{ status: "scheduled", publishAt: "soon" }, "Publish date is not a valid date"],
+      [{ status: "published", unpublishAt: "later" }, "Unpublish date is not a valid date"],
+      [{ status: "scheduled", publishAt: "" }, "Publish date is required for a scheduled product"],
+    ])("should reject %j", (fields, error) => {
+      expect(parsePublishFields(fields)).toEqual({ error });
+    });
+
+    it("should reject an unpublish date that is not after the publish date", () => {
+      expect(
+        parsePublishFields({
+          status: "scheduled",
+          publishAt: "2024-06-01T09:00:00Z",
+          unpublishAt: "2024-06-01T09:00:00Z",
+        })
+      ).toEqual({ error: "Unpublish date should be after the publish date" });
+    });
+  });
+
+  describe("publishedAt", () => {
+    it("should match published and due scheduled products that are not unpublished yet", () => {
+      const now = new Date("2024-06-01T00:00:00Z");
+
+      expect(publishedAt(now)).toEqual({
+        $and: [
+          {
+            $or: [
+              { status: { $in: ["published", null] } },
+              { status: "scheduled", publishAt: { $lte: now } },
+            ],
+          },
+          { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,27 @@
+export const MAX_QUESTION_LENGTH = 500;
+export const MAX_ANSWER_LENGTH = 2000;
+export const QUESTION_PAGE_SIZE = 5;
+export const INBOX_PAGE_SIZE = 10;
+
+// Parses the text of a question or answer; returns { error } or { text }, e.g.
+// parseText("  Is it waterproof? ", "Question", 500) -> { text: "Is it waterproof?" }
+const parseText = (value, label, maxLength) => {
+  const text = String(value ?? "").trim();
+  if (!text) return { error: `${label} is required` };
+  if (text.length > maxLength) {
+    return { error: `${label} should be at most ${maxLength} characters` };
+  }
+  return { text };
+};
+
+export const parseQuestionText = (value) => parseText(value, "Question", MAX_QUESTION_LENGTH);
+
+export const parseAnswerText = (value) => parseText(value, "Answer", MAX_ANSWER_LENGTH);
+
+// Puts each question's answers on it, most voted first as they were queried, e.g.
+// ([{ _id: "q1" }], [{ question: "q1", text: "Yes" }]) -> [{ _id: "q1", answers: [{ ... }] }]
+export const withAnswers = (questions, answers) =>
+  questions.map((question) => ({
+    ...question,
+    answers: answers.filter((answer) => String(answer.question) === String(question._id)),
+  }));
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests: questionHelper
+ *
+ * Units Under Test:
+ *   parseQuestionText - question asked by a shopper
+ *   parseAnswerText   - answer given by an admin or a buyer
+ *   withAnswers       - questions with their answers
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | text with spaces                                  | trimmed text
+ * 2  | Negative    | missing, blank or too long text                   | error message
+ * 3  | Happy       | answers of several questions, ids as objects      | each question with its own answers
+ * 4  | Edge        | question without answers                          | empty answers
+ */
+import mongoose from "mongoose";
+import {
+  MAX_ANSWER_LENGTH,
+  MAX_QUESTION_LENGTH,
+  parseAnswerText,
+  parseQuestionText,
+  withAnswers,
+} from "./questionHelper.js";
+
+describe("questionHelper", () => {
+  describe("parseQuestionText / parseAnswerText", () => {
+    it("should trim the text", () => {
+      expect(parseQuestionText("  Is it waterproof? ")).toEqual({ text: "Is it waterproof?" });
+      expect(parseAnswerText(" Yes ")).toEqual({ text: "Yes" });
+    });
+
+    it.each([
+      [parseQuestionText, undefined, "Question is required"],
+      [parseQuestionText, "   ", "Question is required"],
+      [
+        parseQuestionText,
+        "a".repeat(MAX_QUESTION_LENGTH + 1),
+        `Question should be at most ${MAX_QUESTION_LENGTH} characters`,
+      ],
+      [parseAnswerText, "", "Answer is required"],
+      [
+        parseAnswerText,
+        "a".repeat(MAX_ANSWER_LENGTH + 1),
+        `Answer should be at most ${MAX_ANSWER_LENGTH} characters`,
+      ],
+    ])("should reject the text for %#", (parse, value, error) => {
+      expect(parse(value)).toEqual({ error });
+    });
+  });
+
+  describe("withAnswers", () => {
+    it("should put each question's answers on it", () => {
+      const q1 = new mongoose.Types.ObjectId();
+      const q2 = new mongoose.Types.ObjectId();
+      const answers = [
+        { _id: "a1", question: q2, text: "No" },
+        { _id: "a2", question: q1, text: "Yes" },
+        { _id: "a3", question: q2, text: "Not really" },
+      ];
+
+      expect(withAnswers([{ _id: q1 }, { _id: q2 }], answers)).toEqual([
+        { _id: q1, answers: [answers[1]] },
+        { _id: q2, answers: [answers[0], answers[2]] },
+      ]);
+    });
+
+    it("should give a question without answers an empty list", () => {
+      expect(withAnswers([{ _id: "q1" }], [])).toEqual([{ _id: "q1", answers: [] }]);
+    });
+  });
+});
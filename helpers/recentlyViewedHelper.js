@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { MAX_RECENTLY_VIEWED } from "../client/src/constants/recentlyViewed.js";
+
+// Parses the views a guest collected before logging in, e.g.
+// [{ product: "66db...", viewedAt: "2024-06-01T10:00:00.000Z" }]; returns { error } or { views }
+// with dates. A view dated in the future, e.g. by a wrong device clock, counts as made now.
+export const parseViews = (views, now = new Date()) => {
+  if (!Array.isArray(views)) {
+    return { error: "Views should be a list of products with the time they were viewed" };
+  }
+  if (views.length > MAX_RECENTLY_VIEWED) {
+    return { error: `Send at most ${MAX_RECENTLY_VIEWED} views` };
+  }
+  const parsed = [];
+  for (const view of views) {
+    const viewedAt = new Date(view?.viewedAt);
+    if (!mongoose.Types.ObjectId.isValid(view?.product) || isNaN(viewedAt)) {
+      return { error: "Views should be a list of products with the time they were viewed" };
+    }
+    parsed.push({ product: String(view.product), viewedAt: viewedAt > now ? now : viewedAt });
+  }
+  return { views: parsed };
+};
+
+// Merges lists of views into one history, latest first, each product once at its latest view
+// and at most MAX_RECENTLY_VIEWED products
+export const mergeViews = (...lists) => {
+  const latest = new Map();
+  for (const view of lists.flat()) {
+    const product = String(view.product);
+    const seen = latest.get(product);
+    if (!seen || new Date(view.viewedAt) > new Date(seen.viewedAt)) latest.set(product, view);
+  }
+  return [...latest.values()]
+    .sort((a, b) => new Date(b.viewedAt) - new Date(a.viewedAt))
+    .slice(0, MAX_RECENTLY_VIEWED);
+};
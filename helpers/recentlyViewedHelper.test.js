@@ -0,0 +1,75 @@
+/**
+ * Unit Tests: recentlyViewedHelper
+ *
+ * Units Under Test:
+ *   parseViews - views a guest collected before logging in
+ *   mergeViews - recently viewed history merged from several lists
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | views with ISO dates                              | views with dates
+ * 2  | Edge        | view dated in the future, empty list              | counted as made now, no views
+ * 3  | Negative    | not a list, bad id or date, too many views        | error message
+ * 4  | Happy       | same product in both lists                        | latest view kept, latest first
+ * 5  | Edge        | more products than the history holds              | oldest views dropped
+ */
+import { MAX_RECENTLY_VIEWED } from "../client/src/constants/recentlyViewed.js";
+import { mergeViews, parseViews } from "./recentlyViewedHelper.js";
+
+describe("recentlyViewedHelper", () => {
+  const laptop = "66db427fdb0119d9234b27f1";
+  const mouse = "66db427fdb0119d9234b27f2";
+  const now = new Date("2024-06-10T12:00:00.000Z");
+
+  describe("parseViews", () => {
+    it("should turn the view times into dates", () => {
+      expect(parseViews([{ product: laptop, viewedAt: "2024-06-01T10:00:00.000Z" }], now)).toEqual({
+        views: [{ product: laptop, viewedAt: new Date("2024-06-01T10:00:00.000Z") }],
+      });
+    });
+
+    it("should count a view dated in the future as made now", () => {
+      expect(parseViews([{ product: laptop, viewedAt: "2030-01-01" }], now)).toEqual({
+        views: [{ product: laptop, viewedAt: now }],
+      });
+      expect(parseViews([], now)).toEqual({ views: [] });
+    });
+
+    it.each([
+      [undefined, "Views should be a list of products with the time they were viewed"],
+      [[{ product: "1", viewedAt: "2024-06-01" }], "Views should be a list of products with the time they were viewed"],
+      [[{ product: laptop, viewedAt: "yesterday" }], "Views should be a list of products with the time they were viewed"],
+      [[null], "Views should be a list of products with the time they were viewed"],
+      [
+        Array(MAX_RECENTLY_VIEWED + 1).fill({ product: laptop, viewedAt: "2024-06-01" }),
+        `Send at most ${MAX_RECENTLY_VIEWED} views`,
+      ],
+    ])("should reject %j", (views, error) => {
+      expect(parseViews(views, now)).toEqual({ error });
+    });
+  });
+
+  describe("mergeViews", () => {
+    it("should keep each product once at its latest view, latest first", () => {
+      const older = { product: laptop, viewedAt: new Date("2024-06-01") };
+      const newer = { product: laptop, viewedAt: new Date("2024-06-05") };
+      const other = { product: mouse, viewedAt: new Date("2024-06-03") };
+
+      expect(mergeViews([older, other], [newer])).toEqual([newer, other]);
+      expect(mergeViews([newer], [older])).toEqual([newer]);
+    });
+
+    it("should drop the oldest views beyond the history size", () => {
+      const views = Array.from({ length: MAX_RECENTLY_VIEWED + 2 }, (_, i) => ({
+        product: `66db427fdb0119d9234b27${String(i).padStart(2, "0")}`,
+        viewedAt: new Date(2024, 0, i + 1),
+      }));
+
+      const merged = mergeViews(views);
+
+      expect(merged).toHaveLength(MAX_RECENTLY_VIEWED);
+      expect(merged[0]).toBe(views[views.length - 1]);
+      expect(merged).not.toContain(views[0]);
+    });
+  });
+});
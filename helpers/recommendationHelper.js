@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import { ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+
+// Recommendations shown on a product page and below the cart
+export const RELATED_LIMIT = 3;
+export const CART_RECOMMENDATION_LIMIT = 4;
+
+// Most products a cart can ask recommendations for
+export const MAX_RECOMMENDATION_PRODUCTS = 50;
+
+// Co-purchased products fetched per recommendation shown, as some may be archived or unpublished
+const CANDIDATES_PER_RECOMMENDATION = 3;
+
+// Parses the product ids of a cart, e.g. ?products=id1,id2; returns { error } or { ids }
+// without duplicates
+export const parseProductIds = (value) => {
+  const ids = [
+    ...new Set(
+      (Array.isArray(value) ? value : String(value ?? "").split(","))
+        .map((id) => String(id).trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "Invalid product id" };
+  }
+  if (ids.length > MAX_RECOMMENDATION_PRODUCTS) {
+    return { error: `Send at most ${MAX_RECOMMENDATION_PRODUCTS} products` };
+  }
+  return { ids };
+};
+
+// Aggregation over the orders returning the other products bought in the same orders as the
+// given ones, e.g. [{ _id: productId, count: 12 }], the most often bought together first.
+// Cancelled orders are left out and a product counts once per order.
+export const coPurchasePipeline = (ids, limit) => {
+  const productIds = ids.map((id) => new mongoose.Types.ObjectId(id));
+  return [
+    { $match: { products: { $in: productIds }, status: { $ne: ORDER_STATUS.CANCELLED } } },
+    { $project: { products: { $setUnion: ["$products", []] } } },
+    { $unwind: "$products" },
+    { $match: { products: { $nin: productIds } } },
+    { $group: { _id: "$products", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit * CANDIDATES_PER_RECOMMENDATION },
+  ];
+};
+
+// Products in the order of the ids they were found by, e.g. most often bought together first
+export const orderByIds = (products, ids) => {
+  const rank = new Map(ids.map((id, index) => [String(id), index]));
+  return [...products].sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)));
+};
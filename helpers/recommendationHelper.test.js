@@ -0,0 +1,83 @@
+/**
+ * Unit Tests: recommendationHelper
+ *
+ * Units Under Test:
+ *   parseProductIds    - product ids of a cart
+ *   coPurchasePipeline - aggregation of the products bought together
+ *   orderByIds         - products in the order they were found by
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | comma-separated list or array with duplicates     | ids without duplicates
+ * 2  | Edge        | nothing sent                                      | no ids
+ * 3  | Negative    | bad id, too many ids                              | error message
+ * 4  | Happy       | ids of a cart                                     | other products of not cancelled orders,
+ *    |             |                                                   | counted once per order, most often first
+ * 5  | Happy       | products found in another order                   | order of the ids
+ */
+import mongoose from "mongoose";
+import { ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import {
+  coPurchasePipeline,
+  MAX_RECOMMENDATION_PRODUCTS,
+  orderByIds,
+  parseProductIds,
+} from "./recommendationHelper.js";
+
+describe("recommendationHelper", () => {
+  const id1 = "66db427fdb0119d9234b27f1";
+  const id2 = "66db427fdb0119d9234b27f2";
+
+  describe("parseProductIds", () => {
+    it("should take a list or an array and drop duplicates", () => {
+      expect(parseProductIds(` ${id1},${id2}, ${id1}`)).toEqual({ ids: [id1, id2] });
+      expect(parseProductIds([id2])).toEqual({ ids: [id2] });
+    });
+
+    it("should return no ids when nothing was sent", () => {
+      expect(parseProductIds(undefined)).toEqual({ ids: [] });
+    });
+
+    it.each([
+      [`${id1},not-an-id`, "Invalid product id"],
+      [
+        Array.from({ length: MAX_RECOMMENDATION_PRODUCTS + 1 }, () =>
+          new mongoose.Types.ObjectId().toString()
+        ),
+        `Send at most ${MAX_RECOMMENDATION_PRODUCTS} products`,
+      ],
+    ])("should reject %j", (value, error) => {
+      expect(parseProductIds(value)).toEqual({ error });
+    });
+  });
+
+  describe("coPurchasePipeline", () => {
+    it("should count the other products of the orders, most often bought first", () => {
+      const ids = [new mongoose.Types.ObjectId(id1), new mongoose.Types.ObjectId(id2)];
+
+      const pipeline = coPurchasePipeline([id1, id2], 4);
+
+      expect(pipeline).toEqual([
+        { $match: { products: { $in: ids }, status: { $ne: ORDER_STATUS.CANCELLED } } },
+        // a product twice in the same cart still counts as one order
+        { $project: { products: { $setUnion: ["$products", []] } } },
+        { $unwind: "$products" },
+        { $match: { products: { $nin: ids } } },
+        { $group: { _id: "$products", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 12 },
+      ]);
+    });
+  });
+
+  describe("orderByIds", () => {
+    it("should put the products in the order of the ids", () => {
+      const ids = [new mongoose.Types.ObjectId(id2), new mongoose.Types.ObjectId(id1)];
+
+      expect(orderByIds([{ _id: ids[1] }, { _id: ids[0] }], ids)).toEqual([
+        { _id: ids[0] },
+        { _id: ids[1] },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import { MAX_RATING, MIN_RATING } from "../models/reviewModel.js";
+import { REVIEW_STATUS, REVIEW_STATUS_LIST } from "../client/src/constants/reviewStatus.js";
+import { searchWords } from "./searchHelper.js";
+import { parsePage } from "./cursorHelper.js";
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const REVIEW_PAGE_SIZE = 5;
+export const MODERATION_PAGE_SIZE = 10;
+
+// An approved review goes back to the moderation queue once this many shoppers reported it
+export const REPORTS_TO_HOLD = 3;
+export const REPORT_REASONS = ["spam", "offensive", "off-topic", "fake"];
+
+// helpful puts the reviews most shoppers found helpful first, newer ones first on a tie
+export const REVIEW_SORTS = {
+  helpful: { helpfulCount: -1, createdAt: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+};
+
+// Parses the stars and comment of a review; returns { error } or { review }
+export const parseReviewFields = ({ rating, comment } = {}) => {
+  const stars = rating === undefined || rating === "" ? NaN : Number(rating);
+  if (!Number.isInteger(stars) || stars < MIN_RATING || stars > MAX_RATING) {
+    return { error: `Rating should be a whole number from ${MIN_RATING} to ${MAX_RATING}` };
+  }
+  const text = String(comment ?? "").trim();
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comment should be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { review: { rating: stars, comment: text } };
+};
+
+// Parses the query string of a product's reviews, e.g. ?sort=newest&page=2
+// Returns { error } on invalid input, otherwise { sort, page }.
+export const parseReviewQuery = (query = {}) => {
+  const sort = query.sort || "helpful";
+  if (!REVIEW_SORTS[sort]) {
+    return { error: `Sort should be one of ${Object.keys(REVIEW_SORTS).join(", ")}` };
+  }
+  const { error, page } = parsePage(query.page);
+  if (error) return { error };
+  return { sort, page };
+};
+
+// Parses the query string of the moderation queue, e.g. ?status=approved&page=2
+// Returns { error } on invalid input, otherwise { status, page }.
+export const parseModerationQuery = (query = {}) => {
+  const status = query.status || REVIEW_STATUS.PENDING;
+  if (!REVIEW_STATUS_LIST.includes(status)) {
+    return { error: `Status should be one of ${REVIEW_STATUS_LIST.join(", ")}` };
+  }
+  const { error, page } = parsePage(query.page);
+  if (error) return { error };
+  return { status, page };
+};
+
+// Parses the reason a shopper reports a review for; returns { error } or { reason }
+export const parseReportReason = (reason) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: `Reason should be one of ${REPORT_REASONS.join(", ")}` };
+  }
+  return { reason };
+};
+
+// Parses a word an admin blocks in review comments; returns { error } or { word }
+export const parseBlockedWord = (text) => {
+  const words = searchWords(text);
+  if (!words.length) return { error: "Blocked word is required" };
+  if (words.length > 1) return { error: "A blocked word should be a single word" };
+  return { word: words[0] };
+};
+
+// Blocked words found in a comment, each once, e.g. "SPAM, pure spam" with ["spam"] -> ["spam"]
+export const findBlockedWords = (comment, blockedWords = []) => [
+  ...new Set(searchWords(comment).filter((word) => blockedWords.includes(word))),
+];
+
+// Aggregation counting a product's approved reviews per number of stars, e.g. [{ _id: 5, count: 3 }]
+export const ratingPipeline = (productId) => [
+  { $match: { product: new mongoose.Types.ObjectId(productId), status: REVIEW_STATUS.APPROVED } },
+  { $group: { _id: "$rating", count: { $sum: 1 } } },
+];
+
+// Average rounded to one decimal, number of reviews and the reviews per number of stars, e.g.
+// { average: 4.5, count: 2, stars: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } }
+export const toRatingSummary = (buckets = []) => {
+  const stars = {};
+  for (let rating = MIN_RATING; rating <= MAX_RATING; rating++) {
+    stars[rating] = buckets.find((bucket) => bucket._id === rating)?.count || 0;
+  }
+  const count = Object.values(stars).reduce((sum, n) => sum + n, 0);
+  const total = Object.entries(stars).reduce((sum, [rating, n]) => sum + rating * n, 0);
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    stars,
+  };
+};
@@ -0,0 +1,167 @@
+/**
+ * Unit Tests: reviewHelper
+ *
+ * Units Under Test:
+ *   parseReviewFields - stars and comment sent by a buyer
+ *   parseReviewQuery  - query string of a product's reviews
+ *   parseModerationQuery - query string of the moderation queue
+ *   parseReportReason - reason a shopper reports a review for
+ *   parseBlockedWord  - blocked word sent by an admin
+ *   findBlockedWords  - blocked words in a comment
+ *   ratingPipeline    - aggregation counting the reviews per number of stars
+ *   toRatingSummary   - average, count and reviews per number of stars
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | stars as number or text, comment with spaces      | whole stars, trimmed comment
+ * 2  | Negative    | missing, 0, 6 or half stars, comment too long     | error message
+ * 3  | Happy       | nothing sent, sort and page                       | helpful first page, or the values sent
+ * 4  | Negative    | unknown sort, page 0                              | error message
+ * 5  | Happy       | product id                                        | approved reviews grouped by stars
+ * 6  | Happy       | some star counts                                  | average to one decimal, missing stars at 0
+ * 7  | Edge        | no reviews                                        | average and count 0
+ * 8  | Happy       | nothing sent, status and page                     | pending first page, or the values sent
+ * 9  | Negative    | unknown status, page 0                            | error message
+ * 10 | Happy/Neg   | known or unknown report reason                    | reason or error message
+ * 11 | Happy/Neg   | single word, nothing or several words             | lowercase word or error message
+ * 12 | Happy       | comment with blocked words in any case, repeated  | each blocked word once
+ * 13 | Edge        | no comment or no blocked words                    | none found
+ */
+import mongoose from "mongoose";
+import {
+  findBlockedWords,
+  MAX_COMMENT_LENGTH,
+  parseBlockedWord,
+  parseModerationQuery,
+  parseReportReason,
+  parseReviewFields,
+  parseReviewQuery,
+  ratingPipeline,
+  toRatingSummary,
+} from "./reviewHelper.js";
+
+describe("reviewHelper", () => {
+  describe("parseReviewFields", () => {
+    it("should take whole stars and trim the comment", () => {
+      expect(parseReviewFields({ rating: "4", comment: "  Works well " })).toEqual({
+        review: { rating: 4, comment: "Works well" },
+      });
+      expect(parseReviewFields({ rating: 5 })).toEqual({ review: { rating: 5, comment: "" } });
+    });
+
+    it.each([
+      [{}, "Rating should be a whole number from 1 to 5"],
+      [{ rating: "" }, "Rating should be a whole number from 1 to 5"],
+      [{ rating: 0 }, "Rating should be a whole number from 1 to 5"],
+      [{ rating: 6 }, "Rating should be a whole number from 1 to 5"],
+      [{ rating: 3.5 }, "Rating should be a whole number from 1 to 5"],
+      [
+        { rating: 3, comment: "a".repeat(MAX_COMMENT_LENGTH + 1) },
+        `Comment should be at most ${MAX_COMMENT_LENGTH} characters`,
+      ],
+    ])("should reject %j", (fields, error) => {
+      expect(parseReviewFields(fields)).toEqual({ error });
+    });
+  });
+
+  describe("parseReviewQuery", () => {
+    it("should default to the most helpful reviews first", () => {
+      expect(parseReviewQuery()).toEqual({ sort: "helpful", page: 1 });
+      expect(parseReviewQuery({ sort: "newest", page: "2" })).toEqual({ sort: "newest", page: 2 });
+    });
+
+    it.each([
+      [{ sort: "stars" }, "Sort should be one of helpful, newest"],
+      [{ page: "0" }, "Page should be a whole number from 1"],
+    ])("should reject %j", (query, error) => {
+      expect(parseReviewQuery(query)).toEqual({ error });
+    });
+  });
+
+  describe("parseModerationQuery", () => {
+    it("should default to the first page of pending reviews", () => {
+      expect(parseModerationQuery()).toEqual({ status: "pending", page: 1 });
+      expect(parseModerationQuery({ status: "approved", page: "3" })).toEqual({
+        status: "approved",
+        page: 3,
+      });
+    });
+
+    it.each([
+      [{ status: "hidden" }, "Status should be one of pending, approved, rejected"],
+      [{ page: "0" }, "Page should be a whole number from 1"],
+    ])("should reject %j", (query, error) => {
+      expect(parseModerationQuery(query)).toEqual({ error });
+    });
+  });
+
+  describe("parseReportReason", () => {
+    it("should take a known reason", () => {
+      expect(parseReportReason("off-topic")).toEqual({ reason: "off-topic" });
+    });
+
+    it.each([undefined, "boring"])("should reject %p", (reason) => {
+      expect(parseReportReason(reason)).toEqual({
+        error: "Reason should be one of spam, offensive, off-topic, fake",
+      });
+    });
+  });
+
+  describe("parseBlockedWord", () => {
+    it("should lowercase a single word", () => {
+      expect(parseBlockedWord("  Scam ")).toEqual({ word: "scam" });
+    });
+
+    it.each([
+      [undefined, "Blocked word is required"],
+      ["  ", "Blocked word is required"],
+      ["total scam", "A blocked word should be a single word"],
+    ])("should reject %p", (text, error) => {
+      expect(parseBlockedWord(text)).toEqual({ error });
+    });
+  });
+
+  describe("findBlockedWords", () => {
+    it("should find each blocked word once, whatever its case", () => {
+      expect(findBlockedWords("SCAM! A total scam, and junk", ["junk", "scam", "fraud"])).toEqual([
+        "scam",
+        "junk",
+      ]);
+    });
+
+    it("should find nothing without a comment or blocked words", () => {
+      expect(findBlockedWords("", ["scam"])).toEqual([]);
+      expect(findBlockedWords("A scam")).toEqual([]);
+    });
+  });
+
+  describe("ratingPipeline", () => {
+    it("should count the product's approved reviews per number of stars", () => {
+      const id = "66db427fdb0119d9234b27f1";
+
+      expect(ratingPipeline(id)).toEqual([
+        { $match: { product: new mongoose.Types.ObjectId(id), status: "approved" } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ]);
+    });
+  });
+
+  describe("toRatingSummary", () => {
+    it("should average the stars to one decimal", () => {
+      expect(
+        toRatingSummary([
+          { _id: 5, count: 2 },
+          { _id: 4, count: 1 },
+        ])
+      ).toEqual({ average: 4.7, count: 3, stars: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 2 } });
+    });
+
+    it("should be 0 without reviews", () => {
+      expect(toRatingSummary()).toEqual({
+        average: 0,
+        count: 0,
+        stars: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      });
+    });
+  });
+});
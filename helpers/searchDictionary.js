@@ -0,0 +1,14 @@
+import synonymModel from "../models/synonymModel.js";
+import stopWordModel from "../models/stopWordModel.js";
+
+// Synonym groups and stop words the admins keep, in the form rewriteQuery takes them
+export const loadSearchDictionary = async () => {
+  const [synonyms, stopWords] = await Promise.all([
+    synonymModel.find({}).select("terms").lean(),
+    stopWordModel.find({}).select("word").lean(),
+  ]);
+  return {
+    synonyms: synonyms.map((synonym) => synonym.terms),
+    stopWords: stopWords.map((stopWord) => stopWord.word),
+  };
+};
@@ -0,0 +1,51 @@
+/**
+ * Unit Tests: searchDictionary
+ *
+ * Units Under Test:
+ *   loadSearchDictionary - synonym groups and stop words kept by the admins
+ *
+ * Test Doubles:
+ *   - synonymModel.find, stopWordModel.find: Stub query chains
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                      | Expected
+ * 1  | Happy       | groups and stop words saved                   | term lists and words
+ * 2  | Error       | database error                                | rejects
+ */
+import synonymModel from "../models/synonymModel.js";
+import stopWordModel from "../models/stopWordModel.js";
+import { loadSearchDictionary } from "./searchDictionary.js";
+
+jest.mock("../models/synonymModel.js");
+jest.mock("../models/stopWordModel.js");
+
+describe("searchDictionary", () => {
+  const query = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockImplementation(() => result),
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should return the term lists and the stop words", async () => {
+    synonymModel.find = jest
+      .fn()
+      .mockReturnValue(query(Promise.resolve([{ _id: "s1", terms: ["tv", "television"] }])));
+    stopWordModel.find = jest.fn().mockReturnValue(query(Promise.resolve([{ _id: "w1", word: "the" }])));
+
+    await expect(loadSearchDictionary()).resolves.toEqual({
+      synonyms: [["tv", "television"]],
+      stopWords: ["the"],
+    });
+  });
+
+  it("should reject when the database fails", async () => {
+    const error = new Error("Database failed");
+    synonymModel.find = jest.fn().mockReturnValue(query(Promise.reject(error)));
+    stopWordModel.find = jest.fn().mockReturnValue(query(Promise.resolve([])));
+
+    await expect(loadSearchDictionary()).rejects.toThrow("Database failed");
+  });
+});
@@ -0,0 +1,296 @@
+import mongoose from "mongoose";
+import { attributeConditions } from "./attributeHelper.js";
+import { listedProducts } from "./productHelper.js";
+import { escapeRegex, MAX_SUGGESTION_LENGTH } from "./suggestionHelper.js";
+import { MAX_RATING, MIN_RATING } from "../models/reviewModel.js";
+import {
+  afterCursor,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  LIST_SORTS,
+  parseLimit,
+  parsePage,
+  sortStage,
+} from "./cursorHelper.js";
+
+export const SEARCH_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+
+export const SEARCH_SORTS = ["relevance", ...Object.keys(LIST_SORTS)];
+
+// fuzzy also finds partial words ("lap") and misspellings ("labtop"), exact only whole words
+export const SEARCH_MODES = ["fuzzy", "exact"];
+
+// Most words of a keyword; fuzzy search runs a pattern per word on every product it ranks
+export const MAX_SEARCH_WORDS = 10;
+
+// Share of the keyword's trigrams a product needs to match when none of its words do
+export const FUZZY_MATCH_THRESHOLD = 0.5;
+
+// Lower bounds of the price facet buckets; the last bucket has no upper bound
+export const PRICE_BOUNDARIES = [0, 20, 40, 60, 80, 100];
+
+// Fields the results are sorted by; relevance sorts by the scores the pipeline adds
+export const searchSortFields = (sort, fuzzy) => {
+  if (sort !== "relevance") return LIST_SORTS[sort];
+  return fuzzy ? [["searchRank", -1], ["searchScore", -1]] : [["searchScore", -1]];
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Lowercase words without accents or punctuation, e.g. "Café Crème, 2L" -> ["cafe", "creme", "2l"]
+export const searchWords = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Trigrams of each word padded with a space on both sides, so a misspelled word still shares
+// most of its trigrams with the right one, e.g. "labtop" and "laptop" share " la", "top", "op "
+export const searchGrams = (text) => {
+  const grams = new Set();
+  for (const word of searchWords(text)) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+};
+
+// Trigrams stored on a product, kept in sync by the product model on every save
+export const productSearchGrams = ({ name, description }) =>
+  searchGrams(`${name ?? ""} ${description ?? ""}`);
+
+// Pattern of a term inside a product text, e.g. "mobile phone" also matches "Mobile-Phone"
+const termPattern = (term) => term.split(" ").map(escapeRegex).join("[^\\p{L}\\p{N}]+");
+
+// Stages ranking the products for a fuzzy keyword search and dropping the ones too far off:
+// 2 when a term of every group is a whole word of the product, 1 when a term of every group
+// starts one of its words, 0 for a fuzzy match, then by the share of the typed words' trigrams
+// matched. Groups are the alternatives of each keyword word, see rewriteQuery.
+const fuzzyKeywordStages = (terms) => {
+  const grams = searchGrams(terms.map((group) => group[0]).join(" "));
+  const everyGroup = (end) =>
+    terms
+      .map((group) => `(?=[\\s\\S]*(^|[^\\p{L}\\p{N}])(${group.map(termPattern).join("|")})${end})`)
+      .join("");
+  const text = { $concat: ["$name", " ", "$description"] };
+  return [
+    {
+      $addFields: {
+        searchRank: {
+          $switch: {
+            branches: [
+              {
+                case: {
+                  $regexMatch: { input: text, regex: everyGroup("($|[^\\p{L}\\p{N}])"), options: "i" },
+                },
+                then: 2,
+              },
+              { case: { $regexMatch: { input: text, regex: everyGroup(""), options: "i" } }, then: 1 },
+            ],
+            default: 0,
+          },
+        },
+        searchScore: {
+          $divide: [
+            { $size: { $setIntersection: [{ $ifNull: ["$searchGrams", []] }, grams] } },
+            grams.length,
+          ],
+        },
+      },
+    },
+    {
+      $match: {
+        $or: [{ searchRank: { $gt: 0 } }, { searchScore: { $gte: FUZZY_MATCH_THRESHOLD } }],
+      },
+    },
+  ];
+};
+
+// undefined when nothing was sent, NaN when the value is not a number
+const toNumber = (value) => (value === undefined || value === "" ? undefined : Number(value));
+
+// Parses the query string of the product search endpoint, e.g.
+// ?keyword=laptop&mode=fuzzy&categories=id1,id2&minPrice=20&maxPrice=40&inStock=true&minRating=4&sort=price-asc
+// &limit=12&cursor=... where cursor is the nextCursor of the previous page; page=2 is still
+// taken from clients paging by number.
+// Returns { error } on invalid input, otherwise { search } with the normalized values.
+export const parseSearchQuery = (query = {}) => {
+  const keyword = String(query.keyword ?? "").trim();
+  if (keyword.length > MAX_SUGGESTION_LENGTH) {
+    return { error: `Keyword should be at most ${MAX_SUGGESTION_LENGTH} characters` };
+  }
+  if (searchWords(keyword).length > MAX_SEARCH_WORDS) {
+    return { error: `Keyword should be at most ${MAX_SEARCH_WORDS} words` };
+  }
+
+  const categories = toList(query.categories);
+  if (categories.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "Invalid category id" };
+  }
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if ([minPrice, maxPrice].some((price) => price !== undefined && !(price >= 0))) {
+    return { error: "Price should be a number greater than or equal to 0" };
+  }
+
+  const minRating = toNumber(query.minRating);
+  if (minRating !== undefined && !(minRating >= MIN_RATING && minRating <= MAX_RATING)) {
+    return { error: `Rating should be a number from ${MIN_RATING} to ${MAX_RATING}` };
+  }
+
+  const mode = query.mode || "fuzzy";
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `Mode should be one of ${SEARCH_MODES.join(", ")}` };
+  }
+
+  const requestedSort = query.sort || (keyword ? "relevance" : "newest");
+  if (!SEARCH_SORTS.includes(requestedSort)) {
+    return { error: `Sort should be one of ${SEARCH_SORTS.join(", ")}` };
+  }
+  // relevance only means something for a keyword search
+  const sort = requestedSort === "relevance" && !keyword ? "newest" : requestedSort;
+
+  const { error: pageError, page } = parsePage(query.page);
+  if (pageError) return { error: pageError };
+
+  const { error: limitError, limit } = parseLimit(query.limit);
+  if (limitError) return { error: limitError };
+
+  const fields = searchSortFields(sort, mode === "fuzzy" && searchWords(keyword).length > 0);
+  let cursor = null;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor, fields);
+    if (decoded.error) return { error: decoded.error };
+    cursor = decoded.values;
+  }
+
+  let attributes = query.attributes;
+  if (typeof attributes === "string" && attributes) {
+    try {
+      attributes = JSON.parse(attributes);
+    } catch (e) {
+      return { error: "Attributes must be valid JSON" };
+    }
+  }
+
+  return {
+    search: {
+      keyword,
+      mode,
+      categories,
+      minPrice,
+      maxPrice,
+      inStock: query.inStock === true || query.inStock === "true",
+      minRating,
+      sort,
+      fields,
+      page,
+      limit,
+      cursor,
+      attributes: attributeConditions(attributes),
+    },
+  };
+};
+
+// Aggregation pipeline returning one page of results together with the facet counts.
+// Each facet ignores its own filter, so shoppers see how many products they would get by
+// picking another category or price bucket.
+export const searchPipeline = (search, now = new Date()) => {
+  const { keyword, mode, categories, minPrice, maxPrice, inStock, sort, page, attributes } = search;
+  const { limit = SEARCH_PAGE_SIZE, cursor = null } = search;
+  // the keyword rewritten with synonyms and without stop words, otherwise each word on its own
+  const terms = search.terms || searchWords(keyword).map((word) => [word]);
+  // a keyword of only punctuation has no words to match
+  const fuzzy = mode === "fuzzy" && terms.length > 0;
+
+  const match = listedProducts({ ...attributes }, now);
+  // $text has to be in the first stage of the pipeline; it matches any of the words
+  if (keyword && !fuzzy) match.$text = { $search: terms.length ? terms.flat().join(" ") : keyword };
+  // only products sharing a trigram with the keyword can match, the rest is ranked below.
+  // Products saved before the trigrams existed have none until `npm run backfill:search-grams`;
+  // they are still ranked, so they are found by the whole words and word starts of their text.
+  if (fuzzy) {
+    match.$or = [
+      { searchGrams: { $in: searchGrams(terms.flat().join(" ")) } },
+      { searchGrams: { $exists: false } },
+    ];
+  }
+  if (inStock) match.quantity = { $gt: 0 };
+  if (search.minRating !== undefined) match.ratingAverage = { $gte: search.minRating };
+
+  const categoryMatch = categories.length
+    ? { category: { $in: categories.map((id) => new mongoose.Types.ObjectId(id)) } }
+    : {};
+  const priceMatch = {};
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    priceMatch.price = {};
+    if (minPrice !== undefined) priceMatch.price.$gte = minPrice;
+    if (maxPrice !== undefined) priceMatch.price.$lt = maxPrice;
+  }
+
+  const fields = searchSortFields(sort, fuzzy);
+
+  let keywordStages = [];
+  if (fuzzy) keywordStages = fuzzyKeywordStages(terms);
+  else if (keyword) keywordStages = [{ $addFields: { searchScore: { $meta: "textScore" } } }];
+
+  return [
+    { $match: match },
+    ...keywordStages,
+    {
+      $facet: {
+        // one product more than the page, to know whether there is a next page
+        products: [
+          {
+            $match: {
+              ...categoryMatch,
+              ...priceMatch,
+              ...(cursor && afterCursor(fields, cursor)),
+            },
+          },
+          { $sort: sortStage(fields) },
+          // the cursor already skips the products of the earlier pages
+          ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+          { $limit: limit + 1 },
+          { $project: { photo: 0, searchGrams: 0 } },
+        ],
+        total: [{ $match: { ...categoryMatch, ...priceMatch } }, { $count: "count" }],
+        categories: [
+          { $match: priceMatch },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+        ],
+        prices: [
+          { $match: categoryMatch },
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BOUNDARIES,
+              // products priced above the last boundary
+              default: "more",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ];
+};
+
+// Every price bucket with its count, including the empty ones, e.g.
+// [{ min: 0, max: 20, count: 3 }, ..., { min: 100, max: null, count: 1 }]
+export const toPriceFacets = (buckets = []) =>
+  PRICE_BOUNDARIES.map((min, index) => {
+    const isLast = index === PRICE_BOUNDARIES.length - 1;
+    const bucket = buckets.find((b) => (isLast ? b._id === "more" : b._id === min));
+    return {
+      min,
+      max: isLast ? null : PRICE_BOUNDARIES[index + 1],
+      count: bucket?.count || 0,
+    };
+  });
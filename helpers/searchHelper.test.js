@@ -0,0 +1,346 @@
+/**
+ * Unit Tests: searchHelper
+ *
+ * Units Under Test:
+ *   parseSearchQuery - query string of the product search endpoint
+ *   searchWords      - words of a text as the search compares them
+ *   searchGrams      - trigrams of the typo-tolerant search
+ *   searchPipeline   - aggregation returning a page of results and the facet counts
+ *   toPriceFacets    - price buckets of the aggregation as facets
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | nothing sent                                      | defaults, sorted by newest
+ * 2  | Happy       | every filter, categories as list or array         | normalized values
+ * 3  | Happy       | relevance without a keyword                       | sorted by newest
+ * 4  | Negative    | keyword too long or of too many words, bad category, price, rating, sort, page or attributes | error message
+ * 5  | Happy       | keyword, stock, rating, category and price filters | filters in the right stages
+ * 6  | Happy       | no filters, page 2, each sort                     | no facet filters, skip, sort stage
+ * 7  | Happy       | some buckets counted                              | every bucket, empty ones at 0
+ * 8  | Happy       | accents, punctuation and case                     | plain lowercase words
+ * 9  | Happy       | misspelled word, other word with the same start   | near the right word, far from the other
+ * 10 | Happy       | fuzzy keyword search                              | trigram prefilter letting products without trigrams through, ranked by whole, prefix then fuzzy match
+ * 11 | Edge        | keyword of only punctuation                       | text search, nothing to rank
+ * 12 | Happy       | keyword rewritten with synonyms                   | any term of a group matches
+ * 13 | Happy       | page size and cursor of the previous page         | products after the cursor, no skip
+ * 14 | Negative    | limit out of range, cursor of another sort        | error message
+ */
+import mongoose from "mongoose";
+import { encodeCursor } from "./cursorHelper.js";
+import {
+  FUZZY_MATCH_THRESHOLD,
+  MAX_SEARCH_WORDS,
+  parseSearchQuery,
+  productSearchGrams,
+  PRICE_BOUNDARIES,
+  searchPipeline,
+  SEARCH_PAGE_SIZE,
+  searchGrams,
+  searchWords,
+  toPriceFacets,
+} from "./searchHelper.js";
+
+describe("searchHelper", () => {
+  const cat1 = "66db427fdb0119d9234b27ee";
+  const cat2 = "66db427fdb0119d9234b27ef";
+
+  describe("parseSearchQuery", () => {
+    it("should default to the first page of every listed product, newest first", () => {
+      expect(parseSearchQuery()).toEqual({
+        search: {
+          keyword: "",
+          mode: "fuzzy",
+          categories: [],
+          minPrice: undefined,
+          maxPrice: undefined,
+          inStock: false,
+          minRating: undefined,
+          sort: "newest",
+          fields: [["createdAt", -1]],
+          page: 1,
+          limit: SEARCH_PAGE_SIZE,
+          cursor: null,
+          attributes: {},
+        },
+      });
+    });
+
+    it("should normalize every filter", () => {
+      expect(
+        parseSearchQuery({
+          keyword: " laptop ",
+          categories: `${cat1}, ${cat2}`,
+          minPrice: "20",
+          maxPrice: "40",
+          inStock: "true",
+          minRating: "4",
+          page: "2",
+          limit: "12",
+          attributes: '{"colour":["Red"]}',
+        })
+      ).toEqual({
+        search: {
+          keyword: "laptop",
+          mode: "fuzzy",
+          categories: [cat1, cat2],
+          minPrice: 20,
+          maxPrice: 40,
+          inStock: true,
+          minRating: 4,
+          sort: "relevance",
+          fields: [["searchRank", -1], ["searchScore", -1]],
+          page: 2,
+          limit: 12,
+          cursor: null,
+          attributes: { "attributes.colour": { $in: ["Red"] } },
+        },
+      });
+      expect(
+        parseSearchQuery({ categories: [cat1], sort: "price-desc", mode: "exact" }).search
+      ).toEqual(expect.objectContaining({ categories: [cat1], sort: "price-desc", mode: "exact" }));
+    });
+
+    it("should sort by newest when relevance is asked without a keyword", () => {
+      expect(parseSearchQuery({ sort: "relevance" }).search.sort).toBe("newest");
+    });
+
+    it("should decode the cursor of the previous page for the sort it was made for", () => {
+      const id = "66db427fdb0119d9234b27f0";
+      const cursor = encodeCursor({ price: 20, _id: id }, [["price", 1]]);
+
+      const { search } = parseSearchQuery({ sort: "price-asc", cursor });
+
+      expect(search.cursor).toEqual([20, new mongoose.Types.ObjectId(id)]);
+      expect(parseSearchQuery({ sort: "newest", cursor })).toEqual({ error: "Invalid cursor" });
+    });
+
+    it("should accept a keyword at the length and word limits", () => {
+      const words = Array.from({ length: MAX_SEARCH_WORDS }, (_, i) => `word${i}`).join(" ");
+
+      expect(parseSearchQuery({ keyword: "a".repeat(100) }).search.keyword).toHaveLength(100);
+      expect(parseSearchQuery({ keyword: words }).search.keyword).toBe(words);
+    });
+
+    it.each([
+      [{ keyword: "a".repeat(101) }, "Keyword should be at most 100 characters"],
+      [{ keyword: "a ".repeat(MAX_SEARCH_WORDS + 1) }, "Keyword should be at most 10 words"],
+      [{ categories: "not-an-id" }, "Invalid category id"],
+      [{ minPrice: "cheap" }, "Price should be a number greater than or equal to 0"],
+      [{ maxPrice: "-1" }, "Price should be a number greater than or equal to 0"],
+      [{ minRating: "6" }, "Rating should be a number from 1 to 5"],
+      [{ minRating: "good" }, "Rating should be a number from 1 to 5"],
+      [{ mode: "loose" }, "Mode should be one of fuzzy, exact"],
+      [
+        { sort: "popular" },
+        "Sort should be one of relevance, newest, price-asc, price-desc, name, best-selling, rating",
+      ],
+      [{ page: "0" }, "Page should be a whole number from 1"],
+      [{ page: "1.5" }, "Page should be a whole number from 1"],
+      [{ limit: "100" }, "Limit should be a whole number from 1 to 48"],
+      [{ cursor: "not-a-cursor" }, "Invalid cursor"],
+      [{ attributes: "{" }, "Attributes must be valid JSON"],
+    ])("should reject %j", (query, error) => {
+      expect(parseSearchQuery(query)).toEqual({ error });
+    });
+  });
+
+  describe("searchPipeline", () => {
+    const now = new Date("2024-06-01T00:00:00Z");
+    const search = {
+      keyword: "laptop",
+      mode: "exact",
+      categories: [cat1],
+      minPrice: 20,
+      maxPrice: 40,
+      inStock: true,
+      minRating: 4,
+      sort: "relevance",
+      page: 1,
+      attributes: { "attributes.backlit": true },
+    };
+
+    it("should put each filter in the stages it applies to", () => {
+      const [first, score, { $facet }] = searchPipeline(search, now);
+      const categoryMatch = { category: { $in: [new mongoose.Types.ObjectId(cat1)] } };
+      const priceMatch = { price: { $gte: 20, $lt: 40 } };
+
+      expect(first.$match).toEqual(
+        expect.objectContaining({
+          $text: { $search: "laptop" },
+          quantity: { $gt: 0 },
+          ratingAverage: { $gte: 4 },
+          archivedAt: null,
+          "attributes.backlit": true,
+        })
+      );
+      expect(score).toEqual({ $addFields: { searchScore: { $meta: "textScore" } } });
+      expect($facet.products).toEqual([
+        { $match: { ...categoryMatch, ...priceMatch } },
+        { $sort: { searchScore: -1, _id: 1 } },
+        { $skip: 0 },
+        // one more than the page, to know whether there is a next page
+        { $limit: SEARCH_PAGE_SIZE + 1 },
+        { $project: { photo: 0, searchGrams: 0 } },
+      ]);
+      expect($facet.total[0]).toEqual({ $match: { ...categoryMatch, ...priceMatch } });
+      expect($facet.categories[0]).toEqual({ $match: priceMatch });
+      expect($facet.prices[0]).toEqual({ $match: categoryMatch });
+      expect($facet.prices[1].$bucket.boundaries).toEqual(PRICE_BOUNDARIES);
+    });
+
+    it.each([
+      ["newest", { createdAt: -1, _id: 1 }],
+      ["price-asc", { price: 1, _id: 1 }],
+      ["price-desc", { price: -1, _id: 1 }],
+      ["name", { name: 1, _id: 1 }],
+      ["best-selling", { sold: -1, _id: 1 }],
+      ["rating", { ratingAverage: -1, ratingCount: -1, _id: 1 }],
+    ])("should page through every product sorted by %s", (sort, stage) => {
+      const [first, { $facet }] = searchPipeline(
+        { keyword: "", categories: [], inStock: false, sort, page: 2, attributes: {} },
+        now
+      );
+
+      expect(first.$match).not.toHaveProperty("$text");
+      expect(first.$match).not.toHaveProperty("quantity");
+      expect($facet.products.slice(0, 3)).toEqual([
+        { $match: {} },
+        { $sort: stage },
+        { $skip: SEARCH_PAGE_SIZE },
+      ]);
+    });
+
+    it("should continue after the cursor instead of skipping pages", () => {
+      const id = new mongoose.Types.ObjectId();
+      const [, { $facet }] = searchPipeline(
+        {
+          keyword: "",
+          categories: [],
+          inStock: false,
+          sort: "price-asc",
+          page: 1,
+          limit: 12,
+          cursor: [20, id],
+          attributes: {},
+        },
+        now
+      );
+
+      expect($facet.products.slice(0, 3)).toEqual([
+        {
+          $match: {
+            $or: [
+              { $and: [{ price: { $gt: 20 } }] },
+              { $and: [{ price: 20 }, { _id: { $gt: id } }] },
+            ],
+          },
+        },
+        { $sort: { price: 1, _id: 1 } },
+        { $limit: 13 },
+      ]);
+    });
+
+    it("should match a fuzzy keyword on trigrams, ranking whole words, then word starts, then fuzzy matches", () => {
+      const [first, rank, threshold, { $facet }] = searchPipeline(
+        { ...search, keyword: "Gaming lap", mode: "fuzzy" },
+        now
+      );
+      const { branches } = rank.$addFields.searchRank.$switch;
+      // the same patterns MongoDB runs, checked against product name and description
+      const ranks = (text) =>
+        branches.filter(({ case: c }) => new RegExp(c.$regexMatch.regex, "iu").test(text)).map((b) => b.then);
+
+      expect(first.$match).not.toHaveProperty("$text");
+      expect(first.$match.$or).toEqual([
+        { searchGrams: { $in: searchGrams("Gaming lap") } },
+        { searchGrams: { $exists: false } },
+      ]);
+      expect(ranks("Gaming Lap Desk")).toEqual([2, 1]);
+      expect(ranks("Laptop for gaming")).toEqual([1]);
+      expect(ranks("Gaming mouse")).toEqual([]);
+      expect(threshold).toEqual({
+        $match: {
+          $or: [{ searchRank: { $gt: 0 } }, { searchScore: { $gte: FUZZY_MATCH_THRESHOLD } }],
+        },
+      });
+      expect($facet.products[1]).toEqual({ $sort: { searchRank: -1, searchScore: -1, _id: 1 } });
+      expect($facet.products[4]).toEqual({ $project: { photo: 0, searchGrams: 0 } });
+    });
+
+    it("should match any term of a synonym group in both modes", () => {
+      const terms = [["cellphone", "smartphone", "mobile phone"], ["case"]];
+      const [first, rank] = searchPipeline({ ...search, keyword: "cellphone case", mode: "fuzzy", terms }, now);
+      const [exact] = searchPipeline({ ...search, keyword: "cellphone case", terms }, now);
+      const ranks = (text) =>
+        rank.$addFields.searchRank.$switch.branches
+          .filter(({ case: c }) => new RegExp(c.$regexMatch.regex, "iu").test(text))
+          .map((b) => b.then);
+
+      expect(first.$match.$or[0].searchGrams.$in).toEqual(expect.arrayContaining(["sma", "cel", "pho"]));
+      expect(ranks("Smartphone case")).toEqual([2, 1]);
+      expect(ranks("Case for your Mobile-Phone")).toEqual([2, 1]);
+      expect(ranks("Smartphone")).toEqual([]);
+      expect(rank.$addFields.searchScore.$divide[1]).toBe(searchGrams("cellphone case").length);
+      expect(exact.$match.$text).toEqual({ $search: "cellphone smartphone mobile phone case" });
+    });
+
+    it("should fall back to the text search for a keyword without words", () => {
+      const pipeline = searchPipeline({ ...search, keyword: "!!", mode: "fuzzy" }, now);
+
+      expect(pipeline).toHaveLength(3);
+      expect(pipeline[0].$match.$text).toEqual({ $search: "!!" });
+    });
+
+    it("should only bound the price on the sides that were sent", () => {
+      const [, , { $facet }] = searchPipeline({ ...search, minPrice: undefined }, now);
+
+      expect($facet.categories[0]).toEqual({ $match: { price: { $lt: 40 } } });
+    });
+  });
+
+  describe("searchWords", () => {
+    it("should split into lowercase words without accents or punctuation", () => {
+      expect(searchWords("  Café Crème, 2L-bottle!")).toEqual(["cafe", "creme", "2l", "bottle"]);
+      expect(searchWords(undefined)).toEqual([]);
+    });
+  });
+
+  describe("searchGrams", () => {
+    // share of the keyword trigrams found in the product, as the pipeline scores it
+    const score = (keyword, name) => {
+      const product = productSearchGrams({ name, description: "" });
+      const grams = searchGrams(keyword);
+      return grams.filter((gram) => product.includes(gram)).length / grams.length;
+    };
+
+    it("should pad each word so the word start and end are trigrams too", () => {
+      expect(searchGrams("Lap top")).toEqual([" la", "lap", "ap ", " to", "top", "op "]);
+      expect(productSearchGrams({ name: "Mug", description: "mug" })).toEqual([" mu", "mug", "ug "]);
+    });
+
+    it("should keep misspelled words close to the right one and apart from other words", () => {
+      expect(score("labtop", "Gaming Laptop")).toBeGreaterThanOrEqual(FUZZY_MATCH_THRESHOLD);
+      expect(score("keybaord", "Mechanical Keyboard")).toBeGreaterThanOrEqual(FUZZY_MATCH_THRESHOLD);
+      expect(score("lap", "Desk Lamp")).toBeLessThan(FUZZY_MATCH_THRESHOLD);
+    });
+  });
+
+  describe("toPriceFacets", () => {
+    it("should return every bucket, counting the empty ones as 0", () => {
+      expect(
+        toPriceFacets([
+          { _id: 20, count: 2 },
+          { _id: "more", count: 1 },
+        ])
+      ).toEqual([
+        { min: 0, max: 20, count: 0 },
+        { min: 20, max: 40, count: 2 },
+        { min: 40, max: 60, count: 0 },
+        { min: 60, max: 80, count: 0 },
+        { min: 80, max: 100, count: 0 },
+        { min: 100, max: null, count: 1 },
+      ]);
+      expect(toPriceFacets()).toHaveLength(PRICE_BOUNDARIES.length);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+import {
+  DEFAULT_REORDER_THRESHOLD,
+  LINE_STATUS,
+  MANUAL_MOVEMENT_REASON_LIST,
+  STOCK_LEVEL,
+} from "../client/src/constants/stock.js";
+import { NOTIFICATION_TYPE } from "../constants/notification.js";
+import { parseDate } from "./publishHelper.js";
+
+// Stock updates for the order lines of a checkout (see groupCartItems), e.g.
+// { product, variant?, sku?, quantity }. A line is reserved with a single conditional update
+// so two buyers cannot both take the last unit, and released again if the payment fails.
+
+// Filter matching the product, or its variant, only while the line's quantity is in stock.
+// A product taking pre-orders or backorders also matches while the line fits within its
+// backorder limit; variants are only sold from stock.
+export const inStockFilter = (item) => {
+  if (item.variant) {
+    return {
+      _id: item.product,
+      variants: { $elemMatch: { _id: item.variant, quantity: { $gte: item.quantity } } },
+    };
+  }
+  const withinBackorderLimit = {
+    $expr: { $gte: [{ $add: ["$quantity", "$backorderLimit"] }, item.quantity] },
+  };
+  return {
+    _id: item.product,
+    $or: [
+      { quantity: { $gte: item.quantity } },
+      { preorder: true, ...withinBackorderLimit },
+      { backorder: true, ...withinBackorderLimit },
+    ],
+  };
+};
+
+// Status of a line just reserved from `product`, as updated by the reservation: a pre-order
+// waits for its release, a line that took the stock below zero waits for the restock
+export const lineStatus = (product) => {
+  if (product.preorder) return LINE_STATUS.PREORDER;
+  if (product.quantity < 0) return LINE_STATUS.BACKORDER;
+  return LINE_STATUS.READY;
+};
+
+// Lines of a product waiting for stock, oldest first, that the stock now covers, e.g.
+// [{ quantity: 2 }, { quantity: 3 }] with quantity -3 -> [{ quantity: 2 }]. Stock below zero is
+// what is still owed to the newest lines; the oldest lines are served first, in order.
+export const linesToRelease = (lines, quantity) => {
+  const owed = Math.max(-quantity, 0);
+  let covered = lines.reduce((total, line) => total + line.quantity, 0) - owed;
+  const released = [];
+  for (const line of lines) {
+    if (line.quantity > covered) break;
+    released.push(line);
+    covered -= line.quantity;
+  }
+  return released;
+};
+
+// Filter matching the product, or its variant, whatever is in stock
+export const lineFilter = (item) =>
+  item.variant ? { _id: item.product, "variants._id": item.variant } : { _id: item.product };
+
+// Update taking the line out of stock and counting it sold (sign -1), or putting it back (sign 1)
+export const stockChange = (item, sign) => ({
+  $inc: {
+    quantity: sign * item.quantity,
+    ...(item.variant && { "variants.$.quantity": sign * item.quantity }),
+    sold: -sign * item.quantity,
+  },
+});
+
+// Locations to fulfil a line of a product stocked per location from (see
+// productModel.locationStock), in the order they are tried: those holding the whole line, most
+// stock first, then the one holding the most as a last resort, e.g. a line of 3 with
+// A: 5, B: 4, C: 1 -> [{ location: A, whole: true }, { location: B, whole: true },
+// { location: A, whole: false }]. The last resort is still only reserved while the product's
+// stock, or backorder limit, allows; that location stays short until stock is transferred
+// there or received. Empty when no location holds the line's SKU.
+export const fulfilmentPlan = (locationStock = [], item) => {
+  const held = locationStock
+    .filter((entry) => entry.sku === (item.sku || ""))
+    .sort((a, b) => b.quantity - a.quantity);
+  if (!held.length) return [];
+  return [
+    ...held
+      .filter((entry) => entry.quantity >= item.quantity)
+      .map((entry) => ({ location: entry.location, whole: true })),
+    { location: held[0].location, whole: false },
+  ];
+};
+
+// inStockFilter for a line fulfilled from `item.location`, also requiring the location to hold
+// the whole line when `whole`
+export const locationFilter = (item, whole) => ({
+  ...inStockFilter(item),
+  locationStock: {
+    $elemMatch: {
+      location: item.location,
+      sku: item.sku || "",
+      ...(whole && { quantity: { $gte: item.quantity } }),
+    },
+  },
+});
+
+// stockChange for a line fulfilled from `item.location`, also changing that location's stock;
+// run with the arrayFilters of locationArrayFilters(item)
+export const locationStockChange = (item, sign) => ({
+  $inc: {
+    quantity: sign * item.quantity,
+    ...(item.variant && { "variants.$[line].quantity": sign * item.quantity }),
+    "locationStock.$[at].quantity": sign * item.quantity,
+    sold: -sign * item.quantity,
+  },
+});
+
+// Array filters picking the line's variant and its location's stock entry for a location update
+export const locationArrayFilters = (item) => [
+  ...(item.variant ? [{ "line._id": item.variant }] : []),
+  { "at.location": item.location, "at.sku": item.sku || "" },
+];
+
+// Units of a product that may be sold beyond its stock
+const beyondStock = (product) =>
+  product?.preorder || product?.backorder ? product.backorderLimit ?? 0 : 0;
+
+// Lines that could not be reserved with what is left of them, e.g.
+// [{ product, variant, name: "Tee", sku: "TEE-M", requested: 2, available: 1 }].
+// A product that is gone has nothing available.
+export const outOfStockItems = (items, products) => {
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  return items.map((item) => {
+    const product = byId.get(String(item.product));
+    const variant = item.variant
+      ? product?.variants?.find((v) => String(v._id) === String(item.variant))
+      : undefined;
+    return {
+      product: item.product,
+      ...(item.variant && { variant: item.variant, sku: item.sku }),
+      name: product?.name ?? "Unavailable product",
+      requested: item.quantity,
+      available: Math.max(
+        (item.variant ? variant?.quantity : product?.quantity + beyondStock(product)) || 0,
+        0
+      ),
+    };
+  });
+};
+
+// Products per page of the admin low stock report
+export const LOW_STOCK_PAGE_SIZE = 20;
+
+// Movements per page of the stock history of a product
+export const STOCK_MOVEMENT_PAGE_SIZE = 20;
+
+// Stock level of a product with `quantity` units left: out of stock, running low at or below its
+// reorder threshold, or null when there is enough
+export const stockLevel = (quantity, reorderThreshold = DEFAULT_REORDER_THRESHOLD) => {
+  if (quantity <= 0) return STOCK_LEVEL.OUT;
+  if (quantity <= reorderThreshold) return STOCK_LEVEL.LOW;
+  return null;
+};
+
+// Parses the reorder threshold sent by the product forms; returns { error } or { fields },
+// without keys when no threshold was sent
+export const parseReorderThreshold = ({ reorderThreshold } = {}) => {
+  if (reorderThreshold === undefined || reorderThreshold === "") return { fields: {} };
+  const threshold = Number(reorderThreshold);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    return { error: "Reorder threshold should be a whole number from 0" };
+  }
+  return { fields: { reorderThreshold: threshold } };
+};
+
+// Reorder threshold of a product in an aggregation expression; products saved before reorder
+// thresholds were added have none and use the default
+export const reorderThresholdExpr = { $ifNull: ["$reorderThreshold", DEFAULT_REORDER_THRESHOLD] };
+
+// Filter of the products at or below their reorder threshold, or only those out of stock
+export const lowStockFilter = (level) =>
+  level === STOCK_LEVEL.OUT
+    ? { quantity: { $lte: 0 } }
+    : { $expr: { $lte: ["$quantity", reorderThresholdExpr] } };
+
+const isChecked = (value) => value === true || value === "true";
+
+// Parses the pre-order and backorder fields sent by the product forms (preorder,
+// expectedShipDate, backorder, backorderLimit). Returns { error } on invalid input, otherwise
+// { fields } holding the normalized values, or no keys at all when none of the fields were sent.
+export const parseStockPolicy = ({ preorder, expectedShipDate, backorder, backorderLimit } = {}) => {
+  if ([preorder, expectedShipDate, backorder, backorderLimit].every((value) => value === undefined)) {
+    return { fields: {} };
+  }
+  const isPreorder = isChecked(preorder);
+  const isBackorder = isChecked(backorder);
+  const shipDate = parseDate(expectedShipDate);
+  if (shipDate === undefined) {
+    return { error: "Expected ship date is not a valid date" };
+  }
+  if (isPreorder && !shipDate) {
+    return { error: "Expected ship date is required for a pre-order" };
+  }
+  const limit = Number(backorderLimit);
+  if ((isPreorder || isBackorder) && (!Number.isInteger(limit) || limit < 1)) {
+    return { error: "Backorder limit should be a whole number from 1" };
+  }
+  return {
+    fields: {
+      preorder: isPreorder,
+      expectedShipDate: isPreorder ? shipDate : null,
+      backorder: isBackorder,
+      backorderLimit: isPreorder || isBackorder ? limit : 0,
+    },
+  };
+};
+
+// Parses a manual stock adjustment ({ change, reason, note }), e.g. { change: "-2", reason:
+// "adjustment", note: "Damaged" }. Returns { error } on invalid input, otherwise { fields }.
+export const parseStockAdjustment = ({ change, reason, note = "" } = {}) => {
+  const units = Number(change);
+  if (change === "" || change === null || !Number.isInteger(units) || units === 0) {
+    return { error: "Change should be a whole number other than 0" };
+  }
+  if (!MANUAL_MOVEMENT_REASON_LIST.includes(reason)) {
+    return { error: `Reason should be one of: ${MANUAL_MOVEMENT_REASON_LIST.join(", ")}` };
+  }
+  if (typeof note !== "string" || note.trim().length > 200) {
+    return { error: "Note should be at most 200 characters" };
+  }
+  return { fields: { change: units, reason, note: note.trim() } };
+};
+
+// Filter matching the product, or its variant, for an adjustment of `change` units, at
+// `location` for a product stocked per location. Units are only taken out while they are in
+// stock, so an adjustment never takes the stock below zero.
+export const adjustmentFilter = ({ product, variant, sku, location, change }) => {
+  const enough = change < 0 && { quantity: { $gte: -change } };
+  if (location) {
+    return { _id: product, locationStock: { $elemMatch: { location, sku: sku || "", ...enough } } };
+  }
+  if (variant) {
+    return { _id: product, variants: { $elemMatch: { _id: variant, ...enough } } };
+  }
+  return { _id: product, ...enough };
+};
+
+// Update adding `change` units to the product, and to its variant and location; unlike a sale it
+// counts nothing sold. At a location it is run with the arrayFilters of locationArrayFilters.
+export const adjustmentChange = ({ variant, location, change }) => ({
+  $inc: {
+    quantity: change,
+    ...(variant && { [location ? "variants.$[line].quantity" : "variants.$.quantity"]: change }),
+    ...(location && { "locationStock.$[at].quantity": change }),
+  },
+});
+
+// Outbox notification telling the admins a product went low or out of stock
+export const stockAlertNotification = (product, level) => ({
+  type: level === STOCK_LEVEL.OUT ? NOTIFICATION_TYPE.OUT_OF_STOCK : NOTIFICATION_TYPE.LOW_STOCK,
+  product: product._id,
+  subject:
+    level === STOCK_LEVEL.OUT ? `${product.name} is out of stock` : `${product.name} is running low`,
+  message: `${product.name} has ${Math.max(product.quantity, 0)} left in stock (reorder threshold ${product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD}).`,
+});
+
+// Outbox notification telling a subscribed customer a product they waited for is back in stock
+export const backInStockNotification = (product, user) => ({
+  type: NOTIFICATION_TYPE.BACK_IN_STOCK,
+  product: product._id,
+  to: user.email,
+  subject: `${product.name} is back in stock`,
+  message: `Hi ${user.name}, ${product.name} is back in stock. Get it at /product/${product.slug} while it lasts.`,
+});
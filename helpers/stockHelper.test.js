@@ -0,0 +1,370 @@
+/**
+ * Unit Tests: stockHelper
+ *
+ * Units Under Test:
+ *   inStockFilter   - product or variant with enough stock for an order line
+ *   lineStatus      - ready, pre-order or backorder line after its reservation
+ *   linesToRelease  - lines waiting for stock that the stock now covers
+ *   parseStockPolicy - pre-order and backorder fields sent by the product forms
+ *   lineFilter      - product or variant of an order line
+ *   stockChange     - stock taken for, or given back from, an order line
+ *   outOfStockItems - order lines that could not be reserved, with what is left
+ *   stockLevel      - low or out of stock against the reorder threshold
+ *   parseReorderThreshold - reorder threshold sent by the product forms
+ *   lowStockFilter  - products at or below their threshold, or out of stock
+ *   stockAlertNotification - outbox notification for a product running low or out
+ *   backInStockNotification - outbox notification for a customer waiting for a product
+ *   parseStockAdjustment - manual adjustment sent by the stock history form
+ *   adjustmentFilter / adjustmentChange - product or variant an adjustment applies to, and the update
+ *   fulfilmentPlan  - locations a line of a product stocked per location is fulfilled from
+ *   locationFilter / locationStockChange / locationArrayFilters - a line reserved at a location
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | product line, variant line                        | filters on the product or the variant
+ * 2  | Happy       | reserve and release a line                        | stock and sold changed by the quantity
+ * 3  | Happy       | product and variant short of stock                | name, requested and available units
+ * 4  | Edge        | product gone, stock below zero                    | nothing available
+ * 5  | Happy       | stock above, at, below threshold and zero         | null, low, low, out
+ * 6  | Validation  | threshold missing, valid, negative or fractional  | no fields / fields / error
+ * 7  | Happy       | low and out of stock alert                        | filter and notification per level
+ * 8  | Happy       | product restocked for a subscriber                | notification to the subscriber's email
+ * 9  | Happy       | pre-order, backorder beyond stock, in stock line  | pre-order, backorder, ready
+ * 10 | Happy       | stock received for some or all waiting lines      | oldest lines that fit released, in order
+ * 11 | Validation  | pre-order or backorder without date or limit      | error; none sent -> no fields
+ * 12 | Happy       | units added to or taken out of a product/variant  | removal only while in stock, nothing sold
+ * 13 | Validation  | zero or fractional change, sale reason, long note | error
+ * 14 | Happy       | locations holding the whole line or only part     | whole ones by stock, then the fullest
+ * 15 | Edge        | no location holds the line's SKU                  | nothing to plan
+ * 16 | Happy       | product and variant line at a location            | location entry filtered and changed
+ * 17 | Happy       | adjustment at a location                          | location entry filtered and changed
+ * 18 | Edge        | alert for a product saved before reorder thresholds | default threshold used
+ */
+import {
+  adjustmentChange,
+  adjustmentFilter,
+  backInStockNotification,
+  fulfilmentPlan,
+  inStockFilter,
+  lineFilter,
+  lineStatus,
+  linesToRelease,
+  locationArrayFilters,
+  locationFilter,
+  locationStockChange,
+  lowStockFilter,
+  outOfStockItems,
+  parseReorderThreshold,
+  parseStockAdjustment,
+  parseStockPolicy,
+  stockAlertNotification,
+  stockChange,
+  stockLevel,
+} from "./stockHelper.js";
+
+describe("stockHelper", () => {
+  const productLine = { product: "p1", price: 10, quantity: 2 };
+  const variantLine = { product: "p2", variant: "v1", sku: "TEE-M", price: 25, quantity: 3 };
+
+  describe("inStockFilter / lineFilter", () => {
+    it("should match a product line on the product stock", () => {
+      const withinLimit = { $expr: { $gte: [{ $add: ["$quantity", "$backorderLimit"] }, 2] } };
+      expect(inStockFilter(productLine)).toEqual({
+        _id: "p1",
+        $or: [
+          { quantity: { $gte: 2 } },
+          { preorder: true, ...withinLimit },
+          { backorder: true, ...withinLimit },
+        ],
+      });
+      expect(lineFilter(productLine)).toEqual({ _id: "p1" });
+    });
+
+    it("should match a variant line on the variant stock", () => {
+      expect(inStockFilter(variantLine)).toEqual({
+        _id: "p2",
+        variants: { $elemMatch: { _id: "v1", quantity: { $gte: 3 } } },
+      });
+      expect(lineFilter(variantLine)).toEqual({ _id: "p2", "variants._id": "v1" });
+    });
+  });
+
+  describe("stockChange", () => {
+    it("should take stock and count it sold, or give it back", () => {
+      expect(stockChange(productLine, -1)).toEqual({ $inc: { quantity: -2, sold: 2 } });
+      expect(stockChange(variantLine, 1)).toEqual({
+        $inc: { quantity: 3, "variants.$.quantity": 3, sold: -3 },
+      });
+    });
+  });
+
+  describe("outOfStockItems", () => {
+    it("should list what is left of the lines short of stock", () => {
+      const products = [
+        { _id: "p1", name: "Laptop", quantity: 1 },
+        { _id: "p2", name: "Tee", quantity: 5, variants: [{ _id: "v1", quantity: 2 }] },
+      ];
+
+      expect(outOfStockItems([productLine, variantLine], products)).toEqual([
+        { product: "p1", name: "Laptop", requested: 2, available: 1 },
+        { product: "p2", variant: "v1", sku: "TEE-M", name: "Tee", requested: 3, available: 2 },
+      ]);
+    });
+
+    it("should count the backorder limit as available beyond the stock", () => {
+      const products = [{ _id: "p1", name: "Laptop", quantity: -1, backorder: true, backorderLimit: 2 }];
+
+      expect(outOfStockItems([{ ...productLine, quantity: 3 }], products)).toEqual([
+        { product: "p1", name: "Laptop", requested: 3, available: 1 },
+      ]);
+    });
+
+    it("should have nothing available of a product that is gone or oversold", () => {
+      expect(outOfStockItems([productLine, variantLine], [{ _id: "p1", name: "Laptop", quantity: -1 }])).toEqual([
+        { product: "p1", name: "Laptop", requested: 2, available: 0 },
+        { product: "p2", variant: "v1", sku: "TEE-M", name: "Unavailable product", requested: 3, available: 0 },
+      ]);
+    });
+  });
+
+  describe("stockLevel", () => {
+    it("should be low at or below the threshold and out at zero", () => {
+      expect(stockLevel(10, 5)).toBeNull();
+      expect(stockLevel(5, 5)).toBe("low");
+      expect(stockLevel(1, 5)).toBe("low");
+      expect(stockLevel(0, 5)).toBe("out");
+      expect(stockLevel(-1, 0)).toBe("out");
+      // the default threshold applies to products saved before thresholds existed
+      expect(stockLevel(5)).toBe("low");
+    });
+  });
+
+  describe("parseReorderThreshold", () => {
+    it("should leave the threshold unchanged when it was not sent", () => {
+      expect(parseReorderThreshold({})).toEqual({ fields: {} });
+      expect(parseReorderThreshold({ reorderThreshold: "" })).toEqual({ fields: {} });
+      expect(parseReorderThreshold()).toEqual({ fields: {} });
+    });
+
+    it("should parse a whole number from 0", () => {
+      expect(parseReorderThreshold({ reorderThreshold: "0" })).toEqual({ fields: { reorderThreshold: 0 } });
+      expect(parseReorderThreshold({ reorderThreshold: "12" })).toEqual({ fields: { reorderThreshold: 12 } });
+    });
+
+    it.each(["-1", "2.5", "many"])("should reject %p", (reorderThreshold) => {
+      expect(parseReorderThreshold({ reorderThreshold })).toEqual({
+        error: "Reorder threshold should be a whole number from 0",
+      });
+    });
+  });
+
+  describe("lowStockFilter / stockAlertNotification", () => {
+    const product = { _id: "p1", name: "Laptop", quantity: 2, reorderThreshold: 5 };
+
+    it("should match and announce a product running low", () => {
+      expect(lowStockFilter("low")).toEqual({
+        $expr: { $lte: ["$quantity", { $ifNull: ["$reorderThreshold", 5] }] },
+      });
+      expect(stockAlertNotification(product, "low")).toEqual({
+        type: "low-stock",
+        product: "p1",
+        subject: "Laptop is running low",
+        message: "Laptop has 2 left in stock (reorder threshold 5).",
+      });
+    });
+
+    it("should match and announce a product out of stock", () => {
+      expect(lowStockFilter("out")).toEqual({ quantity: { $lte: 0 } });
+      expect(stockAlertNotification({ ...product, quantity: -1 }, "out")).toEqual({
+        type: "out-of-stock",
+        product: "p1",
+        subject: "Laptop is out of stock",
+        message: "Laptop has 0 left in stock (reorder threshold 5).",
+      });
+    });
+
+    it("should announce a product saved before reorder thresholds with the default one", () => {
+      const { reorderThreshold, ...legacy } = product;
+
+      expect(stockAlertNotification({ ...legacy, quantity: 1 }, "low").message).toBe(
+        "Laptop has 1 left in stock (reorder threshold 5)."
+      );
+    });
+  });
+
+  describe("backInStockNotification", () => {
+    it("should tell the subscriber where to get the product", () => {
+      const product = { _id: "p1", name: "Laptop", slug: "laptop", quantity: 10 };
+
+      expect(backInStockNotification(product, { name: "Sam", email: "sam@example.com" })).toEqual({
+        type: "back-in-stock",
+        product: "p1",
+        to: "sam@example.com",
+        subject: "Laptop is back in stock",
+        message: "Hi Sam, Laptop is back in stock. Get it at /product/laptop while it lasts.",
+      });
+    });
+  });
+
+  describe("lineStatus / linesToRelease", () => {
+    it("should hold pre-orders and lines sold beyond stock", () => {
+      expect(lineStatus({ preorder: true, quantity: 4 })).toBe("pre-order");
+      expect(lineStatus({ backorder: true, quantity: -1 })).toBe("backorder");
+      expect(lineStatus({ backorder: true, quantity: 0 })).toBe("ready");
+    });
+
+    it("should release the oldest lines the stock covers, in order", () => {
+      const lines = [{ _id: "l1", quantity: 2 }, { _id: "l2", quantity: 3 }, { _id: "l3", quantity: 1 }];
+
+      // 6 units owed, 3 of them received: only the first line fits, the second waits for its turn
+      expect(linesToRelease(lines, -3)).toEqual([lines[0]]);
+      expect(linesToRelease(lines, 0)).toEqual(lines);
+      expect(linesToRelease(lines, 5)).toEqual(lines);
+      expect(linesToRelease(lines, -6)).toEqual([]);
+    });
+  });
+
+  describe("parseStockPolicy", () => {
+    it("should leave the policy unchanged when none of it was sent", () => {
+      expect(parseStockPolicy({})).toEqual({ fields: {} });
+      expect(parseStockPolicy()).toEqual({ fields: {} });
+    });
+
+    it("should parse a pre-order with its ship date and limit", () => {
+      expect(
+        parseStockPolicy({
+          preorder: "true",
+          expectedShipDate: "2024-09-01",
+          backorder: "false",
+          backorderLimit: "50",
+        })
+      ).toEqual({
+        fields: {
+          preorder: true,
+          expectedShipDate: new Date("2024-09-01"),
+          backorder: false,
+          backorderLimit: 50,
+        },
+      });
+    });
+
+    it("should sell only from stock without pre-order or backorder", () => {
+      expect(
+        parseStockPolicy({ preorder: "false", expectedShipDate: "2024-09-01", backorder: "false", backorderLimit: "5" })
+      ).toEqual({
+        fields: { preorder: false, expectedShipDate: null, backorder: false, backorderLimit: 0 },
+      });
+    });
+
+    it.each([
+      [{ preorder: "true", backorderLimit: "5" }, "Expected ship date is required for a pre-order"],
+      [{ expectedShipDate: "soon" }, "Expected ship date is not a valid date"],
+      [{ backorder: true, backorderLimit: "0" }, "Backorder limit should be a whole number from 1"],
+      [{ backorder: "true", backorderLimit: "1.5" }, "Backorder limit should be a whole number from 1"],
+    ])("should reject %p", (fields, error) => {
+      expect(parseStockPolicy(fields)).toEqual({ error });
+    });
+  });
+
+  describe("parseStockAdjustment / adjustmentFilter / adjustmentChange", () => {
+    it("should parse an adjustment with a trimmed note", () => {
+      expect(parseStockAdjustment({ change: "-2", reason: "adjustment", note: " Damaged " })).toEqual({
+        fields: { change: -2, reason: "adjustment", note: "Damaged" },
+      });
+      expect(parseStockAdjustment({ change: 3, reason: "return" })).toEqual({
+        fields: { change: 3, reason: "return", note: "" },
+      });
+    });
+
+    it.each([
+      [{ change: "0", reason: "return" }, "Change should be a whole number other than 0"],
+      [{ change: "1.5", reason: "return" }, "Change should be a whole number other than 0"],
+      [{ reason: "return" }, "Change should be a whole number other than 0"],
+      [{ change: "2", reason: "sale" }, "Reason should be one of: adjustment, return"],
+      [{ change: "2", reason: "return", note: "x".repeat(201) }, "Note should be at most 200 characters"],
+    ])("should reject %p", (body, error) => {
+      expect(parseStockAdjustment(body)).toEqual({ error });
+    });
+
+    it("should only take out units that are in stock", () => {
+      expect(adjustmentFilter({ product: "p1", change: 4 })).toEqual({ _id: "p1" });
+      expect(adjustmentFilter({ product: "p1", change: -4 })).toEqual({ _id: "p1", quantity: { $gte: 4 } });
+      expect(adjustmentFilter({ product: "p1", variant: "v1", change: -1 })).toEqual({
+        _id: "p1",
+        variants: { $elemMatch: { _id: "v1", quantity: { $gte: 1 } } },
+      });
+    });
+
+    it("should change the product and variant stock without counting a sale", () => {
+      expect(adjustmentChange({ change: -4 })).toEqual({ $inc: { quantity: -4 } });
+      expect(adjustmentChange({ variant: "v1", change: 2 })).toEqual({
+        $inc: { quantity: 2, "variants.$.quantity": 2 },
+      });
+    });
+
+    it("should adjust the stock of a product or variant at a location", () => {
+      expect(adjustmentFilter({ product: "p1", location: "north", change: -2 })).toEqual({
+        _id: "p1",
+        locationStock: { $elemMatch: { location: "north", sku: "", quantity: { $gte: 2 } } },
+      });
+      expect(adjustmentFilter({ product: "p2", variant: "v1", sku: "TEE-M", location: "north", change: 2 })).toEqual({
+        _id: "p2",
+        locationStock: { $elemMatch: { location: "north", sku: "TEE-M" } },
+      });
+      expect(adjustmentChange({ variant: "v1", location: "north", change: 2 })).toEqual({
+        $inc: { quantity: 2, "variants.$[line].quantity": 2, "locationStock.$[at].quantity": 2 },
+      });
+    });
+  });
+
+  describe("fulfilmentPlan", () => {
+    const locationStock = [
+      { location: "c", sku: "", quantity: 1 },
+      { location: "a", sku: "", quantity: 5 },
+      { location: "b", sku: "", quantity: 4 },
+      { location: "a", sku: "TEE-M", quantity: 2 },
+    ];
+
+    it("should try the locations holding the whole line, then the fullest one", () => {
+      expect(fulfilmentPlan(locationStock, { ...productLine, quantity: 3 })).toEqual([
+        { location: "a", whole: true },
+        { location: "b", whole: true },
+        { location: "a", whole: false },
+      ]);
+      expect(fulfilmentPlan(locationStock, variantLine)).toEqual([{ location: "a", whole: false }]);
+    });
+
+    it("should plan nothing when no location holds the line's SKU", () => {
+      expect(fulfilmentPlan(locationStock, { ...variantLine, sku: "TEE-L" })).toEqual([]);
+      expect(fulfilmentPlan(undefined, productLine)).toEqual([]);
+    });
+  });
+
+  describe("locationFilter / locationStockChange / locationArrayFilters", () => {
+    it("should reserve a product line at its location", () => {
+      const line = { ...productLine, location: "north" };
+
+      expect(locationFilter(line, true)).toEqual({
+        ...inStockFilter(productLine),
+        locationStock: { $elemMatch: { location: "north", sku: "", quantity: { $gte: 2 } } },
+      });
+      expect(locationFilter(line, false).locationStock).toEqual({ $elemMatch: { location: "north", sku: "" } });
+      expect(locationStockChange(line, -1)).toEqual({
+        $inc: { quantity: -2, "locationStock.$[at].quantity": -2, sold: 2 },
+      });
+      expect(locationArrayFilters(line)).toEqual([{ "at.location": "north", "at.sku": "" }]);
+    });
+
+    it("should give back a variant line to its variant and location", () => {
+      const line = { ...variantLine, location: "south" };
+
+      expect(locationStockChange(line, 1)).toEqual({
+        $inc: { quantity: 3, "variants.$[line].quantity": 3, "locationStock.$[at].quantity": 3, sold: -3 },
+      });
+      expect(locationArrayFilters(line)).toEqual([
+        { "line._id": "v1" },
+        { "at.location": "south", "at.sku": "TEE-M" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,14 @@
+import stockMovementModel from "../models/stockMovementModel.js";
+
+// Appends movements to the stock ledger, see stockMovementModel, e.g.
+// [{ product, variant?, sku?, change: -2, balance: 8, reason: "sale", user, order }].
+// Movements without a change are left out. The stock has already changed when its movement is
+// written, so a failed write is logged and never fails the change it records.
+export const recordStockMovements = async (movements) => {
+  try {
+    const changes = movements.filter((movement) => movement.change);
+    if (changes.length) await stockMovementModel.insertMany(changes);
+  } catch (error) {
+    console.log(error);
+  }
+};
@@ -0,0 +1,53 @@
+import { recordStockMovements } from "./stockLedger.js";
+import stockMovementModel from "../models/stockMovementModel.js";
+
+jest.mock("../models/stockMovementModel.js");
+
+/**
+ * Unit Tests for the stock ledger
+ *
+ * Test Doubles Used:
+ * - stockMovementModel.insertMany: MOCK (records the movements appended to the ledger)
+ *
+ * Scenario Plan - recordStockMovements:
+ * #  | Category        | Scenario                                  | Expected
+ * 1  | Happy Path      | movements with and without a change       | only the changes appended, in one write
+ * 2  | Edge Case       | nothing changed                           | no write
+ * 3  | Error Handling  | database error                            | error logged, not thrown
+ */
+describe("recordStockMovements", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation();
+    stockMovementModel.insertMany = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("should append only the movements that changed the stock, in one write", async () => {
+    const sale = { product: "p1", change: -2, balance: 8, reason: "sale" };
+
+    await recordStockMovements([sale, { product: "p2", change: 0, balance: 4, reason: "adjustment" }]);
+
+    expect(stockMovementModel.insertMany).toHaveBeenCalledTimes(1);
+    expect(stockMovementModel.insertMany).toHaveBeenCalledWith([sale]);
+  });
+
+  it("should not write when nothing changed", async () => {
+    await recordStockMovements([]);
+
+    expect(stockMovementModel.insertMany).not.toHaveBeenCalled();
+  });
+
+  it("should log a failed write without throwing", async () => {
+    const error = new Error("Database failed");
+    stockMovementModel.insertMany.mockRejectedValueOnce(error);
+
+    await expect(
+      recordStockMovements([{ product: "p1", change: 5, reason: "return" }])
+    ).resolves.toBeUndefined();
+    expect(console.log).toHaveBeenCalledWith(error);
+  });
+});
@@ -0,0 +1,47 @@
+export const SUGGESTION_LIMITS = { products: 5, categories: 3, queries: 5 };
+
+// Popular queries are the ones searched for within this many days
+export const POPULAR_QUERY_DAYS = 30;
+
+// ... and at least this many times, so a query searched by one shopper is not shown to the others
+export const MIN_POPULAR_QUERY_COUNT = 3;
+
+// Start of the days popular queries are counted in
+export const popularSince = (now = new Date()) =>
+  new Date(now.getTime() - POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000);
+
+export const MAX_SUGGESTION_LENGTH = 100;
+
+// Lowercase with single spaces, so "  Gaming  LAPTOP" and "gaming laptop" count as one query
+export const normalizeQuery = (text) =>
+  String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+// A searched keyword as it is counted and suggested: normalized and cut to a suggestion's length
+export const storedQuery = (text) => normalizeQuery(text).slice(0, MAX_SUGGESTION_LENGTH).trim();
+
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matches names having a word that starts with the typed text, e.g. "lap" in "Gaming Laptop"
+export const wordPrefixRegex = (text) => new RegExp(`(^|\\s)${escapeRegex(text)}`, "i");
+
+// Splits the text into fragments, marking the ones matching the typed text, so the client can
+// highlight them without rendering HTML, e.g. "Gaming Laptop" for "lap" ->
+// [{ text: "Gaming ", match: false }, { text: "Lap", match: true }, { text: "top", match: false }]
+export const highlightFragments = (text, typed) => {
+  if (!typed) return [{ text, match: false }];
+  const fragments = [];
+  const pattern = new RegExp(`(^|\\s)(${escapeRegex(typed)})`, "gi");
+  let last = 0;
+  let found;
+  while ((found = pattern.exec(text))) {
+    const start = found.index + found[1].length;
+    if (start > last) fragments.push({ text: text.slice(last, start), match: false });
+    fragments.push({ text: found[2], match: true });
+    last = start + found[2].length;
+  }
+  if (last < text.length) fragments.push({ text: text.slice(last), match: false });
+  return fragments;
+};
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests: suggestionHelper
+ *
+ * Units Under Test:
+ *   normalizeQuery     - form a searched keyword is counted under
+ *   storedQuery        - normalized keyword cut to a suggestion's length
+ *   popularSince       - start of the days popular queries are counted in
+ *   wordPrefixRegex    - names having a word starting with the typed text
+ *   highlightFragments - name split into matching and other fragments
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | mixed case and extra spaces                       | lowercase, single spaces
+ * 7  | Boundary    | keyword longer than a suggestion                  | cut to the suggestion length
+ * 8  | Happy       | now                                               | POPULAR_QUERY_DAYS earlier
+ * 2  | Happy       | typed text at the start of a later word           | matches
+ * 3  | Edge        | typed text inside a word                          | no match
+ * 4  | Security    | regex characters in the typed text                | matched literally
+ * 5  | Happy       | one or more matching words                        | matching fragments marked
+ * 6  | Edge        | nothing typed, nothing matching                   | one unmarked fragment
+ */
+import {
+  highlightFragments,
+  MAX_SUGGESTION_LENGTH,
+  normalizeQuery,
+  popularSince,
+  POPULAR_QUERY_DAYS,
+  storedQuery,
+  wordPrefixRegex,
+} from "./suggestionHelper.js";
+
+describe("suggestionHelper", () => {
+  describe("normalizeQuery", () => {
+    it("should lowercase the query and collapse its spaces", () => {
+      expect(normalizeQuery("  Gaming   LAPTOP ")).toBe("gaming laptop");
+      expect(normalizeQuery(undefined)).toBe("");
+    });
+  });
+
+  describe("storedQuery", () => {
+    it("should cut a long keyword to the length of a suggestion", () => {
+      const long = `${"a".repeat(MAX_SUGGESTION_LENGTH - 1)} bbb`;
+
+      expect(storedQuery(long)).toBe("a".repeat(MAX_SUGGESTION_LENGTH - 1));
+      expect(storedQuery("  Gaming   LAPTOP ")).toBe("gaming laptop");
+    });
+  });
+
+  describe("popularSince", () => {
+    it("should go back the popular days from now", () => {
+      const now = new Date("2024-03-31T00:00:00Z");
+
+      expect(popularSince(now)).toEqual(new Date("2024-03-01T00:00:00Z"));
+      expect(POPULAR_QUERY_DAYS).toBe(30);
+    });
+  });
+
+  describe("wordPrefixRegex", () => {
+    it("should match names with a word starting with the typed text", () => {
+      expect(wordPrefixRegex("lap").test("Gaming Laptop")).toBe(true);
+      expect(wordPrefixRegex("GAM").test("Gaming Laptop")).toBe(true);
+      expect(wordPrefixRegex("top").test("Gaming Laptop")).toBe(false);
+    });
+
+    it("should match regex characters literally", () => {
+      expect(wordPrefixRegex("c++").test("C++ Primer")).toBe(true);
+      expect(wordPrefixRegex(".*").test("Gaming Laptop")).toBe(false);
+    });
+  });
+
+  describe("highlightFragments", () => {
+    it("should mark the fragments matching the typed text", () => {
+      expect(highlightFragments("Gaming Laptop", "lap")).toEqual([
+        { text: "Gaming ", match: false },
+        { text: "Lap", match: true },
+        { text: "top", match: false },
+      ]);
+      expect(highlightFragments("Lap desk for laptops", "LAP")).toEqual([
+        { text: "Lap", match: true },
+        { text: " desk for ", match: false },
+        { text: "lap", match: true },
+        { text: "tops", match: false },
+      ]);
+    });
+
+    it("should return the whole text unmarked when nothing matches or nothing was typed", () => {
+      expect(highlightFragments("Gaming Laptop", "")).toEqual([{ text: "Gaming Laptop", match: false }]);
+      expect(highlightFragments("Gaming Laptop", "top")).toEqual([{ text: "Gaming Laptop", match: false }]);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { searchWords } from "./searchHelper.js";
+
+export const MAX_TERM_LENGTH = 50;
+
+// A term the way the search compares it, e.g. " Mobile-Phone " -> "mobile phone"
+const toTerm = (text) => searchWords(text).join(" ");
+
+// Parses the terms of a synonym group sent as an array or a comma-separated list, e.g.
+// "Cellphone, smartphone, Mobile Phone" -> { terms: ["cellphone", "smartphone", "mobile phone"] }
+// Returns { error } when fewer than 2 different terms are left.
+export const parseSynonymTerms = (terms) => {
+  const list = (Array.isArray(terms) ? terms : String(terms ?? "").split(","))
+    .map(toTerm)
+    .filter(Boolean);
+  const unique = [...new Set(list)];
+  if (unique.length < 2) {
+    return { error: "A synonym group needs at least 2 different terms" };
+  }
+  if (unique.some((term) => term.length > MAX_TERM_LENGTH)) {
+    return { error: `Terms should be at most ${MAX_TERM_LENGTH} characters` };
+  }
+  return { terms: unique };
+};
+
+// Returns { error } unless the text is a single word, otherwise { word } in lowercase
+export const parseStopWord = (text) => {
+  const words = searchWords(text);
+  if (!words.length) return { error: "Stop word is required" };
+  if (words.length > 1) return { error: "A stop word should be a single word" };
+  return { word: words[0] };
+};
+
+// Rewrites a keyword the way the search runs it. Stop words are dropped, unless nothing else
+// would be left, and every word or phrase of a synonym group becomes a group of alternatives
+// with the typed term first. A product has to match one alternative of every group, e.g. with
+// the group [cellphone, smartphone] and the stop word "for":
+// "case for cellphone" -> { words: ["case", "cellphone"], removed: ["for"],
+//   groups: [["case"], ["cellphone", "smartphone"]] }
+export const rewriteQuery = (keyword, { synonyms = [], stopWords = [] } = {}) => {
+  const all = searchWords(keyword);
+  const kept = all.filter((word) => !stopWords.includes(word));
+  const words = kept.length ? kept : all;
+  const removed = kept.length ? all.filter((word) => stopWords.includes(word)) : [];
+
+  const groups = [];
+  for (let i = 0; i < words.length; ) {
+    // the longest synonym term starting at this word, so "mobile phone" wins over "mobile"
+    let match;
+    for (const terms of synonyms) {
+      for (const term of terms) {
+        const termWords = term.split(" ");
+        const matches = termWords.every((word, j) => words[i + j] === word);
+        if (matches && (!match || termWords.length > match.length)) {
+          match = { term, terms, length: termWords.length };
+        }
+      }
+    }
+    if (match) {
+      groups.push([match.term, ...match.terms.filter((term) => term !== match.term)]);
+      i += match.length;
+    } else {
+      groups.push([words[i]]);
+      i++;
+    }
+  }
+  return { words, removed, groups };
+};
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests: synonymHelper
+ *
+ * Units Under Test:
+ *   parseSynonymTerms - terms of a synonym group sent by an admin
+ *   parseStopWord     - stop word sent by an admin
+ *   rewriteQuery      - keyword as the search runs it
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | comma-separated list or array, mixed case         | normalized, duplicates dropped
+ * 2  | Negative    | fewer than 2 different terms, term too long       | error message
+ * 3  | Happy       | single word with spaces and capitals              | lowercase word
+ * 4  | Negative    | nothing or several words                          | error message
+ * 5  | Happy       | stop words and a synonym of one word              | stop words dropped, group of alternatives
+ * 6  | Happy       | synonym phrase and a shorter overlapping term     | longest term wins
+ * 7  | Edge        | keyword of only stop words, no dictionary         | words kept as they are
+ */
+import { MAX_TERM_LENGTH, parseStopWord, parseSynonymTerms, rewriteQuery } from "./synonymHelper.js";
+
+describe("synonymHelper", () => {
+  describe("parseSynonymTerms", () => {
+    it("should normalize the terms and drop duplicates", () => {
+      expect(parseSynonymTerms("Cellphone, smartphone ,Mobile-Phone, cellphone,")).toEqual({
+        terms: ["cellphone", "smartphone", "mobile phone"],
+      });
+      expect(parseSynonymTerms(["TV", "television"])).toEqual({ terms: ["tv", "television"] });
+    });
+
+    it.each([
+      [undefined, "A synonym group needs at least 2 different terms"],
+      ["phone, Phone", "A synonym group needs at least 2 different terms"],
+      [["tv", "a".repeat(MAX_TERM_LENGTH + 1)], `Terms should be at most ${MAX_TERM_LENGTH} characters`],
+    ])("should reject %j", (terms, error) => {
+      expect(parseSynonymTerms(terms)).toEqual({ error });
+    });
+  });
+
+  describe("parseStopWord", () => {
+    it("should lowercase a single word", () => {
+      expect(parseStopWord("  The ")).toEqual({ word: "the" });
+    });
+
+    it.each([
+      ["", "Stop word is required"],
+      ["of the", "A stop word should be a single word"],
+    ])("should reject %j", (text, error) => {
+      expect(parseStopWord(text)).toEqual({ error });
+    });
+  });
+
+  describe("rewriteQuery", () => {
+    const dictionary = {
+      synonyms: [
+        ["cellphone", "smartphone", "mobile phone"],
+        ["mobile", "portable"],
+      ],
+      stopWords: ["for", "the"],
+    };
+
+    it("should drop stop words and expand synonyms with the typed term first", () => {
+      expect(rewriteQuery("Case for the Smartphone", dictionary)).toEqual({
+        words: ["case", "smartphone"],
+        removed: ["for", "the"],
+        groups: [["case"], ["smartphone", "cellphone", "mobile phone"]],
+      });
+    });
+
+    it("should match the longest synonym term", () => {
+      expect(rewriteQuery("mobile phone charger", dictionary).groups).toEqual([
+        ["mobile phone", "cellphone", "smartphone"],
+        ["charger"],
+      ]);
+      expect(rewriteQuery("mobile charger", dictionary).groups).toEqual([
+        ["mobile", "portable"],
+        ["charger"],
+      ]);
+    });
+
+    it("should keep the words when there is nothing else to search or no dictionary", () => {
+      expect(rewriteQuery("The For", dictionary)).toEqual({
+        words: ["the", "for"],
+        removed: [],
+        groups: [["the"], ["for"]],
+      });
+      expect(rewriteQuery("laptop")).toEqual({ words: ["laptop"], removed: [], groups: [["laptop"]] });
+    });
+  });
+});
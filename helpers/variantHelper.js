@@ -0,0 +1,105 @@
+// Parses the JSON encoded variant fields sent by the product forms (express-formidable
+// gives us every field as a string) and validates them against each other.
+// Returns { error } on invalid input, otherwise { fields } holding only the keys that were sent.
+export const parseVariantFields = ({ variantOptions, variants } = {}) => {
+  const fields = {};
+  let options = [];
+
+  if (variantOptions !== undefined && variantOptions !== "") {
+    try {
+      options = typeof variantOptions === "string" ? JSON.parse(variantOptions) : variantOptions;
+    } catch (error) {
+      return { error: "Variant options must be valid JSON" };
+    }
+    if (!Array.isArray(options)) {
+      return { error: "Variant options must be a list" };
+    }
+    options = options.map((option) => ({
+      name: String(option?.name ?? "").trim(),
+      values: (Array.isArray(option?.values) ? option.values : [])
+        .map((value) => String(value).trim())
+        .filter(Boolean),
+    }));
+    const names = options.map((option) => option.name);
+    if (names.some((name) => !name)) {
+      return { error: "Variant option name is required" };
+    }
+    if (new Set(names).size !== names.length) {
+      return { error: "Variant option names must be unique" };
+    }
+    if (options.some((option) => option.values.length === 0)) {
+      return { error: "Variant option values are required" };
+    }
+    fields.variantOptions = options;
+  }
+
+  if (variants === undefined || variants === "") return { fields };
+
+  let list;
+  try {
+    list = typeof variants === "string" ? JSON.parse(variants) : variants;
+  } catch (error) {
+    return { error: "Variants must be valid JSON" };
+  }
+  if (!Array.isArray(list)) {
+    return { error: "Variants must be a list" };
+  }
+  if (list.length > 0 && options.length === 0) {
+    return { error: "Variant options are required when adding variants" };
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  const parsed = [];
+  for (const variant of list) {
+    const sku = String(variant?.sku ?? "").trim();
+    if (!sku) {
+      return { error: "Variant SKU is required" };
+    }
+    if (skus.has(sku)) {
+      return { error: `Duplicate variant SKU ${sku}` };
+    }
+    skus.add(sku);
+
+    const variantOptionValues = {};
+    for (const option of options) {
+      const value = variant?.options?.[option.name];
+      if (!option.values.includes(value)) {
+        return { error: `Variant ${sku} has an invalid ${option.name}` };
+      }
+      variantOptionValues[option.name] = value;
+    }
+    const combination = JSON.stringify(options.map((option) => variantOptionValues[option.name]));
+    if (combinations.has(combination)) {
+      return { error: `Variant ${sku} duplicates another variant's options` };
+    }
+    combinations.add(combination);
+
+    const price = variant.price === undefined || variant.price === null || variant.price === ""
+      ? undefined
+      : Number(variant.price);
+    if (price !== undefined && (isNaN(price) || price < 0)) {
+      return { error: `Variant ${sku} price should be greater than or equal to 0` };
+    }
+    const quantity = Number(variant.quantity);
+    if (variant.quantity === "" || variant.quantity === null || !Number.isInteger(quantity) || quantity < 0) {
+      return { error: `Variant ${sku} quantity should be a whole number greater than or equal to 0` };
+    }
+
+    parsed.push({
+      ...(variant._id && { _id: variant._id }),
+      sku,
+      options: variantOptionValues,
+      ...(price !== undefined && { price }),
+      quantity,
+    });
+  }
+
+  fields.variants = parsed;
+  // The product level quantity is the total across its variants
+  if (parsed.length > 0) {
+    fields.quantity = parsed.reduce((sum, variant) => sum + variant.quantity, 0);
+  }
+  return { fields };
+};
+
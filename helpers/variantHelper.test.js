@@ -0,0 +1,145 @@
+/**
+ * Unit Tests: variantHelper
+ *
+ * Unit Under Test:
+ *   parseVariantFields - parses and validates the JSON encoded variantOptions/variants form fields
+ *
+ * Scenario Plan:
+ * #  | Category    | Scenario                                          | Expected
+ * 1  | Happy       | no variant fields sent                            | empty fields
+ * 2  | Happy       | options and variants sent as JSON strings         | parsed fields, quantity summed
+ * 3  | Happy       | empty variants list                               | variants [], quantity untouched
+ * 4  | Happy       | variant price left blank                          | price omitted
+ * 5  | Happy       | existing variant _id is kept                      | _id passed through
+ * 6  | Negative    | malformed JSON                                    | error
+ * 7  | Negative    | options/variants not lists                        | error
+ * 8  | Negative    | option without name / values, duplicate names     | error
+ * 9  | Negative    | variants without options                          | error
+ * 10 | Negative    | missing / duplicate SKU                           | error
+ * 11 | Negative    | option value not allowed, duplicate combination   | error
+ * 12 | Boundary    | negative price / quantity, fractional quantity    | error
+ */
+import { parseVariantFields } from "./variantHelper.js";
+
+describe("variantHelper", () => {
+  describe("parseVariantFields", () => {
+    const variantOptions = JSON.stringify([
+      { name: "Size", values: ["S", "M"] },
+      { name: "Colour", values: ["Red", " Blue ", ""] },
+    ]);
+
+    const variant = (overrides = {}) => ({
+      sku: "TEE-S-RED",
+      options: { Size: "S", Colour: "Red" },
+      price: 20,
+      quantity: 3,
+      ...overrides,
+    });
+
+    describe("Happy Path", () => {
+      it("should return empty fields when no variant fields are sent", () => {
+        expect(parseVariantFields({ name: "Tee" })).toEqual({ fields: {} });
+        expect(parseVariantFields()).toEqual({ fields: {} });
+      });
+
+      it("should parse options and variants and total the quantity", () => {
+        const result = parseVariantFields({
+          variantOptions,
+          variants: JSON.stringify([
+            variant(),
+            variant({ sku: "TEE-M-BLUE", options: { Size: "M", Colour: "Blue" }, quantity: "4" }),
+          ]),
+        });
+
+        expect(result).toEqual({
+          fields: {
+            variantOptions: [
+              { name: "Size", values: ["S", "M"] },
+              { name: "Colour", values: ["Red", "Blue"] },
+            ],
+            variants: [
+              { sku: "TEE-S-RED", options: { Size: "S", Colour: "Red" }, price: 20, quantity: 3 },
+              { sku: "TEE-M-BLUE", options: { Size: "M", Colour: "Blue" }, price: 20, quantity: 4 },
+            ],
+            quantity: 7,
+          },
+        });
+      });
+
+      it("should not override quantity when the variants list is empty", () => {
+        const result = parseVariantFields({ variantOptions: "[]", variants: "[]" });
+
+        expect(result).toEqual({ fields: { variantOptions: [], variants: [] } });
+      });
+
+      it("should omit the price override when it is left blank", () => {
+        const result = parseVariantFields({
+          variantOptions,
+          variants: JSON.stringify([variant({ price: "" })]),
+        });
+
+        expect(result.fields.variants[0]).not.toHaveProperty("price");
+      });
+
+      it("should keep the _id of existing variants", () => {
+        const result = parseVariantFields({
+          variantOptions,
+          variants: [variant({ _id: "variant1" })],
+        });
+
+        expect(result.fields.variants[0]._id).toBe("variant1");
+      });
+    });
+
+    describe("Input Validation", () => {
+      it.each([
+        [{ variantOptions: "{bad" }, "Variant options must be valid JSON"],
+        [{ variantOptions, variants: "{bad" }, "Variants must be valid JSON"],
+        [{ variantOptions: "{}" }, "Variant options must be a list"],
+        [{ variantOptions, variants: "{}" }, "Variants must be a list"],
+        [{ variantOptions: JSON.stringify([{ values: ["S"] }]) }, "Variant option name is required"],
+        [
+          { variantOptions: JSON.stringify([{ name: "Size", values: ["S"] }, { name: "Size", values: ["M"] }]) },
+          "Variant option names must be unique",
+        ],
+        [{ variantOptions: JSON.stringify([{ name: "Size", values: [" "] }]) }, "Variant option values are required"],
+        [{ variants: JSON.stringify([variant()]) }, "Variant options are required when adding variants"],
+        [{ variantOptions, variants: JSON.stringify([variant({ sku: " " })]) }, "Variant SKU is required"],
+        [
+          { variantOptions, variants: JSON.stringify([variant(), variant({ options: { Size: "M", Colour: "Red" } })]) },
+          "Duplicate variant SKU TEE-S-RED",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant({ options: { Size: "XL", Colour: "Red" } })]) },
+          "Variant TEE-S-RED has an invalid Size",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant(), variant({ sku: "OTHER" })]) },
+          "Variant OTHER duplicates another variant's options",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant({ price: -1 })]) },
+          "Variant TEE-S-RED price should be greater than or equal to 0",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant({ price: "abc" })]) },
+          "Variant TEE-S-RED price should be greater than or equal to 0",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant({ quantity: -1 })]) },
+          "Variant TEE-S-RED quantity should be a whole number greater than or equal to 0",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant({ quantity: 1.5 })]) },
+          "Variant TEE-S-RED quantity should be a whole number greater than or equal to 0",
+        ],
+        [
+          { variantOptions, variants: JSON.stringify([variant({ quantity: "" })]) },
+          "Variant TEE-S-RED quantity should be a whole number greater than or equal to 0",
+        ],
+      ])("should return an error for %j", (fields, message) => {
+        expect(parseVariantFields(fields)).toEqual({ error: message });
+      });
+    });
+  });
+});
@@ -25,7 +25,7 @@ export default {
     "<rootDir>/client/src/pages/**/*.test.js",
     "<rootDir>/client/src/context/*.test.js",
     "<rootDir>/client/src/hooks/*.test.js",
-    "<rootDir>/client/src/components/Form/CategoryForm.test.js",
+    "<rootDir>/client/src/components/**/*.test.js",
     "<rootDir>/client/tests/integration/*.test.js",
   ],
   // jest code coverage
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Who may answer a product question: an admin, or a customer who bought the product
+export const ANSWERED_BY = ["admin", "buyer"];
+
+// An answer to a product question; votes are the users who found it useful, voteCount their
+// number for sorting
+const answerSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    answeredBy: {
+      type: String,
+      enum: ANSWERED_BY,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    votes: {
+      type: [mongoose.ObjectId],
+      default: [],
+      select: false,
+    },
+    voteCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+answerSchema.index({ question: 1, voteCount: -1, createdAt: 1 });
+
+export default mongoose.model("Answer", answerSchema);
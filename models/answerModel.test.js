@@ -0,0 +1,46 @@
+import Answer from "./answerModel.js";
+
+/**
+ *  Test cases for Answer Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should trim the answer and start without votes
+ * 2. Input Validation: 2 tests
+ *		a. Should fail validation when the question, user, author role or text is missing
+ *		b. Should fail validation for an unknown author role
+ */
+describe("Answer Model", () => {
+  const answer = {
+    question: "66db427fdb0119d9234b27f1",
+    user: "66db427fdb0119d9234b27f2",
+    answeredBy: "buyer",
+    text: " Yes, it does ",
+  };
+
+  describe("Happy Path", () => {
+    it("should trim the answer and start without votes", async () => {
+      const saved = new Answer(answer);
+
+      await expect(saved.validate()).resolves.toBeUndefined();
+      expect(saved.text).toBe("Yes, it does");
+      expect(saved.votes).toEqual([]);
+      expect(saved.voteCount).toBe(0);
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the question, user, author role or text is missing", async () => {
+      const error = await new Answer({}).validate().catch((e) => e);
+
+      expect(Object.keys(error.errors)).toEqual(
+        expect.arrayContaining(["question", "user", "answeredBy", "text"])
+      );
+    });
+
+    it("should fail validation for an unknown author role", async () => {
+      await expect(new Answer({ ...answer, answeredBy: "seller" }).validate()).rejects.toThrow(
+        /answeredBy/
+      );
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Word that holds a review for moderation when its comment contains it, e.g. a swear word
+const blockedWordSchema = new mongoose.Schema(
+  {
+    word: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("BlockedWord", blockedWordSchema);
@@ -0,0 +1,26 @@
+import BlockedWord from "./blockedWordModel.js";
+
+/**
+ *  Test cases for BlockedWord Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should lowercase and trim the word
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the word is missing
+ */
+describe("BlockedWord Model", () => {
+  describe("Happy Path", () => {
+    it("should lowercase and trim the word", async () => {
+      const blockedWord = new BlockedWord({ word: " Spam " });
+
+      await expect(blockedWord.validate()).resolves.toBeUndefined();
+      expect(blockedWord.word).toBe("spam");
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the word is missing", async () => {
+      await expect(new BlockedWord({}).validate()).rejects.toThrow(/word/);
+    });
+  });
+});
@@ -10,6 +10,35 @@ const categorySchema = new mongoose.Schema({
     type: String,
     lowercase: true,
   },
+  // Attributes the products of this category are described by, e.g. screen size for laptops
+  attributes: [
+    {
+      _id: false,
+      key: {
+        type: String,
+        required: true,
+      },
+      name: {
+        type: String,
+        required: true,
+      },
+      type: {
+        type: String,
+        enum: ["text", "number", "boolean", "select"],
+        default: "text",
+      },
+      unit: {
+        type: String,
+        default: "",
+      },
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      // allowed values of a select attribute
+      values: [String],
+    },
+  ],
 });
 
 export default mongoose.model("Category", categorySchema);
\ No newline at end of file
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// A warehouse the store ships from. Products hold their stock per location (see
+// productModel.locationStock) and each order line is fulfilled from one of them.
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Location", locationSchema);
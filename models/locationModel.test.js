@@ -0,0 +1,26 @@
+import Location from "./locationModel.js";
+
+/**
+ *  Test cases for Location Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should trim the name
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the name is missing
+ */
+describe("Location Model", () => {
+  describe("Happy Path", () => {
+    it("should trim the name", async () => {
+      const location = new Location({ name: " North warehouse " });
+
+      await expect(location.validate()).resolves.toBeUndefined();
+      expect(location.name).toBe("North warehouse");
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the name is missing", async () => {
+      await expect(new Location({}).validate()).rejects.toThrow(/name/);
+    });
+  });
+});
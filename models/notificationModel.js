@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import {
+  NOTIFICATION_STATUS,
+  NOTIFICATION_STATUS_LIST,
+  NOTIFICATION_TYPE_LIST,
+} from "../constants/notification.js";
+
+// Outbox of notifications for the admins and customers, sent in the background by
+// helpers/notificationOutbox.js
+const notificationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPE_LIST,
+      required: true,
+    },
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+    },
+    // email of the customer the notification is for, empty for the admins
+    to: {
+      type: String,
+      default: "",
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: NOTIFICATION_STATUS_LIST,
+      default: NOTIFICATION_STATUS.PENDING,
+    },
+    // failed deliveries so far, and why the last one failed
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: "",
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("Notification", notificationSchema);
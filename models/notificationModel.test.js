@@ -0,0 +1,44 @@
+import Notification from "./notificationModel.js";
+
+/**
+ *  Test cases for Notification Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should default to a pending notification for the admins without attempts
+ * 2. Input Validation: 2 tests
+ *		a. Should fail validation when the type, subject or message is missing
+ *		b. Should fail validation for an unknown type or status
+ */
+describe("Notification Model", () => {
+  const fields = { type: "low-stock", subject: "Laptop is running low", message: "3 left" };
+
+  describe("Happy Path", () => {
+    it("should default to a pending notification for the admins without attempts", async () => {
+      const notification = new Notification(fields);
+
+      await expect(notification.validate()).resolves.toBeUndefined();
+      expect(notification.status).toBe("pending");
+      expect(notification.to).toBe("");
+      expect(notification.attempts).toBe(0);
+      expect(notification.lastError).toBe("");
+      expect(notification.sentAt).toBeNull();
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the type, subject or message is missing", async () => {
+      const error = await new Notification({}).validate().catch((e) => e);
+
+      expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(["type", "subject", "message"]));
+    });
+
+    it.each([{ type: "restocked" }, { status: "queued" }])(
+      "should fail validation for %p",
+      async (invalid) => {
+        await expect(new Notification({ ...fields, ...invalid }).validate()).rejects.toThrow(
+          new RegExp(Object.keys(invalid)[0])
+        );
+      }
+    );
+  });
+});
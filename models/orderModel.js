@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { ORDER_STATUS_LIST, DEFAULT_ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import { LINE_STATUS, LINE_STATUS_LIST } from "../client/src/constants/stock.js";
 
 // Refactoring: Update status field to use enum for better data integrity - YAN WEIDONG A0258151H
 const orderSchema = new mongoose.Schema(
@@ -10,6 +11,40 @@ const orderSchema = new mongoose.Schema(
         ref: "Products",
       },
     ],
+    // Purchased lines, one per product/variant with the number of units bought
+    items: [
+      {
+        product: {
+          type: mongoose.ObjectId,
+          ref: "Products",
+        },
+        variant: {
+          type: mongoose.ObjectId,
+        },
+        sku: String,
+        options: {
+          type: Map,
+          of: String,
+        },
+        price: Number,
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        // location the line is fulfilled from, null for products not stocked per location
+        location: {
+          type: mongoose.ObjectId,
+          ref: "Location",
+          default: null,
+        },
+        // pre-ordered and backordered lines wait here until the stock is received
+        status: {
+          type: String,
+          enum: LINE_STATUS_LIST,
+          default: LINE_STATUS.READY,
+        },
+      },
+    ],
     payment: {},
     buyer: {
       type: mongoose.ObjectId,
@@ -24,4 +59,9 @@ const orderSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// finds the orders containing a product, for the products bought together with it
+orderSchema.index({ products: 1 });
+// finds the lines of a product waiting for its stock
+orderSchema.index({ "items.product": 1, "items.status": 1 });
+
 export default mongoose.model("Order", orderSchema);
\ No newline at end of file
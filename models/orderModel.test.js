@@ -5,6 +5,7 @@
 import mongoose from "mongoose";
 import Order from "../models/orderModel.js";
 import { ORDER_STATUS, DEFAULT_ORDER_STATUS } from "../client/src/constants/orderStatus.js";
+import { LINE_STATUS } from "../client/src/constants/stock.js";
 
 /**
  *  Test cases for Order Model
@@ -17,6 +18,9 @@ import { ORDER_STATUS, DEFAULT_ORDER_STATUS } from "../client/src/constants/orde
  *		b. Should fail validation when status is not in the enum list
  *		c. Should fail validation when buyer is not a valid ObjectId
  *		d. Should fail validation when products contains invalid ObjectIds
+ * 3. Order Lines: 2 tests
+ *		a. Should default a line to ready from no location and accept a line waiting for stock
+ *		b. Should fail validation when a line status is not in the enum list
  */
 describe("Order Model", () => {
   describe("Happy Path", () => {
@@ -121,4 +125,33 @@ describe("Order Model", () => {
       }
     });
   });
+
+  describe("Order Lines", () => {
+    it("should default a line to ready from no location and accept a line waiting for stock", async () => {
+      const order = new Order({
+        items: [
+          { product: new mongoose.Types.ObjectId(), price: 10 },
+          {
+            product: new mongoose.Types.ObjectId(),
+            price: 20,
+            quantity: 2,
+            status: LINE_STATUS.BACKORDER,
+            location: new mongoose.Types.ObjectId(),
+          },
+        ],
+      });
+
+      await expect(order.validate()).resolves.toBeUndefined();
+      expect(order.items[0].status).toBe(LINE_STATUS.READY);
+      expect(order.items[0].location).toBeNull();
+      expect(order.items[1].status).toBe(LINE_STATUS.BACKORDER);
+      expect(order.items[1].location).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    it("should fail when a line status is not in the enum list", async () => {
+      const order = new Order({ items: [{ product: new mongoose.Types.ObjectId(), status: "waiting" }] });
+
+      await expect(order.validate()).rejects.toThrow(/status/);
+    });
+  });
 });
@@ -1,4 +1,52 @@
 import mongoose from "mongoose";
+import { productSearchGrams } from "../helpers/searchHelper.js";
+import { stockLevel } from "../helpers/stockHelper.js";
+import { DEFAULT_REORDER_THRESHOLD, STOCK_LEVEL_LIST } from "../client/src/constants/stock.js";
+
+// A variant is a sellable SKU of the product (e.g. size M, colour Red) with its own stock
+// and an optional price that overrides the product price
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+});
+
+// Units of the product, or of one of its variants by SKU, held at a location. The product's
+// quantity, and each variant's, is the total across the locations.
+const locationStockSchema = new mongoose.Schema(
+  {
+    location: {
+      type: mongoose.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    // "" for a product without variants
+    sku: {
+      type: String,
+      default: "",
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const productSchema = new mongoose.Schema(
   {
@@ -27,15 +75,125 @@ const productSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Units in stock at or below which the admins are alerted that the product is running low
+    reorderThreshold: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_REORDER_THRESHOLD,
+    },
+    // Stock level the admins were last alerted at, cleared once the product is restocked
+    stockAlert: {
+      type: String,
+      enum: [...STOCK_LEVEL_LIST, null],
+      default: null,
+    },
+    // Sold before the stock arrives: a pre-order ships from its expected ship date, a backorder
+    // once the product is restocked. Either way up to backorderLimit units are sold beyond stock,
+    // taking quantity below zero.
+    preorder: {
+      type: Boolean,
+      default: false,
+    },
+    expectedShipDate: {
+      type: Date,
+      default: null,
+    },
+    backorder: {
+      type: Boolean,
+      default: false,
+    },
+    backorderLimit: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Units sold, for the best-selling sort
+    sold: {
+      type: Number,
+      default: 0,
+    },
+    // Average stars and number of the product's reviews, kept in sync by the review controller
+    ratingAverage: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
     photo: {
       data: Buffer,
       contentType: String,
     },
+    // Gallery images stored in GridFS, the first one is the primary image
+    images: [
+      {
+        _id: false,
+        fileId: {
+          type: mongoose.ObjectId,
+          required: true,
+        },
+        contentType: String,
+        alt: {
+          type: String,
+          default: "",
+        },
+      },
+    ],
     shipping: {
       type: Boolean,
       // Bug fix: Made shipping field required for consistency - Ong Chang Heng Bertrand A0253013X
       required: true,
     },
+    // Option names and their allowed values, e.g. { name: "Size", values: ["S", "M", "L"] }
+    variantOptions: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+        },
+        values: [String],
+      },
+    ],
+    variants: [variantSchema],
+    // Stock per location, empty while the product's stock is not tracked per location. Shoppers
+    // only see the total, so it is only loaded when asked for.
+    locationStock: {
+      type: [locationStockSchema],
+      select: false,
+    },
+    // Values of the category's attributes, keyed by attribute key
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Only published products, and scheduled ones once publishAt has passed, are shown
+    // to shoppers until unpublishAt
+    status: {
+      type: String,
+      enum: ["draft", "published", "scheduled"],
+      default: "published",
+    },
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when an admin archives the product, null while it is listed
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Trigrams of the name and description for the typo-tolerant search, set on every save
+    searchGrams: {
+      type: [String],
+      select: false,
+    },
   },
   { timestamps: true }
 );
@@ -46,7 +204,21 @@ productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ category: 1, price: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ sold: -1 });
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
+productSchema.index({ archivedAt: 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ quantity: 1 });
+productSchema.index({ "locationStock.location": 1 });
 
 productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ searchGrams: 1 });
+
+productSchema.pre("save", function (next) {
+  this.searchGrams = productSearchGrams(this);
+  // a restocked product alerts again the next time it runs low
+  if (!stockLevel(this.quantity, this.reorderThreshold)) this.stockAlert = null;
+  next();
+});
 
 export default mongoose.model("Products", productSchema);
\ No newline at end of file
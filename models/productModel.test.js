@@ -14,6 +14,22 @@ import Product from "../models/productModel.js";
 		a. Should fail validation when required fields are missing
 		b. Should fail validation when price is not a number
 		c. Should fail validation when quantity is not a number
+	3. Variants: 2 tests
+		a. Should validate successfully with variant options and variants
+		b. Should fail validation when a variant is missing its SKU
+	4. Images: 2 tests
+		a. Should validate successfully with gallery images and default alt text
+		b. Should fail validation when an image is missing its file id
+	5. Stock Alerts: 3 tests
+		a. Should default to the reorder threshold without a stock alert
+		b. Should fail validation for a negative reorder threshold or unknown stock alert
+		c. Should clear the stock alert of a restocked product on save, and keep it while low
+	6. Pre-orders and Backorders: 2 tests
+		a. Should default to selling only what is in stock
+		b. Should validate a pre-order with its ship date and a negative stock, and fail a negative limit
+	7. Location Stock: 2 tests
+		a. Should validate stock per location and SKU, and leave it out of query results
+		b. Should fail validation when a location stock entry is missing its location
 */
 
 describe("Product Model", () => {
@@ -85,4 +101,263 @@ describe("Product Model", () => {
       expect(product.validate()).rejects.toThrow();
     });
   });
+  describe("Variants", () => {
+    const productFields = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 5,
+      shipping: true,
+      variantOptions: [{ name: "Size", values: ["S", "M"] }],
+    };
+
+    it("should validate successfully with variant options and variants", async () => {
+      const product = new Product({
+        ...productFields,
+        variants: [
+          { sku: "TP-S", options: { Size: "S" }, quantity: 2 },
+          { sku: "TP-M", options: { Size: "M" }, price: 120, quantity: 3 },
+        ],
+      });
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.variants[0].options.get("Size")).toBe("S");
+    });
+
+    it("should fail when a variant is missing its SKU", async () => {
+      const product = new Product({
+        ...productFields,
+        variants: [{ options: { Size: "S" }, quantity: 2 }],
+      });
+      await expect(product.validate()).rejects.toThrow();
+    });
+  });
+  describe("Images", () => {
+    const productFields = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 5,
+      shipping: true,
+    };
+
+    it("should validate successfully with gallery images and default alt text", async () => {
+      const fileId = new mongoose.Types.ObjectId();
+      const product = new Product({
+        ...productFields,
+        images: [{ fileId, contentType: "image/png" }],
+      });
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.images[0].fileId).toEqual(fileId);
+      expect(product.images[0].alt).toBe("");
+    });
+
+    it("should fail when an image is missing its file id", async () => {
+      const product = new Product({
+        ...productFields,
+        images: [{ contentType: "image/png", alt: "Front" }],
+      });
+      await expect(product.validate()).rejects.toThrow();
+    });
+  });
+
+  describe("Archiving", () => {
+    it("should default archivedAt to null and accept an archive date", async () => {
+      const product = new Product({
+        name: "Test Product",
+        slug: "test-product",
+        description: "Test description",
+        price: 100,
+        category: new mongoose.Types.ObjectId(),
+        quantity: 5,
+        shipping: true,
+      });
+      expect(product.archivedAt).toBeNull();
+
+      product.archivedAt = new Date("2024-01-01");
+      await expect(product.validate()).resolves.toBeUndefined();
+    });
+  });
+
+  describe("Publishing", () => {
+    const productFields = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 5,
+      shipping: true,
+    };
+
+    it("should default to published with no publish dates", () => {
+      const product = new Product(productFields);
+      expect(product.status).toBe("published");
+      expect(product.publishAt).toBeNull();
+      expect(product.unpublishAt).toBeNull();
+    });
+
+    it("should validate successfully when scheduled with publish dates", async () => {
+      const product = new Product({
+        ...productFields,
+        status: "scheduled",
+        publishAt: new Date("2024-06-01"),
+        unpublishAt: new Date("2024-07-01"),
+      });
+      await expect(product.validate()).resolves.toBeUndefined();
+    });
+
+    it("should fail with an unknown status", async () => {
+      const product = new Product({ ...productFields, status: "hidden" });
+      await expect(product.validate()).rejects.toThrow();
+    });
+  });
+
+  describe("Attributes", () => {
+    it("should store attribute values of any type by key", async () => {
+      const product = new Product({
+        name: "Test Product",
+        slug: "test-product",
+        description: "Test description",
+        price: 100,
+        category: new mongoose.Types.ObjectId(),
+        quantity: 5,
+        shipping: true,
+        attributes: { "screen-size": 13.3, backlit: true, author: "Tolkien" },
+      });
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.attributes.get("screen-size")).toBe(13.3);
+      expect(product.attributes.get("backlit")).toBe(true);
+      expect(new Product({}).attributes.size).toBe(0);
+    });
+  });
+
+  describe("Search", () => {
+    it("should index the search trigrams and leave them out of query results", () => {
+      expect(Product.schema.indexes()).toContainEqual([{ searchGrams: 1 }, expect.anything()]);
+      expect(Product.schema.path("searchGrams").options.select).toBe(false);
+    });
+  });
+
+  describe("Stock Alerts", () => {
+    const fields = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 5,
+      shipping: true,
+    };
+
+    // runs the pre-save middleware without a database
+    const runSaveHooks = (product) =>
+      new Promise((resolve, reject) =>
+        Product.schema.s.hooks.execPre("save", product, [], (error) => (error ? reject(error) : resolve()))
+      );
+
+    it("should default to the reorder threshold without a stock alert", async () => {
+      const product = new Product(fields);
+
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.reorderThreshold).toBe(5);
+      expect(product.stockAlert).toBeNull();
+    });
+
+    it.each([{ reorderThreshold: -1 }, { stockAlert: "empty" }])(
+      "should fail validation for %p",
+      async (invalid) => {
+        await expect(new Product({ ...fields, ...invalid }).validate()).rejects.toThrow(
+          new RegExp(Object.keys(invalid)[0])
+        );
+      }
+    );
+
+    it("should clear the stock alert of a restocked product on save, and keep it while low", async () => {
+      const restocked = new Product({ ...fields, quantity: 20, stockAlert: "low" });
+      const low = new Product({ ...fields, quantity: 2, stockAlert: "out" });
+
+      await runSaveHooks(restocked);
+      await runSaveHooks(low);
+
+      expect(restocked.stockAlert).toBeNull();
+      expect(low.stockAlert).toBe("out");
+    });
+  });
+
+  describe("Pre-orders and Backorders", () => {
+    const fields = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 0,
+      shipping: true,
+    };
+
+    it("should default to selling only what is in stock", async () => {
+      const product = new Product(fields);
+
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.preorder).toBe(false);
+      expect(product.expectedShipDate).toBeNull();
+      expect(product.backorder).toBe(false);
+      expect(product.backorderLimit).toBe(0);
+    });
+
+    it("should validate a pre-order with its ship date and a negative stock, and fail a negative limit", async () => {
+      const product = new Product({
+        ...fields,
+        quantity: -3,
+        preorder: true,
+        expectedShipDate: "2024-09-01",
+        backorderLimit: 10,
+      });
+
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.expectedShipDate).toEqual(new Date("2024-09-01"));
+      await expect(new Product({ ...fields, backorderLimit: -1 }).validate()).rejects.toThrow(
+        /backorderLimit/
+      );
+    });
+  });
+
+  describe("Location Stock", () => {
+    const fields = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 7,
+      shipping: true,
+    };
+
+    it("should validate stock per location and SKU, and leave it out of query results", async () => {
+      const north = new mongoose.Types.ObjectId();
+      const product = new Product({
+        ...fields,
+        locationStock: [
+          { location: north, quantity: 5 },
+          { location: new mongoose.Types.ObjectId(), quantity: 2 },
+        ],
+      });
+
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.locationStock[0].location).toEqual(north);
+      expect(product.locationStock[0].sku).toBe("");
+      expect(Product.schema.path("locationStock").options.select).toBe(false);
+      expect(new Product(fields).locationStock).toHaveLength(0);
+    });
+
+    it("should fail validation when a location stock entry is missing its location", async () => {
+      await expect(
+        new Product({ ...fields, locationStock: [{ quantity: 2 }] }).validate()
+      ).rejects.toThrow(/location/);
+    });
+  });
 });
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// A shopper's question about a product; answerCount is kept on the question so the admin inbox
+// can find the unanswered ones without reading the answers
+const questionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    answerCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+questionSchema.index({ product: 1, createdAt: -1 });
+questionSchema.index({ answerCount: 1, createdAt: 1 });
+
+export default mongoose.model("Question", questionSchema);
@@ -0,0 +1,33 @@
+import Question from "./questionModel.js";
+
+/**
+ *  Test cases for Question Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should trim the question and start without answers
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the product, user or text is missing
+ */
+describe("Question Model", () => {
+  describe("Happy Path", () => {
+    it("should trim the question and start without answers", async () => {
+      const question = new Question({
+        product: "66db427fdb0119d9234b27f1",
+        user: "66db427fdb0119d9234b27f2",
+        text: " Does it fit a 15 inch laptop? ",
+      });
+
+      await expect(question.validate()).resolves.toBeUndefined();
+      expect(question.text).toBe("Does it fit a 15 inch laptop?");
+      expect(question.answerCount).toBe(0);
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the product, user or text is missing", async () => {
+      const error = await new Question({}).validate().catch((e) => e);
+
+      expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(["product", "user", "text"]));
+    });
+  });
+});
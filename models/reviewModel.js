@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { REVIEW_STATUS, REVIEW_STATUS_LIST } from "../client/src/constants/reviewStatus.js";
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// A buyer's stars and comment on a product they ordered; one review per buyer and product.
+// helpfulVotes are the users who found the review helpful, helpfulCount their number for sorting.
+// Only approved reviews are shown and counted in the product rating; a review is held as pending
+// when its comment has blocked words or too many shoppers report it.
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: MIN_RATING,
+      max: MAX_RATING,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    helpfulVotes: {
+      type: [mongoose.ObjectId],
+      default: [],
+      select: false,
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: REVIEW_STATUS_LIST,
+      default: REVIEW_STATUS.APPROVED,
+    },
+    // blocked words found in the comment, shown to the admin moderating the review
+    heldFor: {
+      type: [String],
+      default: [],
+    },
+    reports: {
+      type: [
+        {
+          _id: false,
+          user: mongoose.ObjectId,
+          reason: String,
+          createdAt: Date,
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ product: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, reportCount: -1, createdAt: -1 });
+
+export default mongoose.model("Review", reviewSchema);
@@ -0,0 +1,49 @@
+import Review from "./reviewModel.js";
+
+/**
+ *  Test cases for Review Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should default to an approved review without comment, votes or reports
+ * 2. Input Validation: 3 tests
+ *		a. Should fail validation when the product, user or rating is missing
+ *		b. Should fail validation for a rating outside 1 to 5 stars
+ *		c. Should fail validation for an unknown moderation status
+ */
+describe("Review Model", () => {
+  const product = "66db427fdb0119d9234b27f1";
+  const user = "66db427fdb0119d9234b27f2";
+
+  describe("Happy Path", () => {
+    it("should default to an approved review without comment, votes or reports", async () => {
+      const review = new Review({ product, user, rating: 4 });
+
+      await expect(review.validate()).resolves.toBeUndefined();
+      expect(review.comment).toBe("");
+      expect(review.helpfulVotes).toEqual([]);
+      expect(review.helpfulCount).toBe(0);
+      expect(review.status).toBe("approved");
+      expect(review.heldFor).toEqual([]);
+      expect(review.reports).toEqual([]);
+      expect(review.reportCount).toBe(0);
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the product, user or rating is missing", async () => {
+      const error = await new Review({}).validate().catch((e) => e);
+
+      expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(["product", "user", "rating"]));
+    });
+
+    it.each([0, 6])("should fail validation for a rating of %i stars", async (rating) => {
+      await expect(new Review({ product, user, rating }).validate()).rejects.toThrow(/rating/);
+    });
+
+    it("should fail validation for an unknown moderation status", async () => {
+      await expect(
+        new Review({ product, user, rating: 4, status: "hidden" }).validate()
+      ).rejects.toThrow(/status/);
+    });
+  });
+});
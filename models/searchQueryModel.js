@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Keywords shoppers searched for, counted so popular ones can be suggested while typing
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+searchQuerySchema.index({ lastSearchedAt: 1, count: -1 });
+
+export default mongoose.model("SearchQuery", searchQuerySchema);
@@ -0,0 +1,30 @@
+import SearchQuery from "./searchQueryModel.js";
+
+/**
+ *  Test cases for SearchQuery Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should normalize the query and default the count and search date
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the query is missing
+ */
+describe("SearchQuery Model", () => {
+  describe("Happy Path", () => {
+    it("should normalize the query and default the count and search date", async () => {
+      const searchQuery = new SearchQuery({ query: "  Laptop " });
+
+      await expect(searchQuery.validate()).resolves.toBeUndefined();
+      expect(searchQuery.query).toBe("laptop");
+      expect(searchQuery.count).toBe(0);
+      expect(searchQuery.lastSearchedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the query is missing", async () => {
+      const searchQuery = new SearchQuery({});
+
+      await expect(searchQuery.validate()).rejects.toThrow(/query/);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import { STOCK_MOVEMENT_REASON_LIST } from "../client/src/constants/stock.js";
+
+// Append-only ledger of every change to the stock of a product: sales, manual adjustments,
+// returns, imports and transfers between locations. Movements are written by helpers/stockLedger.js and never changed or removed.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    // the variant whose stock changed along with the product's, if any
+    variant: {
+      type: mongoose.ObjectId,
+      default: null,
+    },
+    sku: {
+      type: String,
+      default: "",
+    },
+    // location whose stock changed, for products stocked per location
+    location: {
+      type: mongoose.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    // units added (positive) or taken out (negative)
+    change: {
+      type: Number,
+      required: true,
+    },
+    // stock of the product right after the change
+    balance: {
+      type: Number,
+    },
+    reason: {
+      type: String,
+      enum: STOCK_MOVEMENT_REASON_LIST,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    // admin who made the change, or the buyer of a sale
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      default: null,
+    },
+    order: {
+      type: mongoose.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// the history of a product, newest first
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+const APPEND_ONLY = "Stock movements cannot be changed or removed";
+
+stockMovementSchema.pre("save", function (next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY));
+});
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  () => {
+    throw new Error(APPEND_ONLY);
+  }
+);
+
+export default mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,61 @@
+import StockMovement from "./stockMovementModel.js";
+
+/**
+ *  Test cases for StockMovement Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should default to a movement of the product itself without a location, note, user or order
+ * 2. Input Validation: 2 tests
+ *		a. Should fail validation when the product, change or reason is missing
+ *		b. Should fail validation for an unknown reason or a note over 200 characters
+ * 3. Append Only: 2 tests
+ *		a. Should refuse to save a movement again once recorded
+ *		b. Should refuse to update or delete movements
+ */
+describe("StockMovement Model", () => {
+  const fields = { product: "66db427fdb0119d9234b27f1", change: -2, balance: 8, reason: "sale" };
+
+  describe("Happy Path", () => {
+    it("should default to a movement of the product itself without a location, note, user or order", async () => {
+      const movement = new StockMovement(fields);
+
+      await expect(movement.validate()).resolves.toBeUndefined();
+      expect(movement.variant).toBeNull();
+      expect(movement.sku).toBe("");
+      expect(movement.location).toBeNull();
+      expect(movement.note).toBe("");
+      expect(movement.user).toBeNull();
+      expect(movement.order).toBeNull();
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the product, change or reason is missing", async () => {
+      const error = await new StockMovement({}).validate().catch((e) => e);
+
+      expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(["product", "change", "reason"]));
+    });
+
+    it.each([{ reason: "restock" }, { location: "north" }, { note: "x".repeat(201) }])("should fail validation for %p", async (invalid) => {
+      await expect(new StockMovement({ ...fields, ...invalid }).validate()).rejects.toThrow(
+        new RegExp(Object.keys(invalid)[0])
+      );
+    });
+  });
+
+  describe("Append Only", () => {
+    it("should refuse to save a movement again once recorded", async () => {
+      const movement = StockMovement.hydrate({ _id: "66db427fdb0119d9234b27f2", ...fields });
+      movement.change = 5;
+
+      await expect(movement.save()).rejects.toThrow("Stock movements cannot be changed or removed");
+    });
+
+    it("should refuse to update or delete movements", async () => {
+      await expect(StockMovement.updateOne({}, { $set: { change: 5 } })).rejects.toThrow(
+        "Stock movements cannot be changed or removed"
+      );
+      await expect(StockMovement.deleteMany({})).rejects.toThrow("Stock movements cannot be changed or removed");
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A customer waiting for an out of stock product to be restocked; notifiedAt is set once the
+// back in stock notification is queued, and cleared again when they subscribe anew
+const stockSubscriptionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+stockSubscriptionSchema.index({ product: 1, user: 1 }, { unique: true });
+stockSubscriptionSchema.index({ product: 1, notifiedAt: 1 });
+
+export default mongoose.model("StockSubscription", stockSubscriptionSchema);
@@ -0,0 +1,31 @@
+import StockSubscription from "./stockSubscriptionModel.js";
+
+/**
+ *  Test cases for StockSubscription Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should start waiting for the product to be restocked
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the product or user is missing
+ */
+describe("StockSubscription Model", () => {
+  describe("Happy Path", () => {
+    it("should start waiting for the product to be restocked", async () => {
+      const subscription = new StockSubscription({
+        product: "66db427fdb0119d9234b27f1",
+        user: "66db427fdb0119d9234b27f2",
+      });
+
+      await expect(subscription.validate()).resolves.toBeUndefined();
+      expect(subscription.notifiedAt).toBeNull();
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the product or user is missing", async () => {
+      const error = await new StockSubscription({}).validate().catch((e) => e);
+
+      expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(["product", "user"]));
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Words left out of a search keyword, e.g. "for" in "case for laptop"
+const stopWordSchema = new mongoose.Schema(
+  {
+    word: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("StopWord", stopWordSchema);
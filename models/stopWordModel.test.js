@@ -0,0 +1,26 @@
+import StopWord from "./stopWordModel.js";
+
+/**
+ *  Test cases for StopWord Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should lowercase and trim the word
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the word is missing
+ */
+describe("StopWord Model", () => {
+  describe("Happy Path", () => {
+    it("should lowercase and trim the word", async () => {
+      const stopWord = new StopWord({ word: " The " });
+
+      await expect(stopWord.validate()).resolves.toBeUndefined();
+      expect(stopWord.word).toBe("the");
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the word is missing", async () => {
+      await expect(new StopWord({}).validate()).rejects.toThrow(/word/);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Terms searched for as one, e.g. ["cellphone", "smartphone", "mobile phone"]; a term belongs
+// to one group only
+const synonymSchema = new mongoose.Schema(
+  {
+    terms: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (terms) => terms.length >= 2,
+        message: "A synonym group needs at least 2 terms",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+synonymSchema.index({ terms: 1 });
+
+export default mongoose.model("Synonym", synonymSchema);
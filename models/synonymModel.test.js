@@ -0,0 +1,28 @@
+import Synonym from "./synonymModel.js";
+
+/**
+ *  Test cases for Synonym Model
+ *
+ * 1. Happy Path: 1 test
+ *		a. Should validate a group of terms
+ * 2. Input Validation: 1 test
+ *		a. Should fail validation when the group has fewer than 2 terms
+ */
+describe("Synonym Model", () => {
+  describe("Happy Path", () => {
+    it("should validate a group of terms", async () => {
+      const synonym = new Synonym({ terms: ["cellphone", "smartphone"] });
+
+      await expect(synonym.validate()).resolves.toBeUndefined();
+    });
+  });
+
+  describe("Input Validation", () => {
+    it("should fail validation when the group has fewer than 2 terms", async () => {
+      await expect(new Synonym({ terms: ["cellphone"] }).validate()).rejects.toThrow(
+        /at least 2 terms/
+      );
+      await expect(new Synonym({}).validate()).rejects.toThrow(/at least 2 terms/);
+    });
+  });
+});
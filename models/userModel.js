@@ -32,6 +32,22 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // products saved for later, newest last
+    wishlist: {
+      type: [{ type: mongoose.ObjectId, ref: "Products" }],
+      default: [],
+    },
+    // products the user looked at, latest first, see helpers/recentlyViewedHelper.js
+    recentlyViewed: {
+      type: [
+        {
+          _id: false,
+          product: { type: mongoose.ObjectId, ref: "Products", required: true },
+          viewedAt: { type: Date, required: true },
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: true }
 );
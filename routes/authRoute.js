@@ -8,6 +8,13 @@ import {
   getOrdersController,
   getAllOrdersController,
   orderStatusController,
+  getWishlistController,
+  addToWishlistController,
+  removeFromWishlistController,
+  getRecentlyViewedController,
+  recordViewController,
+  mergeRecentlyViewedController,
+  clearRecentlyViewedController,
 } from "../controllers/authController.js";
 import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
 
@@ -305,6 +312,246 @@ router.put("/profile", requireSignIn, updateProfileController);
 //orders
 router.get("/orders", requireSignIn, getOrdersController);
 
+/**
+ * @openapi
+ * /api/v1/auth/wishlist:
+ *   get:
+ *     summary: Get the products on the user's wishlist
+ *     tags:
+ *       - User
+ *     responses:
+ *       200:
+ *         description: Wishlist retrieved successfully, archived products left out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 wishlist:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Error getting wishlist
+ */
+//wishlist
+router.get("/wishlist", requireSignIn, getWishlistController);
+
+/**
+ * @openapi
+ * /api/v1/auth/wishlist/{pid}:
+ *   put:
+ *     summary: Add a product to the user's wishlist
+ *     tags:
+ *       - User
+ *     parameters:
+ *       - in: path
+ *         name: pid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^[0-9a-fA-F]{24}$" # MongoDB ObjectId format
+ *         description: ID of the product (24-character hexadecimal string)
+ *     responses:
+ *       200:
+ *         description: Product added, or already on the wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 wishlist:
+ *                   type: array
+ *                   description: IDs of the products on the wishlist
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Invalid product id
+ *       404:
+ *         description: Product not found or archived
+ *   delete:
+ *     summary: Remove a product from the user's wishlist
+ *     tags:
+ *       - User
+ *     parameters:
+ *       - in: path
+ *         name: pid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^[0-9a-fA-F]{24}$" # MongoDB ObjectId format
+ *         description: ID of the product (24-character hexadecimal string)
+ *     responses:
+ *       200:
+ *         description: Product removed from the wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 wishlist:
+ *                   type: array
+ *                   description: IDs of the products on the wishlist
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Invalid product id
+ */
+//add to wishlist
+router.put("/wishlist/:pid", requireSignIn, addToWishlistController);
+
+//remove from wishlist
+router.delete("/wishlist/:pid", requireSignIn, removeFromWishlistController);
+
+/**
+ * @openapi
+ * /api/v1/auth/recently-viewed:
+ *   get:
+ *     summary: Get the products the user viewed recently, latest first
+ *     tags:
+ *       - User
+ *     responses:
+ *       200:
+ *         description: Recently viewed products retrieved successfully, archived products left out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Error getting recently viewed products
+ *   delete:
+ *     summary: Clear the user's recently viewed history
+ *     tags:
+ *       - User
+ *     responses:
+ *       200:
+ *         description: Recently viewed history cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ */
+//recently viewed
+router.get("/recently-viewed", requireSignIn, getRecentlyViewedController);
+
+//clear recently viewed
+router.delete("/recently-viewed", requireSignIn, clearRecentlyViewedController);
+
+/**
+ * @openapi
+ * /api/v1/auth/recently-viewed/merge:
+ *   post:
+ *     summary: Merge the products viewed as a guest into the user's history
+ *     tags:
+ *       - User
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               views:
+ *                 type: array
+ *                 maxItems: 12
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                       description: ID of the product
+ *                     viewedAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Views merged, each product kept once at its latest view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Invalid views
+ */
+//merge guest views
+router.post("/recently-viewed/merge", requireSignIn, mergeRecentlyViewedController);
+
+/**
+ * @openapi
+ * /api/v1/auth/recently-viewed/{pid}:
+ *   put:
+ *     summary: Record that the user viewed a product
+ *     tags:
+ *       - User
+ *     parameters:
+ *       - in: path
+ *         name: pid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^[0-9a-fA-F]{24}$" # MongoDB ObjectId format
+ *         description: ID of the product (24-character hexadecimal string)
+ *     responses:
+ *       200:
+ *         description: View recorded, the product moved to the front of the history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Invalid product id
+ *       404:
+ *         description: Product not found or archived
+ */
+//record view
+router.put("/recently-viewed/:pid", requireSignIn, recordViewController);
+
 /**
  * @openapi
  * /api/v1/auth/all-orders:
@@ -5,6 +5,7 @@ import {
   createCategoryController,
   deleteCategoryController,
   singleCategoryController,
+  updateCategoryAttributesController,
   updateCategoryController,
 } from "./../controllers/categoryController.js";
 
@@ -27,6 +28,14 @@ router.put(
   updateCategoryController
 );
 
+//update category attributes
+router.put(
+  "/update-category-attributes/:id",
+  requireSignIn,
+  isAdmin,
+  updateCategoryAttributesController
+);
+
 //getAll category
 router.get("/get-category", categoryController);
 
@@ -0,0 +1,25 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "./../middlewares/authMiddleware.js";
+import {
+  createLocationController,
+  deleteLocationController,
+  getLocationsController,
+  updateLocationController,
+} from "./../controllers/locationController.js";
+
+const router = express.Router();
+
+//routes
+//get locations
+router.get("/get-locations", requireSignIn, isAdmin, getLocationsController);
+
+//create location
+router.post("/create-location", requireSignIn, isAdmin, createLocationController);
+
+//rename location
+router.put("/update-location/:id", requireSignIn, isAdmin, updateLocationController);
+
+//delete location
+router.delete("/delete-location/:id", requireSignIn, isAdmin, deleteLocationController);
+
+export default router;
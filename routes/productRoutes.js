@@ -1,18 +1,37 @@
 import express from "express";
 import {
+  adjustStockController,
   braintreePaymentController,
   braintreeTokenController,
+  compareProductsController,
   createProductController,
   deleteProductController,
+  exportProductsController,
+  frequentlyBoughtTogetherController,
+  getAdminProductController,
+  getAdminProductsController,
+  getArchivedProductsController,
+  getLowStockProductsController,
   getProductController,
   getSingleProductController,
+  getStockMovementsController,
+  getStockSubscriptionController,
+  importProductsController,
+  lowStockCountsController,
   productCategoryController,
   productCountController,
   productFiltersController,
   productListController,
   productPhotoController,
+  productSearchController,
+  purgeProductController,
   realtedProductController,
+  restoreProductController,
   searchProductController,
+  searchSuggestionsController,
+  subscribeToStockController,
+  transferStockController,
+  unsubscribeFromStockController,
   updateProductController,
 } from "../controllers/productController.js";
 import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
@@ -25,7 +44,7 @@ router.post(
   "/create-product",
   requireSignIn,
   isAdmin,
-  formidable(),
+  formidable({ multiples: true }),
   createProductController
 );
 //routes
@@ -33,21 +52,75 @@ router.put(
   "/update-product/:pid",
   requireSignIn,
   isAdmin,
-  formidable(),
+  formidable({ multiples: true }),
   updateProductController
 );
 
+//import products from csv
+router.post(
+  "/import-products",
+  requireSignIn,
+  isAdmin,
+  formidable(),
+  importProductsController
+);
+
+//export products to csv
+router.get("/export-products", requireSignIn, isAdmin, exportProductsController);
+
 //get products
 router.get("/get-product", getProductController);
 
 //single product
 router.get("/get-product/:slug", getSingleProductController);
 
+//products for the admin, including drafts and scheduled ones
+router.get("/admin-products", requireSignIn, isAdmin, getAdminProductsController);
+
+//single product for the admin
+router.get("/admin-product/:slug", requireSignIn, isAdmin, getAdminProductController);
+
+//products at or below their reorder threshold
+router.get("/low-stock", requireSignIn, isAdmin, getLowStockProductsController);
+
+//number of products running low and out of stock
+router.get("/low-stock-counts", requireSignIn, isAdmin, lowStockCountsController);
+
+//whether the user waits for the product to be restocked
+router.get("/stock-subscription/:pid", requireSignIn, getStockSubscriptionController);
+
+//notify the user when the product is back in stock
+router.put("/stock-subscription/:pid", requireSignIn, subscribeToStockController);
+
+//stop notifying the user about the product
+router.delete("/stock-subscription/:pid", requireSignIn, unsubscribeFromStockController);
+
+//add or take out stock, recorded in the stock ledger
+router.put("/adjust-stock/:pid", requireSignIn, isAdmin, adjustStockController);
+
+//move stock between two locations, recorded in the stock ledger
+router.put("/transfer-stock/:pid", requireSignIn, isAdmin, transferStockController);
+
+//stock history of a product
+router.get("/stock-movements/:pid", requireSignIn, isAdmin, getStockMovementsController);
+
 //get photo
 router.get("/product-photo/:pid", productPhotoController);
 
-//delete rproduct
-router.delete("/delete-product/:pid", deleteProductController);
+//get gallery photo
+router.get("/product-photo/:pid/:index", productPhotoController);
+
+//delete rproduct (archives it)
+router.delete("/delete-product/:pid", requireSignIn, isAdmin, deleteProductController);
+
+//archived products
+router.get("/archived-products", requireSignIn, isAdmin, getArchivedProductsController);
+
+//restore archived product
+router.put("/restore-product/:pid", requireSignIn, isAdmin, restoreProductController);
+
+//permanently delete archived product
+router.delete("/purge-product/:pid", requireSignIn, isAdmin, purgeProductController);
 
 //filter product
 router.post("/product-filters", productFiltersController);
@@ -55,15 +128,28 @@ router.post("/product-filters", productFiltersController);
 //product count
 router.get("/product-count", productCountController);
 
-//product per page
+//product per page, after the cursor of the last page
+router.get("/product-list", productListController);
 router.get("/product-list/:page", productListController);
 
 //search product
 router.get("/search/:keyword", searchProductController);
 
+//search with filters, sorting, paging and facet counts
+router.get("/search", productSearchController);
+
+//suggestions while typing a search
+router.get("/search-suggestions", searchSuggestionsController);
+
 //similar product
 router.get("/related-product/:pid/:cid", realtedProductController);
 
+//frequently bought together with the products of a cart
+router.get("/frequently-bought-together", frequentlyBoughtTogetherController);
+
+//products side by side
+router.get("/compare-products", compareProductsController);
+
 //category wise product
 router.get("/product-category/:slug", productCategoryController);
 
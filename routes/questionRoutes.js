@@ -0,0 +1,29 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "./../middlewares/authMiddleware.js";
+import {
+  answerQuestionController,
+  askQuestionController,
+  getProductQuestionsController,
+  getUnansweredQuestionsController,
+  voteAnswerController,
+} from "./../controllers/questionController.js";
+
+const router = express.Router();
+
+//routes
+//get questions of a product
+router.get("/product-questions/:pid", getProductQuestionsController);
+
+//ask question about a product
+router.post("/ask-question/:pid", requireSignIn, askQuestionController);
+
+//answer question as an admin or a buyer of the product
+router.post("/answer-question/:id", requireSignIn, answerQuestionController);
+
+//vote for answer
+router.put("/vote-answer/:id", requireSignIn, voteAnswerController);
+
+//admin inbox of unanswered questions
+router.get("/unanswered-questions", requireSignIn, isAdmin, getUnansweredQuestionsController);
+
+export default router;
@@ -0,0 +1,55 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "./../middlewares/authMiddleware.js";
+import {
+  createBlockedWordController,
+  createReviewController,
+  deleteBlockedWordController,
+  deleteReviewController,
+  getBlockedWordsController,
+  getModerationCountsController,
+  getModerationQueueController,
+  getProductReviewsController,
+  helpfulReviewController,
+  moderateReviewController,
+  reportReviewController,
+  updateReviewController,
+} from "./../controllers/reviewController.js";
+
+const router = express.Router();
+
+//routes
+//get reviews of a product
+router.get("/product-reviews/:pid", getProductReviewsController);
+
+//create review of an ordered product
+router.post("/create-review/:pid", requireSignIn, createReviewController);
+
+//update own review
+router.put("/update-review/:id", requireSignIn, updateReviewController);
+
+//delete own review
+router.delete("/delete-review/:id", requireSignIn, deleteReviewController);
+
+//mark review as helpful
+router.put("/helpful-review/:id", requireSignIn, helpfulReviewController);
+
+//report review for moderation
+router.put("/report-review/:id", requireSignIn, reportReviewController);
+
+//moderation queue
+router.get("/moderation-queue", requireSignIn, isAdmin, getModerationQueueController);
+
+//number of reviews per moderation status
+router.get("/moderation-counts", requireSignIn, isAdmin, getModerationCountsController);
+
+//approve or reject review
+router.put("/moderate-review/:id", requireSignIn, isAdmin, moderateReviewController);
+
+//blocked words
+router.get("/get-blocked-words", requireSignIn, isAdmin, getBlockedWordsController);
+
+router.post("/create-blocked-word", requireSignIn, isAdmin, createBlockedWordController);
+
+router.delete("/delete-blocked-word/:id", requireSignIn, isAdmin, deleteBlockedWordController);
+
+export default router;
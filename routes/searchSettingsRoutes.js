@@ -0,0 +1,41 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "./../middlewares/authMiddleware.js";
+import {
+  createStopWordController,
+  createSynonymController,
+  deleteStopWordController,
+  deleteSynonymController,
+  getStopWordsController,
+  getSynonymsController,
+  previewSearchController,
+  updateSynonymController,
+} from "./../controllers/searchSettingsController.js";
+
+const router = express.Router();
+
+//routes
+//get synonym groups
+router.get("/get-synonyms", requireSignIn, isAdmin, getSynonymsController);
+
+//create synonym group
+router.post("/create-synonym", requireSignIn, isAdmin, createSynonymController);
+
+//update synonym group
+router.put("/update-synonym/:id", requireSignIn, isAdmin, updateSynonymController);
+
+//delete synonym group
+router.delete("/delete-synonym/:id", requireSignIn, isAdmin, deleteSynonymController);
+
+//get stop words
+router.get("/get-stop-words", requireSignIn, isAdmin, getStopWordsController);
+
+//create stop word
+router.post("/create-stop-word", requireSignIn, isAdmin, createStopWordController);
+
+//delete stop word
+router.delete("/delete-stop-word/:id", requireSignIn, isAdmin, deleteStopWordController);
+
+//preview how a keyword is rewritten
+router.get("/preview", requireSignIn, isAdmin, previewSearchController);
+
+export default router;
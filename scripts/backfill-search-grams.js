@@ -0,0 +1,38 @@
+// Backfill the search trigrams of products saved before the typo-tolerant search
+// Products only get them on save, so seeded and older products are not found by their misspellings
+// Run with `npm run backfill:search-grams`, which reads MONGO_URL from .env
+
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import { productSearchGrams } from "../helpers/searchHelper.js";
+
+const MONGO_URL = process.env.MONGO_URL;
+if (!MONGO_URL) {
+  console.error("Error: MONGO_URL environment variable is required.");
+  console.error("Usage: MONGO_URL=mongodb+srv://... node scripts/backfill-search-grams.js");
+  process.exit(1);
+}
+
+async function backfill() {
+  await mongoose.connect(MONGO_URL);
+
+  const products = await productModel.find({}).select("name description").lean();
+  if (products.length) {
+    await productModel.bulkWrite(
+      products.map((product) => ({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { searchGrams: productSearchGrams(product) } },
+        },
+      }))
+    );
+  }
+  console.log(`Updated the search trigrams of ${products.length} products.`);
+
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error("Backfill failed:", err);
+  process.exit(1);
+});
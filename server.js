@@ -1,11 +1,17 @@
 import app from './app.js';
 import connectDB from "./config/db.js";
 import dotenv from "dotenv";
+import { deliverPendingNotifications } from "./helpers/notificationOutbox.js";
 
 dotenv.config();
 
 connectDB();
 
+// send the queued admin notifications every minute
+setInterval(() => {
+  deliverPendingNotifications().catch((error) => console.log(error));
+}, 60 * 1000);
+
 const PORT = process.env.PORT || 6060;
 app.listen(PORT, () => {
   console.log(`Server running on ${process.env.DEV_MODE} mode on ${PORT}`.bgCyan.white);